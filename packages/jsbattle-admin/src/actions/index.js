@@ -18,6 +18,31 @@ function fetchFromApi(url, type) {
   };
 }
 
+function sendToApi(url, type, method, body) {
+  return async (dispatch) => {
+    dispatch({type: type + "_REQUEST"});
+    try {
+      let response = await fetch(url, {
+        method,
+        body: body ? JSON.stringify(body) : undefined,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+      if (!response.ok) {
+        let message = await response.text();
+        throw new Error(`Error ${response.status}: ${message || response.statusText}`);
+      }
+      let json = await response.json();
+      dispatch({type: type + "_SUCCESS", payload: json});
+      return json;
+    } catch (err) {
+      dispatch({type: type + "_FAILURE", payload: err, error: true});
+      return null;
+    }
+  };
+}
+
 export const getAuthMethods = () => {
   return fetchFromApi("/api/authMethods", "AUTH_METHODS");
 };
@@ -32,10 +57,39 @@ export const getUserList = (page, pageSize) => {
   return fetchFromApi(`/api/admin/users?page=${page}&pageSize=${pageSize}` , "USER_LIST");
 };
 
-export const getLeagueList = (page, pageSize) => {
+export const getLeagueList = (leagueId, page, pageSize) => {
   page = page || 1;
   pageSize = pageSize || 10;
-  return fetchFromApi(`/api/admin/league?page=${page}&pageSize=${pageSize}` , "LEAGUE_LIST");
+  if(!leagueId) {
+    return fetchFromApi(`/api/admin/league?page=${page}&pageSize=${pageSize}` , "LEAGUE_LIST");
+  }
+  return fetchFromApi(`/api/admin/leagues/${leagueId}/ranktable?page=${page}&pageSize=${pageSize}` , "LEAGUE_LIST");
+};
+
+export const getLeagueDefinitions = (page, pageSize) => {
+  page = page || 1;
+  pageSize = pageSize || 10;
+  return fetchFromApi(`/api/admin/leagues?page=${page}&pageSize=${pageSize}&sort=createdAt` , "LEAGUE_DEFINITIONS");
+};
+
+export const getLeagueSeasons = (leagueId) => {
+  return fetchFromApi(`/api/admin/leagues/${leagueId}/seasons` , "LEAGUE_SEASONS");
+};
+
+export const createLeague = (definition) => {
+  return sendToApi(`/api/admin/leagues` , "LEAGUE_CREATE", 'POST', definition);
+};
+
+export const updateLeague = (leagueId, definition) => {
+  return sendToApi(`/api/admin/leagues/${leagueId}` , "LEAGUE_UPDATE", 'PATCH', definition);
+};
+
+export const deleteLeague = (leagueId) => {
+  return sendToApi(`/api/admin/leagues/${leagueId}` , "LEAGUE_DELETE", 'DELETE');
+};
+
+export const endLeagueSeason = (leagueId) => {
+  return sendToApi(`/api/admin/leagues/${leagueId}/seasons` , "LEAGUE_END_SEASON", 'POST');
 };
 
 export const getBattleList = (page, pageSize) => {
@@ -59,3 +113,11 @@ export const getSessionList = () => {
 export const getSystemInfo = () => {
   return fetchFromApi(`/api/admin/info` , "SYSTEM_INFO");
 };
+
+export const getUbdPlayerInfo = () => {
+  return fetchFromApi(`/api/admin/ubdPlayer/info` , "UBD_PLAYER_INFO");
+};
+
+export const getQueueStats = () => {
+  return fetchFromApi(`/api/admin/queue/stats` , "QUEUE_STATS");
+};
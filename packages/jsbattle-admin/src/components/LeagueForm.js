@@ -0,0 +1,102 @@
+import React, {Component} from "react";
+import PropTypes from 'prop-types';
+import Form from 'react-bootstrap/Form';
+import Col from 'react-bootstrap/Col';
+import Button from 'react-bootstrap/Button';
+
+const DAY = 24*60*60*1000;
+
+class LeagueForm extends Component {
+
+  constructor(props) {
+    super(props);
+    let league = props.league || {};
+    // durations are edited in units that are easier to type than milliseconds
+    this.state = {
+      name: league.name || '',
+      description: league.description || '',
+      teamSize: league.teamSize || 3,
+      teamCount: league.teamCount || 2,
+      timeLimit: (league.timeLimit || 20000)/1000,
+      map: league.map || '',
+      rules: league.rules || 'default',
+      seasonDuration: (league.seasonDuration || 0)/DAY,
+      entryLimit: league.entryLimit || 0
+    };
+  }
+
+  onChange(field, value) {
+    this.setState({[field]: value});
+  }
+
+  onSubmit(event) {
+    event.preventDefault();
+    let definition = {
+      name: this.state.name,
+      description: this.state.description,
+      teamSize: Number(this.state.teamSize),
+      teamCount: Number(this.state.teamCount),
+      timeLimit: Math.round(Number(this.state.timeLimit)*1000),
+      map: this.state.map || null,
+      rules: this.state.rules,
+      seasonDuration: Math.round(Number(this.state.seasonDuration)*DAY),
+      entryLimit: Number(this.state.entryLimit)
+    };
+    this.props.onSubmit(definition);
+  }
+
+  renderField(field, label, type, hint) {
+    return <Form.Group as={Col} md={3} controlId={'league-' + field}>
+      <Form.Label>{label}</Form.Label>
+      <Form.Control
+        type={type}
+        value={this.state[field]}
+        onChange={(e) => this.onChange(field, e.target.value)}
+      />
+      {hint ? <Form.Text className="text-muted">{hint}</Form.Text> : null}
+    </Form.Group>;
+  }
+
+  render() {
+    return <Form className="league-form" onSubmit={(e) => this.onSubmit(e)}>
+      <Form.Row>
+        {this.renderField('name', 'Name', 'text')}
+        <Form.Group as={Col} md={9} controlId="league-description">
+          <Form.Label>Description</Form.Label>
+          <Form.Control
+            type="text"
+            value={this.state.description}
+            onChange={(e) => this.onChange('description', e.target.value)}
+          />
+        </Form.Group>
+      </Form.Row>
+      <Form.Row>
+        {this.renderField('teamSize', 'Team size', 'number')}
+        {this.renderField('timeLimit', 'Time limit (s)', 'number')}
+        {this.renderField('map', 'Map', 'text', 'Empty battlefield if not set')}
+        {this.renderField('rules', 'Rules preset', 'text')}
+      </Form.Row>
+      <Form.Row>
+        {this.renderField('seasonDuration', 'Season length (days)', 'number', '0 - endless season')}
+        {this.renderField('entryLimit', 'Entry limit', 'number', '0 - no limit')}
+        {this.renderField('teamCount', 'Teams per battle', 'number', '3 to 6 - free-for-all battles')}
+      </Form.Row>
+      <Button type="submit" variant="primary">{this.props.league ? 'Save' : 'Create'}</Button>
+      {' '}
+      <Button variant="secondary" onClick={() => this.props.onCancel()}>Cancel</Button>
+    </Form>;
+  }
+}
+
+LeagueForm.defaultProps = {
+  league: null,
+  onSubmit: () => {},
+  onCancel: () => {}
+};
+
+LeagueForm.propTypes = {
+  league: PropTypes.object,
+  onSubmit: PropTypes.func,
+  onCancel: PropTypes.func
+};
+export default LeagueForm;
@@ -32,8 +32,8 @@ class SideMenu extends Component {
           <Nav.Link href="#/scripts" active={pathname == '/scripts'} className="sidenav-battles">
             <FontAwesomeIcon icon={faCode} /> Scripts
           </Nav.Link>
-          <Nav.Link href="#/league" active={pathname == '/league'} className="sidenav-league">
-            <FontAwesomeIcon icon={faTrophy} /> League
+          <Nav.Link href="#/leagues" active={pathname.startsWith('/league')} className="sidenav-league">
+            <FontAwesomeIcon icon={faTrophy} /> Leagues
           </Nav.Link>
           <Nav.Link href="#/battles" active={pathname == '/battles'} className="sidenav-battles">
             <FontAwesomeIcon icon={faShieldAlt} /> Battles
@@ -18,6 +18,7 @@ import ScriptList from "./ScriptList.js";
 import SessionList from "./SessionList.js";
 import BattleList from "./BattleList.js";
 import LeagueList from "./LeagueList.js";
+import LeagueDefinitionList from "./LeagueDefinitionList.js";
 import LoginScreen from "./LoginScreen.js";
 import {connect} from 'react-redux';
 import {clearError, getUserProfile} from '../actions';
@@ -46,7 +47,9 @@ class App extends Component {
               <Route path="/sessions" component={SessionList} />
               <Route path="/scripts" component={ScriptList} />
               <Route path="/battles" component={BattleList} />
-              <Route path="/league" component={LeagueList} />
+              <Route exact path="/league" component={LeagueList} />
+              <Route exact path="/leagues" component={LeagueDefinitionList} />
+              <Route path="/leagues/:leagueId" component={LeagueList} />
               <Route path="/system" component={SystemView} />
             </div>
           </Router>
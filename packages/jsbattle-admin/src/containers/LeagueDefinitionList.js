@@ -0,0 +1,161 @@
+import React, {Component} from "react";
+import Container from 'react-bootstrap/Container';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import Card from 'react-bootstrap/Card';
+import Button from 'react-bootstrap/Button';
+import Breadcrumb from 'react-bootstrap/Breadcrumb';
+import SideMenu from '../components/SideMenu.js';
+import SmartTable from '../components/SmartTable.js';
+import LeagueForm from '../components/LeagueForm.js';
+import Loading from '../components/Loading.js';
+import {connect} from 'react-redux';
+import {
+  getLeagueDefinitions,
+  createLeague,
+  updateLeague,
+  deleteLeague,
+  endLeagueSeason
+} from '../actions';
+
+class LeagueDefinitionList extends Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      // null - form hidden, {} - new league, otherwise the edited league
+      editedLeague: null,
+      pendingAction: null
+    };
+  }
+
+  componentDidMount() {
+    this.props.getLeagueDefinitions();
+  }
+
+  async submitLeague(definition) {
+    let league = this.state.editedLeague;
+    let result;
+    if(league.id) {
+      result = await this.props.updateLeague(league.id, definition);
+    } else {
+      result = await this.props.createLeague(definition);
+    }
+    if(result) {
+      this.setState({editedLeague: null});
+      this.props.getLeagueDefinitions(this.currentPage());
+    }
+  }
+
+  // ending a season and removal cannot be undone so they need a second click
+  async confirmAction() {
+    let {league, action} = this.state.pendingAction;
+    this.setState({pendingAction: null});
+    if(action == 'endSeason') {
+      await this.props.endLeagueSeason(league.id);
+    } else {
+      await this.props.deleteLeague(league.id);
+    }
+    this.props.getLeagueDefinitions(this.currentPage());
+  }
+
+  currentPage() {
+    return this.props.definitions ? this.props.definitions.page : 1;
+  }
+
+  renderActions(league) {
+    let pending = this.state.pendingAction;
+    if(pending && pending.league.id == league.id) {
+      let label = pending.action == 'endSeason' ? `End season ${league.season}` : 'Remove with all entries';
+      return <div className="league-actions">
+        <Button size="sm" variant="danger" className="confirm-action" onClick={() => this.confirmAction()}>{label}</Button>
+        {' '}
+        <Button size="sm" variant="outline-secondary" onClick={() => this.setState({pendingAction: null})}>Cancel</Button>
+      </div>;
+    }
+    return <div className="league-actions">
+      <Button size="sm" variant="outline-primary" onClick={() => this.setState({editedLeague: league})}>Edit</Button>
+      {' '}
+      <Button size="sm" variant="outline-warning" onClick={() => this.setState({pendingAction: {league, action: 'endSeason'}})}>End season</Button>
+      {' '}
+      <Button size="sm" variant="outline-danger" disabled={league.isDefault} onClick={() => this.setState({pendingAction: {league, action: 'delete'}})}>Remove</Button>
+    </div>;
+  }
+
+  render() {
+    if(this.props.isLoading) {
+      return<Loading />;
+    }
+    let form = null;
+    if(this.state.editedLeague) {
+      let league = this.state.editedLeague.id ? this.state.editedLeague : null;
+      form = <Card style={{marginBottom: '1em'}}>
+        <Card.Body>
+          <Card.Title>{league ? `Edit ${league.name}` : 'New league'}</Card.Title>
+          <LeagueForm
+            key={league ? league.id : 'new'}
+            league={league}
+            onSubmit={(definition) => this.submitLeague(definition)}
+            onCancel={() => this.setState({editedLeague: null})}
+          />
+        </Card.Body>
+      </Card>;
+    }
+    return (
+      <div>
+        <Container fluid>
+          <Row>
+            <Col lg={3} xl={2} style={{backgroundColor: '#f7f7f7', borderRight: '1px solid #ececec'}} >
+              <SideMenu />
+            </Col>
+            <Col lg={9} xl={10} style={{paddingTop: '1em'}}>
+              <Breadcrumb>
+                <Breadcrumb.Item>Dashboard</Breadcrumb.Item>
+                <Breadcrumb.Item active>Leagues</Breadcrumb.Item>
+              </Breadcrumb>
+              <p>
+                <Button className="new-league" variant="primary" onClick={() => this.setState({editedLeague: {}})}>New league</Button>
+              </p>
+              {form}
+              <SmartTable
+                columns={[
+                  {name: 'Name', field: 'name', format: (value, row) => <a href={`#/leagues/${row.id}`}>{value}</a>},
+                  {name: 'Default', field: 'isDefault', format: 'check'},
+                  {name: 'Team size', field: 'teamSize'},
+                  {name: 'Teams', field: 'teamCount'},
+                  {name: 'Time limit', field: 'timeLimit', format: 'duration'},
+                  {name: 'Map', field: 'map'},
+                  {name: 'Rules', field: 'rules'},
+                  {name: 'Entry limit', field: 'entryLimit', format: (value) => value || '-'},
+                  {name: 'Season', field: 'season'},
+                  {name: 'Season started', field: 'seasonStartedAt', format: 'datetime'},
+                  {name: 'Season length', field: 'seasonDuration', format: (value) => value ? `${Math.round(value/(24*60*60*1000))} days` : 'endless'},
+                  {name: '', field: 'id', format: (value, row) => this.renderActions(row)},
+                ]}
+                data={this.props.definitions}
+                onPageRequest={(page) => this.props.getLeagueDefinitions(page)}
+              />
+            </Col>
+          </Row>
+        </Container>
+      </div>
+    );
+  }
+}
+
+const mapStateToProps = (state) => ({
+  definitions: state.league.definitions,
+  isLoading: state.loading.LEAGUE_DEFINITIONS && !state.league.definitions
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  getLeagueDefinitions: (page, pageSize) => dispatch(getLeagueDefinitions(page, pageSize)),
+  createLeague: (definition) => dispatch(createLeague(definition)),
+  updateLeague: (leagueId, definition) => dispatch(updateLeague(leagueId, definition)),
+  deleteLeague: (leagueId) => dispatch(deleteLeague(leagueId)),
+  endLeagueSeason: (leagueId) => dispatch(endLeagueSeason(leagueId))
+});
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps
+)(LeagueDefinitionList);
@@ -7,7 +7,7 @@ import SideMenu from '../components/SideMenu.js';
 import SmartTable from '../components/SmartTable.js';
 import Loading from '../components/Loading.js';
 import {connect} from 'react-redux';
-import {getLeagueList} from '../actions';
+import {getLeagueList, getLeagueSeasons} from '../actions';
 
 class LeagueList extends Component {
 
@@ -16,7 +16,34 @@ class LeagueList extends Component {
   }
 
   componentDidMount() {
-    this.props.getLeagueList();
+    this.props.getLeagueList(this.getLeagueId());
+    if(this.getLeagueId()) {
+      this.props.getLeagueSeasons(this.getLeagueId());
+    }
+  }
+
+  getLeagueId() {
+    return this.props.match.params.leagueId || null;
+  }
+
+  renderSeasons() {
+    if(!this.getLeagueId()) {
+      return null;
+    }
+    return <div>
+      <h4>Past seasons</h4>
+      <SmartTable
+        columns={[
+          {name: 'Season', field: 'season'},
+          {name: 'Started', field: 'startedAt', format: 'datetime'},
+          {name: 'Ended', field: 'endedAt', format: 'datetime'},
+          {name: 'Entries', field: 'standings', format: (value) => value.length},
+          {name: 'Winner', field: 'standings', format: (value) => value.length ? `${value[0].ownerName}/${value[0].scriptName}` : '-'},
+          {name: 'Score', field: 'standings', format: (value) => value.length ? value[0].score : '-'},
+        ]}
+        data={{rows: this.props.seasons}}
+      />
+    </div>;
   }
 
   render() {
@@ -33,7 +60,8 @@ class LeagueList extends Component {
             <Col lg={9} xl={10} style={{paddingTop: '1em'}}>
               <Breadcrumb>
                 <Breadcrumb.Item>Dashboard</Breadcrumb.Item>
-                <Breadcrumb.Item active>League</Breadcrumb.Item>
+                <Breadcrumb.Item href="#/leagues">Leagues</Breadcrumb.Item>
+                <Breadcrumb.Item active>Rank table</Breadcrumb.Item>
               </Breadcrumb>
               <SmartTable
                 columns={[
@@ -44,11 +72,15 @@ class LeagueList extends Component {
                   {name: 'Fights', field: 'fights_total'},
                   {name: 'Wins', field: 'fights_win'},
                   {name: 'Losts', field: 'fights_lose'},
+                  {name: 'Draws', field: 'fights_draw'},
+                  {name: 'Errors', field: 'fights_error'},
+                  {name: 'Rating', field: 'rating', format: (value, row) => value === undefined ? '' : `${Math.round(value)} ± ${Math.round(row.ratingDeviation)}`},
                   {name: 'Score', field: 'score'},
                 ]}
                 data={this.props.leaguePage}
-                onPageRequest={(page) => this.props.getLeagueList(page)}
+                onPageRequest={(page) => this.props.getLeagueList(this.getLeagueId(), page)}
               />
+              {this.renderSeasons()}
             </Col>
           </Row>
         </Container>
@@ -59,11 +91,13 @@ class LeagueList extends Component {
 
 const mapStateToProps = (state) => ({
   leaguePage: state.league.page,
+  seasons: state.league.seasons,
   isLoading: state.loading.LEAGUE_LIST
 });
 
 const mapDispatchToProps = (dispatch) => ({
-  getLeagueList: (page, pageSize) => dispatch(getLeagueList(page, pageSize))
+  getLeagueList: (leagueId, page, pageSize) => dispatch(getLeagueList(leagueId, page, pageSize)),
+  getLeagueSeasons: (leagueId) => dispatch(getLeagueSeasons(leagueId))
 });
 export default connect(
   mapStateToProps,
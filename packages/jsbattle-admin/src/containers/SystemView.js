@@ -6,7 +6,7 @@ import Breadcrumb from 'react-bootstrap/Breadcrumb';
 import SideMenu from '../components/SideMenu.js';
 import Loading from '../components/Loading.js';
 import {connect} from 'react-redux';
-import {getSystemInfo} from '../actions';
+import {getSystemInfo, getUbdPlayerInfo, getQueueStats} from '../actions';
 import {
   faServer,
   faCheckCircle
@@ -24,6 +24,8 @@ class SystemView extends Component {
 
   componentDidMount() {
     this.props.getSystemInfo();
+    this.props.getUbdPlayerInfo();
+    this.props.getQueueStats();
   }
 
   formaUptime(dt) {
@@ -118,6 +120,63 @@ class SystemView extends Component {
     </Col>;
   }
 
+  renderUbdPlayer(player) {
+    if(!player || !player.pool) {
+      return <Col md={12}><p className="text-muted">Battle player is not running</p></Col>;
+    }
+    let pool = player.pool;
+    let failureBadge = pool.failureCount ? 'badge-danger' : 'badge-success';
+    let item = (label, value, badge) => <li className="list-group-item d-flex justify-content-between align-items-center">
+      {label}
+      <span className={'badge badge-pill ' + (badge || 'badge-primary')}>{value}</span>
+    </li>;
+    return <Col md={6}>
+      <div className="card ubd-player-stats">
+        <ul className="list-group list-group-flush">
+          {item('Running battles', `${pool.running} / ${pool.concurrency}`)}
+          {item('Battles per minute', pool.battlesPerMinute)}
+          {item('Battles played', pool.battleCount)}
+          {item('Failures (timeouts / crashes)', `${pool.failureCount} (${pool.timeoutCount} / ${pool.crashCount})`, failureBadge)}
+          {item('Queue wait (average / max)', `${pool.queueWait.average}ms / ${pool.queueWait.max}ms`, 'badge-light')}
+        </ul>
+      </div>
+    </Col>;
+  }
+
+  renderQueue(queue) {
+    if(!queue) return;
+    let topics = Object.keys(queue.topics);
+    if(!topics.length) {
+      return <Col md={12}><p className="text-muted">The queue is empty</p></Col>;
+    }
+    let rows = topics.map((topic) => {
+      let stats = queue.topics[topic];
+      return <tr key={topic}>
+        <td>{topic}</td>
+        <td>{stats.pending}</td>
+        <td>{stats.processing}</td>
+        <td className={stats.dead ? 'text-danger' : ''}>{stats.dead}</td>
+        <td>{Math.round(stats.oldestPendingAge/1000)}s</td>
+      </tr>;
+    });
+    return <Col md={12}>
+      <table className="table queue-stats">
+        <thead>
+          <tr>
+            <th>Topic</th>
+            <th>Pending</th>
+            <th>Processing</th>
+            <th>Dead letters</th>
+            <th>Oldest pending</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows}
+        </tbody>
+      </table>
+    </Col>;
+  }
+
   renderServices(nodes, allServices) {
     if(!allServices || !nodes) return;
     let data = [];
@@ -180,6 +239,14 @@ class SystemView extends Component {
               <Row>
                 {nodes}
               </Row>
+              <h1 className="display-5">Battle Player</h1>
+              <Row>
+                {this.renderUbdPlayer(this.props.ubdPlayer)}
+              </Row>
+              <h1 className="display-5">Queue</h1>
+              <Row>
+                {this.renderQueue(this.props.queue)}
+              </Row>
               <h1 className="display-5">Services</h1>
               <Row>
                 {this.renderServices(this.props.nodes, this.props.allServices)}
@@ -197,10 +264,14 @@ const mapStateToProps = (state) => ({
   isLoading: state.loading.SYSTEM_INFO,
   nodes: state.system.info.nodes,
   allServices: state.system.info.allServices,
+  ubdPlayer: state.system.ubdPlayer,
+  queue: state.system.queue,
 });
 
 const mapDispatchToProps = (dispatch) => ({
-  getSystemInfo: () => dispatch(getSystemInfo())
+  getSystemInfo: () => dispatch(getSystemInfo()),
+  getUbdPlayerInfo: () => dispatch(getUbdPlayerInfo()),
+  getQueueStats: () => dispatch(getQueueStats())
 });
 export default connect(
   mapStateToProps,
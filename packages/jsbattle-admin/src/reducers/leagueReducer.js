@@ -1,5 +1,7 @@
 const initState = {
-  page: null
+  page: null,
+  definitions: null,
+  seasons: []
 };
 
 const leaguesReducer = (state, action) => {
@@ -11,6 +13,10 @@ const leaguesReducer = (state, action) => {
   switch (action.type) {
     case 'LEAGUE_LIST_SUCCESS':
       return {...state, page: action.payload};
+    case 'LEAGUE_DEFINITIONS_SUCCESS':
+      return {...state, definitions: action.payload};
+    case 'LEAGUE_SEASONS_SUCCESS':
+      return {...state, seasons: action.payload};
     default:
       return state;
   }
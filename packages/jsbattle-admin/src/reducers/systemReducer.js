@@ -1,7 +1,9 @@
 const initState = {
   info: {
     nodes: []
-  }
+  },
+  ubdPlayer: null,
+  queue: null
 };
 
 const systemReducer = (state, action) => {
@@ -13,6 +15,10 @@ const systemReducer = (state, action) => {
   switch (action.type) {
     case 'SYSTEM_INFO_SUCCESS':
       return {...state, info: action.payload};
+    case 'UBD_PLAYER_INFO_SUCCESS':
+      return {...state, ubdPlayer: action.payload.player};
+    case 'QUEUE_STATS_SUCCESS':
+      return {...state, queue: action.payload};
     default:
       return state;
   }
@@ -1,6 +1,16 @@
 'use strict';
 
 import EvalWorker from './EvalWorker.js';
+import VmWorker from './VmWorker.js';
+import ReplayWorker from './ReplayWorker.js';
+import weapons from './weapons.js';
+import specialization from './specialization.js';
+
+// result of checking execution time of AI against its budget. It is recorded
+// in the timeline (BUDGET channel) so replays skip the same steps
+const BUDGET_OK = 0;
+const BUDGET_EXCEEDED = 1;
+const BUDGET_DISQUALIFIED = 2;
 
 export default class AiWrapper {
 
@@ -13,12 +23,16 @@ export default class AiWrapper {
     this._aiProcessingCheckInterval = null;
     this._aiProcessingResolveCallback = null;
     this._aiProcessingRejectCallback = null;
-    this._slowAiChances = 10;
+    this._budgetViolations = 0;
+    this._budgetViolationLimit = 10;
+    this._budgetPenalty = 2;
     this._onActivationCallback = [];
     this._onDectivationCallback = [];
     this._aiProcessingTimeLimit = 3000;
     this._aiDefinition = aiDefinition;
     this._isReady = false;
+    this._recordedTimeline = null;
+    this._playedTimeline = null;
     this._controlData = {
       THROTTLE: 0,
       BOOST: 0,
@@ -27,6 +41,7 @@ export default class AiWrapper {
       GUN_TURN: 0,
       SHOOT: 0,
       OUTBOX: [],
+      BLACKBOARD: {},
       DEBUG: {}
     };
   }
@@ -35,10 +50,27 @@ export default class AiWrapper {
     this._aiProcessingTimeLimit = v;
   }
 
+  /**
+   * @param {Number} limit - number of steps exceeding the budget after which the tank is disqualified
+   * @param {Number} penalty - points subtracted from the score for each step exceeding the budget
+   */
+  setBudgetPolicy(limit, penalty) {
+    this._budgetViolationLimit = limit;
+    this._budgetPenalty = penalty;
+  }
+
   get tank() {
     return this._tank;
   }
 
+  recordTimeline(timeline) {
+    this._recordedTimeline = timeline;
+  }
+
+  playTimeline(timeline) {
+    this._playedTimeline = timeline;
+  }
+
   get worker() {
     return this._aiWorker;
   }
@@ -65,80 +97,7 @@ export default class AiWrapper {
     if(typeof resolve != 'function') throw "resolve callback must be a function, '" + (typeof resolve) + "' given";
     if(typeof reject != 'function') throw "reject callback must be a function, '" + (typeof reject) + "' given";
     let self = this;
-    self._aiWorker = self._createWorker(this._aiDefinition);
-    self._aiWorker.onerror = (err) => {
-      console.error(err);
-      if(self._aiProcessingRejectCallback) {
-        self._aiProcessingRejectCallback({
-          message: "Web Worker of '" + self._tank.fullName + "' returned an error: " + self._formatError(err),
-          performanceIssues: false,
-          tankName: self._tank.name,
-          tankId: self._tank.id
-        });
-        self._aiProcessingResolveCallback = null;
-        self._aiProcessingRejectCallback = null;
-      }
-    };
-
-    if(self._aiProcessingCheckInterval) {
-      clearInterval(self._aiProcessingCheckInterval);
-      self._aiProcessingCheckInterval = null;
-    }
-
-    self._aiProcessingCheckInterval = setInterval(() => {
-      if(self._aiProcessingRejectCallback) {
-        let now = (new Date()).getTime();
-        let dt = now - self._aiProcessingStart;
-        if(dt > self._aiProcessingTimeLimit) {
-          clearInterval(self._aiProcessingCheckInterval);
-          self._aiProcessingCheckInterval = null;
-          self._aiProcessingRejectCallback({
-            message: "Simulation cannot be continued because " + self._tank.name + " #" + self._tank.id + " does not respond",
-            performanceIssues: true,
-            tankName: self._tank.name,
-            tankId: self._tank.id
-          });
-        }
-      }
-    }, Math.max(self._aiDefinition.executionLimit, Math.round(self._aiProcessingTimeLimit/2)));
-
-    self._aiWorker.onmessage = (commandEvent) => {
-      let value = commandEvent.data;
-      if(self._aiProcessingResolveCallback) {
-        if(value.type == 'init') {
-          self._configureTank(value.settings ? value.settings : {});
-          self._isReady = true;
-          for(let i=0; i < self._onActivationCallback.length; i++) self._onActivationCallback[i].bind(self)();
-        } else {
-          self._controlTank(value);
-        }
-
-        let callback;
-        let now = (new Date()).getTime();
-        let dt = now - self._aiProcessingStart;
-        if(dt > self._aiDefinition.executionLimit && value.type != 'init') {
-          self._slowAiChances--;
-          console.warn("Execution of AI for tank " + self._tank.name + " #" + self._tank.id + " takes too long (" + dt + "ms). If problem repeats, AI will be terminated.");
-          if(self._slowAiChances <= 0) {
-            callback = self._aiProcessingRejectCallback;
-            self._aiProcessingResolveCallback = null;
-            self._aiProcessingRejectCallback = null;
-            callback({
-              message: "Simulation cannot be continued because " + self._tank.name + " #" + self._tank.id + " has performance issues",
-              performanceIssues: true,
-              tankName: self._tank.name,
-              tankId: self._tank.id
-            });
-            return;
-          }
-        }
-        callback = self._aiProcessingResolveCallback;
-        self._aiProcessingResolveCallback = null;
-        self._aiProcessingRejectCallback = null;
-        callback();
-      }
-
-    };
+    self._initWorker();
 
     let teamInfo = null;
     if(self._tank.team && self._tank.team.size > 1) {
@@ -154,7 +113,8 @@ export default class AiWrapper {
     }
     let infoData = {
       id: self._tank.id,
-      team: teamInfo
+      team: teamInfo,
+      rules: self._tank.rules
     };
     if(self._aiDefinition.initData) {
       infoData.initData = self._aiDefinition.initData;
@@ -166,13 +126,38 @@ export default class AiWrapper {
       command: 'init',
       seed: seed + ":" + self._tank.id,
       settings: {
-        SKIN: 'zebra'
+        SKIN: 'zebra',
+        WEAPON: weapons.getDefaultWeapon().name,
+        SPECIALIZATION: specialization.createEmpty(),
+        RADIO: 'simple'
       },
       info: infoData,
       code: self._aiDefinition.code
     });
   }
 
+  getSnapshot() {
+    return {
+      step: this._aiWorker ? this._aiWorker.step : null,
+      controlData: JSON.parse(JSON.stringify(this._controlData))
+    };
+  }
+
+  restoreSnapshot(snapshot) {
+    if(!this._playedTimeline) {
+      throw new Error("Only AI replayed from the timeline can be restored from a snapshot");
+    }
+    this._controlData = JSON.parse(JSON.stringify(snapshot.controlData));
+    if(snapshot.step === null) {
+      return;
+    }
+    if(!this._aiWorker) {
+      // AI has been terminated after tank's death
+      this._initWorker();
+    }
+    this._aiWorker.seek(snapshot.step);
+  }
+
   deactivate() {
     if(this._aiWorker) {
       this._aiWorker.terminate();
@@ -218,6 +203,18 @@ export default class AiWrapper {
     if(skinList.indexOf(input.SKIN) != -1) {
       settings.SKIN = input.SKIN;
     }
+    if(weapons.getWeapon(input.WEAPON)) {
+      settings.WEAPON = input.WEAPON;
+    }
+    if(input.RADIO == 'simple' || input.RADIO == 'envelope') {
+      settings.RADIO = input.RADIO;
+    }
+    if(input.SPECIALIZATION) {
+      settings.SPECIALIZATION = specialization.normalize(input.SPECIALIZATION, this._tank.rules.specializationPoints);
+    }
+    if(this._recordedTimeline) {
+      this._recordedTimeline.recordSettings(this._tank.id, settings);
+    }
     this._tank.init(settings);
   }
 
@@ -249,28 +246,243 @@ export default class AiWrapper {
     self._tank.setRadarTurn(self._controlData.RADAR_TURN);
     self._tank.setGunTurn(self._controlData.GUN_TURN );
     self._tank.setDebugData(self._controlData.DEBUG);
+    if(self._recordedTimeline) {
+      self._recordedTimeline.recordControl(self._tank.id, self._controlData);
+    }
     if(self._controlData.SHOOT) {
       self._tank.shoot(self._controlData.SHOOT);
     }
     self._controlData.SHOOT = 0;
 
+    if(self._tank.team) {
+      self._sendMessages(value.OUTBOX, value.BLACKBOARD);
+    }
+
+    self._controlData.OUTBOX = [];
+    self._controlData.BLACKBOARD = {};
+  }
+
+  /*
+   * Messages and changes of the blackboard share the same budget per step
+   * defined by game rules. Whatever does not fit is discarded
+   */
+  _sendMessages(outbox, blackboard) {
+    let rules = this._tank.rules;
+    let envelope = this._tank.radioFormat == 'envelope';
     let messages = [];
-    for(let i  in value.OUTBOX) {
-      messages.push(JSON.parse(JSON.stringify(value.OUTBOX[i])));
+    let bytes = 0;
+    let dropped = 0;
+    let json;
+    if(blackboard && typeof blackboard == 'object' && Object.keys(blackboard).length) {
+      json = JSON.stringify(blackboard);
+      if(json.length <= rules.radioByteLimit) {
+        bytes += json.length;
+        this._tank.team.updateBlackboard(JSON.parse(json));
+      } else {
+        dropped++;
+      }
+    }
+    for(let item of (Array.isArray(outbox) ? outbox : [])) {
+      let message = envelope ? item : {body: item};
+      json = (message && typeof message == 'object') ? JSON.stringify(message.body) : undefined;
+      if(json === undefined || messages.length >= rules.radioMessageLimit || bytes + json.length > rules.radioByteLimit) {
+        dropped++;
+        continue;
+      }
+      bytes += json.length;
+      messages.push({
+        to: (message.to === undefined || message.to === null) ? null : Number(message.to),
+        channel: message.channel ? String(message.channel) : 'default',
+        body: JSON.parse(json)
+      });
     }
+    this._tank.team.sendMessages(this._tank.id, messages);
+    if(dropped) {
+      this._tank.onMessagesDropped(dropped);
+    }
+  }
 
-    if(self._tank.team) {
-      self._tank.team.sendMessages(self._tank.id, messages);
+  _initWorker() {
+    let self = this;
+    self._aiWorker = self._createWorker(this._aiDefinition);
+    self._aiWorker.onerror = (err) => {
+      if(err.timeout && self._isReady && self._aiProcessingResolveCallback) {
+        self._disqualify("Execution of AI for tank " + self._tank.name + " #" + self._tank.id + " was interrupted because of timeout");
+        self._resolveProcessing();
+        return;
+      }
+      if(err.exited && self._isReady && self._aiProcessingResolveCallback) {
+        // the sandbox crashed (e.g. out of memory) so the tank is removed like a tank that hangs
+        self._disqualify(self._tank.name + " #" + self._tank.id + " has crashed: " + self._formatError(err));
+        self._resolveProcessing();
+        return;
+      }
+      console.error(err);
+      if(self._aiProcessingRejectCallback) {
+        self._aiProcessingRejectCallback({
+          message: "Web Worker of '" + self._tank.fullName + "' returned an error: " + self._formatError(err),
+          performanceIssues: false,
+          tankName: self._tank.name,
+          tankId: self._tank.id
+        });
+        self._aiProcessingResolveCallback = null;
+        self._aiProcessingRejectCallback = null;
+      }
+    };
+
+    if(self._aiProcessingCheckInterval) {
+      clearInterval(self._aiProcessingCheckInterval);
+      self._aiProcessingCheckInterval = null;
     }
 
-    self._controlData.OUTBOX = [];
+    self._aiProcessingCheckInterval = setInterval(() => {
+      if(self._aiProcessingRejectCallback) {
+        let now = (new Date()).getTime();
+        let dt = now - self._aiProcessingStart;
+        if(dt > self._aiProcessingTimeLimit) {
+          clearInterval(self._aiProcessingCheckInterval);
+          self._aiProcessingCheckInterval = null;
+          if(self._isReady) {
+            // a tank that hangs is removed from the battle so other tanks can continue
+            self._disqualify(self._tank.name + " #" + self._tank.id + " does not respond");
+            self._resolveProcessing();
+            return;
+          }
+          self._aiProcessingRejectCallback({
+            message: "Simulation cannot be continued because " + self._tank.name + " #" + self._tank.id + " does not respond",
+            performanceIssues: true,
+            tankName: self._tank.name,
+            tankId: self._tank.id
+          });
+        }
+      }
+    }, Math.max(self._aiDefinition.executionLimit, Math.round(self._aiProcessingTimeLimit/2)));
+
+    self._aiWorker.onmessage = (commandEvent) => {
+      let value = commandEvent.data;
+      if(!self._aiProcessingResolveCallback) {
+        return;
+      }
+      let budget;
+      if(value.type == 'init') {
+        self._configureTank(value.settings ? value.settings : {});
+        self._isReady = true;
+        self._persist(value.persistentData);
+        for(let i=0; i < self._onActivationCallback.length; i++) self._onActivationCallback[i].bind(self)();
+      } else if(value.type == 'update') {
+        budget = self._playedTimeline ? value.budget : self._checkStepBudget(value);
+        self._updateTank(value.control, budget);
+        if(!budget) {
+          self._persist(value.persistentData);
+        }
+      } else {
+        // worker of older versions that responds with control data only
+        self._updateTank(value, self._checkBudget(self._getProcessingTime()));
+      }
+      self._resolveProcessing();
+    };
+  }
+
+  _resolveProcessing() {
+    let callback = this._aiProcessingResolveCallback;
+    this._aiProcessingResolveCallback = null;
+    this._aiProcessingRejectCallback = null;
+    if(callback) {
+      callback();
+    }
+  }
+
+  _checkStepBudget(value) {
+    // VmWorker measures the step in its process outside of the context of the AI,
+    // so the time does not include IPC or load of the host. Other workers run the AI
+    // next to their clock and the AI can tamper with the reported time. In such
+    // case it is only a hint in logs and the time is measured from outside
+    if(this._aiWorker && this._aiWorker.measuresExecutionTime && typeof value.executionTime == 'number') {
+      return this._checkBudget(value.executionTime);
+    }
+    return this._checkBudget(this._getProcessingTime(), value.executionTime);
+  }
+
+  // time from sending the command to the worker until its response
+  _getProcessingTime() {
+    return (new Date()).getTime() - this._aiProcessingStart;
+  }
+
+  _checkBudget(executionTime, reportedTime) {
+    if(executionTime <= this._aiDefinition.executionLimit) {
+      return BUDGET_OK;
+    }
+    this._budgetViolations++;
+    let details = Math.round(executionTime) + "ms";
+    if(typeof reportedTime == 'number') {
+      details += ", " + Math.round(reportedTime) + "ms reported by the worker";
+    }
+    console.warn("Execution of AI for tank " + this._tank.name + " #" + this._tank.id + " takes too long (" + details + "). The step is skipped. If problem repeats, the tank will be disqualified.");
+    if(this._budgetViolations >= this._budgetViolationLimit) {
+      return BUDGET_DISQUALIFIED;
+    }
+    return BUDGET_EXCEEDED;
+  }
+
+  _updateTank(control, budget) {
+    switch(budget) {
+      case BUDGET_EXCEEDED:
+        // the tank keeps control values from the previous step
+        this._recordBudget(BUDGET_EXCEEDED);
+        this._tank.onBudgetExceeded(this._budgetPenalty);
+        break;
+      case BUDGET_DISQUALIFIED:
+        this._disqualify(this._tank.name + " #" + this._tank.id + " has exceeded execution time limit too many times");
+        break;
+      default:
+        this._controlTank(control);
+    }
+  }
+
+  _persist(data) {
+    if(data === undefined) {
+      return;
+    }
+    if(!data || typeof data != 'object' || Array.isArray(data)) {
+      console.warn("Data persisted by " + this._tank.fullName + " is ignored because it is not an object");
+      return;
+    }
+    if(this._tank.team) {
+      this._tank.team.setPersistentData(JSON.parse(JSON.stringify(data)));
+    }
+  }
+
+  _disqualify(reason) {
+    console.warn("Tank " + this._tank.name + " #" + this._tank.id + " is disqualified: " + reason);
+    this._recordBudget(BUDGET_DISQUALIFIED);
+    this._tank.disqualify();
+    if(this._aiWorker) {
+      this._aiWorker.terminate();
+      this._aiWorker = null;
+    }
+  }
+
+  _recordBudget(budget) {
+    if(this._recordedTimeline) {
+      this._recordedTimeline.recordControl(this._tank.id, Object.assign({}, this._controlData, {SHOOT: 0, BUDGET: budget}));
+    }
+  }
+
+  // a step that takes as long as all allowed budget violations together is
+  // interrupted. The tank is disqualified then
+  _getSandboxTimeout() {
+    return Math.min(this._aiDefinition.executionLimit * this._budgetViolationLimit, this._aiProcessingTimeLimit);
   }
 
   _createWorker(def) {
-    if(def.useSandbox) {
-      return new Worker(def.filePath);
-    } else {
+    if(this._playedTimeline) {
+      return new ReplayWorker(this._playedTimeline, this._tank.id);
+    } else if(!def.useSandbox) {
       return new EvalWorker();
+    } else if(typeof Worker == 'undefined') {
+      return new VmWorker(this._getSandboxTimeout());
+    } else {
+      return new Worker(def.filePath);
     }
   }
 }
@@ -1,6 +1,10 @@
 'use strict';
 
 import seedrandom from "seedrandom";
+import geometry from "./geometry.js";
+
+const OBSTACLE_CLEARANCE = 45;
+const START_SLOT_CLEARANCE = 60;
 
 export default class Battlefield {
 
@@ -8,6 +12,9 @@ export default class Battlefield {
     this._width = null;
     this._height = null;
     this._startSlotList = [];
+    this._teamSlotList = [];
+    this._obstacleList = [];
+    this._map = null;
     this._offsetX = 0;
     this._offsetY = 0;
   }
@@ -19,6 +26,12 @@ export default class Battlefield {
 
   }
 
+  setMap(map) { // size of the map does not include margins
+    this._map = map;
+    this._width = map.width;
+    this._height = map.height;
+  }
+
   randomize(seed) { // remember to call it after setSize !!!
     if(seed === undefined) {
       seed = (new Date()).getTime() + Math.round(Math.random()*1000000);
@@ -27,13 +40,28 @@ export default class Battlefield {
 
     this._offsetX = Math.round(rng()*10000-5000);
     this._offsetY = Math.round(rng()*10000-5000);
-    
+
+    // positions in map definitions are relative to top-left corner of the arena
+    let map = this._map || {};
+    this._obstacleList = (map.obstacles || []).map((obstacle) => this._createObstacle(obstacle));
+    this._teamSlotList = (map.startSlots || []).map((slotList) => slotList.map((slot) => ({
+      x: slot.x + this.minX,
+      y: slot.y + this.minY,
+      angle: slot.angle
+    })));
+    let mapSlotList = [].concat(...this._teamSlotList);
+
     // generate list of start slots
     this._startSlotList = [];
     let slotSize = 90;
+    let slot;
     for(let x = this.minX + slotSize; x < this.maxX - slotSize; x += slotSize) {
       for(let y = this.minY + slotSize; y < this.maxY - slotSize; y += slotSize) {
-        this._startSlotList.push({x: x, y: y});
+        slot = {x: x, y: y};
+        if(this._isSlotBlocked(slot, mapSlotList)) {
+          continue;
+        }
+        this._startSlotList.push(slot);
       }
     }
     // shuffle start slots
@@ -83,10 +111,61 @@ export default class Battlefield {
     return this._offsetY;
   }
 
-  getStartSlot() {
+  get map() {
+    return this._map;
+  }
+
+  get obstacles() {
+    return this._obstacleList;
+  }
+
+  getStartSlot(teamIndex) {
+    let teamSlotList = this._teamSlotList[teamIndex];
+    if(teamSlotList && teamSlotList.length) {
+      return teamSlotList.shift();
+    }
     if(this._startSlotList.length) {
       return this._startSlotList.pop();
     }
     return null;
   }
+
+  _createObstacle(obstacle) {
+    let points;
+    switch(obstacle.type) {
+      case 'box':
+        points = [
+          {x: obstacle.x, y: obstacle.y},
+          {x: obstacle.x + obstacle.width, y: obstacle.y},
+          {x: obstacle.x + obstacle.width, y: obstacle.y + obstacle.height},
+          {x: obstacle.x, y: obstacle.y + obstacle.height}
+        ];
+        break;
+      case 'polygon':
+        points = obstacle.points;
+        break;
+      default:
+        throw new Error("Unknown type of obstacle: " + obstacle.type);
+    }
+    points = points.map((point) => ({x: point.x + this.minX, y: point.y + this.minY}));
+    // keep the same winding for all polygons (the same as boxes have)
+    if(geometry.polygonArea(points) < 0) {
+      points.reverse();
+    }
+    return points;
+  }
+
+  _isSlotBlocked(slot, mapSlotList) {
+    for(let obstacle of this._obstacleList) {
+      if(geometry.pointToPolygonDistance(slot, obstacle) < OBSTACLE_CLEARANCE) {
+        return true;
+      }
+    }
+    for(let mapSlot of mapSlotList) {
+      if(Math.abs(mapSlot.x - slot.x) < START_SLOT_CLEARANCE && Math.abs(mapSlot.y - slot.y) < START_SLOT_CLEARANCE) {
+        return true;
+      }
+    }
+    return false;
+  }
 }
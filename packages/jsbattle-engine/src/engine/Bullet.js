@@ -1,19 +1,51 @@
 'use strict';
 
+import gameRules from "./rules.js";
+import weapons from "./weapons.js";
+
+// distance from the center of the tank where mines are dropped
+const DROP_DISTANCE = 30;
+
+function normalizeAngle(a) {
+  while(a > 180) a -= 360;
+  while(a < -180) a += 360;
+  return a;
+}
+
+/**
+ * Projectile fired by a tank. Its behavior depends on the weapon of the tank
+ * @see weapons.js
+ */
 export default class Bullet {
 
-  constructor(owner, id, power) {
+  /**
+   * @param {Tank} owner - tank that fired the bullet
+   * @param {Number} id - unique id of the bullet
+   * @param {Number} power - shooting power (0.1 - 1)
+   * @param {Object} rules - game rules of the battle. Default rules are used if not provided
+   * @param {Object} weapon - definition of the weapon. Cannon is used if not provided
+   * @param {Number} angleOffset - deviation from direction of the gun (in degrees)
+   */
+  constructor(owner, id, power, rules, weapon, angleOffset) {
+    rules = rules || gameRules.getDefaultRules();
+    this._weapon = weapon || weapons.getDefaultWeapon();
     this._id = id;
     this._owner = owner;
-    this._angle = owner.angle + owner.gunAngle;
-    while(this._angle > 180) this._angle -= 360;
-    while(this._angle < -180) this._angle += 360;
-    this._x = owner.x + owner.gunLength*Math.cos(this._angle*(Math.PI/180));
-    this._y = owner.y + owner.gunLength*Math.sin(this._angle*(Math.PI/180));
-    this._speed = 4;
+    this._angle = normalizeAngle(owner.angle + owner.gunAngle + (angleOffset || 0));
+    if(this._weapon.speed) {
+      this._x = owner.x + owner.gunLength*Math.cos(this._angle*(Math.PI/180));
+      this._y = owner.y + owner.gunLength*Math.sin(this._angle*(Math.PI/180));
+    } else {
+      // stationary projectiles are dropped behind the tank
+      this._x = owner.x - DROP_DISTANCE*Math.cos(owner.angle*(Math.PI/180));
+      this._y = owner.y - DROP_DISTANCE*Math.sin(owner.angle*(Math.PI/180));
+    }
+    this._speed = rules.bulletSpeed * this._weapon.speed;
     this._power = power;
-    this._damage = Math.round(1000 * power + 300 * power * power) * 0.01;
+    this._damage = Math.round(1000 * power + 300 * power * power) * 0.01 * rules.bulletDamage * this._weapon.damage;
+    this._distance = 0;
     this._exploded = false;
+    this._target = null;
   }
 
   get id() {
@@ -43,6 +75,18 @@ export default class Bullet {
   get power() {
     return this._power;
   }
+
+  /**
+   * @return name of the weapon that fired the bullet
+   */
+  get type() {
+    return this._weapon.name;
+  }
+
+  get radius() {
+    return this._weapon.radius;
+  }
+
   get owner() {
     return this._owner;
   }
@@ -51,17 +95,86 @@ export default class Bullet {
     return this._exploded;
   }
 
+  /**
+   * @return tank hit by the bullet or null if it has not hit any tank
+   */
+  get target() {
+    return this._target;
+  }
+
+  getSnapshot() {
+    return {
+      id: this._id,
+      ownerId: this._owner.id,
+      x: this._x,
+      y: this._y,
+      angle: this._angle,
+      speed: this._speed,
+      power: this._power,
+      damage: this._damage,
+      type: this._weapon.name,
+      distance: this._distance,
+      exploded: this._exploded
+    };
+  }
+
+  restoreSnapshot(snapshot) {
+    this._x = snapshot.x;
+    this._y = snapshot.y;
+    this._angle = snapshot.angle;
+    this._speed = snapshot.speed;
+    this._power = snapshot.power;
+    this._damage = snapshot.damage;
+    this._distance = snapshot.distance || 0;
+    this._exploded = snapshot.exploded;
+  }
+
   onWallHit() {
     this._exploded = true;
   }
 
   onEnemyHit(enemy) {
     this._exploded = true;
+    this._target = enemy;
     enemy.onDamage(this._damage);
   }
 
-  simulationStep() {
+  /**
+   * @param {Array} tankList - tanks of the battle. Homing projectiles follow the closest enemy
+   */
+  simulationStep(tankList) {
+    if(this._weapon.homing && tankList) {
+      this._steer(tankList);
+    }
     this._x += this._speed*Math.cos(this._angle*(Math.PI/180));
     this._y += this._speed*Math.sin(this._angle*(Math.PI/180));
+    this._distance += this._speed;
+    if(this._weapon.range !== null && this._distance >= this._weapon.range) {
+      // out of range
+      this._exploded = true;
+    }
+  }
+
+  _steer(tankList) {
+    let target = null;
+    let targetDistance = 0;
+    let dx, dy, d;
+    for(let tank of tankList) {
+      if(!tank || tank.energy <= 0 || tank == this._owner || this._owner.isAlly(tank)) continue;
+      dx = tank.x - this._x;
+      dy = tank.y - this._y;
+      d = Math.sqrt(dx*dx + dy*dy);
+      if(!target || d < targetDistance) {
+        target = tank;
+        targetDistance = d;
+      }
+    }
+    if(!target) {
+      return;
+    }
+    let targetAngle = Math.atan2(target.y - this._y, target.x - this._x)*(180/Math.PI);
+    let turn = normalizeAngle(targetAngle - this._angle);
+    turn = Math.max(-this._weapon.homing, Math.min(this._weapon.homing, turn));
+    this._angle = normalizeAngle(this._angle + turn);
   }
 }
@@ -0,0 +1,164 @@
+'use strict';
+
+import GameMode from "./GameMode.js";
+
+/**
+ * Capture the flag. Each team has a flag placed at start position of its
+ * first tank. Tanks pick up flags of enemies by driving over them and capture
+ * them by bringing them to the base of their own flag (the own flag must be
+ * at the base at that time). A flag is dropped when its carrier is destroyed.
+ * Tanks return dropped flags of their team to the base by driving over them.
+ * The first team that makes enough captures wins the battle
+ */
+class CaptureTheFlagMode extends GameMode {
+
+  constructor(definition) {
+    super(definition);
+    this._flagList = [];
+    this._captureMap = {};
+  }
+
+  get flags() {
+    return this._flagList;
+  }
+
+  get captureLimit() {
+    return this._definition.captureLimit;
+  }
+
+  getCaptures(team) {
+    return this._captureMap[team.name] || 0;
+  }
+
+  init(battlefield, teamList) {
+    super.init(battlefield, teamList);
+    this._captureMap = {};
+    this._flagList = teamList.map((team) => {
+      let base = team.members[0];
+      this._captureMap[team.name] = 0;
+      return {
+        team: team,
+        baseX: base.x,
+        baseY: base.y,
+        x: base.x,
+        y: base.y,
+        carrier: null
+      };
+    });
+  }
+
+  simulationStep(dt) {
+    let flag, tank;
+    for(flag of this._flagList) {
+      if(!flag.carrier) continue;
+      flag.x = flag.carrier.x;
+      flag.y = flag.carrier.y;
+      if(flag.carrier.energy <= 0) {
+        flag.carrier = null;
+      }
+    }
+    for(let team of this._teamList) {
+      for(tank of this._getAliveMembers(team)) {
+        this._touchFlags(tank);
+      }
+    }
+  }
+
+  _touchFlags(tank) {
+    let carried = this._flagList.find((flag) => flag.carrier == tank);
+    let ownFlag = this._flagList.find((flag) => flag.team == tank.team);
+    for(let flag of this._flagList) {
+      if(flag.carrier || !this._isInReach(tank, flag.x, flag.y)) continue;
+      if(flag == ownFlag) {
+        if(!this._isAtBase(flag)) {
+          this._returnFlag(flag);
+          tank.onObjectiveScore(this._definition.returnScore);
+        }
+      } else if(!carried) {
+        flag.carrier = tank;
+        carried = flag;
+      }
+    }
+    if(carried && this._isAtBase(ownFlag) && this._isInReach(tank, ownFlag.baseX, ownFlag.baseY)) {
+      this._returnFlag(carried);
+      this._captureMap[tank.team.name]++;
+      tank.onObjectiveScore(this._definition.captureScore);
+    }
+  }
+
+  _isInReach(tank, x, y) {
+    let dx = tank.x - x;
+    let dy = tank.y - y;
+    return Math.sqrt(dx*dx + dy*dy) <= this._definition.flagRadius;
+  }
+
+  _isAtBase(flag) {
+    return !flag.carrier && flag.x == flag.baseX && flag.y == flag.baseY;
+  }
+
+  _returnFlag(flag) {
+    flag.carrier = null;
+    flag.x = flag.baseX;
+    flag.y = flag.baseY;
+  }
+
+  isFinished() {
+    return this._teamList.some((team) => this.getCaptures(team) >= this.captureLimit);
+  }
+
+  getTankState(tank) {
+    let enemyCaptures = 0;
+    for(let team of this._teamList) {
+      if(team != tank.team) {
+        enemyCaptures = Math.max(enemyCaptures, this.getCaptures(team));
+      }
+    }
+    return {
+      name: this.name,
+      flags: this._flagList.map((flag) => ({
+        ally: flag.team == tank.team,
+        x: flag.x,
+        y: flag.y,
+        baseX: flag.baseX,
+        baseY: flag.baseY,
+        atBase: this._isAtBase(flag),
+        carrierId: flag.carrier ? flag.carrier.id : null
+      })),
+      captures: tank.team ? this.getCaptures(tank.team) : 0,
+      enemyCaptures: enemyCaptures,
+      captureLimit: this.captureLimit
+    };
+  }
+
+  getResult() {
+    return {
+      name: this.name,
+      captures: Object.assign({}, this._captureMap)
+    };
+  }
+
+  getSnapshot() {
+    return {
+      captureMap: Object.assign({}, this._captureMap),
+      flagList: this._flagList.map((flag) => ({
+        x: flag.x,
+        y: flag.y,
+        carrierId: flag.carrier ? flag.carrier.id : null
+      }))
+    };
+  }
+
+  restoreSnapshot(snapshot) {
+    this._captureMap = Object.assign({}, snapshot.captureMap);
+    let tankList = this._teamList.reduce((list, team) => list.concat(team.members), []);
+    this._flagList.forEach((flag, index) => {
+      let data = snapshot.flagList[index];
+      flag.x = data.x;
+      flag.y = data.y;
+      flag.carrier = tankList.find((tank) => tank.id == data.carrierId) || null;
+    });
+  }
+
+}
+
+export default CaptureTheFlagMode;
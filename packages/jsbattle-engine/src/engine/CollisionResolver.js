@@ -1,6 +1,7 @@
 'use strict';
 
 import SAT from 'sat';
+import geometry from './geometry.js';
 
 export default class CollisionResolver {
 
@@ -9,6 +10,7 @@ export default class CollisionResolver {
     this._tankMap = [];
     this._bulletMap = [];
     this._radarBeamMap = [];
+    this._obstacleEdgeList = [];
     this._battlefield = null;
   }
 
@@ -28,6 +30,13 @@ export default class CollisionResolver {
     this._wallList.push(wall);
     wall = (new SAT.Box(new SAT.Vector(battlefield.minX, battlefield.maxY), battlefield.width, 10)).toPolygon();
     this._wallList.push(wall);
+
+    let obstacles = battlefield.obstacles || [];
+    let polygons = obstacles.map((points) => points.map((point) => new SAT.Vector(point.x, point.y)));
+    for(let i=0; i < obstacles.length; i++) {
+      this._wallList.push(new SAT.Polygon(new SAT.Vector(0, 0), polygons[i]));
+      this._obstacleEdgeList = this._obstacleEdgeList.concat(geometry.getEdges(obstacles[i]));
+    }
   }
 
   updateTank(tank) {
@@ -36,6 +45,12 @@ export default class CollisionResolver {
     tankShape.pos.y = tank.y;
   }
 
+  updateBullet(bullet) {
+    let bulletShape =  this._getBulletShape(bullet);
+    bulletShape.pos.x = bullet.x;
+    bulletShape.pos.y = bullet.y;
+  }
+
   removeBullet(bullet) {
     this._bulletMap[bullet.id] = null;
   }
@@ -77,6 +92,7 @@ export default class CollisionResolver {
         bullet.onEnemyHit(enemyShape.tank);
         let areAllies = bullet.owner.isAlly(enemyShape.tank);
         if(!areAllies) {
+          bullet.owner.onTargetHit();
           bullet.owner.onEnemyHitScore(energyBefore - enemyShape.tank.energy);
         }
         if(enemyShape.tank.energy == 0) {
@@ -149,36 +165,33 @@ export default class CollisionResolver {
         continue;
       }
       hitTest = SAT.testPolygonCircle(radarBeamShape, enemyShape);
-      if(hitTest) {
+      if(hitTest && this._isInLineOfSight(tank, enemyShape.tank)) {
         enemies.push(enemyShape.tank);
       }
     }
     if(enemies.length == 0) {
       return false;
     }
+    let contacts = enemies.map((enemy) => {
+      let dx = enemy.x - tank.x;
+      let dy = enemy.y - tank.y;
+      return {
+        tank: enemy,
+        distance: Math.sqrt(dx*dx + dy*dy)
+      };
+    });
+    // closest contacts are reported first
+    contacts.sort((a, b) => (a.distance - b.distance) || (a.tank.id - b.tank.id));
     let closestEnemy = null;
-    let closestEnemyDistance = tank.radarRange;
-    let closestAlly = null;
-    let closestAllyDistance = tank.radarRange;
-    let d, dx, dy, ally;
-    for(i in enemies ) {
-      dx = enemies[i].x - tank.x;
-      dy = enemies[i].y - tank.y;
-      d = Math.sqrt(dx*dx + dy*dy);
-      ally = enemies[i].isAlly(tank);
-      if(!ally && (!closestEnemy || d < closestEnemyDistance)) {
-        closestEnemy = enemies[i];
-        closestEnemyDistance = d;
-      } else if(ally && (!closestAlly || d < closestAllyDistance)) {
-        closestAlly = enemies[i];
-        closestAllyDistance = d;
+    for(let contact of contacts) {
+      if(contact.tank.isAlly(tank)) {
+        tank.onAllySpot(contact.tank);
+      } else {
+        tank.onEnemySpot(contact.tank);
+        closestEnemy = closestEnemy || contact.tank;
       }
     }
-    if(closestAlly) {
-      tank.onAllySpot(closestAlly);
-    }
     if(closestEnemy) {
-      tank.onEnemySpot(closestEnemy);
       closestEnemy.onTargetingAlarm();
     }
 
@@ -202,7 +215,7 @@ export default class CollisionResolver {
       if(!bulletShape) continue;
       if(bulletShape.bullet.owner == tank) continue;
       hitTest = SAT.testCirclePolygon(bulletShape, radarBeamShape);
-      if(hitTest) {
+      if(hitTest && this._isInLineOfSight(tank, bulletShape.bullet)) {
         tank.onBulletSpot(bulletShape.bullet);
         spottedBullets = true;
       }
@@ -221,7 +234,29 @@ export default class CollisionResolver {
     return false;
   }
 
+  _isInLineOfSight(source, target) {
+    for(let edge of this._obstacleEdgeList) {
+      if(geometry.segmentsIntersect(source, target, edge[0], edge[1])) {
+        return false;
+      }
+    }
+    return true;
+  }
+
   _getWallDistance(tank) {
+    let distance = this._getOuterWallDistance(tank);
+    let angle = (tank.angle + tank.radarAngle)*(Math.PI/180);
+    let obstacleDistance;
+    for(let edge of this._obstacleEdgeList) {
+      obstacleDistance = geometry.rayToSegmentDistance(tank, angle, edge[0], edge[1]);
+      if(obstacleDistance !== null && obstacleDistance < distance) {
+        distance = obstacleDistance;
+      }
+    }
+    return distance;
+  }
+
+  _getOuterWallDistance(tank) {
     let angle = tank.angle + tank.radarAngle;
     while(angle > 180) angle -= 360;
     while(angle < -180) angle += 360;
@@ -277,7 +312,7 @@ export default class CollisionResolver {
       if(bullet.exploded) {
         throw "Cannot create shape for exploded bullet";
       }
-      let shape = new SAT.Circle(new SAT.Vector(bullet.x,bullet.y), 3);
+      let shape = new SAT.Circle(new SAT.Vector(bullet.x,bullet.y), bullet.radius);
       this._bulletMap[bullet.id] = shape;
       shape.bullet = bullet;
     }
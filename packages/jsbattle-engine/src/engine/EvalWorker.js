@@ -4,6 +4,11 @@ class TankController {
   constructor() {
     this._initCallback = () => {};
     this._loopCallback = () => {};
+    this._persistentData = undefined;
+  }
+
+  persist(data) {
+    this._persistentData = data;
   }
 
   loop(callback) {
@@ -35,16 +40,20 @@ class EvalWorker {
       let tank = this._tankController;
       eval(inputData.code);  // jshint ignore:line
       tank._initCallback(settings, info);
-      response = {data: {type: 'init', settings: settings}};
+      response = {data: {type: 'init', settings: settings, persistentData: this._takePersistentData()}};
     } else if (inputData.command == 'update') {
       let state = inputData.state;
       let control = inputData.control;
+      let startTime = (new Date()).getTime();
       if(this._tankController._loopCallback) {
         this._tankController._loopCallback(state, control);
-        response = {data: control};
-      } else {
-        response = {data: control};
       }
+      response = {data: {
+        type: 'update',
+        control: control,
+        executionTime: (new Date()).getTime() - startTime,
+        persistentData: this._takePersistentData()
+      }};
     }
     if(this._callStackCount < this._callStackLimit) {
       this._callStackCount++;
@@ -58,6 +67,12 @@ class EvalWorker {
 
   }
 
+  _takePersistentData() {
+    let data = this._tankController._persistentData;
+    this._tankController._persistentData = undefined;
+    return data;
+  }
+
   terminate() {
 
   }
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Base class of game modes. It does not introduce any objectives so the battle
+ * lasts until one team is left (deathmatch). Other modes extend it with
+ * their own objectives, scoring and finish conditions
+ */
+class GameMode {
+
+  constructor(definition) {
+    this._definition = definition;
+    this._teamList = [];
+  }
+
+  /**
+   * @return name of the mode
+   */
+  get name() {
+    return this._definition.name;
+  }
+
+  /**
+   * @return complete definition of the mode (name and its parameters)
+   */
+  get definition() {
+    return this._definition;
+  }
+
+  get teamList() {
+    return this._teamList;
+  }
+
+  /**
+   * Called once when the battle starts and all tanks are at their start positions
+   * @param {Battlefield} battlefield - battlefield of the battle
+   * @param {Array} teamList - list of all teams of the battle
+   */
+  init(battlefield, teamList) {
+    this._teamList = teamList;
+  }
+
+  /**
+   * process one step of the simulation
+   * @param {Number} dt - duration of the step (in milliseconds)
+   */
+  simulationStep(dt) {
+
+  }
+
+  /**
+   * @return true if objectives of the mode have been completed and the battle is over
+   */
+  isFinished() {
+    return false;
+  }
+
+  /**
+   * @return state of the mode from perspective of given tank. It is exposed to AI scripts as `state.mode`
+   */
+  getTankState(tank) {
+    return {
+      name: this.name
+    };
+  }
+
+  /**
+   * @return mode-specific results of the battle
+   */
+  getResult() {
+    return {
+      name: this.name
+    };
+  }
+
+  getSnapshot() {
+    return {};
+  }
+
+  restoreSnapshot(snapshot) {
+
+  }
+
+  _getAliveMembers(team) {
+    return team.members.filter((tank) => tank.energy > 0);
+  }
+
+}
+
+export default GameMode;
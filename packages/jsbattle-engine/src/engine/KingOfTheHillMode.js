@@ -0,0 +1,128 @@
+'use strict';
+
+import GameMode from "./GameMode.js";
+
+/**
+ * King of the hill. There is a zone in the middle of the battlefield. A team
+ * that is the only one with tanks inside the zone holds it. The battle is won
+ * by the first team that holds the zone long enough. Tanks inside the held
+ * zone receive points for each second of holding.
+ */
+class KingOfTheHillMode extends GameMode {
+
+  constructor(definition) {
+    super(definition);
+    this._zone = null;
+    this._holder = null;
+    this._holdTimeMap = {};
+  }
+
+  get zone() {
+    return this._zone;
+  }
+
+  /**
+   * @return team that holds the zone or null if the zone is empty or contested
+   */
+  get holder() {
+    return this._holder;
+  }
+
+  get holdLimit() {
+    return this._definition.holdLimit;
+  }
+
+  getHoldTime(team) {
+    return this._holdTimeMap[team.name] || 0;
+  }
+
+  init(battlefield, teamList) {
+    super.init(battlefield, teamList);
+    this._zone = {
+      x: (battlefield.minX + battlefield.maxX)/2,
+      y: (battlefield.minY + battlefield.maxY)/2,
+      radius: this._definition.zoneRadius
+    };
+    this._holder = null;
+    this._holdTimeMap = {};
+    for(let team of teamList) {
+      this._holdTimeMap[team.name] = 0;
+    }
+  }
+
+  isInZone(tank) {
+    if(!this._zone || tank.energy <= 0) {
+      return false;
+    }
+    let dx = tank.x - this._zone.x;
+    let dy = tank.y - this._zone.y;
+    return Math.sqrt(dx*dx + dy*dy) <= this._zone.radius;
+  }
+
+  simulationStep(dt) {
+    let teamsInZone = this._teamList.filter((team) => team.members.some((tank) => this.isInZone(tank)));
+    this._holder = teamsInZone.length == 1 ? teamsInZone[0] : null;
+    if(!this._holder) {
+      return;
+    }
+    this._holdTimeMap[this._holder.name] = Math.min(this.holdLimit, this._holdTimeMap[this._holder.name] + dt);
+    let points = this._definition.zoneScore*dt/1000;
+    for(let tank of this._holder.members) {
+      if(this.isInZone(tank)) {
+        tank.onObjectiveScore(points);
+      }
+    }
+  }
+
+  isFinished() {
+    return this._teamList.some((team) => this.getHoldTime(team) >= this.holdLimit);
+  }
+
+  getTankState(tank) {
+    let holder = null;
+    if(this._holder) {
+      holder = this._holder == tank.team ? 'ally' : 'enemy';
+    }
+    let enemyHoldTime = 0;
+    for(let team of this._teamList) {
+      if(team != tank.team) {
+        enemyHoldTime = Math.max(enemyHoldTime, this.getHoldTime(team));
+      }
+    }
+    return {
+      name: this.name,
+      zone: {
+        x: this._zone.x,
+        y: this._zone.y,
+        radius: this._zone.radius
+      },
+      inZone: this.isInZone(tank),
+      holder: holder,
+      holdTime: tank.team ? this.getHoldTime(tank.team) : 0,
+      enemyHoldTime: enemyHoldTime,
+      holdLimit: this.holdLimit
+    };
+  }
+
+  getResult() {
+    return {
+      name: this.name,
+      holdTime: Object.assign({}, this._holdTimeMap)
+    };
+  }
+
+  getSnapshot() {
+    return {
+      holder: this._holder ? this._holder.name : null,
+      holdTimeMap: Object.assign({}, this._holdTimeMap)
+    };
+  }
+
+  restoreSnapshot(snapshot) {
+    this._holder = this._teamList.find((team) => team.name == snapshot.holder) || null;
+    this._holdTimeMap = Object.assign({}, snapshot.holdTimeMap);
+  }
+
+}
+
+export default KingOfTheHillMode;
@@ -0,0 +1,56 @@
+'use strict';
+
+// Replacement of AI worker that does not run any code. Responses are read
+// from recorded Timeline instead.
+class ReplayWorker {
+
+  constructor(timeline, tankId) {
+    this.onmessage = (msg) => {};
+    this.onerror = (err) => {};
+    this._timeline = timeline;
+    this._tankId = tankId;
+    this._controlList = null;
+    this._step = 0;
+  }
+
+  get step() {
+    return this._step;
+  }
+
+  // jump to given step of the timeline. Used when the battle is rewound
+  seek(step) {
+    if(!this._controlList) {
+      this._controlList = this._timeline.getControlList(this._tankId);
+    }
+    this._step = step;
+  }
+
+  postMessage(inputData) {
+    if(inputData.command == 'init') {
+      if(!this._timeline.hasTrack(this._tankId)) {
+        this.onerror({message: "Timeline does not contain data of tank #" + this._tankId});
+        return;
+      }
+      this._controlList = this._timeline.getControlList(this._tankId);
+      this._step = 0;
+      this.onmessage({data: {type: 'init', settings: this._timeline.getSettings(this._tankId)}});
+    } else if (inputData.command == 'update') {
+      if(!this._controlList || this._step >= this._controlList.length) {
+        this.onerror({message: "Timeline of tank #" + this._tankId + " has ended"});
+        return;
+      }
+      let control = Object.assign({}, inputData.control, this._controlList[this._step]);
+      let budget = control.BUDGET;
+      delete control.BUDGET;
+      control.OUTBOX = [];
+      this._step++;
+      this.onmessage({data: {type: 'update', control: control, budget: budget}});
+    }
+  }
+
+  terminate() {
+    this._controlList = null;
+  }
+}
+
+export default ReplayWorker;
@@ -3,14 +3,22 @@
 import Tank from "./Tank.js";
 import Team from "./Team.js";
 import Bullet from "./Bullet.js";
+import weapons from "./weapons.js";
 import Battlefield from "./Battlefield.js";
 import EventStore from "./EventStore.js";
 import CollisionResolver from "./CollisionResolver.js";
 import AiWrapper from "./AiWrapper.js";
 import PerformanceMonitor from "./PerformanceMonitor.js";
 import UltimateBattleDescriptor from "./UltimateBattleDescriptor.js";
+import Timeline from "./Timeline.js";
 import seedrandom from "seedrandom";
 import finishCondition from "./finishCondition.js";
+import maps from "./maps.js";
+import gameRules from "./rules.js";
+import modes from "./modes.js";
+
+// number of simulation steps between snapshots taken during playback of the timeline
+const SNAPSHOT_INTERVAL = 60;
 
 /**
  * Battle simulation component. Process the simulation updating all related objects
@@ -27,18 +35,26 @@ class Simulation {
   constructor(renderer, debug) {
     this._debug = debug;
     this._aiList = [];
+    this._allAiList = [];
     this._allTankList = [];
     this._tankList = [];
     this._bulletList = [];
     this._explodedTankList = [];
     this._explodedBulletList = [];
     this._battlefield = null;
+    this._map = null;
+    this._rules = gameRules.getDefaultRules();
+    this._mode = modes.createMode('deathmatch');
     this._simulationTimeout = null;
     this._renderInterval = null;
     this._simulationStepDuration = 17;
     this._renderStepDuration = 30;
     this._renderer = renderer;
     this._isRunning = false;
+    this._isPaused = false;
+    this._isStepInProgress = false;
+    this._isSeeking = false;
+    this._afterStepCallback = null;
     this._collisionResolver = new CollisionResolver();
     this._rngSeed = (new Date()).getTime() + Math.round(Math.random()*1000000);
     this._rng = seedrandom(this._rngSeed);
@@ -63,6 +79,10 @@ class Simulation {
     this._teamMap = [];
     this._teamList = [];
     this._ultimateBattleDescriptor = new UltimateBattleDescriptor();
+    this._timeline = null;
+    this._isTimelinePlayback = false;
+    this._snapshotList = [];
+    this._eventLog = [];
     this.log('Contructing Simulation');
   }
 
@@ -117,16 +137,95 @@ class Simulation {
     this._finishCondition = callback;
   }
 
+  /**
+   * Select map of the battlefield. The map defines size of the arena, obstacles
+   * and start positions of teams. Must be called before `Simulation.init()`.
+   * List of available maps can be retrieved by `JsBattle.getMapList()`
+   * @param {String} name - name of the map
+   */
+  setMap(name) {
+    this.log(`Set map to '${name}'`);
+    if(this._battlefield) {
+      throw new Error("Map must be selected before initialization of the battlefield");
+    }
+    let map = maps.getMap(name);
+    if(!map) {
+      throw new Error(`Unknown map '${name}'`);
+    }
+    this._map = map;
+    this._ultimateBattleDescriptor.setMap(name);
+  }
+
+  /**
+   * @return definition of selected map or null if the map was not selected
+   */
+  get map() {
+    return this._map;
+  }
+
+  /**
+   * Set game rules of the battle (energy, damage, speeds, radar range, etc.).
+   * Rules can be provided as a name of a preset (`default`, `one-shot`, `long-radar`,
+   * `no-boost`) or as an object that overrides selected values of default rules.
+   * Must be called before adding tanks
+   * @param {String|Object} rules - name of the preset or definition of the rules
+   */
+  setRules(rules) {
+    if(this._allTankList.length) {
+      throw new Error("Rules must be set before adding tanks to the battle");
+    }
+    this._rules = gameRules.createRules(rules);
+    this.log(`Set rules to '${this._rules.name}'`);
+    this._ultimateBattleDescriptor.setRules(this._rules);
+  }
+
+  /**
+   * @return game rules of the battle
+   */
+  get rules() {
+    return this._rules;
+  }
+
+  /**
+   * Set game mode of the battle. Available modes: `deathmatch` (default, the
+   * last team standing wins), `koth` (king of the hill) and `ctf` (capture the flag).
+   * The mode can be provided as its name or as an object with the name and
+   * parameters that override defaults of the mode. In all modes the battle is also
+   * over when only one team is left. Must be called before the battle is started.
+   * List of available modes can be retrieved by `JsBattle.getModeList()`
+   * @param {String|Object} mode - name of the mode or its definition
+   */
+  setMode(mode) {
+    if(this._isRunning) {
+      throw new Error("Game mode must be set before start of the battle");
+    }
+    this._mode = modes.createMode(mode);
+    this.log(`Set game mode to '${this._mode.name}'`);
+    this._ultimateBattleDescriptor.setMode(this._mode.definition);
+  }
+
+  /**
+   * @return game mode of the battle
+   */
+  get mode() {
+    return this._mode;
+  }
+
   /**
    * Initialize the battle field. Must be called before any other calls
-   * to simulation object
+   * to simulation object. If a map is selected, its size is used instead of
+   * provided dimensions
    * @param {Number} width - width of the battlefield
    * @param {Number} height - height of the battlefield
    */
   init(width, height) {
     this.log(`Initialize the battlefield (width=${width}, height=${height})`);
     this._battlefield = new Battlefield();
-    this._battlefield.setSize(width, height);
+    if(this._map) {
+      this._battlefield.setMap(this._map);
+    } else {
+      this._battlefield.setSize(width, height);
+    }
     this._battlefield.randomize(this._rng());
     this._renderer.initBatlefield(this._battlefield);
     this._collisionResolver.updateBattlefield(this._battlefield);
@@ -215,40 +314,195 @@ class Simulation {
         self.log(`Run first simulation step`);
         self._simulationStep();
       },
-      (err) => {
-        console.error(err);
-        for(i=0; i < self._onErrorCallback.length; i++) self._onErrorCallback[i](err.message ? err.message : "Error during simulation");
-      }
+      (err) => self._notifyError(err)
     );
   }
 
+  /**
+   * Runs the whole battle at once, as fast as CPU allows. There is no rendering loop
+   * and no timers between steps of the simulation. The renderer is refreshed only
+   * when the battle is over. It is the way to get results of the battle in environments
+   * without a browser (e.g. Node.js). Remember to call `Simulation.init()` and
+   * `Simulation.addTank()` before executing this method. Calling `Simulation.stop()`
+   * during the battle rejects the promise.
+   * @return {Promise} promise resolved with results of the battle when it is over
+   * @see Simulation.getResult()
+   */
+  runToCompletion() {
+    this.log(`Running the simulation to completion`);
+    if(this._tankList.length == 0) {
+      throw new Error("To start simulation, the tank list cannot be empty!");
+    }
+    this._isRunning = true;
+    return new Promise((resolve, reject) => {
+      let fail = (err) => {
+        this.stop();
+        this._notifyError(err);
+        reject(new Error(err.message ? err.message : "Error during simulation"));
+      };
+      this.log(`Activating AIs...`);
+      this._activateAi(
+        () => {
+          this.log(`Notify onStartCallback`);
+          for(let i=0; i < this._onStartCallback.length; i++) this._onStartCallback[i]();
+          this._fastForward(resolve, fail);
+        },
+        fail
+      );
+    });
+  }
+
+  /**
+   * @return results of the battle: elapsed time, final scores and statistics
+   * of all tanks and teams and mode-specific results. Tanks removed from the
+   * battle because their AI exceeded execution time limit (and their teams)
+   * are marked as `disqualified`. Data stored by AI scripts via `tank.persist()`
+   * is returned as `persistentData` of each team
+   * @see Simulation.getStats()
+   */
+  getResult() {
+    return {
+      timeElapsed: this._timeElapsed,
+      timeLimit: this._timeLimit,
+      tankList: this._teamList.reduce((list, team) => list.concat(team.members.map((tank) => ({
+        id: tank.id,
+        team: team.name,
+        name: tank.name,
+        fullName: tank.fullName,
+        energy: tank.energy,
+        score: tank.score,
+        disqualified: tank.disqualified,
+        stats: this._createStatsReport(tank.stats)
+      }))), []),
+      teamList: this._teamList.map((team) => ({
+        name: team.name,
+        aliveCount: team.aliveCount,
+        energy: team.energy,
+        maxEnergy: team.maxEnergy,
+        size: team.size,
+        score: team.score,
+        disqualified: team.members.some((tank) => tank.disqualified),
+        persistentData: team.persistentData,
+        stats: this._createStatsReport(team.stats)
+      })),
+      mode: this._mode.getResult()
+    };
+  }
+
+  /**
+   * Statistics collected since the beginning of the battle. Each tank and team has:
+   * `shots`, `hits` (bullets that hit an enemy), `accuracy` (hits / shots),
+   * `damageDealt` (to enemies), `damageReceived`, `distance` (travelled),
+   * `boostTime` (in milliseconds) and `skippedSteps` (steps when AI exceeded
+   * its execution time limit)
+   * @return object with `tankList` and `teamList` containing statistics of each tank and team
+   */
+  getStats() {
+    return {
+      tankList: this._allTankList.map((tank) => ({
+        id: tank.id,
+        name: tank.name,
+        team: tank.team ? tank.team.name : null,
+        stats: this._createStatsReport(tank.stats)
+      })),
+      teamList: this._teamList.map((team) => ({
+        name: team.name,
+        stats: this._createStatsReport(team.stats)
+      }))
+    };
+  }
+
+  /**
+   * Log of the most important events of the battle in chronological order.
+   * Each entry has `time` (in milliseconds) and `type`:
+   *  - `shoot` - tank `tankId` fired bullet `bulletId` of given `power`
+   *  - `hit` - bullet `bulletId` of tank `tankId` hit tank `targetId` causing `damage`
+   *  - `miss` - bullet `bulletId` of tank `tankId` hit a wall or an obstacle
+   *  - `destroy` - tank `tankId` has been destroyed
+   * @return list of events
+   */
+  getEventLog() {
+    return this._eventLog;
+  }
+
+  _fastForward(resolve, reject, targetTime) {
+    while(this._fastForwardStep(resolve, reject, targetTime)) {
+      this._eventStore.clear();
+    }
+  }
+
+  _fastForwardStep(resolve, reject, targetTime) {
+    if(!this._isRunning) {
+      reject(new Error("Simulation has been stopped"));
+      return false;
+    }
+    let isAsync = false;
+    let isDone = false;
+    this._updateModel();
+    this._updateAi(
+      () => {
+        isDone = true;
+        if(isAsync && this._completeFastForwardStep(resolve, targetTime)) {
+          // AI responded asynchronously so the loop must be resumed
+          this._fastForward(resolve, reject, targetTime);
+        }
+      },
+      reject
+    );
+    if(!isDone) {
+      isAsync = true;
+      return false;
+    }
+    return this._completeFastForwardStep(resolve, targetTime);
+  }
+
+  _completeFastForwardStep(resolve, targetTime) {
+    if(!this._isRunning) {
+      // promise is rejected at the beginning of the next step
+      return true;
+    }
+    if(this._isBattleOver()) {
+      this._finish();
+      resolve(this.getResult());
+      return false;
+    }
+    this._nextStep();
+    if(targetTime !== undefined && this._timeElapsed >= targetTime) {
+      resolve(this.getResult());
+      return false;
+    }
+    return true;
+  }
+
   _simulationStep() {
     this._perfMon.onSimulationStep();
     let startTime = (new Date()).getTime();
     let self = this;
-    let i;
+    this._isStepInProgress = true;
     this._updateModel();
     this._updateAi(
       () => {
+        self._isStepInProgress = false;
         if(self._simulationTimeout) {
           clearTimeout(self._simulationTimeout);
           self._simulationTimeout = null;
         }
-        if((self._timeLimit > 0 && self._timeElapsed == self._timeLimit) || self._finishCondition(self)) {
-          self.stop();
-          self._updateModel();
-          self._updateView();
-          for(i=0; i < self._onFinishCallback.length; i++) self._onFinishCallback[i]();
+        if(self._isBattleOver()) {
+          self._finish();
         }
         if(self._isRunning) {
+          self._nextStep();
+        }
+        if(self._afterStepCallback) {
+          let callback = self._afterStepCallback;
+          self._afterStepCallback = null;
+          callback();
+          return;
+        }
+        if(self._isRunning && !self._isPaused) {
           let processingTime = (new Date()).getTime() - startTime;
           let dt = self._simulationStepDuration/self._speedMultiplier - processingTime;
           dt = Math.round(dt);
-          for(i=0; i < self._onSimulationStepCallback.length; i++) self._onSimulationStepCallback[i]();
-          self._timeElapsed += self._simulationStepDuration;
-          if(self._timeLimit > 0) {
-            self._timeElapsed = Math.min(self._timeElapsed, self._timeLimit);
-          }
           if(dt > 0) {
             self._callStackCount=0;
             self._simulationTimeout = setTimeout(self._simulationStep.bind(self), dt);
@@ -260,13 +514,47 @@ class Simulation {
           }
         }
       },
-      (err) => {
-        console.error(err);
-        for(i=0; i < self._onErrorCallback.length; i++) self._onErrorCallback[i](err.message ? err.message : "Error during simulation");
-      }
+      (err) => self._notifyError(err)
     );
   }
 
+  _continueSimulation() {
+    if(!this._isRunning || this._isStepInProgress || this._isSeeking) {
+      return;
+    }
+    if(this._simulationTimeout) {
+      clearTimeout(this._simulationTimeout);
+    }
+    this._simulationTimeout = setTimeout(this._simulationStep.bind(this), 1);
+  }
+
+  _isBattleOver() {
+    return (this._timeLimit > 0 && this._timeElapsed == this._timeLimit) || this._finishCondition(this) || this._mode.isFinished();
+  }
+
+  _finish() {
+    this.stop();
+    this._updateModel();
+    this._updateView();
+    for(let i=0; i < this._onFinishCallback.length; i++) this._onFinishCallback[i]();
+  }
+
+  _nextStep() {
+    for(let i=0; i < this._onSimulationStepCallback.length; i++) this._onSimulationStepCallback[i]();
+    this._timeElapsed += this._simulationStepDuration;
+    if(this._timeLimit > 0) {
+      this._timeElapsed = Math.min(this._timeElapsed, this._timeLimit);
+    }
+    if(this._isTimelinePlayback) {
+      this._takeSnapshot();
+    }
+  }
+
+  _notifyError(err) {
+    console.error(err);
+    for(let i=0; i < this._onErrorCallback.length; i++) this._onErrorCallback[i](err.message ? err.message : "Error during simulation");
+  }
+
   /**
    * Create a tank according to provided `AiDefinition`. Remember to add at
    * least two tanks to the battle. Otherwise, it will stop immediately and
@@ -284,7 +572,11 @@ class Simulation {
     if(!aiDefinition.teamName) {
       throw "Team name cannot be empty!";
     }
-    let startSlot = this._battlefield.getStartSlot();
+    let teamIndex = this._teamList.findIndex((team) => team.name == aiDefinition.teamName);
+    if(teamIndex == -1) {
+      teamIndex = this._teamList.length;
+    }
+    let startSlot = this._battlefield.getStartSlot(teamIndex);
     if(!startSlot) {
       throw "No free space in the battlefield";
     }
@@ -292,7 +584,7 @@ class Simulation {
     this._ultimateBattleDescriptor.setTeamMode(this.hasTeams());
     let tank = this._createTank(aiDefinition);
     tank.randomize(this.getRandom());
-    tank.moveTo(startSlot.x, startSlot.y);
+    tank.moveTo(startSlot.x, startSlot.y, startSlot.angle);
     this._tankList.push(tank);
     this._allTankList.push(tank);
     if(this._timeLimit > 0 && this._allTankList.length > 2) {
@@ -307,6 +599,7 @@ class Simulation {
 
     let ai = this._createAiWrapper(tank, aiDefinition);
     this._aiList.push(ai);
+    this._allAiList.push(ai);
 
     return ai;
   }
@@ -370,6 +663,135 @@ class Simulation {
     this._aiList = [];
   }
 
+  /**
+   * Pause the battle. Rendering loop is still active so the battlefield is
+   * refreshed but the simulation does not progress until `Simulation.resume()`
+   * is called. Paused battle can be played step by step with
+   * `Simulation.stepForward()`
+   * @see Simulation.resume()
+   */
+  pause() {
+    this.log(`Pausing the simulation`);
+    this._isPaused = true;
+    if(this._simulationTimeout) {
+      clearTimeout(this._simulationTimeout);
+      this._simulationTimeout = null;
+    }
+  }
+
+  /**
+   * Resume the battle paused by `Simulation.pause()`
+   * @see Simulation.pause()
+   */
+  resume() {
+    this.log(`Resuming the simulation`);
+    if(!this._isPaused) {
+      return;
+    }
+    this._isPaused = false;
+    this._continueSimulation();
+  }
+
+  /**
+   * @return true if the battle has been paused
+   */
+  get isPaused() {
+    return this._isPaused;
+  }
+
+  /**
+   * Process one step of the simulation when the battle is paused. The call
+   * is ignored if the battle is not paused
+   * @see Simulation.pause()
+   */
+  stepForward() {
+    if(!this._isPaused || !this._isRunning || this._isStepInProgress || this._isSeeking) {
+      return;
+    }
+    this._simulationStep();
+  }
+
+  /**
+   * Move the battle to given point of time. Moving forward is always possible
+   * since all steps of the simulation are processed as fast as possible until
+   * the time is reached. Moving backward (rewinding) is possible only when the
+   * battle is replayed from recorded timeline because state of running
+   * AI scripts cannot be restored. The battle must be started with `Simulation.start()`
+   * before seeking.
+   * If the battle was paused, it stays paused after seeking.
+   * @param {Number} time - time of the battle (in milliseconds)
+   * @return {Promise} promise resolved when the time is reached
+   * @see Simulation.playTimeline()
+   */
+  seek(time) {
+    this.log(`Seeking to ${time}ms`);
+    if(!this._isRunning) {
+      return Promise.reject(new Error("Simulation must be running to seek"));
+    }
+    time = Math.max(0, Number(time) || 0);
+    if(this._timeLimit > 0) {
+      time = Math.min(time, this._timeLimit);
+    }
+    if(time < this._timeElapsed && !this._isTimelinePlayback) {
+      return Promise.reject(new Error("Rewinding is possible only during playback of recorded timeline"));
+    }
+    if(this._isSeeking) {
+      return Promise.reject(new Error("Previous seeking has not been finished yet"));
+    }
+    this._isSeeking = true;
+    return new Promise((resolve, reject) => {
+      let run = () => {
+        if(!this._isRunning) {
+          this._isSeeking = false;
+          reject(new Error("Simulation must be running to seek"));
+          return;
+        }
+        let done = () => {
+          this._isSeeking = false;
+          this._renderer.clearViews();
+          this._explodedTankList = [];
+          this._explodedBulletList = [];
+          this._eventStore.clear();
+          this._updateView();
+          if(this._isRunning && !this._isPaused) {
+            this._continueSimulation();
+          }
+          resolve();
+        };
+        let fail = (err) => {
+          this._isSeeking = false;
+          this.stop();
+          this._notifyError(err);
+          reject(new Error(err.message ? err.message : "Error during simulation"));
+        };
+        if(time < this._timeElapsed) {
+          try {
+            this._restoreSnapshot(time);
+          } catch(err) {
+            this._isSeeking = false;
+            reject(err);
+            return;
+          }
+        }
+        if(time <= this._timeElapsed) {
+          done();
+        } else {
+          this._fastForward(done, fail, time);
+        }
+      };
+      if(this._simulationTimeout) {
+        clearTimeout(this._simulationTimeout);
+        this._simulationTimeout = null;
+      }
+      if(this._isStepInProgress) {
+        // wait until processing of AI is finished
+        this._afterStepCallback = run;
+      } else {
+        run();
+      }
+    });
+  }
+
 
   /**
    * Allow adding a callback that will be called after each step of simulation
@@ -424,9 +846,41 @@ class Simulation {
     this._onErrorCallback.push(callback);
   }
 
+  /**
+   * Record control values applied to all tanks in each step of the battle.
+   * The timeline is attached to Ultimate Battle Descriptor and allows
+   * exact replay of the battle without running AI scripts. Call it before
+   * the battle is started.
+   * @return {Timeline} the timeline that will be filled during the battle
+   * @see Simulation.playTimeline()
+   */
+  recordTimeline() {
+    this.log(`Recording timeline of the battle`);
+    this._timeline = new Timeline();
+    this._isTimelinePlayback = false;
+    this._ultimateBattleDescriptor.setTimeline(this._timeline);
+    return this._timeline;
+  }
+
+  /**
+   * Replay the battle from recorded timeline. AI scripts are not executed,
+   * tanks are controlled by values from the timeline instead. Tanks, RNG seed
+   * and time limit must be the same as in recorded battle. Call it before
+   * the battle is started.
+   * @param {Timeline} timeline - timeline recorded during the battle
+   * @see Simulation.recordTimeline()
+   */
+  playTimeline(timeline) {
+    this.log(`Playing recorded timeline of the battle`);
+    this._timeline = timeline;
+    this._isTimelinePlayback = true;
+    this._ultimateBattleDescriptor.setTimeline(this._timeline);
+  }
+
   /**
    * Create Ultimate Battle Descriptor that contains all data requied to replay
-   * the battle and reflect its exact course.
+   * the battle and reflect its exact course. If the timeline is recorded,
+   * it is included in UBD as well.
    * @return UltimateBattleDescriptor object
    */
   createUltimateBattleDescriptor() {
@@ -444,7 +898,82 @@ class Simulation {
   }
 
   _activateAi(done, error) {
-    this._runInSequence(this._aiList, 'activate', this._rng(), done, error);
+    this._mode.init(this._battlefield, this._teamList);
+    if(this._timeline) {
+      for(let ai of this._aiList) {
+        if(this._isTimelinePlayback) {
+          ai.playTimeline(this._timeline);
+        } else {
+          ai.recordTimeline(this._timeline);
+        }
+      }
+    }
+    let onActivated = () => {
+      if(this._isTimelinePlayback) {
+        this._takeSnapshot();
+      }
+      done();
+    };
+    this._runInSequence(this._aiList, 'activate', this._rng(), onActivated, error);
+  }
+
+  _takeSnapshot() {
+    let step = Math.round(this._timeElapsed/this._simulationStepDuration);
+    if(step % SNAPSHOT_INTERVAL != 0) {
+      return;
+    }
+    if(this._snapshotList.find((snapshot) => snapshot.timeElapsed == this._timeElapsed)) {
+      return;
+    }
+    this._snapshotList.push({
+      timeElapsed: this._timeElapsed,
+      nextBulletId: this._nextBulletId,
+      tankList: this._allTankList.map((tank) => tank.getSnapshot()),
+      bulletList: this._bulletList.filter((bullet) => !!bullet).map((bullet) => bullet.getSnapshot()),
+      aiList: this._allAiList.map((ai) => ai.getSnapshot()),
+      mode: this._mode.getSnapshot()
+    });
+  }
+
+  _restoreSnapshot(time) {
+    let snapshot = null;
+    for(let item of this._snapshotList) {
+      if(item.timeElapsed <= time && (!snapshot || item.timeElapsed > snapshot.timeElapsed)) {
+        snapshot = item;
+      }
+    }
+    if(!snapshot) {
+      throw new Error("No snapshot available for " + time + "ms");
+    }
+    this._timeElapsed = snapshot.timeElapsed;
+    this._nextBulletId = snapshot.nextBulletId;
+    this._eventLog = this._eventLog.filter((event) => event.time < snapshot.timeElapsed);
+    let tankMap = [];
+    this._allTankList.forEach((tank, index) => {
+      tank.restoreSnapshot(snapshot.tankList[index]);
+      tankMap[tank.id] = tank;
+    });
+    this._tankList = this._allTankList.map((tank) => tank.energy > 0 ? tank : null);
+    this._bulletList = snapshot.bulletList.map((data) => {
+      let weapon = weapons.getWeapon(data.type);
+      let bullet = new Bullet(tankMap[data.ownerId], data.id, data.power, this._rules, weapon);
+      bullet.restoreSnapshot(data);
+      return bullet;
+    });
+    this._allAiList.forEach((ai, index) => ai.restoreSnapshot(snapshot.aiList[index]));
+    this._mode.restoreSnapshot(snapshot.mode);
+    this._aiList = this._allAiList.filter((ai) => ai.tank.energy > 0);
+
+    // shapes of all objects must exist before the next step so
+    // collisions are detected the same way as in the original battle
+    this._collisionResolver = new CollisionResolver();
+    this._collisionResolver.updateBattlefield(this._battlefield);
+    for(let tank of this._tankList) {
+      if(tank) this._collisionResolver.updateTank(tank);
+    }
+    for(let bullet of this._bulletList) {
+      this._collisionResolver.updateBullet(bullet);
+    }
   }
 
   _updateAi(done, error) {
@@ -509,6 +1038,11 @@ class Simulation {
           type: "destroy",
           tank: tank
         });
+        this._eventLog.push({
+          time: this._timeElapsed,
+          type: "destroy",
+          tankId: tank.id
+        });
       }
     }
     let newAiList = [];
@@ -529,13 +1063,21 @@ class Simulation {
       if(!tank) continue;
       if(tank.isShooting) {
         let power = tank.handleShoot();
-        bullet = this._createBullet(tank, power);
-        this._bulletList.push(bullet);
-        this._eventStore.add("tank_" + tank.id, {
-          type: "shoot",
-          tank: tank,
-          bullet: bullet
-        });
+        for(bullet of this._createBullets(tank, power)) {
+          this._bulletList.push(bullet);
+          this._eventStore.add("tank_" + tank.id, {
+            type: "shoot",
+            tank: tank,
+            bullet: bullet
+          });
+          this._eventLog.push({
+            time: this._timeElapsed,
+            type: "shoot",
+            tankId: tank.id,
+            bulletId: bullet.id,
+            power: power
+          });
+        }
       }
     }
     for(i=0; i < this._tankList.length; i++) {
@@ -549,8 +1091,9 @@ class Simulation {
     for(i=0; i < this._bulletList.length; i++) {
       bullet = this._bulletList[i];
       if(!bullet) continue;
-      bullet.simulationStep();
-      hitTest = this._collisionResolver.hitTestBullet(bullet);
+      bullet.simulationStep(this._tankList);
+      // bullets that exceeded range of the weapon are gone without hitting anything
+      hitTest = bullet.exploded || this._collisionResolver.hitTestBullet(bullet);
       if(hitTest) {
         this._bulletList[i] = null;
         this._explodedBulletList.push(bullet);
@@ -559,10 +1102,17 @@ class Simulation {
           type: "explode",
           bullet: bullet
         });
+        this._eventLog.push(this._createHitEvent(bullet));
       }
     }
+    this._mode.simulationStep(this._simulationStepDuration);
+    for(i=0; i < this._tankList.length; i++) {
+      tank = this._tankList[i];
+      if(!tank) continue;
+      tank.setModeState(this._mode.getTankState(tank));
+    }
     for(i in this._teamMap) {
-      this._teamMap[i].processMessages();
+      this._teamMap[i].processMessages(this._timeElapsed);
     }
   }
 
@@ -575,6 +1125,7 @@ class Simulation {
     let i, tank, bullet;
     this._renderer.preRender();
     this._renderer.renderClock(this._timeElapsed, this._timeLimit);
+    this._renderer.renderMode(this._mode);
     for(i=0; i < this._tankList.length; i++) {
       tank = this._tankList[i];
       if(!tank) continue;
@@ -593,23 +1144,62 @@ class Simulation {
       bullet = this._explodedBulletList.pop();
       this._renderer.renderBullet(bullet, this._eventStore.get("bullet_" + bullet.id));
     }
+    this._renderer.renderPerspective(this._allTankList);
     this._renderer.renderTankStats(this._allTankList);
     this._renderer.postRender();
     for(i=0; i < this._onRenderStepCallback.length; i++) this._onRenderStepCallback[i]();
     this._eventStore.clear();
   }
 
+  _createStatsReport(stats) {
+    return {
+      shots: stats.shots,
+      hits: stats.hits,
+      accuracy: stats.shots ? stats.hits/stats.shots : 0,
+      damageDealt: stats.damageDealt,
+      damageReceived: stats.damageReceived,
+      distance: stats.distance,
+      boostTime: stats.boostSteps*this._simulationStepDuration,
+      skippedSteps: stats.skippedSteps
+    };
+  }
+
+  _createHitEvent(bullet) {
+    let event = {
+      time: this._timeElapsed,
+      type: bullet.target ? "hit" : "miss",
+      tankId: bullet.owner.id,
+      bulletId: bullet.id
+    };
+    if(bullet.target) {
+      event.targetId = bullet.target.id;
+      event.damage = bullet.damage;
+    }
+    return event;
+  }
+
   _createAiWrapper(tank, aiDefinition) {
     return new AiWrapper(tank, aiDefinition);
   }
 
   _createTank(aiDefinition) {
-    let tank = new Tank(aiDefinition, this._nextTankId++);
+    let tank = new Tank(aiDefinition, this._nextTankId++, this._rules);
     return tank;
   }
 
-  _createBullet(owner, power) {
-    let bullet = new Bullet(owner, this._nextBulletId++, power);
+  _createBullets(owner, power) {
+    let weapon = owner.weapon;
+    let bullets = [];
+    for(let i=0; i < weapon.count; i++) {
+      // projectiles are evenly distributed across the spread angle
+      let offset = weapon.count > 1 ? weapon.spread*(i/(weapon.count-1) - 0.5) : 0;
+      bullets.push(this._createBullet(owner, power, weapon, offset));
+    }
+    return bullets;
+  }
+
+  _createBullet(owner, power, weapon, angleOffset) {
+    let bullet = new Bullet(owner, this._nextBulletId++, power, this._rules, weapon, angleOffset);
     return bullet;
   }
 
@@ -1,6 +1,18 @@
 'use strict';
 
 import seedrandom from "seedrandom";
+import gameRules from "./rules.js";
+import weapons from "./weapons.js";
+import specialization from "./specialization.js";
+
+// fields that refer to other objects of the simulation and are not
+// the part of the snapshot. They are refreshed on each step anyway
+const SNAPSHOT_SKIP_LIST = ['_team', '_enemySpot', '_allySpot', '_enemiesSpot', '_alliesSpot', '_bulletsSpot', '_rules'];
+
+// max number of tanks reported in radar.enemies, radar.allies and radar.lastSeen
+const MAX_RADAR_CONTACTS = 5;
+// number of simulation steps after which position of lost enemy is forgotten
+const LAST_SEEN_LIMIT = 300;
 
 function normalizeAngle(a) {
   while(a > 180) a -= 360;
@@ -18,16 +30,17 @@ class Tank {
    * `Simulation.addTank()` method
    * @param {AiDefinition} aiDefinition - definition of tank's AI Script
    * @param {Number} id - unique id of the tank
-   * @param {Team} team - reference to team object where the tank belongs
+   * @param {Object} rules - game rules of the battle. Default rules are used if not provided
    */
-  constructor(aiDefinition, id) {
+  constructor(aiDefinition, id, rules) {
     if(typeof aiDefinition != 'object') {
       throw "AI definition must be an object";
     }
+    this._rules = rules || gameRules.getDefaultRules();
     this._id = id;
     this._name = aiDefinition.name;
     this._team =  null;
-    this._maxEnergy = 100;
+    this._maxEnergy = this._rules.maxEnergy;
     this._energy = this._maxEnergy;
     this._x = 0;
     this._y = 0;
@@ -46,12 +59,15 @@ class Tank {
     this._enemyHit = false;
     this._allyHit = false;
     this._beingRammed = false;
-    this._radarRange = 300;
-    this._radarFocal = 6;
+    this._radarRange = this._rules.radarRange;
+    this._radarFocal = this._rules.radarFocal;
     this._enemySpot = null;
     this._allySpot = null;
+    this._enemiesSpot = [];
+    this._alliesSpot = [];
+    this._radarMemory = [];
     this._bulletsSpot = [];
-    this._gunReloadTime = 70;
+    this._gunReloadTime = this._rules.gunReloadTime;
     this._gunTimer = 0;
     this._shootingPower = 0;
     this._targetingAlarmTimer = 0;
@@ -59,10 +75,26 @@ class Tank {
     this._score = 0;
     this._state = null;
     this._hasBoost = false;
-    this._maxBoost = 400;
+    this._maxBoost = this._rules.maxBoost;
     this._boost = this._maxBoost;
     this._wallDistance = null;
     this._skin = 'zebra';
+    this._weapon = weapons.getDefaultWeapon();
+    this._specialization = specialization.createEmpty();
+    this._speedMultiplier = 1;
+    this._radioFormat = 'simple';
+    this._droppedMessages = 0;
+    this._damageMultiplier = 1;
+    this._stats = {
+      shots: 0,
+      hits: 0,
+      damageDealt: 0,
+      damageReceived: 0,
+      distance: 0,
+      boostSteps: 0,
+      skippedSteps: 0
+    };
+    this._disqualified = false;
   }
 
   /**
@@ -71,6 +103,13 @@ class Tank {
   get id() {
     return this._id;
   }
+  /**
+   * @return game rules applied to the tank
+   */
+  get rules() {
+    return this._rules;
+  }
+
   /**
    * @return skin name applied to the tank
    */
@@ -78,6 +117,37 @@ class Tank {
     return this._skin;
   }
 
+  /**
+   * @return definition of the weapon selected by the tank
+   * @see weapons.js
+   */
+  get weapon() {
+    return this._weapon;
+  }
+
+  /**
+   * @return specialization points assigned to skills of the tank
+   * @see specialization.js
+   */
+  get specialization() {
+    return Object.assign({}, this._specialization);
+  }
+
+  /**
+   * @return format of messages in the inbox: `simple` (bodies only) or
+   * `envelope` (bodies with delivery metadata)
+   */
+  get radioFormat() {
+    return this._radioFormat;
+  }
+
+  /**
+   * called when messages sent by the tank exceeded radio limits and were discarded
+   */
+  onMessagesDropped(count) {
+    this._droppedMessages += count;
+  }
+
   /**
    * @return an object that represents current state of the tank
    */
@@ -99,8 +169,19 @@ class Tank {
     return this._score;
   }
 
+  /**
+   * @return statistics of the tank collected during the battle: number of shots
+   * and hits, damage dealt to enemies and received, travelled distance, number
+   * of simulation steps with boost turned on and number of steps skipped because
+   * AI exceeded its execution time limit
+   */
+  get stats() {
+    return Object.assign({}, this._stats);
+  }
+
   onEnemyHitScore(damage) {
     this._score += damage;
+    this._stats.damageDealt += damage;
   }
 
   onEnemyKillScore() {
@@ -111,6 +192,46 @@ class Tank {
     this._score += 10;
   }
 
+  onObjectiveScore(points) {
+    this._score += points;
+  }
+
+  /**
+   * @return true if the tank was removed from the battle because its AI
+   * exceeded execution time limit
+   */
+  get disqualified() {
+    return this._disqualified;
+  }
+
+  /**
+   * Called when AI exceeded its execution time limit and the step was skipped
+   * @param {Number} penalty - points subtracted from the score
+   */
+  onBudgetExceeded(penalty) {
+    this._score -= penalty;
+    this._stats.skippedSteps++;
+  }
+
+  /**
+   * Remove the tank from the battle. The tank is destroyed but it does not
+   * count as damage received
+   */
+  disqualify() {
+    this._disqualified = true;
+    this._energy = 0;
+  }
+
+  /**
+   * attach state of the game mode to the state of the tank
+   * @param {Object} modeState - state of the mode from perspective of the tank
+   */
+  setModeState(modeState) {
+    if(this._state) {
+      this._state.mode = modeState;
+    }
+  }
+
   /**
    * @return initial amount of the energy
    */
@@ -260,17 +381,17 @@ class Tank {
 
   onWallHit() {
     this._wallHit = true;
-    this.onDamage(0.2);
+    this.onDamage(this._rules.collisionDamage);
   }
 
   onEnemyHit() {
     this._enemyHit = true;
-    this.onDamage(0.2);
+    this.onDamage(this._rules.collisionDamage);
   }
 
   onAllyHit() {
     this._allyHit = true;
-    this.onDamage(0.2);
+    this.onDamage(this._rules.collisionDamage);
   }
 
   onBeingRam(speed) {
@@ -278,12 +399,20 @@ class Tank {
     this.onDamage(0.1 + Math.round(speed*4)*0.1);
   }
 
+  /**
+   * called for each enemy in the radar beam. The closest ones first
+   */
   onEnemySpot(enemy) {
-    this._enemySpot = enemy;
+    this._enemySpot = this._enemySpot || enemy;
+    this._enemiesSpot.push(enemy);
   }
 
+  /**
+   * called for each ally in the radar beam. The closest ones first
+   */
   onAllySpot(ally) {
-    this._allySpot = ally;
+    this._allySpot = this._allySpot || ally;
+    this._alliesSpot.push(ally);
   }
 
   onBulletSpot(bullet) {
@@ -298,6 +427,13 @@ class Tank {
     this._targetingAlarmTimer = 3;
   }
 
+  /**
+   * called when a bullet shot by the tank hits an enemy
+   */
+  onTargetHit() {
+    this._stats.hits++;
+  }
+
   isAlly(tank) {
     if(!this._team) return false;
     if(!tank.team) return false;
@@ -312,7 +448,9 @@ class Tank {
   }
 
   onDamage(damage) {
-    this._energy = Math.max(0, this._energy - damage);
+    let energy = Math.max(0, this._energy - damage*this._damageMultiplier);
+    this._stats.damageReceived += this._energy - energy;
+    this._energy = energy;
   }
 
   moveTo(xPosition, yPosition, angle) {
@@ -325,6 +463,25 @@ class Tank {
     }
   }
 
+  getSnapshot() {
+    let snapshot = {};
+    for(let key in this) {
+      if(this.hasOwnProperty(key) && SNAPSHOT_SKIP_LIST.indexOf(key) == -1) {
+        snapshot[key] = this[key];
+      }
+    }
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  restoreSnapshot(snapshot) {
+    Object.assign(this, JSON.parse(JSON.stringify(snapshot)));
+    this._enemySpot = null;
+    this._allySpot = null;
+    this._enemiesSpot = [];
+    this._alliesSpot = [];
+    this._bulletsSpot = [];
+  }
+
   /**
    * @return debug data set by AI script via `control.DEBUG`
    */
@@ -343,6 +500,10 @@ class Tank {
   handleShoot() {
     let value = this._shootingPower;
     this._shootingPower = 0;
+    if(value > 0) {
+      this._stats.shots += this._weapon.count;
+      this._energy = Math.max(0, this._energy - this._weapon.energyCost);
+    }
     return value;
   }
 
@@ -352,12 +513,58 @@ class Tank {
 
   shoot(value) {
     value = Math.max(0.1, Math.min(1, value));
-    if(!this.isReloading) {
-      this._gunTimer = Math.round(value*this._gunReloadTime);
+    // weapons that cost energy cannot be used when it would kill the tank
+    if(!this.isReloading && this._energy > this._weapon.energyCost) {
+      this._gunTimer = Math.round(value*this._gunReloadTime*this._weapon.reload);
       this._shootingPower = value;
     }
   }
 
+  _getRadioData() {
+    let inbox = this.team ? this.team.getMessages(this.id) : [];
+    if(this._radioFormat != 'envelope') {
+      inbox = inbox.map((message) => message.body);
+    }
+    return {
+      inbox: inbox,
+      blackboard: this.team ? this.team.blackboard : {},
+      dropped: this._droppedMessages
+    };
+  }
+
+  _getContactData(tank, isEnemy, withDistance) {
+    let data = {
+      id: tank.id,
+      x: tank.x,
+      y: tank.y,
+      angle: tank.angle,
+      speed: isEnemy ? tank.speed * (tank.throttle < 0 ? -1 : 1) : tank.speed,
+      energy: tank.energy,
+    };
+    if(withDistance) {
+      let dx = tank.x - this._x;
+      let dy = tank.y - this._y;
+      data.distance = Math.sqrt(dx*dx + dy*dy);
+    }
+    return data;
+  }
+
+  /*
+   * Remembers the last known position of all spotted enemies. Entries of
+   * enemies that are still on the radar have age of zero
+   */
+  _updateRadarMemory() {
+    let visible = this._enemiesSpot.map((enemy) => enemy.id);
+    let memory = this._radarMemory
+      .filter((entry) => visible.indexOf(entry.id) == -1 && entry.age < LAST_SEEN_LIMIT)
+      .map((entry) => Object.assign({}, entry, {age: entry.age + 1}));
+    for(let enemy of this._enemiesSpot) {
+      memory.push(Object.assign(this._getContactData(enemy, true), {age: 0}));
+    }
+    memory.sort((a, b) => (a.age - b.age) || (a.id - b.id));
+    this._radarMemory = memory;
+  }
+
   randomize(seed) {
     if(seed === undefined) {
       seed = (new Date()).getTime() + Math.round(Math.random()*1000000);
@@ -370,6 +577,28 @@ class Tank {
     if(settings && settings.SKIN) {
       this._skin = settings.SKIN;
     }
+    if(settings && settings.WEAPON) {
+      this._weapon = weapons.getWeapon(settings.WEAPON) || this._weapon;
+    }
+    if(settings && settings.RADIO) {
+      this._radioFormat = settings.RADIO;
+    }
+    if(settings && settings.SPECIALIZATION) {
+      this._applySpecialization(settings.SPECIALIZATION);
+    }
+  }
+
+  /*
+   * points are expected to be already validated by AiWrapper
+   */
+  _applySpecialization(points) {
+    this._specialization = Object.assign(specialization.createEmpty(), points);
+    let multiplier = (name) => specialization.getMultiplier(this._specialization, name);
+    this._damageMultiplier = multiplier('armour');
+    this._speedMultiplier = multiplier('engine');
+    this._radarRange = this._rules.radarRange * multiplier('radarRange');
+    this._radarFocal = this._rules.radarFocal * multiplier('radarFocal');
+    this._gunReloadTime = this._rules.gunReloadTime * multiplier('reload');
   }
 
   simulationStep(collisionResolver) {
@@ -381,12 +610,13 @@ class Tank {
 
     if(self._hasBoost && self._boost > 0) {
       self._boost--;
+      self._stats.boostSteps++;
     }
 
     let oldX = self._x;
     let oldY = self._y;
 
-    let maxSpeed = self._throttle * (self.hasBoost ? 4 : 2);
+    let maxSpeed = self._throttle * self._speedMultiplier * (self.hasBoost ? self._rules.boostSpeed : self._rules.speed);
     let accelerationFactor = (self.hasBoost ? 10 : 20);
     self._actualThrottle += (maxSpeed - self._actualThrottle)/accelerationFactor;
 
@@ -412,9 +642,9 @@ class Tank {
       this._beingRammed = false;
     }
 
-    self._angle += 2*self._turn;
-    self._radarAngle += 6*self._radarTurn;
-    self._gunAngle += 3*self._gunTurn;
+    self._angle += self._rules.turnSpeed*self._turn;
+    self._radarAngle += self._rules.radarTurnSpeed*self._radarTurn;
+    self._gunAngle += self._rules.gunTurnSpeed*self._gunTurn;
 
     self._angle = normalizeAngle(self._angle);
     self._radarAngle = normalizeAngle(self._radarAngle);
@@ -423,6 +653,8 @@ class Tank {
 
     self._enemySpot = null;
     self._allySpot = null;
+    self._enemiesSpot = [];
+    self._alliesSpot = [];
     self._wallDistance = null;
     self._targetingAlarmTimer = Math.max(0, self._targetingAlarmTimer-1);
     collisionResolver.scanTanks(self);
@@ -444,34 +676,29 @@ class Tank {
         y: bullet.y,
         angle: bullet.angle,
         speed: bullet.speed,
-        damage: bullet.damage
+        damage: bullet.damage,
+        type: bullet.type
       });
     }
 
     if(self._enemySpot) {
-      enemyData = {
-        id: self._enemySpot.id,
-        x: self._enemySpot.x,
-        y: self._enemySpot.y,
-        angle: self._enemySpot.angle,
-        speed: self._enemySpot.speed * (self._enemySpot.throttle < 0 ? -1 : 1),
-        energy: self._enemySpot.energy,
-      };
+      enemyData = self._getContactData(self._enemySpot, true);
     }
     if(self._allySpot) {
-      allyData = {
-        id: self._allySpot.id,
-        x: self._allySpot.x,
-        y: self._allySpot.y,
-        angle: self._allySpot.angle,
-        speed: self._allySpot.speed,
-        energy: self._allySpot.energy,
-      };
+      allyData = self._getContactData(self._allySpot, false);
     }
+    let enemiesData = self._enemiesSpot.slice(0, MAX_RADAR_CONTACTS).map((enemy) => self._getContactData(enemy, true, true));
+    let alliesData = self._alliesSpot.slice(0, MAX_RADAR_CONTACTS).map((ally) => self._getContactData(ally, false, true));
+    self._updateRadarMemory();
+    let lastSeenData = self._radarMemory
+      .filter((entry) => entry.age > 0)
+      .slice(0, MAX_RADAR_CONTACTS)
+      .map((entry) => Object.assign({}, entry));
 
     let dx = self._x - self._lastX;
     let dy = self._y - self._lastY;
     self._speed = Math.sqrt(dx*dx + dy*dy);
+    self._stats.distance += self._speed;
 
     self._lastX = self._x;
     self._lastY = self._y;
@@ -493,16 +720,20 @@ class Tank {
         wallDistance: self._wallDistance,
         enemy: enemyData,
         ally: allyData,
+        enemies: enemiesData,
+        allies: alliesData,
+        lastSeen: lastSeenData,
         bullets: bulletsData
       },
       gun: {
         angle: self._gunAngle,
-        reloading: self.isReloading
+        reloading: self.isReloading,
+        weapon: self._weapon.name
       },
-      radio: {
-        inbox: self.team ? self.team.getMessages(self.id) : []
-      }
+      specialization: self.specialization,
+      radio: self._getRadioData()
     };
+    self._droppedMessages = 0;
   }
 }
 
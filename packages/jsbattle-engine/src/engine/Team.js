@@ -1,11 +1,17 @@
 'use strict';
 
+// max size of JSON representation of team's blackboard
+const BLACKBOARD_LIMIT = 4096;
+
 class Team {
   constructor(name) {
     this._name = name;
     this._members = [];
     this._inboxMap = [];
     this._outboxMap = [];
+    this._persistentData = null;
+    this._blackboard = {};
+    this._blackboardUpdates = [];
   }
 
   addTank(tank) {
@@ -61,6 +67,35 @@ class Team {
     return sum;
   }
 
+  /**
+   * @return sum of statistics of all members of the team
+   * @see Tank.stats
+   */
+  get stats() {
+    let sum = {};
+    let stats, key;
+    for(let i=0; i < this._members.length; i++ ) {
+      stats = this._members[i].stats;
+      for(key in stats) {
+        sum[key] = (sum[key] || 0) + stats[key];
+      }
+    }
+    return sum;
+  }
+
+  /**
+   * @return data stored by AI scripts of team members via `tank.persist()`
+   * or null if nothing was stored during the battle. If more members store
+   * the data, the latest call wins
+   */
+  get persistentData() {
+    return this._persistentData;
+  }
+
+  setPersistentData(data) {
+    this._persistentData = data;
+  }
+
   get isAlive() {
     return this.aliveCount > 0;
   }
@@ -69,23 +104,82 @@ class Team {
     return this._members;
   }
 
+  /**
+   * @return messages delivered to the tank in the current step. Each message
+   * has `from`, `to`, `channel`, `time` and `body` fields
+   */
   getMessages(receiverId) {
     return this._outboxMap[receiverId];
   }
 
+  /**
+   * Queue messages for delivery in the next step
+   * @param {Number} senderId - id of the tank that sends messages
+   * @param {Array} messages - list of messages. Each has `body`, `channel` and `to`.
+   *        Messages with `to` set to null are broadcast to all team mates.
+   *        Messages addressed to tanks from outside of the team are ignored
+   */
   sendMessages(senderId, messages) {
-    for(let i in this._inboxMap) {
-      if(i == senderId) continue;
-      this._inboxMap[i] = this._inboxMap[i].concat(messages);
+    for(let message of messages) {
+      let envelope = {
+        from: senderId,
+        to: message.to === undefined ? null : message.to,
+        channel: message.channel || 'default',
+        time: null,
+        body: message.body
+      };
+      for(let i in this._inboxMap) {
+        if(i == senderId) continue;
+        if(envelope.to !== null && i != envelope.to) continue;
+        this._inboxMap[i].push(envelope);
+      }
     }
   }
 
-  processMessages() {
+  /**
+   * @return shared state of the team as it was at the beginning of the current step
+   */
+  get blackboard() {
+    return JSON.parse(JSON.stringify(this._blackboard));
+  }
+
+  /**
+   * Queue update of the blackboard. Changes are applied in the next step.
+   * Keys with null values are removed. Updates that would make the blackboard
+   * bigger than the limit are ignored
+   * @param {Object} changes - key-value pairs to be set
+   */
+  updateBlackboard(changes) {
+    this._blackboardUpdates.push(changes);
+  }
+
+  /**
+   * Deliver messages sent in the current step and apply pending changes of
+   * the blackboard
+   * @param {Number} time - time of the simulation (in milliseconds) stored in delivered messages
+   */
+  processMessages(time) {
     let i;
+    let metadata = {time: time === undefined ? null : time};
+    let deliver = (message) => Object.assign({}, message, metadata);
     for(i in this._inboxMap) {
-      this._outboxMap[i] = this._inboxMap[i];
+      this._outboxMap[i] = this._inboxMap[i].map(deliver);
       this._inboxMap[i] = [];
     }
+    for(let changes of this._blackboardUpdates) {
+      let blackboard = Object.assign({}, this._blackboard);
+      for(let key in changes) {
+        if(changes[key] === null) {
+          delete blackboard[key];
+        } else {
+          blackboard[key] = changes[key];
+        }
+      }
+      if(JSON.stringify(blackboard).length <= BLACKBOARD_LIMIT) {
+        this._blackboard = blackboard;
+      }
+    }
+    this._blackboardUpdates = [];
   }
 
 }
@@ -0,0 +1,153 @@
+'use strict';
+
+const CHANNELS = ['THROTTLE', 'BOOST', 'TURN', 'RADAR_TURN', 'GUN_TURN', 'SHOOT', 'BUDGET'];
+
+/**
+ * Recorded course of the battle: settings of each tank and control values
+ * applied to it in each step of the simulation. The battle can be replayed
+ * from the timeline without executing the code of AI scripts.
+ * Each control channel is stored as a run-length encoded list of
+ * `[value, repeatCount, value, repeatCount, ...]` pairs. `BUDGET` channel
+ * stores result of checking execution time of AI in each step: 0 - within the
+ * budget, 1 - the step was skipped, 2 - the tank was disqualified
+ */
+class Timeline {
+
+  /**
+   * Constructor should not be called directly but through
+   * `JsBattle.createTimeline()` method
+   */
+  constructor() {
+    this._tracks = {};
+  }
+
+  /**
+   * @param {Number} tankId - id of the tank
+   * @param {Object} settings - settings of the tank applied on its initialization
+   */
+  recordSettings(tankId, settings) {
+    this._getTrack(tankId).settings = JSON.parse(JSON.stringify(settings));
+  }
+
+  /**
+   * Append control values applied to the tank in the next step of the simulation
+   * @param {Number} tankId - id of the tank
+   * @param {Object} control - control values (THROTTLE, BOOST, TURN, RADAR_TURN, GUN_TURN, SHOOT, BUDGET)
+   */
+  recordControl(tankId, control) {
+    let track = this._getTrack(tankId);
+    let rle, value;
+    for(let channel of CHANNELS) {
+      value = Number(control[channel]) || 0;
+      rle = track.control[channel];
+      if(rle.length && rle[rle.length-2] === value) {
+        rle[rle.length-1]++;
+      } else {
+        rle.push(value, 1);
+      }
+    }
+    track.steps++;
+  }
+
+  /**
+   * @param {Number} tankId - id of the tank
+   * @return true if anything was recorded for the tank
+   */
+  hasTrack(tankId) {
+    return !!this._tracks[tankId];
+  }
+
+  /**
+   * @param {Number} tankId - id of the tank
+   * @return settings of the tank or null if not recorded
+   */
+  getSettings(tankId) {
+    return this.hasTrack(tankId) ? this._tracks[tankId].settings : null;
+  }
+
+  /**
+   * @param {Number} tankId - id of the tank
+   * @return number of steps recorded for the tank
+   */
+  getStepCount(tankId) {
+    return this.hasTrack(tankId) ? this._tracks[tankId].steps : 0;
+  }
+
+  /**
+   * @param {Number} tankId - id of the tank
+   * @return decompressed list of control values of the tank. One element per step of the simulation
+   */
+  getControlList(tankId) {
+    let steps = this.getStepCount(tankId);
+    let list = [];
+    for(let i=0; i < steps; i++) {
+      list.push({});
+    }
+    if(!steps) {
+      return list;
+    }
+    let rle, step, i, j;
+    for(let channel of CHANNELS) {
+      rle = this._tracks[tankId].control[channel];
+      step = 0;
+      for(i=0; i < rle.length; i+=2) {
+        for(j=0; j < rle[i+1]; j++) {
+          list[step++][channel] = rle[i];
+        }
+      }
+    }
+    return list;
+  }
+
+  /**
+   * @return JSON representation of the timeline
+   */
+  toJSON() {
+    let tanks = [];
+    for(let id in this._tracks) {
+      tanks.push({
+        id: Number(id),
+        settings: this._tracks[id].settings,
+        steps: this._tracks[id].steps,
+        control: this._tracks[id].control
+      });
+    }
+    return {tanks};
+  }
+
+  /**
+   * Load the timeline from its JSON representation
+   * @param {Object} data - JSON representation of the timeline
+   * @see Timeline.toJSON()
+   */
+  fromJSON(data) {
+    this._tracks = {};
+    let track;
+    for(let tankData of data.tanks) {
+      track = this._getTrack(tankData.id);
+      track.settings = tankData.settings || {};
+      track.steps = tankData.steps;
+      for(let channel of CHANNELS) {
+        track.control[channel] = tankData.control[channel] ? tankData.control[channel].slice() : [0, tankData.steps];
+      }
+    }
+  }
+
+  _getTrack(tankId) {
+    if(!this._tracks[tankId]) {
+      let control = {};
+      for(let channel of CHANNELS) {
+        control[channel] = [];
+      }
+      this._tracks[tankId] = {
+        settings: {},
+        steps: 0,
+        control: control
+      };
+    }
+    return this._tracks[tankId];
+  }
+
+}
+
+export default Timeline;
@@ -1,17 +1,22 @@
 'use strict';
 
 import AiDefinition from "./AiDefinition.js";
-import Ajv from 'ajv';
-import schema from '../schema/ubd-schema-v4.json';
+import Timeline from "./Timeline.js";
+import migration from "./migration.js";
 
 class UltimateBattleDescriptor {
 
   constructor() {
-    this._version = 4;
+    this._version = 5;
     this._aiList = [];
     this._rngSeed = (new Date()).getTime();
     this._teamMode = false;
     this._timeLimit = 0;
+    this._timeline = null;
+    this._map = null;
+    this._rules = null;
+    this._mode = null;
+    this._metadata = null;
   }
 
   addAiDefinition(ai) {
@@ -50,6 +55,46 @@ class UltimateBattleDescriptor {
     return this._rngSeed;
   }
 
+  setTimeline(timeline) {
+    this._timeline = timeline;
+  }
+
+  getTimeline() {
+    return this._timeline;
+  }
+
+  setMap(name) {
+    this._map = name;
+  }
+
+  getMap() {
+    return this._map;
+  }
+
+  setRules(rules) {
+    this._rules = rules;
+  }
+
+  getRules() {
+    return this._rules;
+  }
+
+  setMode(mode) {
+    this._mode = mode;
+  }
+
+  getMode() {
+    return this._mode;
+  }
+
+  setMetadata(metadata) {
+    this._metadata = metadata;
+  }
+
+  getMetadata() {
+    return this._metadata;
+  }
+
   encode() {
     let json = {
       version: this._version,
@@ -65,6 +110,21 @@ class UltimateBattleDescriptor {
         json.aiList.push(ai.toJSON());
       }
     }
+    if(this._map) {
+      json.map = this._map;
+    }
+    if(this._rules) {
+      json.rules = this._rules;
+    }
+    if(this._mode) {
+      json.mode = this._mode;
+    }
+    if(this._metadata) {
+      json.metadata = this._metadata;
+    }
+    if(this._timeline) {
+      json.timeline = this._timeline.toJSON();
+    }
     let raw = JSON.stringify(json);
     return raw;
   }
@@ -76,13 +136,18 @@ class UltimateBattleDescriptor {
     } catch(err) {
         throw new Error(`Cannot parse UBD file! ${err}`);
     }
-    if(this._version !=json.version) {
-      throw new Error(`Version of UBD does not match. Version ${json.version} is not supported. Please convert to version ${this._version}`);
-    }
-    this.validateJsonData(json);
+    json = migration.migrate(json);
     this._rngSeed = json.rngSeed;
     this._teamMode = json.teamMode;
     this._timeLimit = json.timeLimit;
+    this._map = json.map || null;
+    this._rules = json.rules || null;
+    this._mode = json.mode || null;
+    this._metadata = json.metadata || null;
+    if(json.timeline) {
+      this._timeline = new Timeline();
+      this._timeline.fromJSON(json.timeline);
+    }
 
     let ai;
     for(let aiJson of json.aiList) {
@@ -98,18 +163,18 @@ class UltimateBattleDescriptor {
   }
 
   validateJsonData(json) {
-    var ajv = new Ajv();
-    var validate = ajv.compile(schema);
-    var valid = validate(json);
-    if (!valid) {
-      throw new Error("UBD validation failed - " + validate.errors[0].message);
-    }
+    migration.validate(json, this._version);
   }
 
   clone() {
     let result = new UltimateBattleDescriptor();
     result.setRngSeed(this.getRngSeed());
     result.setTeamMode(this.getTeamMode());
+    result.setTimeline(this.getTimeline());
+    result.setMap(this.getMap());
+    result.setRules(this.getRules());
+    result.setMode(this.getMode());
+    result.setMetadata(this.getMetadata());
     let aiList = this.getAiList();
     let aiClone;
     for(let ai of aiList) {
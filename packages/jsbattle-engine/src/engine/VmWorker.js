@@ -0,0 +1,79 @@
+'use strict';
+
+import childProcess from 'child_process';
+import path from 'path';
+
+// Node.js permission model (if available) denies the child process access to
+// the file system, other processes and worker threads. Only scripts of the engine can be read
+function getPermissionArgs(dir) {
+  const flags = process.allowedNodeEnvironmentFlags;
+  if(flags && flags.has('--permission')) {
+    return ['--permission', '--allow-fs-read=' + path.join(dir, '*')];
+  } else if(flags && flags.has('--experimental-permission')) {
+    return ['--experimental-permission', '--allow-fs-read=' + path.join(dir, '*')];
+  }
+  return [];
+}
+
+// Replacement of Web Worker for environments where it is not available (Node.js).
+// AI code runs in a separate process (see vmWorkerProcess.js) that has no access
+// to the environment, files or memory of the host
+class VmWorker {
+
+  constructor(timeout) {
+    this.onmessage = (msg) => {};
+    this.onerror = (err) => {};
+    let child = childProcess.fork(
+      path.resolve(__dirname, 'vmWorkerProcess.js'),
+      [String(timeout)],
+      {
+        env: {},
+        execArgv: ['--no-warnings'].concat(getPermissionArgs(path.resolve(__dirname, '..'))),
+        stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+      }
+    );
+    this._process = child;
+    child.on('message', (msg) => {
+      if(msg && msg.error) {
+        this.onerror(msg.error);
+      } else if(msg) {
+        this.onmessage({data: msg.data});
+      }
+    });
+    child.on('error', (err) => {
+      this.onerror({message: err.message, timeout: false});
+    });
+    // a process that crashed or was killed (e.g. out of memory) will never respond
+    child.on('exit', (code, signal) => {
+      if(this._process !== child) return;
+      this._process = null;
+      let onerror = this.onerror;
+      this.onmessage = (msg) => {};
+      this.onerror = (err) => {};
+      onerror({
+        message: "AI process exited unexpectedly (" + (signal ? "signal " + signal : "code " + code) + ")",
+        timeout: false,
+        exited: true
+      });
+    });
+  }
+
+  // execution time reported by the worker is measured by the child process,
+  // out of reach of the AI code
+  get measuresExecutionTime() {
+    return true;
+  }
+
+  postMessage(inputData) {
+    if(!this._process) return;
+    this._process.send(inputData);
+  }
+
+  terminate() {
+    if(!this._process) return;
+    this._process.kill();
+    this._process = null;
+  }
+}
+
+export default VmWorker;
@@ -0,0 +1,100 @@
+'use strict';
+
+function cross(ax, ay, bx, by) {
+  return ax*by - ay*bx;
+}
+
+const geometry = {
+
+  polygonArea(points) {
+    let area = 0;
+    let a, b;
+    for(let i=0; i < points.length; i++) {
+      a = points[i];
+      b = points[(i+1) % points.length];
+      area += cross(a.x, a.y, b.x, b.y);
+    }
+    return area/2;
+  },
+
+  getEdges(points) {
+    let edges = [];
+    for(let i=0; i < points.length; i++) {
+      edges.push([points[i], points[(i+1) % points.length]]);
+    }
+    return edges;
+  },
+
+  isPointInPolygon(point, points) {
+    let inside = false;
+    let a, b;
+    for(let i=0, j=points.length-1; i < points.length; j=i++) {
+      a = points[i];
+      b = points[j];
+      if(((a.y > point.y) != (b.y > point.y)) && (point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x)) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  },
+
+  pointToSegmentDistance(point, a, b) {
+    let dx = b.x - a.x;
+    let dy = b.y - a.y;
+    let lengthSq = dx*dx + dy*dy;
+    let t = lengthSq ? ((point.x - a.x)*dx + (point.y - a.y)*dy) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    dx = a.x + t*dx - point.x;
+    dy = a.y + t*dy - point.y;
+    return Math.sqrt(dx*dx + dy*dy);
+  },
+
+  pointToPolygonDistance(point, points) {
+    if(geometry.isPointInPolygon(point, points)) {
+      return 0;
+    }
+    let distance = Number.POSITIVE_INFINITY;
+    for(let edge of geometry.getEdges(points)) {
+      distance = Math.min(distance, geometry.pointToSegmentDistance(point, edge[0], edge[1]));
+    }
+    return distance;
+  },
+
+  segmentsIntersect(p1, p2, q1, q2) {
+    let rx = p2.x - p1.x;
+    let ry = p2.y - p1.y;
+    let sx = q2.x - q1.x;
+    let sy = q2.y - q1.y;
+    let denominator = cross(rx, ry, sx, sy);
+    if(denominator == 0) {
+      return false;
+    }
+    let t = cross(q1.x - p1.x, q1.y - p1.y, sx, sy) / denominator;
+    let u = cross(q1.x - p1.x, q1.y - p1.y, rx, ry) / denominator;
+    return t >= 0 && t <= 1 && u >= 0 && u <= 1;
+  },
+
+  /*
+   * distance from the origin to the segment along the ray or null if
+   * the ray does not cross the segment. Angle is in radians
+   */
+  rayToSegmentDistance(origin, angle, a, b) {
+    let rx = Math.cos(angle);
+    let ry = Math.sin(angle);
+    let sx = b.x - a.x;
+    let sy = b.y - a.y;
+    let denominator = cross(rx, ry, sx, sy);
+    if(denominator == 0) {
+      return null;
+    }
+    let t = cross(a.x - origin.x, a.y - origin.y, sx, sy) / denominator;
+    let u = cross(a.x - origin.x, a.y - origin.y, rx, ry) / denominator;
+    if(t < 0 || u < 0 || u > 1) {
+      return null;
+    }
+    return t;
+  }
+
+};
+
+export default geometry;
@@ -0,0 +1,67 @@
+import Simulation from "./Simulation.js";
+import VoidRenderer from "./renderers/void/VoidRenderer.js";
+import AiDefinition from "./AiDefinition.js";
+import UltimateBattleDescriptor from "./UltimateBattleDescriptor.js";
+import Timeline from "./Timeline.js";
+import maps from "./maps.js";
+import rules from "./rules.js";
+import modes from "./modes.js";
+import weapons from "./weapons.js";
+import migration from "./migration.js";
+
+const JsBattleHeadlessLib = {
+  createSimulation: (renderer, debug) => {
+    renderer = renderer ? renderer : new VoidRenderer(debug);
+    let sim = new Simulation(renderer, debug);
+    return sim;
+  },
+
+  createAiDefinition: () => {
+    return new AiDefinition();
+  },
+
+  createUBD: () => {
+    return new UltimateBattleDescriptor();
+  },
+
+  createTimeline: () => {
+    return new Timeline();
+  },
+
+  getMapList: () => {
+    return maps.getMapList();
+  },
+
+  getMap: (name) => {
+    return maps.getMap(name);
+  },
+
+  getRulesPresetList: () => {
+    return rules.getPresetList();
+  },
+
+  getRulesPreset: (name) => {
+    return rules.getPreset(name);
+  },
+
+  getModeList: () => {
+    return modes.getModeList();
+  },
+
+  getWeaponList: () => {
+    return weapons.getWeaponList();
+  },
+
+  migrateUbd: (json) => {
+    return migration.migrate(json);
+  },
+
+  createRenderer: (name, debug) => {
+    switch(name) {
+      case 'void':    return new VoidRenderer(debug);
+      default:        throw "Rederer " + name + " is not available in headless mode";
+    }
+  }
+};
+
+export default JsBattleHeadlessLib;
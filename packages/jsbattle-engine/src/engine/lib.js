@@ -6,6 +6,12 @@ import BrodyRenderer from "./renderers/brody/BrodyRenderer.js";
 import VoidRenderer from "./renderers/void/VoidRenderer.js";
 import AiDefinition from "./AiDefinition.js";
 import UltimateBattleDescriptor from "./UltimateBattleDescriptor.js";
+import Timeline from "./Timeline.js";
+import maps from "./maps.js";
+import rules from "./rules.js";
+import modes from "./modes.js";
+import weapons from "./weapons.js";
+import migration from "./migration.js";
 
 const JsBattleLib = {
   createSimulation: (renderer, debug) => {
@@ -22,6 +28,38 @@ const JsBattleLib = {
     return new UltimateBattleDescriptor();
   },
 
+  createTimeline: () => {
+    return new Timeline();
+  },
+
+  getMapList: () => {
+    return maps.getMapList();
+  },
+
+  getMap: (name) => {
+    return maps.getMap(name);
+  },
+
+  getRulesPresetList: () => {
+    return rules.getPresetList();
+  },
+
+  getRulesPreset: (name) => {
+    return rules.getPreset(name);
+  },
+
+  getModeList: () => {
+    return modes.getModeList();
+  },
+
+  getWeaponList: () => {
+    return weapons.getWeaponList();
+  },
+
+  migrateUbd: (json) => {
+    return migration.migrate(json);
+  },
+
   createRenderer: (name, debug) => {
     switch(name) {
       case 'debug':   return new DebugRenderer(debug);
@@ -0,0 +1,33 @@
+'use strict';
+
+import arena from '../maps/arena.json';
+import pillars from '../maps/pillars.json';
+import bunkers from '../maps/bunkers.json';
+import crossroads from '../maps/crossroads.json';
+import duel from '../maps/duel.json';
+
+const MAP_LIST = [
+  arena,
+  pillars,
+  bunkers,
+  crossroads,
+  duel
+];
+
+const maps = {
+
+  getMapList() {
+    return MAP_LIST.map((map) => JSON.parse(JSON.stringify(map)));
+  },
+
+  getMap(name) {
+    let map = MAP_LIST.find((item) => item.name == name);
+    if(!map) {
+      return null;
+    }
+    return JSON.parse(JSON.stringify(map));
+  }
+
+};
+
+export default maps;
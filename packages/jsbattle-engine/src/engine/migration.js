@@ -0,0 +1,95 @@
+'use strict';
+
+import Ajv from 'ajv';
+import schemaV1 from '../schema/ubd-schema-v1.json';
+import schemaV2 from '../schema/ubd-schema-v2.json';
+import schemaV3 from '../schema/ubd-schema-v3.json';
+import schemaV4 from '../schema/ubd-schema-v4.json';
+import schemaV5 from '../schema/ubd-schema-v5.json';
+
+const SCHEMA_LIST = [null, schemaV1, schemaV2, schemaV3, schemaV4, schemaV5];
+
+const CURRENT_VERSION = SCHEMA_LIST.length - 1;
+
+/*
+ * Each step converts UBD from the version of its index to the next one
+ */
+const STEP_LIST = [
+  null,
+  // v1 -> v2: battles were played in free for all mode only
+  (json) => Object.assign({}, json, {
+    version: 2,
+    teamMode: false
+  }),
+  // v2 -> v3: time limit was not stored, the default duration of the battle was used
+  (json) => Object.assign({}, json, {
+    version: 3,
+    timeLimit: 30000
+  }),
+  // v3 -> v4: AI entries could be multiplied by count, no changes required
+  (json) => Object.assign({}, json, {
+    version: 4
+  }),
+  // v4 -> v5: map, rules, mode, timeline and metadata are optional
+  (json) => Object.assign({}, json, {
+    version: 5
+  })
+];
+
+const validatorList = [];
+
+const migration = {
+
+  getCurrentVersion() {
+    return CURRENT_VERSION;
+  },
+
+  getSchema(version) {
+    let schema = SCHEMA_LIST[version];
+    if(!schema) {
+      throw new Error(`Version ${version} of UBD is not supported`);
+    }
+    return schema;
+  },
+
+  validate(json, version) {
+    if(!validatorList[version]) {
+      validatorList[version] = (new Ajv()).compile(migration.getSchema(version));
+    }
+    let validate = validatorList[version];
+    if(!validate(json)) {
+      throw new Error(`UBD validation failed (version ${version}) - ${validate.errors[0].dataPath} ${validate.errors[0].message}`);
+    }
+  },
+
+  /*
+   * Convert JSON data of UBD of any supported version to the current version.
+   * Input data is validated against schema of its version and output against
+   * the current schema. The input object is not modified
+   */
+  migrate(json) {
+    if(!json || typeof json != 'object') {
+      throw new Error("UBD data must be an object");
+    }
+    let version = json.version;
+    if(!Number.isInteger(version) || version < 1) {
+      throw new Error(`Unknown version of UBD: ${version}`);
+    }
+    if(version > CURRENT_VERSION) {
+      throw new Error(`Version ${version} of UBD is newer than supported version ${CURRENT_VERSION}`);
+    }
+    migration.validate(json, version);
+    if(version == CURRENT_VERSION) {
+      return json;
+    }
+    while(version < CURRENT_VERSION) {
+      json = STEP_LIST[version](json);
+      version++;
+    }
+    migration.validate(json, version);
+    return json;
+  }
+
+};
+
+export default migration;
@@ -0,0 +1,97 @@
+'use strict';
+
+import Ajv from 'ajv';
+import schema from '../schema/ubd-schema-v5.json';
+import GameMode from "./GameMode.js";
+import KingOfTheHillMode from "./KingOfTheHillMode.js";
+import CaptureTheFlagMode from "./CaptureTheFlagMode.js";
+
+const MODE_LIST = [
+  {
+    name: 'deathmatch',
+    label: 'Deathmatch',
+    type: GameMode,
+    defaults: {}
+  },
+  {
+    name: 'koth',
+    label: 'King of the Hill',
+    type: KingOfTheHillMode,
+    defaults: {
+      zoneRadius: 75,
+      holdLimit: 15000,
+      zoneScore: 10
+    }
+  },
+  {
+    name: 'ctf',
+    label: 'Capture the Flag',
+    type: CaptureTheFlagMode,
+    defaults: {
+      flagRadius: 25,
+      captureLimit: 3,
+      captureScore: 50,
+      returnScore: 5
+    }
+  }
+];
+
+let validateMode = null;
+
+const modes = {
+
+  getModeList() {
+    return MODE_LIST.map((mode) => ({
+      name: mode.name,
+      label: mode.label,
+      defaults: Object.assign({}, mode.defaults)
+    }));
+  },
+
+  /*
+   * Create complete definition of a game mode from its name or from an object
+   * with the name and parameters that override default values of the mode
+   */
+  createDefinition(definition) {
+    if(typeof definition == 'string') {
+      definition = {name: definition};
+    }
+    if(!definition || typeof definition != 'object') {
+      throw new Error("Game mode must be a name of the mode or an object");
+    }
+    let mode = MODE_LIST.find((item) => item.name == definition.name);
+    if(!mode) {
+      throw new Error(`Unknown game mode '${definition.name}'`);
+    }
+    for(let key in definition) {
+      if(key != 'name' && !mode.defaults.hasOwnProperty(key)) {
+        throw new Error(`Unknown parameter '${key}' of game mode '${mode.name}'`);
+      }
+    }
+    let result = Object.assign({name: mode.name}, mode.defaults, definition);
+    modes.validate(result);
+    return result;
+  },
+
+  /*
+   * Create instance of the mode that controls objectives of the battle
+   */
+  createMode(definition) {
+    definition = modes.createDefinition(definition);
+    let mode = MODE_LIST.find((item) => item.name == definition.name);
+    return new mode.type(definition);
+  },
+
+  validate(data) {
+    if(!validateMode) {
+      validateMode = (new Ajv()).compile(schema.properties.mode);
+    }
+    if(!validateMode(data)) {
+      let error = validateMode.errors[0];
+      throw new Error(`Invalid game mode: ${error.dataPath} ${error.message}`);
+    }
+  }
+
+};
+
+export default modes;
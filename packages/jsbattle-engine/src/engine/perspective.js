@@ -0,0 +1,109 @@
+'use strict';
+
+/*
+ * Perspective of the renderer (fog of war). By default renderers show everything,
+ * but the battle can be presented as it is seen by a single tank ({tankId: 3})
+ * or by a team ({team: 'alpha'}). In such case only observers (the tank or members
+ * of the team), tanks and bullets on their radars and own bullets of observers are
+ * visible. Last known positions of lost enemies are reported as well
+ */
+const perspective = {
+
+  /*
+   * @return valid perspective or null if everything should be visible
+   */
+  normalize(input) {
+    if(!input || typeof input != 'object') {
+      return null;
+    }
+    if(input.tankId !== undefined && input.tankId !== null && !isNaN(input.tankId)) {
+      return {tankId: Number(input.tankId)};
+    }
+    if(input.team) {
+      return {team: String(input.team)};
+    }
+    return null;
+  },
+
+  isObserver(view, tank) {
+    if(!view || !tank) {
+      return false;
+    }
+    if(view.tankId !== undefined) {
+      return tank.id == view.tankId;
+    }
+    return !!tank.team && tank.team.name == view.team;
+  },
+
+  /*
+   * Collects objects visible from given perspective. Only alive observers use
+   * their radars. Entries of lastSeen are merged from all observers (the most
+   * recent one is kept for each enemy) and skipped when the enemy is visible or
+   * destroyed
+   * @param {Object} view - normalized perspective
+   * @param {Array} tankList - all tanks of the battle
+   * @return null if everything is visible
+   */
+  getVisibility(view, tankList) {
+    if(!view) {
+      return null;
+    }
+    let result = {
+      observers: [],
+      tanks: {},
+      bullets: {},
+      lastSeen: []
+    };
+    let aliveMap = {};
+    let lastSeenMap = {};
+    let tank, radar, contact, i;
+    for(tank of tankList) {
+      aliveMap[tank.id] = tank.energy > 0;
+      if(!perspective.isObserver(view, tank)) {
+        continue;
+      }
+      result.observers.push(tank);
+      result.tanks[tank.id] = true;
+    }
+    for(tank of result.observers) {
+      radar = tank.state ? tank.state.radar : null;
+      if(!aliveMap[tank.id] || !radar) {
+        continue;
+      }
+      let contactList = (radar.enemies || []).concat(radar.allies || []);
+      for(contact of contactList) {
+        result.tanks[contact.id] = true;
+      }
+      for(contact of (radar.bullets || [])) {
+        result.bullets[contact.id] = true;
+      }
+      for(contact of (radar.lastSeen || [])) {
+        if(!lastSeenMap[contact.id] || lastSeenMap[contact.id].age > contact.age) {
+          lastSeenMap[contact.id] = contact;
+        }
+      }
+    }
+    for(i in lastSeenMap) {
+      if(result.tanks[i] || !aliveMap[i]) {
+        continue;
+      }
+      result.lastSeen.push(Object.assign({}, lastSeenMap[i]));
+    }
+    result.lastSeen.sort((a, b) => a.age - b.age);
+    return result;
+  },
+
+  isTankVisible(visibility, tank) {
+    return !visibility || !!visibility.tanks[tank.id];
+  },
+
+  isBulletVisible(visibility, bullet) {
+    if(!visibility || visibility.bullets[bullet.id]) {
+      return true;
+    }
+    return !!bullet.owner && !!visibility.observers.find((tank) => tank.id == bullet.owner.id);
+  }
+
+};
+
+export default perspective;
@@ -63,6 +63,15 @@ class Renderer {
 
   }
 
+  /**
+   * Renders objectives of the game mode (e.g. zone of king of the hill or flags).
+   * Called once per frame
+   * @param {GameMode} mode - game mode of the battle
+   */
+  renderMode(mode) {
+
+  }
+
   /**
    * Renders statistics of all tanks. Called once per frame
    * @param {Array} tankList - list of all tanks that are involved in the battle
@@ -79,6 +88,44 @@ class Renderer {
   renderBullet(bullet, events) {
 
   }
+
+  /**
+   * Sets perspective of the renderer (fog of war). The battle can be presented
+   * as it is seen by a single tank (e.g. `{tankId: 3}`) or by a team (e.g.
+   * `{team: 'alpha'}`). Passing null shows everything. The perspective can be
+   * changed at any time of the battle
+   * @param {Object} perspective - tank or team that observes the battle
+   */
+  setPerspective(perspective) {
+
+  }
+
+  /**
+   * @return perspective of the renderer or null if everything is visible
+   * @see Renderer.setPerspective()
+   */
+  get perspective() {
+    return null;
+  }
+
+  /**
+   * Hides objects that are not visible from perspective of the renderer.
+   * Called once per frame, after rendering of all tanks and bullets
+   * @param {Array} tankList - list of all tanks that are involved in the battle
+   * @see Renderer.setPerspective()
+   */
+  renderPerspective(tankList) {
+
+  }
+  /**
+   * Removes views of all tanks and bullets. Called when state of the simulation
+   * changes discontinuously (e.g. after seeking) and all objects must be rendered
+   * from scratch
+   */
+  clearViews() {
+
+  }
+
   /**
    * Sets speed of the simulation. Could be used to time-scale animations so they match simulation speed
    * @pram {Number} multiplier - simulation speed multiplier
@@ -2,6 +2,7 @@
 
 import Renderer from "../Renderer.js";
 import AbstractView from "./AbstractView.js";
+import perspective from "../../perspective.js";
 
 export default class AbstractRenderer extends Renderer  {
 
@@ -13,6 +14,8 @@ export default class AbstractRenderer extends Renderer  {
     this._offsetX = 0;
     this._offsetY = 0;
     this._speedMultiplier = 1;
+    this._perspective = null;
+    this._visibility = null;
   }
 
   log(msg) {
@@ -33,6 +36,18 @@ export default class AbstractRenderer extends Renderer  {
     return this._speedMultiplier;
   }
 
+  get perspective() {
+    return this._perspective ? Object.assign({}, this._perspective) : null;
+  }
+
+  setPerspective(value) {
+    this._perspective = perspective.normalize(value);
+    this.log(`perspective: ${JSON.stringify(this._perspective)}`);
+    if(!this._perspective) {
+      this._visibility = null;
+    }
+  }
+
   initBatlefield(battlefield) {
     this._offsetX = battlefield.offsetX;
     this._offsetY = battlefield.offsetY;
@@ -46,6 +61,27 @@ export default class AbstractRenderer extends Renderer  {
     this._renderModel(bullet, events, this._bulletMap, this._createBulletView);
   }
 
+  renderPerspective(tankList) {
+    this._visibility = perspective.getVisibility(this._perspective, tankList);
+    let i, view;
+    for(i in this._tankMap) {
+      view = this._tankMap[i];
+      view.setVisible(perspective.isTankVisible(this._visibility, view.model));
+    }
+    for(i in this._bulletMap) {
+      view = this._bulletMap[i];
+      view.setVisible(perspective.isBulletVisible(this._visibility, view.model));
+    }
+  }
+
+  /*
+   * visibility is updated once per frame so it reflects the previous frame
+   * until renderPerspective is called
+   */
+  _isTankVisible(tank) {
+    return perspective.isTankVisible(this._visibility, tank);
+  }
+
   getBulletView(id) {
     return this._bulletMap[id];
   }
@@ -54,6 +90,18 @@ export default class AbstractRenderer extends Renderer  {
     return this._tankMap[id];
   }
 
+  clearViews() {
+    let i;
+    for(i in this._tankMap) {
+      this._tankMap[i].destroy();
+    }
+    for(i in this._bulletMap) {
+      this._bulletMap[i].destroy();
+    }
+    this._tankMap = [];
+    this._bulletMap = [];
+  }
+
   setSpeed(v) {
     this._speedMultiplier = v;
   }
@@ -6,12 +6,21 @@ export default class AbstractView  {
     this._model = model;
     this._view = null;
     this._isAlive = true;
+    this._isVisible = true;
   }
 
   get isAlive() {
     return this._isAlive;
   }
 
+  get isVisible() {
+    return this._isVisible;
+  }
+
+  setVisible(visible) {
+    this._isVisible = visible;
+  }
+
   destroy() {
     this._isAlive = false;
   }
@@ -1,7 +1,11 @@
 'use strict';
 
+import { Graphics } from 'pixi.js';
 import AbstractPixiView from "./AbstractPixiView.js";
 
+// radius of cannon bullets that sprites of renderers are designed for
+const BASE_RADIUS = 3;
+
 export default class AbstractPixiBulletView extends AbstractPixiView {
 
   constructor(model) {
@@ -10,10 +14,45 @@ export default class AbstractPixiBulletView extends AbstractPixiView {
 
   update(events) {
     super.update(events);
-    this.view.scale.x = this.view.scale.y = this.model.power * 0.7 + 0.3;
+    if(this._weaponShape) {
+      this.view.scale.x = this.view.scale.y = 1;
+    } else {
+      this.view.scale.x = this.view.scale.y = (this.model.power * 0.7 + 0.3) * this.model.radius / BASE_RADIUS;
+    }
     if(this.model.exploded) {
       this.destroy();
     }
   }
 
+  /**
+   * Mines and missiles are drawn as shapes instead of bullet sprites
+   * @param {Number} color - main color of the shape
+   * @return Graphics object or null if the bullet should be drawn as a sprite
+   */
+  _createWeaponShape(color) {
+    let shape = new Graphics();
+    switch(this.model.type) {
+      case 'mine':
+        shape.lineStyle(2, color, 0.8);
+        shape.drawCircle(0, 0, this.model.radius);
+        shape.lineStyle(0);
+        shape.beginFill(color, 0.8);
+        shape.drawCircle(0, 0, 3);
+        shape.endFill();
+        break;
+      case 'missile':
+        shape.beginFill(0xffaa00, 0.5);
+        shape.drawRect(-14, -1, 9, 2);
+        shape.endFill();
+        shape.beginFill(color);
+        shape.drawPolygon([6, 0, -5, -3, -5, 3]);
+        shape.endFill();
+        break;
+      default:
+        return null;
+    }
+    this._weaponShape = shape;
+    return shape;
+  }
+
 }
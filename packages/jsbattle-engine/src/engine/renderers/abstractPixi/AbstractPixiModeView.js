@@ -0,0 +1,66 @@
+'use strict';
+import { Graphics } from 'pixi.js';
+import { Point } from 'pixi.js';
+import AbstractPixiView from "./AbstractPixiView.js";
+
+const TEAM_COLORS = [0xff4136, 0x0074d9, 0x2ecc40, 0xffdc00, 0xb10dc9, 0xff851b];
+const NEUTRAL_COLOR = 0xaaaaaa;
+
+export default class AbstractPixiModeView extends AbstractPixiView  {
+
+  _create(container) {
+    this._graphics = new Graphics();
+    container.addChild(this._graphics);
+  }
+
+  update(events) {
+    this._graphics.clear();
+    switch(this.model.name) {
+      case 'koth':
+        this._drawZone(this._graphics);
+        break;
+      case 'ctf':
+        this._drawFlags(this._graphics);
+        break;
+    }
+  }
+
+  _getTeamColor(team) {
+    let index = this.model.teamList.indexOf(team);
+    if(index == -1) {
+      return NEUTRAL_COLOR;
+    }
+    return TEAM_COLORS[index % TEAM_COLORS.length];
+  }
+
+  _drawZone(g) {
+    let zone = this.model.zone;
+    if(!zone) return;
+    let color = this.model.holder ? this._getTeamColor(this.model.holder) : NEUTRAL_COLOR;
+    g.lineStyle(2, color, 0.8);
+    g.beginFill(color, 0.15);
+    g.drawCircle(zone.x, zone.y, zone.radius);
+    g.endFill();
+  }
+
+  _drawFlags(g) {
+    let color;
+    for(let flag of this.model.flags) {
+      color = this._getTeamColor(flag.team);
+      g.lineStyle(2, color, 0.6);
+      g.drawCircle(flag.baseX, flag.baseY, this.model.definition.flagRadius);
+      g.lineStyle(2, 0xffffff, 1);
+      g.moveTo(flag.x, flag.y);
+      g.lineTo(flag.x, flag.y - 24);
+      g.lineStyle(1, color, 1);
+      g.beginFill(color, 1);
+      g.drawPolygon([
+        new Point(flag.x, flag.y - 24),
+        new Point(flag.x + 14, flag.y - 19),
+        new Point(flag.x, flag.y - 14)
+      ]);
+      g.endFill();
+    }
+  }
+
+}
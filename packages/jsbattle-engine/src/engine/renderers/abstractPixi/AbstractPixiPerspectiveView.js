@@ -0,0 +1,70 @@
+'use strict';
+import { Graphics } from 'pixi.js';
+import { Point } from 'pixi.js';
+import AbstractPixiView from "./AbstractPixiView.js";
+
+const FOG_COLOR = 0x000000;
+const FOG_ALPHA = 0.45;
+const RADAR_COLOR = 0xffffff;
+const GHOST_COLOR = 0xff4136;
+const LAST_SEEN_LIMIT = 300;
+
+export default class AbstractPixiPerspectiveView extends AbstractPixiView  {
+
+  _create(container) {
+    this._graphics = new Graphics();
+    container.addChild(this._graphics);
+  }
+
+  update(events) {
+    this._graphics.clear();
+    if(!this.model.enabled) {
+      return;
+    }
+    this._drawFog(this._graphics);
+    for(let tank of this.model.observers) {
+      this._drawRadar(this._graphics, tank);
+    }
+    for(let contact of this.model.lastSeen) {
+      this._drawGhost(this._graphics, contact);
+    }
+  }
+
+  _drawFog(g) {
+    let battlefield = this.model.battlefield;
+    g.lineStyle();
+    g.beginFill(FOG_COLOR, FOG_ALPHA);
+    g.drawRect(battlefield.minX, battlefield.minY, battlefield.width, battlefield.height);
+    g.endFill();
+  }
+
+  // the same shape as radar beam used by collision resolver
+  _drawRadar(g, tank) {
+    let angle = (tank.angle + tank.radarAngle) * (Math.PI/180);
+    let width = tank.radarRange * Math.tan(tank.radarFocal*(Math.PI/180))/2;
+    let cos = Math.cos(angle);
+    let sin = Math.sin(angle);
+    let point = (x, y) => new Point(tank.x + x*cos - y*sin, tank.y + x*sin + y*cos);
+    g.lineStyle(1, RADAR_COLOR, 0.4);
+    g.beginFill(RADAR_COLOR, 0.15);
+    g.drawPolygon([
+      point(0, 3),
+      point(0, -3),
+      point(tank.radarRange, -width),
+      point(tank.radarRange, width)
+    ]);
+    g.endFill();
+  }
+
+  // last known position of an enemy fades out with time
+  _drawGhost(g, contact) {
+    let alpha = Math.max(0.2, 1 - contact.age/LAST_SEEN_LIMIT);
+    g.lineStyle(2, GHOST_COLOR, alpha);
+    g.drawCircle(contact.x, contact.y, 18);
+    g.moveTo(contact.x - 6, contact.y - 6);
+    g.lineTo(contact.x + 6, contact.y + 6);
+    g.moveTo(contact.x + 6, contact.y - 6);
+    g.lineTo(contact.x - 6, contact.y + 6);
+  }
+
+}
@@ -8,7 +8,10 @@ import { utils } from 'pixi.js';
 import AbstractRenderer from "../abstract/AbstractRenderer.js";
 import AbstractPixiView from "./AbstractPixiView.js";
 import AbstractPixiTankView from "./AbstractPixiTankView.js";
+import AbstractPixiModeView from "./AbstractPixiModeView.js";
+import AbstractPixiPerspectiveView from "./AbstractPixiPerspectiveView.js";
 import PixiRendererClockModel from "./PixiRendererClockModel.js";
+import PixiRendererPerspectiveModel from "./PixiRendererPerspectiveModel.js";
 
 export default class AbstractPixiRenderer extends AbstractRenderer  {
 
@@ -29,6 +32,9 @@ export default class AbstractPixiRenderer extends AbstractRenderer  {
     this._stage = null;
     this._clockModel = new PixiRendererClockModel();
     this._clockView = null;
+    this._modeView = null;
+    this._perspectiveModel = null;
+    this._perspectiveView = null;
     this._battlefieldView = null;
     if(window.devicePixelRatio >= 2) {
       this._rendererScale = 2;
@@ -75,6 +81,12 @@ export default class AbstractPixiRenderer extends AbstractRenderer  {
 
     this._battlefieldView = this._createBattlefieldView(battlefield);
     this._clockView = this._createClockView(this._clockModel);
+    // clock views are positioned for the default height of the battlefield
+    this._clockView.view.y = rendererSettings.height - 600;
+    this._perspectiveModel = new PixiRendererPerspectiveModel(battlefield);
+    this._perspectiveView = this._createPerspectiveView(this._perspectiveModel);
+    // fog of war covers the battlefield but not tanks and bullets
+    this._masterContainer.addChildAt(this._perspectiveView.view, 0);
 
     this._stage.addChild(this._battlefieldView.view);
     this._stage.addChild(this._masterContainer);
@@ -156,6 +168,21 @@ export default class AbstractPixiRenderer extends AbstractRenderer  {
     this._clockView.update();
   }
 
+  renderMode(mode) {
+    if(!this._modeView) {
+      this._modeView = this._createModeView(mode);
+      // objectives are rendered below tanks and bullets
+      this._masterContainer.addChildAt(this._modeView.view, 0);
+    }
+    this._modeView.update();
+  }
+
+  renderPerspective(tankList) {
+    super.renderPerspective(tankList);
+    this._perspectiveModel.update(this._visibility);
+    this._perspectiveView.update();
+  }
+
   postRender() {
     super.postRender();
     this._renderer.render(this._stage);
@@ -184,6 +211,14 @@ export default class AbstractPixiRenderer extends AbstractRenderer  {
     return new AbstractPixiView(clock);
   }
 
+  _createModeView(mode) {
+    return new AbstractPixiModeView(mode);
+  }
+
+  _createPerspectiveView(model) {
+    return new AbstractPixiPerspectiveView(model);
+  }
+
   dispose() {
     this.log(`Disposing...`);
     this._isDisposed = true;
@@ -53,6 +53,11 @@ export default class AbstractPixiTankView extends AbstractPixiView {
     }
   }
 
+  setVisible(visible) {
+    super.setVisible(visible);
+    this.hudView.visible = visible;
+  }
+
   _onEvent(event) {
     switch (event.type) {
       case 'shoot':
@@ -24,6 +24,11 @@ export default class AbstractPixiView extends AbstractView {
     }
   }
 
+  setVisible(visible) {
+    super.setVisible(visible);
+    this._view.visible = visible;
+  }
+
   destroy() {
     super.destroy();
     if(this.view.parent) {
@@ -0,0 +1,31 @@
+export default class PixiRendererPerspectiveModel {
+
+  constructor(battlefield) {
+    this._battlefield = battlefield;
+    this._visibility = null;
+  }
+
+  update(visibility) {
+    this._visibility = visibility;
+  }
+
+  get battlefield() {
+    return this._battlefield;
+  }
+
+  get enabled() {
+    return !!this._visibility;
+  }
+
+  get observers() {
+    if(!this._visibility) {
+      return [];
+    }
+    return this._visibility.observers.filter((tank) => tank.energy > 0);
+  }
+
+  get lastSeen() {
+    return this._visibility ? this._visibility.lastSeen : [];
+  }
+
+}
@@ -3,6 +3,7 @@ import { Container } from 'pixi.js';
 import { Sprite } from 'pixi.js';
 import { BLEND_MODES } from 'pixi.js';
 import { Graphics } from 'pixi.js';
+import { Point } from 'pixi.js';
 import AbstractPixiView from "../abstractPixi/AbstractPixiView.js";
 
 export default class BrodyBattlefieldView extends AbstractPixiView  {
@@ -18,17 +19,21 @@ export default class BrodyBattlefieldView extends AbstractPixiView  {
   }
 
   _create(container) {
+    let width = this.model.width + 2*this.model.margin;
+    let height = this.model.height + 2*this.model.margin;
     let background = Sprite.from('battlefield');
+    background.width = width;
+    background.height = height;
     container.addChild(background);
 
     let groundMask = new Graphics();
     groundMask.beginFill(0x0000ff, 1);
     groundMask.moveTo(25, 25);
-    groundMask.lineTo(900-25, 25);
-    groundMask.lineTo(900-25, 600-25);
-    groundMask.lineTo(90, 600-25);
-    groundMask.lineTo(90, 600-35);
-    groundMask.lineTo(25, 600-35);
+    groundMask.lineTo(width-25, 25);
+    groundMask.lineTo(width-25, height-25);
+    groundMask.lineTo(90, height-25);
+    groundMask.lineTo(90, height-35);
+    groundMask.lineTo(25, height-35);
     groundMask.lineTo(25, 25);
     groundMask.endFill();
 
@@ -40,24 +45,39 @@ export default class BrodyBattlefieldView extends AbstractPixiView  {
     let wallMask = new Graphics();
     wallMask.beginFill(0x0000ff, 0.4);
     wallMask.moveTo(15, 15);
-    wallMask.lineTo(900-15, 15);
-    wallMask.lineTo(900-15, 600-15);
-    wallMask.lineTo(80, 600-15);
-    wallMask.lineTo(80, 600-25);
-    wallMask.lineTo(15, 600-25);
+    wallMask.lineTo(width-15, 15);
+    wallMask.lineTo(width-15, height-15);
+    wallMask.lineTo(80, height-15);
+    wallMask.lineTo(80, height-25);
+    wallMask.lineTo(15, height-25);
     wallMask.lineTo(15, 15);
     wallMask.lineTo(25, 25);
-    wallMask.lineTo(25, 600-25);
-    wallMask.lineTo(80, 600-25);
-    wallMask.lineTo(80, 600-25);
-    wallMask.lineTo(900-25, 600-25);
-    wallMask.lineTo(900-25, 25);
+    wallMask.lineTo(25, height-25);
+    wallMask.lineTo(80, height-25);
+    wallMask.lineTo(80, height-25);
+    wallMask.lineTo(width-25, height-25);
+    wallMask.lineTo(width-25, 25);
     wallMask.lineTo(25, 25);
     wallMask.endFill();
     this._holesContainer = new Container();
     this._holesContainer.mask = wallMask;
     container.addChild(this._holesContainer);
     container.addChild(wallMask);
+
+    let obstacles = new Graphics();
+    let polygons = (this.model.obstacles || []).map((points) => points.map((point) => new Point(point.x - this.model.offsetX, point.y - this.model.offsetY)));
+    let shadows = polygons.map((polygon) => polygon.map((point) => new Point(point.x + 4, point.y + 4)));
+    for(let i=0; i < polygons.length; i++) {
+      obstacles.lineStyle(0);
+      obstacles.beginFill(0x000000, 0.25);
+      obstacles.drawPolygon(shadows[i]);
+      obstacles.endFill();
+      obstacles.lineStyle(3, 0x2e2a24, 1);
+      obstacles.beginFill(0x5c5446, 1);
+      obstacles.drawPolygon(polygons[i]);
+      obstacles.endFill();
+    }
+    container.addChild(obstacles);
   }
 
   addCrater(x, y) {
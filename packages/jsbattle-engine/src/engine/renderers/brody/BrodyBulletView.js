@@ -19,8 +19,11 @@ export default class BrodyBulletView extends AbstractPixiBulletView  {
   }
 
   _create(container) {
-    let bullet = Sprite.from('bullet');
-    bullet.anchor.set(0.5);
+    let bullet = this._createWeaponShape(0xffcc66);
+    if(!bullet) {
+      bullet = Sprite.from('bullet');
+      bullet.anchor.set(0.5);
+    }
     let glow = Sprite.from('glow');
     glow.anchor.set(0.5);
     glow.blendMode = BLEND_MODES.ADD;
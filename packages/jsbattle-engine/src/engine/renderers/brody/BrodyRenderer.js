@@ -75,7 +75,8 @@ export default class BrodyRenderer extends AbstractPixiRenderer  {
 
     let directionCorrection = tank.throttle > 0 ? 180 : 0;
     let dirtAngle = (tank.angle+directionCorrection)*(Math.PI/180);
-    if(tank.speed > 1) {
+    // tracks would reveal position of tanks hidden by fog of war
+    if(tank.speed > 1 && this._isTankVisible(tank)) {
       let corner1X = tank.x + 20*Math.cos(dirtAngle-Math.PI/4) + 7*Math.cos(dirtAngle);
       let corner1Y = tank.y + 20*Math.sin(dirtAngle-Math.PI/4) + 7*Math.sin(dirtAngle);
       let corner2X = tank.x + 20*Math.cos(dirtAngle+Math.PI/4) + 7*Math.cos(dirtAngle);
@@ -1,12 +1,26 @@
 'use strict';
 import { Sprite } from 'pixi.js';
+import { Graphics } from 'pixi.js';
+import { Point } from 'pixi.js';
 import AbstractPixiView from "../abstractPixi/AbstractPixiView.js";
 
 export default class BWBattlefieldView extends AbstractPixiView  {
 
   _create(container) {
     let background = Sprite.from('battlefield');
+    background.width = this.model.width + 2*this.model.margin;
+    background.height = this.model.height + 2*this.model.margin;
     container.addChild(background);
+
+    let obstacles = new Graphics();
+    obstacles.lineStyle(2, 0x000000, 1);
+    let polygons = (this.model.obstacles || []).map((points) => points.map((point) => new Point(point.x - this.model.offsetX, point.y - this.model.offsetY)));
+    for(let polygon of polygons) {
+      obstacles.beginFill(0xcccccc);
+      obstacles.drawPolygon(polygon);
+      obstacles.endFill();
+    }
+    container.addChild(obstacles);
   }
 
   update(events) {
@@ -10,8 +10,11 @@ export default class BWBulletView extends AbstractPixiBulletView  {
   }
 
   _create(container) {
-    let bullet = Sprite.from('bullet');
-    bullet.anchor.set(0.5);
+    let bullet = this._createWeaponShape(0xffffff);
+    if(!bullet) {
+      bullet = Sprite.from('bullet');
+      bullet.anchor.set(0.5);
+    }
     container.addChild(bullet);
   }
 
@@ -1,5 +1,6 @@
 'use strict';
 import { Graphics } from 'pixi.js';
+import { Point } from 'pixi.js';
 import AbstractPixiView from "../abstractPixi/AbstractPixiView.js";
 
 export default class DebugBattlefieldView extends AbstractPixiView  {
@@ -17,6 +18,16 @@ export default class DebugBattlefieldView extends AbstractPixiView  {
     background.drawRect(this.model.margin, this.model.margin, this.model.width, this.model.height);
     background.endFill();
     container.addChild(background);
+
+    let obstacles = new Graphics();
+    obstacles.lineStyle(1, 0xffff00, 0.8);
+    let polygons = (this.model.obstacles || []).map((points) => points.map((point) => new Point(point.x - this.model.offsetX, point.y - this.model.offsetY)));
+    for(let polygon of polygons) {
+      obstacles.beginFill(0x333300);
+      obstacles.drawPolygon(polygon);
+      obstacles.endFill();
+    }
+    container.addChild(obstacles);
   }
 
   update(events) {
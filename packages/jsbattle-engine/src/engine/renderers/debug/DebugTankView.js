@@ -40,8 +40,8 @@ export default class DebugTankView extends AbstractPixiTankView  {
     body.lineStyle();
     body.beginFill(0xaaffaa, 0.1);
     body.moveTo(0, -3);
-    let radarRange = 300;
-    let radarFocal = 6;
+    let radarRange = this.model.radarRange;
+    let radarFocal = this.model.radarFocal;
     let width = radarRange * Math.tan(radarFocal*(Math.PI/180))/2;
     body.lineTo(radarRange, -width);
     body.lineTo(radarRange, width);
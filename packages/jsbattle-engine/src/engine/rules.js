@@ -0,0 +1,94 @@
+'use strict';
+
+import Ajv from 'ajv';
+import schema from '../schema/ubd-schema-v5.json';
+
+const DEFAULT_RULES = {
+  name: 'default',
+  maxEnergy: 100,
+  maxBoost: 400,
+  gunReloadTime: 70,
+  radarRange: 300,
+  radarFocal: 6,
+  speed: 2,
+  boostSpeed: 4,
+  turnSpeed: 2,
+  gunTurnSpeed: 3,
+  radarTurnSpeed: 6,
+  bulletSpeed: 4,
+  bulletDamage: 1,
+  collisionDamage: 0.2,
+  specializationPoints: 10,
+  radioMessageLimit: 5,
+  radioByteLimit: 1024
+};
+
+const PRESETS = {
+  'default': {},
+  'one-shot': {
+    bulletDamage: 100
+  },
+  'long-radar': {
+    radarRange: 600
+  },
+  'no-boost': {
+    maxBoost: 0
+  },
+  'no-specialization': {
+    specializationPoints: 0
+  }
+};
+
+let validateRules = null;
+
+const rules = {
+
+  getDefaultRules() {
+    return Object.assign({}, DEFAULT_RULES);
+  },
+
+  getPresetList() {
+    return Object.keys(PRESETS);
+  },
+
+  getPreset(name) {
+    if(!PRESETS[name]) {
+      return null;
+    }
+    return Object.assign({}, DEFAULT_RULES, PRESETS[name], {name: name});
+  },
+
+  /*
+   * Create complete set of rules from name of a preset or from an object
+   * that overrides some of default values
+   */
+  createRules(definition) {
+    let result;
+    if(typeof definition == 'string') {
+      result = rules.getPreset(definition);
+      if(!result) {
+        throw new Error(`Unknown preset of rules '${definition}'`);
+      }
+      return result;
+    }
+    if(!definition || typeof definition != 'object') {
+      throw new Error("Rules must be a name of a preset or an object");
+    }
+    result = Object.assign({}, DEFAULT_RULES, {name: 'custom'}, definition);
+    rules.validate(result);
+    return result;
+  },
+
+  validate(data) {
+    if(!validateRules) {
+      validateRules = (new Ajv()).compile(schema.properties.rules);
+    }
+    if(!validateRules(data)) {
+      let error = validateRules.errors[0];
+      throw new Error(`Invalid rules: ${error.dataPath} ${error.message}`);
+    }
+  }
+
+};
+
+export default rules;
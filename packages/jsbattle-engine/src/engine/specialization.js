@@ -0,0 +1,74 @@
+'use strict';
+
+/*
+ * Specialization points that AI distributes in tank.init() via
+ * settings.SPECIALIZATION. Total amount of points is limited by
+ * specializationPoints game rule and each skill can get at most `max` points.
+ * Every point changes related parameter of the tank by `bonus` (relative to the
+ * value from game rules):
+ *  - armour - damage received by the tank
+ *  - engine - speed of the tank (with and without boost)
+ *  - radarRange, radarFocal - range and width of radar beam
+ *  - reload - reloading time of the gun
+ */
+const SKILL_LIST = [
+  {name: 'armour', label: 'Armour', max: 5, bonus: -0.05},
+  {name: 'engine', label: 'Engine', max: 5, bonus: 0.05},
+  {name: 'radarRange', label: 'Radar Range', max: 5, bonus: 0.1},
+  {name: 'radarFocal', label: 'Radar Focal Width', max: 5, bonus: 0.2},
+  {name: 'reload', label: 'Reload Speed', max: 5, bonus: -0.05}
+];
+
+const specialization = {
+
+  getSkillList() {
+    return SKILL_LIST.map((skill) => Object.assign({}, skill));
+  },
+
+  /*
+   * @return specialization without any points assigned
+   */
+  createEmpty() {
+    let result = {};
+    for(let skill of SKILL_LIST) {
+      result[skill.name] = 0;
+    }
+    return result;
+  },
+
+  /*
+   * Converts points requested by AI to a valid specialization. Values are rounded
+   * down and clamped. When requested points exceed the budget, skills are
+   * filled in order of SKILL_LIST until there are no points left
+   * @param {Object} input - points requested by AI
+   * @param {Number} budget - total amount of points available for the tank
+   */
+  normalize(input, budget) {
+    let result = specialization.createEmpty();
+    if(!input || typeof input != 'object') {
+      return result;
+    }
+    let available = Math.max(0, Math.floor(Number(budget)) || 0);
+    for(let skill of SKILL_LIST) {
+      let value = Math.floor(Number(input[skill.name])) || 0;
+      value = Math.max(0, Math.min(skill.max, available, value));
+      result[skill.name] = value;
+      available -= value;
+    }
+    return result;
+  },
+
+  /*
+   * @return multiplier of tank parameter related to the skill
+   */
+  getMultiplier(points, name) {
+    let skill = SKILL_LIST.find((item) => item.name == name);
+    if(!skill || !points) {
+      return 1;
+    }
+    return 1 + skill.bonus*(points[name] || 0);
+  }
+
+};
+
+export default specialization;
@@ -0,0 +1,190 @@
+'use strict';
+
+// Child process of VmWorker. AI code runs in a V8 context that does not contain
+// any object of this process and only JSON strings cross its boundary
+const vm = require('vm');
+const extendedMath = require('../tanks/lib/extendedMath.js');
+
+const timeout = Number(process.argv[2]);
+
+const BOOTSTRAP_SCRIPT = `
+  var Math = (${extendedMath.toString()})();
+  Math.random = function() {
+    throw "Cannot use Math.random outside of tank.init(...) or tank.loop(...) callbacks! Sorry!";
+  };
+  var console = {
+    log: function() {},
+    info: function() {},
+    warn: function() {},
+    error: function() {},
+    debug: function() {}
+  };
+  var tank = {
+    _initCallback: function() {},
+    _loopCallback: function() {},
+    _persistentData: undefined,
+    init: function(callback) {
+      this._initCallback = callback;
+    },
+    loop: function(callback) {
+      this._loopCallback = callback;
+    },
+    persist: function(data) {
+      this._persistentData = data;
+    }
+  };
+  function __output(output) {
+    output.persistentData = tank._persistentData;
+    tank._persistentData = undefined;
+    return JSON.stringify(output);
+  }
+`;
+
+// ARC4 generator of seedrandom library (the one used by Web Workers in the browser)
+// created inside of the context, so the same seed gives the same numbers
+const SEED_SCRIPT = `
+  (function(seed) {
+    var width = 256;
+    var mask = width - 1;
+    var startdenom = Math.pow(width, 6);
+    var significance = Math.pow(2, 52);
+    var overflow = significance * 2;
+    var key = [];
+    var s = [];
+    var si = 0;
+    var sj = 0;
+    var smear, i, j, t;
+    seed = (typeof seed == 'string') ? seed : seed + '\\0';
+    for(j=0; j < seed.length; j++) {
+      key[mask & j] = mask & ((smear ^= key[mask & j] * 19) + seed.charCodeAt(j));
+    }
+    if(!key.length) {
+      key = [0];
+    }
+    for(i=0; i < width; i++) {
+      s[i] = i;
+    }
+    for(i=0, j=0; i < width; i++) {
+      s[i] = s[j = mask & (j + key[i % key.length] + (t = s[i]))];
+      s[j] = t;
+    }
+    function next(count) {
+      var r = 0;
+      var i = si;
+      var j = sj;
+      var t;
+      while(count--) {
+        t = s[i = mask & (i + 1)];
+        r = r * width + s[mask & ((s[i] = s[j = mask & (j + t)]) + (s[j] = t))];
+      }
+      si = i;
+      sj = j;
+      return r;
+    }
+    next(width);
+    Math.random = function() {
+      var n = next(6);
+      var d = startdenom;
+      var x = 0;
+      while(n < significance) {
+        n = (n + x) * width;
+        d *= width;
+        x = next(1);
+      }
+      while(n >= overflow) {
+        n /= 2;
+        d /= 2;
+        x >>>= 1;
+      }
+      return (n + x) / d;
+    };
+  })(JSON.parse(__input));
+`;
+
+const INIT_SCRIPT = `
+  (function(input) {
+    input = JSON.parse(input);
+    tank._initCallback(input.settings, input.info);
+    return __output({settings: input.settings});
+  })(__input);
+`;
+
+const UPDATE_SCRIPT = `
+  (function(input) {
+    input = JSON.parse(input);
+    if(tank._loopCallback) {
+      tank._loopCallback(input.state, input.control);
+    }
+    return __output({control: input.control});
+  })(__input);
+`;
+
+let context = null;
+let initScript = null;
+let updateScript = null;
+
+function run(script, input) {
+  context.__input = JSON.stringify(input);
+  let output = script.runInContext(context, {timeout});
+  if(typeof output != 'string') {
+    throw new Error("Output of AI is corrupted");
+  }
+  return JSON.parse(output);
+}
+
+function init(inputData) {
+  if(!inputData.code) throw new Error("The code is required!");
+  // the context is created from an object without prototype so its global
+  // object does not lead to constructors of this process
+  context = vm.createContext(Object.create(null));
+  vm.runInContext(BOOTSTRAP_SCRIPT, context);
+  vm.runInContext(inputData.code, context, {
+    filename: 'tank.js',
+    timeout
+  });
+  context.__input = JSON.stringify(inputData.seed);
+  vm.runInContext(SEED_SCRIPT, context);
+  initScript = new vm.Script(INIT_SCRIPT);
+  updateScript = new vm.Script(UPDATE_SCRIPT);
+  let output = run(initScript, {
+    settings: inputData.settings,
+    info: inputData.info
+  });
+  return {type: 'init', settings: output.settings, persistentData: output.persistentData};
+}
+
+function update(inputData) {
+  if(!context) throw new Error("AI is not initialized");
+  let startTime = process.hrtime();
+  let output = run(updateScript, {
+    state: inputData.state,
+    control: inputData.control
+  });
+  let executionTime = process.hrtime(startTime);
+  return {
+    type: 'update',
+    control: output.control,
+    executionTime: executionTime[0]*1000 + executionTime[1]/1000000,
+    persistentData: output.persistentData
+  };
+}
+
+process.on('message', (inputData) => {
+  let response;
+  try {
+    if(inputData.command == 'init') {
+      response = init(inputData);
+    } else if (inputData.command == 'update') {
+      response = update(inputData);
+    } else {
+      return;
+    }
+  } catch(err) {
+    process.send({error: {
+      message: err && err.message ? String(err.message) : String(err),
+      timeout: Boolean(err && err.code == 'ERR_SCRIPT_EXECUTION_TIMEOUT')
+    }});
+    return;
+  }
+  process.send({data: response});
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+/*
+ * Weapons that can be selected by AI in tank.init() via settings.WEAPON.
+ * Parameters are multipliers of game rules (reload of gunReloadTime, speed of
+ * bulletSpeed and damage of bulletDamage) so all weapons follow the rules of the battle
+ *  - count, spread - number of projectiles fired at once and angle between outer ones
+ *  - range - distance after which projectiles disappear (null for unlimited)
+ *  - homing - how many degrees per step the projectile turns towards the closest enemy
+ *  - energyCost - energy of the tank consumed by each shot
+ *  - radius - size of projectiles used for collision detection
+ */
+const WEAPON_LIST = [
+  {
+    name: 'cannon',
+    label: 'Cannon',
+    reload: 1,
+    speed: 1,
+    damage: 1,
+    count: 1,
+    spread: 0,
+    range: null,
+    homing: 0,
+    energyCost: 0,
+    radius: 3
+  },
+  {
+    name: 'shotgun',
+    label: 'Shotgun',
+    reload: 1.5,
+    speed: 1.5,
+    damage: 0.3,
+    count: 5,
+    spread: 30,
+    range: 150,
+    homing: 0,
+    energyCost: 0,
+    radius: 2
+  },
+  {
+    name: 'missile',
+    label: 'Homing Missile',
+    reload: 2,
+    speed: 0.5,
+    damage: 1.5,
+    count: 1,
+    spread: 0,
+    range: 600,
+    homing: 1.5,
+    energyCost: 2,
+    radius: 4
+  },
+  {
+    name: 'mine',
+    label: 'Mine',
+    reload: 1.5,
+    speed: 0,
+    damage: 2,
+    count: 1,
+    spread: 0,
+    range: null,
+    homing: 0,
+    energyCost: 1,
+    radius: 8
+  }
+];
+
+const DEFAULT_WEAPON = 'cannon';
+
+const weapons = {
+
+  getWeaponList() {
+    return WEAPON_LIST.map((weapon) => Object.assign({}, weapon));
+  },
+
+  getDefaultWeapon() {
+    return weapons.getWeapon(DEFAULT_WEAPON);
+  },
+
+  /*
+   * @return definition of the weapon or null if there is no weapon of given name
+   */
+  getWeapon(name) {
+    let weapon = WEAPON_LIST.find((item) => item.name == name);
+    return weapon ? Object.assign({}, weapon) : null;
+  }
+
+};
+
+export default weapons;
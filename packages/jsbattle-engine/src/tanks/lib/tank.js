@@ -18,8 +18,15 @@ Math.random = function() {
     constructor() {
       this._initCallback = function() {};
       this._loopCallback = function() {};
+      this._persistentData = undefined;
       var selfObject = this;
 
+      function takePersistentData() {
+        var data = selfObject._persistentData;
+        selfObject._persistentData = undefined;
+        return data;
+      }
+
       onmessage = function (tankStateEvent) {
         switch(tankStateEvent.data.command) {
 
@@ -30,18 +37,22 @@ Math.random = function() {
 
             Math.random = seedrandom(seed);
             selfObject._initCallback(settings, info);
-            postMessage({type: 'init', settings: settings});
+            postMessage({type: 'init', settings: settings, persistentData: takePersistentData()});
             break;
 
           case 'update':
             var state = tankStateEvent.data.state;
             var control = tankStateEvent.data.control;
+            var startTime = performance.now();
             if(selfObject._loopCallback) {
               selfObject._loopCallback(state, control);
-              postMessage(control);
-            } else {
-              postMessage(control);
             }
+            postMessage({
+              type: 'update',
+              control: control,
+              executionTime: performance.now() - startTime,
+              persistentData: takePersistentData()
+            });
             break;
         }
       };
@@ -54,6 +65,10 @@ Math.random = function() {
     init(callback) {
       this._initCallback = callback;
     }
+
+    persist(data) {
+      this._persistentData = data;
+    }
   }
 
   self.tank = new TankController();
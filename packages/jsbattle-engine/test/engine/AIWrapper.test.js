@@ -4,6 +4,7 @@ import AiWrapper from '../../src/engine/AiWrapper.js';
 import WorkerMock from "./mock/WorkerMock.js";
 import TankMock from "./mock/TankMock.js";
 import AiDefinitionMock from "./mock/AiDefinitionMock.js";
+import VmWorker from '../../src/engine/VmWorker.js';
 
 describe('AiWrapper', function() {
   describe('constructor', function() {
@@ -17,6 +18,27 @@ describe('AiWrapper', function() {
 
   });
 
+  describe('_createWorker', function() {
+
+    it('should use VmWorker when Web Worker is not available', function () {
+      let ai = new AiWrapper(new TankMock(), new AiDefinitionMock());
+      let worker = ai._createWorker({useSandbox: true, filePath: 'tank.js'});
+      assert(worker instanceof VmWorker);
+      worker.terminate();
+    });
+
+    it('should derive timeout of VmWorker from execution limit', function () {
+      let def = new AiDefinitionMock();
+      def.executionLimit = 100;
+      let ai = new AiWrapper(new TankMock(), def);
+      ai.setBudgetPolicy(5, 2);
+      assert.equal(500, ai._getSandboxTimeout());
+      ai.setBudgetPolicy(100, 2);
+      assert.equal(3000, ai._getSandboxTimeout());
+    });
+
+  });
+
   describe('activate', function() {
 
     it('should create web worker', function (done) {
@@ -45,6 +67,92 @@ describe('AiWrapper', function() {
       });
     });
 
+    it('should configure weapon of the tank', function (done) {
+      let tank = new TankMock();
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      let worker;
+      ai._createWorker = function(name) {
+        worker = new WorkerMock(name);
+        return worker;
+      }
+      ai.activate(1,
+        () => {
+          ai.deactivate();
+          assert.equal('cannon', worker.postMessage.args[0][0].settings.WEAPON);
+          assert(tank.init.calledWith({SKIN: 'lava', WEAPON: 'mine'}));
+          done();
+        },
+        (err) => {
+          ai.deactivate();
+          assert.fail("Error " + err);
+        }
+      );
+      worker.onmessage({
+        data: {
+          type: 'init',
+          settings: {SKIN: 'lava', WEAPON: 'mine', SPEED: 100}
+        }
+      });
+    });
+
+    it('should clamp specialization points', function (done) {
+      let tank = new TankMock();
+      tank.rules.specializationPoints = 6;
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      let worker;
+      ai._createWorker = function(name) {
+        worker = new WorkerMock(name);
+        return worker;
+      }
+      ai.activate(1,
+        () => {
+          ai.deactivate();
+          assert.deepEqual({armour: 0, engine: 0, radarRange: 0, radarFocal: 0, reload: 0}, worker.postMessage.args[0][0].settings.SPECIALIZATION);
+          assert(tank.init.calledWith({
+            SPECIALIZATION: {armour: 5, engine: 1, radarRange: 0, radarFocal: 0, reload: 0}
+          }));
+          done();
+        },
+        (err) => {
+          ai.deactivate();
+          assert.fail("Error " + err);
+        }
+      );
+      worker.onmessage({
+        data: {
+          type: 'init',
+          settings: {SPECIALIZATION: {armour: 9, engine: 3, reload: 2}}
+        }
+      });
+    });
+
+    it('should ignore unknown weapons', function (done) {
+      let tank = new TankMock();
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      let worker;
+      ai._createWorker = function(name) {
+        worker = new WorkerMock(name);
+        return worker;
+      }
+      ai.activate(1,
+        () => {
+          ai.deactivate();
+          assert(tank.init.calledWith({}));
+          done();
+        },
+        (err) => {
+          ai.deactivate();
+          assert.fail("Error " + err);
+        }
+      );
+      worker.onmessage({
+        data: {
+          type: 'init',
+          settings: {WEAPON: 'laser'}
+        }
+      });
+    });
+
     it('should return error if worker not responding', function (done) {
       this.timeout(5000);
       let tank = new TankMock();
@@ -189,6 +297,257 @@ describe('AiWrapper', function() {
 
     });
 
+    function activateWithMock(ai, callback) {
+      let worker;
+      ai._createWorker = function(name) {
+        worker = new WorkerMock(name);
+        return worker;
+      }
+      ai.activate(1, () => callback(worker), (err) => assert.fail("Error" + err.message));
+      worker.onmessage({
+        data: {
+          type: 'init'
+        }
+      });
+    }
+
+    // the worker responds after `elapsed` milliseconds
+    function runStep(ai, worker, response, callback, elapsed) {
+      ai.simulationStep(callback, (err) => assert.fail("Error" + err.message));
+      ai._aiProcessingStart -= elapsed || 0;
+      worker.onmessage({data: response});
+    }
+
+    it('should apply control when execution time is within the limit', function (done) {
+      let tank = new TankMock();
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      activateWithMock(ai, (worker) => {
+        runStep(ai, worker, {type: 'update', control: {THROTTLE: 0.5}}, () => {
+          ai.deactivate();
+          assert(tank.setThrottle.calledWith(0.5));
+          assert(tank.onBudgetExceeded.notCalled);
+          assert(tank.disqualify.notCalled);
+          done();
+        }, 900);
+      });
+    });
+
+    it('should skip the step when execution time exceeds the limit', function (done) {
+      let tank = new TankMock();
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      ai.setBudgetPolicy(10, 3);
+      activateWithMock(ai, (worker) => {
+        runStep(ai, worker, {type: 'update', control: {THROTTLE: 0.5, SHOOT: 1}}, () => {
+          ai.deactivate();
+          assert(tank.setThrottle.notCalled);
+          assert(tank.shoot.notCalled);
+          assert(tank.onBudgetExceeded.calledWith(3));
+          assert(tank.disqualify.notCalled);
+          done();
+        }, 1001);
+      });
+    });
+
+    it('should not trust execution time reported by the worker', function (done) {
+      let tank = new TankMock();
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      activateWithMock(ai, (worker) => {
+        runStep(ai, worker, {type: 'update', control: {THROTTLE: 0.5}, executionTime: 0}, () => {
+          ai.deactivate();
+          assert(tank.setThrottle.notCalled);
+          assert(tank.onBudgetExceeded.calledOnce);
+          done();
+        }, 1500);
+      });
+    });
+
+    it('should use execution time measured by VmWorker', function (done) {
+      let tank = new TankMock();
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      activateWithMock(ai, (worker) => {
+        worker.measuresExecutionTime = true;
+        runStep(ai, worker, {type: 'update', control: {THROTTLE: 0.5}, executionTime: 200}, () => {
+          assert(tank.setThrottle.calledWith(0.5));
+          runStep(ai, worker, {type: 'update', control: {THROTTLE: 0.7}, executionTime: 1500}, () => {
+            ai.deactivate();
+            assert(tank.setThrottle.neverCalledWith(0.7));
+            assert(tank.onBudgetExceeded.calledOnce);
+            done();
+          });
+        }, 2000);
+      });
+    });
+
+    it('should disqualify the tank when the limit is exceeded too many times', function (done) {
+      let tank = new TankMock();
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      ai.setBudgetPolicy(2, 1);
+      activateWithMock(ai, (worker) => {
+        runStep(ai, worker, {type: 'update', control: {}}, () => {
+          assert(tank.disqualify.notCalled);
+          runStep(ai, worker, {type: 'update', control: {}}, () => {
+            ai.deactivate();
+            assert(tank.onBudgetExceeded.calledOnce);
+            assert(tank.disqualify.calledOnce);
+            assert(worker.terminate.calledOnce);
+            done();
+          }, 2000);
+        }, 2000);
+      });
+    });
+
+    it('should record skipped steps in the timeline', function (done) {
+      let tank = new TankMock();
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      let timeline = {
+        recordSettings: sinon.spy(),
+        recordControl: sinon.spy()
+      };
+      ai.recordTimeline(timeline);
+      activateWithMock(ai, (worker) => {
+        runStep(ai, worker, {type: 'update', control: {THROTTLE: 1}}, () => {
+          runStep(ai, worker, {type: 'update', control: {THROTTLE: -1}}, () => {
+            ai.deactivate();
+            assert(timeline.recordControl.calledTwice);
+            assert.equal(1, timeline.recordControl.args[0][1].THROTTLE);
+            assert(!timeline.recordControl.args[0][1].BUDGET);
+            assert.equal(1, timeline.recordControl.args[1][1].THROTTLE);
+            assert.equal(1, timeline.recordControl.args[1][1].BUDGET);
+            done();
+          }, 2000);
+        });
+      });
+    });
+
+    it('should store persisted data in the team', function (done) {
+      let tank = new TankMock();
+      tank.team = {setPersistentData: sinon.spy(), sendMessages: sinon.spy()};
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      activateWithMock(ai, (worker) => {
+        runStep(ai, worker, {type: 'update', control: {}, persistentData: {wins: 3}}, () => {
+          runStep(ai, worker, {type: 'update', control: {}, persistentData: 'wins: 4'}, () => {
+            runStep(ai, worker, {type: 'update', control: {}, persistentData: {wins: 5}}, () => {
+              ai.deactivate();
+              assert(tank.team.setPersistentData.calledOnce);
+              assert.deepEqual({wins: 3}, tank.team.setPersistentData.args[0][0]);
+              done();
+            }, 2000);
+          });
+        });
+      });
+    });
+
+    function createTeamMock() {
+      return {
+        setPersistentData: sinon.spy(),
+        sendMessages: sinon.spy(),
+        updateBlackboard: sinon.spy()
+      };
+    }
+
+    it('should broadcast messages of the tank', function (done) {
+      let tank = new TankMock();
+      tank.team = createTeamMock();
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      activateWithMock(ai, (worker) => {
+        runStep(ai, worker, {type: 'update', control: {OUTBOX: [{foo: 1}, 'bar']}}, () => {
+          ai.deactivate();
+          assert(tank.team.sendMessages.calledOnce);
+          assert.equal(tank.id, tank.team.sendMessages.args[0][0]);
+          assert.deepEqual([
+            {to: null, channel: 'default', body: {foo: 1}},
+            {to: null, channel: 'default', body: 'bar'}
+          ], tank.team.sendMessages.args[0][1]);
+          assert(tank.onMessagesDropped.notCalled);
+          done();
+        });
+      });
+    });
+
+    it('should send directed messages in envelope format', function (done) {
+      let tank = new TankMock();
+      tank.team = createTeamMock();
+      tank.radioFormat = 'envelope';
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      activateWithMock(ai, (worker) => {
+        let outbox = [{to: 4, channel: 'targets', body: {id: 7}}, {body: 'hello'}, 'invalid'];
+        runStep(ai, worker, {type: 'update', control: {OUTBOX: outbox}}, () => {
+          ai.deactivate();
+          assert.deepEqual([
+            {to: 4, channel: 'targets', body: {id: 7}},
+            {to: null, channel: 'default', body: 'hello'}
+          ], tank.team.sendMessages.args[0][1]);
+          assert(tank.onMessagesDropped.calledWith(1));
+          done();
+        });
+      });
+    });
+
+    it('should limit messages sent in one step', function (done) {
+      let tank = new TankMock();
+      tank.team = createTeamMock();
+      tank.rules.radioMessageLimit = 3;
+      tank.rules.radioByteLimit = 20;
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      activateWithMock(ai, (worker) => {
+        let outbox = [1, 'x'.repeat(30), 2, 3, 4, 5];
+        runStep(ai, worker, {type: 'update', control: {OUTBOX: outbox, BLACKBOARD: {a: 1}}}, () => {
+          ai.deactivate();
+          assert.deepEqual([1, 2, 3], tank.team.sendMessages.args[0][1].map((message) => message.body));
+          assert(tank.team.updateBlackboard.calledWith({a: 1}));
+          assert(tank.onMessagesDropped.calledWith(3));
+          done();
+        });
+      });
+    });
+
+    it('should disqualify the tank when replayed timeline says so', function (done) {
+      let tank = new TankMock();
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      ai.playTimeline({});
+      activateWithMock(ai, (worker) => {
+        runStep(ai, worker, {type: 'update', control: {}, budget: 2}, () => {
+          ai.deactivate();
+          assert(tank.disqualify.calledOnce);
+          done();
+        });
+      });
+    });
+
+    it('should disqualify the tank if worker is not responding', function (done) {
+      this.timeout(5000);
+      let tank = new TankMock();
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      ai.setProcessingLimit(100);
+      activateWithMock(ai, (worker) => {
+        ai.simulationStep(() => {
+          ai.deactivate();
+          assert(tank.disqualify.calledOnce);
+          assert(worker.terminate.calledOnce);
+          done();
+        }, (err) => {
+          ai.deactivate();
+          assert.fail("Error" + err.message);
+        });
+      });
+    });
+
+    it('should disqualify the tank if worker process exits', function (done) {
+      let tank = new TankMock();
+      let ai = new AiWrapper(tank, new AiDefinitionMock());
+      activateWithMock(ai, (worker) => {
+        ai.simulationStep(() => {
+          ai.deactivate();
+          assert(tank.disqualify.calledOnce);
+          done();
+        }, (err) => {
+          ai.deactivate();
+          assert.fail("Error" + err.message);
+        });
+        worker.onerror({message: 'AI process exited unexpectedly (signal SIGKILL)', timeout: false, exited: true});
+      });
+    });
+
     it('should return error if working not responding', function (done) {
       this.timeout(5000);
       let tank = new TankMock();
@@ -116,4 +116,86 @@ describe('Battlefield', function() {
     });
 
   });
+
+  describe('setMap', function() {
+
+    const map = {
+      name: 'test',
+      width: 400,
+      height: 300,
+      obstacles: [
+        {type: 'box', x: 100, y: 100, width: 50, height: 20},
+        {type: 'polygon', points: [{x: 200, y: 200}, {x: 200, y: 250}, {x: 250, y: 200}]}
+      ],
+      startSlots: [
+        [{x: 20, y: 30, angle: 90}],
+        [{x: 380, y: 270}]
+      ]
+    };
+
+    it('should set size of the field', function() {
+      let battlefield = new Battlefield();
+      battlefield.setMap(map);
+      battlefield.randomize();
+      assert.equal(400, battlefield.width);
+      assert.equal(300, battlefield.height);
+      assert.equal(battlefield.minX + 400, battlefield.maxX);
+      assert.equal(battlefield.minY + 300, battlefield.maxY);
+    });
+
+    it('should place obstacles in the arena', function() {
+      let battlefield = new Battlefield();
+      battlefield.setMap(map);
+      battlefield.randomize(1234);
+      let obstacles = battlefield.obstacles;
+      assert.equal(2, obstacles.length);
+      assert.equal(4, obstacles[0].length);
+      assert.deepEqual({x: battlefield.minX + 100, y: battlefield.minY + 100}, obstacles[0][0]);
+      assert.deepEqual({x: battlefield.minX + 150, y: battlefield.minY + 120}, obstacles[0][2]);
+      assert.equal(3, obstacles[1].length);
+    });
+
+    it('should use start slots of teams', function() {
+      let battlefield = new Battlefield();
+      battlefield.setMap(map);
+      battlefield.randomize(1234);
+      let slot = battlefield.getStartSlot(1);
+      assert.deepEqual({x: battlefield.minX + 380, y: battlefield.minY + 270, angle: undefined}, slot);
+      slot = battlefield.getStartSlot(0);
+      assert.deepEqual({x: battlefield.minX + 20, y: battlefield.minY + 30, angle: 90}, slot);
+      slot = battlefield.getStartSlot(0);
+      assert(slot);
+      assert.equal(undefined, slot.angle);
+    });
+
+    it('should not place tanks on obstacles', function() {
+      let battlefield = new Battlefield();
+      battlefield.setMap({
+        name: 'test',
+        width: 400,
+        height: 400,
+        obstacles: [{type: 'box', x: 0, y: 0, width: 400, height: 200}]
+      });
+      battlefield.randomize();
+      let slot;
+      let slotCount = 0;
+      while((slot = battlefield.getStartSlot(0))) {
+        assert(slot.y - battlefield.minY > 200);
+        slotCount++;
+      }
+      assert(slotCount > 0);
+    });
+
+    it('should throw on unknown type of obstacles', function() {
+      let battlefield = new Battlefield();
+      battlefield.setMap({
+        name: 'test',
+        width: 400,
+        height: 400,
+        obstacles: [{type: 'circle', x: 0, y: 0, radius: 20}]
+      });
+      assert.throws(() => battlefield.randomize());
+    });
+
+  });
 });
@@ -3,6 +3,8 @@ import sinon from "sinon";
 
 import Bullet from "../../src/engine/Bullet.js"
 import TankMock from "./mock/TankMock.js";
+import rules from "../../src/engine/rules.js";
+import weapons from "../../src/engine/weapons.js";
 
 describe('Bullet', function() {
   describe('constructor', function() {
@@ -13,6 +15,12 @@ describe('Bullet', function() {
       assert.equal(2.12, bullet.damage);
     });
 
+    it('should apply rules', function() {
+      let bullet = new Bullet(new TankMock(), 1, 0.2, rules.createRules({bulletDamage: 2, bulletSpeed: 7}));
+      assert.equal(4.24, bullet.damage);
+      assert.equal(7, bullet.speed);
+    });
+
     it('should assgin owner', function() {
       let owner = new TankMock();
       let bullet = new Bullet(owner, 1, 1);
@@ -37,6 +45,31 @@ describe('Bullet', function() {
       assert.equal(a, bullet.angle);
     });
 
+    it('should apply parameters of the weapon', function() {
+      let bullet = new Bullet(new TankMock(), 1, 0.2, rules.createRules({bulletSpeed: 4}), weapons.getWeapon('missile'));
+      assert.equal('missile', bullet.type);
+      assert.equal(4, bullet.radius);
+      assert.equal(2, bullet.speed);
+      assert.equal(3.18, bullet.damage);
+    });
+
+    it('should deviate from the gun by angle offset', function() {
+      let owner = new TankMock();
+      owner.angle = 10;
+      owner.gunAngle = 20;
+      let bullet = new Bullet(owner, 1, 1, null, weapons.getWeapon('shotgun'), -15);
+      assert.equal(15, bullet.angle);
+    });
+
+    it('should drop mines behind the tank', function() {
+      let owner = new TankMock();
+      owner.angle = 0;
+      let bullet = new Bullet(owner, 1, 1, null, weapons.getWeapon('mine'));
+      assert.equal(0, bullet.speed);
+      assert.equal((owner.x - 30).toFixed(3), bullet.x.toFixed(3));
+      assert.equal(owner.y.toFixed(3), bullet.y.toFixed(3));
+    });
+
     it('should create bullet that is not exploded', function() {
       let bullet = new Bullet(new TankMock(), 1, 0);
       assert.equal(false, bullet.exploded);
@@ -72,6 +105,14 @@ describe('Bullet', function() {
       assert.equal(true, enemy.onDamage.calledWith(bullet.damage));
     });
 
+    it('should remember the target', function() {
+      let enemy = new TankMock()
+      let bullet = new Bullet(new TankMock(), 1, 1);
+      assert.equal(null, bullet.target);
+      bullet.onEnemyHit(enemy);
+      assert.equal(enemy, bullet.target);
+    });
+
   });
 
   describe('simulationStep', function() {
@@ -91,4 +132,81 @@ describe('Bullet', function() {
     });
 
   });
+
+  describe('simulationStep with weapons', function() {
+
+    it('should explode when out of range', function() {
+      let bullet = new Bullet(new TankMock(), 1, 1, null, weapons.getWeapon('shotgun'));
+      for(let i=0; i < 24; i++) {
+        bullet.simulationStep();
+      }
+      assert(!bullet.exploded);
+      bullet.simulationStep();
+      assert(bullet.exploded);
+      assert.equal(null, bullet.target);
+    });
+
+    it('should turn homing missile towards the closest enemy', function() {
+      let owner = new TankMock();
+      owner.x = 0;
+      owner.y = 0;
+      owner.angle = 0;
+      owner.gunAngle = 0;
+      owner.gunLength = 0;
+      let far = new TankMock();
+      far.x = 0;
+      far.y = -500;
+      let close = new TankMock();
+      close.x = 0;
+      close.y = 200;
+      let bullet = new Bullet(owner, 1, 1, null, weapons.getWeapon('missile'));
+      bullet.simulationStep([owner, null, far, close]);
+      assert.equal(1.5, bullet.angle);
+      assert(bullet.y > 0);
+    });
+
+    it('should not follow allies', function() {
+      let owner = new TankMock();
+      owner.angle = 0;
+      owner.gunAngle = 0;
+      owner.isAlly.returns(true);
+      let bullet = new Bullet(owner, 1, 1, null, weapons.getWeapon('missile'));
+      bullet.simulationStep([new TankMock()]);
+      assert.equal(0, bullet.angle);
+    });
+
+  });
+
+  describe('snapshot', function() {
+
+    it('should restore state of the bullet', function() {
+      let owner = new TankMock();
+      let bullet = new Bullet(owner, 3, 0.5);
+      let snapshot = bullet.getSnapshot();
+      assert.equal(3, snapshot.id);
+      assert.equal(owner.id, snapshot.ownerId);
+      bullet.simulationStep();
+      bullet.onWallHit();
+
+      owner.angle += 45;
+      let copy = new Bullet(owner, snapshot.id, snapshot.power);
+      bullet.restoreSnapshot(snapshot);
+      copy.restoreSnapshot(snapshot);
+      assert.deepEqual(snapshot, bullet.getSnapshot());
+      assert.deepEqual(snapshot, copy.getSnapshot());
+      assert(!bullet.exploded);
+    });
+
+    it('should restore travelled distance', function() {
+      let owner = new TankMock();
+      let bullet = new Bullet(owner, 3, 0.5, null, weapons.getWeapon('shotgun'));
+      bullet.simulationStep();
+      let snapshot = bullet.getSnapshot();
+      assert.equal('shotgun', snapshot.type);
+      let copy = new Bullet(owner, snapshot.id, snapshot.power, null, weapons.getWeapon(snapshot.type));
+      copy.restoreSnapshot(snapshot);
+      assert.deepEqual(snapshot, copy.getSnapshot());
+    });
+
+  });
 });
@@ -0,0 +1,168 @@
+import assert from "assert";
+
+import CaptureTheFlagMode from "../../src/engine/CaptureTheFlagMode.js"
+import modes from "../../src/engine/modes.js"
+import BattlefieldMock from "./mock/BattlefieldMock.js";
+import TankMock from "./mock/TankMock.js";
+import TeamMock from "./mock/TeamMock.js";
+
+function createTeam(name, tankList) {
+  let team = new TeamMock(name);
+  for(let tank of tankList) {
+    tank.team = team;
+    team.members.push(tank);
+  }
+  team.size = tankList.length;
+  return team;
+}
+
+describe('CaptureTheFlagMode', function() {
+
+  let mode, tank1, tank2, tank3, team1, team2;
+
+  beforeEach(function() {
+    mode = new CaptureTheFlagMode(modes.createDefinition({name: 'ctf', captureLimit: 2}));
+    tank1 = new TankMock();
+    tank2 = new TankMock();
+    tank3 = new TankMock();
+    tank1.x = 100;
+    tank1.y = 100;
+    tank2.x = 100;
+    tank2.y = 300;
+    tank3.x = 400;
+    tank3.y = 400;
+    team1 = createTeam('alpha', [tank1, tank2]);
+    team2 = createTeam('beta', [tank3]);
+    mode.init(new BattlefieldMock(), [team1, team2]);
+  });
+
+  it('should place flags at positions of first tanks of teams', function() {
+    assert.equal(2, mode.flags.length);
+    assert.equal(team1, mode.flags[0].team);
+    assert.equal(100, mode.flags[0].baseX);
+    assert.equal(100, mode.flags[0].baseY);
+    assert.equal(400, mode.flags[1].x);
+    assert.equal(400, mode.flags[1].y);
+  });
+
+  it('should pick up enemy flag', function() {
+    tank2.x = 410;
+    tank2.y = 390;
+    mode.simulationStep(17);
+    assert.equal(tank2, mode.flags[1].carrier);
+    tank2.x = 300;
+    tank2.y = 300;
+    mode.simulationStep(17);
+    assert.equal(300, mode.flags[1].x);
+    assert.equal(300, mode.flags[1].y);
+  });
+
+  it('should not pick up own flag', function() {
+    mode.simulationStep(17);
+    assert.equal(null, mode.flags[0].carrier);
+    assert.equal(null, mode.flags[1].carrier);
+  });
+
+  it('should drop the flag when carrier is destroyed', function() {
+    tank2.x = 400;
+    tank2.y = 400;
+    mode.simulationStep(17);
+    tank2.x = 300;
+    tank2.y = 250;
+    tank2.energy = 0;
+    mode.simulationStep(17);
+    assert.equal(null, mode.flags[1].carrier);
+    assert.equal(300, mode.flags[1].x);
+    assert.equal(250, mode.flags[1].y);
+  });
+
+  it('should return dropped flag to the base', function() {
+    tank2.x = 400;
+    tank2.y = 400;
+    mode.simulationStep(17);
+    tank2.x = 300;
+    tank2.y = 250;
+    tank2.energy = 0;
+    mode.simulationStep(17);
+    tank3.x = 300;
+    tank3.y = 250;
+    mode.simulationStep(17);
+    assert.equal(400, mode.flags[1].x);
+    assert.equal(400, mode.flags[1].y);
+    assert(tank3.onObjectiveScore.calledWith(5));
+  });
+
+  it('should capture the flag', function() {
+    tank2.x = 400;
+    tank2.y = 400;
+    mode.simulationStep(17);
+    tank2.x = 105;
+    tank2.y = 100;
+    mode.simulationStep(17);
+    assert.equal(1, mode.getCaptures(team1));
+    assert.equal(null, mode.flags[1].carrier);
+    assert.equal(400, mode.flags[1].x);
+    assert(tank2.onObjectiveScore.calledWith(50));
+    assert(!mode.isFinished());
+  });
+
+  it('should not capture when own flag is not at the base', function() {
+    tank2.x = 400;
+    tank2.y = 400;
+    tank3.x = 100;
+    tank3.y = 100;
+    mode.simulationStep(17);
+    assert.equal(tank3, mode.flags[0].carrier);
+    tank2.x = 100;
+    tank2.y = 100;
+    tank3.x = 200;
+    tank3.y = 200;
+    mode.simulationStep(17);
+    assert.equal(0, mode.getCaptures(team1));
+  });
+
+  it('should finish when capture limit is reached', function() {
+    for(let i=0; i < 2; i++) {
+      tank2.x = 400;
+      tank2.y = 400;
+      mode.simulationStep(17);
+      tank2.x = 100;
+      tank2.y = 100;
+      mode.simulationStep(17);
+    }
+    assert(mode.isFinished());
+    assert.deepEqual({name: 'ctf', captures: {alpha: 2, beta: 0}}, mode.getResult());
+  });
+
+  it('should provide state of flags for tanks', function() {
+    tank3.x = 100;
+    tank3.y = 100;
+    mode.simulationStep(17);
+    let state = mode.getTankState(tank1);
+    assert.equal('ctf', state.name);
+    assert.equal(2, state.flags.length);
+    assert.equal(true, state.flags[0].ally);
+    assert.equal(false, state.flags[0].atBase);
+    assert.equal(tank3.id, state.flags[0].carrierId);
+    assert.equal(false, state.flags[1].ally);
+    assert.equal(true, state.flags[1].atBase);
+    assert.equal(0, state.captures);
+    assert.equal(2, state.captureLimit);
+    state = mode.getTankState(tank3);
+    assert.equal(false, state.flags[0].ally);
+  });
+
+  it('should restore snapshot', function() {
+    tank2.x = 400;
+    tank2.y = 400;
+    mode.simulationStep(17);
+    let snapshot = mode.getSnapshot();
+    tank2.x = 100;
+    tank2.y = 100;
+    mode.simulationStep(17);
+    mode.restoreSnapshot(snapshot);
+    assert.equal(0, mode.getCaptures(team1));
+    assert.equal(tank2, mode.flags[1].carrier);
+  });
+
+});
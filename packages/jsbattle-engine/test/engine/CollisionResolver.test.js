@@ -144,6 +144,7 @@ describe('CollisionResolver', function() {
       let result = resolver.hitTestBullet(bullet);
 
       assert(bullet.onEnemyHit.called);
+      assert(bullet.owner.onTargetHit.calledOnce);
       assert(result);
     });
 
@@ -258,6 +259,44 @@ describe('CollisionResolver', function() {
     });
 
 
+    it('should report all contacts sorted by distance', function() {
+      let resolver = new CollisionResolver();
+      resolver.updateBattlefield(new BattlefieldMock());
+
+      let tank1 = new TankMock();
+      tank1.x = 200;
+      tank1.y = 200;
+      tank1.angle = 0;
+      tank1.radarAngle = 0;
+      tank1.radarRange = 500;
+      tank1.radarFocal = 6;
+
+      let far = new TankMock();
+      far.x = 450;
+      far.y = 200;
+      let close = new TankMock();
+      close.x = 300;
+      close.y = 200;
+      let ally = new TankMock();
+      ally.x = 380;
+      ally.y = 200;
+      ally.isAlly.returns(true);
+
+      resolver.checkTank(tank1);
+      resolver.checkTank(far);
+      resolver.checkTank(close);
+      resolver.checkTank(ally);
+
+      resolver.scanTanks(tank1);
+
+      assert.equal(2, tank1.onEnemySpot.callCount);
+      assert.equal(close, tank1.onEnemySpot.args[0][0]);
+      assert.equal(far, tank1.onEnemySpot.args[1][0]);
+      assert(tank1.onAllySpot.calledOnceWith(ally));
+      assert(close.onTargetingAlarm.called);
+      assert(far.onTargetingAlarm.notCalled);
+    });
+
     it('should detect an ally', function() {
       let resolver = new CollisionResolver();
       let battlefield = new BattlefieldMock();
@@ -467,4 +506,120 @@ describe('CollisionResolver', function() {
 
 
 
+  describe('obstacles', function() {
+
+    function createBattlefield() {
+      let battlefield = new BattlefieldMock();
+      battlefield.obstacles = [
+        [{x: 280, y: 150}, {x: 320, y: 150}, {x: 320, y: 250}, {x: 280, y: 250}]
+      ];
+      return battlefield;
+    }
+
+    it('should block movement of tanks', function() {
+      let resolver = new CollisionResolver();
+      resolver.updateBattlefield(createBattlefield());
+
+      let tank = new TankMock();
+      tank.x = 265;
+      tank.y = 200;
+
+      let result = resolver.checkTank(tank);
+
+      assert(result === false);
+      assert(tank.onWallHit.called);
+    });
+
+    it('should stop bullets', function() {
+      let resolver = new CollisionResolver();
+      resolver.updateBattlefield(createBattlefield());
+
+      let bullet = new BulletMock(new TankMock(), 1);
+      bullet.x = 300;
+      bullet.y = 160;
+
+      let result = resolver.hitTestBullet(bullet);
+
+      assert(result);
+      assert(bullet.onWallHit.called);
+    });
+
+    it('should hide enemies behind obstacles', function() {
+      let resolver = new CollisionResolver();
+      resolver.updateBattlefield(createBattlefield());
+
+      let tank1 = new TankMock();
+      tank1.x = 200;
+      tank1.y = 200;
+      tank1.angle = 0;
+      tank1.radarAngle = 0;
+      tank1.radarRange = 500;
+
+      let tank2 = new TankMock();
+      tank2.x = 400;
+      tank2.y = 200;
+
+      resolver.checkTank(tank1);
+      resolver.checkTank(tank2);
+
+      let result = resolver.scanTanks(tank1);
+
+      assert(!result);
+      assert(tank1.onEnemySpot.notCalled);
+      assert(tank2.onTargetingAlarm.notCalled);
+    });
+
+    it('should hide bullets behind obstacles', function() {
+      let resolver = new CollisionResolver();
+      resolver.updateBattlefield(createBattlefield());
+
+      let tank1 = new TankMock();
+      tank1.x = 200;
+      tank1.y = 200;
+      tank1.angle = 0;
+      tank1.radarAngle = 0;
+      tank1.radarRange = 500;
+
+      let bullet = new BulletMock(new TankMock(), 0.3);
+      bullet.x = 400;
+      bullet.y = 200;
+
+      resolver.checkTank(tank1);
+      resolver.hitTestBullet(bullet);
+
+      let result = resolver.scanBullets(tank1);
+
+      assert(!result);
+      assert(tank1.onBulletSpot.notCalled);
+    });
+
+    it('should detect distance to an obstacle', function() {
+      let resolver = new CollisionResolver();
+      resolver.updateBattlefield(createBattlefield());
+
+      let tank1 = new TankMock();
+      tank1.x = 200;
+      tank1.y = 200;
+      tank1.angle = 20;
+      tank1.radarRange = 500;
+      tank1.radarAngle = -tank1.angle;
+      resolver.updateTank(tank1);
+      resolver.scanWalls(tank1);
+      assert(tank1.onWallSpot.calledOnce);
+      assert.equal(Math.round(tank1.onWallSpot.firstCall.args[0]), 80);
+
+      // obstacle is behind the tank
+      tank1 = new TankMock();
+      tank1.x = 200;
+      tank1.y = 200;
+      tank1.angle = 20;
+      tank1.radarRange = 500;
+      tank1.radarAngle = -tank1.angle + 180;
+      resolver.updateTank(tank1);
+      resolver.scanWalls(tank1);
+      assert(tank1.onWallSpot.calledWith(200));
+    });
+
+  });
+
 });
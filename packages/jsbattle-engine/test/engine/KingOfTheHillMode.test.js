@@ -0,0 +1,114 @@
+import assert from "assert";
+
+import KingOfTheHillMode from "../../src/engine/KingOfTheHillMode.js"
+import modes from "../../src/engine/modes.js"
+import BattlefieldMock from "./mock/BattlefieldMock.js";
+import TankMock from "./mock/TankMock.js";
+import TeamMock from "./mock/TeamMock.js";
+
+function createTeam(name, tankList) {
+  let team = new TeamMock(name);
+  for(let tank of tankList) {
+    tank.team = team;
+    team.members.push(tank);
+  }
+  team.size = tankList.length;
+  return team;
+}
+
+describe('KingOfTheHillMode', function() {
+
+  let mode, tank1, tank2, team1, team2;
+
+  beforeEach(function() {
+    mode = new KingOfTheHillMode(modes.createDefinition({name: 'koth', holdLimit: 1000, zoneScore: 10}));
+    tank1 = new TankMock();
+    tank2 = new TankMock();
+    tank1.x = 10;
+    tank1.y = 10;
+    tank2.x = 490;
+    tank2.y = 490;
+    team1 = createTeam('alpha', [tank1]);
+    team2 = createTeam('beta', [tank2]);
+    mode.init(new BattlefieldMock(), [team1, team2]);
+  });
+
+  it('should place the zone in the middle of the battlefield', function() {
+    assert.equal(250, mode.zone.x);
+    assert.equal(250, mode.zone.y);
+    assert.equal(75, mode.zone.radius);
+  });
+
+  it('should be held by the only team in the zone', function() {
+    tank1.x = 260;
+    tank1.y = 240;
+    mode.simulationStep(100);
+    assert.equal(team1, mode.holder);
+    assert.equal(100, mode.getHoldTime(team1));
+    assert.equal(0, mode.getHoldTime(team2));
+    assert(tank1.onObjectiveScore.calledWith(1));
+    assert(tank2.onObjectiveScore.notCalled);
+  });
+
+  it('should not be held when contested', function() {
+    tank1.x = 260;
+    tank1.y = 240;
+    tank2.x = 240;
+    tank2.y = 260;
+    mode.simulationStep(100);
+    assert.equal(null, mode.holder);
+    assert.equal(0, mode.getHoldTime(team1));
+    assert.equal(0, mode.getHoldTime(team2));
+  });
+
+  it('should ignore destroyed tanks', function() {
+    tank1.x = 250;
+    tank1.y = 250;
+    tank1.energy = 0;
+    mode.simulationStep(100);
+    assert.equal(null, mode.holder);
+  });
+
+  it('should finish when the zone is held long enough', function() {
+    tank2.x = 250;
+    tank2.y = 250;
+    for(let i=0; i < 9; i++) {
+      mode.simulationStep(100);
+    }
+    assert(!mode.isFinished());
+    mode.simulationStep(100);
+    assert(mode.isFinished());
+    assert.deepEqual({name: 'koth', holdTime: {alpha: 0, beta: 1000}}, mode.getResult());
+  });
+
+  it('should provide state of the zone for tanks', function() {
+    tank1.x = 250;
+    tank1.y = 250;
+    mode.simulationStep(300);
+    let state = mode.getTankState(tank1);
+    assert.equal('koth', state.name);
+    assert.deepEqual({x: 250, y: 250, radius: 75}, state.zone);
+    assert.equal(true, state.inZone);
+    assert.equal('ally', state.holder);
+    assert.equal(300, state.holdTime);
+    assert.equal(0, state.enemyHoldTime);
+    assert.equal(1000, state.holdLimit);
+    state = mode.getTankState(tank2);
+    assert.equal(false, state.inZone);
+    assert.equal('enemy', state.holder);
+    assert.equal(0, state.holdTime);
+    assert.equal(300, state.enemyHoldTime);
+  });
+
+  it('should restore snapshot', function() {
+    tank1.x = 250;
+    tank1.y = 250;
+    mode.simulationStep(300);
+    let snapshot = mode.getSnapshot();
+    mode.simulationStep(300);
+    mode.restoreSnapshot(snapshot);
+    assert.equal(300, mode.getHoldTime(team1));
+    assert.equal(team1, mode.holder);
+  });
+
+});
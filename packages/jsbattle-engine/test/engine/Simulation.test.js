@@ -9,6 +9,9 @@ import BulletMock from "./mock/BulletMock.js";
 import AiWrapperMock from "./mock/AiWrapperMock.js";
 import PerformanceMonitorMock from "./mock/PerformanceMonitorMock.js";
 import AiDefinitionMock from "./mock/AiDefinitionMock.js";
+import AiDefinition from "../../src/engine/AiDefinition.js";
+import Timeline from "../../src/engine/Timeline.js";
+import weapons from "../../src/engine/weapons.js";
 
 function createSimulation() {
   let renderer = new RendererMock();
@@ -56,6 +59,181 @@ describe('Simulation', function() {
 
   });
 
+  describe('setMap', function() {
+
+    it('should set size of the battlefield', function() {
+      let sim = new Simulation(new RendererMock());
+      sim.setMap('crossroads');
+      sim.init(340, 560);
+      assert.equal('crossroads', sim.map.name);
+      assert.equal(sim.map.width, sim.battlefield.width);
+      assert.equal(sim.map.height, sim.battlefield.height);
+      assert.equal(sim.map.obstacles.length, sim.battlefield.obstacles.length);
+    });
+
+    it('should place teams at start positions of the map', function() {
+      let sim = createSimulation();
+      sim.setMap('duel');
+      sim.init(900, 600);
+      let ai1 = sim.addTank(new AiDefinitionMock());
+      let ai2 = sim.addTank(new AiDefinitionMock());
+      let minX = sim.battlefield.minX;
+      let minY = sim.battlefield.minY;
+      assert(ai1.tank.moveTo.calledWith(minX + 80, minY + 200, 0));
+      assert(ai2.tank.moveTo.calledWith(minX + 570, minY + 200, 180));
+    });
+
+    it('should be stored in UBD', function() {
+      let sim = new Simulation(new RendererMock());
+      sim.setMap('pillars');
+      assert.equal('pillars', sim.createUltimateBattleDescriptor().getMap());
+    });
+
+    it('should throw when the map does not exist', function() {
+      let sim = new Simulation(new RendererMock());
+      assert.throws(() => sim.setMap('no-such-map-8732'), /Unknown map/);
+    });
+
+    it('should throw when the battlefield is initialized', function() {
+      let sim = new Simulation(new RendererMock());
+      sim.init(900, 600);
+      assert.throws(() => sim.setMap('pillars'));
+    });
+
+  });
+
+  describe('setRules', function() {
+
+    it('should use default rules', function() {
+      let sim = new Simulation(new RendererMock());
+      assert.equal('default', sim.rules.name);
+      assert.equal(undefined, JSON.parse(sim.createUltimateBattleDescriptor().encode()).rules);
+    });
+
+    it('should apply rules to tanks', function() {
+      let sim = new Simulation(new RendererMock());
+      sim.setRules('one-shot');
+      sim.init(900, 600);
+      let ai = new AiDefinition();
+      ai.fromCode('alpha', 'tank.init(function(){});tank.loop(function(){});');
+      sim.addTank(ai);
+      assert.equal('one-shot', sim.rules.name);
+      assert.equal(sim.rules, sim.tankList[0].rules);
+    });
+
+    it('should be stored in UBD', function() {
+      let sim = new Simulation(new RendererMock());
+      sim.setRules({radarRange: 500});
+      let rules = sim.createUltimateBattleDescriptor().getRules();
+      assert.equal('custom', rules.name);
+      assert.equal(500, rules.radarRange);
+    });
+
+    it('should throw when tanks are already added', function() {
+      let sim = createSimulation();
+      sim.init(900, 600);
+      sim.addTank(new AiDefinitionMock());
+      assert.throws(() => sim.setRules('no-boost'));
+    });
+
+  });
+
+  describe('setMode', function() {
+
+    it('should play deathmatch by default', function() {
+      let sim = new Simulation(new RendererMock());
+      assert.equal('deathmatch', sim.mode.name);
+      assert.equal(undefined, JSON.parse(sim.createUltimateBattleDescriptor().encode()).mode);
+    });
+
+    it('should be stored in UBD', function() {
+      let sim = new Simulation(new RendererMock());
+      sim.setMode({name: 'ctf', captureLimit: 5});
+      let mode = sim.createUltimateBattleDescriptor().getMode();
+      assert.equal('ctf', mode.name);
+      assert.equal(5, mode.captureLimit);
+      assert.equal(25, mode.flagRadius);
+    });
+
+    it('should throw for unknown mode', function() {
+      let sim = new Simulation(new RendererMock());
+      assert.throws(() => sim.setMode('unknown-1231'));
+    });
+
+    it('should throw when the battle is running', function() {
+      let sim = createSimulation();
+      sim.init(900, 600);
+      sim.timeLimit = 100;
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+      let error = null;
+      sim.onStart(() => {
+        try {
+          sim.setMode('koth');
+        } catch(err) {
+          error = err;
+        }
+      });
+
+      return sim.runToCompletion().then(() => {
+        assert(error);
+        assert.equal('deathmatch', sim.mode.name);
+      });
+    });
+
+    it('should finish when objectives of the mode are completed', function() {
+      let sim = createSimulation();
+      sim.setMode({name: 'koth', holdLimit: 1000});
+      sim.init(900, 600);
+      let tank = sim.addTank(new AiDefinitionMock()).tank;
+      sim.addTank(new AiDefinitionMock());
+      sim.onStart(() => {
+        tank.x = sim.mode.zone.x;
+        tank.y = sim.mode.zone.y;
+      });
+
+      return sim.runToCompletion().then((result) => {
+        assert(result.timeElapsed < sim.timeLimit);
+        assert.equal('koth', result.mode.name);
+        assert.equal(1000, result.mode.holdTime[sim.teamList[0].name]);
+        assert(tank.onObjectiveScore.called);
+        assert(tank.setModeState.called);
+        assert.equal('koth', tank.setModeState.lastCall.args[0].name);
+      });
+    });
+
+    it('should render objectives of the mode', function() {
+      let sim = createSimulation();
+      sim.setMode('koth');
+      sim.init(900, 600);
+      sim.timeLimit = 100;
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+
+      return sim.runToCompletion().then(() => {
+        assert(sim.renderer.renderMode.calledWith(sim.mode));
+      });
+    });
+
+  });
+
+  describe('perspective', function() {
+
+    it('should pass all tanks to the renderer', function() {
+      let sim = createSimulation();
+      sim.init(900, 600);
+      sim.timeLimit = 100;
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+
+      return sim.runToCompletion().then(() => {
+        assert(sim.renderer.renderPerspective.called);
+        assert.equal(2, sim.renderer.renderPerspective.lastCall.args[0].length);
+      });
+    });
+
+  });
+
   describe('setSpeed', function() {
 
     it('should change renderer speed', function () {
@@ -253,6 +431,532 @@ describe('Simulation', function() {
     });
   });
 
+  describe('runToCompletion', function() {
+
+    it('should resolve with results of the battle', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.timeLimit = 500;
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+
+      return sim.runToCompletion().then((result) => {
+        assert.equal(500, result.timeElapsed);
+        assert.equal(500, result.timeLimit);
+        assert.equal(2, result.tankList.length);
+        assert.equal(2, result.teamList.length);
+        assert.equal(sim.tankList[0].name, result.tankList[0].name);
+        assert.equal(sim.tankList[0].energy, result.tankList[0].energy);
+        assert.equal(sim.teamList[1].name, result.teamList[1].name);
+      });
+    });
+
+    it('should provide statistics of tanks and teams', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.timeLimit = 500;
+      let tank1 = sim.addTank(new AiDefinitionMock()).tank;
+      sim.addTank(new AiDefinitionMock());
+      tank1.stats.shots = 4;
+      tank1.stats.hits = 1;
+      tank1.stats.boostSteps = 10;
+
+      return sim.runToCompletion().then((result) => {
+        let tankResult = result.tankList.find((tank) => tank.id == tank1.id);
+        let stats = tankResult.stats;
+        assert.equal(4, stats.shots);
+        assert.equal(1, stats.hits);
+        assert.equal(0.25, stats.accuracy);
+        assert.equal(170, stats.boostTime);
+        let teamStats = result.teamList.find((team) => team.name == tankResult.team).stats;
+        assert.equal(4, teamStats.shots);
+        assert.equal(0.25, teamStats.accuracy);
+        assert.deepEqual(stats, sim.getStats().tankList.find((tank) => tank.id == tank1.id).stats);
+        assert.equal(0, sim.getStats().tankList.find((tank) => tank.id != tank1.id).stats.accuracy);
+      });
+    });
+
+    it('should mark disqualified tanks and teams', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.timeLimit = 500;
+      let tank1 = sim.addTank(new AiDefinitionMock()).tank;
+      sim.addTank(new AiDefinitionMock());
+      tank1.disqualified = true;
+      tank1.stats.skippedSteps = 3;
+
+      return sim.runToCompletion().then((result) => {
+        let tankResult = result.tankList.find((tank) => tank.id == tank1.id);
+        assert.equal(true, tankResult.disqualified);
+        assert.equal(3, tankResult.stats.skippedSteps);
+        assert.equal(true, result.teamList.find((team) => team.name == tankResult.team).disqualified);
+        assert.equal(false, result.teamList.find((team) => team.name != tankResult.team).disqualified);
+      });
+    });
+
+    it('should return data persisted by teams', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.timeLimit = 500;
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+      sim.teamList[0].setPersistentData({wins: 2});
+
+      return sim.runToCompletion().then((result) => {
+        assert.deepEqual({wins: 2}, result.teamList[0].persistentData);
+        assert.strictEqual(null, result.teamList[1].persistentData);
+      });
+    });
+
+    it('should log events of the battle', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.timeLimit = 500;
+      let tank1 = sim.addTank(new AiDefinitionMock()).tank;
+      let tank2 = sim.addTank(new AiDefinitionMock()).tank;
+      tank1.isShooting = true;
+      tank1.handleShoot = () => {
+        tank1.isShooting = false;
+        return 0.5;
+      };
+      sim._createBullet = function(owner, power) {
+        let bullet = new BulletMock(owner, 77, power);
+        bullet.target = tank2;
+        return bullet;
+      };
+      sim._collisionResolver.hitTestBullet = () => true;
+      sim.onStep(() => {
+        tank2.energy = 0;
+      });
+
+      return sim.runToCompletion().then((result) => {
+        let log = sim.getEventLog();
+        assert.deepEqual({time: 0, type: 'shoot', tankId: tank1.id, bulletId: 77, power: 0.5}, log[0]);
+        assert.equal('hit', log[1].type);
+        assert.equal(tank1.id, log[1].tankId);
+        assert.equal(tank2.id, log[1].targetId);
+        assert.equal(77, log[1].bulletId);
+        let destroy = log.find((event) => event.type == 'destroy');
+        assert.equal(tank2.id, destroy.tankId);
+      });
+    });
+
+    it('should fire all projectiles of the weapon', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.timeLimit = 100;
+      let tank1 = sim.addTank(new AiDefinitionMock()).tank;
+      sim.addTank(new AiDefinitionMock());
+      tank1.weapon = weapons.getWeapon('shotgun');
+      tank1.isShooting = true;
+      tank1.handleShoot = () => {
+        tank1.isShooting = false;
+        return 1;
+      };
+      let offsets = [];
+      let nextId = 1;
+      sim._createBullet = function(owner, power, weapon, angleOffset) {
+        offsets.push(angleOffset);
+        return new BulletMock(owner, nextId++, power);
+      };
+
+      return sim.runToCompletion().then(() => {
+        assert.deepEqual([-15, -7.5, 0, 7.5, 15], offsets);
+        let shots = sim.getEventLog().filter((event) => event.type == 'shoot');
+        assert.deepEqual([1, 2, 3, 4, 5], shots.map((event) => event.bulletId));
+      });
+    });
+
+    it('should remove bullets that are out of range', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.timeLimit = 100;
+      let tank1 = sim.addTank(new AiDefinitionMock()).tank;
+      sim.addTank(new AiDefinitionMock());
+      tank1.isShooting = true;
+      tank1.handleShoot = () => {
+        tank1.isShooting = false;
+        return 1;
+      };
+      sim._createBullet = function(owner, power) {
+        let bullet = new BulletMock(owner, 33, power);
+        bullet.simulationStep = () => {
+          bullet.exploded = true;
+        };
+        return bullet;
+      };
+      sim._collisionResolver.hitTestBullet = sinon.stub().returns(false);
+
+      return sim.runToCompletion().then(() => {
+        assert(sim._collisionResolver.hitTestBullet.notCalled);
+        let miss = sim.getEventLog().find((event) => event.type == 'miss');
+        assert.equal(33, miss.bulletId);
+      });
+    });
+
+    it('should not use timers when AI responds synchronously', function () {
+      let clock = sinon.useFakeTimers();
+      let sim = createSimulation();
+      sim._createAiWrapper = function(tank) {
+        let ai = new AiWrapperMock(tank);
+        ai.activate = (seed, done) => done();
+        ai.simulationStep = (done) => done();
+        return ai;
+      }
+      sim.init(600, 600);
+      sim.timeLimit = 30000;
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+
+      let stepCount = 0;
+      sim.onStep(() => stepCount++);
+      let promise = sim.runToCompletion();
+      clock.restore();
+      return promise.then((result) => {
+        assert.equal(30000, result.timeElapsed);
+        assert(stepCount > 1000, "steps processed: " + stepCount);
+      });
+    });
+
+    it('should finish when no enemies left', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      let tank1 = sim.addTank(new AiDefinitionMock()).tank;
+      sim.addTank(new AiDefinitionMock());
+      tank1.energy = 0;
+      let onFinish = sinon.spy();
+      sim.onFinish(onFinish);
+
+      return sim.runToCompletion().then((result) => {
+        assert(onFinish.calledOnce);
+        assert(result.timeElapsed < sim.timeLimit);
+      });
+    });
+
+    it('should reject when AI fails', function () {
+      let sim = createSimulation();
+      sim._createAiWrapper = function(tank) {
+        let ai = new AiWrapperMock(tank);
+        ai.simulationStep = (done, error) => error({message: "AI crashed"});
+        return ai;
+      }
+      sim.init(600, 600);
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+      let onError = sinon.spy();
+      sim.onError(onError);
+      let consoleStub = sinon.stub(console, 'error');
+
+      return sim.runToCompletion().then(
+        () => {
+          consoleStub.restore();
+          assert.fail("Should be rejected");
+        },
+        (err) => {
+          consoleStub.restore();
+          assert.equal("AI crashed", err.message);
+          assert(onError.calledWith("AI crashed"));
+        }
+      );
+    });
+
+    it('should reject when stopped', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+      sim.onStep(() => {
+        if(sim.timeElapsed >= 1000) {
+          sim.stop();
+        }
+      });
+
+      return sim.runToCompletion().then(
+        () => assert.fail("Should be rejected"),
+        (err) => {
+          assert(/stopped/.test(err.message));
+          assert(sim.timeElapsed < sim.timeLimit);
+        }
+      );
+    });
+
+    it('should throw an error when there are no tanks', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      assert.throws(() => sim.runToCompletion());
+    });
+
+  });
+
+  describe('recordTimeline', function() {
+
+    it('should pass the timeline to AIs', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      let ai1 = sim.addTank(new AiDefinitionMock());
+      let ai2 = sim.addTank(new AiDefinitionMock());
+      let timeline = sim.recordTimeline();
+      sim.timeLimit = 100;
+
+      return sim.runToCompletion().then(() => {
+        assert(ai1.recordTimeline.calledWith(timeline));
+        assert(ai2.recordTimeline.calledWith(timeline));
+        assert(ai1.playTimeline.notCalled);
+      });
+    });
+
+    it('should include the timeline in UBD', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+      let timeline = sim.recordTimeline();
+      assert.equal(timeline, sim.createUltimateBattleDescriptor().getTimeline());
+    });
+
+  });
+
+  describe('playTimeline', function() {
+
+    function createBattle(code) {
+      let sim = new Simulation(new RendererMock());
+      sim._perfMon = new PerformanceMonitorMock();
+      sim.setRngSeed(0.2781);
+      sim.init(900, 600);
+      sim.timeLimit = 5000;
+      for(let i=0; i < 3; i++) {
+        let ai = new AiDefinition();
+        ai.fromCode('tank' + i, code);
+        ai.assignToTeam('team' + i);
+        sim.addTank(ai);
+      }
+      return sim;
+    }
+
+    it('should pass the timeline to AIs', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      let ai1 = sim.addTank(new AiDefinitionMock());
+      let ai2 = sim.addTank(new AiDefinitionMock());
+      let timeline = new Timeline();
+      sim.playTimeline(timeline);
+      sim.timeLimit = 100;
+
+      return sim.runToCompletion().then(() => {
+        assert(ai1.playTimeline.calledWith(timeline));
+        assert(ai2.playTimeline.calledWith(timeline));
+        assert(ai1.recordTimeline.notCalled);
+      });
+    });
+
+    it('should replay the battle without running AI code', function () {
+      let recorded = createBattle(`
+        tank.init(function(settings) { settings.SKIN = 'lava'; });
+        tank.loop(function(state, control) {
+          control.THROTTLE = Math.random()*2-1;
+          control.TURN = state.collisions.wall ? 1 : Math.random()-0.5;
+          control.GUN_TURN = Math.random()-0.5;
+          control.SHOOT = Math.random() > 0.7 ? Math.random() : 0;
+          control.BOOST = Math.random() > 0.9;
+        });
+      `);
+      let timeline = recorded.recordTimeline();
+
+      return recorded.runToCompletion().then((recordedResult) => {
+        let json = JSON.parse(JSON.stringify(timeline.toJSON()));
+        let replayTimeline = new Timeline();
+        replayTimeline.fromJSON(json);
+        let replay = createBattle('throw new Error("AI code should not be executed")');
+        replay.playTimeline(replayTimeline);
+        return replay.runToCompletion().then((replayResult) => {
+          assert.deepEqual(recordedResult, replayResult);
+          for(let i=0; i < recorded.tankList.length; i++) {
+            assert.equal(recorded.tankList[i].x, replay.tankList[i].x);
+            assert.equal(recorded.tankList[i].y, replay.tankList[i].y);
+            assert.equal('lava', replay.tankList[i].skin);
+          }
+        });
+      });
+    });
+
+  });
+
+  describe('pause', function() {
+
+    it('should hold the simulation until resumed', function (done) {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+
+      let stepCount = 0;
+      sim.onStep(() => stepCount++);
+      sim.start();
+      sim.pause();
+      assert(sim.isPaused);
+      setTimeout(() => {
+        let pausedStepCount = stepCount;
+        setTimeout(() => {
+          assert.equal(pausedStepCount, stepCount);
+          sim.resume();
+          assert(!sim.isPaused);
+          setTimeout(() => {
+            assert(stepCount > pausedStepCount);
+            sim.stop();
+            done();
+          }, 50);
+        }, 50);
+      }, 50);
+    });
+
+    it('should process single step when paused', function (done) {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+
+      sim.start();
+      sim.pause();
+      setTimeout(() => {
+        let time = sim.timeElapsed;
+        sim.stepForward();
+        setTimeout(() => {
+          sim.stop();
+          assert.equal(time + 17, sim.timeElapsed);
+          done();
+        }, 50);
+      }, 50);
+    });
+
+  });
+
+  describe('seek', function() {
+
+    function createBattle(code) {
+      let sim = new Simulation(new RendererMock());
+      sim._perfMon = new PerformanceMonitorMock();
+      sim.setRngSeed(0.6613);
+      sim.init(900, 600);
+      sim.timeLimit = 5000;
+      for(let i=0; i < 3; i++) {
+        let ai = new AiDefinition();
+        ai.fromCode('tank' + i, code);
+        ai.assignToTeam('team' + i);
+        sim.addTank(ai);
+      }
+      return sim;
+    }
+
+    function getTankState(sim) {
+      return sim.tankList.map((tank) => ({
+        x: tank.x,
+        y: tank.y,
+        angle: tank.angle,
+        energy: tank.energy,
+        score: tank.score
+      }));
+    }
+
+    it('should move the battle forward', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+      sim.start();
+      sim.pause();
+      return sim.seek(1000).then(() => {
+        assert(sim.timeElapsed >= 1000);
+        assert(sim.timeElapsed < 1000 + 17);
+        assert(sim.isPaused);
+        assert(sim.renderer.clearViews.called);
+        sim.stop();
+      });
+    });
+
+    it('should not rewind when AI scripts are running', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+      sim.start();
+      sim.pause();
+      return sim.seek(500)
+        .then(() => sim.seek(100))
+        .then(() => {
+          sim.stop();
+          assert.fail('seek should be rejected');
+        })
+        .catch((err) => {
+          sim.stop();
+          assert(/rewinding/i.test(err.message));
+        });
+    });
+
+    it('should not seek twice at the same time', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+      sim.start();
+      sim.pause();
+      let first = sim.seek(1000);
+      return sim.seek(2000)
+        .then(() => assert.fail('seek should be rejected'))
+        .catch((err) => assert(/previous seeking/i.test(err.message)))
+        .then(() => first)
+        .then(() => {
+          assert(sim.timeElapsed >= 1000);
+          assert(sim.timeElapsed < 2000);
+          sim.stop();
+        });
+    });
+
+    it('should reject when simulation is not running', function () {
+      let sim = createSimulation();
+      sim.init(600, 600);
+      sim.addTank(new AiDefinitionMock());
+      sim.addTank(new AiDefinitionMock());
+      return sim.seek(500)
+        .then(() => assert.fail('seek should be rejected'))
+        .catch((err) => assert(/running/i.test(err.message)));
+    });
+
+    it('should rewind replayed battle', function () {
+      let recorded = createBattle(`
+        tank.loop(function(state, control) {
+          control.THROTTLE = Math.random()*2-1;
+          control.TURN = state.collisions.wall ? 1 : Math.random()-0.5;
+          control.GUN_TURN = Math.random()-0.5;
+          control.SHOOT = Math.random() > 0.7 ? Math.random() : 0;
+        });
+      `);
+      let timeline = recorded.recordTimeline();
+      let replay;
+      let forwardState;
+      return recorded.runToCompletion()
+        .then(() => {
+          replay = createBattle('throw new Error("AI code should not be executed")');
+          replay.playTimeline(timeline);
+          replay.start();
+          replay.pause();
+          return replay.seek(4000);
+        })
+        .then(() => {
+          forwardState = getTankState(replay);
+          return replay.seek(1500);
+        })
+        .then(() => {
+          assert(replay.timeElapsed < 4000);
+          return replay.seek(4000);
+        })
+        .then(() => {
+          assert.deepEqual(forwardState, getTankState(replay));
+          replay.stop();
+        });
+    });
+
+  });
+
   describe('stop', function() {
 
     it('should stop simulation', function (done) {
@@ -4,6 +4,7 @@ import sinon from "sinon";
 import Tank from "../../src/engine/Tank.js"
 import TankMock from "./mock/TankMock.js";
 import CollisionResolverMock from "./mock/CollisionResolverMock.js";
+import rules from "../../src/engine/rules.js";
 
 describe('Tank', function() {
   describe('constructor', function() {
@@ -22,6 +23,22 @@ describe('Tank', function() {
       let tank = new Tank({name: 'bravo'}, 1);
       assert.equal(tank.boost, tank.maxBoost);
     });
+
+    it('should use default rules', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      assert.equal(100, tank.maxEnergy);
+      assert.equal(400, tank.maxBoost);
+      assert.equal(300, tank.radarRange);
+      assert.equal(6, tank.radarFocal);
+    });
+
+    it('should apply provided rules', function() {
+      let tank = new Tank({name: 'bravo'}, 1, rules.createRules({maxEnergy: 50, maxBoost: 0, radarRange: 450}));
+      assert.equal(50, tank.maxEnergy);
+      assert.equal(50, tank.energy);
+      assert.equal(0, tank.boost);
+      assert.equal(450, tank.radarRange);
+    });
   });
 
   describe('onEnemyHitScore', function() {
@@ -192,6 +209,120 @@ describe('Tank', function() {
 
   });
 
+  describe('radar contacts', function() {
+
+    function createEnemy(id, x) {
+      let enemy = new TankMock(null, id);
+      enemy.x = x;
+      enemy.y = 0;
+      return enemy;
+    }
+
+    it('should report all spotted tanks', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      let resolver = new CollisionResolverMock();
+      let enemies = [createEnemy(2, 100), createEnemy(3, 200)];
+      let ally = createEnemy(4, 50);
+      resolver.scanTanks = function() {
+        tank.onAllySpot(ally);
+        enemies.forEach((enemy) => tank.onEnemySpot(enemy));
+      };
+      tank.simulationStep(resolver);
+      assert.deepEqual([2, 3], tank.state.radar.enemies.map((enemy) => enemy.id));
+      assert.deepEqual([100, 200], tank.state.radar.enemies.map((enemy) => enemy.distance));
+      assert.deepEqual([4], tank.state.radar.allies.map((item) => item.id));
+      assert.equal(2, tank.state.radar.enemy.id);
+      assert.equal(undefined, tank.state.radar.enemy.distance);
+      assert.equal(4, tank.state.radar.ally.id);
+      assert.deepEqual([], tank.state.radar.lastSeen);
+    });
+
+    it('should limit number of contacts', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      let resolver = new CollisionResolverMock();
+      resolver.scanTanks = function() {
+        for(let i=0; i < 8; i++) {
+          tank.onEnemySpot(createEnemy(i+2, i*10));
+        }
+      };
+      tank.simulationStep(resolver);
+      assert.equal(5, tank.state.radar.enemies.length);
+    });
+
+    it('should remember lost enemies', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      let resolver = new CollisionResolverMock();
+      let enemy = createEnemy(2, 100);
+      resolver.scanTanks = function() {
+        tank.onEnemySpot(enemy);
+      };
+      tank.simulationStep(resolver);
+      resolver.scanTanks = function() {};
+      enemy.x = 500;
+      tank.simulationStep(resolver);
+      tank.simulationStep(resolver);
+      assert.deepEqual([], tank.state.radar.enemies);
+      assert.equal(1, tank.state.radar.lastSeen.length);
+      assert.equal(2, tank.state.radar.lastSeen[0].id);
+      assert.equal(100, tank.state.radar.lastSeen[0].x);
+      assert.equal(2, tank.state.radar.lastSeen[0].age);
+
+      resolver.scanTanks = function() {
+        tank.onEnemySpot(enemy);
+      };
+      tank.simulationStep(resolver);
+      assert.deepEqual([], tank.state.radar.lastSeen);
+    });
+
+    it('should forget enemies after a while', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      let resolver = new CollisionResolverMock();
+      resolver.scanTanks = function() {
+        tank.onEnemySpot(createEnemy(2, 100));
+      };
+      tank.simulationStep(resolver);
+      resolver.scanTanks = function() {};
+      for(let i=0; i < 300; i++) {
+        tank.simulationStep(resolver);
+      }
+      assert.equal(300, tank.state.radar.lastSeen[0].age);
+      tank.simulationStep(resolver);
+      assert.deepEqual([], tank.state.radar.lastSeen);
+    });
+
+  });
+
+  describe('radio', function() {
+
+    function createTeamMock() {
+      return {
+        getMessages: () => [{from: 2, to: null, channel: 'default', time: 30, body: {foo: 'bar'}}],
+        blackboard: {target: 5}
+      };
+    }
+
+    it('should deliver bodies of messages by default', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      tank._team = createTeamMock();
+      tank.onMessagesDropped(2);
+      tank.simulationStep(new CollisionResolverMock());
+      assert.deepEqual([{foo: 'bar'}], tank.state.radio.inbox);
+      assert.deepEqual({target: 5}, tank.state.radio.blackboard);
+      assert.equal(2, tank.state.radio.dropped);
+      tank.simulationStep(new CollisionResolverMock());
+      assert.equal(0, tank.state.radio.dropped);
+    });
+
+    it('should deliver messages with metadata in envelope format', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      tank._team = createTeamMock();
+      tank.init({RADIO: 'envelope'});
+      tank.simulationStep(new CollisionResolverMock());
+      assert.deepEqual([{from: 2, to: null, channel: 'default', time: 30, body: {foo: 'bar'}}], tank.state.radio.inbox);
+    });
+
+  });
+
   describe('onDamage', function() {
 
     it('should deal damage', function() {
@@ -254,6 +385,72 @@ describe('Tank', function() {
 
   });
 
+  describe('stats', function() {
+
+    it('should count shots and hits', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      assert.equal(0, tank.stats.shots);
+      tank.shoot(1);
+      tank.handleShoot();
+      tank.handleShoot();
+      tank.onTargetHit();
+      assert.equal(1, tank.stats.shots);
+      assert.equal(1, tank.stats.hits);
+    });
+
+    it('should sum damage dealt and received', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      tank.onEnemyHitScore(12);
+      tank.onEnemyHitScore(3);
+      tank.onDamage(10);
+      tank.onDamage(1000000);
+      assert.equal(15, tank.stats.damageDealt);
+      assert.equal(tank.maxEnergy, tank.stats.damageReceived);
+    });
+
+    it('should measure distance and boost', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      let resolver = new CollisionResolverMock();
+      tank.setThrottle(1);
+      tank.setBoost(true);
+      for(let i=0; i < 10; i++) {
+        tank.simulationStep(resolver);
+      }
+      assert.equal(10, tank.stats.boostSteps);
+      assert(tank.stats.distance > 0);
+      assert(Math.abs(tank.x - tank.stats.distance) < 0.0001);
+    });
+
+    it('should return a copy', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      tank.stats.hits = 100;
+      assert.equal(0, tank.stats.hits);
+    });
+
+  });
+
+  describe('execution time budget', function() {
+
+    it('should penalize skipped steps', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      tank.onEnemyHitScore(10);
+      tank.onBudgetExceeded(2);
+      tank.onBudgetExceeded(2);
+      assert.equal(6, tank.score);
+      assert.equal(2, tank.stats.skippedSteps);
+      assert.equal(false, tank.disqualified);
+    });
+
+    it('should destroy disqualified tank', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      tank.disqualify();
+      assert.equal(true, tank.disqualified);
+      assert.equal(0, tank.energy);
+      assert.equal(0, tank.stats.damageReceived);
+    });
+
+  });
+
   describe('shoot', function() {
 
     it('should be blocked when reloading', function() {
@@ -266,6 +463,88 @@ describe('Tank', function() {
       assert.equal(0, tank.handleShoot());
     });
 
+    it('should use cannon by default', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      assert.equal('cannon', tank.weapon.name);
+      tank.init({WEAPON: 'laser'});
+      assert.equal('cannon', tank.weapon.name);
+    });
+
+    it('should apply reload time and energy cost of the weapon', function() {
+      let tank = new Tank({name: 'bravo'}, 1, rules.createRules({gunReloadTime: 10}));
+      tank.init({WEAPON: 'missile'});
+      assert.equal('missile', tank.weapon.name);
+      tank.shoot(1);
+      tank.handleShoot();
+      assert.equal(tank.maxEnergy - 2, tank.energy);
+      let resolver = new CollisionResolverMock();
+      for(let i=0; i < 19; i++) {
+        tank.simulationStep(resolver);
+      }
+      assert(tank.isReloading);
+      tank.simulationStep(resolver);
+      assert(!tank.isReloading);
+      assert.equal('missile', tank.state.gun.weapon);
+    });
+
+    it('should not shoot when energy cost would destroy the tank', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      tank.init({WEAPON: 'missile'});
+      tank.onDamage(tank.maxEnergy - 2);
+      tank.shoot(1);
+      assert.equal(0, tank.handleShoot());
+      assert.equal(2, tank.energy);
+    });
+
+    it('should count all projectiles as shots', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      tank.init({WEAPON: 'shotgun'});
+      tank.shoot(1);
+      tank.handleShoot();
+      assert.equal(5, tank.stats.shots);
+    });
+
+  });
+
+  describe('specialization', function() {
+
+    it('should not have any points by default', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      assert.equal(0, tank.specialization.armour);
+      assert.equal(300, tank.radarRange);
+    });
+
+    it('should apply points to parameters of the tank', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      tank.init({SPECIALIZATION: {armour: 4, radarRange: 5, radarFocal: 5, reload: 2}});
+      assert.equal(450, tank.radarRange);
+      assert.equal(12, tank.radarFocal);
+      tank.onDamage(10);
+      assert.equal(tank.maxEnergy - 8, tank.energy);
+      tank.shoot(1);
+      tank.handleShoot();
+      let resolver = new CollisionResolverMock();
+      for(let i=0; i < 63; i++) {
+        tank.simulationStep(resolver);
+      }
+      assert(!tank.isReloading);
+      assert.deepEqual({armour: 4, engine: 0, radarRange: 5, radarFocal: 5, reload: 2}, tank.state.specialization);
+    });
+
+    it('should make the tank faster', function() {
+      let resolver = new CollisionResolverMock();
+      let tank1 = new Tank({name: 'bravo'}, 1);
+      let tank2 = new Tank({name: 'bravo'}, 2);
+      tank2.init({SPECIALIZATION: {engine: 5}});
+      tank1.setThrottle(1);
+      tank2.setThrottle(1);
+      for(let i=0; i < 100; i++) {
+        tank1.simulationStep(resolver);
+        tank2.simulationStep(resolver);
+      }
+      assert(Math.abs(tank2.x/tank1.x - 1.25) < 0.0001);
+    });
+
   });
 
   describe('randomize', function() {
@@ -395,6 +674,34 @@ describe('Tank', function() {
       assert.notEqual(oldPos, newPos);
     });
 
+    it('should turn according to the rules', function() {
+      let tank = new Tank({name: 'bravo'}, 1, rules.createRules({turnSpeed: 5, gunTurnSpeed: 1, radarTurnSpeed: 10}));
+      tank.randomize(1);
+      let angle = tank.angle;
+      tank.setTurn(1);
+      tank.setGunTurn(-1);
+      tank.setRadarTurn(1);
+      tank.simulationStep(new CollisionResolverMock());
+
+      let expectedAngle = angle + 5;
+      if(expectedAngle > 180) expectedAngle -= 360;
+      assert.equal(expectedAngle, tank.angle);
+      assert.equal(-1, tank.gunAngle);
+      assert.equal(10, tank.radarAngle);
+    });
+
+    it('should not move faster than the rules allow', function() {
+      let tank = new Tank({name: 'bravo'}, 1, rules.createRules({speed: 0.5}));
+      tank.moveTo(0, 0, 0);
+      tank.setThrottle(1);
+      let resolver = new CollisionResolverMock();
+      for(let i=0; i< 200; i++) {
+        tank.simulationStep(resolver);
+      }
+      assert(tank.speed <= 0.5);
+      assert(tank.speed > 0.49);
+    });
+
     it('should not move the tank if collide', function() {
       let tank = new Tank({name: 'bravo'}, 1);
       tank.moveTo(34, 56);
@@ -427,7 +734,27 @@ describe('Tank', function() {
 
   });
 
+  describe('snapshot', function() {
 
+    it('should restore state of the tank', function() {
+      let tank = new Tank({name: 'bravo'}, 1);
+      let resolver = new CollisionResolverMock();
+      tank.moveTo(34, 56);
+      tank.setThrottle(1);
+      tank.setTurn(0.5);
+      tank.simulationStep(resolver);
+      let snapshot = tank.getSnapshot();
+      let state = JSON.stringify(tank.state);
+      for(let i=0; i< 5; i++) {
+        tank.simulationStep(resolver);
+      }
+      tank.onDamage(12);
+      assert.notEqual(state, JSON.stringify(tank.state));
 
+      tank.restoreSnapshot(snapshot);
+      assert.equal(state, JSON.stringify(tank.state));
+      assert.equal(tank.maxEnergy, tank.energy);
+    });
 
+  });
 });
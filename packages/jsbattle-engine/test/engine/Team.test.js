@@ -63,4 +63,91 @@ describe('Team', function() {
     });
 
   });
+
+  describe('messages', function() {
+
+    function createTeam() {
+      let team = new Team('radio');
+      let tanks = [new TankMock(null, 1), new TankMock(null, 2), new TankMock(null, 3)];
+      tanks.forEach((tank) => team.addTank(tank));
+      return team;
+    }
+
+    it('should broadcast messages to team mates in the next step', function () {
+      let team = createTeam();
+      team.sendMessages(1, [{to: null, channel: 'default', body: {foo: 'bar'}}]);
+      assert.deepEqual([], team.getMessages(2));
+      team.processMessages(500);
+      assert.deepEqual([], team.getMessages(1));
+      assert.deepEqual([{from: 1, to: null, channel: 'default', time: 500, body: {foo: 'bar'}}], team.getMessages(2));
+      assert.deepEqual(team.getMessages(2), team.getMessages(3));
+      team.processMessages(600);
+      assert.deepEqual([], team.getMessages(2));
+    });
+
+    it('should deliver directed messages only to the receiver', function () {
+      let team = createTeam();
+      team.sendMessages(1, [
+        {to: 3, channel: 'targets', body: 7},
+        {to: 99, channel: 'targets', body: 8}
+      ]);
+      team.processMessages(100);
+      assert.deepEqual([], team.getMessages(2));
+      assert.deepEqual([{from: 1, to: 3, channel: 'targets', time: 100, body: 7}], team.getMessages(3));
+    });
+
+  });
+
+  describe('blackboard', function() {
+
+    it('should apply changes in the next step', function () {
+      let team = new Team('board');
+      team.updateBlackboard({target: 4, zone: 'north'});
+      assert.deepEqual({}, team.blackboard);
+      team.processMessages(0);
+      assert.deepEqual({target: 4, zone: 'north'}, team.blackboard);
+      team.updateBlackboard({target: null, zone: 'south'});
+      team.processMessages(0);
+      assert.deepEqual({zone: 'south'}, team.blackboard);
+    });
+
+    it('should return a copy', function () {
+      let team = new Team('board');
+      team.updateBlackboard({list: [1, 2]});
+      team.processMessages(0);
+      team.blackboard.list.push(3);
+      assert.deepEqual({list: [1, 2]}, team.blackboard);
+    });
+
+    it('should ignore changes exceeding the limit', function () {
+      let team = new Team('board');
+      team.updateBlackboard({a: 'x'.repeat(3000)});
+      team.updateBlackboard({b: 'x'.repeat(3000)});
+      team.processMessages(0);
+      assert.deepEqual(['a'], Object.keys(team.blackboard));
+    });
+
+  });
+
+  describe('stats', function() {
+
+    it('should sum statistics of all members', function () {
+      let team = new Team('zetta');
+      let tank1 = new TankMock();
+      let tank2 = new TankMock();
+      tank1.stats.shots = 4;
+      tank1.stats.hits = 1;
+      tank2.stats.shots = 6;
+      tank2.stats.damageDealt = 12.5;
+
+      team.addTank(tank1);
+      team.addTank(tank2);
+
+      assert.equal(10, team.stats.shots);
+      assert.equal(1, team.stats.hits);
+      assert.equal(12.5, team.stats.damageDealt);
+      assert.equal(0, team.stats.distance);
+    });
+
+  });
 });
@@ -0,0 +1,89 @@
+import assert from "assert";
+
+import Timeline from "../../src/engine/Timeline.js"
+
+function control(throttle, turn, shoot) {
+  return {
+    THROTTLE: throttle,
+    BOOST: 0,
+    TURN: turn,
+    RADAR_TURN: 0,
+    GUN_TURN: 0,
+    SHOOT: shoot,
+    BUDGET: 0
+  };
+}
+
+describe('Timeline', function() {
+  describe('recordControl', function() {
+
+    it('should store control values of each step', function() {
+      let timeline = new Timeline();
+      timeline.recordControl(3, control(1, 0.5, 0));
+      timeline.recordControl(3, control(-1, 0.25, 0.3));
+      timeline.recordControl(4, control(0.1, 0, 1));
+
+      assert.equal(2, timeline.getStepCount(3));
+      assert.equal(1, timeline.getStepCount(4));
+      let list = timeline.getControlList(3);
+      assert.equal(2, list.length);
+      assert.deepEqual(control(1, 0.5, 0), list[0]);
+      assert.deepEqual(control(-1, 0.25, 0.3), list[1]);
+      assert.deepEqual(control(0.1, 0, 1), timeline.getControlList(4)[0]);
+    });
+
+    it('should compress repeated values', function() {
+      let timeline = new Timeline();
+      for(let i=0; i < 100; i++) {
+        timeline.recordControl(1, control(1, i < 50 ? 1 : -1, 0));
+      }
+      let json = timeline.toJSON();
+      assert.deepEqual([1, 100], json.tanks[0].control.THROTTLE);
+      assert.deepEqual([1, 50, -1, 50], json.tanks[0].control.TURN);
+      assert.equal(100, timeline.getControlList(1).length);
+    });
+
+    it('should convert boolean values to numbers', function() {
+      let timeline = new Timeline();
+      let data = control(0, 0, 0);
+      data.BOOST = true;
+      timeline.recordControl(1, data);
+      assert.strictEqual(1, timeline.getControlList(1)[0].BOOST);
+    });
+
+  });
+
+  describe('recordSettings', function() {
+
+    it('should store copy of settings', function() {
+      let timeline = new Timeline();
+      let settings = {SKIN: 'ocean'};
+      timeline.recordSettings(7, settings);
+      settings.SKIN = 'lava';
+      assert.deepEqual({SKIN: 'ocean'}, timeline.getSettings(7));
+      assert(timeline.hasTrack(7));
+      assert(!timeline.hasTrack(8));
+      assert.equal(null, timeline.getSettings(8));
+    });
+
+  });
+
+  describe('toJSON/fromJSON', function() {
+
+    it('should be reversable', function() {
+      let timeline = new Timeline();
+      timeline.recordSettings(1, {SKIN: 'forest'});
+      timeline.recordControl(1, control(0.123456789, -0.3, 0));
+      timeline.recordControl(1, control(0.123456789, 0.7, 1));
+      timeline.recordControl(2, control(-1, 0, 0));
+
+      let copy = new Timeline();
+      copy.fromJSON(JSON.parse(JSON.stringify(timeline.toJSON())));
+
+      assert.deepEqual({SKIN: 'forest'}, copy.getSettings(1));
+      assert.deepEqual(timeline.getControlList(1), copy.getControlList(1));
+      assert.deepEqual(timeline.getControlList(2), copy.getControlList(2));
+    });
+
+  });
+});
@@ -2,13 +2,16 @@ import assert from "assert";
 import sinon from "sinon";
 import UltimateBattleDescriptor from "../../src/engine/UltimateBattleDescriptor.js"
 import AiDefinitionMock from "./mock/AiDefinitionMock.js";
+import Timeline from "../../src/engine/Timeline.js";
+import gameRules from "../../src/engine/rules.js";
+import modes from "../../src/engine/modes.js";
 
 describe('UltimateBattleDescriptor', function() {
   describe('constructor', function() {
 
     it('should create empty descriptor with current version', function () {
       let desc = new UltimateBattleDescriptor();
-      assert.equal(4, desc.getVersion());
+      assert.equal(5, desc.getVersion());
       assert.equal(0, desc.getAiList().length);
     });
   });
@@ -107,6 +110,151 @@ describe('UltimateBattleDescriptor', function() {
 
     });
 
+    it('should keep the timeline', function() {
+      let desc = new UltimateBattleDescriptor();
+      desc.addAiDefinition(new AiDefinitionMock("tank1"));
+      desc.addAiDefinition(new AiDefinitionMock("tank2"));
+      let timeline = new Timeline();
+      timeline.recordSettings(1, {SKIN: 'black'});
+      timeline.recordControl(1, {THROTTLE: 0.5, BOOST: 1, TURN: -1, RADAR_TURN: 0, GUN_TURN: 0.25, SHOOT: 0});
+      desc.setTimeline(timeline);
+
+      let raw = desc.encode();
+      desc = new UltimateBattleDescriptor();
+      desc.decode(raw);
+
+      assert.deepEqual(timeline.toJSON(), desc.getTimeline().toJSON());
+    });
+
+    it('should not require the timeline', function() {
+      let desc = new UltimateBattleDescriptor();
+      desc.addAiDefinition(new AiDefinitionMock("tank1"));
+      desc.addAiDefinition(new AiDefinitionMock("tank2"));
+
+      let raw = desc.encode();
+      assert.equal(undefined, JSON.parse(raw).timeline);
+      desc = new UltimateBattleDescriptor();
+      desc.decode(raw);
+      assert.equal(null, desc.getTimeline());
+    });
+
+    it('should keep the map', function() {
+      let desc = new UltimateBattleDescriptor();
+      desc.addAiDefinition(new AiDefinitionMock("tank1"));
+      desc.addAiDefinition(new AiDefinitionMock("tank2"));
+      assert.equal(undefined, JSON.parse(desc.encode()).map);
+      desc.setMap('bunkers');
+
+      let raw = desc.encode();
+      desc = new UltimateBattleDescriptor();
+      desc.decode(raw);
+      assert.equal('bunkers', desc.getMap());
+      assert.equal('bunkers', desc.clone().getMap());
+    });
+
+    it('should keep the rules', function() {
+      let desc = new UltimateBattleDescriptor();
+      desc.addAiDefinition(new AiDefinitionMock("tank1"));
+      desc.addAiDefinition(new AiDefinitionMock("tank2"));
+      assert.equal(undefined, JSON.parse(desc.encode()).rules);
+      let rules = gameRules.getPreset('long-radar');
+      desc.setRules(rules);
+
+      let raw = desc.encode();
+      desc = new UltimateBattleDescriptor();
+      desc.decode(raw);
+      assert.deepEqual(rules, desc.getRules());
+      assert.deepEqual(rules, desc.clone().getRules());
+    });
+
+    it('should validate the rules', function() {
+      let desc = new UltimateBattleDescriptor();
+      desc.addAiDefinition(new AiDefinitionMock("tank1"));
+      desc.addAiDefinition(new AiDefinitionMock("tank2"));
+      desc.setRules({...gameRules.getDefaultRules(), radarRange: -100});
+
+      let raw = desc.encode();
+      desc = new UltimateBattleDescriptor();
+      assert.throws(() => desc.decode(raw), /validation failed/);
+    });
+
+    it('should keep the game mode', function() {
+      let desc = new UltimateBattleDescriptor();
+      desc.addAiDefinition(new AiDefinitionMock("tank1"));
+      desc.addAiDefinition(new AiDefinitionMock("tank2"));
+      assert.equal(undefined, JSON.parse(desc.encode()).mode);
+      let mode = modes.createDefinition({name: 'koth', holdLimit: 20000});
+      desc.setMode(mode);
+
+      let raw = desc.encode();
+      desc = new UltimateBattleDescriptor();
+      desc.decode(raw);
+      assert.deepEqual(mode, desc.getMode());
+      assert.deepEqual(mode, desc.clone().getMode());
+    });
+
+    it('should validate the game mode', function() {
+      let desc = new UltimateBattleDescriptor();
+      desc.addAiDefinition(new AiDefinitionMock("tank1"));
+      desc.addAiDefinition(new AiDefinitionMock("tank2"));
+      desc.setMode({name: 'tag'});
+
+      let raw = desc.encode();
+      desc = new UltimateBattleDescriptor();
+      assert.throws(() => desc.decode(raw), /validation failed/);
+    });
+
+    it('should keep the metadata', function() {
+      let desc = new UltimateBattleDescriptor();
+      desc.addAiDefinition(new AiDefinitionMock("tank1"));
+      desc.addAiDefinition(new AiDefinitionMock("tank2"));
+      assert.equal(undefined, JSON.parse(desc.encode()).metadata);
+      let metadata = {
+        description: 'final',
+        players: [{team: 'tank1', name: 'john'}],
+        result: {timeElapsed: 2000, teamList: [{name: 'tank1', score: 100, winner: true}]}
+      };
+      desc.setMetadata(metadata);
+
+      let raw = desc.encode();
+      desc = new UltimateBattleDescriptor();
+      desc.decode(raw);
+      assert.deepEqual(metadata, desc.getMetadata());
+      assert.deepEqual(metadata, desc.clone().getMetadata());
+    });
+
+    it('should convert older versions', function() {
+      let ubd = {
+        "version": 2,
+        "rngSeed": 0.85,
+        "teamMode": true,
+        "aiList": [
+          {
+            "name": "crawler",
+            "team": "crawler",
+            "code": null,
+            "initData": null,
+            "useSandbox": true,
+            "executionLimit": 100
+          },
+          {
+            "name": "dummy",
+            "team": "dummy",
+            "code": null,
+            "initData": null,
+            "useSandbox": true,
+            "executionLimit": 100
+          }
+        ]
+      };
+      let desc = new UltimateBattleDescriptor();
+      desc.decode(JSON.stringify(ubd));
+      assert.equal(5, desc.getVersion());
+      assert.equal(true, desc.getTeamMode());
+      assert.equal(30000, desc.getTimeLimit());
+      assert.equal(2, desc.getAiList().length);
+    });
+
     it('should throw an error when version does not match', function() {
       let desc = new UltimateBattleDescriptor();
       desc._version = 1000000000;
@@ -114,7 +262,7 @@ describe('UltimateBattleDescriptor', function() {
       desc = new UltimateBattleDescriptor();
       assert.throws(function() {
         desc.decode(raw);
-      })
+      }, /newer than supported/)
     });
 
     it('should throw an error when serial data is corrupted', function() {
@@ -0,0 +1,209 @@
+import assert from "assert";
+
+import VmWorker from "../../src/engine/VmWorker.js"
+
+describe('VmWorker', function() {
+  this.timeout(5000);
+  let workers;
+
+  function createWorker(timeout) {
+    let worker = new VmWorker(timeout);
+    workers.push(worker);
+    return worker;
+  }
+
+  // resolves with the next response of the worker
+  function request(worker, message) {
+    return new Promise((resolve) => {
+      worker.onmessage = (msg) => resolve({data: msg.data});
+      worker.onerror = (err) => resolve({error: err});
+      worker.postMessage(message);
+    });
+  }
+
+  beforeEach(function() {
+    workers = [];
+  });
+
+  afterEach(function() {
+    workers.forEach((worker) => worker.terminate());
+  });
+
+  describe('postMessage', function() {
+
+    it('should return settings after init', function() {
+      return request(createWorker(500), {
+        command: 'init',
+        code: 'tank.init(function(settings, info) { settings.SKIN = "lava"; settings.id = info.id; });',
+        seed: 0.5,
+        settings: {SKIN: 'zebra'},
+        info: {id: 7}
+      }).then((response) => {
+        assert.equal(undefined, response.error);
+        assert.equal('init', response.data.type);
+        assert.equal('lava', response.data.settings.SKIN);
+        assert.equal(7, response.data.settings.id);
+      });
+    });
+
+    it('should return control after update', function() {
+      let worker = createWorker(500);
+      return request(worker, {
+        command: 'init',
+        code: 'tank.loop(function(state, control) { control.THROTTLE = state.x; });',
+        seed: 0.5,
+        settings: {},
+        info: {}
+      }).then(() => request(worker, {
+        command: 'update',
+        state: {x: 0.3},
+        control: {THROTTLE: 0, SHOOT: 1}
+      })).then((response) => {
+        assert.equal('update', response.data.type);
+        assert.equal(0.3, response.data.control.THROTTLE);
+        assert.equal(1, response.data.control.SHOOT);
+        assert(response.data.executionTime >= 0);
+      });
+    });
+
+    it('should return data stored by tank.persist()', function() {
+      let worker = createWorker(500);
+      let responses = [];
+      return request(worker, {
+        command: 'init',
+        code: 'tank.init(function(settings, info) { tank.persist({games: info.initData.games + 1}); }); tank.loop(function(state) { if(state.x) tank.persist({x: state.x}); });',
+        seed: 0.5,
+        settings: {},
+        info: {initData: {games: 3}}
+      })
+        .then((response) => responses.push(response))
+        .then(() => request(worker, {command: 'update', state: {x: 0}, control: {}}))
+        .then((response) => responses.push(response))
+        .then(() => request(worker, {command: 'update', state: {x: 7}, control: {}}))
+        .then((response) => {
+          assert.deepEqual({games: 4}, responses[0].data.persistentData);
+          assert.strictEqual(undefined, responses[1].data.persistentData);
+          assert.deepEqual({x: 7}, response.data.persistentData);
+        });
+    });
+
+    it('should seed Math.random', function() {
+      const code = 'tank.init(function(settings) { settings.value = Math.random(); });';
+      return Promise.all([0.1, 0.1, 0.2].map((seed) => request(createWorker(500), {command: 'init', code: code, seed: seed, settings: {}, info: {}})))
+        .then((responses) => {
+          let values = responses.map((response) => response.data.settings.value);
+          assert.equal(values[0], values[1]);
+          assert.notEqual(values[0], values[2]);
+        });
+    });
+
+    it('should not allow Math.random outside of callbacks', function() {
+      return request(createWorker(500), {command: 'init', code: 'Math.random();', seed: 0.5, settings: {}, info: {}})
+        .then((response) => {
+          assert.equal(undefined, response.data);
+          assert(/Math\.random/.test(response.error.message));
+        });
+    });
+
+    it('should terminate long running code', function() {
+      let worker = createWorker(50);
+      return request(worker, {
+        command: 'init',
+        code: 'tank.loop(function() { while(true) {} });',
+        seed: 0.5,
+        settings: {},
+        info: {}
+      }).then((response) => {
+        assert.equal('init', response.data.type);
+        return request(worker, {command: 'update', state: {}, control: {}});
+      }).then((response) => {
+        assert.equal(true, response.error.timeout);
+      });
+    });
+
+    it('should not expose Node.js globals', function() {
+      return request(createWorker(500), {
+        command: 'init',
+        code: 'tank.init(function(settings) { settings.process = typeof process; settings.require = typeof require; });',
+        seed: 0.5,
+        settings: {},
+        info: {}
+      }).then((response) => {
+        assert.equal('undefined', response.data.settings.process);
+        assert.equal('undefined', response.data.settings.require);
+      });
+    });
+
+    it('should not allow to escape from the sandbox', function() {
+      return request(createWorker(500), {
+        command: 'init',
+        code: `
+          function probe(name) {
+            try {
+              var value = this.constructor.constructor('return ' + name)();
+              return typeof value;
+            } catch(err) {
+              return 'error';
+            }
+          }
+          tank.init(function(settings) {
+            settings.process = probe('process');
+            settings.require = probe('require');
+            settings.mainModule = probe('process.mainModule.require');
+          });
+        `,
+        seed: 0.5,
+        settings: {},
+        info: {}
+      }).then((response) => {
+        assert.equal(undefined, response.error);
+        assert.equal('error', response.data.settings.process);
+        assert.equal('error', response.data.settings.require);
+        assert.equal('error', response.data.settings.mainModule);
+      });
+    });
+
+    it('should not allow to reach the host from Math.random', function() {
+      return request(createWorker(500), {
+        command: 'init',
+        code: `
+          tank.init(function(settings) {
+            try {
+              settings.process = typeof Math.random.constructor('return process')();
+            } catch(err) {
+              settings.process = 'error';
+            }
+          });
+        `,
+        seed: 0.5,
+        settings: {},
+        info: {}
+      }).then((response) => {
+        assert.equal('error', response.data.settings.process);
+      });
+    });
+
+    it('should report error when the process exits', function() {
+      let worker = createWorker(500);
+      return request(worker, {
+        command: 'init',
+        code: 'tank.init(function() {});',
+        seed: 0.5,
+        settings: {},
+        info: {}
+      }).then(() => new Promise((resolve) => {
+        worker.onerror = resolve;
+        worker._process.kill('SIGKILL');
+      })).then((err) => {
+        assert.equal(true, err.exited);
+        assert.equal(false, err.timeout);
+      });
+    });
+
+    it('should report error when not initialized', function() {
+      return request(createWorker(500), {command: 'update', state: {}, control: {}})
+        .then((response) => assert(response.error));
+    });
+
+  });
+});
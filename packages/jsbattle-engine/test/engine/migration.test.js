@@ -0,0 +1,115 @@
+import assert from "assert";
+
+import migration from "../../src/engine/migration.js"
+
+function createAiList() {
+  return [
+    {
+      "name": "crawler",
+      "team": "crawler",
+      "code": null,
+      "initData": null,
+      "useSandbox": true,
+      "executionLimit": 100
+    },
+    {
+      "name": "dummy",
+      "team": "dummy",
+      "code": null,
+      "initData": null,
+      "useSandbox": true,
+      "executionLimit": 100
+    }
+  ];
+}
+
+describe('migration', function() {
+  describe('getCurrentVersion', function() {
+
+    it('should return the latest version of UBD', function() {
+      assert.equal(5, migration.getCurrentVersion());
+    });
+
+  });
+
+  describe('migrate', function() {
+
+    it('should convert version 1', function() {
+      let ubd = migration.migrate({
+        version: 1,
+        rngSeed: 0.5,
+        aiList: createAiList()
+      });
+      assert.equal(5, ubd.version);
+      assert.equal(0.5, ubd.rngSeed);
+      assert.equal(false, ubd.teamMode);
+      assert.equal(30000, ubd.timeLimit);
+      assert.equal(2, ubd.aiList.length);
+    });
+
+    it('should convert version 2', function() {
+      let ubd = migration.migrate({
+        version: 2,
+        rngSeed: 0.5,
+        teamMode: true,
+        aiList: createAiList()
+      });
+      assert.equal(5, ubd.version);
+      assert.equal(true, ubd.teamMode);
+      assert.equal(30000, ubd.timeLimit);
+    });
+
+    it('should keep time limit of version 3 and 4', function() {
+      for(let version of [3, 4]) {
+        let ubd = migration.migrate({
+          version: version,
+          rngSeed: 0.5,
+          teamMode: false,
+          timeLimit: 5000,
+          aiList: createAiList()
+        });
+        assert.equal(5, ubd.version);
+        assert.equal(5000, ubd.timeLimit);
+      }
+    });
+
+    it('should not modify input data', function() {
+      let input = {
+        version: 1,
+        rngSeed: 0.5,
+        aiList: createAiList()
+      };
+      migration.migrate(input);
+      assert.equal(1, input.version);
+      assert.equal(undefined, input.teamMode);
+    });
+
+    it('should return current version untouched', function() {
+      let input = {
+        version: 5,
+        rngSeed: 0.5,
+        teamMode: false,
+        timeLimit: 5000,
+        aiList: createAiList(),
+        metadata: {players: [{team: 'crawler', name: 'john'}]}
+      };
+      assert.strictEqual(input, migration.migrate(input));
+    });
+
+    it('should validate input against schema of its version', function() {
+      assert.throws(() => migration.migrate({
+        version: 2,
+        rngSeed: 0.5,
+        aiList: createAiList()
+      }), /validation failed \(version 2\)/);
+    });
+
+    it('should reject unknown versions', function() {
+      assert.throws(() => migration.migrate({version: 0, rngSeed: 1, aiList: []}), /Unknown version/);
+      assert.throws(() => migration.migrate({version: 'x', rngSeed: 1, aiList: []}), /Unknown version/);
+      assert.throws(() => migration.migrate({version: 6, rngSeed: 1, aiList: []}), /newer than supported/);
+      assert.throws(() => migration.migrate(null), /must be an object/);
+    });
+
+  });
+});
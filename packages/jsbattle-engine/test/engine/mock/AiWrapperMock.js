@@ -12,6 +12,10 @@ export default class AiWrapperMock {
       self.activateCallCount++;
     };
     this.deactivate = sinon.spy();
+    this.recordTimeline = sinon.spy();
+    this.playTimeline = sinon.spy();
+    this.getSnapshot = sinon.stub().returns({});
+    this.restoreSnapshot = sinon.spy();
     this.simulationStep = function(done) {
       self.simulationStepCallCount++;
       setTimeout(done, 1);
@@ -13,6 +13,7 @@ export default class BattlefieldMock {
     this.minY = 0;
     this.maxX = this.width;
     this.maxY = this.height;
+    this.obstacles = [];
   }
 
 };
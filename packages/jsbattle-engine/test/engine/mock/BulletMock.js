@@ -11,10 +11,14 @@ export default class BulletMock {
     this.angle = Math.round(Math.random()*360-180);
     this.damage = 20+Math.round(Math.random()*10);
     this.speed = 1+Math.round(Math.random()*5);
+    this.type = 'cannon';
+    this.radius = 3;
     this.exploded = false;
     this.onWallHit = sinon.spy();
     this.onEnemyHit = sinon.spy();
     this.simulationStep = sinon.spy();
+    this.getSnapshot = sinon.stub().returns({});
+    this.restoreSnapshot = sinon.spy();
   }
 
 };
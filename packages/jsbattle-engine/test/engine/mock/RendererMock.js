@@ -8,10 +8,13 @@ export default class RendererMock {
     this.postRender = sinon.spy();
     this.renderTank = sinon.spy();
     this.renderTankStats = sinon.spy();
+    this.renderPerspective = sinon.spy();
     this.renderBullet = sinon.spy();
     this.renderClock = sinon.spy();
+    this.renderMode = sinon.spy();
     this.initBatlefield = sinon.spy();
     this.stop = sinon.spy();
     this.setSpeed = sinon.spy();
+    this.clearViews = sinon.spy();
   }
 };
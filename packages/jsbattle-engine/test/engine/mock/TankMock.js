@@ -1,10 +1,13 @@
 import sinon from "sinon";
+import weapons from "../../../src/engine/weapons.js";
+import rules from "../../../src/engine/rules.js";
 
 export default class TankMock {
 
   constructor(name, id) {
     this.name = name ? name : "bravo_" + Math.round(Math.random()*1000000);
     this.team = null;
+    this.rules = rules.getDefaultRules();
     this.id = id ? id : Math.round(Math.random()*1000000);
     this.angle = Math.round(Math.random()*360-180);
     this.gunAngle = Math.round(Math.random()*360-180);
@@ -14,6 +17,17 @@ export default class TankMock {
     this.y = Math.round(Math.random()*1000);
     this.gunLength = 20+Math.round(Math.random()*50);
     this.energy = 20+Math.round(Math.random()*50);
+    this.stats = {
+      shots: 0,
+      hits: 0,
+      damageDealt: 0,
+      damageReceived: 0,
+      distance: 0,
+      boostSteps: 0,
+      skippedSteps: 0
+    };
+    this.disqualified = false;
+    this.weapon = weapons.getDefaultWeapon();
 
     this.init = sinon.spy()
     this.onDamage = sinon.spy()
@@ -33,12 +47,20 @@ export default class TankMock {
     this.onAllyHit = sinon.spy();
     this.onBeingRam = sinon.spy();
     this.onEnemyHitScore = sinon.spy();
+    this.onTargetHit = sinon.spy();
+    this.onObjectiveScore = sinon.spy();
+    this.onBudgetExceeded = sinon.spy();
+    this.onMessagesDropped = sinon.spy();
+    this.disqualify = sinon.spy();
+    this.setModeState = sinon.spy();
     this.onEnemySpot = sinon.spy();
     this.onAllySpot = sinon.spy();
     this.onBulletSpot = sinon.spy();
     this.onTargetingAlarm = sinon.spy();
     this.onWallSpot = sinon.spy();
     this.isAlly = sinon.stub().returns(false);
+    this.getSnapshot = sinon.stub().returns({});
+    this.restoreSnapshot = sinon.spy();
   }
 
 };
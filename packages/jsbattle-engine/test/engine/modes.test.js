@@ -0,0 +1,64 @@
+import assert from "assert";
+
+import modes from "../../src/engine/modes.js"
+import GameMode from "../../src/engine/GameMode.js"
+import KingOfTheHillMode from "../../src/engine/KingOfTheHillMode.js"
+import CaptureTheFlagMode from "../../src/engine/CaptureTheFlagMode.js"
+
+describe('modes', function() {
+  describe('getModeList', function() {
+
+    it('should list all modes', function() {
+      let list = modes.getModeList().map((mode) => mode.name);
+      assert.deepEqual(['deathmatch', 'koth', 'ctf'], list);
+    });
+
+    it('should provide default parameters', function() {
+      let koth = modes.getModeList().find((mode) => mode.name == 'koth');
+      assert.equal('King of the Hill', koth.label);
+      assert.equal(15000, koth.defaults.holdLimit);
+    });
+
+  });
+
+  describe('createDefinition', function() {
+
+    it('should create definition from name', function() {
+      let result = modes.createDefinition('ctf');
+      assert.equal('ctf', result.name);
+      assert.equal(3, result.captureLimit);
+    });
+
+    it('should override default parameters', function() {
+      let result = modes.createDefinition({name: 'koth', holdLimit: 5000});
+      assert.equal(5000, result.holdLimit);
+      assert.equal(75, result.zoneRadius);
+    });
+
+    it('should throw for unknown mode', function() {
+      assert.throws(() => modes.createDefinition('unknown-2342'), /Unknown game mode/);
+      assert.throws(() => modes.createDefinition(54));
+    });
+
+    it('should throw for parameters of other modes', function() {
+      assert.throws(() => modes.createDefinition({name: 'koth', captureLimit: 5}), /Unknown parameter/);
+    });
+
+    it('should validate parameters', function() {
+      assert.throws(() => modes.createDefinition({name: 'ctf', captureLimit: 0}), /Invalid game mode/);
+      assert.throws(() => modes.createDefinition({name: 'koth', zoneRadius: 'big'}), /Invalid game mode/);
+    });
+
+  });
+
+  describe('createMode', function() {
+
+    it('should create instance of the mode', function() {
+      assert(modes.createMode('deathmatch') instanceof GameMode);
+      assert(modes.createMode('koth') instanceof KingOfTheHillMode);
+      assert(modes.createMode({name: 'ctf'}) instanceof CaptureTheFlagMode);
+      assert.equal('ctf', modes.createMode('ctf').name);
+    });
+
+  });
+});
@@ -0,0 +1,111 @@
+import assert from "assert";
+
+import perspective from "../../src/engine/perspective.js"
+import TankMock from "./mock/TankMock.js";
+import TeamMock from "./mock/TeamMock.js";
+import BulletMock from "./mock/BulletMock.js";
+
+function createTank(id, team, radar) {
+  let tank = new TankMock('tank', id);
+  tank.team = team;
+  tank.state = {
+    radar: Object.assign({enemies: [], allies: [], lastSeen: [], bullets: []}, radar)
+  };
+  return tank;
+}
+
+describe('perspective', function() {
+  describe('normalize', function() {
+
+    it('should accept tank and team perspective', function() {
+      assert.deepEqual({tankId: 3}, perspective.normalize({tankId: '3'}));
+      assert.deepEqual({team: 'alpha'}, perspective.normalize({team: 'alpha'}));
+    });
+
+    it('should return null for invalid values', function() {
+      assert.equal(null, perspective.normalize(null));
+      assert.equal(null, perspective.normalize('alpha'));
+      assert.equal(null, perspective.normalize({}));
+      assert.equal(null, perspective.normalize({tankId: 'abc'}));
+    });
+
+  });
+
+  describe('getVisibility', function() {
+
+    let alpha, beta;
+
+    beforeEach(function() {
+      alpha = new TeamMock('alpha');
+      beta = new TeamMock('beta');
+    });
+
+    it('should show everything without perspective', function() {
+      let tank = createTank(1, alpha);
+      let visibility = perspective.getVisibility(null, [tank]);
+      assert.equal(null, visibility);
+      assert(perspective.isTankVisible(visibility, tank));
+      assert(perspective.isBulletVisible(visibility, new BulletMock(tank)));
+    });
+
+    it('should show tanks of the team and their radar contacts', function() {
+      let tank1 = createTank(1, alpha, {enemies: [{id: 3}]});
+      let tank2 = createTank(2, alpha, {allies: [{id: 1}]});
+      let tank3 = createTank(3, beta);
+      let tank4 = createTank(4, beta);
+      let visibility = perspective.getVisibility({team: 'alpha'}, [tank1, tank2, tank3, tank4]);
+      assert.deepEqual([tank1, tank2], visibility.observers);
+      assert(perspective.isTankVisible(visibility, tank1));
+      assert(perspective.isTankVisible(visibility, tank2));
+      assert(perspective.isTankVisible(visibility, tank3));
+      assert(!perspective.isTankVisible(visibility, tank4));
+    });
+
+    it('should hide allies that are not spotted from tank perspective', function() {
+      let tank1 = createTank(1, alpha);
+      let tank2 = createTank(2, alpha);
+      let visibility = perspective.getVisibility({tankId: 1}, [tank1, tank2]);
+      assert(perspective.isTankVisible(visibility, tank1));
+      assert(!perspective.isTankVisible(visibility, tank2));
+    });
+
+    it('should ignore radar of destroyed observers', function() {
+      let tank1 = createTank(1, alpha, {enemies: [{id: 2}]});
+      let tank2 = createTank(2, beta);
+      tank1.energy = 0;
+      let visibility = perspective.getVisibility({team: 'alpha'}, [tank1, tank2]);
+      assert(perspective.isTankVisible(visibility, tank1));
+      assert(!perspective.isTankVisible(visibility, tank2));
+    });
+
+    it('should show own bullets and bullets on radar', function() {
+      let tank1 = createTank(1, alpha, {bullets: [{id: 20}]});
+      let tank2 = createTank(2, beta);
+      let visibility = perspective.getVisibility({tankId: 1}, [tank1, tank2]);
+      assert(perspective.isBulletVisible(visibility, new BulletMock(tank1, 10)));
+      assert(perspective.isBulletVisible(visibility, new BulletMock(tank2, 20)));
+      assert(!perspective.isBulletVisible(visibility, new BulletMock(tank2, 30)));
+    });
+
+    it('should merge last seen enemies of the team', function() {
+      let tank1 = createTank(1, alpha, {lastSeen: [{id: 3, x: 10, age: 40}, {id: 4, x: 20, age: 5}]});
+      let tank2 = createTank(2, alpha, {lastSeen: [{id: 3, x: 30, age: 12}], enemies: [{id: 5}]});
+      let tank3 = createTank(3, beta);
+      let tank4 = createTank(4, beta);
+      let tank5 = createTank(5, beta);
+      let visibility = perspective.getVisibility({team: 'alpha'}, [tank1, tank2, tank3, tank4, tank5]);
+      assert.deepEqual([{id: 4, x: 20, age: 5}, {id: 3, x: 30, age: 12}], visibility.lastSeen);
+    });
+
+    it('should skip last seen enemies that are visible or destroyed', function() {
+      let tank1 = createTank(1, alpha, {lastSeen: [{id: 3, age: 4}, {id: 4, age: 5}]});
+      let tank2 = createTank(2, alpha, {enemies: [{id: 3}]});
+      let tank3 = createTank(3, beta);
+      let tank4 = createTank(4, beta);
+      tank4.energy = 0;
+      let visibility = perspective.getVisibility({team: 'alpha'}, [tank1, tank2, tank3, tank4]);
+      assert.deepEqual([], visibility.lastSeen);
+    });
+
+  });
+});
@@ -0,0 +1,69 @@
+import assert from "assert";
+
+import rules from "../../src/engine/rules.js"
+
+describe('rules', function() {
+  describe('getPreset', function() {
+
+    it('should return default rules', function() {
+      let result = rules.getPreset('default');
+      assert.deepEqual(rules.getDefaultRules(), result);
+      assert.equal(100, result.maxEnergy);
+      assert.equal(70, result.gunReloadTime);
+    });
+
+    it('should override default values', function() {
+      let result = rules.getPreset('no-boost');
+      assert.equal('no-boost', result.name);
+      assert.equal(0, result.maxBoost);
+      assert.equal(100, result.maxEnergy);
+    });
+
+    it('should return null for unknown preset', function() {
+      assert.equal(null, rules.getPreset('unknown-8732'));
+    });
+
+    it('should list all presets', function() {
+      let list = rules.getPresetList();
+      assert(list.indexOf('default') != -1);
+      assert(list.indexOf('one-shot') != -1);
+      assert(list.indexOf('long-radar') != -1);
+      assert(list.indexOf('no-boost') != -1);
+      assert(list.indexOf('no-specialization') != -1);
+    });
+
+  });
+
+  describe('createRules', function() {
+
+    it('should create rules from a preset', function() {
+      let result = rules.createRules('long-radar');
+      assert.equal('long-radar', result.name);
+      assert.equal(600, result.radarRange);
+    });
+
+    it('should create custom rules', function() {
+      let result = rules.createRules({maxEnergy: 30});
+      assert.equal('custom', result.name);
+      assert.equal(30, result.maxEnergy);
+      assert.equal(300, result.radarRange);
+    });
+
+    it('should keep name of recorded rules', function() {
+      let result = rules.createRules(rules.getPreset('one-shot'));
+      assert.deepEqual(rules.getPreset('one-shot'), result);
+    });
+
+    it('should throw for unknown preset', function() {
+      assert.throws(() => rules.createRules('unknown-8732'), /Unknown preset/);
+    });
+
+    it('should throw for invalid values', function() {
+      assert.throws(() => rules.createRules({maxEnergy: -5}), /Invalid rules/);
+      assert.throws(() => rules.createRules({radarRange: 'far'}), /Invalid rules/);
+      assert.throws(() => rules.createRules({gravity: 9.81}), /Invalid rules/);
+      assert.throws(() => rules.createRules(7), /must be/);
+    });
+
+  });
+});
@@ -0,0 +1,52 @@
+import assert from "assert";
+
+import specialization from "../../src/engine/specialization.js"
+
+describe('specialization', function() {
+  describe('createEmpty', function() {
+
+    it('should not assign any points', function() {
+      assert.deepEqual(
+        {armour: 0, engine: 0, radarRange: 0, radarFocal: 0, reload: 0},
+        specialization.createEmpty()
+      );
+    });
+
+  });
+
+  describe('normalize', function() {
+
+    it('should keep valid points', function() {
+      let input = {armour: 2, engine: 3, radarRange: 0, radarFocal: 1, reload: 4};
+      assert.deepEqual(input, specialization.normalize(input, 10));
+    });
+
+    it('should clamp and round points', function() {
+      let result = specialization.normalize({armour: 100, engine: -3, radarRange: 2.7, reload: 'abc'}, 10);
+      assert.deepEqual({armour: 5, engine: 0, radarRange: 2, radarFocal: 0, reload: 0}, result);
+    });
+
+    it('should not exceed the budget', function() {
+      let result = specialization.normalize({armour: 5, engine: 5, radarRange: 5, radarFocal: 5, reload: 5}, 12);
+      assert.deepEqual({armour: 5, engine: 5, radarRange: 2, radarFocal: 0, reload: 0}, result);
+    });
+
+    it('should ignore invalid input', function() {
+      assert.deepEqual(specialization.createEmpty(), specialization.normalize('armour', 10));
+      assert.deepEqual(specialization.createEmpty(), specialization.normalize({armour: 3}, 0));
+    });
+
+  });
+
+  describe('getMultiplier', function() {
+
+    it('should calculate bonus of skill', function() {
+      let points = {armour: 4, engine: 2};
+      assert.equal(0.8, specialization.getMultiplier(points, 'armour'));
+      assert.equal(1.1, specialization.getMultiplier(points, 'engine'));
+      assert.equal(1, specialization.getMultiplier(points, 'reload'));
+      assert.equal(1, specialization.getMultiplier(points, 'unknown'));
+    });
+
+  });
+});
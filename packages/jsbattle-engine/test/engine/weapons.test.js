@@ -0,0 +1,34 @@
+import assert from "assert";
+
+import weapons from "../../src/engine/weapons.js"
+
+describe('weapons', function() {
+  describe('getWeaponList', function() {
+
+    it('should list all weapons', function() {
+      let list = weapons.getWeaponList().map((weapon) => weapon.name);
+      assert.deepEqual(['cannon', 'shotgun', 'missile', 'mine'], list);
+    });
+
+  });
+
+  describe('getWeapon', function() {
+
+    it('should return copy of weapon definition', function() {
+      let weapon = weapons.getWeapon('shotgun');
+      assert.equal(5, weapon.count);
+      weapon.count = 100;
+      assert.equal(5, weapons.getWeapon('shotgun').count);
+    });
+
+    it('should return null for unknown weapon', function() {
+      assert.strictEqual(null, weapons.getWeapon('laser'));
+      assert.strictEqual(null, weapons.getWeapon(undefined));
+    });
+
+    it('should use cannon as default weapon', function() {
+      assert.equal('cannon', weapons.getDefaultWeapon().name);
+    });
+
+  });
+});
@@ -5,7 +5,8 @@ module.exports = {
   devtool: "source-map",
   entry: path.resolve(__dirname, 'src/engine/entry.js'),
   node: {
-    fs: 'empty'
+    fs: 'empty',
+    child_process: 'empty'
   },
   output: {
     path: path.resolve(__dirname, 'dist/js'),
@@ -0,0 +1,31 @@
+const path = require('path');
+
+module.exports = {
+  mode: "production",
+  devtool: "source-map",
+  target: "node",
+  entry: {
+    jsbattle: path.resolve(__dirname, 'src/engine/headless.js'),
+    vmWorkerProcess: path.resolve(__dirname, 'src/engine/vmWorkerProcess.js')
+  },
+  node: {
+    __dirname: false
+  },
+  output: {
+    path: path.resolve(__dirname, 'dist/headless'),
+    filename: '[name].js',
+    libraryTarget: 'commonjs2',
+    libraryExport: 'default'
+  },
+  module: {
+    rules: [
+      {
+        test: /\.js$/,
+        loader: 'babel-loader',
+        query: {
+          presets: ['@babel/preset-env']
+        }
+      }
+    ]
+  },
+};
@@ -132,6 +132,8 @@ class MockServer {
         "/api/user/league": "/user,league",
         "/api/user/league/submission": "/user,league,submission",
         "/api/user/league/replay/:id": "/user,league,replay/:id",
+        "/api/admin/ubdPlayer/info": "/admin,ubdPlayer",
+        "/api/admin/queue/stats": "/admin,queueStats",
         "/api/:a/:b": "/:a,:b",
         "/api/:a/:b/:c": "/:a,:b/:c",
         "/api/:a/:b/:c/:d": "/:a,:b/:c/:d",
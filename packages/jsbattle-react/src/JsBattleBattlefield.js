@@ -1,6 +1,6 @@
 import React from 'react';
-import PropTypes from 'prop-types';
 import JsBattle from 'jsbattle-engine';
+import {defaultProps, propTypes} from './battlefieldProps.js';
 
 /**
  * For easier integration with [ReactJs](https://reactjs.org/) applications,
@@ -10,12 +10,18 @@ import JsBattle from 'jsbattle-engine';
  * @property {Number} height - height of battlefield canvas in pixels
  * @property {Number} battlefieldWidth - width of battlefield area
  * @property {Number} battlefieldHeight - height of battlefield area
+ * @property {String|Object} rules - game rules of the battle: name of a preset or an object that overrides default rules (e.g. rules recorded in UBD)
+ * @property {String|Object} mode - game mode of the battle (`deathmatch`, `koth`, `ctf`): name of the mode or an object with the name and parameters of the mode
+ * @property {String} map - name of the map (arena size, obstacles and start positions). If provided, `battlefieldWidth` and `battlefieldHeight` are ignored
  * @property {String} renderer - name of renderer to be used
  * @property {Number} rngSeed - rngSeed to be used for the simulation. Random seed will be used if not provided
  * @property {Number} timeLimit - duration of the battle. A battle without limit is started when not defined or set to zero
  * @property {Number} speed - speed multiplier of the battle. For example 2 means that the battle is playes at doubled speed
  * @property {Number} quality - Number between 0 and 1 that define rendering quality (if renderer supports it). String 'auto' can be also provided. In such case, quality will be automatialy adjusted to keep proper performance
+ * @property {Object} perspective - shows the battle as it is seen by a single tank (`{tankId: 3}`) or a team (`{team: 'alpha'}`): only what their radars see, radar beams and last known positions of enemies. Everything is visible when not defined. Changing the property does not restart the battle
  * @property {Boolean} teamMode - whether the battle is played in team mode or not
+ * @property {Object} timeline - JSON of timeline recorded in UBD. If provided, the battle is replayed from the timeline and AI scripts are not executed
+ * @property {Boolean} paused - whether the battle is paused. Changing the property does not restart the battle
  * @property {Boolean} autoResize - if true, size of battlefield canvas will be automaticaly adjusted. Otherwise, fixed values from `width` and `height` properties will be used
  * @property {Function} modifier - function applied before the battle that allow changes in the battlefield setup
  * @property {Function} onError - callback for handling errors
@@ -106,6 +112,16 @@ class JsBattleBattlefield extends React.Component {
     if(hasChanged('quality')) {
       this.simulation.setRendererQuality(this.props.quality);
     }
+    if(hasChanged('perspective')) {
+      this.renderer.setPerspective(this.props.perspective);
+    }
+    if(hasChanged('paused')) {
+      if(this.props.paused) {
+        this.pause();
+      } else {
+        this.resume();
+      }
+    }
 
     let changedProperties = [];
     let watchedProperties = [
@@ -115,8 +131,12 @@ class JsBattleBattlefield extends React.Component {
       'teamMode',
       'battlefieldWidth',
       'battlefieldHeight',
+      'map',
+      'rules',
+      'mode',
       'modifier',
-      'timeLimit'
+      'timeLimit',
+      'timeline'
     ];
     for(let property of watchedProperties) {
       if(hasChanged(property)) {
@@ -140,6 +160,48 @@ class JsBattleBattlefield extends React.Component {
     this.simulation.stop();
   }
 
+  /**
+   * Pauses battle simulation. The battle can be resumed later
+   * @returns {undefined}
+   */
+  pause() {
+    this.log(`pause`);
+    this.simulation.pause();
+  }
+
+  /**
+   * Resumes paused battle simulation
+   * @returns {undefined}
+   */
+  resume() {
+    this.log(`resume`);
+    this.simulation.resume();
+  }
+
+  /**
+   * Processes single step of paused battle
+   * @returns {undefined}
+   */
+  stepForward() {
+    this.log(`step forward`);
+    this.simulation.stepForward();
+  }
+
+  /**
+   * Moves the battle to given point of time. Rewinding is possible only
+   * when the battle is replayed from the timeline
+   * @param {Number} time - time of the battle (in milliseconds)
+   * @returns {Promise} promise resolved when the time is reached
+   */
+  seek(time) {
+    this.log(`seek to ${time}ms`);
+    return this.simulation.seek(time).catch((err) => {
+      if(this.props.onError) {
+        this.props.onError(err.message);
+      }
+    });
+  }
+
   /**
    * Restarts battle simulation.
    * @returns {undefined}
@@ -180,10 +242,17 @@ class JsBattleBattlefield extends React.Component {
     }
     this.log(`on window resize`);
 
+    let width = 900;
+    let height = 600;
+    let battlefield = this.simulation ? this.simulation.battlefield : null;
+    if(battlefield) {
+      width = battlefield.width + 2*battlefield.margin;
+      height = battlefield.height + 2*battlefield.margin;
+    }
     let w = this.canvas.parentElement.clientWidth;
-    let ratio = w/900;
-    this.canvas.style.width = (ratio * 900) + "px";
-    this.canvas.style.height = (ratio * 600) + "px";
+    let ratio = w/width;
+    this.canvas.style.width = (ratio * width) + "px";
+    this.canvas.style.height = (ratio * height) + "px";
 
   }
 
@@ -207,13 +276,31 @@ class JsBattleBattlefield extends React.Component {
     if(this.props.onStart) {
       this.simulation.onStart(() => this.props.onStart());
     }
+    try {
+      if(this.props.map) {
+        this.simulation.setMap(this.props.map);
+      }
+      if(this.props.rules) {
+        this.simulation.setRules(this.props.rules);
+      }
+      if(this.props.mode) {
+        this.simulation.setMode(this.props.mode);
+      }
+    } catch(err) {
+      if(this.props.onError) {
+        this.props.onError(err.message);
+      }
+    }
     this.simulation.init(this.props.battlefieldWidth, this.props.battlefieldHeight);
+    // proportions of the canvas depend on size of the map
+    this.onWindowResizeHandler();
 
     if(this.props.onRender) {
       this.simulation.onRender(() => this.props.onRender(this.simulation));
     }
     this.simulation.setSpeed(this.props.speed !== undefined ? this.props.speed : 1);
     this.simulation.setRendererQuality(this.props.quality !== undefined ? this.props.quality : 'auto');
+    this.renderer.setPerspective(this.props.perspective);
     this.simulation.onFinish(() => this.handleFinish());
 
     if(this.props.onReady) {
@@ -232,6 +319,13 @@ class JsBattleBattlefield extends React.Component {
       this.addTank(ai);
     });
 
+    if(this.props.timeline) {
+      this.log(`replaying recorded timeline`);
+      let timeline = JsBattle.createTimeline();
+      timeline.fromJSON(this.props.timeline);
+      this.simulation.playTimeline(timeline);
+    }
+
     this.log(`applying battle modifier`);
     if(this.props.modifier) {
       this.props.modifier(this.simulation);
@@ -239,6 +333,9 @@ class JsBattleBattlefield extends React.Component {
     this.log(`start simulation`);
     try {
       this.simulation.start();
+      if(this.props.paused) {
+        this.simulation.pause();
+      }
     } catch (err) {
       this.props.onError(err.message || err.toString());
     }
@@ -284,6 +381,7 @@ class JsBattleBattlefield extends React.Component {
       tankList: this.simulation.tankList,
       teamList: this.simulation.teamList,
       timeLeft: this.simulation.timeLimit - this.simulation.timeElapsed,
+      stats: this.simulation.getStats(),
       ubd: this.simulation.createUltimateBattleDescriptor().encode()
     };
 
@@ -320,6 +418,13 @@ class JsBattleBattlefield extends React.Component {
     return this.renderer.quality;
   }
 
+  /**
+   * @return {Boolean} true if the battle is paused
+   */
+  get isPaused() {
+    return this.simulation.isPaused;
+  }
+
   /**
    * @return {Simulation} JsBattle simulation object
    */
@@ -332,53 +437,7 @@ class JsBattleBattlefield extends React.Component {
   }
 }
 
-JsBattleBattlefield.defaultProps = {
-  width: 900,
-  height: 600,
-  battlefieldWidth: 900,
-  battlefieldHeight: 600,
-  renderer: "debug",
-  rngSeed: undefined,
-  timeLimit: 30000,
-  speed: 1,
-  quality: 'auto',
-  teamMode: false,
-  aiDefList: [],
-  autoResize: false,
-  debug: false,
-  modifier: undefined,
-  onError: undefined,
-  onStart: undefined,
-  onRender: undefined,
-  onReady: undefined,
-  onInit: undefined,
-  onFinish: undefined,
-};
-
-JsBattleBattlefield.propTypes = {
-  width: PropTypes.number,
-  height: PropTypes.number,
-  battlefieldWidth: PropTypes.number,
-  battlefieldHeight: PropTypes.number,
-  renderer: PropTypes.string,
-  rngSeed: PropTypes.number,
-  timeLimit: PropTypes.number,
-  speed: PropTypes.number,
-  quality: PropTypes.oneOfType([
-    PropTypes.number,
-    PropTypes.oneOf(['auto'])
-  ]),
-  teamMode: PropTypes.oneOf([true, false]),
-  autoResize: PropTypes.oneOf([true, false]),
-  debug: PropTypes.oneOf([true, false]),
-  aiDefList: PropTypes.arrayOf(PropTypes.instanceOf(JsBattle.createAiDefinition().constructor)).isRequired,
-  modifier: PropTypes.func,
-  onError: PropTypes.func,
-  onStart: PropTypes.func,
-  onRender: PropTypes.func,
-  onReady: PropTypes.func,
-  onInit: PropTypes.func,
-  onFinish: PropTypes.func,
-};
+JsBattleBattlefield.defaultProps = defaultProps;
+JsBattleBattlefield.propTypes = propTypes;
 
 export default JsBattleBattlefield;
@@ -0,0 +1,73 @@
+import PropTypes from 'prop-types';
+import JsBattle from 'jsbattle-engine';
+
+// properties of JsBattleBattlefield component (see its documentation)
+export const defaultProps = {
+  width: 900,
+  height: 600,
+  battlefieldWidth: 900,
+  battlefieldHeight: 600,
+  map: undefined,
+  rules: undefined,
+  mode: undefined,
+  renderer: "debug",
+  rngSeed: undefined,
+  timeLimit: 30000,
+  speed: 1,
+  quality: 'auto',
+  perspective: null,
+  teamMode: false,
+  timeline: undefined,
+  paused: false,
+  aiDefList: [],
+  autoResize: false,
+  debug: false,
+  modifier: undefined,
+  onError: undefined,
+  onStart: undefined,
+  onRender: undefined,
+  onReady: undefined,
+  onInit: undefined,
+  onFinish: undefined,
+};
+
+export const propTypes = {
+  width: PropTypes.number,
+  height: PropTypes.number,
+  battlefieldWidth: PropTypes.number,
+  battlefieldHeight: PropTypes.number,
+  map: PropTypes.string,
+  rules: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.object
+  ]),
+  mode: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.object
+  ]),
+  renderer: PropTypes.string,
+  rngSeed: PropTypes.number,
+  timeLimit: PropTypes.number,
+  speed: PropTypes.number,
+  quality: PropTypes.oneOfType([
+    PropTypes.number,
+    PropTypes.oneOf(['auto'])
+  ]),
+  perspective: PropTypes.shape({
+    tankId: PropTypes.number,
+    team: PropTypes.string
+  }),
+  teamMode: PropTypes.oneOf([true, false]),
+  timeline: PropTypes.object,
+  paused: PropTypes.oneOf([true, false]),
+  autoResize: PropTypes.oneOf([true, false]),
+  debug: PropTypes.oneOf([true, false]),
+  aiDefList: PropTypes.arrayOf(PropTypes.instanceOf(JsBattle.createAiDefinition().constructor)).isRequired,
+  modifier: PropTypes.func,
+  onError: PropTypes.func,
+  onStart: PropTypes.func,
+  onRender: PropTypes.func,
+  onReady: PropTypes.func,
+  onInit: PropTypes.func,
+  onFinish: PropTypes.func,
+};
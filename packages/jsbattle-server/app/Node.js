@@ -52,6 +52,10 @@ class Node {
             'ApiGateway',
             'BattleStore',
             'League',
+            'LeagueStore',
+            'SeasonStore',
+            'Tournament',
+            'Matches',
             'Queue',
             'UbdPlayer',
             'UserStore',
@@ -59,6 +63,7 @@ class Node {
             'Challenges',
             'LeagueScheduler',
             'ScriptStore',
+            'ScriptRevisionStore',
             'UbdValidator',
             'ActivityMonitor',
             'Node',
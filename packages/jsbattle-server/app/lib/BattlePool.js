@@ -0,0 +1,177 @@
+'use strict';
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const THROUGHPUT_PERIOD = 60000;
+const QUEUE_WAIT_SAMPLES = 100;
+
+// Plays battles in a pool of worker threads. Each battle gets its own worker
+// so a battle that hangs or crashes is killed without affecting other ones
+module.exports = class BattlePool {
+
+  constructor(options) {
+    options = options || {};
+    this._concurrency = Math.max(1, Math.floor(options.concurrency) || 1);
+    this._timeout = options.timeout || 60000;
+    // battles stop by themselves after the timeout. Workers are killed only when it does not happen
+    this._killTimeout = options.killTimeout || 5000;
+    this._recordTimeline = Boolean(options.recordTimeline);
+    this._memoryLimit = options.memoryLimit || 0;
+    this._workerScript = options.workerScript || path.resolve(__dirname, 'battleWorker.js');
+    this._pending = [];
+    this._running = [];
+    this._isClosed = false;
+    this._finishTimes = [];
+    this._queueWaits = [];
+    this._stats = {
+      battleCount: 0,
+      failureCount: 0,
+      timeoutCount: 0,
+      crashCount: 0
+    };
+  }
+
+  get concurrency() {
+    return this._concurrency;
+  }
+
+  get runningCount() {
+    return this._running.length;
+  }
+
+  get pendingCount() {
+    return this._pending.length;
+  }
+
+  get isClosed() {
+    return this._isClosed;
+  }
+
+  get hasCapacity() {
+    return !this._isClosed && this._running.length + this._pending.length < this._concurrency;
+  }
+
+  // queuedAt is a timestamp of scheduling the battle, used to measure queue wait time
+  // returns a promise resolved with result of the battle
+  run(ubd, queuedAt) {
+    if(this._isClosed) {
+      return Promise.reject(new Error('Battle pool is closed'));
+    }
+    return new Promise((resolve, reject) => {
+      this._pending.push({
+        ubd,
+        queuedAt: queuedAt || new Date().getTime(),
+        resolve,
+        reject
+      });
+      this._next();
+    });
+  }
+
+  getStats() {
+    let now = new Date().getTime();
+    this._finishTimes = this._finishTimes.filter((time) => time > now - THROUGHPUT_PERIOD);
+    let waitTotal = this._queueWaits.reduce((sum, value) => sum + value, 0);
+    return {
+      concurrency: this._concurrency,
+      running: this._running.length,
+      pending: this._pending.length,
+      ...this._stats,
+      battlesPerMinute: this._finishTimes.length,
+      queueWait: {
+        average: this._queueWaits.length ? Math.round(waitTotal/this._queueWaits.length) : 0,
+        max: this._queueWaits.length ? Math.max(...this._queueWaits) : 0
+      }
+    };
+  }
+
+  close() {
+    this._isClosed = true;
+    let error = new Error('Battle pool is closed');
+    for(let job of this._pending) {
+      job.reject(error);
+    }
+    this._pending = [];
+    for(let battle of this._running) {
+      this._finish(battle, 'closed', error);
+    }
+  }
+
+  _next() {
+    while(this._pending.length && this._running.length < this._concurrency) {
+      this._start(this._pending.shift());
+    }
+  }
+
+  _start(job) {
+    let startTime = new Date().getTime();
+    this._queueWaits.push(Math.max(0, startTime - job.queuedAt));
+    if(this._queueWaits.length > QUEUE_WAIT_SAMPLES) {
+      this._queueWaits.shift();
+    }
+    let workerOptions = {
+      workerData: {
+        ubd: job.ubd,
+        options: {
+          timeout: this._timeout,
+          recordTimeline: this._recordTimeline
+        }
+      }
+    };
+    if(this._memoryLimit) {
+      workerOptions.resourceLimits = {maxOldGenerationSizeMb: this._memoryLimit};
+    }
+    let battle = {
+      job,
+      worker: new Worker(this._workerScript, workerOptions),
+      isDone: false,
+      timer: null
+    };
+    this._running.push(battle);
+    battle.timer = setTimeout(
+      () => this._finish(battle, 'timeout', new Error(`Battle killed after ${new Date().getTime() - startTime}ms`)),
+      this._timeout + this._killTimeout
+    );
+    battle.worker.on('message', (msg) => {
+      if(msg.ok) {
+        this._finish(battle, null, null, JSON.parse(msg.result));
+      } else {
+        this._finish(battle, 'error', new Error(msg.error));
+      }
+    });
+    battle.worker.on('error', (err) => this._finish(battle, 'crash', err));
+    battle.worker.on('exit', (code) => this._finish(battle, 'crash', new Error(`Battle worker exited with code ${code}`)));
+  }
+
+  _finish(battle, failure, error, result) {
+    if(battle.isDone) {
+      return;
+    }
+    battle.isDone = true;
+    clearTimeout(battle.timer);
+    this._running = this._running.filter((item) => item !== battle);
+    battle.worker.terminate().catch(() => {});
+    switch(failure) {
+      case null:
+        this._stats.battleCount++;
+        this._finishTimes.push(new Date().getTime());
+        battle.job.resolve(result);
+        break;
+      case 'closed':
+        battle.job.reject(error);
+        break;
+      default:
+        this._stats.failureCount++;
+        if(failure == 'timeout') {
+          this._stats.timeoutCount++;
+        }
+        if(failure == 'crash') {
+          this._stats.crashCount++;
+        }
+        battle.job.reject(error);
+    }
+    this._next();
+  }
+
+};
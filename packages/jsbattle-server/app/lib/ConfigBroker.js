@@ -38,14 +38,60 @@ class ConfigBroker extends ServiceBroker {
         "timeLimit": 20000,
         "teamSize": 3,
         "obfuscate": true,
-        "historyDuration": 3*24*60*60*1000
+        "historyDuration": 3*24*60*60*1000,
+        "persistentDataLimit": 4096,
+        "defaultLeague": {
+          "name": "Open League",
+          "description": "",
+          "teamCount": 2,
+          "map": null,
+          "rules": "default",
+          "seasonDuration": 0,
+          "entryLimit": 0
+        },
+        "rating": {
+          "initialRating": 1500,
+          "initialDeviation": 350,
+          "initialVolatility": 0.06,
+          "minDeviation": 30,
+          "tau": 0.5,
+          "period": 24*60*60*1000,
+          "decayInterval": 60*60*1000
+        },
+        "matchmaking": {
+          "strategy": "balanced",
+          "placementFights": 10,
+          "placementShare": 0.5,
+          "rankRange": 3,
+          "rematchCooldown": 2
+        }
+      },
+      "matches": {
+        "pendingLimit": 3,
+        "listLimit": 20,
+        "timeout": 10*60*1000,
+        "historyDuration": 7*24*60*60*1000
+      },
+      "tournament": {
+        "scheduleInterval": 10000,
+        "gameTimeout": 10*60*1000,
+        "historyDuration": 30*24*60*60*1000
       },
       "ubdPlayer": {
         "enabled": true,
         "queueLimit": 2,
         "queueQueryTime": 1000,
-        "speed": 1,
-        "timeout": 60000
+        "timeout": 60000,
+        "killTimeout": 5000,
+        "concurrency": 1,
+        "memoryLimit": 0,
+        "recordTimeline": true
+      },
+      "queue": {
+        "hardLimit": 100,
+        "visibilityTimeout": 2*60*1000,
+        "maxAttempts": 3,
+        "retryDelay": 10000
       },
       "battleStore": {
         "defaultExpireTime": 7*24*60*60*1000,
@@ -1,106 +1,48 @@
 'use strict';
 
-const express = require('express');
-const puppeteer = require('puppeteer');
+const playUbd = require('./playUbd.js');
 
 module.exports = class UbdArenaService {
 
   constructor(options) {
     this._options = options;
-    this._options.webroot = this._options.webroot || './';
     this._options.debug = this._options.debug || true;
-    this._options.webport = this._options.webport || 3000;
-    this._options.webhost = this._options.webhost || 'localhost';
+    this._options.timeout = this._options.timeout || 60000;
     this._ready = false;
-    this._webapp = null;
-    this._webserver = null;
     this._log("UBD Arean Service started");
   }
 
   init() {
-    return new Promise((resolve) => {
-      this._log(`Launching web server from ${this._options.webroot}`);
-      this._webapp = express();
-      this._webapp.use(express.static(this._options.webroot));
-      this._webserver = this._webapp.listen(
-        this._options.webport,
-        this._options.webhost,
-        () => {
-          console.log(`Web server started at ${this._options.webhost}:${this._options.webport}`);
-          this._ready = true;
-          return resolve();
-        }
-      );
-    });
+    this._ready = true;
+    return Promise.resolve();
   }
 
   close() {
     this._log("Closing UBD Arena Service...");
-    if(this._webserver) {
-      this._webserver.close();
-      this._webserver = null;
-    }
+    this._ready = false;
   }
 
-  process(ubdContent) {
-    return new Promise(async (resolve, reject) => {
-      if(!this._ready) {
-        return reject(new Error("Service is not ready yet. Try again later."));
-      }
-      this._log("Processing UBD content...");
-      try {
-        this._log("Starting browser...");
-        let browser = await puppeteer.launch();
-        let page = await browser.newPage();
-        await this.page.setUserAgent("UbdArenaService");
-        let url = `http://${this._options.webhost}:${this._options.webport}#ubdPlayer`;
-        this._log(`Loading ${url}`);
-        await page.goto(url);
-        this._log(`Passing ${ubdContent.length} bytes of UBD data`);
-        await page.$eval(
-          '#ubdInput',
-          (el, content) => {
-            el.value = content;
-          },
-          ubdContent
-        );
-        this._log(`Starting the battle...`);
-        let startTime = new Date().getTime();
-        await page.click("#playButton");
-        await Promise.race([
-          page.waitForSelector("#loading"),
-          page.waitForSelector("#error"),
-        ]);
-        this._log(`Battle started. It may take a while`);
-        await Promise.race([
-          page.waitForSelector("#result", {timeout: 60000}),
-          page.waitForSelector("#error", {timeout: 60000})
-        ]);
-
-        let error = await page.$('#error');
-        let html;
-        let dt = new Date().getTime() - startTime;
-
-        if(error) {
-          html = await page.$eval('#error', (element) => element.innerHTML);
-          this._log(`Error after ${dt}ms: ${html}`);
-          this._log(`Closing web browser`);
-          await browser.close();
-          return reject({error: html});
-        } else {
-          this._log(`Battle completed after ${dt}ms`);
-          html = await page.$eval('#result', (element) => element.innerHTML);
-          this._log(`Closing web browser`);
-          await browser.close();
-
-          return resolve(JSON.parse(html));
-        }
-
-
-      } catch (err) {
-        return reject({error: String(err)});
-      }
-    });
+  async process(ubdContent) {
+    if(!this._ready) {
+      throw new Error("Service is not ready yet. Try again later.");
+    }
+    this._log("Processing UBD content...");
+    let ubd;
+    try {
+      ubd = JSON.parse(ubdContent);
+    } catch(err) {
+      throw new Error(`Cannot parse UBD file! ${err}`);
+    }
+    this._log(`Starting the battle...`);
+    let startTime = new Date().getTime();
+    try {
+      let result = await playUbd(ubd, {timeout: this._options.timeout});
+      this._log(`Battle completed after ${new Date().getTime() - startTime}ms`);
+      return result;
+    } catch (err) {
+      this._log(`Error after ${new Date().getTime() - startTime}ms: ${err.message}`);
+      throw err;
+    }
   }
 
   _log(msg) {
@@ -0,0 +1,14 @@
+'use strict';
+
+// runs a single battle in a worker thread of BattlePool
+const { parentPort, workerData } = require('worker_threads');
+const playUbd = require('./playUbd.js');
+
+playUbd(workerData.ubd, workerData.options)
+  .then((result) => {
+    // results are serialized since they are broadcasted as JSON anyway
+    parentPort.postMessage({ok: true, result: JSON.stringify(result)});
+  })
+  .catch((err) => {
+    parentPort.postMessage({ok: false, error: err && err.message ? err.message : String(err)});
+  });
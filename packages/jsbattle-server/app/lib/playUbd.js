@@ -0,0 +1,56 @@
+const JsBattle = require('jsbattle-engine/headless');
+
+module.exports = function(ubd, options = {}) {
+  // battles of older versions are upgraded so they are played and recorded as the current version
+  ubd = JsBattle.migrateUbd(ubd);
+  let simulation = JsBattle.createSimulation();
+  simulation.setRngSeed(ubd.rngSeed);
+  simulation.timeLimit = ubd.timeLimit;
+  if(ubd.map) {
+    simulation.setMap(ubd.map);
+  }
+  if(ubd.rules) {
+    simulation.setRules(ubd.rules);
+  }
+  if(ubd.mode) {
+    simulation.setMode(ubd.mode);
+  }
+  simulation.init(900, 600);
+
+  let ai;
+  let count;
+  for(let aiDef of ubd.aiList) {
+    count = aiDef.count || 1;
+    for(let i=0; i < count; i++) {
+      ai = JsBattle.createAiDefinition();
+      // never run AI code outside of the sandbox on the server side
+      ai.fromJSON({...aiDef, useSandbox: true});
+      simulation.addTank(ai);
+    }
+  }
+
+  let timeline = null;
+  if(ubd.timeline) {
+    let recordedTimeline = JsBattle.createTimeline();
+    recordedTimeline.fromJSON(ubd.timeline);
+    simulation.playTimeline(recordedTimeline);
+  } else if(options.recordTimeline) {
+    timeline = simulation.recordTimeline();
+  }
+
+  if(options.timeout) {
+    let startTime = new Date().getTime();
+    simulation.onStep(() => {
+      if(new Date().getTime() - startTime > options.timeout) {
+        simulation.stop();
+      }
+    });
+  }
+
+  return simulation.runToCompletion().then((result) => {
+    if(timeline) {
+      result.ubd = {...ubd, timeline: timeline.toJSON()};
+    }
+    return result;
+  });
+}
@@ -42,7 +42,6 @@ let config = {
     "enabled": false,
     "queueLimit": 3,
     "queueQueryTime": 500,
-    "speed": 10,
     "timeout": 5000
   },
   "auth": {
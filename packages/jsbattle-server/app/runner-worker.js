@@ -20,7 +20,6 @@ let config = {
   },
   "ubdPlayer": {
     "queueQueryTime": 1000,
-    "speed": 10,
     "timeout": 20000
   },
 };
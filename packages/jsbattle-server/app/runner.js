@@ -34,7 +34,6 @@ let config = {
     "enabled": false,
     "queueLimit": 3,
     "queueQueryTime": 1000,
-    "speed": 5,
     "timeout": 20000
   },
   "auth": {
@@ -6,6 +6,7 @@ const path = require('path');
 const http = require('http');
 const stringReplace = require('../lib/stringReplaceMiddleware.js');
 const authorize = require('./apiGateway/authorize.js');
+const clientEvents = require('./apiGateway/clientEvents.js');
 const configPassport = require('./apiGateway/configPassport.js');
 const IO = require("socket.io");
 const auditMiddleware = require('../lib/auditMiddleware.js').express;
@@ -58,7 +59,23 @@ class ApiGatewayService extends Service {
                   "PATCH battles/:id": "battleStore.update",
                   "GET battles": "battleStore.list",
                   "GET league": "league.listRankTable",
+                  "POST league/recalculate": "league.recalculateRatings",
+                  "GET leagues": "leagueStore.list",
+                  "POST leagues": "leagueStore.create",
+                  "GET leagues/:id": "leagueStore.get",
+                  "PATCH leagues/:id": "leagueStore.updateLeague",
+                  "DELETE leagues/:leagueId": "league.deleteLeague",
+                  "GET leagues/:leagueId/ranktable": "league.listRankTable",
+                  "GET leagues/:leagueId/seasons": "seasonStore.listLeagueSeasons",
+                  "POST leagues/:leagueId/seasons": "league.endSeason",
+                  "GET tournaments": "tournament.listTournaments",
+                  "POST tournaments": "tournament.create",
+                  "GET tournaments/:id": "tournament.getTournament",
+                  "DELETE tournaments/:id": "tournament.remove",
                   "GET ubdPlayer/info": "ubdPlayer.getInfo",
+                  "GET queue/stats": "queue.stats",
+                  "GET queue/deadLetters": "queue.deadLetters",
+                  "PATCH queue/deadLetters/:id": "queue.requeue",
                   "GET info": "node.getInfo"
                 },
                 bodyParsers: {
@@ -80,16 +97,33 @@ class ApiGatewayService extends Service {
                   "PATCH scripts/:id": "scriptStore.updateUserScript",
                   "GET scripts/:id": "scriptStore.getUserScript",
                   "DELETE scripts/:id": "scriptStore.deleteUserScript",
+                  "GET scripts/:id/revisions": "scriptStore.listUserScriptRevisions",
+                  "GET scripts/:id/revisions/:revisionId": "scriptStore.getUserScriptRevision",
+                  "POST scripts/:id/revisions/:revisionId/restore": "scriptStore.restoreUserScriptRevision",
                   "GET challenges": "challenges.listUserChallanges",
                   "GET challenges/:challengeId": "challenges.getUserChallange",
                   "PATCH challenges/:challengeId": "challenges.updateUserChallange",
                   "GET league/": "league.getLeagueSummary",
-                  "GET league/replay/:id": "battleStore.get",
+                  "GET league/replay/:id": "matches.getReplay",
                   "GET league/submission": "league.getUserSubmission",
                   "GET league/ranktable": "league.getUserRankTable",
                   "GET league/scripts/:id": "league.getScript",
                   "PATCH league/submission": "league.joinLeague",
                   "DELETE league/submission": "league.leaveLeague",
+                  "GET leagues": "leagueStore.listLeagues",
+                  "GET leagues/:leagueId": "league.getLeagueSummary",
+                  "GET leagues/:leagueId/replay/:id": "matches.getReplay",
+                  "GET leagues/:leagueId/submission": "league.getUserSubmission",
+                  "GET leagues/:leagueId/ranktable": "league.getUserRankTable",
+                  "GET leagues/:leagueId/scripts/:id": "league.getScript",
+                  "GET leagues/:leagueId/seasons": "seasonStore.listLeagueSeasons",
+                  "PATCH leagues/:leagueId/submission": "league.joinLeague",
+                  "DELETE leagues/:leagueId/submission": "league.leaveLeague",
+                  "PATCH tournaments/:tournamentId/entry": "tournament.joinTournament",
+                  "DELETE tournaments/:tournamentId/entry": "tournament.leaveTournament",
+                  "GET matches": "matches.listUserMatches",
+                  "GET matches/replay/:id": "matches.getReplay",
+                  "POST matches": "matches.createMatch",
                 },
                 bodyParsers: {
                   json: true,
@@ -107,7 +141,9 @@ class ApiGatewayService extends Service {
                   "GET profile": "auth.whoami",
                   "GET authMethods": "auth.getAuthMethods",
                   "GET leaguePreview": "league.getHistory",
-                  "GET leaguePreview/replay/:id": "battleStore.get"
+                  "GET leaguePreview/replay/:id": "matches.getReplay",
+                  "GET tournaments": "tournament.listTournaments",
+                  "GET tournaments/:id": "tournament.getTournament"
                 },
                 bodyParsers: {
                   json: true,
@@ -177,6 +213,7 @@ class ApiGatewayService extends Service {
           path: '/api/events',
           serveClient: false
         });
+        this.io.use(clientEvents.authenticate(broker, this.logger));
 
         this.server.listen(
           port,
@@ -187,8 +224,9 @@ class ApiGatewayService extends Service {
         );
 
         this.io.on("connection", (client) => {
-          this.logger.info("Client connected via websocket!");
-            client.on("disconnect", () => {
+          this.logger.info("Client connected via websocket" + (client.user ? ` as ${client.user.username}` : '') + "!");
+          clientEvents.join(client);
+          client.on("disconnect", () => {
             this.logger.info("Client disconnected");
           });
         });
@@ -198,10 +236,7 @@ class ApiGatewayService extends Service {
         "client.**"(payload, sender, event) {
           if (this.io) {
             this.logger.debug(`Sending client event: ${event}`);
-            this.io.emit("event", {
-              event,
-              payload
-            });
+            clientEvents.emit(this.io, event, payload);
           }
         },
         "worker.echo"(payload, sender, event) {
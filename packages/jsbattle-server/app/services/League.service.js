@@ -5,26 +5,52 @@ const _ = require('lodash');
 const getDbAdapterConfig = require("../lib/getDbAdapterConfig.js");
 const fs = require('fs');
 const path = require('path');
-const RankTable = require('./league/lib/RankTable.js');
-const JavaScriptObfuscator = require('javascript-obfuscator');
-const stripComments = require('strip-comments');
+const ratingMixin = require('./league/lib/ratingMixin.js');
+const leaguesMixin = require('./league/lib/leaguesMixin.js');
+const entryCodeMixin = require('./league/lib/entryCodeMixin.js');
 const validators = require("../validators");
 
+const leagueParams = {
+  leagueId: validators.entityId({optional: true})
+};
+const RANKTABLE_FIELDS = [
+  "id",
+  "leagueId",
+  "ownerId",
+  "ownerName",
+  "scriptId",
+  "scriptName",
+  "joinedAt",
+  "fights_total",
+  "fights_win",
+  "fights_lose",
+  "fights_draw",
+  "fights_error",
+  "score",
+  "rating",
+  "ratingDeviation"
+];
+
 class LeagueService extends Service {
 
   constructor(broker) {
     super(broker);
-    this.ranktable = new RankTable();
     this.config = broker.serviceConfig.league;
     let adapterConfig = getDbAdapterConfig(broker.serviceConfig.data, 'league')
     this.parseServiceSchema({
       ...adapterConfig,
       name: "league",
-      mixins: [DbService],
+      mixins: [
+        DbService,
+        ratingMixin,
+        leaguesMixin,
+        entryCodeMixin
+      ],
       settings: {
         idField: 'id',
         fields: [
           "id",
+          "leagueId",
           "joinedAt",
           "ownerId",
           "ownerName",
@@ -33,14 +59,23 @@ class LeagueService extends Service {
           "fights_total",
           "fights_win",
           "fights_lose",
+          "fights_draw",
           "fights_error",
           "score",
+          "rating",
+          "ratingDeviation",
+          "volatility",
+          "ratedAt",
           "code",
-          "hash"
+          "revisionId",
+          "revision",
+          "hash",
+          "persistentData"
         ]
       },
       entityValidator: {
         id: validators.entityId({optional: true}),
+        leagueId: validators.entityId(),
         joinedAt: validators.createDate(),
         ownerId: validators.entityId(),
         ownerName: validators.entityName(),
@@ -49,38 +84,74 @@ class LeagueService extends Service {
         fights_total: {type: "number", positive: true},
         fights_win: {type: "number", positive: true},
         fights_lose: {type: "number", positive: true},
+        fights_draw: {type: "number", positive: true},
         fights_error: {type: "number", positive: true},
         score: {type: "number", positive: true},
-        code: validators.code(),
-        hash: validators.hash()
+        rating: {type: "number"},
+        ratingDeviation: {type: "number", positive: true},
+        volatility: {type: "number", positive: true},
+        ratedAt: validators.createDate(),
+        // user submissions point at a script revision, seeded scripts keep the code
+        code: validators.code({optional: true}),
+        revisionId: validators.entityId({optional: true}),
+        revision: {type: "number", integer: true, positive: true, optional: true},
+        hash: validators.hash(),
+        persistentData: validators.persistentData({optional: true, max: this.config.persistentDataLimit})
       },
       actions: {
-        pickRandomOpponents: this.pickRandomOpponents,
-        seedLeague: this.seedLeague,
-        getUserSubmission: this.getUserSubmission,
-        getHistory: this.getHistory,
-        leaveLeague: this.leaveLeague,
-        getLeagueSummary: this.getLeagueSummary,
-        getUserRankTable: this.getUserRankTable,
+        pickOpponents: {
+          params: leagueParams,
+          handler: this.pickOpponents
+        },
+        seedLeague: {
+          params: leagueParams,
+          handler: this.seedLeague
+        },
+        getUserSubmission: {
+          params: leagueParams,
+          handler: this.getUserSubmission
+        },
+        getHistory: {
+          params: leagueParams,
+          handler: this.getHistory
+        },
+        leaveLeague: {
+          params: leagueParams,
+          handler: this.leaveLeague
+        },
+        getLeagueSummary: {
+          params: leagueParams,
+          handler: this.getLeagueSummary
+        },
+        getUserRankTable: {
+          params: leagueParams,
+          handler: this.getUserRankTable
+        },
         getScript: {
           params: {
+            ...leagueParams,
             id: validators.entityId()
           },
           handler: this.getScript
         },
         joinLeague: {
-          scriptId: validators.entityId(),
+          params: {
+            ...leagueParams,
+            scriptId: validators.entityId(),
+            revisionId: validators.entityId({optional: true})
+          },
           handler: this.joinLeague
         },
-        updateRank: {
+        updatePersistentData: {
           params: {
             id: validators.entityId(),
-            winner: { type: "boolean" }
+            persistentData: validators.persistentData({max: this.config.persistentDataLimit})
           },
-          handler: this.updateRank
+          handler: this.updatePersistentData
         },
         listRankTable: {
           params: {
+            ...leagueParams,
             page: {type: "number", positive: true, min: 1, optional: true, convert: true},
             pageSize: {type: "number", positive: true, min: 1, max: 50, optional: true, convert: true}
           },
@@ -95,58 +166,51 @@ class LeagueService extends Service {
               ctx.params.fights_total = 0;
               ctx.params.fights_win = 0;
               ctx.params.fights_lose = 0;
+              ctx.params.fights_draw = 0;
               ctx.params.fights_error = 0;
-              ctx.params.score = ctx.params.score || 0;
+              if(ctx.params.rating === undefined) {
+                Object.assign(ctx.params, this.rating.createRating());
+              }
+              ctx.params.score = this.rating.getScore(ctx.params);
+              ctx.params.ratedAt = ctx.params.ratedAt || new Date();
               ctx.params = _.omit(ctx.params, ['id']);
-              return ctx;
+              if(ctx.params.leagueId) {
+                return ctx;
+              }
+              return ctx.call('leagueStore.getDefault', {}).then((league) => {
+                ctx.params.leagueId = league.id;
+                return ctx;
+              });
             }
           ]
         }
-      },
-      events: {
-        "app.seed": async (ctx) => {
-          await ctx.call('league.seedLeague', {})
-
-          this.logger.info('Initializing Rank able');
-          let initData = await ctx.call('league.find', {
-            sort: '-score',
-            fields: [
-              "id",
-              "ownerId",
-              "ownerName",
-              "scriptId",
-              "scriptName",
-              "joinedAt",
-              "fights_total",
-              "fights_win",
-              "fights_lose",
-              "fights_error",
-              "score"
-            ]
-          });
-          this.ranktable.init(initData);
-          this.logger.info('Rank Table initialized');
-        }
       }
     });
   }
 
+  // loads rank tables of all leagues that have entries matching the query
+  async initRankTables(ctx, query) {
+    let entries = await this._find(ctx, {
+      query,
+      sort: ['-score'],
+      fields: RANKTABLE_FIELDS
+    });
+    let leagues = _.groupBy(entries, 'leagueId');
+    for(let leagueId of Object.keys(leagues)) {
+      this.getRankTable(leagueId).init(leagues[leagueId]);
+    }
+  }
+
   async getScript(ctx) {
     const userId = ctx.meta.user ? ctx.meta.user.id : null;
     if(!userId) {
       throw new ValidationError('Not Authorized!', 401);
     }
 
-    const scriptId = ctx.params.id
-    let response = await ctx.call('league.get', {
-      id: scriptId,
-      fields: [
-        "id",
-        "ownerName",
-        "scriptName",
-        "code"
-      ]
-    });
+    let response = await ctx.call('league.getEntry', {id: ctx.params.id});
+    if(ctx.params.leagueId && ctx.params.leagueId != response.leagueId) {
+      throw new ValidationError('Entity not found', 404);
+    }
 
     return {
       id: response.id,
@@ -156,7 +220,9 @@ class LeagueService extends Service {
   }
 
   async getHistory(ctx) {
+    let league = await this.getLeague(ctx);
     let items = await ctx.call('battleStore.find', {
+      query: {owner: {$in: [league.id]}},
       sort: '-createdAt',
       limit: 7,
       fields: [
@@ -166,67 +232,42 @@ class LeagueService extends Service {
         "createdAt"
       ]
     });
-    items = items.map((item) => ({
+    return this.formatHistory(items);
+  }
+
+  formatHistory(battles) {
+    return battles.map((item) => ({
       id: item.id,
       createdAt: item.createdAt,
       players: item.meta.map((player) => ({
         id: player.id,
         name: player.name,
+        place: player.place,
         winner: player.winner
       }))
-    }))
-    return items;
+    }));
   }
 
-  async updateRank(ctx) {
-    let entity = await this._get(ctx, {
+  updatePersistentData(ctx) {
+    return this._update(ctx, {
       id: ctx.params.id,
-      fields: [
-        'id',
-        'fights_total',
-        'fights_win',
-        'fights_lose',
-        'score'
-      ]
+      persistentData: ctx.params.persistentData
     });
-
-    let newScore;
-    if(ctx.params.winner) {
-      newScore = entity.score + (10000 - entity.score)/25;
-    } else {
-      newScore = entity.score + (0 - entity.score)/25;
-    }
-    let newEntity = {
-      id: entity.id,
-      fights_total: entity.fights_total + 1,
-      fights_win: entity.fights_win + (ctx.params.winner ? 1 : 0),
-      fights_lose: entity.fights_lose + (ctx.params.winner ? 0 : 1),
-      score: Math.round(newScore)
-    }
-    this._update(ctx, newEntity);
-    this.ranktable.updateScore(
-      newEntity.id,
-      newEntity.score,
-      newEntity.fights_total,
-      newEntity.fights_win,
-      newEntity.fights_lose
-    );
   }
 
-  async pickRandomOpponents(ctx) {
-    let opponents = this.ranktable.pickRandom();
-    let opponent1 = await ctx.call('league.get', {id: opponents[0].id})
-    let opponent2 = await ctx.call('league.get', {id: opponents[1].id})
-    return [
-      opponent1,
-      opponent2
-    ]
+  async pickOpponents(ctx) {
+    let league = await this.getLeague(ctx);
+    // free-for-all battles of small leagues are played by everyone available
+    let opponents = this.getMatchmaker(league.id).pick(this.getRankTable(league.id), league.teamCount || 2);
+    return Promise.all(opponents.map((opponent) => ctx.call('league.getEntry', {id: opponent.id})));
   }
 
   async seedLeague(ctx) {
+    let league = await this.getLeague(ctx);
     const seedPath = path.resolve(__dirname, 'league', 'seed');
     const seedFiles = fs.readdirSync(seedPath)
       .map((filename, index) => ({
+        leagueId: league.id,
         ownerId: 'int-user-0000-1',
         ownerName: 'jsbattle',
         scriptId: 'int-script-0000-' + (index+1),
@@ -236,6 +277,7 @@ class LeagueService extends Service {
       .map((entry) => new Promise(async (resolve) => {
         let existingEntry = await ctx.call('league.find', {
           query: {
+            leagueId: league.id,
             ownerName: 'jsbattle',
             scriptName: entry.scriptName,
           }
@@ -255,8 +297,10 @@ class LeagueService extends Service {
       throw new ValidationError('Not Authorized!', 401);
     }
 
+    let league = await this.getLeague(ctx);
     let leagueEntry = await ctx.call('league.find', {
       query: {
+        leagueId: league.id,
         ownerId: userId
       },
       limit: 1
@@ -278,16 +322,7 @@ class LeagueService extends Service {
         "createdAt"
       ]
     });
-    items = items.map((item) => ({
-      id: item.id,
-      createdAt: item.createdAt,
-      players: item.meta.map((player) => ({
-        id: player.id,
-        name: player.name,
-        winner: player.winner
-      }))
-    }));
-    leagueEntry.history = items;
+    leagueEntry.history = this.formatHistory(items);
 
     leagueEntry.latest = true;
     try {
@@ -308,78 +343,55 @@ class LeagueService extends Service {
       throw new ValidationError('Not Authorized!', 401);
     }
 
-    let script = await ctx.call('scriptStore.getUserScript', { id: ctx.params.scriptId });
+    // the script gets its first revision if it was saved before revisions were introduced
+    let script = await ctx.call('scriptStore.ensureUserScriptRevision', { id: ctx.params.scriptId });
 
     if(script.ownerId != userId) {
       throw new ValidationError('Not Authorized!', 401);
     }
 
-    let currentSubmission = await ctx.call('league.getUserSubmission', {});
-    let startingScore = 0;
+    let league = await this.getLeague(ctx);
+    let currentSubmission = await ctx.call('league.getUserSubmission', {leagueId: league.id});
+    let ranktable = this.getRankTable(league.id);
+    let entryCount = ranktable.getLength() - (currentSubmission.id ? 1 : 0);
+    if(league.entryLimit && entryCount >= league.entryLimit) {
+      throw new ValidationError(`League ${league.name} is full`, 400);
+    }
+    let rating = {};
+    let persistentData = null;
     if(ctx.params.scriptId === currentSubmission.scriptId) {
-      startingScore = currentSubmission.score;
+      // resubmitted script keeps its rating and memory
+      rating = _.pick(currentSubmission, [
+        'rating',
+        'ratingDeviation',
+        'volatility',
+        'ratedAt'
+      ]);
+      persistentData = currentSubmission.persistentData || null;
     }
 
-    await this.leaveLeague(ctx);
+    // the latest revision is submitted unless an older one is picked
+    let revision = await ctx.call('scriptStore.getUserScriptRevision', {
+      id: script.id,
+      revisionId: ctx.params.revisionId
+    });
 
-    let code = script.code;
-    if(this.config.obfuscate) {
-      try {
-        let prevSize = Math.round(code.length/1024);
-        code = stripComments(code);
-        code = code.replace(/importScripts\w*\([^)]*\)/g, '');
-        code = JavaScriptObfuscator.obfuscate(code, {
-          compact: true,
-          controlFlowFlattening: false,
-          deadCodeInjection: false,
-          debugProtection: false,
-          debugProtectionInterval: false,
-          disableConsoleOutput: true,
-          identifierNamesGenerator: 'hexadecimal',
-          log: false,
-          renameGlobals: false,
-          rotateStringArray: true,
-          selfDefending: true,
-          shuffleStringArray: true,
-          splitStrings: false,
-          stringArray: true,
-          stringArrayEncoding: false,
-          stringArrayThreshold: 0.75,
-          unicodeEscapeSequence: false
-        }).getObfuscatedCode();
-        let currentSize = Math.round(code.length/1024);
-        this.logger.info(`Code obfuscated ${prevSize}K -> ${currentSize}K`);
-
-      } catch (err) {
-        this.logger.warn(err);
-      }
-    } else {
-      this.logger.info(`Code obfuscation disabled`);
-    }
+    await this.leaveLeague(ctx);
 
     const entity = await ctx.call('league.create', {
+      leagueId: league.id,
       ownerId: script.ownerId,
       ownerName: script.ownerName,
       scriptId: script.id,
       scriptName: script.scriptName,
-      code: code,
-      hash: script.hash,
-      score: startingScore
+      revisionId: revision.id,
+      revision: revision.revision,
+      hash: revision.hash,
+      persistentData: persistentData,
+      ...rating
     });
 
-    this.ranktable.add({
-      id: entity.id,
-      ownerId: entity.ownerId,
-      ownerName: entity.ownerName,
-      scriptId: entity.scriptId,
-      scriptName: entity.scriptName,
-      joinedAt: entity.joinedAt,
-      fights_total: entity.fights_total,
-      fights_win: entity.fights_win,
-      fights_lose: entity.fights_lose,
-      fights_error: entity.fights_error,
-      score: entity.score
-    });
+    ranktable.add(_.pick(entity, RANKTABLE_FIELDS));
 
     return this.getLeagueSummary(ctx);
   }
@@ -390,8 +402,10 @@ class LeagueService extends Service {
       throw new ValidationError('Not Authorized!', 401);
     }
 
+    let league = await this.getLeague(ctx);
     let submissions = await ctx.call('league.find', {
       query: {
+        leagueId: league.id,
         ownerId: userId
       }
     });
@@ -401,7 +415,8 @@ class LeagueService extends Service {
     }));
 
     for(let submission of submissions) {
-      this.ranktable.remove(submission.id)
+      this.getRankTable(league.id).remove(submission.id)
+      this.codeCache.delete(submission.revisionId);
     }
 
     await Promise.all(removals);
@@ -416,28 +431,21 @@ class LeagueService extends Service {
     }
 
     const fields = [
-      "id",
-      "ownerId",
-      "ownerName",
-      "scriptId",
-      "scriptName",
-      "joinedAt",
-      "fights_total",
-      "fights_win",
-      "fights_lose",
-      "fights_error",
+      ...RANKTABLE_FIELDS,
+      "revisionId",
+      "revision",
       "hash",
-      "score",
       "latest",
       "history"
     ];
 
+    let league = await this.getLeague(ctx);
     let submission = await this.getUserSubmission(ctx);
     submission = _.pick(submission, fields);
 
     return {
       submission,
-      ranktable: this.ranktable.slice(submission.id, 9)
+      ranktable: this.getRankTable(league.id).slice(submission.id, 9)
     }
   }
 
@@ -447,20 +455,24 @@ class LeagueService extends Service {
       throw new ValidationError('Not Authorized!', 401);
     }
 
+    let league = await this.getLeague(ctx);
     let result = await this.getUserRankTable(ctx);
     return {
+      league: _.omit(league, ['createdAt']),
       ...result,
-      history: await ctx.call('league.getHistory', {})
+      history: await ctx.call('league.getHistory', {leagueId: league.id})
     }
   }
 
-  listRankTable(ctx) {
+  async listRankTable(ctx) {
+    let league = await this.getLeague(ctx);
+    let ranktable = this.getRankTable(league.id);
     let page = ctx.params.page || 1;
     let pageSize = ctx.params.pageSize || 10;
-    let total = this.ranktable.getLength();
+    let total = ranktable.getLength();
     let totalPages = Math.ceil(total/pageSize);
     let offset = (page-1)*pageSize;
-    let rows = this.ranktable.getData().slice(offset, offset+pageSize);
+    let rows = ranktable.getData().slice(offset, offset+pageSize);
     return {
       rows,
       page,
@@ -1,6 +1,9 @@
 const Service = require("moleculer").Service;
+const JsBattle = require('jsbattle-engine/headless');
 const validators = require("../validators");
 
+const MAX_TEAM_COUNT = 6;
+
 class LeagueScheduler extends Service {
 
   constructor(broker) {
@@ -16,6 +19,7 @@ class LeagueScheduler extends Service {
             refData: validators.any(),
             ubd: validators.any(),
             teamList: validators.any(),
+            timeElapsed: {type: "number", optional: true}
           },
           handler: this.storeBattleResults
         }
@@ -45,7 +49,8 @@ class LeagueScheduler extends Service {
             await ctx.call('leagueScheduler.storeBattleResults', {
               refData: ctx.params.refData,
               teamList: ctx.params.teamList,
-              ubd: ctx.params.ubd
+              ubd: ctx.params.ubd,
+              timeElapsed: ctx.params.timeElapsed
             });
           } catch(err) {
             this.logger.warn(err);
@@ -57,101 +62,217 @@ class LeagueScheduler extends Service {
 
   async storeBattleResults(ctx) {
     let refData = ctx.params.refData;
-    let ubd = JSON.stringify(ctx.params.ubd);
+    let ubd = ctx.params.ubd;
 
     let teamList = ctx.params.teamList;
-    if(!teamList || teamList.length != 2) {
-      throw new Error('teamList must have exactly 2 elements');
+    if(!teamList || teamList.length < 2 || teamList.length > MAX_TEAM_COUNT) {
+      throw new Error(`teamList must have from 2 to ${MAX_TEAM_COUNT} elements`);
     }
 
-    let winner = teamList.reduce((best, current) => {
-      if(current.score > best.score) {
-        return current;
-      } else {
-        return best;
-      }
-    }, teamList[0]);
-    let loser = teamList.reduce((worst, current) => {
-      if(current.score < worst.score) {
-        return current;
-      } else {
-        return worst;
-      }
-    }, teamList[0]);
-    if(winner == loser) {
-      winner = null;
-    }
+    let places = this.getPlaces(teamList);
+    // there is no winner when teams share the first place
+    let hasWinner = places.filter((place) => place == 1).length == 1;
 
-    teamList = teamList.map((team) => {
+    teamList = teamList.map((team, index) => {
       if(!refData || !refData[team.name]) {
         throw new Error('no team mapping in refData for: ' + team.name);
       }
-      return {
+      let result = {
         id: refData[team.name],
         name: team.name,
         battleScore: team.score,
-        winner: team == winner
+        place: places[index],
+        winner: hasWinner && places[index] == 1
+      };
+      if(team.stats) {
+        result.stats = team.stats;
       }
+      if(team.disqualified) {
+        result.disqualified = true;
+      }
+      return result;
     });
 
+    if(ubd && ubd.version >= 5) {
+      ubd = {
+        ...ubd,
+        metadata: {
+          ...ubd.metadata,
+          result: {
+            timeElapsed: ctx.params.timeElapsed || 0,
+            teamList: teamList.map((team) => ({
+              name: team.name,
+              score: team.battleScore,
+              place: team.place,
+              winner: team.winner
+            }))
+          }
+        }
+      };
+    }
+
+    // the stored UBD is a public replay so memory of the tanks from previous battles
+    // is removed. The replay is driven by the recorded timeline anyway
+    if(ubd && Array.isArray(ubd.aiList)) {
+      ubd = {
+        ...ubd,
+        aiList: ubd.aiList.map((ai) => ({...ai, initData: null}))
+      };
+    }
+
     this.logger.info('Battle result: ' + teamList.map((t) => `${t.name} (${t.battleScore.toFixed(2)})`).join(' vs '))
 
     let description = teamList.map((t) => t.name).join(' vs ').substring(0, 128);
-    await ctx.call('battleStore.create', {
-      ubd: ubd,
+    let owner = Object.values(refData);
+    // the battle is listed in history of the league it was played in
+    if(ubd && ubd.metadata && ubd.metadata.leagueId) {
+      owner.push(ubd.metadata.leagueId);
+    }
+    let battle = await ctx.call('battleStore.create', {
+      ubd: JSON.stringify(ubd),
       expiresIn: this.config.historyDuration,
       description: description,
       meta: teamList,
-      owner: Object.values(refData)
+      owner: owner
     });
 
-    let updateCalls = teamList.map((team) => new Promise(async (resolve) => {
-      try {
-        await ctx.call('league.updateRank', {
+    let ranks = [];
+    try {
+      ranks = await ctx.call('league.updateRanks', {
+        results: teamList.map((team) => ({
           id: team.id,
-          name: team.name,
-          battleScore: team.battleScore,
-          winner: team.winner
-        });
-      } catch (err) {
-        this.logger.warn('Unable to store battle results of ' + team.name + ': ' + err.message);
+          place: team.place,
+          error: Boolean(team.disqualified)
+        }))
+      });
+    } catch (err) {
+      this.logger.warn('Unable to store battle results of ' + description + ': ' + err.message);
+    }
+
+    let updateCalls = teamList.map((team) => new Promise(async (resolve) => {
+      // persistent data is private so it is not a part of the stored meta data
+      let persistentData = ctx.params.teamList.find((item) => item.name == team.name).persistentData;
+      if(persistentData) {
+        try {
+          await ctx.call('league.updatePersistentData', {
+            id: team.id,
+            persistentData: persistentData
+          });
+        } catch (err) {
+          this.logger.warn('Unable to store persistent data of ' + team.name + ': ' + err.message);
+        }
       }
       resolve();
     }));
     await Promise.all(updateCalls)
 
     ctx.broadcast('client.league.battleCompleted', {});
+    this.notifyOwners(ctx, battle.id, teamList, ranks);
+  }
+
+  // owners of the scripts are informed about the battle and changes of their ranks
+  notifyOwners(ctx, battleId, teamList, ranks) {
+    for(let entry of ranks.filter((item) => item.ownerId)) {
+      let team = teamList.find((item) => item.id == entry.id);
+      ctx.broadcast('client.league.submissionFought', {
+        leagueId: entry.leagueId,
+        battleId,
+        scriptName: entry.scriptName,
+        opponents: teamList.filter((item) => item !== team).map((item) => item.name),
+        place: team.place,
+        winner: team.winner,
+        userIds: [entry.ownerId]
+      });
+      if(entry.rank != entry.previousRank) {
+        ctx.broadcast('client.league.rankChanged', {
+          leagueId: entry.leagueId,
+          scriptName: entry.scriptName,
+          rank: entry.rank,
+          previousRank: entry.previousRank,
+          userIds: [entry.ownerId]
+        });
+      }
+    }
+  }
+
+  // places of the teams ordered by battle score. Disqualified teams are placed
+  // after all qualified ones and teams of equal scores share the place
+  getPlaces(teamList) {
+    let isBetter = (a, b) => {
+      if(Boolean(a.disqualified) != Boolean(b.disqualified)) {
+        return !a.disqualified;
+      }
+      return a.score > b.score;
+    };
+    return teamList.map((team) => teamList.filter((other) => isBetter(other, team)).length + 1);
   }
 
   async scheduleBattle(ctx) {
-    // pick random opponents
-    let opponents = await ctx.call('league.pickRandomOpponents', {});
+    let leagues = await ctx.call('leagueStore.find', {});
+    await Promise.all(leagues.map((league) => this.scheduleLeagueBattle(ctx, league)));
+  }
+
+  async scheduleLeagueBattle(ctx, league) {
+    let seasonEnd = new Date(league.seasonStartedAt).getTime() + league.seasonDuration;
+    if(league.seasonDuration && seasonEnd <= new Date().getTime()) {
+      try {
+        await ctx.call('league.endSeason', {leagueId: league.id, season: league.season});
+      } catch(err) {
+        this.logger.warn(`Unable to end season of league ${league.name}: ${err.message}`);
+      }
+    }
+
+    // pick opponents according to matchmaking strategy
+    let opponents;
+    try {
+      opponents = await ctx.call('league.pickOpponents', {leagueId: league.id});
+    } catch(err) {
+      this.logger.debug(`Unable to pick opponents in league ${league.name}: ${err.message}`);
+      return;
+    }
 
     // build UBD
     let ubd = {
-      version: 4,
+      version: 5,
       rngSeed: Math.random(),
       teamMode: true,
-      timeLimit: this.config.timeLimit,
-      aiList: []
+      timeLimit: league.timeLimit,
+      aiList: [],
+      metadata: {
+        createdAt: new Date().toISOString(),
+        leagueId: league.id,
+        players: []
+      }
     };
+    if(league.map) {
+      ubd.map = league.map;
+    }
+    if(league.rules && league.rules != 'default') {
+      ubd.rules = JsBattle.getRulesPreset(league.rules);
+    }
 
     for(let opponent of opponents) {
       ubd.aiList.push({
         name: opponent.ownerName + '/' + opponent.scriptName,
         team: opponent.ownerName + '/' + opponent.scriptName,
         code: opponent.code,
-        initData: null,
+        // data stored by the tank in previous battle via tank.persist()
+        initData: opponent.persistentData || null,
         useSandbox: true,
         executionLimit: 100,
-        count: this.config.teamSize
+        count: league.teamSize
+      });
+      ubd.metadata.players.push({
+        team: opponent.ownerName + '/' + opponent.scriptName,
+        name: opponent.ownerName
       });
     }
 
     try {
       let refData = {};
-      refData[opponents[0].ownerName + '/' + opponents[0].scriptName] = opponents[0].id;
-      refData[opponents[1].ownerName + '/' + opponents[1].scriptName] = opponents[1].id;
+      for(let opponent of opponents) {
+        refData[opponent.ownerName + '/' + opponent.scriptName] = opponent.id;
+      }
       let queueResult = await ctx.call('queue.write', {
         payload: {
           ubd: ubd,
@@ -162,7 +283,7 @@ class LeagueScheduler extends Service {
         limit:this.queueLimit
       });
       if(queueResult.ok) {
-        this.logger.info(`Scheduling battle ${opponents[0].scriptName} vs ${opponents[1].scriptName}`);
+        this.logger.info(`Scheduling battle ${opponents.map((opponent) => opponent.scriptName).join(' vs ')} in league ${league.name}`);
       } else {
         this.logger.debug('Unable to schedule battle: ' + queueResult.error);
       }
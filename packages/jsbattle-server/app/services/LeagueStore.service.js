@@ -0,0 +1,199 @@
+const Service = require("moleculer").Service;
+const { ValidationError } = require("moleculer").Errors;
+const DbService = require("moleculer-db");
+const _ = require('lodash');
+const getDbAdapterConfig = require("../lib/getDbAdapterConfig.js");
+const validators = require("../validators");
+
+const PUBLIC_FIELDS = [
+  "id",
+  "name",
+  "description",
+  "teamSize",
+  "teamCount",
+  "timeLimit",
+  "map",
+  "rules",
+  "seasonDuration",
+  "entryLimit",
+  "season",
+  "seasonStartedAt",
+  "isDefault"
+];
+
+// definitions of leagues. Entries and rank tables of the leagues are managed by
+// the league service
+class LeagueStoreService extends Service {
+
+  constructor(broker) {
+    super(broker);
+    this.config = broker.serviceConfig.league;
+    this.defaultLeague = null;
+    let adapterConfig = getDbAdapterConfig(broker.serviceConfig.data, 'leagueStore')
+    this.definitionValidator = {
+      name: validators.leagueName(),
+      description: validators.description({optional: true}),
+      teamSize: {type: "number", integer: true, min: 1, max: 10, convert: true},
+      // number of scripts fighting in one battle. Battles of more than two teams are free-for-all
+      teamCount: {type: "number", integer: true, min: 2, max: 6, convert: true},
+      timeLimit: {type: "number", integer: true, min: 1000, max: 10*60*1000, convert: true},
+      map: validators.mapName({optional: true}),
+      rules: validators.rulesPreset(),
+      seasonDuration: {type: "number", integer: true, min: 0, convert: true},
+      entryLimit: {type: "number", integer: true, min: 0, convert: true}
+    };
+    this.parseServiceSchema({
+      ...adapterConfig,
+      name: "leagueStore",
+      mixins: [DbService],
+      settings: {
+        idField: 'id',
+        fields: [
+          ...PUBLIC_FIELDS,
+          "createdAt"
+        ],
+        entityValidator: {
+          ...this.definitionValidator,
+          season: {type: "number", integer: true, positive: true},
+          seasonStartedAt: validators.createDate(),
+          isDefault: {type: "boolean"},
+          createdAt: validators.createDate()
+        }
+      },
+      actions: {
+        getDefault: this.getDefault,
+        listLeagues: this.listLeagues,
+        updateLeague: {
+          params: {
+            id: validators.entityId(),
+            ..._.mapValues(this.definitionValidator, (rule) => ({...rule, optional: true}))
+          },
+          handler: this.updateLeague
+        },
+        startSeason: {
+          params: {
+            id: validators.entityId(),
+            // the season that is expected to end
+            season: {type: "number", integer: true, positive: true, optional: true, convert: true}
+          },
+          handler: this.startSeason
+        }
+      },
+      hooks: {
+        before: {
+          create: [
+            function addDefaults(ctx) {
+              ctx.params.description = ctx.params.description || '';
+              ctx.params.teamSize = ctx.params.teamSize || this.config.teamSize;
+              ctx.params.teamCount = ctx.params.teamCount || 2;
+              ctx.params.timeLimit = ctx.params.timeLimit || this.config.timeLimit;
+              ctx.params.map = ctx.params.map || null;
+              ctx.params.rules = ctx.params.rules || 'default';
+              ctx.params.seasonDuration = ctx.params.seasonDuration || 0;
+              ctx.params.entryLimit = ctx.params.entryLimit || 0;
+              ctx.params.season = 1;
+              ctx.params.seasonStartedAt = new Date();
+              ctx.params.isDefault = false;
+              ctx.params.createdAt = new Date();
+              ctx.params = _.omit(ctx.params, ['id']);
+              return ctx;
+            }
+          ]
+        }
+      }
+    });
+  }
+
+  // the default league is created from the configuration at the first use.
+  // Requests of the old single league API are routed to it
+  getDefault(ctx) {
+    if(!this.defaultLeague) {
+      this.defaultLeague = this.findDefault(ctx);
+      this.defaultLeague.catch(() => {
+        this.defaultLeague = null;
+      });
+    }
+    return this.defaultLeague;
+  }
+
+  async findDefault(ctx) {
+    let leagues = await this._find(ctx, {
+      query: {
+        isDefault: true
+      },
+      limit: 1
+    });
+    if(leagues.length) {
+      return leagues[0];
+    }
+    this.logger.info('Creating the default league');
+    let definition = this.config.defaultLeague;
+    let league = await ctx.call('leagueStore.create', {
+      name: definition.name,
+      description: definition.description,
+      teamCount: definition.teamCount,
+      map: definition.map,
+      rules: definition.rules,
+      seasonDuration: definition.seasonDuration,
+      entryLimit: definition.entryLimit
+    });
+    return this._update(ctx, {
+      id: league.id,
+      isDefault: true
+    });
+  }
+
+  async listLeagues(ctx) {
+    await this.getDefault(ctx);
+    // the default league goes first
+    let leagues = await this._find(ctx, {
+      sort: [
+        '-isDefault',
+        'createdAt'
+      ],
+      fields: PUBLIC_FIELDS
+    });
+    return leagues.map((league) => ({
+      ...league,
+      seasonEndsAt: league.seasonDuration ? new Date(new Date(league.seasonStartedAt).getTime() + league.seasonDuration) : null
+    }));
+  }
+
+  async updateLeague(ctx) {
+    await this._get(ctx, {id: ctx.params.id});
+    let changes = _.pick(ctx.params, Object.keys(this.definitionValidator));
+    let league = await this._update(ctx, {
+      ...changes,
+      id: ctx.params.id
+    });
+    this.refreshDefault(league);
+    return league;
+  }
+
+  // the season is switched only if it has not changed since it was read, so
+  // overlapping calls (e.g. from several nodes) do not start two seasons
+  async startSeason(ctx) {
+    let league = await this._get(ctx, {id: ctx.params.id});
+    let season = ctx.params.season || league.season;
+    let entity = await this.adapter.findById(ctx.params.id);
+    let started = await this.adapter.updateMany({_id: entity._id, season}, {$set: {
+      season: season + 1,
+      seasonStartedAt: new Date()
+    }});
+    if(!started) {
+      throw new ValidationError(`Season ${season} of league ${league.name} has already ended`, 409);
+    }
+    league = await this._get(ctx, {id: league.id});
+    this.refreshDefault(league);
+    return league;
+  }
+
+  refreshDefault(league) {
+    if(league.isDefault) {
+      this.defaultLeague = Promise.resolve(league);
+    }
+  }
+
+}
+
+module.exports = LeagueStoreService;
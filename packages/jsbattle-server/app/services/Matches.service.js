@@ -0,0 +1,370 @@
+const Service = require("moleculer").Service;
+const DbService = require("moleculer-db");
+const { ValidationError } = require("moleculer").Errors;
+const _ = require('lodash');
+const JsBattle = require('jsbattle-engine/headless');
+const getDbAdapterConfig = require("../lib/getDbAdapterConfig.js");
+const obfuscate = require('./league/lib/obfuscate.js');
+const validators = require("../validators");
+
+const QUEUED = 'queued';
+const FINISHED = 'finished';
+const EXPIRED = 'expired';
+
+// private matches requested by users. A user challenges a league entry or a script
+// shared by another user. The battle is played by the ubdPlayer and its replay is
+// owned by both sides of the match
+class MatchesService extends Service {
+
+  constructor(broker) {
+    super(broker);
+    this.config = broker.serviceConfig.matches;
+    this.leagueConfig = broker.serviceConfig.league;
+    let adapterConfig = getDbAdapterConfig(broker.serviceConfig.data, 'matches')
+    this.parseServiceSchema({
+      ...adapterConfig,
+      name: "matches",
+      mixins: [DbService],
+      settings: {
+        idField: 'id',
+        fields: [
+          "id",
+          "challengerId",
+          "challengerName",
+          "challengerScriptName",
+          "opponentId",
+          "opponentName",
+          "opponentScriptName",
+          "opponentType",
+          "status",
+          "rngSeed",
+          "battleId",
+          "winnerId",
+          "createdAt",
+          "finishedAt"
+        ],
+        entityValidator: {
+          challengerId: validators.entityId(),
+          challengerName: validators.entityName(),
+          challengerScriptName: validators.entityName(),
+          opponentId: validators.entityId(),
+          opponentName: validators.entityName(),
+          opponentScriptName: validators.entityName(),
+          opponentType: {
+            type: "enum",
+            values: [
+              'league',
+              'script'
+            ]
+          },
+          status: {
+            type: "enum",
+            values: [
+              QUEUED,
+              FINISHED
+            ]
+          },
+          rngSeed: {type: "number"},
+          createdAt: validators.createDate()
+        }
+      },
+      actions: {
+        createMatch: {
+          params: {
+            scriptId: validators.entityId(),
+            opponentType: {
+              type: "enum",
+              values: [
+                'league',
+                'script'
+              ]
+            },
+            opponentId: validators.entityId()
+          },
+          handler: this.createMatch
+        },
+        listUserMatches: this.listUserMatches,
+        getReplay: {
+          params: {
+            id: validators.entityId()
+          },
+          handler: this.getReplay
+        },
+        storeMatchResult: {
+          params: {
+            ubd: validators.any(),
+            teamList: validators.any(),
+            refData: validators.any(),
+            timeElapsed: {type: "number", optional: true}
+          },
+          handler: this.storeMatchResult
+        }
+      },
+      events: {
+        "ubdPlayer.battle.match": async (ctx) => {
+          if(ctx.params.error) {
+            this.logger.warn('Match battle failed');
+            return;
+          }
+          try {
+            await ctx.call('matches.storeMatchResult', {
+              refData: ctx.params.refData,
+              teamList: ctx.params.teamList,
+              ubd: ctx.params.ubd,
+              timeElapsed: ctx.params.timeElapsed
+            });
+          } catch(err) {
+            this.logger.warn(err);
+          }
+        }
+      }
+    });
+  }
+
+  obfuscateCode(code) {
+    if(!this.leagueConfig.obfuscate) {
+      return code;
+    }
+    try {
+      return obfuscate(code);
+    } catch (err) {
+      this.logger.warn(err);
+      return code;
+    }
+  }
+
+  // battle settings and script of the opponent. League entries fight according
+  // to rules of their league
+  async getOpponent(ctx) {
+    if(ctx.params.opponentType == 'league') {
+      let entry = await ctx.call('league.getEntry', {id: ctx.params.opponentId});
+      let league = await ctx.call('leagueStore.get', {id: entry.leagueId});
+      return {
+        ownerId: entry.ownerId,
+        ownerName: entry.ownerName,
+        scriptName: entry.scriptName,
+        code: entry.code,
+        settings: _.pick(league, [
+          'teamSize',
+          'timeLimit',
+          'map',
+          'rules'
+        ])
+      };
+    }
+    let script = await ctx.call('scriptStore.get', {id: ctx.params.opponentId});
+    if(!script.shared || script.namespace != 'user') {
+      throw new ValidationError('Entity not found', 404);
+    }
+    return {
+      ownerId: script.ownerId,
+      ownerName: script.ownerName,
+      scriptName: script.scriptName,
+      code: this.obfuscateCode(script.code),
+      settings: {
+        teamSize: this.leagueConfig.teamSize,
+        timeLimit: this.leagueConfig.timeLimit,
+        map: null,
+        rules: 'default'
+      }
+    };
+  }
+
+  async createMatch(ctx) {
+    const userId = ctx.meta.user ? ctx.meta.user.id : null;
+    if(!userId) {
+      throw new ValidationError('Not Authorized!', 401);
+    }
+    let script = await ctx.call('scriptStore.getUserScript', {id: ctx.params.scriptId});
+    let opponent = await this.getOpponent(ctx);
+    if(opponent.ownerId == userId) {
+      throw new ValidationError('You cannot challenge your own script', 400);
+    }
+    let pendingCount = await this._count(ctx, {query: {
+      challengerId: userId,
+      status: QUEUED,
+      createdAt: {$gt: new Date(new Date().getTime() - this.config.timeout)}
+    }});
+    if(pendingCount >= this.config.pendingLimit) {
+      throw new ValidationError('Too many pending matches. Wait until they are finished', 400);
+    }
+
+    let rngSeed = Math.random();
+    let match = await this._create(ctx, {
+      challengerId: userId,
+      challengerName: script.ownerName,
+      challengerScriptName: script.scriptName,
+      opponentId: opponent.ownerId,
+      opponentName: opponent.ownerName,
+      opponentScriptName: opponent.scriptName,
+      opponentType: ctx.params.opponentType,
+      status: QUEUED,
+      rngSeed,
+      createdAt: new Date()
+    });
+
+    let settings = opponent.settings;
+    let ubd = {
+      version: 5,
+      rngSeed,
+      teamMode: true,
+      timeLimit: settings.timeLimit,
+      aiList: [],
+      metadata: {
+        createdAt: new Date().toISOString(),
+        matchId: match.id,
+        players: []
+      }
+    };
+    if(settings.map) {
+      ubd.map = settings.map;
+    }
+    if(settings.rules && settings.rules != 'default') {
+      ubd.rules = JsBattle.getRulesPreset(settings.rules);
+    }
+    let players = [
+      {id: userId, ownerName: script.ownerName, scriptName: script.scriptName, code: this.obfuscateCode(script.code)},
+      {id: opponent.ownerId, ownerName: opponent.ownerName, scriptName: opponent.scriptName, code: opponent.code}
+    ];
+    let refData = {};
+    for(let player of players) {
+      let team = player.ownerName + '/' + player.scriptName;
+      ubd.aiList.push({
+        name: team,
+        team,
+        code: player.code,
+        initData: null,
+        useSandbox: true,
+        executionLimit: 100,
+        count: settings.teamSize
+      });
+      ubd.metadata.players.push({team, name: player.ownerName});
+      refData[team] = player.id;
+    }
+
+    let queueResult = await ctx.call('queue.write', {
+      payload: {
+        ubd,
+        event: 'match',
+        refData
+      },
+      topic: 'ubdPlayer'
+    });
+    if(!queueResult.ok) {
+      await this._remove(ctx, {id: match.id});
+      throw new ValidationError('Unable to schedule the match: ' + queueResult.error, 400);
+    }
+    this.logger.info(`Scheduling match ${match.id} of ${players.map((player) => player.scriptName).join(' vs ')}`);
+    return match;
+  }
+
+  async listUserMatches(ctx) {
+    const userId = ctx.meta.user ? ctx.meta.user.id : null;
+    if(!userId) {
+      throw new ValidationError('Not Authorized!', 401);
+    }
+    let matches = await this._find(ctx, {
+      query: {
+        $or: [
+          {challengerId: userId},
+          {opponentId: userId}
+        ]
+      },
+      sort: ['-createdAt'],
+      limit: this.config.listLimit
+    });
+    let expiredAt = new Date().getTime() - this.config.timeout;
+    // results of lost battles never arrive
+    return matches.map((match) => ({
+      ..._.omit(match, ['rngSeed']),
+      status: match.status == QUEUED && new Date(match.createdAt).getTime() < expiredAt ? EXPIRED : match.status
+    }));
+  }
+
+  // replay of a stored battle. Replays of private matches are available only
+  // to both sides of the match
+  async getReplay(ctx) {
+    const userId = ctx.meta.user ? ctx.meta.user.id : null;
+    let battle = await ctx.call('battleStore.get', {id: ctx.params.id});
+    let matchCount = await this._count(ctx, {query: {battleId: ctx.params.id}});
+    let owner = Array.isArray(battle.owner) ? battle.owner : [];
+    if(matchCount && (!userId || !owner.includes(userId))) {
+      throw new ValidationError('Entity not found', 404);
+    }
+    return battle;
+  }
+
+  async storeMatchResult(ctx) {
+    let {ubd, refData} = ctx.params;
+    let metadata = ubd.metadata || {};
+    if(!metadata.matchId) {
+      throw new ValidationError('Battle is not a private match', 400);
+    }
+    let match = await this._get(ctx, {id: metadata.matchId});
+    if(match.status != QUEUED || match.rngSeed !== ubd.rngSeed) {
+      this.logger.warn(`Outdated result of match ${match.id} skipped`);
+      return match;
+    }
+    let teamList = ctx.params.teamList;
+    if(!teamList || teamList.length != 2) {
+      throw new Error('teamList must have exactly 2 elements');
+    }
+    let winner = null;
+    if(teamList[0].disqualified != teamList[1].disqualified) {
+      // a disqualified team loses the battle regardless of its score
+      winner = teamList[0].disqualified ? teamList[1] : teamList[0];
+    } else if(teamList[0].score != teamList[1].score) {
+      winner = teamList[0].score > teamList[1].score ? teamList[0] : teamList[1];
+    }
+    let meta = teamList.map((team) => {
+      if(!refData || !refData[team.name]) {
+        throw new Error('no team mapping in refData for: ' + team.name);
+      }
+      return {
+        id: refData[team.name],
+        name: team.name,
+        battleScore: team.score,
+        winner: team === winner
+      };
+    });
+    let battle = await ctx.call('battleStore.create', {
+      ubd: JSON.stringify({
+        ...ubd,
+        metadata: {
+          ...metadata,
+          result: {
+            timeElapsed: ctx.params.timeElapsed || 0,
+            teamList: meta.map((team) => ({name: team.name, score: team.battleScore, winner: team.winner}))
+          }
+        }
+      }),
+      expiresIn: this.config.historyDuration,
+      description: meta.map((team) => team.name).join(' vs ').substring(0, 128),
+      meta,
+      owner: [
+        match.challengerId,
+        match.opponentId
+      ]
+    });
+    match = await this._update(ctx, {
+      id: match.id,
+      status: FINISHED,
+      battleId: battle.id,
+      winnerId: winner ? refData[winner.name] : null,
+      finishedAt: new Date()
+    });
+    this.logger.info(`Match ${match.id} finished`);
+    ctx.broadcast('client.match.completed', {
+      id: match.id,
+      battleId: battle.id,
+      userIds: [
+        match.challengerId,
+        match.opponentId
+      ]
+    });
+    return match;
+  }
+
+}
+
+module.exports = MatchesService;
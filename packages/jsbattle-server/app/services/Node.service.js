@@ -8,6 +8,7 @@ class NodeService extends Service {
     super(broker);
     this._broker = broker;
     this.nodes = [];
+    this.loop = null;
 
     this.parseServiceSchema({
       name: "node",
@@ -33,7 +34,10 @@ class NodeService extends Service {
         }
       },
       started: () => {
-        setInterval(async () => broker.broadcast("node.echo", { info: await this.getNodeInfo() }), 5000 + Math.round(5000*Math.random()))
+        this.loop = setInterval(async () => broker.broadcast("node.echo", { info: await this.getNodeInfo() }), 5000 + Math.round(5000*Math.random()))
+      },
+      stopped: () => {
+        clearInterval(this.loop);
       }
     });
   }
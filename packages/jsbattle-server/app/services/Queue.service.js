@@ -1,18 +1,44 @@
 const Service = require("moleculer").Service;
+const crypto = require("crypto");
+const DbService = require("moleculer-db");
+const getDbAdapterConfig = require("../lib/getDbAdapterConfig.js");
 const validators = require("../validators");
 
+const PENDING = 'pending';
+const PROCESSING = 'processing';
+const DEAD = 'dead';
+const CLAIM_RETRIES = 5;
+const SORT_ORDER = [
+  'createdAt',
+  'sequence'
+];
+
 class Queue extends Service {
 
   constructor(broker) {
     super(broker);
-
-    this.topics = {
-      default: []
-    }
-    this.hardLimit = 100;
-
+    this.config = broker.serviceConfig.queue;
+    // keeps order of tasks created in the same millisecond
+    this.sequence = 0;
+    let adapterConfig = getDbAdapterConfig(broker.serviceConfig.data, 'queue')
     this.parseServiceSchema({
+      ...adapterConfig,
       name: "queue",
+      mixins: [DbService],
+      settings: {
+        idField: 'id',
+        fields: [
+          "id",
+          "topic",
+          "payload",
+          "status",
+          "attempts",
+          "claim",
+          "error",
+          "createdAt",
+          "visibleAt"
+        ]
+      },
       actions: {
         write: {
           params: {
@@ -27,71 +53,322 @@ class Queue extends Service {
             topic: validators.queueTopic({optional: true}),
           },
           handler: this.read
+        },
+        ack: {
+          params: {
+            id: validators.entityId(),
+            claim: {type: "string"}
+          },
+          handler: this.ack
+        },
+        nack: {
+          params: {
+            id: validators.entityId(),
+            claim: {type: "string"},
+            error: {type: "string", optional: true}
+          },
+          handler: this.nack
+        },
+        stats: {
+          params: {
+            topic: validators.queueTopic({optional: true}),
+          },
+          handler: this.stats
+        },
+        deadLetters: {
+          params: {
+            topic: validators.queueTopic({optional: true}),
+          },
+          handler: this.deadLetters
+        },
+        requeue: {
+          params: {
+            id: validators.entityId()
+          },
+          handler: this.requeue
         }
       },
     });
   }
 
-  write(ctx) {
+  countPending(topic) {
+    return this.adapter.count({query: {topic, status: PENDING}});
+  }
+
+  async write(ctx) {
     let topic = ctx.params.topic || 'default';
-    let limit = ctx.params.limit || this.hardLimit;
+    let hardLimit = this.config.hardLimit;
+    let limit = ctx.params.limit || hardLimit;
     let payload = ctx.params.payload;
+    let queueLength = await this.countPending(topic);
 
-    if(!this.topics[topic]) {
-      this.topics[topic] = [];
-    }
-
-    if(this.topics[topic].length >= this.hardLimit) {
+    if(queueLength >= hardLimit) {
       return {
         ok: false,
         topic: topic,
-        queueLength: this.topics[topic].length,
-        error: `Hard limit of ${this.hardLimit} items exceeded for topic ${topic}`
+        queueLength: queueLength,
+        error: `Hard limit of ${hardLimit} items exceeded for topic ${topic}`
       }
     }
 
-    if(this.topics[topic].length >= limit) {
+    if(queueLength >= limit) {
       return {
         ok: false,
         topic: topic,
-        queueLength: this.topics[topic].length,
+        queueLength: queueLength,
         error: `Requested limit of ${limit} items exceeded for topic ${topic}`
       }
     }
 
-    this.topics[topic].unshift(payload);
+    let now = new Date();
+    let task = await this.adapter.insert({
+      topic,
+      payload,
+      status: PENDING,
+      attempts: 0,
+      claim: null,
+      error: null,
+      createdAt: now,
+      sequence: this.sequence++,
+      visibleAt: now
+    });
 
     return {
       ok: true,
+      id: String(task._id),
       topic: topic,
-      queueLength: this.topics[topic].length,
+      queueLength: queueLength + 1,
       payload: payload
     }
 
   }
 
-  read(ctx) {
-    let topic = ctx.params.topic || 'default';
-    if(!this.topics[topic]) {
-      this.topics[topic] = [];
+  // finds the oldest visible task and marks it as processing. Several nodes may
+  // read the same topic so the update succeeds only if nobody claimed the task before
+  async claim(topic, retries = CLAIM_RETRIES) {
+    let now = new Date();
+    let list = await this.adapter.find({
+      query: {
+        topic,
+        status: {$ne: DEAD},
+        visibleAt: {$lte: now}
+      },
+      sort: SORT_ORDER,
+      limit: 1
+    });
+    if(!list.length) {
+      return null;
+    }
+    let task = list[0];
+    let condition = {
+      _id: task._id,
+      status: task.status,
+      attempts: task.attempts
+    };
+    if(task.status == PROCESSING && task.attempts >= this.config.maxAttempts) {
+      // the worker did not acknowledge the task in time too many times
+      this.logger.warn(`Task ${task._id} of topic ${topic} moved to dead letters after ${task.attempts} attempts`);
+      await this.adapter.updateMany(condition, {$set: {
+        status: DEAD,
+        error: task.error || 'Visibility timeout exceeded'
+      }});
+      return this.claim(topic, retries);
+    }
+    // the token identifies the worker that processes the task. Only this worker
+    // may acknowledge it, also after somebody else claimed the task again
+    let update = {
+      status: PROCESSING,
+      attempts: task.attempts + 1,
+      claim: crypto.randomBytes(16).toString('hex'),
+      visibleAt: new Date(now.getTime() + this.config.visibilityTimeout)
+    };
+    let claimed = await this.adapter.updateMany(condition, {$set: update});
+    if(!claimed) {
+      return retries > 0 ? this.claim(topic, retries - 1) : null;
     }
-    if(this.topics[topic].length == 0) {
+    return {...task, ...update};
+  }
+
+  async read(ctx) {
+    let topic = ctx.params.topic || 'default';
+    let task = await this.claim(topic);
+    let queueLength = await this.countPending(topic);
+    if(!task) {
       return {
         ok: false,
         topic: topic,
         payload: null,
-        queueLength: this.topics[topic].length,
+        queueLength: queueLength,
         error: `Topic ${topic} is empty`
       }
     }
 
-    let payload = this.topics[topic].pop();
-
     return {
       ok: true,
+      id: String(task._id),
       topic: topic,
-      payload: payload,
-      queueLength: this.topics[topic].length,
+      payload: task.payload,
+      attempts: task.attempts,
+      claim: task.claim,
+      queuedAt: new Date(task.createdAt).getTime(),
+      queueLength: queueLength,
+    }
+  }
+
+  // condition that matches the task only while it is processed under the claim
+  // of the worker. Updates fail when the claim has expired in the meantime
+  claimCondition(task, claim) {
+    return {
+      _id: task._id,
+      status: PROCESSING,
+      claim
+    };
+  }
+
+  notProcessed(id) {
+    return {
+      ok: false,
+      id,
+      error: `Task ${id} is not processed by the worker`
+    };
+  }
+
+  async ack(ctx) {
+    let task = await this.adapter.findById(ctx.params.id);
+    let removed = 0;
+    if(task) {
+      removed = await this.adapter.removeMany(this.claimCondition(task, ctx.params.claim));
+    }
+    if(!removed) {
+      return this.notProcessed(ctx.params.id);
+    }
+    return {
+      ok: true,
+      id: ctx.params.id
+    }
+  }
+
+  async nack(ctx) {
+    let task = await this.adapter.findById(ctx.params.id);
+    if(!task || task.status != PROCESSING || task.claim != ctx.params.claim) {
+      return this.notProcessed(ctx.params.id);
+    }
+    let error = ctx.params.error || 'Task failed';
+    let update;
+    if(task.attempts >= this.config.maxAttempts) {
+      update = {status: DEAD, claim: null, error};
+    } else {
+      update = {
+        status: PENDING,
+        claim: null,
+        error,
+        visibleAt: new Date(new Date().getTime() + this.config.retryDelay)
+      };
+    }
+    let updated = await this.adapter.updateMany(this.claimCondition(task, ctx.params.claim), {$set: update});
+    if(!updated) {
+      return this.notProcessed(ctx.params.id);
+    }
+    if(update.status == DEAD) {
+      this.logger.warn(`Task ${task._id} of topic ${task.topic} moved to dead letters after ${task.attempts} attempts: ${error}`);
+    }
+    return {
+      ok: true,
+      id: ctx.params.id,
+      status: update.status,
+      attempts: task.attempts
+    }
+  }
+
+  // topics that have any tasks. They are found one by one, so tasks with their
+  // payloads are not loaded all at once
+  async findTopics(topics = []) {
+    let list = await this.adapter.find({
+      query: {topic: {$nin: topics}},
+      limit: 1
+    });
+    if(!list.length) {
+      return topics;
+    }
+    return this.findTopics(topics.concat(list[0].topic));
+  }
+
+  async getTopicStats(topic, now) {
+    let [
+      pending,
+      processing,
+      dead,
+      oldest
+    ] = await Promise.all([
+      this.adapter.count({query: {topic, status: PENDING}}),
+      this.adapter.count({query: {topic, status: PROCESSING}}),
+      this.adapter.count({query: {topic, status: DEAD}}),
+      this.adapter.find({
+        query: {topic, status: PENDING},
+        sort: SORT_ORDER,
+        limit: 1
+      })
+    ]);
+    return {
+      pending,
+      processing,
+      dead,
+      oldestPendingAge: oldest.length ? now - new Date(oldest[0].createdAt).getTime() : 0
+    };
+  }
+
+  async stats(ctx) {
+    let now = new Date().getTime();
+    let topicNames = ctx.params.topic ? [ctx.params.topic] : await this.findTopics();
+    let topicStats = await Promise.all(topicNames.map((topic) => this.getTopicStats(topic, now)));
+    let topics = {};
+    topicNames.forEach((topic, index) => {
+      let stats = topicStats[index];
+      // topics without any tasks are not listed
+      if(stats.pending + stats.processing + stats.dead) {
+        topics[topic] = stats;
+      }
+    });
+    return {
+      topics,
+      config: this.config
+    }
+  }
+
+  async deadLetters(ctx) {
+    let query = {status: DEAD};
+    if(ctx.params.topic) {
+      query.topic = ctx.params.topic;
+    }
+    let tasks = await this.adapter.find({query, sort: SORT_ORDER});
+    return tasks.map((task) => ({
+      id: String(task._id),
+      topic: task.topic,
+      payload: task.payload,
+      attempts: task.attempts,
+      error: task.error,
+      createdAt: task.createdAt
+    }));
+  }
+
+  async requeue(ctx) {
+    let task = await this.adapter.findById(ctx.params.id);
+    if(!task || task.status != DEAD) {
+      return {
+        ok: false,
+        id: ctx.params.id,
+        error: `Task ${ctx.params.id} is not a dead letter`
+      }
+    }
+    await this.adapter.updateById(task._id, {$set: {
+      status: PENDING,
+      attempts: 0,
+      claim: null,
+      visibleAt: new Date()
+    }});
+    return {
+      ok: true,
+      id: ctx.params.id
     }
   }
 }
@@ -0,0 +1,91 @@
+const Service = require("moleculer").Service;
+const DbService = require("moleculer-db");
+const { ValidationError } = require("moleculer").Errors;
+const _ = require('lodash');
+const crypto = require("crypto");
+const getDbAdapterConfig = require("../lib/getDbAdapterConfig.js");
+const validators = require("../validators");
+
+// immutable snapshots of user scripts. A revision is created by the scriptStore
+// every time code of a script is saved
+class ScriptRevisionStoreService extends Service {
+
+  constructor(broker) {
+    super(broker);
+    let adapterConfig = getDbAdapterConfig(broker.serviceConfig.data, 'scriptRevisionStore')
+    this.parseServiceSchema({
+      ...adapterConfig,
+      name: "scriptRevisionStore",
+      mixins: [DbService],
+      settings: {
+        idField: 'id',
+        fields: [
+          "id",
+          "scriptId",
+          "ownerId",
+          "revision",
+          "message",
+          "code",
+          "hash",
+          "createdAt"
+        ],
+        entityValidator: {
+          scriptId: validators.entityId(),
+          ownerId: validators.entityId(),
+          revision: {type: "number", integer: true, positive: true},
+          message: validators.description({optional: true}),
+          code: validators.code(),
+          hash: validators.hash(),
+          createdAt: validators.createDate()
+        }
+      },
+      actions: {
+        listScriptRevisions: {
+          params: {
+            scriptId: validators.entityId()
+          },
+          handler: this.listScriptRevisions
+        }
+      },
+      hooks: {
+        before: {
+          create: [
+            function addDefaults(ctx) {
+              ctx.params = _.omit(ctx.params, ['id']);
+              ctx.params.message = ctx.params.message || '';
+              ctx.params.hash = crypto.createHash('md5').update(ctx.params.code).digest("hex");
+              ctx.params.createdAt = new Date();
+              return ctx;
+            }
+          ],
+          update: [
+            function rejectChanges() {
+              throw new ValidationError('Script revisions cannot be modified', 400);
+            }
+          ]
+        }
+      }
+    });
+  }
+
+  // newest revisions go first. Code is omitted to keep the list small
+  listScriptRevisions(ctx) {
+    return this._find(ctx, {
+      query: {
+        scriptId: ctx.params.scriptId
+      },
+      sort: ['-revision'],
+      fields: [
+        "id",
+        "scriptId",
+        "revision",
+        "message",
+        "hash",
+        "createdAt"
+      ]
+    });
+  }
+
+}
+
+module.exports = ScriptRevisionStoreService;
@@ -30,6 +30,9 @@ class ScriptStoreService extends Service {
           "createdAt",
           "modifiedAt",
           "hash",
+          "shared",
+          "revisionId",
+          "revision",
         ],
         entityValidator: {
           ownerId: validators.entityId(),
@@ -39,7 +42,10 @@ class ScriptStoreService extends Service {
           namespace: validators.entityName(),
           createdAt: validators.createDate(),
           modifiedAt: validators.modifyDate(),
-          hash: validators.hash({optional: true})
+          hash: validators.hash({optional: true}),
+          shared: {type: "boolean", optional: true},
+          revisionId: validators.entityId({optional: true}),
+          revision: {type: "number", integer: true, optional: true}
         }
       },
       actions: {
@@ -55,10 +61,39 @@ class ScriptStoreService extends Service {
           params: {
             id: validators.entityId(),
             scriptName: validators.entityName({optional: true}),
-            code: validators.code({optional: true})
+            code: validators.code({optional: true}),
+            // shared scripts can be challenged by other users
+            shared: {type: "boolean", optional: true},
+            message: validators.description({optional: true})
           },
           handler: this.updateUserScript
         },
+        listUserScriptRevisions: {
+          params: {
+            id: validators.entityId()
+          },
+          handler: this.listUserScriptRevisions
+        },
+        getUserScriptRevision: {
+          params: {
+            id: validators.entityId(),
+            revisionId: validators.entityId({optional: true})
+          },
+          handler: this.getUserScriptRevision
+        },
+        ensureUserScriptRevision: {
+          params: {
+            id: validators.entityId()
+          },
+          handler: this.ensureUserScriptRevision
+        },
+        restoreUserScriptRevision: {
+          params: {
+            id: validators.entityId(),
+            revisionId: validators.entityId()
+          },
+          handler: this.restoreUserScriptRevision
+        },
         getUserScript: {
           params: {
             id: validators.entityId()
@@ -82,6 +117,7 @@ class ScriptStoreService extends Service {
               ctx.params.ownerName = ctx.params.ownerName || username;
               ctx.params.namespace = ctx.params.namespace || 'none';
               ctx.params.code = ctx.params.code || '';
+              ctx.params.shared = Boolean(ctx.params.shared);
               ctx.params.createdAt = new Date();
               ctx.params.modifiedAt = new Date();
               ctx.params.hash = crypto.createHash('md5').update(ctx.params.code).digest("hex");
@@ -123,6 +159,7 @@ class ScriptStoreService extends Service {
         "ownerId",
         "ownerName",
         "scriptName",
+        "shared",
         "createdAt",
         "modifiedAt"
       ]
@@ -162,11 +199,42 @@ class ScriptStoreService extends Service {
 
     const code = ctx.params.code || "importScripts('lib/tank.js');\n\n// Don't know where to start?\n// Read Getting Started in \"Docs\" section \n\ntank.init(function(settings, info) {\n\t// initialize tank here\n  \n});\n\ntank.loop(function(state, control) {\n\t// write your tank logic here\n  \n});\n\n\n";
 
-    return ctx.call('scriptStore.create', {
+    let script = await ctx.call('scriptStore.create', {
       scriptName: name,
       namespace: 'user',
       code: code
-    })
+    });
+    let revision = await this.commitRevision(ctx, script, code);
+    return ctx.call('scriptStore.update', {
+      id: script.id,
+      revisionId: revision.id,
+      revision: revision.revision
+    });
+  }
+
+  // saved code is kept as an immutable revision
+  commitRevision(ctx, script, code, message) {
+    return ctx.call('scriptRevisionStore.create', {
+      scriptId: script.id,
+      ownerId: script.ownerId,
+      revision: (script.revision || 0) + 1,
+      code,
+      message
+    });
+  }
+
+  // scripts saved before revisions were introduced get their first revision
+  // from the stored code, so it is not lost when the script changes
+  async ensureRevision(ctx, script) {
+    if(script.revisionId) {
+      return script;
+    }
+    let revision = await this.commitRevision(ctx, script, script.code);
+    return ctx.call('scriptStore.update', {
+      id: script.id,
+      revisionId: revision.id,
+      revision: revision.revision
+    });
   }
 
   async updateUserScript(ctx) {
@@ -184,6 +252,7 @@ class ScriptStoreService extends Service {
     if(response.namespace != 'user') {
       throw new ValidationError('Entity not found', 404);
     }
+    const script = await this.ensureRevision(ctx, response);
 
     let updateData = {
       id: scriptId,
@@ -203,10 +272,58 @@ class ScriptStoreService extends Service {
     if(ctx.params.code) {
       updateData.code = ctx.params.code;
     }
+    if(ctx.params.shared !== undefined) {
+      updateData.shared = ctx.params.shared;
+    }
+    // a message marks the current code as a new revision even if it has not changed
+    const code = ctx.params.code || script.code;
+    const hash = crypto.createHash('md5').update(code).digest("hex");
+    if(hash != script.hash || ctx.params.message) {
+      let revision = await this.commitRevision(ctx, script, code, ctx.params.message);
+      updateData.revisionId = revision.id;
+      updateData.revision = revision.revision;
+    }
 
     return ctx.call('scriptStore.update', updateData);
   }
 
+  async listUserScriptRevisions(ctx) {
+    let script = await ctx.call('scriptStore.getUserScript', {id: ctx.params.id});
+    return ctx.call('scriptRevisionStore.listScriptRevisions', {scriptId: script.id});
+  }
+
+  // the current revision is returned when revisionId is not provided
+  async getUserScriptRevision(ctx) {
+    let script = await ctx.call('scriptStore.getUserScript', {id: ctx.params.id});
+    let revisionId = ctx.params.revisionId || script.revisionId;
+    if(!revisionId) {
+      throw new ValidationError('Entity not found', 404);
+    }
+    let revision = await ctx.call('scriptRevisionStore.get', {id: revisionId});
+    if(revision.scriptId != script.id) {
+      throw new ValidationError('Entity not found', 404);
+    }
+    return revision;
+  }
+
+  async ensureUserScriptRevision(ctx) {
+    let script = await ctx.call('scriptStore.getUserScript', {id: ctx.params.id});
+    return this.ensureRevision(ctx, script);
+  }
+
+  // old code becomes the newest revision so the history is never rewritten
+  async restoreUserScriptRevision(ctx) {
+    let revision = await ctx.call('scriptStore.getUserScriptRevision', {
+      id: ctx.params.id,
+      revisionId: ctx.params.revisionId
+    });
+    return ctx.call('scriptStore.updateUserScript', {
+      id: ctx.params.id,
+      code: revision.code,
+      message: `Restored revision #${revision.revision}`
+    });
+  }
+
   async getUserScript(ctx) {
     const userId = ctx.meta.user ? ctx.meta.user.id : null;
     if(!userId) {
@@ -241,6 +358,7 @@ class ScriptStoreService extends Service {
       throw new ValidationError('Entity not found', 404);
     }
 
+    // revisions are kept since league submissions may still point at them
     return ctx.call('scriptStore.remove', {id: scriptId})
   }
 }
@@ -0,0 +1,69 @@
+const Service = require("moleculer").Service;
+const DbService = require("moleculer-db");
+const _ = require('lodash');
+const getDbAdapterConfig = require("../lib/getDbAdapterConfig.js");
+const validators = require("../validators");
+
+// archive of final standings of finished league seasons
+class SeasonStoreService extends Service {
+
+  constructor(broker) {
+    super(broker);
+    let adapterConfig = getDbAdapterConfig(broker.serviceConfig.data, 'seasonStore')
+    this.parseServiceSchema({
+      ...adapterConfig,
+      name: "seasonStore",
+      mixins: [DbService],
+      settings: {
+        idField: 'id',
+        fields: [
+          "id",
+          "leagueId",
+          "leagueName",
+          "season",
+          "startedAt",
+          "endedAt",
+          "standings"
+        ],
+        entityValidator: {
+          leagueId: validators.entityId(),
+          leagueName: validators.leagueName(),
+          season: {type: "number", integer: true, positive: true},
+          startedAt: validators.createDate(),
+          endedAt: validators.createDate(),
+          standings: {type: "array", items: "object"}
+        }
+      },
+      actions: {
+        listLeagueSeasons: {
+          params: {
+            leagueId: validators.entityId()
+          },
+          handler: this.listLeagueSeasons
+        }
+      },
+      hooks: {
+        before: {
+          create: [
+            function omitId(ctx) {
+              ctx.params = _.omit(ctx.params, ['id']);
+              return ctx;
+            }
+          ]
+        }
+      }
+    });
+  }
+
+  listLeagueSeasons(ctx) {
+    return this._find(ctx, {
+      query: {
+        leagueId: ctx.params.leagueId
+      },
+      sort: ['-season']
+    });
+  }
+
+}
+
+module.exports = SeasonStoreService;
@@ -0,0 +1,480 @@
+const Service = require("moleculer").Service;
+const DbService = require("moleculer-db");
+const { ValidationError } = require("moleculer").Errors;
+const _ = require('lodash');
+const JsBattle = require('jsbattle-engine/headless');
+const getDbAdapterConfig = require("../lib/getDbAdapterConfig.js");
+const obfuscate = require('./league/lib/obfuscate.js');
+const bracket = require('./tournament/lib/bracket.js');
+const validators = require("../validators");
+
+const OPEN = 'open';
+const RUNNING = 'running';
+const FINISHED = 'finished';
+const CANCELLED = 'cancelled';
+
+// bracket tournaments. Participants register with a script until the tournament
+// starts. Then matches of the bracket are played as best-of-N series, one game at
+// a time, and winners advance as results of battles arrive
+class TournamentService extends Service {
+
+  constructor(broker) {
+    super(broker);
+    this.config = broker.serviceConfig.tournament;
+    this.leagueConfig = broker.serviceConfig.league;
+    let adapterConfig = getDbAdapterConfig(broker.serviceConfig.data, 'tournament')
+    this.parseServiceSchema({
+      ...adapterConfig,
+      name: "tournament",
+      mixins: [DbService],
+      settings: {
+        idField: 'id',
+        fields: [
+          "id",
+          "name",
+          "description",
+          "format",
+          "bestOf",
+          "teamSize",
+          "timeLimit",
+          "map",
+          "rules",
+          "entryLimit",
+          "startsAt",
+          "roundInterval",
+          "status",
+          "participants",
+          "matches",
+          "standings",
+          "createdAt",
+          "startedAt",
+          "finishedAt"
+        ],
+        entityValidator: {
+          name: validators.leagueName(),
+          description: validators.description({optional: true}),
+          format: {type: "enum", values: bracket.FORMATS},
+          bestOf: {type: "number", integer: true, min: 1, max: 9, convert: true},
+          teamSize: {type: "number", integer: true, min: 1, max: 10, convert: true},
+          timeLimit: {type: "number", integer: true, min: 1000, max: 10*60*1000, convert: true},
+          map: validators.mapName({optional: true}),
+          rules: validators.rulesPreset(),
+          entryLimit: {type: "number", integer: true, min: 0, max: 64, convert: true},
+          startsAt: {type: "date", convert: true},
+          roundInterval: {type: "number", integer: true, min: 0, convert: true},
+          status: {
+            type: "enum",
+            values: [
+              OPEN,
+              RUNNING,
+              FINISHED,
+              CANCELLED
+            ]
+          },
+          participants: {type: "array", items: "object"},
+          matches: {type: "array", items: "object"},
+          standings: {type: "array", items: "object"},
+          createdAt: validators.createDate()
+        }
+      },
+      actions: {
+        listTournaments: this.listTournaments,
+        getTournament: {
+          params: {
+            id: validators.entityId()
+          },
+          handler: this.getTournament
+        },
+        joinTournament: {
+          params: {
+            tournamentId: validators.entityId(),
+            scriptId: validators.entityId()
+          },
+          handler: this.joinTournament
+        },
+        leaveTournament: {
+          params: {
+            tournamentId: validators.entityId()
+          },
+          handler: this.leaveTournament
+        },
+        schedule: this.schedule,
+        storeGameResult: {
+          params: {
+            ubd: validators.any(),
+            teamList: validators.any(),
+            refData: validators.any(),
+            timeElapsed: {type: "number", optional: true}
+          },
+          handler: this.storeGameResult
+        }
+      },
+      hooks: {
+        before: {
+          create: [
+            function addDefaults(ctx) {
+              ctx.params.description = ctx.params.description || '';
+              ctx.params.format = ctx.params.format || 'single-elimination';
+              ctx.params.bestOf = ctx.params.bestOf || 1;
+              ctx.params.teamSize = ctx.params.teamSize || this.leagueConfig.teamSize;
+              ctx.params.timeLimit = ctx.params.timeLimit || this.leagueConfig.timeLimit;
+              ctx.params.map = ctx.params.map || null;
+              ctx.params.rules = ctx.params.rules || 'default';
+              ctx.params.entryLimit = ctx.params.entryLimit || 0;
+              ctx.params.roundInterval = ctx.params.roundInterval || 0;
+              ctx.params.status = OPEN;
+              ctx.params.participants = [];
+              ctx.params.matches = [];
+              ctx.params.standings = [];
+              ctx.params.createdAt = new Date();
+              ctx.params = _.omit(ctx.params, [
+                'id',
+                'startedAt',
+                'finishedAt'
+              ]);
+              return ctx;
+            }
+          ]
+        }
+      },
+      started: () => {
+        this.logger.info('Starting tournament loop at ' + this.config.scheduleInterval + 'ms')
+        this.loop = setInterval(async () => {
+          try {
+            await broker.call('tournament.schedule', {})
+          } catch(err) {
+            this.logger.warn(err)
+          }
+        }, this.config.scheduleInterval)
+      },
+      stopped: () => {
+        clearInterval(this.loop)
+      },
+      events: {
+        "ubdPlayer.battle.tournament": async (ctx) => {
+          if(ctx.params.error) {
+            this.logger.warn('Tournament battle failed');
+            return;
+          }
+          try {
+            await ctx.call('tournament.storeGameResult', {
+              refData: ctx.params.refData,
+              teamList: ctx.params.teamList,
+              ubd: ctx.params.ubd,
+              timeElapsed: ctx.params.timeElapsed
+            });
+          } catch(err) {
+            this.logger.warn(err);
+          }
+        }
+      },
+      created() {
+        this.locks = {};
+      }
+    });
+  }
+
+  // changes of a tournament are serialized since results of its matches may
+  // arrive at the same time
+  withLock(id, callback) {
+    let result = (this.locks[id] || Promise.resolve()).then(callback);
+    let lock = result
+      .catch(() => {})
+      .then(() => {
+        if(this.locks[id] === lock) {
+          delete this.locks[id];
+        }
+      });
+    this.locks[id] = lock;
+    return result;
+  }
+
+  toPublic(tournament) {
+    return {
+      ...tournament,
+      participants: tournament.participants.map((participant) => _.omit(participant, ['code']))
+    };
+  }
+
+  async listTournaments(ctx) {
+    let tournaments = await this._find(ctx, {
+      sort: ['-startsAt'],
+      fields: this.settings.fields.filter((field) => field != 'matches')
+    });
+    return tournaments.map((tournament) => this.toPublic(tournament));
+  }
+
+  async getTournament(ctx) {
+    let tournament = await this._get(ctx, {id: ctx.params.id});
+    return this.toPublic(tournament);
+  }
+
+  async getOpenTournament(ctx) {
+    let tournament = await this._get(ctx, {id: ctx.params.tournamentId});
+    if(tournament.status != OPEN) {
+      throw new ValidationError(`Registration to tournament ${tournament.name} is closed`, 400);
+    }
+    return tournament;
+  }
+
+  async joinTournament(ctx) {
+    const userId = ctx.meta.user ? ctx.meta.user.id : null;
+    if(!userId) {
+      throw new ValidationError('Not Authorized!', 401);
+    }
+    let script = await ctx.call('scriptStore.getUserScript', {id: ctx.params.scriptId});
+    let code = script.code;
+    if(this.leagueConfig.obfuscate) {
+      try {
+        code = obfuscate(code);
+      } catch (err) {
+        this.logger.warn(err);
+      }
+    }
+    return this.withLock(ctx.params.tournamentId, async () => {
+      let tournament = await this.getOpenTournament(ctx);
+      let current = tournament.participants.find((participant) => participant.id == userId);
+      let participants = tournament.participants.filter((participant) => participant != current);
+      if(tournament.entryLimit && participants.length >= tournament.entryLimit) {
+        throw new ValidationError(`Tournament ${tournament.name} is full`, 400);
+      }
+      participants.push({
+        id: userId,
+        ownerName: script.ownerName,
+        scriptId: script.id,
+        scriptName: script.scriptName,
+        code,
+        // a replaced script keeps the seed of the participant
+        joinedAt: current ? current.joinedAt : new Date()
+      });
+      tournament = await this._update(ctx, {id: tournament.id, participants});
+      return this.toPublic(tournament);
+    });
+  }
+
+  leaveTournament(ctx) {
+    return this.withLock(ctx.params.tournamentId, async () => {
+      const userId = ctx.meta.user ? ctx.meta.user.id : null;
+      if(!userId) {
+        throw new ValidationError('Not Authorized!', 401);
+      }
+      let tournament = await this.getOpenTournament(ctx);
+      tournament = await this._update(ctx, {
+        id: tournament.id,
+        participants: tournament.participants.filter((participant) => participant.id != userId)
+      });
+      return this.toPublic(tournament);
+    });
+  }
+
+  async schedule(ctx) {
+    let tournaments = await this._find(ctx, {
+      query: {
+        status: {$in: [
+          OPEN,
+          RUNNING
+        ]}
+      },
+      fields: ['id']
+    });
+    await Promise.all(tournaments.map((tournament) => this.withLock(
+      tournament.id,
+      () => this.scheduleTournament(ctx, tournament.id)
+    )));
+  }
+
+  async scheduleTournament(ctx, id) {
+    let now = new Date().getTime();
+    let tournament = await this._get(ctx, {id});
+    if(tournament.status == OPEN && new Date(tournament.startsAt).getTime() <= now) {
+      return this.startTournament(ctx, tournament);
+    }
+    if(tournament.status != RUNNING) {
+      return;
+    }
+    let dueMatches = tournament.matches.filter((match) => {
+      let scheduledAt = new Date(tournament.startsAt).getTime() + (match.stage - 1)*tournament.roundInterval;
+      // a game that has not finished in time is played again with another seed
+      let expired = match.pending && new Date(match.pending.queuedAt).getTime() + this.config.gameTimeout <= now;
+      return match.status == 'ready' && scheduledAt <= now || expired;
+    });
+    let queuedGames = await Promise.all(dueMatches.map((match) => this.queueGame(ctx, tournament, match)));
+    dueMatches.forEach((match, index) => {
+      if(queuedGames[index]) {
+        match.status = 'playing';
+        match.pending = queuedGames[index];
+      }
+    });
+    if(queuedGames.some(Boolean)) {
+      await this._update(ctx, {id: tournament.id, matches: tournament.matches});
+    }
+  }
+
+  // participants are seeded in order of registration
+  getSeeds(tournament) {
+    return _.sortBy(tournament.participants, (participant) => new Date(participant.joinedAt).getTime())
+      .map((participant) => participant.id);
+  }
+
+  startTournament(ctx, tournament) {
+    let participantIds = this.getSeeds(tournament);
+    if(participantIds.length < 2) {
+      this.logger.info(`Tournament ${tournament.name} cancelled due to lack of participants`);
+      return this._update(ctx, {
+        id: tournament.id,
+        status: CANCELLED,
+        finishedAt: new Date()
+      });
+    }
+    this.logger.info(`Starting tournament ${tournament.name} with ${participantIds.length} participants`);
+    let matches = bracket.createBracket(tournament.format, participantIds);
+    return this._update(ctx, {
+      id: tournament.id,
+      status: RUNNING,
+      startedAt: new Date(),
+      matches,
+      standings: bracket.getStandings(tournament.format, matches, participantIds)
+    });
+  }
+
+  async queueGame(ctx, tournament, match) {
+    let players = match.slots.map((slot) => tournament.participants.find((participant) => participant.id == slot.participantId));
+    let usedSeeds = match.games.map((game) => game.rngSeed);
+    let rngSeed;
+    do {
+      rngSeed = Math.random();
+    } while(usedSeeds.includes(rngSeed));
+
+    let ubd = {
+      version: 5,
+      rngSeed,
+      teamMode: true,
+      timeLimit: tournament.timeLimit,
+      aiList: [],
+      metadata: {
+        createdAt: new Date().toISOString(),
+        tournamentId: tournament.id,
+        matchId: match.id,
+        game: match.games.length + 1,
+        players: []
+      }
+    };
+    if(tournament.map) {
+      ubd.map = tournament.map;
+    }
+    if(tournament.rules != 'default') {
+      ubd.rules = JsBattle.getRulesPreset(tournament.rules);
+    }
+    let refData = {};
+    for(let player of players) {
+      let team = player.ownerName + '/' + player.scriptName;
+      ubd.aiList.push({
+        name: team,
+        team,
+        code: player.code,
+        initData: null,
+        useSandbox: true,
+        executionLimit: 100,
+        count: tournament.teamSize
+      });
+      ubd.metadata.players.push({team, name: player.ownerName});
+      refData[team] = player.id;
+    }
+
+    let queueResult = await ctx.call('queue.write', {
+      payload: {
+        ubd,
+        event: 'tournament',
+        refData
+      },
+      topic: 'ubdPlayer'
+    });
+    if(!queueResult.ok) {
+      this.logger.debug('Unable to schedule tournament game: ' + queueResult.error);
+      return null;
+    }
+    this.logger.info(`Scheduling game ${ubd.metadata.game} of match ${match.id} in tournament ${tournament.name}`);
+    return {
+      rngSeed,
+      queuedAt: new Date()
+    };
+  }
+
+  storeGameResult(ctx) {
+    let metadata = ctx.params.ubd.metadata || {};
+    if(!metadata.tournamentId) {
+      throw new ValidationError('Battle is not a part of any tournament', 400);
+    }
+    return this.withLock(metadata.tournamentId, () => this.updateMatch(ctx, metadata));
+  }
+
+  async updateMatch(ctx, metadata) {
+    let {ubd, refData} = ctx.params;
+    let tournament = await this._get(ctx, {id: metadata.tournamentId});
+    let match = tournament.matches.find((item) => item.id == metadata.matchId);
+    if(!match || !match.pending || match.pending.rngSeed !== ubd.rngSeed) {
+      this.logger.warn(`Outdated result of match ${metadata.matchId} in tournament ${tournament.name} skipped`);
+      return tournament;
+    }
+    let teams = match.slots.map((slot) => ctx.params.teamList.find((team) => refData[team.name] == slot.participantId));
+    if(teams.some((team) => !team)) {
+      throw new Error('no team mapping in refData for match ' + match.id);
+    }
+    let winnerIndex = null;
+    if(teams[0].disqualified != teams[1].disqualified) {
+      // a disqualified team loses the battle regardless of its score
+      winnerIndex = teams[0].disqualified ? 1 : 0;
+    } else if(teams[0].score != teams[1].score) {
+      winnerIndex = teams[0].score > teams[1].score ? 0 : 1;
+    }
+    let meta = teams.map((team, index) => ({
+      id: match.slots[index].participantId,
+      name: team.name,
+      battleScore: team.score,
+      winner: index === winnerIndex
+    }));
+    let battle = await ctx.call('battleStore.create', {
+      ubd: JSON.stringify({
+        ...ubd,
+        metadata: {
+          ...metadata,
+          result: {
+            timeElapsed: ctx.params.timeElapsed || 0,
+            teamList: meta.map((team) => ({name: team.name, score: team.battleScore, winner: team.winner}))
+          }
+        }
+      }),
+      expiresIn: this.config.historyDuration,
+      description: meta.map((team) => team.name).join(' vs ').substring(0, 128),
+      meta,
+      owner: [
+        ...meta.map((team) => team.id),
+        tournament.id
+      ]
+    });
+
+    bracket.recordGame(match, {
+      battleId: battle.id,
+      rngSeed: ubd.rngSeed,
+      scores: teams.map((team) => team.score),
+      winnerIndex
+    }, tournament.bestOf);
+    bracket.updateBracket(tournament.matches);
+    let changes = {
+      id: tournament.id,
+      matches: tournament.matches,
+      standings: bracket.getStandings(tournament.format, tournament.matches, this.getSeeds(tournament))
+    };
+    if(bracket.isFinished(tournament.matches)) {
+      this.logger.info(`Tournament ${tournament.name} finished`);
+      changes.status = FINISHED;
+      changes.finishedAt = new Date();
+    }
+    tournament = await this._update(ctx, changes);
+    ctx.broadcast('client.tournament.updated', {id: tournament.id});
+    return this.toPublic(tournament);
+  }
+
+}
+
+module.exports = TournamentService;
@@ -1,171 +1,134 @@
 const Service = require("moleculer").Service;
-const express = require('express')
-const path = require('path')
-const puppeteer = require('puppeteer');
-const insttallPuppeteer = require('./ubdPlayer/installPuppeteer.js');
-const findFreePort = require("./ubdPlayer/findFreePort.js");
+const BattlePool = require('../lib/BattlePool.js');
+const validators = require("../validators");
 
 class UbdPlayer extends Service {
 
   constructor(broker) {
     super(broker);
-    this.app = null;
-    this.server = null;
     this.loop = null;
-    this.browser = null;
-    this.isBusy = false;
-    this.processingStartTime = 0;
+    this.isReading = false;
     this.config = broker.serviceConfig.ubdPlayer;
+    this.pool = null;
     this.parseServiceSchema({
       name: "ubdPlayer",
       actions: {
         getInfo: this.getInfo,
       },
-      started: async () => {
-        await insttallPuppeteer(this.logger);
-
-        // find free port
-        this.port = await findFreePort();
-
-        // host frontend
-        this.app = express();
-        this.app.use(express.static(path.join(__dirname, 'ubdPlayer', 'www')))
-        this.server = this.app.listen(this.port, 'localhost', () => this.logger.info(`UbdPlayer started at http://localhost:${this.port}`))
-
-        // start browser
-        this.browser = await puppeteer.launch();
-        this.logger.info(`Starting player at ${broker.serviceConfig.ubdPlayer.speed}x speed`);
+      started: () => {
+        this.logger.info('Starting headless player');
+        this.pool = new BattlePool({
+          concurrency: this.config.concurrency,
+          timeout: this.config.timeout,
+          killTimeout: this.config.killTimeout,
+          memoryLimit: this.config.memoryLimit,
+          recordTimeline: this.config.recordTimeline
+        });
         this.loop = setInterval(async () => {
           if(!this.config.enabled) {
             broker.destroyService(this);
             return;
           }
-          if(this.isBusy) {
-            let processDuration = new Date().getTime() - this.processingStartTime;
-            if(processDuration > 1.5 * broker.serviceConfig.ubdPlayer.timeout) {
-              this.logger.warn('Battle not responding. `Restarting...');
-              try {
-                await this.browser.close();
-              } catch(err) {
-                this.logger.warn('cannot close browser when restarting');
-                this.logger.warn(err);
-              }
-              try {
-                this.browser = await puppeteer.launch();
-                this.isBusy = false;
-              } catch(err) {
-                this.logger.warn('cannot restart');
-                this.logger.warn(err);
-              }
-            }
+          if(this.isReading) {
             return;
           }
-          let page;
-          let task
+          this.isReading = true;
           try {
-            task = await broker.call('queue.read', {topic: 'ubdPlayer'});
-            if(!task || !task.ok) {
-              return;
-            } else {
-              task = task.payload;
-            }
-          } catch (err) {
-            this.logger.warn('Cannot connect to queue: ' + err);
-            return;
+            await this.fillPool();
+          } finally {
+            this.isReading = false;
           }
-          try {
-            this.processingStartTime = new Date().getTime();
-            this.isBusy = true;
-            this.logger.info('Starting a battle...')
-            let ubd = task.ubd;
-            page = await this.browser.newPage();
-            page.on('console', (message) => this.logger.debug(`${message.type().substr(0, 3).toUpperCase()} ${message.text()}`));
-            page.on('pageerror', ({ message }) => this.logger.debug(message));
-            await page.goto('http://localhost:' + this.port);
-            await page.waitFor('#ubd');
-            await page.$eval('#ubd', (el, ubd) => {
-              el.value = JSON.stringify(ubd)
-            }, ubd);
-            await page.$eval('#speed', (el, speed) => {
-              el.value = speed
-            }, broker.serviceConfig.ubdPlayer.speed);
-
-            this.logger.debug('Battle started');
-            await page.click('#start');
-            await page.waitFor('#output', {timeout: broker.serviceConfig.ubdPlayer.timeout});
-            this.logger.debug('Battle completed');
-            const element = await page.$("#output");
-            const text = await page.evaluate((element) => element.innerHTML, element);
-            if(page && !page.isClosed()) {
-              await page.close();
-            }
-            const jsonResult = JSON.parse(text);
-            jsonResult.ubd = ubd;
-            if(task.refData) {
-              jsonResult.refData = task.refData;
-            }
-            let eventName = "ubdPlayer.battle";
-            if(task.event) {
-              eventName = eventName + ("." + task.event)
-            } else {
-              eventName = eventName + ".default"
-            }
-            let dt = new Date().getTime() - this.processingStartTime;
-            this.logger.info(`Battle finished after ${dt}ms`)
-            broker.broadcast(eventName, jsonResult);
-            this.isBusy = false;
-          } catch (err) {
-            this.logger.warn('Unable to finish the battle');
-            this.logger.warn(err);
-            this.logger.debug('UBD that failed: ' + (task && task.ubd ? JSON.stringify(task.ubd) : 'undefined'));
-            this.isBusy = false;
-            if(page && !page.isClosed()) {
-              await page.close();
-            }
-          }
-        }, broker.serviceConfig.ubdPlayer.queueQueryTime)
+        }, this.config.queueQueryTime)
 
       },
       stopped: () => {
-        if(this.server) {
-          this.server.close();
-        }
         if(this.loop) {
           clearInterval(this.loop);
           this.loop = null;
         }
-        if(this.browser) {
-          this.browser.close();
-          this.browser = null;
+        if(this.pool) {
+          this.pool.close();
         }
       }
     });
   }
 
-  async getInfo() {
-    let browser = {
-      initialized: false,
-      product: puppeteer.product,
-      isBusy: this.isBusy,
-      config: this.config
-    };
+  async fillPool() {
+    if(!this.pool.hasCapacity) {
+      return;
+    }
+    let task;
+    try {
+      task = await this.broker.call('queue.read', {topic: 'ubdPlayer'});
+    } catch (err) {
+      this.logger.warn('Cannot connect to queue: ' + err);
+      return;
+    }
+    if(!task || !task.ok) {
+      return;
+    }
+    this.playTask(task);
+    await this.fillPool();
+  }
 
-    if(this.browser) {
-      browser.initialized = true;
-      browser.isConnected = await this.browser.isConnected();
-      browser.pagesCount = (await this.browser.pages()).length;
-      browser.targetsCount = (await this.browser.targets()).length;
-      browser.contextsCount = (await this.browser.browserContexts()).length;
-      browser.userAgent = await this.browser.userAgent();
-      browser.version = await this.browser.version();
-      let proc = this.browser.process();
-      if(proc) {
-        browser.pid = proc.pid
+  async playTask(queueItem) {
+    let startTime = new Date().getTime();
+    let task = queueItem.payload;
+    try {
+      this.logger.info('Starting a battle...')
+      let ubd = task.ubd;
+      const jsonResult = await this.pool.run(ubd, queueItem.queuedAt);
+      if(!jsonResult.ubd || JSON.stringify(jsonResult.ubd).length > validators.ubd().max) {
+        // the timeline is skipped when it does not fit. The battle can be still replayed from AI code
+        jsonResult.ubd = ubd;
+      }
+      if(task.refData) {
+        jsonResult.refData = task.refData;
+      }
+      let eventName = "ubdPlayer.battle";
+      if(task.event) {
+        eventName = eventName + ("." + task.event)
+      } else {
+        eventName = eventName + ".default"
       }
+      let dt = new Date().getTime() - startTime;
+      this.logger.info(`Battle finished after ${dt}ms`)
+      this.broker.broadcast(eventName, jsonResult);
+      await this.acknowledge('queue.ack', {id: queueItem.id, claim: queueItem.claim});
+    } catch (err) {
+      if(this.pool.isClosed) {
+        // the task is not acknowledged so it will be played again after its visibility timeout
+        return;
+      }
+      this.logger.warn('Unable to finish the battle');
+      this.logger.warn(err);
+      this.logger.debug('UBD that failed: ' + (task && task.ubd ? JSON.stringify(task.ubd) : 'undefined'));
+      await this.acknowledge('queue.nack', {id: queueItem.id, claim: queueItem.claim, error: err.message || String(err)});
+    }
+  }
+
+  async acknowledge(action, params) {
+    if(!params.id) {
+      return;
+    }
+    try {
+      await this.broker.call(action, params);
+    } catch (err) {
+      this.logger.warn(`Unable to acknowledge task ${params.id}: ${err}`);
     }
+  }
 
+  getInfo() {
+    let stats = this.pool ? this.pool.getStats() : null;
     return {
-      browser
+      player: {
+        mode: 'headless',
+        isBusy: Boolean(this.pool) && !this.pool.hasCapacity,
+        battleCount: stats ? stats.battleCount : 0,
+        errorCount: stats ? stats.failureCount : 0,
+        pool: stats,
+        config: this.config
+      }
     }
   }
 
@@ -23,6 +23,7 @@ class UbdValidator extends Service {
     this.schemaV2 = JsBattleSchema.getVersion(2);
     this.schemaV3 = JsBattleSchema.getVersion(3);
     this.schemaV4 = JsBattleSchema.getVersion(4);
+    this.schemaV5 = JsBattleSchema.getVersion(5);
   }
 
   validate(ctx) {
@@ -63,6 +64,9 @@ class UbdValidator extends Service {
       case 4:
         schema = this.schemaV4;
         break;
+      case 5:
+        schema = this.schemaV5;
+        break;
       default:
         return {valid: false, error: `UBD version ${version} is not supported`};
     }
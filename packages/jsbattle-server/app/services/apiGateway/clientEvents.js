@@ -0,0 +1,60 @@
+const cookieParser = require('cookie-parser');
+const _ = require('lodash');
+
+const parseCookies = cookieParser();
+
+function userRoom(userId) {
+  return 'user:' + userId;
+}
+
+// socket.io middleware that resolves the user from the same JWT_TOKEN cookie
+// as the REST API. Connections without a valid token stay anonymous and
+// receive public events only
+function authenticate(broker, logger) {
+  return (socket, next) => {
+    parseCookies(socket.request, {}, async () => {
+      let token = socket.request.cookies ? socket.request.cookies.JWT_TOKEN : null;
+      if(!token) {
+        return next();
+      }
+      try {
+        let user = await broker.call('auth.resolveToken', {token});
+        if(user.id && user.role != 'guest') {
+          socket.user = user; // eslint-disable-line require-atomic-updates
+        }
+      } catch(err) {
+        logger.info('Cannot resolve JWT token of websocket: ' + err.message);
+      }
+      next();
+    });
+  };
+}
+
+function join(socket) {
+  if(socket.user) {
+    socket.join(userRoom(socket.user.id));
+  }
+}
+
+// events with userIds in the payload are sent to those users only, all
+// other events are public
+function emit(io, event, payload = {}) {
+  if(!Array.isArray(payload.userIds)) {
+    io.emit("event", {event, payload});
+    return;
+  }
+  let data = {
+    event,
+    payload: _.omit(payload, ['userIds'])
+  };
+  for(let userId of _.uniq(payload.userIds)) {
+    io.to(userRoom(userId)).emit("event", data);
+  }
+}
+
+module.exports = {
+  userRoom,
+  authenticate,
+  join,
+  emit
+};
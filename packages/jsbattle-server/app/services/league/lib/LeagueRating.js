@@ -0,0 +1,146 @@
+const glicko2 = require('./glicko2.js');
+
+// Applies Glicko-2 ratings to league entries. It works on plain entities
+// and returns changes that should be stored by the league service
+class LeagueRating {
+
+  constructor(config) {
+    this.config = config;
+  }
+
+  createRating() {
+    let rating = glicko2.createRating(this.config);
+    return {
+      ...rating,
+      score: glicko2.getScore(rating)
+    };
+  }
+
+  getScore(entity) {
+    return glicko2.getScore(entity);
+  }
+
+  // current rating of the entry including decay caused by inactivity
+  getRating(entity, time) {
+    if(entity.rating === undefined || entity.rating === null) {
+      return glicko2.createRating(this.config);
+    }
+    let rating = {
+      rating: entity.rating,
+      ratingDeviation: entity.ratingDeviation,
+      volatility: entity.volatility
+    };
+    if(!entity.ratedAt) {
+      return rating;
+    }
+    let periods = Math.max(0, time.getTime() - new Date(entity.ratedAt).getTime())/this.config.period;
+    return glicko2.decay(rating, periods, this.config);
+  }
+
+  // results: list of {place, error} in the same order as entities. Returns
+  // a list of changes of the entities
+  rateBattle(entities, results, time) {
+    let players = entities.map((entity, index) => ({
+      ...this.getRating(entity, time),
+      place: results[index].place
+    }));
+    let ratings = glicko2.rateMatch(players, this.config);
+    let bestPlace = Math.min(...results.map((result) => result.place));
+    let bestCount = results.filter((result) => result.place == bestPlace).length;
+    return entities.map((entity, index) => {
+      let result = results[index];
+      let isWinner = result.place == bestPlace && bestCount == 1;
+      let isDraw = result.place == bestPlace && bestCount > 1;
+      return {
+        id: entity.id,
+        fights_total: (entity.fights_total || 0) + 1,
+        fights_win: (entity.fights_win || 0) + (isWinner ? 1 : 0),
+        fights_draw: (entity.fights_draw || 0) + (isDraw ? 1 : 0),
+        fights_lose: (entity.fights_lose || 0) + (isWinner || isDraw ? 0 : 1),
+        fights_error: (entity.fights_error || 0) + (result.error ? 1 : 0),
+        ...ratings[index],
+        score: glicko2.getScore(ratings[index]),
+        ratedAt: time
+      };
+    });
+  }
+
+  // stores decay of rating deviation for whole periods of inactivity. Returns
+  // null if nothing changed since the last update
+  decayRating(entity, time) {
+    if(!entity.ratedAt || entity.rating === undefined || entity.rating === null) {
+      return null;
+    }
+    let ratedAt = new Date(entity.ratedAt).getTime();
+    let periods = Math.floor((time.getTime() - ratedAt)/this.config.period);
+    if(periods < 1) {
+      return null;
+    }
+    let newRatedAt = new Date(ratedAt + periods*this.config.period);
+    let rating = this.getRating(entity, newRatedAt);
+    return {
+      id: entity.id,
+      ...rating,
+      score: glicko2.getScore(rating),
+      ratedAt: newRatedAt
+    };
+  }
+
+  // calculates ratings from scratch by replaying battles (sorted from the oldest).
+  // Each battle is a list of {id, place, error}. Fight counters are not changed
+  // since the history is usually shorter than the life of the league
+  replay(entities, battles, time) {
+    let start = time;
+    if(battles.length) {
+      start = new Date(battles[0].createdAt);
+    }
+    let state = {};
+    for(let entity of entities) {
+      state[entity.id] = {
+        id: entity.id,
+        ...glicko2.createRating(this.config),
+        ratedAt: start
+      };
+    }
+    // battles of entries that left the league are skipped
+    battles = battles
+      .map((battle) => ({
+        createdAt: battle.createdAt,
+        results: battle.results.filter((result) => state[result.id])
+      }))
+      .filter((battle) => battle.results.length >= 2);
+    for(let battle of battles) {
+      let results = battle.results;
+      let changes = this.rateBattle(
+        results.map((result) => state[result.id]),
+        results,
+        new Date(battle.createdAt)
+      );
+      for(let change of changes) {
+        state[change.id] = {
+          id: change.id,
+          rating: change.rating,
+          ratingDeviation: change.ratingDeviation,
+          volatility: change.volatility,
+          ratedAt: change.ratedAt
+        };
+      }
+    }
+    let changes = Object.values(state).map((entity) => {
+      let rating = this.getRating(entity, time);
+      return {
+        id: entity.id,
+        ...rating,
+        score: glicko2.getScore(rating),
+        ratedAt: time
+      };
+    });
+    return {
+      battleCount: battles.length,
+      changes
+    };
+  }
+
+}
+
+module.exports = LeagueRating;
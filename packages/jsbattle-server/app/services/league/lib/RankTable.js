@@ -68,7 +68,9 @@ class RankTable {
 
   }
 
-  updateScore(id, newScore, totalFigths, fightsWin, fightsLose) {
+  // changes fields of the entity and moves it to the position of its new score
+  update(id, changes) {
+    const newScore = changes.score;
     const count = this.data.length;
     let newIndex = -1;
     let oldIndex = -1;
@@ -89,11 +91,7 @@ class RankTable {
       return;
     }
 
-    let updatedEntity = this.data[oldIndex];
-    updatedEntity.score = newScore;
-    updatedEntity.fights_total = totalFigths;
-    updatedEntity.fights_win = fightsWin;
-    updatedEntity.fights_lose = fightsLose;
+    let updatedEntity = Object.assign(this.data[oldIndex], changes);
 
     if(newIndex < oldIndex) {
       for(i=oldIndex; i > newIndex; i--) {
@@ -155,23 +153,19 @@ class RankTable {
     return this.data.length;
   }
 
-  pickRandom() {
-    let count = this.data.length;
-    if(count <= 1) {
+  // picks distinct random entries. There are less of them when the table is
+  // shorter than the requested count
+  pickRandom(count = 2) {
+    if(this.data.length <= 1) {
       throw new Error('no opponents found for the league match')
     }
-    let rand1 = Math.random();
-    let rand2 = Math.random();
-    let index1 = Math.floor(rand1*count);
-    let index2 = Math.floor(rand2*(count-1));
-    if(index2 >= index1) {
-      index2++;
+    let pool = this.data.slice();
+    let result = [];
+    while(result.length < count && pool.length) {
+      let index = Math.floor(Math.random()*pool.length);
+      result.push(pool.splice(index, 1)[0]);
     }
-
-    return [
-      this.data[index1],
-      this.data[index2]
-    ]
+    return result;
   }
 }
 
@@ -0,0 +1,53 @@
+const obfuscate = require('./obfuscate.js');
+const validators = require("../../../validators");
+
+// code of league entries. Submissions of users point at immutable revisions kept
+// by the scriptRevisionStore while seeded entries hold their code directly
+module.exports = {
+  actions: {
+    getEntry: {
+      params: {
+        id: validators.entityId()
+      },
+      async handler(ctx) {
+        let entry = await ctx.call('league.get', {id: ctx.params.id});
+        return {
+          ...entry,
+          code: await this.getEntryCode(ctx, entry)
+        };
+      }
+    }
+  },
+  methods: {
+    obfuscateCode(code) {
+      if(!this.broker.serviceConfig.league.obfuscate) {
+        this.logger.info(`Code obfuscation disabled`);
+        return code;
+      }
+      try {
+        let prevSize = Math.round(code.length/1024);
+        let result = obfuscate(code);
+        let currentSize = Math.round(result.length/1024);
+        this.logger.info(`Code obfuscated ${prevSize}K -> ${currentSize}K`);
+        return result;
+      } catch (err) {
+        this.logger.warn(err);
+        return code;
+      }
+    },
+    // revisions never change so obfuscated code is cached until the entry leaves the league
+    async getEntryCode(ctx, entry) {
+      if(!entry.revisionId) {
+        return entry.code;
+      }
+      if(!this.codeCache.has(entry.revisionId)) {
+        let revision = await ctx.call('scriptRevisionStore.get', {id: entry.revisionId});
+        this.codeCache.set(entry.revisionId, this.obfuscateCode(revision.code));
+      }
+      return this.codeCache.get(entry.revisionId);
+    }
+  },
+  created() {
+    this.codeCache = new Map();
+  }
+};
@@ -0,0 +1,135 @@
+// Glicko-2 rating system (http://www.glicko.net/glicko/glicko2.pdf). Every battle
+// is a separate rating period. Results of a battle are pairwise comparisons of
+// places taken by participants so the same logic works for any number of teams
+
+const SCALE = 173.7178;
+const BASE_RATING = 1500;
+const EPSILON = 0.000001;
+
+function g(phi) {
+  return 1/Math.sqrt(1 + 3*phi*phi/(Math.PI*Math.PI));
+}
+
+function expectedScore(mu, opponentMu, opponentPhi) {
+  return 1/(1 + Math.exp(-g(opponentPhi)*(mu - opponentMu)));
+}
+
+// Illinois algorithm from step 5 of the paper
+function computeVolatility(phi, sigma, delta, v, tau) {
+  let a = Math.log(sigma*sigma);
+  let f = (x) => {
+    let ex = Math.exp(x);
+    let d = phi*phi + v + ex;
+    return ex*(delta*delta - phi*phi - v - ex)/(2*d*d) - (x - a)/(tau*tau);
+  };
+  let A = a;
+  let B;
+  if(delta*delta > phi*phi + v) {
+    B = Math.log(delta*delta - phi*phi - v);
+  } else {
+    let k = 1;
+    while(f(a - k*tau) < 0) {
+      k++;
+    }
+    B = a - k*tau;
+  }
+  let fA = f(A);
+  let fB = f(B);
+  while(Math.abs(B - A) > EPSILON) {
+    let C = A + (A - B)*fA/(fB - fA);
+    let fC = f(C);
+    if(fC*fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA/2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A/2);
+}
+
+function createRating(config) {
+  return {
+    rating: config.initialRating,
+    ratingDeviation: config.initialDeviation,
+    volatility: config.initialVolatility
+  };
+}
+
+// increases rating deviation of a player that did not fight for given number of periods
+function decay(player, periods, config) {
+  let phi = player.ratingDeviation/SCALE;
+  let sigma = player.volatility;
+  phi = Math.sqrt(phi*phi + periods*sigma*sigma);
+  return {
+    ...player,
+    ratingDeviation: Math.min(phi*SCALE, config.initialDeviation)
+  };
+}
+
+function ratePlayer(player, opponents, config) {
+  let mu = (player.rating - BASE_RATING)/SCALE;
+  let phi = player.ratingDeviation/SCALE;
+  let sigma = player.volatility;
+  let vInv = 0;
+  let improvement = 0;
+  for(let opponent of opponents) {
+    let opponentMu = (opponent.rating - BASE_RATING)/SCALE;
+    let opponentPhi = opponent.ratingDeviation/SCALE;
+    let e = expectedScore(mu, opponentMu, opponentPhi);
+    vInv = vInv + g(opponentPhi)*g(opponentPhi)*e*(1 - e);
+    improvement = improvement + g(opponentPhi)*(opponent.score - e);
+  }
+  let v = 1/vInv;
+  let delta = v*improvement;
+  let newSigma = computeVolatility(phi, sigma, delta, v, config.tau);
+  let phiStar = Math.sqrt(phi*phi + newSigma*newSigma);
+  let newPhi = 1/Math.sqrt(1/(phiStar*phiStar) + 1/v);
+  let newMu = mu + newPhi*newPhi*improvement;
+  return {
+    rating: newMu*SCALE + BASE_RATING,
+    ratingDeviation: Math.max(newPhi*SCALE, config.minDeviation),
+    volatility: newSigma
+  };
+}
+
+// players: list of {rating, ratingDeviation, volatility, place}. The lower place
+// the better, players of the same place are tied. Returns new ratings in the same order
+function rateMatch(players, config) {
+  return players.map((player) => {
+    let opponents = players
+      .filter((opponent) => opponent !== player)
+      .map((opponent) => {
+        let score = 0.5;
+        if(player.place < opponent.place) {
+          score = 1;
+        } else if(player.place > opponent.place) {
+          score = 0;
+        }
+        return {...opponent, score};
+      });
+    if(!opponents.length) {
+      return {
+        rating: player.rating,
+        ratingDeviation: player.ratingDeviation,
+        volatility: player.volatility
+      };
+    }
+    return ratePlayer(player, opponents, config);
+  });
+}
+
+// conservative estimate of the rating used to order the rank table. New players
+// with high rating deviation do not jump to the top after a few lucky battles
+function getScore(player) {
+  return Math.max(0, Math.round(player.rating - 2*player.ratingDeviation));
+}
+
+module.exports = {
+  createRating,
+  decay,
+  rateMatch,
+  getScore
+};
@@ -0,0 +1,144 @@
+const { ValidationError } = require("moleculer").Errors;
+const RankTable = require('./RankTable.js');
+const createMatchmaker = require('./matchmaking');
+const validators = require("../../../validators");
+
+const STANDING_FIELDS = [
+  'id',
+  'ownerId',
+  'ownerName',
+  'scriptId',
+  'scriptName',
+  'fights_total',
+  'fights_win',
+  'fights_lose',
+  'fights_draw',
+  'fights_error',
+  'score',
+  'rating',
+  'ratingDeviation'
+];
+
+// support of multiple leagues in the league service: a rank table and a matchmaker
+// per league, seasons and removal of leagues. Definitions of leagues are kept by
+// the leagueStore service
+module.exports = {
+  actions: {
+    endSeason: {
+      params: {
+        leagueId: validators.entityId(),
+        // the season that is expected to end. The call fails if it has already ended
+        season: {type: "number", integer: true, positive: true, optional: true, convert: true}
+      },
+      async handler(ctx) {
+        let league = await ctx.call('leagueStore.get', {id: ctx.params.leagueId});
+        // the next season is started first. It fails when another call has ended
+        // the season, so standings are archived and reset only once
+        let nextSeason = await ctx.call('leagueStore.startSeason', {
+          id: league.id,
+          season: ctx.params.season || league.season
+        });
+        let endedAt = new Date();
+        let entries = await this._find(ctx, {
+          query: {leagueId: league.id},
+          sort: ['-score'],
+          fields: STANDING_FIELDS
+        });
+        let standings = entries.map((entry, index) => ({
+          rank: index + 1,
+          ...entry
+        }));
+        await ctx.call('seasonStore.create', {
+          leagueId: league.id,
+          leagueName: league.name,
+          season: league.season,
+          startedAt: league.seasonStartedAt,
+          endedAt,
+          standings
+        });
+        // entries stay in the league but start the next season from scratch
+        await this.adapter.updateMany({leagueId: league.id}, {$set: {
+          fights_total: 0,
+          fights_win: 0,
+          fights_lose: 0,
+          fights_draw: 0,
+          fights_error: 0,
+          ...this.rating.createRating(),
+          ratedAt: endedAt
+        }});
+        delete this.matchmakers[league.id];
+        await this.initRankTables(ctx, {leagueId: league.id});
+        this.logger.info(`Season ${league.season} of league ${league.name} finished with ${standings.length} entries`);
+        return {
+          leagueId: league.id,
+          season: nextSeason.season,
+          seasonStartedAt: nextSeason.seasonStartedAt,
+          archivedEntries: standings.length
+        };
+      }
+    },
+    deleteLeague: {
+      params: {
+        leagueId: validators.entityId()
+      },
+      async handler(ctx) {
+        let league = await ctx.call('leagueStore.get', {id: ctx.params.leagueId});
+        if(league.isDefault) {
+          throw new ValidationError('The default league cannot be removed', 400);
+        }
+        let removed = await this.adapter.removeMany({leagueId: league.id});
+        delete this.ranktables[league.id];
+        delete this.matchmakers[league.id];
+        await ctx.call('leagueStore.remove', {id: league.id});
+        this.logger.info(`League ${league.name} removed with ${removed} entries`);
+        return {
+          id: league.id,
+          removedEntries: removed
+        };
+      }
+    }
+  },
+  methods: {
+    getRankTable(leagueId) {
+      if(!this.ranktables[leagueId]) {
+        this.ranktables[leagueId] = new RankTable();
+      }
+      return this.ranktables[leagueId];
+    },
+    getMatchmaker(leagueId) {
+      if(!this.matchmakers[leagueId]) {
+        this.matchmakers[leagueId] = createMatchmaker(this.broker.serviceConfig.league.matchmaking);
+      }
+      return this.matchmakers[leagueId];
+    },
+    // league definition of the request. The default league is used if no leagueId is provided
+    getLeague(ctx) {
+      if(ctx.params.leagueId) {
+        return ctx.call('leagueStore.get', {id: ctx.params.leagueId});
+      }
+      return ctx.call('leagueStore.getDefault', {});
+    }
+  },
+  events: {
+    async "app.seed"(ctx) {
+      let defaultLeague = await ctx.call('leagueStore.getDefault', {});
+      // entries created before introduction of multiple leagues
+      let migrated = await this.adapter.updateMany(
+        {leagueId: {$exists: false}},
+        {$set: {leagueId: defaultLeague.id}}
+      );
+      if(migrated) {
+        this.logger.info(`${migrated} league entries moved to the default league`);
+      }
+      await ctx.call('league.seedLeague', {leagueId: defaultLeague.id});
+
+      this.logger.info('Initializing Rank Tables');
+      await this.initRankTables(ctx, {});
+      this.logger.info('Rank Tables initialized');
+    }
+  },
+  created() {
+    this.ranktables = {};
+    this.matchmakers = {};
+  }
+};
@@ -0,0 +1,114 @@
+// Pairs entries of similar ranks. Fresh submissions play placement matches
+// against the whole league first. Entries that were not scheduled for the longest
+// time go first so all of them get a similar number of fights. Recent opponents
+// of an entry are avoided if there is anyone else to fight. In free-for-all
+// battles the rest of opponents is picked around the first entry
+class BalancedMatchmaker {
+
+  constructor(config) {
+    this.config = config;
+    this.tick = 0;
+    this.scheduledAt = {};
+    this.recentOpponents = {};
+  }
+
+  pick(ranktable, count = 2) {
+    let data = ranktable.getData();
+    if(data.length <= 1) {
+      throw new Error('no opponents found for the league match')
+    }
+    this.cleanup(data);
+    let placementList = data.filter((entry) => this.isPlacement(entry));
+    let first;
+    if(placementList.length && Math.random() < this.config.placementShare) {
+      first = this.pickLeastScheduled(placementList);
+    } else {
+      first = this.pickLeastScheduled(data);
+    }
+    let opponents = [first];
+    let candidates = data.filter((entry) => entry.id != first.id);
+    while(opponents.length < count && candidates.length) {
+      let opponent = this.pickOpponent(first, candidates);
+      opponents.push(opponent);
+      candidates = candidates.filter((entry) => entry.id != opponent.id);
+    }
+    this.record(opponents);
+    return opponents;
+  }
+
+  isPlacement(entry) {
+    return (entry.fights_total || 0) < this.config.placementFights;
+  }
+
+  pickLeastScheduled(list) {
+    let getTick = (entry) => this.scheduledAt[entry.id] || 0;
+    let minTick = Math.min(...list.map(getTick));
+    return this.pickAny(list.filter((entry) => getTick(entry) == minTick));
+  }
+
+  pickOpponent(first, candidates) {
+    candidates = this.excludeRecent(
+      first,
+      candidates,
+      this.config.rematchCooldown
+    );
+    if(this.isPlacement(first)) {
+      return this.pickAny(candidates);
+    }
+    let distance = (entry) => Math.abs(entry.rank - first.rank);
+    let maxDistance = Math.max(
+      this.config.rankRange,
+      Math.min(...candidates.map(distance))
+    );
+    return this.pickAny(candidates.filter((entry) => distance(entry) <= maxDistance));
+  }
+
+  // when everyone fought recently, only the latest opponents are avoided
+  excludeRecent(first, candidates, cooldown) {
+    if(cooldown <= 0) {
+      return candidates;
+    }
+    let isRecent = (a, b) => (this.recentOpponents[a.id] || []).slice(-cooldown).includes(b.id);
+    let fresh = candidates.filter((entry) => !isRecent(first, entry) && !isRecent(entry, first));
+    return fresh.length ? fresh : this.excludeRecent(first, candidates, cooldown - 1);
+  }
+
+  pickAny(list) {
+    return list[Math.floor(Math.random()*list.length)];
+  }
+
+  record(opponents) {
+    this.tick++;
+    for(let entry of opponents) {
+      this.scheduledAt[entry.id] = this.tick;
+      for(let opponent of opponents) {
+        if(opponent !== entry) {
+          this.addRecentOpponent(entry, opponent);
+        }
+      }
+    }
+  }
+
+  addRecentOpponent(entry, opponent) {
+    let recent = this.recentOpponents[entry.id] || [];
+    recent.push(opponent.id);
+    this.recentOpponents[entry.id] = recent.slice(Math.max(0, recent.length - this.config.rematchCooldown));
+  }
+
+  // forget entries that left the league
+  cleanup(data) {
+    let ids = {};
+    for(let entry of data) {
+      ids[entry.id] = true;
+    }
+    for(let id of Object.keys(this.scheduledAt)) {
+      if(!ids[id]) {
+        delete this.scheduledAt[id];
+        delete this.recentOpponents[id];
+      }
+    }
+  }
+
+}
+
+module.exports = BalancedMatchmaker;
@@ -0,0 +1,14 @@
+// pairs random entries of the league regardless of their ranks
+class RandomMatchmaker {
+
+  constructor(config) {
+    this.config = config;
+  }
+
+  pick(ranktable, count = 2) {
+    return ranktable.pickRandom(count);
+  }
+
+}
+
+module.exports = RandomMatchmaker;
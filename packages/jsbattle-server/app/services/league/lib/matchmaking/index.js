@@ -0,0 +1,23 @@
+const path = require('path');
+const RandomMatchmaker = require('./RandomMatchmaker.js');
+const BalancedMatchmaker = require('./BalancedMatchmaker.js');
+
+const strategies = {
+  random: RandomMatchmaker,
+  balanced: BalancedMatchmaker
+};
+
+// strategy is a name of built-in matchmaker or a path to a module that exports
+// a class with pick(ranktable, count) method returning up to count distinct entries
+// of the rank table (two of them in regular duels)
+module.exports = function(config) {
+  let Matchmaker = strategies[config.strategy];
+  if(!Matchmaker) {
+    try {
+      Matchmaker = require(path.resolve(config.strategy));
+    } catch(err) {
+      throw new Error(`Matchmaking strategy '${config.strategy}' is not supported`);
+    }
+  }
+  return new Matchmaker(config);
+}
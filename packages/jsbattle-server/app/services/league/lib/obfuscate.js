@@ -0,0 +1,26 @@
+const JavaScriptObfuscator = require('javascript-obfuscator');
+const stripComments = require('strip-comments');
+
+module.exports = function(code) {
+  code = stripComments(code);
+  code = code.replace(/importScripts\w*\([^)]*\)/g, '');
+  return JavaScriptObfuscator.obfuscate(code, {
+    compact: true,
+    controlFlowFlattening: false,
+    deadCodeInjection: false,
+    debugProtection: false,
+    debugProtectionInterval: false,
+    disableConsoleOutput: true,
+    identifierNamesGenerator: 'hexadecimal',
+    log: false,
+    renameGlobals: false,
+    rotateStringArray: true,
+    selfDefending: true,
+    shuffleStringArray: true,
+    splitStrings: false,
+    stringArray: true,
+    stringArrayEncoding: false,
+    stringArrayThreshold: 0.75,
+    unicodeEscapeSequence: false
+  }).getObfuscatedCode();
+}
@@ -0,0 +1,152 @@
+const _ = require('lodash');
+const LeagueRating = require('./LeagueRating.js');
+const validators = require("../../../validators");
+
+const RATING_FIELDS = [
+  'id',
+  'leagueId',
+  'fights_total',
+  'fights_win',
+  'fights_lose',
+  'fights_draw',
+  'fights_error',
+  'rating',
+  'ratingDeviation',
+  'volatility',
+  'ratedAt'
+];
+
+// rating related actions of the league service
+module.exports = {
+  actions: {
+    updateRanks: {
+      params: {
+        results: {
+          type: "array",
+          min: 2,
+          items: {
+            type: "object",
+            props: {
+              id: validators.entityId(),
+              place: {type: "number", integer: true, positive: true},
+              error: {type: "boolean", optional: true}
+            }
+          }
+        }
+      },
+      async handler(ctx) {
+        let results = ctx.params.results;
+        let entities = await Promise.all(results.map((result) => this._get(ctx, {
+          id: result.id,
+          fields: RATING_FIELDS
+        })));
+        let previousRanks = this.getRanks(entities);
+        let changes = this.rating.rateBattle(entities, results, new Date());
+        await this.storeRatings(ctx, entities, changes);
+        return this.getRanks(entities).map((entry, index) => ({
+          ...entry,
+          previousRank: previousRanks[index].rank
+        }));
+      }
+    },
+    async decayRatings(ctx) {
+      let entities = await this._find(ctx, {fields: RATING_FIELDS});
+      let now = new Date();
+      let changes = entities
+        .map((entity) => this.rating.decayRating(entity, now))
+        .filter((change) => change);
+      await this.storeRatings(ctx, entities, changes);
+      return {
+        updated: changes.length
+      };
+    },
+    async recalculateRatings(ctx) {
+      let entities = await this._find(ctx, {fields: RATING_FIELDS});
+      let battles = await ctx.call('battleStore.find', {
+        sort: 'createdAt',
+        fields: [
+          "meta",
+          "createdAt"
+        ]
+      });
+      battles = battles
+        .filter((battle) => Array.isArray(battle.meta))
+        .map((battle) => {
+          let hasWinner = battle.meta.some((player) => player.winner);
+          return {
+            createdAt: battle.createdAt,
+            // battles stored before free-for-all support have no places
+            results: battle.meta.map((player) => ({
+              id: player.id,
+              place: player.place || (player.winner || !hasWinner ? 1 : 2),
+              error: Boolean(player.disqualified)
+            }))
+          };
+        });
+      this.logger.info(`Recalculating ratings of ${entities.length} league entries from ${battles.length} battles`);
+      let leagues = await ctx.call('leagueStore.find', {
+        fields: [
+          'id',
+          'seasonStartedAt'
+        ]
+      });
+      let now = new Date();
+      // battles of previous seasons do not affect the current ratings
+      let results = leagues.map((league) => this.rating.replay(
+        entities.filter((entity) => entity.leagueId == league.id),
+        battles.filter((battle) => new Date(battle.createdAt) >= new Date(league.seasonStartedAt)),
+        now
+      ));
+      let changes = _.flatten(results.map((result) => result.changes));
+      await this.storeRatings(ctx, entities, changes);
+      return {
+        entryCount: changes.length,
+        battleCount: _.sumBy(results, 'battleCount')
+      };
+    }
+  },
+  methods: {
+    // current positions of the entities in rank tables of their leagues
+    getRanks(entities) {
+      return entities.map((entity) => {
+        let entry = this.getRankTable(entity.leagueId).getData()
+          .find((item) => item.id == entity.id) || {};
+        return {
+          id: entity.id,
+          leagueId: entity.leagueId,
+          ownerId: entry.ownerId,
+          scriptName: entry.scriptName,
+          rank: entry.rank
+        };
+      });
+    },
+    storeRatings(ctx, entities, changes) {
+      let entityMap = _.keyBy(entities, 'id');
+      return Promise.all(changes.map((change) => {
+        this.getRankTable(entityMap[change.id].leagueId).update(change.id, _.omit(change, [
+          'id',
+          'ratedAt',
+          'volatility'
+        ]));
+        return this._update(ctx, change);
+      }));
+    }
+  },
+  created() {
+    this.rating = new LeagueRating(this.broker.serviceConfig.league.rating);
+  },
+  started() {
+    let decayInterval = this.broker.serviceConfig.league.rating.decayInterval;
+    this.logger.info('Starting rating decay loop at ' + decayInterval + 'ms')
+    this.decayLoop = setInterval(async () => {
+      try {
+        await this.broker.call('league.decayRatings', {})
+      } catch(err) {
+        this.logger.warn(err)
+      }
+    }, decayInterval)
+  },
+  stopped() {
+    clearInterval(this.decayLoop)
+  }
+};
@@ -0,0 +1,275 @@
+// Brackets of tournaments. A bracket is a flat list of matches ordered so every
+// match goes after the matches that feed its slots. Slots of later matches refer
+// to the winner or the loser of another match and are filled as results arrive.
+// Empty slots (byes) let the other participant advance without a battle
+const _ = require('lodash');
+
+const FORMATS = [
+  'single-elimination',
+  'double-elimination',
+  'round-robin'
+];
+
+function createMatch(id, bracket, round, stage, slots) {
+  return {
+    id,
+    bracket,
+    round,
+    // matches of the same stage are scheduled at the same time
+    stage,
+    slots,
+    status: 'pending',
+    wins: [
+      0,
+      0
+    ],
+    games: [],
+    pending: null,
+    winnerId: null,
+    loserId: null,
+    walkover: false
+  };
+}
+
+function seedSlot(participantId) {
+  return {participantId: participantId || null, source: null};
+}
+
+function sourceSlot(matchId, result) {
+  return {participantId: null, source: {matchId, result}};
+}
+
+// positions of seeds in the first round so the best seeds meet as late as possible
+function seedOrder(size) {
+  let order = [1];
+  while(order.length < size) {
+    let count = order.length*2;
+    order = order.reduce((result, seed) => result.concat(seed, count + 1 - seed), []);
+  }
+  return order;
+}
+
+function createWinnersBracket(participantIds) {
+  let rounds = Math.max(1, Math.ceil(Math.log2(participantIds.length)));
+  let size = Math.pow(2, rounds);
+  let order = seedOrder(size);
+  let matches = [];
+  for(let i=0; i < size/2; i++) {
+    matches.push(createMatch(`W1.${i+1}`, 'winners', 1, 1, [
+      seedSlot(participantIds[order[2*i]-1]),
+      seedSlot(participantIds[order[2*i+1]-1])
+    ]));
+  }
+  for(let round=2; round <= rounds; round++) {
+    for(let i=1; i <= size/Math.pow(2, round); i++) {
+      matches.push(createMatch(`W${round}.${i}`, 'winners', round, round, [
+        sourceSlot(`W${round-1}.${2*i-1}`, 'winner'),
+        sourceSlot(`W${round-1}.${2*i}`, 'winner')
+      ]));
+    }
+  }
+  return {matches, rounds, size};
+}
+
+function createSingleElimination(participantIds) {
+  return createWinnersBracket(participantIds).matches;
+}
+
+// losers of the winners bracket get a second chance in the losers bracket. Odd
+// rounds of the losers bracket pair its survivors, even rounds bring in losers
+// of the next winners round. Winners of both brackets meet in the grand final
+function createDoubleElimination(participantIds) {
+  let {matches, rounds, size} = createWinnersBracket(participantIds);
+  let losersRounds = 2*(rounds - 1);
+  for(let round=1; round <= losersRounds; round++) {
+    let count = size/Math.pow(2, Math.floor((round - 1)/2) + 2);
+    for(let i=1; i <= count; i++) {
+      let slots;
+      if(round == 1) {
+        slots = [
+          sourceSlot(`W1.${2*i-1}`, 'loser'),
+          sourceSlot(`W1.${2*i}`, 'loser')
+        ];
+      } else if(round % 2 == 0) {
+        // reversed order delays rematches of the winners bracket
+        slots = [
+          sourceSlot(`L${round-1}.${i}`, 'winner'),
+          sourceSlot(`W${round/2+1}.${count+1-i}`, 'loser')
+        ];
+      } else {
+        slots = [
+          sourceSlot(`L${round-1}.${2*i-1}`, 'winner'),
+          sourceSlot(`L${round-1}.${2*i}`, 'winner')
+        ];
+      }
+      matches.push(createMatch(`L${round}.${i}`, 'losers', round, round + 1, slots));
+    }
+  }
+  let finalist = losersRounds ? sourceSlot(`L${losersRounds}.1`, 'winner') : sourceSlot('W1.1', 'loser');
+  matches.push(createMatch('F1.1', 'final', 1, losersRounds + 2, [
+    sourceSlot(`W${rounds}.1`, 'winner'),
+    finalist
+  ]));
+  return matches;
+}
+
+// circle method: the first participant stays in place while others rotate
+function createRoundRobin(participantIds) {
+  let ids = participantIds.slice();
+  if(ids.length % 2) {
+    ids.push(null);
+  }
+  let matches = [];
+  for(let round=1; round < ids.length; round++) {
+    let pairs = [];
+    for(let i=0; i < ids.length/2; i++) {
+      pairs.push([
+        ids[i],
+        ids[ids.length - 1 - i]
+      ]);
+    }
+    pairs
+      .filter((pair) => pair[0] && pair[1])
+      .forEach((pair, index) => {
+        matches.push(createMatch(`R${round}.${index+1}`, 'group', round, round, pair.map(seedSlot)));
+      });
+    ids.splice(1, 0, ids.pop());
+  }
+  return matches;
+}
+
+function createBracket(format, participantIds) {
+  if(participantIds.length < 2) {
+    throw new Error('At least 2 participants are required');
+  }
+  switch(format) {
+    case 'single-elimination':
+      return updateBracket(createSingleElimination(participantIds));
+    case 'double-elimination':
+      return updateBracket(createDoubleElimination(participantIds));
+    case 'round-robin':
+      return updateBracket(createRoundRobin(participantIds));
+    default:
+      throw new Error(`Tournament format '${format}' is not supported`);
+  }
+}
+
+function finishMatch(match, winnerIndex) {
+  match.status = 'finished';
+  match.winnerId = match.slots[winnerIndex].participantId;
+  match.loserId = match.slots[1 - winnerIndex].participantId;
+  match.pending = null;
+}
+
+// fills slots of matches with results of finished matches. A match with only one
+// participant is a walkover and a match without participants is skipped
+function updateBracket(matches) {
+  let finished = {};
+  for(let match of matches) {
+    if(match.status == 'finished') {
+      finished[match.id] = match;
+    } else {
+      let settled = match.slots.every((slot) => !slot.source || finished[slot.source.matchId]);
+      for(let slot of match.slots) {
+        if(slot.source && finished[slot.source.matchId]) {
+          let source = finished[slot.source.matchId];
+          slot.participantId = slot.source.result == 'winner' ? source.winnerId : source.loserId;
+        }
+      }
+      let present = match.slots.filter((slot) => slot.participantId).length;
+      if(settled && present < 2) {
+        finishMatch(match, match.slots[0].participantId ? 0 : 1);
+        match.walkover = present == 1;
+        finished[match.id] = match;
+      } else if(settled && match.status == 'pending') {
+        match.status = 'ready';
+      }
+    }
+  }
+  return matches;
+}
+
+// result of a game of best-of-N series. winnerIndex is the index of the slot that
+// won or null for a draw. The series is over once a participant has won most of
+// the games. If draws leave it undecided after N games, the total score and
+// then the seed decide
+function recordGame(match, game, bestOf) {
+  match.games.push(game);
+  if(game.winnerIndex !== null) {
+    match.wins[game.winnerIndex]++;
+  }
+  let required = Math.floor(bestOf/2) + 1;
+  if(match.wins[0] >= required) {
+    finishMatch(match, 0);
+  } else if(match.wins[1] >= required) {
+    finishMatch(match, 1);
+  } else if(match.games.length >= bestOf) {
+    let score = match.games.reduce((sum, item) => sum + item.scores[1] - item.scores[0], 0);
+    if(match.wins[0] == match.wins[1]) {
+      finishMatch(match, score > 0 ? 1 : 0);
+    } else {
+      finishMatch(match, match.wins[0] > match.wins[1] ? 0 : 1);
+    }
+  } else {
+    match.pending = null;
+    match.status = 'ready';
+  }
+  return match;
+}
+
+function isFinished(matches) {
+  return matches.every((match) => match.status == 'finished');
+}
+
+function compareStats(a, b) {
+  if(a.eliminatedAt != b.eliminatedAt) {
+    return b.eliminatedAt - a.eliminatedAt;
+  }
+  if(a.matchWins != b.matchWins) {
+    return b.matchWins - a.matchWins;
+  }
+  return b.gameWins - b.gameLosses - a.gameWins + a.gameLosses;
+}
+
+// final standings. Eliminated participants are ordered by the stage in which they
+// lost. In round-robin the number of won matches decides and then won games
+function getStandings(format, matches, participantIds) {
+  let stats = {};
+  for(let id of participantIds) {
+    stats[id] = {id, matchWins: 0, matchLosses: 0, gameWins: 0, gameLosses: 0, eliminatedAt: Infinity};
+  }
+  for(let match of matches.filter((item) => item.status == 'finished' && !item.walkover && item.loserId)) {
+    let winnerIndex = match.slots[0].participantId == match.winnerId ? 0 : 1;
+    let winner = stats[match.winnerId];
+    let loser = stats[match.loserId];
+    winner.matchWins++;
+    winner.gameWins = winner.gameWins + match.wins[winnerIndex];
+    winner.gameLosses = winner.gameLosses + match.wins[1 - winnerIndex];
+    loser.matchLosses++;
+    loser.gameWins = loser.gameWins + match.wins[1 - winnerIndex];
+    loser.gameLosses = loser.gameLosses + match.wins[winnerIndex];
+  }
+  if(format != 'round-robin') {
+    let lives = format == 'double-elimination' ? 2 : 1;
+    for(let match of matches.filter((item) => item.status == 'finished' && item.loserId)) {
+      if(stats[match.loserId].matchLosses >= lives || match.bracket == 'final') {
+        stats[match.loserId].eliminatedAt = match.stage;
+      }
+    }
+  }
+  return Object.values(stats)
+    .sort((a, b) => compareStats(a, b) || participantIds.indexOf(a.id) - participantIds.indexOf(b.id))
+    .map((item, index) => ({
+      place: index + 1,
+      ..._.omit(item, ['eliminatedAt'])
+    }));
+}
+
+module.exports = {
+  FORMATS,
+  createBracket,
+  updateBracket,
+  recordGame,
+  isFinished,
+  getStandings
+};
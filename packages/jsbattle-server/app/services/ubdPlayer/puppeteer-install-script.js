@@ -1 +0,0 @@
-require('puppeteer/install.js');
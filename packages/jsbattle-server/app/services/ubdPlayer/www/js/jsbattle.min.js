@@ -1,5 +0,0 @@
-!function(e){var t={};function r(n){if(t[n])return t[n].exports;var o=t[n]={i:n,l:!1,exports:{}};return e[n].call(o.exports,o,o.exports,r),o.l=!0,o.exports}r.m=e,r.c=t,r.d=function(e,t,n){r.o(e,t)||Object.defineProperty(e,t,{enumerable:!0,get:n})},r.r=function(e){"undefined"!=typeof Symbol&&Symbol.toStringTag&&Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(e,"__esModule",{value:!0})},r.t=function(e,t){if(1&t&&(e=r(e)),8&t)return e;if(4&t&&"object"==typeof e&&e&&e.__esModule)return e;var n=Object.create(null);if(r.r(n),Object.defineProperty(n,"default",{enumerable:!0,value:e}),2&t&&"string"!=typeof e)for(var o in e)r.d(n,o,function(t){return e[t]}.bind(null,o));return n},r.n=function(e){var t=e&&e.__esModule?function(){return e.default}:function(){return e};return r.d(t,"a",t),t},r.o=function(e,t){return Object.prototype.hasOwnProperty.call(e,t)},r.p="",r(r.s=63)}([function(e,t){e.exports=PIXI},function(e,t,r){var n,o;
-/** @preserve SAT.js - Version 0.8.0 - Copyright 2012 - 2018 - Jim Riecken <jimr@jimr.ca> - released under the MIT License. https://github.com/jriecken/sat-js */
-!function(a,i){"use strict";void 0===(o="function"==typeof(n=function(){var e={};function t(e,t){this.x=e||0,this.y=t||0}function r(e,r){this.pos=e||new t,this.r=r||0,this.offset=new t}function n(e,r){this.pos=e||new t,this.angle=0,this.offset=new t,this.setPoints(r||[])}function o(e,r,n){this.pos=e||new t,this.w=r||0,this.h=n||0}function a(){this.a=null,this.b=null,this.overlapN=new t,this.overlapV=new t,this.clear()}e.Vector=t,e.V=t,t.prototype.copy=t.prototype.copy=function(e){return this.x=e.x,this.y=e.y,this},t.prototype.clone=t.prototype.clone=function(){return new t(this.x,this.y)},t.prototype.perp=t.prototype.perp=function(){var e=this.x;return this.x=this.y,this.y=-e,this},t.prototype.rotate=t.prototype.rotate=function(e){var t=this.x,r=this.y;return this.x=t*Math.cos(e)-r*Math.sin(e),this.y=t*Math.sin(e)+r*Math.cos(e),this},t.prototype.reverse=t.prototype.reverse=function(){return this.x=-this.x,this.y=-this.y,this},t.prototype.normalize=t.prototype.normalize=function(){var e=this.len();return e>0&&(this.x=this.x/e,this.y=this.y/e),this},t.prototype.add=t.prototype.add=function(e){return this.x+=e.x,this.y+=e.y,this},t.prototype.sub=t.prototype.sub=function(e){return this.x-=e.x,this.y-=e.y,this},t.prototype.scale=t.prototype.scale=function(e,t){return this.x*=e,this.y*=void 0!==t?t:e,this},t.prototype.project=t.prototype.project=function(e){var t=this.dot(e)/e.len2();return this.x=t*e.x,this.y=t*e.y,this},t.prototype.projectN=t.prototype.projectN=function(e){var t=this.dot(e);return this.x=t*e.x,this.y=t*e.y,this},t.prototype.reflect=t.prototype.reflect=function(e){var t=this.x,r=this.y;return this.project(e).scale(2),this.x-=t,this.y-=r,this},t.prototype.reflectN=t.prototype.reflectN=function(e){var t=this.x,r=this.y;return this.projectN(e).scale(2),this.x-=t,this.y-=r,this},t.prototype.dot=t.prototype.dot=function(e){return this.x*e.x+this.y*e.y},t.prototype.len2=t.prototype.len2=function(){return this.dot(this)},t.prototype.len=t.prototype.len=function(){return Math.sqrt(this.len2())},e.Circle=r,r.prototype.getAABB=r.prototype.getAABB=function(){var e=this.r;return new o(this.pos.clone().add(this.offset).sub(new t(e,e)),2*e,2*e).toPolygon()},r.prototype.setOffset=r.prototype.setOffset=function(e){return this.offset=e,this},e.Polygon=n,n.prototype.setPoints=n.prototype.setPoints=function(e){if(!this.points||this.points.length!==e.length){var r,n=this.calcPoints=[],o=this.edges=[],a=this.normals=[];for(r=0;r<e.length;r++){var i=e[r],s=r<e.length-1?e[r+1]:e[0];i===s||i.x!==s.x||i.y!==s.y?(n.push(new t),o.push(new t),a.push(new t)):(e.splice(r,1),r-=1)}}return this.points=e,this._recalc(),this},n.prototype.setAngle=n.prototype.setAngle=function(e){return this.angle=e,this._recalc(),this},n.prototype.setOffset=n.prototype.setOffset=function(e){return this.offset=e,this._recalc(),this},n.prototype.rotate=n.prototype.rotate=function(e){for(var t=this.points,r=t.length,n=0;n<r;n++)t[n].rotate(e);return this._recalc(),this},n.prototype.translate=n.prototype.translate=function(e,t){for(var r=this.points,n=r.length,o=0;o<n;o++)r[o].x+=e,r[o].y+=t;return this._recalc(),this},n.prototype._recalc=function(){var e,t=this.calcPoints,r=this.edges,n=this.normals,o=this.points,a=this.offset,i=this.angle,s=o.length;for(e=0;e<s;e++){var l=t[e].copy(o[e]);l.x+=a.x,l.y+=a.y,0!==i&&l.rotate(i)}for(e=0;e<s;e++){var u=t[e],c=e<s-1?t[e+1]:t[0],f=r[e].copy(c).sub(u);n[e].copy(f).perp().normalize()}return this},n.prototype.getAABB=n.prototype.getAABB=function(){for(var e=this.calcPoints,r=e.length,n=e[0].x,a=e[0].y,i=e[0].x,s=e[0].y,l=1;l<r;l++){var u=e[l];u.x<n?n=u.x:u.x>i&&(i=u.x),u.y<a?a=u.y:u.y>s&&(s=u.y)}return new o(this.pos.clone().add(new t(n,a)),i-n,s-a).toPolygon()},n.prototype.getCentroid=n.prototype.getCentroid=function(){for(var e=this.calcPoints,r=e.length,n=0,o=0,a=0,i=0;i<r;i++){var s=e[i],l=i===r-1?e[0]:e[i+1],u=s.x*l.y-l.x*s.y;n+=(s.x+l.x)*u,o+=(s.y+l.y)*u,a+=u}return new t(n/=a*=3,o/=a)},e.Box=o,o.prototype.toPolygon=o.prototype.toPolygon=function(){var e=this.pos,r=this.w,o=this.h;return new n(new t(e.x,e.y),[new t,new t(r,0),new t(r,o),new t(0,o)])},e.Response=a,a.prototype.clear=a.prototype.clear=function(){return this.aInB=!0,this.bInA=!0,this.overlap=Number.MAX_VALUE,this};for(var i=[],s=0;s<10;s++)i.push(new t);var l=[];for(s=0;s<5;s++)l.push([]);var u=new a,c=new o(new t,1e-6,1e-6).toPolygon();function f(e,t,r){for(var n=Number.MAX_VALUE,o=-Number.MAX_VALUE,a=e.length,i=0;i<a;i++){var s=e[i].dot(t);s<n&&(n=s),s>o&&(o=s)}r[0]=n,r[1]=o}function h(e,t,r,n,o,a){var s=l.pop(),u=l.pop(),c=i.pop().copy(t).sub(e),h=c.dot(o);if(f(r,o,s),f(n,o,u),u[0]+=h,u[1]+=h,s[0]>u[1]||u[0]>s[1])return i.push(c),l.push(s),l.push(u),!0;if(a){var p,d,m=0;if(s[0]<u[0])if(a.aInB=!1,s[1]<u[1])m=s[1]-u[0],a.bInA=!1;else m=(p=s[1]-u[0])<(d=u[1]-s[0])?p:-d;else if(a.bInA=!1,s[1]>u[1])m=s[0]-u[1],a.aInB=!1;else m=(p=s[1]-u[0])<(d=u[1]-s[0])?p:-d;var y=Math.abs(m);y<a.overlap&&(a.overlap=y,a.overlapN.copy(o),m<0&&a.overlapN.reverse())}return i.push(c),l.push(s),l.push(u),!1}function p(e,t){var r=e.len2(),n=t.dot(e);return n<0?d:n>r?y:m}e.isSeparatingAxis=h;var d=-1,m=0,y=1;function v(e,t,r){for(var n=i.pop().copy(t.pos).add(t.offset).sub(e.pos),o=t.r,a=o*o,s=e.calcPoints,l=s.length,u=i.pop(),c=i.pop(),f=0;f<l;f++){var h=f===l-1?0:f+1,m=0===f?l-1:f-1,v=0,_=null;u.copy(e.edges[f]),c.copy(n).sub(s[f]),r&&c.len2()>a&&(r.aInB=!1);var g=p(u,c);if(g===d){u.copy(e.edges[m]);var b=i.pop().copy(n).sub(s[m]);if((g=p(u,b))===y){if((S=c.len())>o)return i.push(n),i.push(u),i.push(c),i.push(b),!1;r&&(r.bInA=!1,_=c.normalize(),v=o-S)}i.push(b)}else if(g===y){if(u.copy(e.edges[h]),c.copy(n).sub(s[h]),(g=p(u,c))===d){if((S=c.len())>o)return i.push(n),i.push(u),i.push(c),!1;r&&(r.bInA=!1,_=c.normalize(),v=o-S)}}else{var w=u.perp().normalize(),S=c.dot(w),k=Math.abs(S);if(S>0&&k>o)return i.push(n),i.push(w),i.push(c),!1;r&&(_=w,v=o-S,(S>=0||v<2*o)&&(r.bInA=!1))}_&&r&&Math.abs(v)<Math.abs(r.overlap)&&(r.overlap=v,r.overlapN.copy(_))}return r&&(r.a=e,r.b=t,r.overlapV.copy(r.overlapN).scale(r.overlap)),i.push(n),i.push(u),i.push(c),!0}function _(e,t,r){for(var n=e.calcPoints,o=n.length,a=t.calcPoints,i=a.length,s=0;s<o;s++)if(h(e.pos,t.pos,n,a,e.normals[s],r))return!1;for(s=0;s<i;s++)if(h(e.pos,t.pos,n,a,t.normals[s],r))return!1;return r&&(r.a=e,r.b=t,r.overlapV.copy(r.overlapN).scale(r.overlap)),!0}return e.pointInCircle=function(e,t){var r=i.pop().copy(e).sub(t.pos).sub(t.offset),n=t.r*t.r,o=r.len2();return i.push(r),o<=n},e.pointInPolygon=function(e,t){c.pos.copy(e),u.clear();var r=_(c,t,u);r&&(r=u.aInB);return r},e.testCircleCircle=function(e,t,r){var n=i.pop().copy(t.pos).add(t.offset).sub(e.pos).sub(e.offset),o=e.r+t.r,a=o*o,s=n.len2();if(s>a)return i.push(n),!1;if(r){var l=Math.sqrt(s);r.a=e,r.b=t,r.overlap=o-l,r.overlapN.copy(n.normalize()),r.overlapV.copy(n).scale(r.overlap),r.aInB=e.r<=t.r&&l<=t.r-e.r,r.bInA=t.r<=e.r&&l<=e.r-t.r}return i.push(n),!0},e.testPolygonCircle=v,e.testCirclePolygon=function(e,t,r){var n=v(t,e,r);if(n&&r){var o=r.a,a=r.aInB;r.overlapN.reverse(),r.overlapV.reverse(),r.a=r.b,r.b=o,r.aInB=r.bInA,r.bInA=a}return n},e.testPolygonPolygon=_,e})?n.call(t,r,t,e):n)||(e.exports=o)}()},function(e,t){e.exports=function(){throw new Error("define cannot be used indirect")}},function(e,t){e.exports=function(e){return e.webpackPolyfill||(e.deprecate=function(){},e.paths=[],e.children||(e.children=[]),Object.defineProperty(e,"loaded",{enumerable:!0,get:function(){return e.l}}),Object.defineProperty(e,"id",{enumerable:!0,get:function(){return e.i}}),e.webpackPolyfill=1),e}},function(e,t,r){var n=r(21),o=r(22),a=r(23),i=r(24),s=r(25),l=r(26),u=r(27);u.alea=n,u.xor128=o,u.xorwow=a,u.xorshift7=i,u.xor4096=s,u.tychei=l,e.exports=u},function(e,t){(function(t){e.exports=t}).call(this,{})},function(e,t,r){"use strict";function n(e,t,r){var n=r?" !== ":" === ",o=r?" || ":" && ",a=r?"!":"",i=r?"":"!";switch(e){case"null":return t+n+"null";case"array":return a+"Array.isArray("+t+")";case"object":return"("+a+t+o+"typeof "+t+n+'"object"'+o+i+"Array.isArray("+t+"))";case"integer":return"(typeof "+t+n+'"number"'+o+i+"("+t+" % 1)"+o+t+n+t+")";default:return"typeof "+t+n+'"'+e+'"'}}e.exports={copy:function(e,t){for(var r in t=t||{},e)t[r]=e[r];return t},checkDataType:n,checkDataTypes:function(e,t){switch(e.length){case 1:return n(e[0],t,!0);default:var r="",o=a(e);for(var i in o.array&&o.object&&(r=o.null?"(":"(!"+t+" || ",r+="typeof "+t+' !== "object")',delete o.null,delete o.array,delete o.object),o.number&&delete o.integer,o)r+=(r?" && ":"")+n(i,t,!0);return r}},coerceToTypes:function(e,t){if(Array.isArray(t)){for(var r=[],n=0;n<t.length;n++){var a=t[n];(o[a]||"array"===e&&"array"===a)&&(r[r.length]=a)}if(r.length)return r}else{if(o[t])return[t];if("array"===e&&"array"===t)return["array"]}},toHash:a,getProperty:l,escapeQuotes:u,equal:r(8),ucs2length:r(32),varOccurences:function(e,t){t+="[^0-9]";var r=e.match(new RegExp(t,"g"));return r?r.length:0},varReplace:function(e,t,r){return t+="([^0-9])",r=r.replace(/\$/g,"$$$$"),e.replace(new RegExp(t,"g"),r+"$1")},cleanUpCode:function(e){return e.replace(c,"").replace(f,"").replace(h,"if (!($1))")},finalCleanUpCode:function(e,t){var r=e.match(p);r&&2==r.length&&(e=t?e.replace(m,"").replace(y,"return data;"):e.replace(d,"").replace("return errors === 0;","validate.errors = null; return true;"));return(r=e.match(v))&&3===r.length?e.replace(_,""):e},schemaHasRules:function(e,t){if("boolean"==typeof e)return!e;for(var r in e)if(t[r])return!0},schemaHasRulesExcept:function(e,t,r){if("boolean"==typeof e)return!e&&"not"!=r;for(var n in e)if(n!=r&&t[n])return!0},schemaUnknownRules:function(e,t){if("boolean"==typeof e)return;for(var r in e)if(!t[r])return r},toQuotedString:g,getPathExpr:function(e,t,r,n){return S(e,r?"'/' + "+t+(n?"":".replace(/~/g, '~0').replace(/\\//g, '~1')"):n?"'[' + "+t+" + ']'":"'[\\'' + "+t+" + '\\']'")},getPath:function(e,t,r){var n=g(r?"/"+k(t):l(t));return S(e,n)},getData:function(e,t,r){var n,o,a,i;if(""===e)return"rootData";if("/"==e[0]){if(!b.test(e))throw new Error("Invalid JSON-pointer: "+e);o=e,a="rootData"}else{if(!(i=e.match(w)))throw new Error("Invalid JSON-pointer: "+e);if(n=+i[1],"#"==(o=i[2])){if(n>=t)throw new Error("Cannot access property/index "+n+" levels up, current level is "+t);return r[t-n]}if(n>t)throw new Error("Cannot access data "+n+" levels up, current level is "+t);if(a="data"+(t-n||""),!o)return a}for(var s=a,u=o.split("/"),c=0;c<u.length;c++){var f=u[c];f&&(a+=l(P(f)),s+=" && "+a)}return s},unescapeFragment:function(e){return P(decodeURIComponent(e))},unescapeJsonPointer:P,escapeFragment:function(e){return encodeURIComponent(k(e))},escapeJsonPointer:k};var o=a(["string","number","integer","boolean","null"]);function a(e){for(var t={},r=0;r<e.length;r++)t[e[r]]=!0;return t}var i=/^[a-z$_][a-z$_0-9]*$/i,s=/'|\\/g;function l(e){return"number"==typeof e?"["+e+"]":i.test(e)?"."+e:"['"+u(e)+"']"}function u(e){return e.replace(s,"\\$&").replace(/\n/g,"\\n").replace(/\r/g,"\\r").replace(/\f/g,"\\f").replace(/\t/g,"\\t")}var c=/else\s*{\s*}/g,f=/if\s*\([^)]+\)\s*\{\s*\}(?!\s*else)/g,h=/if\s*\(([^)]+)\)\s*\{\s*\}\s*else(?!\s*if)/g;var p=/[^v.]errors/g,d=/var errors = 0;|var vErrors = null;|validate.errors = vErrors;/g,m=/var errors = 0;|var vErrors = null;/g,y=/if \(errors === 0\) return data;\s*else throw new ValidationError\(vErrors\);/,v=/[^A-Za-z_$]rootData[^A-Za-z0-9_$]/g,_=/if \(rootData === undefined\) rootData = data;/;function g(e){return"'"+u(e)+"'"}var b=/^\/(?:[^~]|~0|~1)*$/,w=/^([0-9]+)(#|\/(?:[^~]|~0|~1)*)?$/;function S(e,t){return'""'==e?t:(e+" + "+t).replace(/' \+ '/g,"")}function k(e){return e.replace(/~/g,"~0").replace(/\//g,"~1")}function P(e){return e.replace(/~1/g,"/").replace(/~0/g,"~")}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}var o=r(31),a=r(8),i=r(6),s=r(10),l=r(33);function u(e,t,r){var n=this._refs[r];if("string"==typeof n){if(!this._refs[n])return u.call(this,e,t,n);n=this._refs[n]}if((n=n||this._schemas[r])instanceof s)return m(n.schema,this._opts.inlineRefs)?n.schema:n.validate||this._compile(n);var o,a,i,l=c.call(this,t,r);return l&&(o=l.schema,t=l.root,i=l.baseId),o instanceof s?a=o.validate||e.call(this,o.schema,t,void 0,i):void 0!==o&&(a=m(o,this._opts.inlineRefs)?o:e.call(this,o,t,void 0,i)),a}function c(e,t){var r=o.parse(t),n=v(r),a=y(this._getId(e.schema));if(0===Object.keys(e.schema).length||n!==a){var i=g(n),l=this._refs[i];if("string"==typeof l)return f.call(this,e,l,r);if(l instanceof s)l.validate||this._compile(l),e=l;else{if(!((l=this._schemas[i])instanceof s))return;if(l.validate||this._compile(l),i==g(t))return{schema:l,root:e,baseId:a};e=l}if(!e.schema)return;a=y(this._getId(e.schema))}return p.call(this,r,a,e.schema,e)}function f(e,t,r){var n=c.call(this,e,t);if(n){var o=n.schema,a=n.baseId;e=n.root;var i=this._getId(o);return i&&(a=b(a,i)),p.call(this,r,a,o,e)}}e.exports=u,u.normalizeId=g,u.fullPath=y,u.url=b,u.ids=function(e){var t=g(this._getId(e)),r={"":t},n={"":y(t,!1)},s={},u=this;return l(e,{allKeys:!0},(function(e,t,l,c,f,h,p){if(""!==t){var d=u._getId(e),m=r[c],y=n[c]+"/"+f;if(void 0!==p&&(y+="/"+("number"==typeof p?p:i.escapeFragment(p))),"string"==typeof d){d=m=g(m?o.resolve(m,d):d);var v=u._refs[d];if("string"==typeof v&&(v=u._refs[v]),v&&v.schema){if(!a(e,v.schema))throw new Error('id "'+d+'" resolves to more than one schema')}else if(d!=g(y))if("#"==d[0]){if(s[d]&&!a(e,s[d]))throw new Error('id "'+d+'" resolves to more than one schema');s[d]=e}else u._refs[d]=y}r[t]=m,n[t]=y}})),s},u.inlineRef=m,u.schema=c;var h=i.toHash(["properties","patternProperties","enum","dependencies","definitions"]);function p(e,t,r,n){if(e.fragment=e.fragment||"","/"==e.fragment.slice(0,1)){for(var o=e.fragment.split("/"),a=1;a<o.length;a++){var s=o[a];if(s){if(void 0===(r=r[s=i.unescapeFragment(s)]))break;var l;if(!h[s]&&((l=this._getId(r))&&(t=b(t,l)),r.$ref)){var u=b(t,r.$ref),f=c.call(this,n,u);f&&(r=f.schema,n=f.root,t=f.baseId)}}}return void 0!==r&&r!==n.schema?{schema:r,root:n,baseId:t}:void 0}}var d=i.toHash(["type","format","pattern","maxLength","minLength","maxProperties","minProperties","maxItems","minItems","maximum","minimum","uniqueItems","multipleOf","required","enum"]);function m(e,t){return!1!==t&&(void 0===t||!0===t?function e(t){var r;if(Array.isArray(t)){for(var o=0;o<t.length;o++)if("object"==n(r=t[o])&&!e(r))return!1}else for(var a in t){if("$ref"==a)return!1;if("object"==n(r=t[a])&&!e(r))return!1}return!0}(e):t?function e(t){var r,o=0;if(Array.isArray(t)){for(var a=0;a<t.length;a++)if("object"==n(r=t[a])&&(o+=e(r)),o==1/0)return 1/0}else for(var i in t){if("$ref"==i)return 1/0;if(d[i])o++;else if("object"==n(r=t[i])&&(o+=e(r)+1),o==1/0)return 1/0}return o}(e)<=t:void 0)}function y(e,t){return!1!==t&&(e=g(e)),v(o.parse(e))}function v(e){return o.serialize(e).split("#")[0]+"#"}var _=/#\/?$/;function g(e){return e?e.replace(_,""):""}function b(e,t){return t=g(t),o.resolve(e,t)}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function e(t,r){if(t===r)return!0;if(t&&r&&"object"==n(t)&&"object"==n(r)){if(t.constructor!==r.constructor)return!1;var o,a,i;if(Array.isArray(t)){if((o=t.length)!=r.length)return!1;for(a=o;0!=a--;)if(!e(t[a],r[a]))return!1;return!0}if(t.constructor===RegExp)return t.source===r.source&&t.flags===r.flags;if(t.valueOf!==Object.prototype.valueOf)return t.valueOf()===r.valueOf();if(t.toString!==Object.prototype.toString)return t.toString()===r.toString();if((o=(i=Object.keys(t)).length)!==Object.keys(r).length)return!1;for(a=o;0!=a--;)if(!Object.prototype.hasOwnProperty.call(r,i[a]))return!1;for(a=o;0!=a--;){var s=i[a];if(!e(t[s],r[s]))return!1}return!0}return t!=t&&r!=r}},function(e,t,r){"use strict";var n=r(7);function o(e,t,r){this.message=r||o.message(e,t),this.missingRef=n.url(e,t),this.missingSchema=n.normalizeId(n.fullPath(this.missingRef))}function a(e){return e.prototype=Object.create(Error.prototype),e.prototype.constructor=e,e}e.exports={Validation:a((function(e){this.message="validation failed",this.errors=e,this.ajv=this.validation=!0})),MissingRef:a(o)},o.message=function(e,t){return"can't resolve reference "+t+" from id "+e}},function(e,t,r){"use strict";var n=r(6);e.exports=function(e){n.copy(e,this)}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function(e,t){t||(t={}),"function"==typeof t&&(t={cmp:t});var r,o="boolean"==typeof t.cycles&&t.cycles,a=t.cmp&&(r=t.cmp,function(e){return function(t,n){var o={key:t,value:e[t]},a={key:n,value:e[n]};return r(o,a)}}),i=[];return function e(t){if(t&&t.toJSON&&"function"==typeof t.toJSON&&(t=t.toJSON()),void 0!==t){if("number"==typeof t)return isFinite(t)?""+t:"null";if("object"!==n(t))return JSON.stringify(t);var r,s;if(Array.isArray(t)){for(s="[",r=0;r<t.length;r++)r&&(s+=","),s+=e(t[r])||"null";return s+"]"}if(null===t)return"null";if(-1!==i.indexOf(t)){if(o)return JSON.stringify("__cycle__");throw new TypeError("Converting circular structure to JSON")}var l=i.push(t)-1,u=Object.keys(t).sort(a&&a(t));for(s="",r=0;r<u.length;r++){var c=u[r],f=e(t[c]);f&&(s&&(s+=","),s+=JSON.stringify(c)+":"+f)}return i.splice(l,1),"{"+s+"}"}}(e)}},function(e,t,r){"use strict";e.exports=function(e,t,r){var n="",o=!0===e.schema.$async,a=e.util.schemaHasRulesExcept(e.schema,e.RULES.all,"$ref"),i=e.self._getId(e.schema);if(e.opts.strictKeywords){var s=e.util.schemaUnknownRules(e.schema,e.RULES.keywords);if(s){var l="unknown keyword: "+s;if("log"!==e.opts.strictKeywords)throw new Error(l);e.logger.warn(l)}}if(e.isTop&&(n+=" var validate = ",o&&(e.async=!0,n+="async "),n+="function(data, dataPath, parentData, parentDataProperty, rootData) { 'use strict'; ",i&&(e.opts.sourceCode||e.opts.processCode)&&(n+=" /*# sourceURL="+i+" */ ")),"boolean"==typeof e.schema||!a&&!e.schema.$ref){var u=e.level,c=e.dataLevel,f=e.schema["false schema"],h=e.schemaPath+e.util.getProperty("false schema"),p=e.errSchemaPath+"/false schema",d=!e.opts.allErrors,m="data"+(c||""),y="valid"+u;if(!1===e.schema){e.isTop?d=!0:n+=" var "+y+" = false; ",(W=W||[]).push(n),n="",!1!==e.createErrors?(n+=" { keyword: 'false schema' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(p)+" , params: {} ",!1!==e.opts.messages&&(n+=" , message: 'boolean schema is false' "),e.opts.verbose&&(n+=" , schema: false , parentSchema: validate.schema"+e.schemaPath+" , data: "+m+" "),n+=" } "):n+=" {} ";var v=n;n=W.pop(),!e.compositeRule&&d?e.async?n+=" throw new ValidationError(["+v+"]); ":n+=" validate.errors = ["+v+"]; return false; ":n+=" var err = "+v+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; "}else e.isTop?n+=o?" return data; ":" validate.errors = null; return true; ":n+=" var "+y+" = true; ";return e.isTop&&(n+=" }; return validate; "),n}if(e.isTop){var _=e.isTop;u=e.level=0,c=e.dataLevel=0,m="data";if(e.rootId=e.resolve.fullPath(e.self._getId(e.root.schema)),e.baseId=e.baseId||e.rootId,delete e.isTop,e.dataPathArr=[void 0],void 0!==e.schema.default&&e.opts.useDefaults&&e.opts.strictDefaults){var g="default is ignored in the schema root";if("log"!==e.opts.strictDefaults)throw new Error(g);e.logger.warn(g)}n+=" var vErrors = null; ",n+=" var errors = 0;     ",n+=" if (rootData === undefined) rootData = data; "}else{u=e.level,m="data"+((c=e.dataLevel)||"");if(i&&(e.baseId=e.resolve.url(e.baseId,i)),o&&!e.async)throw new Error("async schema in sync schema");n+=" var errs_"+u+" = errors;"}y="valid"+u,d=!e.opts.allErrors;var b="",w="",S=e.schema.type,k=Array.isArray(S);if(S&&e.opts.nullable&&!0===e.schema.nullable&&(k?-1==S.indexOf("null")&&(S=S.concat("null")):"null"!=S&&(S=[S,"null"],k=!0)),k&&1==S.length&&(S=S[0],k=!1),e.schema.$ref&&a){if("fail"==e.opts.extendRefs)throw new Error('$ref: validation keywords used in schema at path "'+e.errSchemaPath+'" (see option extendRefs)');!0!==e.opts.extendRefs&&(a=!1,e.logger.warn('$ref: keywords ignored in schema at path "'+e.errSchemaPath+'"'))}if(e.schema.$comment&&e.opts.$comment&&(n+=" "+e.RULES.all.$comment.code(e,"$comment")),S){if(e.opts.coerceTypes)var P=e.util.coerceToTypes(e.opts.coerceTypes,S);var x=e.RULES.types[S];if(P||k||!0===x||x&&!J(x)){h=e.schemaPath+".type",p=e.errSchemaPath+"/type",h=e.schemaPath+".type",p=e.errSchemaPath+"/type";var E=k?"checkDataTypes":"checkDataType";if(n+=" if ("+e.util[E](S,m,!0)+") { ",P){var R="dataType"+u,O="coerced"+u;n+=" var "+R+" = typeof "+m+"; ","array"==e.opts.coerceTypes&&(n+=" if ("+R+" == 'object' && Array.isArray("+m+")) "+R+" = 'array'; "),n+=" var "+O+" = undefined; ";var C="",D=P;if(D)for(var j,T=-1,A=D.length-1;T<A;)j=D[T+=1],T&&(n+=" if ("+O+" === undefined) { ",C+="}"),"array"==e.opts.coerceTypes&&"array"!=j&&(n+=" if ("+R+" == 'array' && "+m+".length == 1) { "+O+" = "+m+" = "+m+"[0]; "+R+" = typeof "+m+";  } "),"string"==j?n+=" if ("+R+" == 'number' || "+R+" == 'boolean') "+O+" = '' + "+m+"; else if ("+m+" === null) "+O+" = ''; ":"number"==j||"integer"==j?(n+=" if ("+R+" == 'boolean' || "+m+" === null || ("+R+" == 'string' && "+m+" && "+m+" == +"+m+" ","integer"==j&&(n+=" && !("+m+" % 1)"),n+=")) "+O+" = +"+m+"; "):"boolean"==j?n+=" if ("+m+" === 'false' || "+m+" === 0 || "+m+" === null) "+O+" = false; else if ("+m+" === 'true' || "+m+" === 1) "+O+" = true; ":"null"==j?n+=" if ("+m+" === '' || "+m+" === 0 || "+m+" === false) "+O+" = null; ":"array"==e.opts.coerceTypes&&"array"==j&&(n+=" if ("+R+" == 'string' || "+R+" == 'number' || "+R+" == 'boolean' || "+m+" == null) "+O+" = ["+m+"]; ");n+=" "+C+" if ("+O+" === undefined) {   ",(W=W||[]).push(n),n="",!1!==e.createErrors?(n+=" { keyword: 'type' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(p)+" , params: { type: '",n+=k?""+S.join(","):""+S,n+="' } ",!1!==e.opts.messages&&(n+=" , message: 'should be ",n+=k?""+S.join(","):""+S,n+="' "),e.opts.verbose&&(n+=" , schema: validate.schema"+h+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+m+" "),n+=" } "):n+=" {} ";v=n;n=W.pop(),!e.compositeRule&&d?e.async?n+=" throw new ValidationError(["+v+"]); ":n+=" validate.errors = ["+v+"]; return false; ":n+=" var err = "+v+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",n+=" } else {  ";var M=c?"data"+(c-1||""):"parentData";n+=" "+m+" = "+O+"; ",c||(n+="if ("+M+" !== undefined)"),n+=" "+M+"["+(c?e.dataPathArr[c]:"parentDataProperty")+"] = "+O+"; } "}else{(W=W||[]).push(n),n="",!1!==e.createErrors?(n+=" { keyword: 'type' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(p)+" , params: { type: '",n+=k?""+S.join(","):""+S,n+="' } ",!1!==e.opts.messages&&(n+=" , message: 'should be ",n+=k?""+S.join(","):""+S,n+="' "),e.opts.verbose&&(n+=" , schema: validate.schema"+h+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+m+" "),n+=" } "):n+=" {} ";v=n;n=W.pop(),!e.compositeRule&&d?e.async?n+=" throw new ValidationError(["+v+"]); ":n+=" validate.errors = ["+v+"]; return false; ":n+=" var err = "+v+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; "}n+=" } "}}if(e.schema.$ref&&!a)n+=" "+e.RULES.all.$ref.code(e,"$ref")+" ",d&&(n+=" } if (errors === ",n+=_?"0":"errs_"+u,n+=") { ",w+="}");else{var L=e.RULES;if(L)for(var I=-1,F=L.length-1;I<F;)if(J(x=L[I+=1])){if(x.type&&(n+=" if ("+e.util.checkDataType(x.type,m)+") { "),e.opts.useDefaults)if("object"==x.type&&e.schema.properties){f=e.schema.properties;var $=Object.keys(f);if($)for(var N,B=-1,V=$.length-1;B<V;){if(void 0!==(q=f[N=$[B+=1]]).default){var z=m+e.util.getProperty(N);if(e.compositeRule){if(e.opts.strictDefaults){g="default is ignored for: "+z;if("log"!==e.opts.strictDefaults)throw new Error(g);e.logger.warn(g)}}else n+=" if ("+z+" === undefined ","empty"==e.opts.useDefaults&&(n+=" || "+z+" === null || "+z+" === '' "),n+=" ) "+z+" = ","shared"==e.opts.useDefaults?n+=" "+e.useDefault(q.default)+" ":n+=" "+JSON.stringify(q.default)+" ",n+="; "}}}else if("array"==x.type&&Array.isArray(e.schema.items)){var U=e.schema.items;if(U){T=-1;for(var q,H=U.length-1;T<H;)if(void 0!==(q=U[T+=1]).default){z=m+"["+T+"]";if(e.compositeRule){if(e.opts.strictDefaults){g="default is ignored for: "+z;if("log"!==e.opts.strictDefaults)throw new Error(g);e.logger.warn(g)}}else n+=" if ("+z+" === undefined ","empty"==e.opts.useDefaults&&(n+=" || "+z+" === null || "+z+" === '' "),n+=" ) "+z+" = ","shared"==e.opts.useDefaults?n+=" "+e.useDefault(q.default)+" ":n+=" "+JSON.stringify(q.default)+" ",n+="; "}}}var Q=x.rules;if(Q)for(var G,X=-1,K=Q.length-1;X<K;)if(Z(G=Q[X+=1])){var Y=G.code(e,G.keyword,x.type);Y&&(n+=" "+Y+" ",d&&(b+="}"))}if(d&&(n+=" "+b+" ",b=""),x.type&&(n+=" } ",S&&S===x.type&&!P)){n+=" else { ";var W;h=e.schemaPath+".type",p=e.errSchemaPath+"/type";(W=W||[]).push(n),n="",!1!==e.createErrors?(n+=" { keyword: 'type' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(p)+" , params: { type: '",n+=k?""+S.join(","):""+S,n+="' } ",!1!==e.opts.messages&&(n+=" , message: 'should be ",n+=k?""+S.join(","):""+S,n+="' "),e.opts.verbose&&(n+=" , schema: validate.schema"+h+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+m+" "),n+=" } "):n+=" {} ";v=n;n=W.pop(),!e.compositeRule&&d?e.async?n+=" throw new ValidationError(["+v+"]); ":n+=" validate.errors = ["+v+"]; return false; ":n+=" var err = "+v+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",n+=" } "}d&&(n+=" if (errors === ",n+=_?"0":"errs_"+u,n+=") { ",w+="}")}}function J(e){for(var t=e.rules,r=0;r<t.length;r++)if(Z(t[r]))return!0}function Z(t){return void 0!==e.schema[t.keyword]||t.implements&&function(t){for(var r=t.implements,n=0;n<r.length;n++)if(void 0!==e.schema[r[n]])return!0}(t)}return d&&(n+=" "+w+" "),_?(o?(n+=" if (errors === 0) return data;           ",n+=" else throw new ValidationError(vErrors); "):(n+=" validate.errors = vErrors; ",n+=" return errors === 0;       "),n+=" }; return validate;"):n+=" var "+y+" = errors === errs_"+u+";",n=e.util.cleanUpCode(n),_&&(n=e.util.finalCleanUpCode(n,o)),n}},function(e,t,r){"use strict";e.exports=function(e,t,r){var n,o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h=e.opts.$data&&s&&s.$data;h?(o+=" var schema"+a+" = "+e.util.getData(s.$data,i,e.dataPathArr)+"; ",n="schema"+a):n=s;var p="maximum"==t,d=p?"exclusiveMaximum":"exclusiveMinimum",m=e.schema[d],y=e.opts.$data&&m&&m.$data,v=p?"<":">",_=p?">":"<",g=void 0;if(y){var b=e.util.getData(m.$data,i,e.dataPathArr),w="exclusive"+a,S="exclType"+a,k="exclIsNumber"+a,P="' + "+(R="op"+a)+" + '";o+=" var schemaExcl"+a+" = "+b+"; ",o+=" var "+w+"; var "+S+" = typeof "+(b="schemaExcl"+a)+"; if ("+S+" != 'boolean' && "+S+" != 'undefined' && "+S+" != 'number') { ";var x;g=d;(x=x||[]).push(o),o="",!1!==e.createErrors?(o+=" { keyword: '"+(g||"_exclusiveLimit")+"' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: {} ",!1!==e.opts.messages&&(o+=" , message: '"+d+" should be boolean' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var E=o;o=x.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+E+"]); ":o+=" validate.errors = ["+E+"]; return false; ":o+=" var err = "+E+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+=" } else if ( ",h&&(o+=" ("+n+" !== undefined && typeof "+n+" != 'number') || "),o+=" "+S+" == 'number' ? ( ("+w+" = "+n+" === undefined || "+b+" "+v+"= "+n+") ? "+f+" "+_+"= "+b+" : "+f+" "+_+" "+n+" ) : ( ("+w+" = "+b+" === true) ? "+f+" "+_+"= "+n+" : "+f+" "+_+" "+n+" ) || "+f+" !== "+f+") { var op"+a+" = "+w+" ? '"+v+"' : '"+v+"='; ",void 0===s&&(g=d,u=e.errSchemaPath+"/"+d,n=b,h=y)}else{P=v;if((k="number"==typeof m)&&h){var R="'"+P+"'";o+=" if ( ",h&&(o+=" ("+n+" !== undefined && typeof "+n+" != 'number') || "),o+=" ( "+n+" === undefined || "+m+" "+v+"= "+n+" ? "+f+" "+_+"= "+m+" : "+f+" "+_+" "+n+" ) || "+f+" !== "+f+") { "}else{k&&void 0===s?(w=!0,g=d,u=e.errSchemaPath+"/"+d,n=m,_+="="):(k&&(n=Math[p?"min":"max"](m,s)),m===(!k||n)?(w=!0,g=d,u=e.errSchemaPath+"/"+d,_+="="):(w=!1,P+="="));R="'"+P+"'";o+=" if ( ",h&&(o+=" ("+n+" !== undefined && typeof "+n+" != 'number') || "),o+=" "+f+" "+_+" "+n+" || "+f+" !== "+f+") { "}}g=g||t,(x=x||[]).push(o),o="",!1!==e.createErrors?(o+=" { keyword: '"+(g||"_limit")+"' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { comparison: "+R+", limit: "+n+", exclusive: "+w+" } ",!1!==e.opts.messages&&(o+=" , message: 'should be "+P+" ",o+=h?"' + "+n:n+"'"),e.opts.verbose&&(o+=" , schema:  ",o+=h?"validate.schema"+l:""+s,o+="         , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";E=o;return o=x.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+E+"]); ":o+=" validate.errors = ["+E+"]; return false; ":o+=" var err = "+E+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+=" } ",c&&(o+=" else { "),o}},function(e,t,r){"use strict";e.exports=function(e,t,r){var n,o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h=e.opts.$data&&s&&s.$data;h?(o+=" var schema"+a+" = "+e.util.getData(s.$data,i,e.dataPathArr)+"; ",n="schema"+a):n=s,o+="if ( ",h&&(o+=" ("+n+" !== undefined && typeof "+n+" != 'number') || "),o+=" "+f+".length "+("maxItems"==t?">":"<")+" "+n+") { ";var p=t,d=d||[];d.push(o),o="",!1!==e.createErrors?(o+=" { keyword: '"+(p||"_limitItems")+"' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { limit: "+n+" } ",!1!==e.opts.messages&&(o+=" , message: 'should NOT have ",o+="maxItems"==t?"more":"fewer",o+=" than ",o+=h?"' + "+n+" + '":""+s,o+=" items' "),e.opts.verbose&&(o+=" , schema:  ",o+=h?"validate.schema"+l:""+s,o+="         , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var m=o;return o=d.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+m+"]); ":o+=" validate.errors = ["+m+"]; return false; ":o+=" var err = "+m+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+="} ",c&&(o+=" else { "),o}},function(e,t,r){"use strict";e.exports=function(e,t,r){var n,o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h=e.opts.$data&&s&&s.$data;h?(o+=" var schema"+a+" = "+e.util.getData(s.$data,i,e.dataPathArr)+"; ",n="schema"+a):n=s;var p="maxLength"==t?">":"<";o+="if ( ",h&&(o+=" ("+n+" !== undefined && typeof "+n+" != 'number') || "),!1===e.opts.unicode?o+=" "+f+".length ":o+=" ucs2length("+f+") ",o+=" "+p+" "+n+") { ";var d=t,m=m||[];m.push(o),o="",!1!==e.createErrors?(o+=" { keyword: '"+(d||"_limitLength")+"' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { limit: "+n+" } ",!1!==e.opts.messages&&(o+=" , message: 'should NOT be ",o+="maxLength"==t?"longer":"shorter",o+=" than ",o+=h?"' + "+n+" + '":""+s,o+=" characters' "),e.opts.verbose&&(o+=" , schema:  ",o+=h?"validate.schema"+l:""+s,o+="         , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var y=o;return o=m.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+y+"]); ":o+=" validate.errors = ["+y+"]; return false; ":o+=" var err = "+y+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+="} ",c&&(o+=" else { "),o}},function(e,t,r){"use strict";e.exports=function(e,t,r){var n,o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h=e.opts.$data&&s&&s.$data;h?(o+=" var schema"+a+" = "+e.util.getData(s.$data,i,e.dataPathArr)+"; ",n="schema"+a):n=s,o+="if ( ",h&&(o+=" ("+n+" !== undefined && typeof "+n+" != 'number') || "),o+=" Object.keys("+f+").length "+("maxProperties"==t?">":"<")+" "+n+") { ";var p=t,d=d||[];d.push(o),o="",!1!==e.createErrors?(o+=" { keyword: '"+(p||"_limitProperties")+"' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { limit: "+n+" } ",!1!==e.opts.messages&&(o+=" , message: 'should NOT have ",o+="maxProperties"==t?"more":"fewer",o+=" than ",o+=h?"' + "+n+" + '":""+s,o+=" properties' "),e.opts.verbose&&(o+=" , schema:  ",o+=h?"validate.schema"+l:""+s,o+="         , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var m=o;return o=d.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+m+"]); ":o+=" validate.errors = ["+m+"]; return false; ":o+=" var err = "+m+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+="} ",c&&(o+=" else { "),o}},function(e){e.exports=JSON.parse('{"$schema":"http://json-schema.org/draft-07/schema#","$id":"http://json-schema.org/draft-07/schema#","title":"Core schema meta-schema","definitions":{"schemaArray":{"type":"array","minItems":1,"items":{"$ref":"#"}},"nonNegativeInteger":{"type":"integer","minimum":0},"nonNegativeIntegerDefault0":{"allOf":[{"$ref":"#/definitions/nonNegativeInteger"},{"default":0}]},"simpleTypes":{"enum":["array","boolean","integer","null","number","object","string"]},"stringArray":{"type":"array","items":{"type":"string"},"uniqueItems":true,"default":[]}},"type":["object","boolean"],"properties":{"$id":{"type":"string","format":"uri-reference"},"$schema":{"type":"string","format":"uri"},"$ref":{"type":"string","format":"uri-reference"},"$comment":{"type":"string"},"title":{"type":"string"},"description":{"type":"string"},"default":true,"readOnly":{"type":"boolean","default":false},"examples":{"type":"array","items":true},"multipleOf":{"type":"number","exclusiveMinimum":0},"maximum":{"type":"number"},"exclusiveMaximum":{"type":"number"},"minimum":{"type":"number"},"exclusiveMinimum":{"type":"number"},"maxLength":{"$ref":"#/definitions/nonNegativeInteger"},"minLength":{"$ref":"#/definitions/nonNegativeIntegerDefault0"},"pattern":{"type":"string","format":"regex"},"additionalItems":{"$ref":"#"},"items":{"anyOf":[{"$ref":"#"},{"$ref":"#/definitions/schemaArray"}],"default":true},"maxItems":{"$ref":"#/definitions/nonNegativeInteger"},"minItems":{"$ref":"#/definitions/nonNegativeIntegerDefault0"},"uniqueItems":{"type":"boolean","default":false},"contains":{"$ref":"#"},"maxProperties":{"$ref":"#/definitions/nonNegativeInteger"},"minProperties":{"$ref":"#/definitions/nonNegativeIntegerDefault0"},"required":{"$ref":"#/definitions/stringArray"},"additionalProperties":{"$ref":"#"},"definitions":{"type":"object","additionalProperties":{"$ref":"#"},"default":{}},"properties":{"type":"object","additionalProperties":{"$ref":"#"},"default":{}},"patternProperties":{"type":"object","additionalProperties":{"$ref":"#"},"propertyNames":{"format":"regex"},"default":{}},"dependencies":{"type":"object","additionalProperties":{"anyOf":[{"$ref":"#"},{"$ref":"#/definitions/stringArray"}]}},"propertyNames":{"$ref":"#"},"const":true,"enum":{"type":"array","items":true,"minItems":1,"uniqueItems":true},"type":{"anyOf":[{"$ref":"#/definitions/simpleTypes"},{"type":"array","items":{"$ref":"#/definitions/simpleTypes"},"minItems":1,"uniqueItems":true}]},"format":{"type":"string"},"contentMediaType":{"type":"string"},"contentEncoding":{"type":"string"},"if":{"$ref":"#"},"then":{"$ref":"#"},"else":{"$ref":"#"},"allOf":{"$ref":"#/definitions/schemaArray"},"anyOf":{"$ref":"#/definitions/schemaArray"},"oneOf":{"$ref":"#/definitions/schemaArray"},"not":{"$ref":"#"}},"default":true}')},function(module,__webpack_exports__,__webpack_require__){"use strict";function _classCallCheck(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}function _defineProperties(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function _createClass(e,t,r){return t&&_defineProperties(e.prototype,t),r&&_defineProperties(e,r),e}var extendedMath=__webpack_require__(29),TankController=function(){function e(){_classCallCheck(this,e),this._initCallback=function(){},this._loopCallback=function(){}}return _createClass(e,[{key:"loop",value:function(e){this._loopCallback=e}},{key:"init",value:function(e){this._initCallback=e}}]),e}(),EvalWorker=function(){function EvalWorker(){_classCallCheck(this,EvalWorker),this.onmessage=function(e){},this._callStackLimit=100,this._callStackCount=0,this._tankController=new TankController}return _createClass(EvalWorker,[{key:"postMessage",value:function postMessage(inputData){var _this=this,response=null;if("init"==inputData.command){if(!inputData.code)throw"The code is required!";var settings=inputData.settings,info=inputData.info,Math=extendedMath(),tank=this._tankController;eval(inputData.code),tank._initCallback(settings,info),response={data:{type:"init",settings:settings}}}else if("update"==inputData.command){var state=inputData.state,control=inputData.control;this._tankController._loopCallback?(this._tankController._loopCallback(state,control),response={data:control}):response={data:control}}this._callStackCount<this._callStackLimit?(this._callStackCount++,this.onmessage(response)):(this._callStackCount=0,setTimeout((function(){_this.onmessage(response)}),1))}},{key:"terminate",value:function(){}}]),EvalWorker}();__webpack_exports__.a=EvalWorker},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}var o=r(30),a=r(7),i=r(34),s=r(10),l=r(11),u=r(35),c=r(36),f=r(57),h=r(6);e.exports=_,_.prototype.validate=function(e,t){var r;if("string"==typeof e){if(!(r=this.getSchema(e)))throw new Error('no schema with key or ref "'+e+'"')}else{var n=this._addSchema(e);r=n.validate||this._compile(n)}var o=r(t);!0!==r.$async&&(this.errors=r.errors);return o},_.prototype.compile=function(e,t){var r=this._addSchema(e,void 0,t);return r.validate||this._compile(r)},_.prototype.addSchema=function(e,t,r,n){if(Array.isArray(e)){for(var o=0;o<e.length;o++)this.addSchema(e[o],void 0,r,n);return this}var i=this._getId(e);if(void 0!==i&&"string"!=typeof i)throw new Error("schema id must be string");return P(this,t=a.normalizeId(t||i)),this._schemas[t]=this._addSchema(e,r,n,!0),this},_.prototype.addMetaSchema=function(e,t,r){return this.addSchema(e,t,r,!0),this},_.prototype.validateSchema=function(e,t){var r=e.$schema;if(void 0!==r&&"string"!=typeof r)throw new Error("$schema must be a string");if(!(r=r||this._opts.defaultMeta||function(e){var t=e._opts.meta;return e._opts.defaultMeta="object"==n(t)?e._getId(t)||t:e.getSchema(m)?m:void 0,e._opts.defaultMeta}(this)))return this.logger.warn("meta-schema not available"),this.errors=null,!0;var o=this.validate(r,e);if(!o&&t){var a="schema is invalid: "+this.errorsText();if("log"!=this._opts.validateSchema)throw new Error(a);this.logger.error(a)}return o},_.prototype.getSchema=function(e){var t=g(this,e);switch(n(t)){case"object":return t.validate||this._compile(t);case"string":return this.getSchema(t);case"undefined":return function(e,t){var r=a.schema.call(e,{schema:{}},t);if(r){var n=r.schema,i=r.root,l=r.baseId,u=o.call(e,n,i,void 0,l);return e._fragments[t]=new s({ref:t,fragment:!0,schema:n,root:i,baseId:l,validate:u}),u}}(this,e)}},_.prototype.removeSchema=function(e){if(e instanceof RegExp)return b(this,this._schemas,e),b(this,this._refs,e),this;switch(n(e)){case"undefined":return b(this,this._schemas),b(this,this._refs),this._cache.clear(),this;case"string":var t=g(this,e);return t&&this._cache.del(t.cacheKey),delete this._schemas[e],delete this._refs[e],this;case"object":var r=this._opts.serialize,o=r?r(e):e;this._cache.del(o);var i=this._getId(e);i&&(i=a.normalizeId(i),delete this._schemas[i],delete this._refs[i])}return this},_.prototype.addFormat=function(e,t){"string"==typeof t&&(t=new RegExp(t));return this._formats[e]=t,this},_.prototype.errorsText=function(e,t){if(!(e=e||this.errors))return"No errors";for(var r=void 0===(t=t||{}).separator?", ":t.separator,n=void 0===t.dataVar?"data":t.dataVar,o="",a=0;a<e.length;a++){var i=e[a];i&&(o+=n+i.dataPath+" "+i.message+r)}return o.slice(0,-r.length)},_.prototype._addSchema=function(e,t,r,o){if("object"!=n(e)&&"boolean"!=typeof e)throw new Error("schema should be object or boolean");var i=this._opts.serialize,l=i?i(e):e,u=this._cache.get(l);if(u)return u;o=o||!1!==this._opts.addUsedSchema;var c=a.normalizeId(this._getId(e));c&&o&&P(this,c);var f,h=!1!==this._opts.validateSchema&&!t;h&&!(f=c&&c==a.normalizeId(e.$schema))&&this.validateSchema(e,!0);var p=a.ids.call(this,e),d=new s({id:c,schema:e,localRefs:p,cacheKey:l,meta:r});"#"!=c[0]&&o&&(this._refs[c]=d);this._cache.put(l,d),h&&f&&this.validateSchema(e,!0);return d},_.prototype._compile=function(e,t){if(e.compiling)return e.validate=a,a.schema=e.schema,a.errors=null,a.root=t||a,!0===e.schema.$async&&(a.$async=!0),a;var r,n;e.compiling=!0,e.meta&&(r=this._opts,this._opts=this._metaOpts);try{n=o.call(this,e.schema,t,e.localRefs)}catch(t){throw delete e.validate,t}finally{e.compiling=!1,e.meta&&(this._opts=r)}return e.validate=n,e.refs=n.refs,e.refVal=n.refVal,e.root=n.root,n;function a(){var t=e.validate,r=t.apply(this,arguments);return a.errors=t.errors,r}},_.prototype.compileAsync=r(58);var p=r(59);_.prototype.addKeyword=p.add,_.prototype.getKeyword=p.get,_.prototype.removeKeyword=p.remove,_.prototype.validateKeyword=p.validate;var d=r(9);_.ValidationError=d.Validation,_.MissingRefError=d.MissingRef,_.$dataMetaSchema=f;var m="http://json-schema.org/draft-07/schema",y=["removeAdditional","useDefaults","coerceTypes","strictDefaults"],v=["/properties"];function _(e){if(!(this instanceof _))return new _(e);e=this._opts=h.copy(e)||{},function(e){var t=e._opts.logger;if(!1===t)e.logger={log:x,warn:x,error:x};else{if(void 0===t&&(t=console),!("object"==n(t)&&t.log&&t.warn&&t.error))throw new Error("logger must implement log, warn and error methods");e.logger=t}}(this),this._schemas={},this._refs={},this._fragments={},this._formats=u(e.format),this._cache=e.cache||new i,this._loadingSchemas={},this._compilations=[],this.RULES=c(),this._getId=function(e){switch(e.schemaId){case"auto":return k;case"id":return w;default:return S}}(e),e.loopRequired=e.loopRequired||1/0,"property"==e.errorDataPath&&(e._errorDataPathProperty=!0),void 0===e.serialize&&(e.serialize=l),this._metaOpts=function(e){for(var t=h.copy(e._opts),r=0;r<y.length;r++)delete t[y[r]];return t}(this),e.formats&&function(e){for(var t in e._opts.formats){var r=e._opts.formats[t];e.addFormat(t,r)}}(this),e.keywords&&function(e){for(var t in e._opts.keywords){var r=e._opts.keywords[t];e.addKeyword(t,r)}}(this),function(e){var t;e._opts.$data&&(t=r(62),e.addMetaSchema(t,t.$id,!0));if(!1===e._opts.meta)return;var n=r(17);e._opts.$data&&(n=f(n,v));e.addMetaSchema(n,m,!0),e._refs["http://json-schema.org/schema"]=m}(this),"object"==n(e.meta)&&this.addMetaSchema(e.meta),e.nullable&&this.addKeyword("nullable",{metaSchema:{type:"boolean"}}),function(e){var t=e._opts.schemas;if(!t)return;if(Array.isArray(t))e.addSchema(t);else for(var r in t)e.addSchema(t[r],r)}(this)}function g(e,t){return t=a.normalizeId(t),e._schemas[t]||e._refs[t]||e._fragments[t]}function b(e,t,r){for(var n in t){var o=t[n];o.meta||r&&!r.test(n)||(e._cache.del(o.cacheKey),delete t[n])}}function w(e){return e.$id&&this.logger.warn("schema $id ignored",e.$id),e.id}function S(e){return e.id&&this.logger.warn("schema id ignored",e.id),e.$id}function k(e){if(e.$id&&e.id&&e.$id!=e.id)throw new Error("schema $id is different from id");return e.$id||e.id}function P(e,t){if(e._schemas[t]||e._refs[t])throw new Error('schema with key or id "'+t+'" already exists')}function x(){}},function(e){e.exports=JSON.parse('{"definitions":{},"$schema":"http://json-schema.org/draft-07/schema#","$id":"http://jsbattle.jmrlab.com/schema/ubd-schema-v3.json","type":"object","title":"The Ultimate Battle Descriptor Schema","version":4,"required":["version","rngSeed","timeLimit","teamMode","aiList"],"properties":{"version":{"$id":"#/properties/version","enum":[4],"title":"Version of the schema"},"rngSeed":{"$id":"#/properties/rngSeed","type":"number","title":"Battle RNG seed","default":0,"examples":[0.850067584253805]},"timeLimit":{"$id":"#/properties/timeLimit","type":"number","title":"Duration of the battle in ms (or zero if no limit defined","default":0,"examples":[0,20000]},"teamMode":{"$id":"#/properties/teamMode","type":"boolean","title":"Team death match","default":false,"examples":[false]},"aiList":{"$id":"#/properties/aiList","type":"array","minItems":2,"maxItems":40,"title":"List of AIs that joins the battle","items":{"$id":"#/properties/aiList/items","type":"object","title":"Tank AI","required":["name","team","code","initData","useSandbox","executionLimit"],"properties":{"name":{"$id":"#/properties/aiList/items/properties/name","type":"string","title":"Name of tank","default":"","examples":["User Created Tank"],"pattern":"^(.*)$"},"team":{"$id":"#/properties/aiList/items/properties/team","type":"string","title":"Team of the tank","default":"","examples":["10i42s2ca"],"pattern":"^(.*)$"},"code":{"$id":"#/properties/aiList/items/properties/code","anyOf":[{"type":"string"},{"type":"null"}],"title":"Code of the AI","default":"","examples":["var a = 1;"]},"initData":{"$id":"#/properties/aiList/items/properties/initData","default":null,"title":"Initial data of AI","anyOf":[{"type":"object"},{"type":"null"}],"examples":[null]},"useSandbox":{"$id":"#/properties/aiList/items/properties/useSandbox","type":"boolean","title":"Use sandbox for AI execution","default":true,"examples":[true]},"executionLimit":{"$id":"#/properties/aiList/items/properties/executionLimit","type":"integer","title":"AI code execution time limit in ms","default":100,"examples":[100]},"count":{"$id":"#/properties/aiList/items/properties/count","type":"integer","title":"count of AIs to added","default":1,"examples":[3]}}}}}}')},function(e,t,r){(function(e){var n;function o(e){return(o="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}!function(e,a,i){function s(e){var t,r=this,n=(t=4022871197,function(e){e=String(e);for(var r=0;r<e.length;r++){var n=.02519603282416938*(t+=e.charCodeAt(r));n-=t=n>>>0,t=(n*=t)>>>0,t+=4294967296*(n-=t)}return 2.3283064365386963e-10*(t>>>0)});r.next=function(){var e=2091639*r.s0+2.3283064365386963e-10*r.c;return r.s0=r.s1,r.s1=r.s2,r.s2=e-(r.c=0|e)},r.c=1,r.s0=n(" "),r.s1=n(" "),r.s2=n(" "),r.s0-=n(e),r.s0<0&&(r.s0+=1),r.s1-=n(e),r.s1<0&&(r.s1+=1),r.s2-=n(e),r.s2<0&&(r.s2+=1),n=null}function l(e,t){return t.c=e.c,t.s0=e.s0,t.s1=e.s1,t.s2=e.s2,t}function u(e,t){var r=new s(e),n=t&&t.state,a=r.next;return a.int32=function(){return 4294967296*r.next()|0},a.double=function(){return a()+11102230246251565e-32*(2097152*a()|0)},a.quick=a,n&&("object"==o(n)&&l(n,r),a.state=function(){return l(r,{})}),a}a&&a.exports?a.exports=u:r(2)&&r(5)?void 0===(n=function(){return u}.call(t,r,t,a))||(a.exports=n):this.alea=u}(0,"object"==o(e)&&e,r(2))}).call(this,r(3)(e))},function(e,t,r){(function(e){var n;function o(e){return(o="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}!function(e,a,i){function s(e){var t=this,r="";t.x=0,t.y=0,t.z=0,t.w=0,t.next=function(){var e=t.x^t.x<<11;return t.x=t.y,t.y=t.z,t.z=t.w,t.w^=t.w>>>19^e^e>>>8},e===(0|e)?t.x=e:r+=e;for(var n=0;n<r.length+64;n++)t.x^=0|r.charCodeAt(n),t.next()}function l(e,t){return t.x=e.x,t.y=e.y,t.z=e.z,t.w=e.w,t}function u(e,t){var r=new s(e),n=t&&t.state,a=function(){return(r.next()>>>0)/4294967296};return a.double=function(){do{var e=((r.next()>>>11)+(r.next()>>>0)/4294967296)/(1<<21)}while(0===e);return e},a.int32=r.next,a.quick=a,n&&("object"==o(n)&&l(n,r),a.state=function(){return l(r,{})}),a}a&&a.exports?a.exports=u:r(2)&&r(5)?void 0===(n=function(){return u}.call(t,r,t,a))||(a.exports=n):this.xor128=u}(0,"object"==o(e)&&e,r(2))}).call(this,r(3)(e))},function(e,t,r){(function(e){var n;function o(e){return(o="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}!function(e,a,i){function s(e){var t=this,r="";t.next=function(){var e=t.x^t.x>>>2;return t.x=t.y,t.y=t.z,t.z=t.w,t.w=t.v,(t.d=t.d+362437|0)+(t.v=t.v^t.v<<4^e^e<<1)|0},t.x=0,t.y=0,t.z=0,t.w=0,t.v=0,e===(0|e)?t.x=e:r+=e;for(var n=0;n<r.length+64;n++)t.x^=0|r.charCodeAt(n),n==r.length&&(t.d=t.x<<10^t.x>>>4),t.next()}function l(e,t){return t.x=e.x,t.y=e.y,t.z=e.z,t.w=e.w,t.v=e.v,t.d=e.d,t}function u(e,t){var r=new s(e),n=t&&t.state,a=function(){return(r.next()>>>0)/4294967296};return a.double=function(){do{var e=((r.next()>>>11)+(r.next()>>>0)/4294967296)/(1<<21)}while(0===e);return e},a.int32=r.next,a.quick=a,n&&("object"==o(n)&&l(n,r),a.state=function(){return l(r,{})}),a}a&&a.exports?a.exports=u:r(2)&&r(5)?void 0===(n=function(){return u}.call(t,r,t,a))||(a.exports=n):this.xorwow=u}(0,"object"==o(e)&&e,r(2))}).call(this,r(3)(e))},function(e,t,r){(function(e){var n;function o(e){return(o="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}!function(e,o,a){function i(e){var t=this;t.next=function(){var e,r,n=t.x,o=t.i;return e=n[o],r=(e^=e>>>7)^e<<24,r^=(e=n[o+1&7])^e>>>10,r^=(e=n[o+3&7])^e>>>3,r^=(e=n[o+4&7])^e<<7,e=n[o+7&7],r^=(e^=e<<13)^e<<9,n[o]=r,t.i=o+1&7,r},function(e,t){var r,n=[];if(t===(0|t))n[0]=t;else for(t=""+t,r=0;r<t.length;++r)n[7&r]=n[7&r]<<15^t.charCodeAt(r)+n[r+1&7]<<13;for(;n.length<8;)n.push(0);for(r=0;r<8&&0===n[r];++r);for(8==r?n[7]=-1:n[r],e.x=n,e.i=0,r=256;r>0;--r)e.next()}(t,e)}function s(e,t){return t.x=e.x.slice(),t.i=e.i,t}function l(e,t){null==e&&(e=+new Date);var r=new i(e),n=t&&t.state,o=function(){return(r.next()>>>0)/4294967296};return o.double=function(){do{var e=((r.next()>>>11)+(r.next()>>>0)/4294967296)/(1<<21)}while(0===e);return e},o.int32=r.next,o.quick=o,n&&(n.x&&s(n,r),o.state=function(){return s(r,{})}),o}o&&o.exports?o.exports=l:r(2)&&r(5)?void 0===(n=function(){return l}.call(t,r,t,o))||(o.exports=n):this.xorshift7=l}(0,"object"==o(e)&&e,r(2))}).call(this,r(3)(e))},function(e,t,r){(function(e){var n;function o(e){return(o="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}!function(e,o,a){function i(e){var t=this;t.next=function(){var e,r,n=t.w,o=t.X,a=t.i;return t.w=n=n+1640531527|0,r=o[a+34&127],e=o[a=a+1&127],r^=r<<13,e^=e<<17,r^=r>>>15,e^=e>>>12,r=o[a]=r^e,t.i=a,r+(n^n>>>16)|0},function(e,t){var r,n,o,a,i,s=[],l=128;for(t===(0|t)?(n=t,t=null):(t+="\0",n=0,l=Math.max(l,t.length)),o=0,a=-32;a<l;++a)t&&(n^=t.charCodeAt((a+32)%t.length)),0===a&&(i=n),n^=n<<10,n^=n>>>15,n^=n<<4,n^=n>>>13,a>=0&&(i=i+1640531527|0,o=0==(r=s[127&a]^=n+i)?o+1:0);for(o>=128&&(s[127&(t&&t.length||0)]=-1),o=127,a=512;a>0;--a)n=s[o+34&127],r=s[o=o+1&127],n^=n<<13,r^=r<<17,n^=n>>>15,r^=r>>>12,s[o]=n^r;e.w=i,e.X=s,e.i=o}(t,e)}function s(e,t){return t.i=e.i,t.w=e.w,t.X=e.X.slice(),t}function l(e,t){null==e&&(e=+new Date);var r=new i(e),n=t&&t.state,o=function(){return(r.next()>>>0)/4294967296};return o.double=function(){do{var e=((r.next()>>>11)+(r.next()>>>0)/4294967296)/(1<<21)}while(0===e);return e},o.int32=r.next,o.quick=o,n&&(n.X&&s(n,r),o.state=function(){return s(r,{})}),o}o&&o.exports?o.exports=l:r(2)&&r(5)?void 0===(n=function(){return l}.call(t,r,t,o))||(o.exports=n):this.xor4096=l}(0,"object"==o(e)&&e,r(2))}).call(this,r(3)(e))},function(e,t,r){(function(e){var n;function o(e){return(o="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}!function(e,a,i){function s(e){var t=this,r="";t.next=function(){var e=t.b,r=t.c,n=t.d,o=t.a;return e=e<<25^e>>>7^r,r=r-n|0,n=n<<24^n>>>8^o,o=o-e|0,t.b=e=e<<20^e>>>12^r,t.c=r=r-n|0,t.d=n<<16^r>>>16^o,t.a=o-e|0},t.a=0,t.b=0,t.c=-1640531527,t.d=1367130551,e===Math.floor(e)?(t.a=e/4294967296|0,t.b=0|e):r+=e;for(var n=0;n<r.length+20;n++)t.b^=0|r.charCodeAt(n),t.next()}function l(e,t){return t.a=e.a,t.b=e.b,t.c=e.c,t.d=e.d,t}function u(e,t){var r=new s(e),n=t&&t.state,a=function(){return(r.next()>>>0)/4294967296};return a.double=function(){do{var e=((r.next()>>>11)+(r.next()>>>0)/4294967296)/(1<<21)}while(0===e);return e},a.int32=r.next,a.quick=a,n&&("object"==o(n)&&l(n,r),a.state=function(){return l(r,{})}),a}a&&a.exports?a.exports=u:r(2)&&r(5)?void 0===(n=function(){return u}.call(t,r,t,a))||(a.exports=n):this.tychei=u}(0,"object"==o(e)&&e,r(2))}).call(this,r(3)(e))},function(e,t,r){(function(e){var n;function o(e){return(o="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}!function(a,i,s){var l,u=s.pow(256,6),c=s.pow(2,52),f=2*c;function h(e,t,r){var n=[],h=m(function e(t,r){var n,a=[],i=o(t);if(r&&"object"==i)for(n in t)try{a.push(e(t[n],r-1))}catch(e){}return a.length?a:"string"==i?t:t+"\0"}((t=1==t?{entropy:!0}:t||{}).entropy?[e,y(i)]:null==e?function(){try{var e;return l&&(e=l.randomBytes)?e=e(256):(e=new Uint8Array(256),(a.crypto||a.msCrypto).getRandomValues(e)),y(e)}catch(e){var t=a.navigator,r=t&&t.plugins;return[+new Date,a,r,a.screen,y(i)]}}():e,3),n),v=new p(n),_=function(){for(var e=v.g(6),t=u,r=0;e<c;)e=256*(e+r),t*=256,r=v.g(1);for(;e>=f;)e/=2,t/=2,r>>>=1;return(e+r)/t};return _.int32=function(){return 0|v.g(4)},_.quick=function(){return v.g(4)/4294967296},_.double=_,m(y(v.S),i),(t.pass||r||function(e,t,r,n){return n&&(n.S&&d(n,v),e.state=function(){return d(v,{})}),r?(s.random=e,t):e})(_,h,"global"in t?t.global:this==s,t.state)}function p(e){var t,r=e.length,n=this,o=0,a=n.i=n.j=0,i=n.S=[];for(r||(e=[r++]);o<256;)i[o]=o++;for(o=0;o<256;o++)i[o]=i[a=255&a+e[o%r]+(t=i[o])],i[a]=t;(n.g=function(e){for(var t,r=0,o=n.i,a=n.j,i=n.S;e--;)t=i[o=255&o+1],r=256*r+i[255&(i[o]=i[a=255&a+t])+(i[a]=t)];return n.i=o,n.j=a,r})(256)}function d(e,t){return t.i=e.i,t.j=e.j,t.S=e.S.slice(),t}function m(e,t){for(var r,n=e+"",o=0;o<n.length;)t[255&o]=255&(r^=19*t[255&o])+n.charCodeAt(o++);return y(t)}function y(e){return String.fromCharCode.apply(0,e)}if(m(s.random(),i),"object"==o(e)&&e.exports){e.exports=h;try{l=r(28)}catch(e){}}else void 0===(n=function(){return h}.call(t,r,t,e))||(e.exports=n)}("undefined"!=typeof self?self:this,[],Math)}).call(this,r(3)(e))},function(e,t){},function(e,t){e.exports=function(){var e={},t=["LN10","PI","E","LOG10E","SQRT2","LOG2E","SQRT1_2","LN2","cos","pow","log","tan","sqrt","ceil","asin","abs","max","exp","atan2","random","round","floor","acos","atan","min","sin"];for(var r in t)e[t[r]]=Math[t[r]];return e.deg={},e.rad={},e.deg.normalize=function(e){for(e=Number(e);e>180;)e-=360;for(;e<=-180;)e+=360;return e},e.rad.normalize=function(t){for(t=Number(t);t>e.PI;)t-=2*e.PI;for(;t<=-e.PI;)t+=2*e.PI;return t},e.deg2rad=function(t){return e.rad.normalize(t*(e.PI/180))},e.rad2deg=function(t){return e.deg.normalize(t*(180/e.PI))},e.rad.atan2=e.atan2,e.deg.atan2=function(t,r){return e.rad2deg(e.rad.atan2(t,r))},e.distance=function(t,r,n,o){var a=n-t,i=o-r;return e.sqrt(a*a+i*i)},e.randomRange=function(t,r){if(t>r)throw"The range is incorrect. First number must be lower than second";return t+e.random()*(r-t)},e}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}var o=r(7),a=r(6),i=r(9),s=r(11),l=r(12),u=a.ucs2length,c=r(8),f=i.Validation;function h(e,t,r){var n=d.call(this,e,t,r);return n>=0?{index:n,compiling:!0}:(n=this._compilations.length,this._compilations[n]={schema:e,root:t,baseId:r},{index:n,compiling:!1})}function p(e,t,r){var n=d.call(this,e,t,r);n>=0&&this._compilations.splice(n,1)}function d(e,t,r){for(var n=0;n<this._compilations.length;n++){var o=this._compilations[n];if(o.schema==e&&o.root==t&&o.baseId==r)return n}return-1}function m(e,t){return"var pattern"+e+" = new RegExp("+a.toQuotedString(t[e])+");"}function y(e){return"var default"+e+" = defaults["+e+"];"}function v(e,t){return void 0===t[e]?"":"var refVal"+e+" = refVal["+e+"];"}function _(e){return"var customRule"+e+" = customRules["+e+"];"}function g(e,t){if(!e.length)return"";for(var r="",n=0;n<e.length;n++)r+=t(n,e);return r}e.exports=function e(t,r,d,b){var w=this,S=this._opts,k=[void 0],P={},x=[],E={},R=[],O={},C=[];r=r||{schema:t,refVal:k,refs:P};var D=h.call(this,t,r,b),j=this._compilations[D.index];if(D.compiling)return j.callValidate=function e(){var t=j.validate,r=t.apply(this,arguments);return e.errors=t.errors,r};var T=this._formats,A=this.RULES;try{var M=I(t,r,d,b);j.validate=M;var L=j.callValidate;return L&&(L.schema=M.schema,L.errors=null,L.refs=M.refs,L.refVal=M.refVal,L.root=M.root,L.$async=M.$async,S.sourceCode&&(L.source=M.source)),M}finally{p.call(this,t,r,b)}function I(t,n,s,h){var p=!n||n&&n.schema==t;if(n.schema!=r.schema)return e.call(w,t,n,s,h);var d,b=!0===t.$async,E=l({isTop:!0,schema:t,isRoot:p,baseId:h,root:n,schemaPath:"",errSchemaPath:"#",errorPath:'""',MissingRefError:i.MissingRef,RULES:A,validate:l,util:a,resolve:o,resolveRef:F,usePattern:B,useDefault:V,useCustomRule:z,opts:S,formats:T,logger:w.logger,self:w});E=g(k,v)+g(x,m)+g(R,y)+g(C,_)+E,S.processCode&&(E=S.processCode(E));try{d=new Function("self","RULES","formats","root","refVal","defaults","customRules","equal","ucs2length","ValidationError",E)(w,A,T,r,k,R,C,c,u,f),k[0]=d}catch(e){throw w.logger.error("Error compiling schema, function code:",E),e}return d.schema=t,d.errors=null,d.refs=P,d.refVal=k,d.root=p?d:n,b&&(d.$async=!0),!0===S.sourceCode&&(d.source={code:E,patterns:x,defaults:R}),d}function F(t,n,a){n=o.url(t,n);var i,s,l=P[n];if(void 0!==l)return N(i=k[l],s="refVal["+l+"]");if(!a&&r.refs){var u=r.refs[n];if(void 0!==u)return N(i=r.refVal[u],s=$(n,i))}s=$(n);var c=o.call(w,I,r,n);if(void 0===c){var f=d&&d[n];f&&(c=o.inlineRef(f,S.inlineRefs)?f:e.call(w,f,r,d,t))}if(void 0!==c)return function(e,t){var r=P[e];k[r]=t}(n,c),N(c,s);!function(e){delete P[e]}(n)}function $(e,t){var r=k.length;return k[r]=t,P[e]=r,"refVal"+r}function N(e,t){return"object"==n(e)||"boolean"==typeof e?{code:t,schema:e,inline:!0}:{code:t,$async:e&&!!e.$async}}function B(e){var t=E[e];return void 0===t&&(t=E[e]=x.length,x[t]=e),"pattern"+t}function V(e){switch(n(e)){case"boolean":case"number":return""+e;case"string":return a.toQuotedString(e);case"object":if(null===e)return"null";var t=s(e),r=O[t];return void 0===r&&(r=O[t]=R.length,R[r]=e),"default"+r}}function z(e,t,r,n){if(!1!==w._opts.validateSchema){var o=e.definition.dependencies;if(o&&!o.every((function(e){return Object.prototype.hasOwnProperty.call(r,e)})))throw new Error("parent schema must have all required keywords: "+o.join(","));var a=e.definition.validateSchema;if(a)if(!a(t)){var i="keyword schema is invalid: "+w.errorsText(a.errors);if("log"!=w._opts.validateSchema)throw new Error(i);w.logger.error(i)}}var s,l=e.definition.compile,u=e.definition.inline,c=e.definition.macro;if(l)s=l.call(w,t,r,n);else if(c)s=c.call(w,t,r,n),!1!==S.validateSchema&&w.validateSchema(s,!0);else if(u)s=u.call(w,n,e.keyword,t,r);else if(!(s=e.definition.validate))return;if(void 0===s)throw new Error('custom keyword "'+e.keyword+'"failed to compile');var f=C.length;return C[f]=s,{code:"customRule"+f,validate:s}}}},function(e,t,r){var n,o,a,i;function s(e){return(s="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}
-/** @license URI.js v4.2.1 (c) 2011 Gary Court. License: http://github.com/garycourt/uri-js */i=function(e){"use strict";function t(){for(var e=arguments.length,t=Array(e),r=0;r<e;r++)t[r]=arguments[r];if(t.length>1){t[0]=t[0].slice(0,-1);for(var n=t.length-1,o=1;o<n;++o)t[o]=t[o].slice(1,-1);return t[n]=t[n].slice(1),t.join("")}return t[0]}function r(e){return"(?:"+e+")"}function n(e){return void 0===e?"undefined":null===e?"null":Object.prototype.toString.call(e).split(" ").pop().split("]").shift().toLowerCase()}function o(e){return e.toUpperCase()}function a(e){var n=t("[0-9]","[A-Fa-f]"),o=r(r("%[EFef]"+n+"%"+n+n+"%"+n+n)+"|"+r("%[89A-Fa-f]"+n+"%"+n+n)+"|"+r("%"+n+n)),a="[\\!\\$\\&\\'\\(\\)\\*\\+\\,\\;\\=]",i=t("[\\:\\/\\?\\#\\[\\]\\@]",a),s=e?"[\\uE000-\\uF8FF]":"[]",l=t("[A-Za-z]","[0-9]","[\\-\\.\\_\\~]",e?"[\\xA0-\\u200D\\u2010-\\u2029\\u202F-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFEF]":"[]"),u=r("[A-Za-z]"+t("[A-Za-z]","[0-9]","[\\+\\-\\.]")+"*"),c=r(r(o+"|"+t(l,a,"[\\:]"))+"*"),f=(r(r("25[0-5]")+"|"+r("2[0-4][0-9]")+"|"+r("1[0-9][0-9]")+"|"+r("[1-9][0-9]")+"|[0-9]"),r(r("25[0-5]")+"|"+r("2[0-4][0-9]")+"|"+r("1[0-9][0-9]")+"|"+r("0?[1-9][0-9]")+"|0?0?[0-9]")),h=r(f+"\\."+f+"\\."+f+"\\."+f),p=r(n+"{1,4}"),d=r(r(p+"\\:"+p)+"|"+h),m=r(r(p+"\\:")+"{6}"+d),y=r("\\:\\:"+r(p+"\\:")+"{5}"+d),v=r(r(p)+"?\\:\\:"+r(p+"\\:")+"{4}"+d),_=r(r(r(p+"\\:")+"{0,1}"+p)+"?\\:\\:"+r(p+"\\:")+"{3}"+d),g=r(r(r(p+"\\:")+"{0,2}"+p)+"?\\:\\:"+r(p+"\\:")+"{2}"+d),b=r(r(r(p+"\\:")+"{0,3}"+p)+"?\\:\\:"+p+"\\:"+d),w=r(r(r(p+"\\:")+"{0,4}"+p)+"?\\:\\:"+d),S=r(r(r(p+"\\:")+"{0,5}"+p)+"?\\:\\:"+p),k=r(r(r(p+"\\:")+"{0,6}"+p)+"?\\:\\:"),P=r([m,y,v,_,g,b,w,S,k].join("|")),x=r(r(l+"|"+o)+"+"),E=(r(P+"\\%25"+x),r(P+r("\\%25|\\%(?!"+n+"{2})")+x)),R=r("[vV]"+n+"+\\."+t(l,a,"[\\:]")+"+"),O=r("\\["+r(E+"|"+P+"|"+R)+"\\]"),C=r(r(o+"|"+t(l,a))+"*"),D=r(O+"|"+h+"(?!"+C+")|"+C),j=r("[0-9]*"),T=r(r(c+"@")+"?"+D+r("\\:"+j)+"?"),A=r(o+"|"+t(l,a,"[\\:\\@]")),M=r(A+"*"),L=r(A+"+"),I=r(r(o+"|"+t(l,a,"[\\@]"))+"+"),F=r(r("\\/"+M)+"*"),$=r("\\/"+r(L+F)+"?"),N=r(I+F),B=r(L+F),V="(?!"+A+")",z=(r(F+"|"+$+"|"+N+"|"+B+"|"+V),r(r(A+"|"+t("[\\/\\?]",s))+"*")),U=r(r(A+"|[\\/\\?]")+"*"),q=r(r("\\/\\/"+T+F)+"|"+$+"|"+B+"|"+V),H=r(u+"\\:"+q+r("\\?"+z)+"?"+r("\\#"+U)+"?"),Q=r(r("\\/\\/"+T+F)+"|"+$+"|"+N+"|"+V),G=r(Q+r("\\?"+z)+"?"+r("\\#"+U)+"?");return r(H+"|"+G),r(u+"\\:"+q+r("\\?"+z)+"?"),r(r("\\/\\/("+r("("+c+")@")+"?("+D+")"+r("\\:("+j+")")+"?)")+"?("+F+"|"+$+"|"+B+"|"+V+")"),r("\\?("+z+")"),r("\\#("+U+")"),r(r("\\/\\/("+r("("+c+")@")+"?("+D+")"+r("\\:("+j+")")+"?)")+"?("+F+"|"+$+"|"+N+"|"+V+")"),r("\\?("+z+")"),r("\\#("+U+")"),r(r("\\/\\/("+r("("+c+")@")+"?("+D+")"+r("\\:("+j+")")+"?)")+"?("+F+"|"+$+"|"+B+"|"+V+")"),r("\\?("+z+")"),r("\\#("+U+")"),r("("+c+")@"),r("\\:("+j+")"),{NOT_SCHEME:new RegExp(t("[^]","[A-Za-z]","[0-9]","[\\+\\-\\.]"),"g"),NOT_USERINFO:new RegExp(t("[^\\%\\:]",l,a),"g"),NOT_HOST:new RegExp(t("[^\\%\\[\\]\\:]",l,a),"g"),NOT_PATH:new RegExp(t("[^\\%\\/\\:\\@]",l,a),"g"),NOT_PATH_NOSCHEME:new RegExp(t("[^\\%\\/\\@]",l,a),"g"),NOT_QUERY:new RegExp(t("[^\\%]",l,a,"[\\:\\@\\/\\?]",s),"g"),NOT_FRAGMENT:new RegExp(t("[^\\%]",l,a,"[\\:\\@\\/\\?]"),"g"),ESCAPE:new RegExp(t("[^]",l,a),"g"),UNRESERVED:new RegExp(l,"g"),OTHER_CHARS:new RegExp(t("[^\\%]",l,i),"g"),PCT_ENCODED:new RegExp(o,"g"),IPV4ADDRESS:new RegExp("^("+h+")$"),IPV6ADDRESS:new RegExp("^\\[?("+P+")"+r(r("\\%25|\\%(?!"+n+"{2})")+"("+x+")")+"?\\]?$")}}var i=a(!1),s=a(!0),l=function(e,t){if(Array.isArray(e))return e;if(Symbol.iterator in Object(e))return function(e,t){var r=[],n=!0,o=!1,a=void 0;try{for(var i,s=e[Symbol.iterator]();!(n=(i=s.next()).done)&&(r.push(i.value),!t||r.length!==t);n=!0);}catch(e){o=!0,a=e}finally{try{!n&&s.return&&s.return()}finally{if(o)throw a}}return r}(e,t);throw new TypeError("Invalid attempt to destructure non-iterable instance")},u=2147483647,c=/^xn--/,f=/[^\0-\x7E]/,h=/[\x2E\u3002\uFF0E\uFF61]/g,p={overflow:"Overflow: input needs wider integers to process","not-basic":"Illegal input >= 0x80 (not a basic code point)","invalid-input":"Invalid input"},d=Math.floor,m=String.fromCharCode;function y(e){throw new RangeError(p[e])}function v(e,t){var r=e.split("@"),n="";r.length>1&&(n=r[0]+"@",e=r[1]);var o=function(e,t){for(var r=[],n=e.length;n--;)r[n]=t(e[n]);return r}((e=e.replace(h,".")).split("."),t).join(".");return n+o}function _(e){for(var t=[],r=0,n=e.length;r<n;){var o=e.charCodeAt(r++);if(o>=55296&&o<=56319&&r<n){var a=e.charCodeAt(r++);56320==(64512&a)?t.push(((1023&o)<<10)+(1023&a)+65536):(t.push(o),r--)}else t.push(o)}return t}var g=function(e,t){return e+22+75*(e<26)-((0!=t)<<5)},b=function(e,t,r){var n=0;for(e=r?d(e/700):e>>1,e+=d(e/t);e>455;n+=36)e=d(e/35);return d(n+36*e/(e+38))},w=function(e){var t,r=[],n=e.length,o=0,a=128,i=72,s=e.lastIndexOf("-");s<0&&(s=0);for(var l=0;l<s;++l)e.charCodeAt(l)>=128&&y("not-basic"),r.push(e.charCodeAt(l));for(var c=s>0?s+1:0;c<n;){for(var f=o,h=1,p=36;;p+=36){c>=n&&y("invalid-input");var m=(t=e.charCodeAt(c++))-48<10?t-22:t-65<26?t-65:t-97<26?t-97:36;(m>=36||m>d((u-o)/h))&&y("overflow"),o+=m*h;var v=p<=i?1:p>=i+26?26:p-i;if(m<v)break;var _=36-v;h>d(u/_)&&y("overflow"),h*=_}var g=r.length+1;i=b(o-f,g,0==f),d(o/g)>u-a&&y("overflow"),a+=d(o/g),o%=g,r.splice(o++,0,a)}return String.fromCodePoint.apply(String,r)},S=function(e){var t=[],r=(e=_(e)).length,n=128,o=0,a=72,i=!0,s=!1,l=void 0;try{for(var c,f=e[Symbol.iterator]();!(i=(c=f.next()).done);i=!0){var h=c.value;h<128&&t.push(m(h))}}catch(e){s=!0,l=e}finally{try{!i&&f.return&&f.return()}finally{if(s)throw l}}var p=t.length,v=p;for(p&&t.push("-");v<r;){var w=u,S=!0,k=!1,P=void 0;try{for(var x,E=e[Symbol.iterator]();!(S=(x=E.next()).done);S=!0){var R=x.value;R>=n&&R<w&&(w=R)}}catch(e){k=!0,P=e}finally{try{!S&&E.return&&E.return()}finally{if(k)throw P}}var O=v+1;w-n>d((u-o)/O)&&y("overflow"),o+=(w-n)*O,n=w;var C=!0,D=!1,j=void 0;try{for(var T,A=e[Symbol.iterator]();!(C=(T=A.next()).done);C=!0){var M=T.value;if(M<n&&++o>u&&y("overflow"),M==n){for(var L=o,I=36;;I+=36){var F=I<=a?1:I>=a+26?26:I-a;if(L<F)break;var $=L-F,N=36-F;t.push(m(g(F+$%N,0))),L=d($/N)}t.push(m(g(L,0))),a=b(o,O,v==p),o=0,++v}}}catch(e){D=!0,j=e}finally{try{!C&&A.return&&A.return()}finally{if(D)throw j}}++o,++n}return t.join("")},k=function(e){return v(e,(function(e){return f.test(e)?"xn--"+S(e):e}))},P=function(e){return v(e,(function(e){return c.test(e)?w(e.slice(4).toLowerCase()):e}))},x={};function E(e){var t=e.charCodeAt(0);return t<16?"%0"+t.toString(16).toUpperCase():t<128?"%"+t.toString(16).toUpperCase():t<2048?"%"+(t>>6|192).toString(16).toUpperCase()+"%"+(63&t|128).toString(16).toUpperCase():"%"+(t>>12|224).toString(16).toUpperCase()+"%"+(t>>6&63|128).toString(16).toUpperCase()+"%"+(63&t|128).toString(16).toUpperCase()}function R(e){for(var t="",r=0,n=e.length;r<n;){var o=parseInt(e.substr(r+1,2),16);if(o<128)t+=String.fromCharCode(o),r+=3;else if(o>=194&&o<224){if(n-r>=6){var a=parseInt(e.substr(r+4,2),16);t+=String.fromCharCode((31&o)<<6|63&a)}else t+=e.substr(r,6);r+=6}else if(o>=224){if(n-r>=9){var i=parseInt(e.substr(r+4,2),16),s=parseInt(e.substr(r+7,2),16);t+=String.fromCharCode((15&o)<<12|(63&i)<<6|63&s)}else t+=e.substr(r,9);r+=9}else t+=e.substr(r,3),r+=3}return t}function O(e,t){function r(e){var r=R(e);return r.match(t.UNRESERVED)?r:e}return e.scheme&&(e.scheme=String(e.scheme).replace(t.PCT_ENCODED,r).toLowerCase().replace(t.NOT_SCHEME,"")),void 0!==e.userinfo&&(e.userinfo=String(e.userinfo).replace(t.PCT_ENCODED,r).replace(t.NOT_USERINFO,E).replace(t.PCT_ENCODED,o)),void 0!==e.host&&(e.host=String(e.host).replace(t.PCT_ENCODED,r).toLowerCase().replace(t.NOT_HOST,E).replace(t.PCT_ENCODED,o)),void 0!==e.path&&(e.path=String(e.path).replace(t.PCT_ENCODED,r).replace(e.scheme?t.NOT_PATH:t.NOT_PATH_NOSCHEME,E).replace(t.PCT_ENCODED,o)),void 0!==e.query&&(e.query=String(e.query).replace(t.PCT_ENCODED,r).replace(t.NOT_QUERY,E).replace(t.PCT_ENCODED,o)),void 0!==e.fragment&&(e.fragment=String(e.fragment).replace(t.PCT_ENCODED,r).replace(t.NOT_FRAGMENT,E).replace(t.PCT_ENCODED,o)),e}function C(e){return e.replace(/^0*(.*)/,"$1")||"0"}function D(e,t){var r=e.match(t.IPV4ADDRESS)||[],n=l(r,2)[1];return n?n.split(".").map(C).join("."):e}function j(e,t){var r=e.match(t.IPV6ADDRESS)||[],n=l(r,3),o=n[1],a=n[2];if(o){for(var i=o.toLowerCase().split("::").reverse(),s=l(i,2),u=s[0],c=s[1],f=c?c.split(":").map(C):[],h=u.split(":").map(C),p=t.IPV4ADDRESS.test(h[h.length-1]),d=p?7:8,m=h.length-d,y=Array(d),v=0;v<d;++v)y[v]=f[v]||h[m+v]||"";p&&(y[d-1]=D(y[d-1],t));var _=y.reduce((function(e,t,r){if(!t||"0"===t){var n=e[e.length-1];n&&n.index+n.length===r?n.length++:e.push({index:r,length:1})}return e}),[]).sort((function(e,t){return t.length-e.length}))[0],g=void 0;if(_&&_.length>1){var b=y.slice(0,_.index),w=y.slice(_.index+_.length);g=b.join(":")+"::"+w.join(":")}else g=y.join(":");return a&&(g+="%"+a),g}return e}var T=/^(?:([^:\/?#]+):)?(?:\/\/((?:([^\/?#@]*)@)?(\[[^\/?#\]]+\]|[^\/?#:]*)(?:\:(\d*))?))?([^?#]*)(?:\?([^#]*))?(?:#((?:.|\n|\r)*))?/i,A=void 0==="".match(/(){0}/)[1];function M(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},r={},n=!1!==t.iri?s:i;"suffix"===t.reference&&(e=(t.scheme?t.scheme+":":"")+"//"+e);var o=e.match(T);if(o){A?(r.scheme=o[1],r.userinfo=o[3],r.host=o[4],r.port=parseInt(o[5],10),r.path=o[6]||"",r.query=o[7],r.fragment=o[8],isNaN(r.port)&&(r.port=o[5])):(r.scheme=o[1]||void 0,r.userinfo=-1!==e.indexOf("@")?o[3]:void 0,r.host=-1!==e.indexOf("//")?o[4]:void 0,r.port=parseInt(o[5],10),r.path=o[6]||"",r.query=-1!==e.indexOf("?")?o[7]:void 0,r.fragment=-1!==e.indexOf("#")?o[8]:void 0,isNaN(r.port)&&(r.port=e.match(/\/\/(?:.|\n)*\:(?:\/|\?|\#|$)/)?o[4]:void 0)),r.host&&(r.host=j(D(r.host,n),n)),void 0!==r.scheme||void 0!==r.userinfo||void 0!==r.host||void 0!==r.port||r.path||void 0!==r.query?void 0===r.scheme?r.reference="relative":void 0===r.fragment?r.reference="absolute":r.reference="uri":r.reference="same-document",t.reference&&"suffix"!==t.reference&&t.reference!==r.reference&&(r.error=r.error||"URI is not a "+t.reference+" reference.");var a=x[(t.scheme||r.scheme||"").toLowerCase()];if(t.unicodeSupport||a&&a.unicodeSupport)O(r,n);else{if(r.host&&(t.domainHost||a&&a.domainHost))try{r.host=k(r.host.replace(n.PCT_ENCODED,R).toLowerCase())}catch(e){r.error=r.error||"Host's domain name can not be converted to ASCII via punycode: "+e}O(r,i)}a&&a.parse&&a.parse(r,t)}else r.error=r.error||"URI can not be parsed.";return r}function L(e,t){var r=!1!==t.iri?s:i,n=[];return void 0!==e.userinfo&&(n.push(e.userinfo),n.push("@")),void 0!==e.host&&n.push(j(D(String(e.host),r),r).replace(r.IPV6ADDRESS,(function(e,t,r){return"["+t+(r?"%25"+r:"")+"]"}))),"number"==typeof e.port&&(n.push(":"),n.push(e.port.toString(10))),n.length?n.join(""):void 0}var I=/^\.\.?\//,F=/^\/\.(\/|$)/,$=/^\/\.\.(\/|$)/,N=/^\/?(?:.|\n)*?(?=\/|$)/;function B(e){for(var t=[];e.length;)if(e.match(I))e=e.replace(I,"");else if(e.match(F))e=e.replace(F,"/");else if(e.match($))e=e.replace($,"/"),t.pop();else if("."===e||".."===e)e="";else{var r=e.match(N);if(!r)throw new Error("Unexpected dot segment condition");var n=r[0];e=e.slice(n.length),t.push(n)}return t.join("")}function V(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},r=t.iri?s:i,n=[],o=x[(t.scheme||e.scheme||"").toLowerCase()];if(o&&o.serialize&&o.serialize(e,t),e.host)if(r.IPV6ADDRESS.test(e.host));else if(t.domainHost||o&&o.domainHost)try{e.host=t.iri?P(e.host):k(e.host.replace(r.PCT_ENCODED,R).toLowerCase())}catch(r){e.error=e.error||"Host's domain name can not be converted to "+(t.iri?"Unicode":"ASCII")+" via punycode: "+r}O(e,r),"suffix"!==t.reference&&e.scheme&&(n.push(e.scheme),n.push(":"));var a=L(e,t);if(void 0!==a&&("suffix"!==t.reference&&n.push("//"),n.push(a),e.path&&"/"!==e.path.charAt(0)&&n.push("/")),void 0!==e.path){var l=e.path;t.absolutePath||o&&o.absolutePath||(l=B(l)),void 0===a&&(l=l.replace(/^\/\//,"/%2F")),n.push(l)}return void 0!==e.query&&(n.push("?"),n.push(e.query)),void 0!==e.fragment&&(n.push("#"),n.push(e.fragment)),n.join("")}function z(e,t){var r=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{},n=arguments[3],o={};return n||(e=M(V(e,r),r),t=M(V(t,r),r)),!(r=r||{}).tolerant&&t.scheme?(o.scheme=t.scheme,o.userinfo=t.userinfo,o.host=t.host,o.port=t.port,o.path=B(t.path||""),o.query=t.query):(void 0!==t.userinfo||void 0!==t.host||void 0!==t.port?(o.userinfo=t.userinfo,o.host=t.host,o.port=t.port,o.path=B(t.path||""),o.query=t.query):(t.path?("/"===t.path.charAt(0)?o.path=B(t.path):(void 0===e.userinfo&&void 0===e.host&&void 0===e.port||e.path?e.path?o.path=e.path.slice(0,e.path.lastIndexOf("/")+1)+t.path:o.path=t.path:o.path="/"+t.path,o.path=B(o.path)),o.query=t.query):(o.path=e.path,void 0!==t.query?o.query=t.query:o.query=e.query),o.userinfo=e.userinfo,o.host=e.host,o.port=e.port),o.scheme=e.scheme),o.fragment=t.fragment,o}function U(e,t){return e&&e.toString().replace(t&&t.iri?s.PCT_ENCODED:i.PCT_ENCODED,R)}var q={scheme:"http",domainHost:!0,parse:function(e,t){return e.host||(e.error=e.error||"HTTP URIs must have a host."),e},serialize:function(e,t){return e.port!==("https"!==String(e.scheme).toLowerCase()?80:443)&&""!==e.port||(e.port=void 0),e.path||(e.path="/"),e}},H={scheme:"https",domainHost:q.domainHost,parse:q.parse,serialize:q.serialize},Q={},G="[A-Za-z0-9\\-\\.\\_\\~\\xA0-\\u200D\\u2010-\\u2029\\u202F-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFEF]",X="[0-9A-Fa-f]",K=r(r("%[EFef]"+X+"%"+X+X+"%"+X+X)+"|"+r("%[89A-Fa-f]"+X+"%"+X+X)+"|"+r("%"+X+X)),Y=t("[\\!\\$\\%\\'\\(\\)\\*\\+\\,\\-\\.0-9\\<\\>A-Z\\x5E-\\x7E]",'[\\"\\\\]'),W=new RegExp(G,"g"),J=new RegExp(K,"g"),Z=new RegExp(t("[^]","[A-Za-z0-9\\!\\$\\%\\'\\*\\+\\-\\^\\_\\`\\{\\|\\}\\~]","[\\.]",'[\\"]',Y),"g"),ee=new RegExp(t("[^]",G,"[\\!\\$\\'\\(\\)\\*\\+\\,\\;\\:\\@]"),"g"),te=ee;function re(e){var t=R(e);return t.match(W)?t:e}var ne={scheme:"mailto",parse:function(e,t){var r=e,n=r.to=r.path?r.path.split(","):[];if(r.path=void 0,r.query){for(var o=!1,a={},i=r.query.split("&"),s=0,l=i.length;s<l;++s){var u=i[s].split("=");switch(u[0]){case"to":for(var c=u[1].split(","),f=0,h=c.length;f<h;++f)n.push(c[f]);break;case"subject":r.subject=U(u[1],t);break;case"body":r.body=U(u[1],t);break;default:o=!0,a[U(u[0],t)]=U(u[1],t)}}o&&(r.headers=a)}r.query=void 0;for(var p=0,d=n.length;p<d;++p){var m=n[p].split("@");if(m[0]=U(m[0]),t.unicodeSupport)m[1]=U(m[1],t).toLowerCase();else try{m[1]=k(U(m[1],t).toLowerCase())}catch(e){r.error=r.error||"Email address's domain name can not be converted to ASCII via punycode: "+e}n[p]=m.join("@")}return r},serialize:function(e,t){var r,n=e,a=null!=(r=e.to)?r instanceof Array?r:"number"!=typeof r.length||r.split||r.setInterval||r.call?[r]:Array.prototype.slice.call(r):[];if(a){for(var i=0,s=a.length;i<s;++i){var l=String(a[i]),u=l.lastIndexOf("@"),c=l.slice(0,u).replace(J,re).replace(J,o).replace(Z,E),f=l.slice(u+1);try{f=t.iri?P(f):k(U(f,t).toLowerCase())}catch(e){n.error=n.error||"Email address's domain name can not be converted to "+(t.iri?"Unicode":"ASCII")+" via punycode: "+e}a[i]=c+"@"+f}n.path=a.join(",")}var h=e.headers=e.headers||{};e.subject&&(h.subject=e.subject),e.body&&(h.body=e.body);var p=[];for(var d in h)h[d]!==Q[d]&&p.push(d.replace(J,re).replace(J,o).replace(ee,E)+"="+h[d].replace(J,re).replace(J,o).replace(te,E));return p.length&&(n.query=p.join("&")),n}},oe=/^([^\:]+)\:(.*)/,ae={scheme:"urn",parse:function(e,t){var r=e.path&&e.path.match(oe),n=e;if(r){var o=t.scheme||n.scheme||"urn",a=r[1].toLowerCase(),i=r[2],s=o+":"+(t.nid||a),l=x[s];n.nid=a,n.nss=i,n.path=void 0,l&&(n=l.parse(n,t))}else n.error=n.error||"URN can not be parsed.";return n},serialize:function(e,t){var r=t.scheme||e.scheme||"urn",n=e.nid,o=r+":"+(t.nid||n),a=x[o];a&&(e=a.serialize(e,t));var i=e,s=e.nss;return i.path=(n||t.nid)+":"+s,i}},ie=/^[0-9A-Fa-f]{8}(?:\-[0-9A-Fa-f]{4}){3}\-[0-9A-Fa-f]{12}$/,se={scheme:"urn:uuid",parse:function(e,t){var r=e;return r.uuid=r.nss,r.nss=void 0,t.tolerant||r.uuid&&r.uuid.match(ie)||(r.error=r.error||"UUID is not valid."),r},serialize:function(e,t){var r=e;return r.nss=(e.uuid||"").toLowerCase(),r}};x[q.scheme]=q,x[H.scheme]=H,x[ne.scheme]=ne,x[ae.scheme]=ae,x[se.scheme]=se,e.SCHEMES=x,e.pctEncChar=E,e.pctDecChars=R,e.parse=M,e.removeDotSegments=B,e.serialize=V,e.resolveComponents=z,e.resolve=function(e,t,r){var n=function(e,t){var r=e;if(t)for(var n in t)r[n]=t[n];return r}({scheme:"null"},r);return V(z(M(e,n),M(t,n),n,!0),n)},e.normalize=function(e,t){return"string"==typeof e?e=V(M(e,t),t):"object"===n(e)&&(e=M(V(e,t),t)),e},e.equal=function(e,t,r){return"string"==typeof e?e=V(M(e,r),r):"object"===n(e)&&(e=V(e,r)),"string"==typeof t?t=V(M(t,r),r):"object"===n(t)&&(t=V(t,r)),e===t},e.escapeComponent=function(e,t){return e&&e.toString().replace(t&&t.iri?s.ESCAPE:i.ESCAPE,E)},e.unescapeComponent=U,Object.defineProperty(e,"__esModule",{value:!0})},"object"===s(t)&&void 0!==e?i(t):(o=[t],void 0===(a="function"==typeof(n=i)?n.apply(t,o):n)||(e.exports=a))},function(e,t,r){"use strict";e.exports=function(e){for(var t,r=0,n=e.length,o=0;o<n;)r++,(t=e.charCodeAt(o++))>=55296&&t<=56319&&o<n&&56320==(64512&(t=e.charCodeAt(o)))&&o++;return r}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}var o=e.exports=function(e,t,r){"function"==typeof t&&(r=t,t={}),function e(t,r,a,i,s,l,u,c,f,h){if(i&&"object"==n(i)&&!Array.isArray(i)){for(var p in r(i,s,l,u,c,f,h),i){var d=i[p];if(Array.isArray(d)){if(p in o.arrayKeywords)for(var m=0;m<d.length;m++)e(t,r,a,d[m],s+"/"+p+"/"+m,l,s,p,i,m)}else if(p in o.propsKeywords){if(d&&"object"==n(d))for(var y in d)e(t,r,a,d[y],s+"/"+p+"/"+y.replace(/~/g,"~0").replace(/\//g,"~1"),l,s,p,i,y)}else(p in o.keywords||t.allKeys&&!(p in o.skipKeywords))&&e(t,r,a,d,s+"/"+p,l,s,p,i)}a(i,s,l,u,c,f,h)}}(t,"function"==typeof(r=t.cb||r)?r:r.pre||function(){},r.post||function(){},e,"",e)};o.keywords={additionalItems:!0,items:!0,contains:!0,additionalProperties:!0,propertyNames:!0,not:!0},o.arrayKeywords={items:!0,allOf:!0,anyOf:!0,oneOf:!0},o.propsKeywords={definitions:!0,properties:!0,patternProperties:!0,dependencies:!0},o.skipKeywords={default:!0,enum:!0,const:!0,required:!0,maximum:!0,minimum:!0,exclusiveMaximum:!0,exclusiveMinimum:!0,multipleOf:!0,maxLength:!0,minLength:!0,pattern:!0,format:!0,maxItems:!0,minItems:!0,uniqueItems:!0,maxProperties:!0,minProperties:!0}},function(e,t,r){"use strict";var n=e.exports=function(){this._cache={}};n.prototype.put=function(e,t){this._cache[e]=t},n.prototype.get=function(e){return this._cache[e]},n.prototype.del=function(e){delete this._cache[e]},n.prototype.clear=function(){this._cache={}}},function(e,t,r){"use strict";var n=r(6),o=/^(\d\d\d\d)-(\d\d)-(\d\d)$/,a=[0,31,28,31,30,31,30,31,31,30,31,30,31],i=/^(\d\d):(\d\d):(\d\d)(\.\d+)?(z|[+-]\d\d(?::?\d\d)?)?$/i,s=/^(?=.{1,253}\.?$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[-0-9a-z]{0,61}[0-9a-z])?)*\.?$/i,l=/^(?:[a-z][a-z0-9+\-.]*:)(?:\/?\/(?:(?:[a-z0-9\-._~!$&'()*+,;=:]|%[0-9a-f]{2})*@)?(?:\[(?:(?:(?:(?:[0-9a-f]{1,4}:){6}|::(?:[0-9a-f]{1,4}:){5}|(?:[0-9a-f]{1,4})?::(?:[0-9a-f]{1,4}:){4}|(?:(?:[0-9a-f]{1,4}:){0,1}[0-9a-f]{1,4})?::(?:[0-9a-f]{1,4}:){3}|(?:(?:[0-9a-f]{1,4}:){0,2}[0-9a-f]{1,4})?::(?:[0-9a-f]{1,4}:){2}|(?:(?:[0-9a-f]{1,4}:){0,3}[0-9a-f]{1,4})?::[0-9a-f]{1,4}:|(?:(?:[0-9a-f]{1,4}:){0,4}[0-9a-f]{1,4})?::)(?:[0-9a-f]{1,4}:[0-9a-f]{1,4}|(?:(?:25[0-5]|2[0-4]\d|[01]?\d\d?)\.){3}(?:25[0-5]|2[0-4]\d|[01]?\d\d?))|(?:(?:[0-9a-f]{1,4}:){0,5}[0-9a-f]{1,4})?::[0-9a-f]{1,4}|(?:(?:[0-9a-f]{1,4}:){0,6}[0-9a-f]{1,4})?::)|[Vv][0-9a-f]+\.[a-z0-9\-._~!$&'()*+,;=:]+)\]|(?:(?:25[0-5]|2[0-4]\d|[01]?\d\d?)\.){3}(?:25[0-5]|2[0-4]\d|[01]?\d\d?)|(?:[a-z0-9\-._~!$&'()*+,;=]|%[0-9a-f]{2})*)(?::\d*)?(?:\/(?:[a-z0-9\-._~!$&'()*+,;=:@]|%[0-9a-f]{2})*)*|\/(?:(?:[a-z0-9\-._~!$&'()*+,;=:@]|%[0-9a-f]{2})+(?:\/(?:[a-z0-9\-._~!$&'()*+,;=:@]|%[0-9a-f]{2})*)*)?|(?:[a-z0-9\-._~!$&'()*+,;=:@]|%[0-9a-f]{2})+(?:\/(?:[a-z0-9\-._~!$&'()*+,;=:@]|%[0-9a-f]{2})*)*)(?:\?(?:[a-z0-9\-._~!$&'()*+,;=:@/?]|%[0-9a-f]{2})*)?(?:#(?:[a-z0-9\-._~!$&'()*+,;=:@/?]|%[0-9a-f]{2})*)?$/i,u=/^(?:(?:[^\x00-\x20"'<>%\\^`{|}]|%[0-9a-f]{2})|\{[+#./;?&=,!@|]?(?:[a-z0-9_]|%[0-9a-f]{2})+(?::[1-9][0-9]{0,3}|\*)?(?:,(?:[a-z0-9_]|%[0-9a-f]{2})+(?::[1-9][0-9]{0,3}|\*)?)*\})*$/i,c=/^(?:(?:http[s\u017F]?|ftp):\/\/)(?:(?:[\0-\x08\x0E-\x1F!-\x9F\xA1-\u167F\u1681-\u1FFF\u200B-\u2027\u202A-\u202E\u2030-\u205E\u2060-\u2FFF\u3001-\uD7FF\uE000-\uFEFE\uFF00-\uFFFF]|[\uD800-\uDBFF][\uDC00-\uDFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF])+(?::(?:[\0-\x08\x0E-\x1F!-\x9F\xA1-\u167F\u1681-\u1FFF\u200B-\u2027\u202A-\u202E\u2030-\u205E\u2060-\u2FFF\u3001-\uD7FF\uE000-\uFEFE\uFF00-\uFFFF]|[\uD800-\uDBFF][\uDC00-\uDFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF])*)?@)?(?:(?!10(?:\.[0-9]{1,3}){3})(?!127(?:\.[0-9]{1,3}){3})(?!169\.254(?:\.[0-9]{1,3}){2})(?!192\.168(?:\.[0-9]{1,3}){2})(?!172\.(?:1[6-9]|2[0-9]|3[01])(?:\.[0-9]{1,3}){2})(?:[1-9][0-9]?|1[0-9][0-9]|2[01][0-9]|22[0-3])(?:\.(?:1?[0-9]{1,2}|2[0-4][0-9]|25[0-5])){2}(?:\.(?:[1-9][0-9]?|1[0-9][0-9]|2[0-4][0-9]|25[0-4]))|(?:(?:(?:[0-9KSa-z\xA1-\uD7FF\uE000-\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF])+-?)*(?:[0-9KSa-z\xA1-\uD7FF\uE000-\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF])+)(?:\.(?:(?:[0-9KSa-z\xA1-\uD7FF\uE000-\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF])+-?)*(?:[0-9KSa-z\xA1-\uD7FF\uE000-\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF])+)*(?:\.(?:(?:[KSa-z\xA1-\uD7FF\uE000-\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF]){2,})))(?::[0-9]{2,5})?(?:\/(?:[\0-\x08\x0E-\x1F!-\x9F\xA1-\u167F\u1681-\u1FFF\u200B-\u2027\u202A-\u202E\u2030-\u205E\u2060-\u2FFF\u3001-\uD7FF\uE000-\uFEFE\uFF00-\uFFFF]|[\uD800-\uDBFF][\uDC00-\uDFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF])*)?$/i,f=/^(?:urn:uuid:)?[0-9a-f]{8}-(?:[0-9a-f]{4}-){3}[0-9a-f]{12}$/i,h=/^(?:\/(?:[^~/]|~0|~1)*)*$/,p=/^#(?:\/(?:[a-z0-9_\-.!$&'()*+,;:=@]|%[0-9a-f]{2}|~0|~1)*)*$/i,d=/^(?:0|[1-9][0-9]*)(?:#|(?:\/(?:[^~/]|~0|~1)*)*)$/;function m(e){return e="full"==e?"full":"fast",n.copy(m[e])}function y(e){var t=e.match(o);if(!t)return!1;var r=+t[1],n=+t[2],i=+t[3];return n>=1&&n<=12&&i>=1&&i<=(2==n&&function(e){return e%4==0&&(e%100!=0||e%400==0)}(r)?29:a[n])}function v(e,t){var r=e.match(i);if(!r)return!1;var n=r[1],o=r[2],a=r[3],s=r[5];return(n<=23&&o<=59&&a<=59||23==n&&59==o&&60==a)&&(!t||s)}e.exports=m,m.fast={date:/^\d\d\d\d-[0-1]\d-[0-3]\d$/,time:/^(?:[0-2]\d:[0-5]\d:[0-5]\d|23:59:60)(?:\.\d+)?(?:z|[+-]\d\d(?::?\d\d)?)?$/i,"date-time":/^\d\d\d\d-[0-1]\d-[0-3]\d[t\s](?:[0-2]\d:[0-5]\d:[0-5]\d|23:59:60)(?:\.\d+)?(?:z|[+-]\d\d(?::?\d\d)?)$/i,uri:/^(?:[a-z][a-z0-9+-.]*:)(?:\/?\/)?[^\s]*$/i,"uri-reference":/^(?:(?:[a-z][a-z0-9+-.]*:)?\/?\/)?(?:[^\\\s#][^\s#]*)?(?:#[^\\\s]*)?$/i,"uri-template":u,url:c,email:/^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/i,hostname:s,ipv4:/^(?:(?:25[0-5]|2[0-4]\d|[01]?\d\d?)\.){3}(?:25[0-5]|2[0-4]\d|[01]?\d\d?)$/,ipv6:/^\s*(?:(?:(?:[0-9a-f]{1,4}:){7}(?:[0-9a-f]{1,4}|:))|(?:(?:[0-9a-f]{1,4}:){6}(?::[0-9a-f]{1,4}|(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3})|:))|(?:(?:[0-9a-f]{1,4}:){5}(?:(?:(?::[0-9a-f]{1,4}){1,2})|:(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3})|:))|(?:(?:[0-9a-f]{1,4}:){4}(?:(?:(?::[0-9a-f]{1,4}){1,3})|(?:(?::[0-9a-f]{1,4})?:(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(?:(?:[0-9a-f]{1,4}:){3}(?:(?:(?::[0-9a-f]{1,4}){1,4})|(?:(?::[0-9a-f]{1,4}){0,2}:(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(?:(?:[0-9a-f]{1,4}:){2}(?:(?:(?::[0-9a-f]{1,4}){1,5})|(?:(?::[0-9a-f]{1,4}){0,3}:(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(?:(?:[0-9a-f]{1,4}:){1}(?:(?:(?::[0-9a-f]{1,4}){1,6})|(?:(?::[0-9a-f]{1,4}){0,4}:(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(?::(?:(?:(?::[0-9a-f]{1,4}){1,7})|(?:(?::[0-9a-f]{1,4}){0,5}:(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:)))(?:%.+)?\s*$/i,regex:w,uuid:f,"json-pointer":h,"json-pointer-uri-fragment":p,"relative-json-pointer":d},m.full={date:y,time:v,"date-time":function(e){var t=e.split(_);return 2==t.length&&y(t[0])&&v(t[1],!0)},uri:function(e){return g.test(e)&&l.test(e)},"uri-reference":/^(?:[a-z][a-z0-9+\-.]*:)?(?:\/?\/(?:(?:[a-z0-9\-._~!$&'()*+,;=:]|%[0-9a-f]{2})*@)?(?:\[(?:(?:(?:(?:[0-9a-f]{1,4}:){6}|::(?:[0-9a-f]{1,4}:){5}|(?:[0-9a-f]{1,4})?::(?:[0-9a-f]{1,4}:){4}|(?:(?:[0-9a-f]{1,4}:){0,1}[0-9a-f]{1,4})?::(?:[0-9a-f]{1,4}:){3}|(?:(?:[0-9a-f]{1,4}:){0,2}[0-9a-f]{1,4})?::(?:[0-9a-f]{1,4}:){2}|(?:(?:[0-9a-f]{1,4}:){0,3}[0-9a-f]{1,4})?::[0-9a-f]{1,4}:|(?:(?:[0-9a-f]{1,4}:){0,4}[0-9a-f]{1,4})?::)(?:[0-9a-f]{1,4}:[0-9a-f]{1,4}|(?:(?:25[0-5]|2[0-4]\d|[01]?\d\d?)\.){3}(?:25[0-5]|2[0-4]\d|[01]?\d\d?))|(?:(?:[0-9a-f]{1,4}:){0,5}[0-9a-f]{1,4})?::[0-9a-f]{1,4}|(?:(?:[0-9a-f]{1,4}:){0,6}[0-9a-f]{1,4})?::)|[Vv][0-9a-f]+\.[a-z0-9\-._~!$&'()*+,;=:]+)\]|(?:(?:25[0-5]|2[0-4]\d|[01]?\d\d?)\.){3}(?:25[0-5]|2[0-4]\d|[01]?\d\d?)|(?:[a-z0-9\-._~!$&'"()*+,;=]|%[0-9a-f]{2})*)(?::\d*)?(?:\/(?:[a-z0-9\-._~!$&'"()*+,;=:@]|%[0-9a-f]{2})*)*|\/(?:(?:[a-z0-9\-._~!$&'"()*+,;=:@]|%[0-9a-f]{2})+(?:\/(?:[a-z0-9\-._~!$&'"()*+,;=:@]|%[0-9a-f]{2})*)*)?|(?:[a-z0-9\-._~!$&'"()*+,;=:@]|%[0-9a-f]{2})+(?:\/(?:[a-z0-9\-._~!$&'"()*+,;=:@]|%[0-9a-f]{2})*)*)?(?:\?(?:[a-z0-9\-._~!$&'"()*+,;=:@/?]|%[0-9a-f]{2})*)?(?:#(?:[a-z0-9\-._~!$&'"()*+,;=:@/?]|%[0-9a-f]{2})*)?$/i,"uri-template":u,url:c,email:/^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/i,hostname:s,ipv4:/^(?:(?:25[0-5]|2[0-4]\d|[01]?\d\d?)\.){3}(?:25[0-5]|2[0-4]\d|[01]?\d\d?)$/,ipv6:/^\s*(?:(?:(?:[0-9a-f]{1,4}:){7}(?:[0-9a-f]{1,4}|:))|(?:(?:[0-9a-f]{1,4}:){6}(?::[0-9a-f]{1,4}|(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3})|:))|(?:(?:[0-9a-f]{1,4}:){5}(?:(?:(?::[0-9a-f]{1,4}){1,2})|:(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3})|:))|(?:(?:[0-9a-f]{1,4}:){4}(?:(?:(?::[0-9a-f]{1,4}){1,3})|(?:(?::[0-9a-f]{1,4})?:(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(?:(?:[0-9a-f]{1,4}:){3}(?:(?:(?::[0-9a-f]{1,4}){1,4})|(?:(?::[0-9a-f]{1,4}){0,2}:(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(?:(?:[0-9a-f]{1,4}:){2}(?:(?:(?::[0-9a-f]{1,4}){1,5})|(?:(?::[0-9a-f]{1,4}){0,3}:(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(?:(?:[0-9a-f]{1,4}:){1}(?:(?:(?::[0-9a-f]{1,4}){1,6})|(?:(?::[0-9a-f]{1,4}){0,4}:(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(?::(?:(?:(?::[0-9a-f]{1,4}){1,7})|(?:(?::[0-9a-f]{1,4}){0,5}:(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:)))(?:%.+)?\s*$/i,regex:w,uuid:f,"json-pointer":h,"json-pointer-uri-fragment":p,"relative-json-pointer":d};var _=/t|\s/i;var g=/\/|:/;var b=/[^\\]\\Z/;function w(e){if(b.test(e))return!1;try{return new RegExp(e),!0}catch(e){return!1}}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}var o=r(37),a=r(6).toHash;e.exports=function(){var e=[{type:"number",rules:[{maximum:["exclusiveMaximum"]},{minimum:["exclusiveMinimum"]},"multipleOf","format"]},{type:"string",rules:["maxLength","minLength","pattern","format"]},{type:"array",rules:["maxItems","minItems","items","contains","uniqueItems"]},{type:"object",rules:["maxProperties","minProperties","required","dependencies","propertyNames",{properties:["additionalProperties","patternProperties"]}]},{rules:["$ref","const","enum","not","anyOf","oneOf","allOf","if"]}],t=["type","$comment"];return e.all=a(t),e.types=a(["number","integer","string","array","object","boolean","null"]),e.forEach((function(r){r.rules=r.rules.map((function(r){var a;if("object"==n(r)){var i=Object.keys(r)[0];a=r[i],r=i,a.forEach((function(r){t.push(r),e.all[r]=!0}))}return t.push(r),e.all[r]={keyword:r,code:o[r],implements:a}})),e.all.$comment={keyword:"$comment",code:o.$comment},r.type&&(e.types[r.type]=r)})),e.keywords=a(t.concat(["$schema","$id","id","$data","$async","title","description","default","definitions","examples","readOnly","writeOnly","contentMediaType","contentEncoding","additionalItems","then","else"])),e.custom={},e}},function(e,t,r){"use strict";e.exports={$ref:r(38),allOf:r(39),anyOf:r(40),$comment:r(41),const:r(42),contains:r(43),dependencies:r(44),enum:r(45),format:r(46),if:r(47),items:r(48),maximum:r(13),minimum:r(13),maxItems:r(14),minItems:r(14),maxLength:r(15),minLength:r(15),maxProperties:r(16),minProperties:r(16),multipleOf:r(49),not:r(50),oneOf:r(51),pattern:r(52),properties:r(53),propertyNames:r(54),required:r(55),uniqueItems:r(56),validate:r(12)}},function(e,t,r){"use strict";e.exports=function(e,t,r){var n,o,a=" ",i=e.level,s=e.dataLevel,l=e.schema[t],u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(s||""),h="valid"+i;if("#"==l||"#/"==l)e.isRoot?(n=e.async,o="validate"):(n=!0===e.root.schema.$async,o="root.refVal[0]");else{var p=e.resolveRef(e.baseId,l,e.isRoot);if(void 0===p){var d=e.MissingRefError.message(e.baseId,l);if("fail"==e.opts.missingRefs){e.logger.error(d),(_=_||[]).push(a),a="",!1!==e.createErrors?(a+=" { keyword: '$ref' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { ref: '"+e.util.escapeQuotes(l)+"' } ",!1!==e.opts.messages&&(a+=" , message: 'can\\'t resolve reference "+e.util.escapeQuotes(l)+"' "),e.opts.verbose&&(a+=" , schema: "+e.util.toQuotedString(l)+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),a+=" } "):a+=" {} ";var m=a;a=_.pop(),!e.compositeRule&&c?e.async?a+=" throw new ValidationError(["+m+"]); ":a+=" validate.errors = ["+m+"]; return false; ":a+=" var err = "+m+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",c&&(a+=" if (false) { ")}else{if("ignore"!=e.opts.missingRefs)throw new e.MissingRefError(e.baseId,l,d);e.logger.warn(d),c&&(a+=" if (true) { ")}}else if(p.inline){var y=e.util.copy(e);y.level++;var v="valid"+y.level;y.schema=p.schema,y.schemaPath="",y.errSchemaPath=l,a+=" "+e.validate(y).replace(/validate\.schema/g,p.code)+" ",c&&(a+=" if ("+v+") { ")}else n=!0===p.$async||e.async&&!1!==p.$async,o=p.code}if(o){var _;(_=_||[]).push(a),a="",e.opts.passContext?a+=" "+o+".call(this, ":a+=" "+o+"( ",a+=" "+f+", (dataPath || '')",'""'!=e.errorPath&&(a+=" + "+e.errorPath);var g=a+=" , "+(s?"data"+(s-1||""):"parentData")+" , "+(s?e.dataPathArr[s]:"parentDataProperty")+", rootData)  ";if(a=_.pop(),n){if(!e.async)throw new Error("async schema referenced by sync schema");c&&(a+=" var "+h+"; "),a+=" try { await "+g+"; ",c&&(a+=" "+h+" = true; "),a+=" } catch (e) { if (!(e instanceof ValidationError)) throw e; if (vErrors === null) vErrors = e.errors; else vErrors = vErrors.concat(e.errors); errors = vErrors.length; ",c&&(a+=" "+h+" = false; "),a+=" } ",c&&(a+=" if ("+h+") { ")}else a+=" if (!"+g+") { if (vErrors === null) vErrors = "+o+".errors; else vErrors = vErrors.concat("+o+".errors); errors = vErrors.length; } ",c&&(a+=" else { ")}return a}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function(e,t,r){var o=" ",a=e.schema[t],i=e.schemaPath+e.util.getProperty(t),s=e.errSchemaPath+"/"+t,l=!e.opts.allErrors,u=e.util.copy(e),c="";u.level++;var f="valid"+u.level,h=u.baseId,p=!0,d=a;if(d)for(var m,y=-1,v=d.length-1;y<v;)m=d[y+=1],(e.opts.strictKeywords?"object"==n(m)&&Object.keys(m).length>0:e.util.schemaHasRules(m,e.RULES.all))&&(p=!1,u.schema=m,u.schemaPath=i+"["+y+"]",u.errSchemaPath=s+"/"+y,o+="  "+e.validate(u)+" ",u.baseId=h,l&&(o+=" if ("+f+") { ",c+="}"));return l&&(o+=p?" if (true) { ":" "+c.slice(0,-1)+" "),o=e.util.cleanUpCode(o)}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function(e,t,r){var o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h="valid"+a,p="errs__"+a,d=e.util.copy(e),m="";d.level++;var y="valid"+d.level;if(s.every((function(t){return e.opts.strictKeywords?"object"==n(t)&&Object.keys(t).length>0:e.util.schemaHasRules(t,e.RULES.all)}))){var v=d.baseId;o+=" var "+p+" = errors; var "+h+" = false;  ";var _=e.compositeRule;e.compositeRule=d.compositeRule=!0;var g=s;if(g)for(var b,w=-1,S=g.length-1;w<S;)b=g[w+=1],d.schema=b,d.schemaPath=l+"["+w+"]",d.errSchemaPath=u+"/"+w,o+="  "+e.validate(d)+" ",d.baseId=v,o+=" "+h+" = "+h+" || "+y+"; if (!"+h+") { ",m+="}";e.compositeRule=d.compositeRule=_,o+=" "+m+" if (!"+h+") {   var err =   ",!1!==e.createErrors?(o+=" { keyword: 'anyOf' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: {} ",!1!==e.opts.messages&&(o+=" , message: 'should match some schema in anyOf' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ",o+=";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",!e.compositeRule&&c&&(e.async?o+=" throw new ValidationError(vErrors); ":o+=" validate.errors = vErrors; return false; "),o+=" } else {  errors = "+p+"; if (vErrors !== null) { if ("+p+") vErrors.length = "+p+"; else vErrors = null; } ",e.opts.allErrors&&(o+=" } "),o=e.util.cleanUpCode(o)}else c&&(o+=" if (true) { ");return o}},function(e,t,r){"use strict";e.exports=function(e,t,r){var n=" ",o=e.schema[t],a=e.errSchemaPath+"/"+t,i=(e.opts.allErrors,e.util.toQuotedString(o));return!0===e.opts.$comment?n+=" console.log("+i+");":"function"==typeof e.opts.$comment&&(n+=" self._opts.$comment("+i+", "+e.util.toQuotedString(a)+", validate.root.schema);"),n}},function(e,t,r){"use strict";e.exports=function(e,t,r){var n=" ",o=e.level,a=e.dataLevel,i=e.schema[t],s=e.schemaPath+e.util.getProperty(t),l=e.errSchemaPath+"/"+t,u=!e.opts.allErrors,c="data"+(a||""),f="valid"+o,h=e.opts.$data&&i&&i.$data;h&&(n+=" var schema"+o+" = "+e.util.getData(i.$data,a,e.dataPathArr)+"; "),h||(n+=" var schema"+o+" = validate.schema"+s+";"),n+="var "+f+" = equal("+c+", schema"+o+"); if (!"+f+") {   ";var p=p||[];p.push(n),n="",!1!==e.createErrors?(n+=" { keyword: 'const' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(l)+" , params: { allowedValue: schema"+o+" } ",!1!==e.opts.messages&&(n+=" , message: 'should be equal to constant' "),e.opts.verbose&&(n+=" , schema: validate.schema"+s+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+c+" "),n+=" } "):n+=" {} ";var d=n;return n=p.pop(),!e.compositeRule&&u?e.async?n+=" throw new ValidationError(["+d+"]); ":n+=" validate.errors = ["+d+"]; return false; ":n+=" var err = "+d+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",n+=" }",u&&(n+=" else { "),n}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function(e,t,r){var o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h="valid"+a,p="errs__"+a,d=e.util.copy(e);d.level++;var m="valid"+d.level,y="i"+a,v=d.dataLevel=e.dataLevel+1,_="data"+v,g=e.baseId,b=e.opts.strictKeywords?"object"==n(s)&&Object.keys(s).length>0:e.util.schemaHasRules(s,e.RULES.all);if(o+="var "+p+" = errors;var "+h+";",b){var w=e.compositeRule;e.compositeRule=d.compositeRule=!0,d.schema=s,d.schemaPath=l,d.errSchemaPath=u,o+=" var "+m+" = false; for (var "+y+" = 0; "+y+" < "+f+".length; "+y+"++) { ",d.errorPath=e.util.getPathExpr(e.errorPath,y,e.opts.jsonPointers,!0);var S=f+"["+y+"]";d.dataPathArr[v]=y;var k=e.validate(d);d.baseId=g,e.util.varOccurences(k,_)<2?o+=" "+e.util.varReplace(k,_,S)+" ":o+=" var "+_+" = "+S+"; "+k+" ",o+=" if ("+m+") break; }  ",e.compositeRule=d.compositeRule=w,o+="  if (!"+m+") {"}else o+=" if ("+f+".length == 0) {";var P=P||[];P.push(o),o="",!1!==e.createErrors?(o+=" { keyword: 'contains' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: {} ",!1!==e.opts.messages&&(o+=" , message: 'should contain a valid item' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var x=o;return o=P.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+x+"]); ":o+=" validate.errors = ["+x+"]; return false; ":o+=" var err = "+x+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+=" } else { ",b&&(o+="  errors = "+p+"; if (vErrors !== null) { if ("+p+") vErrors.length = "+p+"; else vErrors = null; } "),e.opts.allErrors&&(o+=" } "),o=e.util.cleanUpCode(o)}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function(e,t,r){var o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h="errs__"+a,p=e.util.copy(e),d="";p.level++;var m="valid"+p.level,y={},v={},_=e.opts.ownProperties;for(S in s){var g=s[S],b=Array.isArray(g)?v:y;b[S]=g}o+="var "+h+" = errors;";var w=e.errorPath;for(var S in o+="var missing"+a+";",v)if((b=v[S]).length){if(o+=" if ( "+f+e.util.getProperty(S)+" !== undefined ",_&&(o+=" && Object.prototype.hasOwnProperty.call("+f+", '"+e.util.escapeQuotes(S)+"') "),c){o+=" && ( ";var k=b;if(k)for(var P=-1,x=k.length-1;P<x;){j=k[P+=1],P&&(o+=" || "),o+=" ( ( "+(L=f+(M=e.util.getProperty(j)))+" === undefined ",_&&(o+=" || ! Object.prototype.hasOwnProperty.call("+f+", '"+e.util.escapeQuotes(j)+"') "),o+=") && (missing"+a+" = "+e.util.toQuotedString(e.opts.jsonPointers?j:M)+") ) "}o+=")) {  ";var E="missing"+a,R="' + "+E+" + '";e.opts._errorDataPathProperty&&(e.errorPath=e.opts.jsonPointers?e.util.getPathExpr(w,E,!0):w+" + "+E);var O=O||[];O.push(o),o="",!1!==e.createErrors?(o+=" { keyword: 'dependencies' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { property: '"+e.util.escapeQuotes(S)+"', missingProperty: '"+R+"', depsCount: "+b.length+", deps: '"+e.util.escapeQuotes(1==b.length?b[0]:b.join(", "))+"' } ",!1!==e.opts.messages&&(o+=" , message: 'should have ",1==b.length?o+="property "+e.util.escapeQuotes(b[0]):o+="properties "+e.util.escapeQuotes(b.join(", ")),o+=" when property "+e.util.escapeQuotes(S)+" is present' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var C=o;o=O.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+C+"]); ":o+=" validate.errors = ["+C+"]; return false; ":o+=" var err = "+C+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; "}else{o+=" ) { ";var D=b;if(D)for(var j,T=-1,A=D.length-1;T<A;){j=D[T+=1];var M=e.util.getProperty(j),L=(R=e.util.escapeQuotes(j),f+M);e.opts._errorDataPathProperty&&(e.errorPath=e.util.getPath(w,j,e.opts.jsonPointers)),o+=" if ( "+L+" === undefined ",_&&(o+=" || ! Object.prototype.hasOwnProperty.call("+f+", '"+e.util.escapeQuotes(j)+"') "),o+=") {  var err =   ",!1!==e.createErrors?(o+=" { keyword: 'dependencies' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { property: '"+e.util.escapeQuotes(S)+"', missingProperty: '"+R+"', depsCount: "+b.length+", deps: '"+e.util.escapeQuotes(1==b.length?b[0]:b.join(", "))+"' } ",!1!==e.opts.messages&&(o+=" , message: 'should have ",1==b.length?o+="property "+e.util.escapeQuotes(b[0]):o+="properties "+e.util.escapeQuotes(b.join(", ")),o+=" when property "+e.util.escapeQuotes(S)+" is present' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ",o+=";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; } "}}o+=" }   ",c&&(d+="}",o+=" else { ")}e.errorPath=w;var I=p.baseId;for(var S in y){g=y[S];(e.opts.strictKeywords?"object"==n(g)&&Object.keys(g).length>0:e.util.schemaHasRules(g,e.RULES.all))&&(o+=" "+m+" = true; if ( "+f+e.util.getProperty(S)+" !== undefined ",_&&(o+=" && Object.prototype.hasOwnProperty.call("+f+", '"+e.util.escapeQuotes(S)+"') "),o+=") { ",p.schema=g,p.schemaPath=l+e.util.getProperty(S),p.errSchemaPath=u+"/"+e.util.escapeFragment(S),o+="  "+e.validate(p)+" ",p.baseId=I,o+=" }  ",c&&(o+=" if ("+m+") { ",d+="}"))}return c&&(o+="   "+d+" if ("+h+" == errors) {"),o=e.util.cleanUpCode(o)}},function(e,t,r){"use strict";e.exports=function(e,t,r){var n=" ",o=e.level,a=e.dataLevel,i=e.schema[t],s=e.schemaPath+e.util.getProperty(t),l=e.errSchemaPath+"/"+t,u=!e.opts.allErrors,c="data"+(a||""),f="valid"+o,h=e.opts.$data&&i&&i.$data;h&&(n+=" var schema"+o+" = "+e.util.getData(i.$data,a,e.dataPathArr)+"; ");var p="i"+o,d="schema"+o;h||(n+=" var "+d+" = validate.schema"+s+";"),n+="var "+f+";",h&&(n+=" if (schema"+o+" === undefined) "+f+" = true; else if (!Array.isArray(schema"+o+")) "+f+" = false; else {"),n+=f+" = false;for (var "+p+"=0; "+p+"<"+d+".length; "+p+"++) if (equal("+c+", "+d+"["+p+"])) { "+f+" = true; break; }",h&&(n+="  }  "),n+=" if (!"+f+") {   ";var m=m||[];m.push(n),n="",!1!==e.createErrors?(n+=" { keyword: 'enum' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(l)+" , params: { allowedValues: schema"+o+" } ",!1!==e.opts.messages&&(n+=" , message: 'should be equal to one of the allowed values' "),e.opts.verbose&&(n+=" , schema: validate.schema"+s+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+c+" "),n+=" } "):n+=" {} ";var y=n;return n=m.pop(),!e.compositeRule&&u?e.async?n+=" throw new ValidationError(["+y+"]); ":n+=" validate.errors = ["+y+"]; return false; ":n+=" var err = "+y+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",n+=" }",u&&(n+=" else { "),n}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function(e,t,r){var o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||"");if(!1===e.opts.format)return c&&(o+=" if (true) { "),o;var h,p=e.opts.$data&&s&&s.$data;p?(o+=" var schema"+a+" = "+e.util.getData(s.$data,i,e.dataPathArr)+"; ",h="schema"+a):h=s;var d=e.opts.unknownFormats,m=Array.isArray(d);if(p){o+=" var "+(y="format"+a)+" = formats["+h+"]; var "+(v="isObject"+a)+" = typeof "+y+" == 'object' && !("+y+" instanceof RegExp) && "+y+".validate; var "+(_="formatType"+a)+" = "+v+" && "+y+".type || 'string'; if ("+v+") { ",e.async&&(o+=" var async"+a+" = "+y+".async; "),o+=" "+y+" = "+y+".validate; } if (  ",p&&(o+=" ("+h+" !== undefined && typeof "+h+" != 'string') || "),o+=" (","ignore"!=d&&(o+=" ("+h+" && !"+y+" ",m&&(o+=" && self._opts.unknownFormats.indexOf("+h+") == -1 "),o+=") || "),o+=" ("+y+" && "+_+" == '"+r+"' && !(typeof "+y+" == 'function' ? ",e.async?o+=" (async"+a+" ? await "+y+"("+f+") : "+y+"("+f+")) ":o+=" "+y+"("+f+") ",o+=" : "+y+".test("+f+"))))) {"}else{var y;if(!(y=e.formats[s])){if("ignore"==d)return e.logger.warn('unknown format "'+s+'" ignored in schema at path "'+e.errSchemaPath+'"'),c&&(o+=" if (true) { "),o;if(m&&d.indexOf(s)>=0)return c&&(o+=" if (true) { "),o;throw new Error('unknown format "'+s+'" is used in schema at path "'+e.errSchemaPath+'"')}var v,_=(v="object"==n(y)&&!(y instanceof RegExp)&&y.validate)&&y.type||"string";if(v){var g=!0===y.async;y=y.validate}if(_!=r)return c&&(o+=" if (true) { "),o;if(g){if(!e.async)throw new Error("async format in sync schema");o+=" if (!(await "+(b="formats"+e.util.getProperty(s)+".validate")+"("+f+"))) { "}else{o+=" if (! ";var b="formats"+e.util.getProperty(s);v&&(b+=".validate"),o+="function"==typeof y?" "+b+"("+f+") ":" "+b+".test("+f+") ",o+=") { "}}var w=w||[];w.push(o),o="",!1!==e.createErrors?(o+=" { keyword: 'format' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { format:  ",o+=p?""+h:""+e.util.toQuotedString(s),o+="  } ",!1!==e.opts.messages&&(o+=" , message: 'should match format \"",o+=p?"' + "+h+" + '":""+e.util.escapeQuotes(s),o+="\"' "),e.opts.verbose&&(o+=" , schema:  ",o+=p?"validate.schema"+l:""+e.util.toQuotedString(s),o+="         , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var S=o;return o=w.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+S+"]); ":o+=" validate.errors = ["+S+"]; return false; ":o+=" var err = "+S+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+=" } ",c&&(o+=" else { "),o}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function(e,t,r){var o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h="valid"+a,p="errs__"+a,d=e.util.copy(e);d.level++;var m="valid"+d.level,y=e.schema.then,v=e.schema.else,_=void 0!==y&&(e.opts.strictKeywords?"object"==n(y)&&Object.keys(y).length>0:e.util.schemaHasRules(y,e.RULES.all)),g=void 0!==v&&(e.opts.strictKeywords?"object"==n(v)&&Object.keys(v).length>0:e.util.schemaHasRules(v,e.RULES.all)),b=d.baseId;if(_||g){var w;d.createErrors=!1,d.schema=s,d.schemaPath=l,d.errSchemaPath=u,o+=" var "+p+" = errors; var "+h+" = true;  ";var S=e.compositeRule;e.compositeRule=d.compositeRule=!0,o+="  "+e.validate(d)+" ",d.baseId=b,d.createErrors=!0,o+="  errors = "+p+"; if (vErrors !== null) { if ("+p+") vErrors.length = "+p+"; else vErrors = null; }  ",e.compositeRule=d.compositeRule=S,_?(o+=" if ("+m+") {  ",d.schema=e.schema.then,d.schemaPath=e.schemaPath+".then",d.errSchemaPath=e.errSchemaPath+"/then",o+="  "+e.validate(d)+" ",d.baseId=b,o+=" "+h+" = "+m+"; ",_&&g?o+=" var "+(w="ifClause"+a)+" = 'then'; ":w="'then'",o+=" } ",g&&(o+=" else { ")):o+=" if (!"+m+") { ",g&&(d.schema=e.schema.else,d.schemaPath=e.schemaPath+".else",d.errSchemaPath=e.errSchemaPath+"/else",o+="  "+e.validate(d)+" ",d.baseId=b,o+=" "+h+" = "+m+"; ",_&&g?o+=" var "+(w="ifClause"+a)+" = 'else'; ":w="'else'",o+=" } "),o+=" if (!"+h+") {   var err =   ",!1!==e.createErrors?(o+=" { keyword: 'if' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { failingKeyword: "+w+" } ",!1!==e.opts.messages&&(o+=" , message: 'should match \"' + "+w+" + '\" schema' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ",o+=";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",!e.compositeRule&&c&&(e.async?o+=" throw new ValidationError(vErrors); ":o+=" validate.errors = vErrors; return false; "),o+=" }   ",c&&(o+=" else { "),o=e.util.cleanUpCode(o)}else c&&(o+=" if (true) { ");return o}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function(e,t,r){var o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h="valid"+a,p="errs__"+a,d=e.util.copy(e),m="";d.level++;var y="valid"+d.level,v="i"+a,_=d.dataLevel=e.dataLevel+1,g="data"+_,b=e.baseId;if(o+="var "+p+" = errors;var "+h+";",Array.isArray(s)){var w=e.schema.additionalItems;if(!1===w){o+=" "+h+" = "+f+".length <= "+s.length+"; ";var S=u;u=e.errSchemaPath+"/additionalItems",o+="  if (!"+h+") {   ";var k=k||[];k.push(o),o="",!1!==e.createErrors?(o+=" { keyword: 'additionalItems' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { limit: "+s.length+" } ",!1!==e.opts.messages&&(o+=" , message: 'should NOT have more than "+s.length+" items' "),e.opts.verbose&&(o+=" , schema: false , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var P=o;o=k.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+P+"]); ":o+=" validate.errors = ["+P+"]; return false; ":o+=" var err = "+P+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+=" } ",u=S,c&&(m+="}",o+=" else { ")}var x=s;if(x)for(var E,R=-1,O=x.length-1;R<O;)if(E=x[R+=1],e.opts.strictKeywords?"object"==n(E)&&Object.keys(E).length>0:e.util.schemaHasRules(E,e.RULES.all)){o+=" "+y+" = true; if ("+f+".length > "+R+") { ";var C=f+"["+R+"]";d.schema=E,d.schemaPath=l+"["+R+"]",d.errSchemaPath=u+"/"+R,d.errorPath=e.util.getPathExpr(e.errorPath,R,e.opts.jsonPointers,!0),d.dataPathArr[_]=R;var D=e.validate(d);d.baseId=b,e.util.varOccurences(D,g)<2?o+=" "+e.util.varReplace(D,g,C)+" ":o+=" var "+g+" = "+C+"; "+D+" ",o+=" }  ",c&&(o+=" if ("+y+") { ",m+="}")}if("object"==n(w)&&(e.opts.strictKeywords?"object"==n(w)&&Object.keys(w).length>0:e.util.schemaHasRules(w,e.RULES.all))){d.schema=w,d.schemaPath=e.schemaPath+".additionalItems",d.errSchemaPath=e.errSchemaPath+"/additionalItems",o+=" "+y+" = true; if ("+f+".length > "+s.length+") {  for (var "+v+" = "+s.length+"; "+v+" < "+f+".length; "+v+"++) { ",d.errorPath=e.util.getPathExpr(e.errorPath,v,e.opts.jsonPointers,!0);C=f+"["+v+"]";d.dataPathArr[_]=v;D=e.validate(d);d.baseId=b,e.util.varOccurences(D,g)<2?o+=" "+e.util.varReplace(D,g,C)+" ":o+=" var "+g+" = "+C+"; "+D+" ",c&&(o+=" if (!"+y+") break; "),o+=" } }  ",c&&(o+=" if ("+y+") { ",m+="}")}}else if(e.opts.strictKeywords?"object"==n(s)&&Object.keys(s).length>0:e.util.schemaHasRules(s,e.RULES.all)){d.schema=s,d.schemaPath=l,d.errSchemaPath=u,o+="  for (var "+v+" = 0; "+v+" < "+f+".length; "+v+"++) { ",d.errorPath=e.util.getPathExpr(e.errorPath,v,e.opts.jsonPointers,!0);C=f+"["+v+"]";d.dataPathArr[_]=v;D=e.validate(d);d.baseId=b,e.util.varOccurences(D,g)<2?o+=" "+e.util.varReplace(D,g,C)+" ":o+=" var "+g+" = "+C+"; "+D+" ",c&&(o+=" if (!"+y+") break; "),o+=" }"}return c&&(o+=" "+m+" if ("+p+" == errors) {"),o=e.util.cleanUpCode(o)}},function(e,t,r){"use strict";e.exports=function(e,t,r){var n,o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h=e.opts.$data&&s&&s.$data;h?(o+=" var schema"+a+" = "+e.util.getData(s.$data,i,e.dataPathArr)+"; ",n="schema"+a):n=s,o+="var division"+a+";if (",h&&(o+=" "+n+" !== undefined && ( typeof "+n+" != 'number' || "),o+=" (division"+a+" = "+f+" / "+n+", ",e.opts.multipleOfPrecision?o+=" Math.abs(Math.round(division"+a+") - division"+a+") > 1e-"+e.opts.multipleOfPrecision+" ":o+=" division"+a+" !== parseInt(division"+a+") ",o+=" ) ",h&&(o+="  )  "),o+=" ) {   ";var p=p||[];p.push(o),o="",!1!==e.createErrors?(o+=" { keyword: 'multipleOf' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { multipleOf: "+n+" } ",!1!==e.opts.messages&&(o+=" , message: 'should be multiple of ",o+=h?"' + "+n:n+"'"),e.opts.verbose&&(o+=" , schema:  ",o+=h?"validate.schema"+l:""+s,o+="         , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var d=o;return o=p.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+d+"]); ":o+=" validate.errors = ["+d+"]; return false; ":o+=" var err = "+d+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+="} ",c&&(o+=" else { "),o}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function(e,t,r){var o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h="errs__"+a,p=e.util.copy(e);p.level++;var d="valid"+p.level;if(e.opts.strictKeywords?"object"==n(s)&&Object.keys(s).length>0:e.util.schemaHasRules(s,e.RULES.all)){p.schema=s,p.schemaPath=l,p.errSchemaPath=u,o+=" var "+h+" = errors;  ";var m,y=e.compositeRule;e.compositeRule=p.compositeRule=!0,p.createErrors=!1,p.opts.allErrors&&(m=p.opts.allErrors,p.opts.allErrors=!1),o+=" "+e.validate(p)+" ",p.createErrors=!0,m&&(p.opts.allErrors=m),e.compositeRule=p.compositeRule=y,o+=" if ("+d+") {   ";var v=v||[];v.push(o),o="",!1!==e.createErrors?(o+=" { keyword: 'not' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: {} ",!1!==e.opts.messages&&(o+=" , message: 'should NOT be valid' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var _=o;o=v.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+_+"]); ":o+=" validate.errors = ["+_+"]; return false; ":o+=" var err = "+_+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+=" } else {  errors = "+h+"; if (vErrors !== null) { if ("+h+") vErrors.length = "+h+"; else vErrors = null; } ",e.opts.allErrors&&(o+=" } ")}else o+="  var err =   ",!1!==e.createErrors?(o+=" { keyword: 'not' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: {} ",!1!==e.opts.messages&&(o+=" , message: 'should NOT be valid' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ",o+=";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",c&&(o+=" if (false) { ");return o}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function(e,t,r){var o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h="valid"+a,p="errs__"+a,d=e.util.copy(e),m="";d.level++;var y="valid"+d.level,v=d.baseId,_="prevValid"+a,g="passingSchemas"+a;o+="var "+p+" = errors , "+_+" = false , "+h+" = false , "+g+" = null; ";var b=e.compositeRule;e.compositeRule=d.compositeRule=!0;var w=s;if(w)for(var S,k=-1,P=w.length-1;k<P;)S=w[k+=1],(e.opts.strictKeywords?"object"==n(S)&&Object.keys(S).length>0:e.util.schemaHasRules(S,e.RULES.all))?(d.schema=S,d.schemaPath=l+"["+k+"]",d.errSchemaPath=u+"/"+k,o+="  "+e.validate(d)+" ",d.baseId=v):o+=" var "+y+" = true; ",k&&(o+=" if ("+y+" && "+_+") { "+h+" = false; "+g+" = ["+g+", "+k+"]; } else { ",m+="}"),o+=" if ("+y+") { "+h+" = "+_+" = true; "+g+" = "+k+"; }";return e.compositeRule=d.compositeRule=b,o+=m+"if (!"+h+") {   var err =   ",!1!==e.createErrors?(o+=" { keyword: 'oneOf' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { passingSchemas: "+g+" } ",!1!==e.opts.messages&&(o+=" , message: 'should match exactly one schema in oneOf' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ",o+=";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",!e.compositeRule&&c&&(e.async?o+=" throw new ValidationError(vErrors); ":o+=" validate.errors = vErrors; return false; "),o+="} else {  errors = "+p+"; if (vErrors !== null) { if ("+p+") vErrors.length = "+p+"; else vErrors = null; }",e.opts.allErrors&&(o+=" } "),o}},function(e,t,r){"use strict";e.exports=function(e,t,r){var n,o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h=e.opts.$data&&s&&s.$data;h?(o+=" var schema"+a+" = "+e.util.getData(s.$data,i,e.dataPathArr)+"; ",n="schema"+a):n=s,o+="if ( ",h&&(o+=" ("+n+" !== undefined && typeof "+n+" != 'string') || "),o+=" !"+(h?"(new RegExp("+n+"))":e.usePattern(s))+".test("+f+") ) {   ";var p=p||[];p.push(o),o="",!1!==e.createErrors?(o+=" { keyword: 'pattern' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { pattern:  ",o+=h?""+n:""+e.util.toQuotedString(s),o+="  } ",!1!==e.opts.messages&&(o+=" , message: 'should match pattern \"",o+=h?"' + "+n+" + '":""+e.util.escapeQuotes(s),o+="\"' "),e.opts.verbose&&(o+=" , schema:  ",o+=h?"validate.schema"+l:""+e.util.toQuotedString(s),o+="         , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var d=o;return o=p.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+d+"]); ":o+=" validate.errors = ["+d+"]; return false; ":o+=" var err = "+d+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+="} ",c&&(o+=" else { "),o}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function(e,t,r){var o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h="errs__"+a,p=e.util.copy(e),d="";p.level++;var m="valid"+p.level,y="key"+a,v="idx"+a,_=p.dataLevel=e.dataLevel+1,g="data"+_,b="dataProperties"+a,w=Object.keys(s||{}),S=e.schema.patternProperties||{},k=Object.keys(S),P=e.schema.additionalProperties,x=w.length||k.length,E=!1===P,R="object"==n(P)&&Object.keys(P).length,O=e.opts.removeAdditional,C=E||R||O,D=e.opts.ownProperties,j=e.baseId,T=e.schema.required;if(T&&(!e.opts.$data||!T.$data)&&T.length<e.opts.loopRequired)var A=e.util.toHash(T);if(o+="var "+h+" = errors;var "+m+" = true;",D&&(o+=" var "+b+" = undefined;"),C){if(o+=D?" "+b+" = "+b+" || Object.keys("+f+"); for (var "+v+"=0; "+v+"<"+b+".length; "+v+"++) { var "+y+" = "+b+"["+v+"]; ":" for (var "+y+" in "+f+") { ",x){if(o+=" var isAdditional"+a+" = !(false ",w.length)if(w.length>8)o+=" || validate.schema"+l+".hasOwnProperty("+y+") ";else{var M=w;if(M)for(var L=-1,I=M.length-1;L<I;)K=M[L+=1],o+=" || "+y+" == "+e.util.toQuotedString(K)+" "}if(k.length){var F=k;if(F)for(var $=-1,N=F.length-1;$<N;)ae=F[$+=1],o+=" || "+e.usePattern(ae)+".test("+y+") "}o+=" ); if (isAdditional"+a+") { "}if("all"==O)o+=" delete "+f+"["+y+"]; ";else{var B=e.errorPath,V="' + "+y+" + '";if(e.opts._errorDataPathProperty&&(e.errorPath=e.util.getPathExpr(e.errorPath,y,e.opts.jsonPointers)),E)if(O)o+=" delete "+f+"["+y+"]; ";else{o+=" "+m+" = false; ";var z=u;u=e.errSchemaPath+"/additionalProperties",(re=re||[]).push(o),o="",!1!==e.createErrors?(o+=" { keyword: 'additionalProperties' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { additionalProperty: '"+V+"' } ",!1!==e.opts.messages&&(o+=" , message: '",e.opts._errorDataPathProperty?o+="is an invalid additional property":o+="should NOT have additional properties",o+="' "),e.opts.verbose&&(o+=" , schema: false , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var U=o;o=re.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+U+"]); ":o+=" validate.errors = ["+U+"]; return false; ":o+=" var err = "+U+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",u=z,c&&(o+=" break; ")}else if(R)if("failing"==O){o+=" var "+h+" = errors;  ";var q=e.compositeRule;e.compositeRule=p.compositeRule=!0,p.schema=P,p.schemaPath=e.schemaPath+".additionalProperties",p.errSchemaPath=e.errSchemaPath+"/additionalProperties",p.errorPath=e.opts._errorDataPathProperty?e.errorPath:e.util.getPathExpr(e.errorPath,y,e.opts.jsonPointers);var H=f+"["+y+"]";p.dataPathArr[_]=y;var Q=e.validate(p);p.baseId=j,e.util.varOccurences(Q,g)<2?o+=" "+e.util.varReplace(Q,g,H)+" ":o+=" var "+g+" = "+H+"; "+Q+" ",o+=" if (!"+m+") { errors = "+h+"; if (validate.errors !== null) { if (errors) validate.errors.length = errors; else validate.errors = null; } delete "+f+"["+y+"]; }  ",e.compositeRule=p.compositeRule=q}else{p.schema=P,p.schemaPath=e.schemaPath+".additionalProperties",p.errSchemaPath=e.errSchemaPath+"/additionalProperties",p.errorPath=e.opts._errorDataPathProperty?e.errorPath:e.util.getPathExpr(e.errorPath,y,e.opts.jsonPointers);H=f+"["+y+"]";p.dataPathArr[_]=y;Q=e.validate(p);p.baseId=j,e.util.varOccurences(Q,g)<2?o+=" "+e.util.varReplace(Q,g,H)+" ":o+=" var "+g+" = "+H+"; "+Q+" ",c&&(o+=" if (!"+m+") break; ")}e.errorPath=B}x&&(o+=" } "),o+=" }  ",c&&(o+=" if ("+m+") { ",d+="}")}var G=e.opts.useDefaults&&!e.compositeRule;if(w.length){var X=w;if(X)for(var K,Y=-1,W=X.length-1;Y<W;){var J=s[K=X[Y+=1]];if(e.opts.strictKeywords?"object"==n(J)&&Object.keys(J).length>0:e.util.schemaHasRules(J,e.RULES.all)){var Z=e.util.getProperty(K),ee=(H=f+Z,G&&void 0!==J.default);p.schema=J,p.schemaPath=l+Z,p.errSchemaPath=u+"/"+e.util.escapeFragment(K),p.errorPath=e.util.getPath(e.errorPath,K,e.opts.jsonPointers),p.dataPathArr[_]=e.util.toQuotedString(K);Q=e.validate(p);if(p.baseId=j,e.util.varOccurences(Q,g)<2){Q=e.util.varReplace(Q,g,H);var te=H}else{te=g;o+=" var "+g+" = "+H+"; "}if(ee)o+=" "+Q+" ";else{if(A&&A[K]){o+=" if ( "+te+" === undefined ",D&&(o+=" || ! Object.prototype.hasOwnProperty.call("+f+", '"+e.util.escapeQuotes(K)+"') "),o+=") { "+m+" = false; ";B=e.errorPath,z=u;var re,ne=e.util.escapeQuotes(K);e.opts._errorDataPathProperty&&(e.errorPath=e.util.getPath(B,K,e.opts.jsonPointers)),u=e.errSchemaPath+"/required",(re=re||[]).push(o),o="",!1!==e.createErrors?(o+=" { keyword: 'required' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { missingProperty: '"+ne+"' } ",!1!==e.opts.messages&&(o+=" , message: '",e.opts._errorDataPathProperty?o+="is a required property":o+="should have required property \\'"+ne+"\\'",o+="' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";U=o;o=re.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+U+"]); ":o+=" validate.errors = ["+U+"]; return false; ":o+=" var err = "+U+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",u=z,e.errorPath=B,o+=" } else { "}else c?(o+=" if ( "+te+" === undefined ",D&&(o+=" || ! Object.prototype.hasOwnProperty.call("+f+", '"+e.util.escapeQuotes(K)+"') "),o+=") { "+m+" = true; } else { "):(o+=" if ("+te+" !== undefined ",D&&(o+=" &&   Object.prototype.hasOwnProperty.call("+f+", '"+e.util.escapeQuotes(K)+"') "),o+=" ) { ");o+=" "+Q+" } "}}c&&(o+=" if ("+m+") { ",d+="}")}}if(k.length){var oe=k;if(oe)for(var ae,ie=-1,se=oe.length-1;ie<se;){J=S[ae=oe[ie+=1]];if(e.opts.strictKeywords?"object"==n(J)&&Object.keys(J).length>0:e.util.schemaHasRules(J,e.RULES.all)){p.schema=J,p.schemaPath=e.schemaPath+".patternProperties"+e.util.getProperty(ae),p.errSchemaPath=e.errSchemaPath+"/patternProperties/"+e.util.escapeFragment(ae),o+=D?" "+b+" = "+b+" || Object.keys("+f+"); for (var "+v+"=0; "+v+"<"+b+".length; "+v+"++) { var "+y+" = "+b+"["+v+"]; ":" for (var "+y+" in "+f+") { ",o+=" if ("+e.usePattern(ae)+".test("+y+")) { ",p.errorPath=e.util.getPathExpr(e.errorPath,y,e.opts.jsonPointers);H=f+"["+y+"]";p.dataPathArr[_]=y;Q=e.validate(p);p.baseId=j,e.util.varOccurences(Q,g)<2?o+=" "+e.util.varReplace(Q,g,H)+" ":o+=" var "+g+" = "+H+"; "+Q+" ",c&&(o+=" if (!"+m+") break; "),o+=" } ",c&&(o+=" else "+m+" = true; "),o+=" }  ",c&&(o+=" if ("+m+") { ",d+="}")}}}return c&&(o+=" "+d+" if ("+h+" == errors) {"),o=e.util.cleanUpCode(o)}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function(e,t,r){var o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h="errs__"+a,p=e.util.copy(e);p.level++;var d="valid"+p.level;if(o+="var "+h+" = errors;",e.opts.strictKeywords?"object"==n(s)&&Object.keys(s).length>0:e.util.schemaHasRules(s,e.RULES.all)){p.schema=s,p.schemaPath=l,p.errSchemaPath=u;var m="key"+a,y="idx"+a,v="i"+a,_="' + "+m+" + '",g="data"+(p.dataLevel=e.dataLevel+1),b="dataProperties"+a,w=e.opts.ownProperties,S=e.baseId;w&&(o+=" var "+b+" = undefined; "),o+=w?" "+b+" = "+b+" || Object.keys("+f+"); for (var "+y+"=0; "+y+"<"+b+".length; "+y+"++) { var "+m+" = "+b+"["+y+"]; ":" for (var "+m+" in "+f+") { ",o+=" var startErrs"+a+" = errors; ";var k=m,P=e.compositeRule;e.compositeRule=p.compositeRule=!0;var x=e.validate(p);p.baseId=S,e.util.varOccurences(x,g)<2?o+=" "+e.util.varReplace(x,g,k)+" ":o+=" var "+g+" = "+k+"; "+x+" ",e.compositeRule=p.compositeRule=P,o+=" if (!"+d+") { for (var "+v+"=startErrs"+a+"; "+v+"<errors; "+v+"++) { vErrors["+v+"].propertyName = "+m+"; }   var err =   ",!1!==e.createErrors?(o+=" { keyword: 'propertyNames' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { propertyName: '"+_+"' } ",!1!==e.opts.messages&&(o+=" , message: 'property name \\'"+_+"\\' is invalid' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ",o+=";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",!e.compositeRule&&c&&(e.async?o+=" throw new ValidationError(vErrors); ":o+=" validate.errors = vErrors; return false; "),c&&(o+=" break; "),o+=" } }"}return c&&(o+="  if ("+h+" == errors) {"),o=e.util.cleanUpCode(o)}},function(e,t,r){"use strict";function n(e){return(n="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}e.exports=function(e,t,r){var o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h="valid"+a,p=e.opts.$data&&s&&s.$data;p&&(o+=" var schema"+a+" = "+e.util.getData(s.$data,i,e.dataPathArr)+"; ");var d="schema"+a;if(!p)if(s.length<e.opts.loopRequired&&e.schema.properties&&Object.keys(e.schema.properties).length){var m=[],y=s;if(y)for(var v,_=-1,g=y.length-1;_<g;){v=y[_+=1];var b=e.schema.properties[v];b&&(e.opts.strictKeywords?"object"==n(b)&&Object.keys(b).length>0:e.util.schemaHasRules(b,e.RULES.all))||(m[m.length]=v)}}else m=s;if(p||m.length){var w=e.errorPath,S=p||m.length>=e.opts.loopRequired,k=e.opts.ownProperties;if(c)if(o+=" var missing"+a+"; ",S){p||(o+=" var "+d+" = validate.schema"+l+"; ");var P="' + "+(D="schema"+a+"["+(R="i"+a)+"]")+" + '";e.opts._errorDataPathProperty&&(e.errorPath=e.util.getPathExpr(w,D,e.opts.jsonPointers)),o+=" var "+h+" = true; ",p&&(o+=" if (schema"+a+" === undefined) "+h+" = true; else if (!Array.isArray(schema"+a+")) "+h+" = false; else {"),o+=" for (var "+R+" = 0; "+R+" < "+d+".length; "+R+"++) { "+h+" = "+f+"["+d+"["+R+"]] !== undefined ",k&&(o+=" &&   Object.prototype.hasOwnProperty.call("+f+", "+d+"["+R+"]) "),o+="; if (!"+h+") break; } ",p&&(o+="  }  "),o+="  if (!"+h+") {   ",(C=C||[]).push(o),o="",!1!==e.createErrors?(o+=" { keyword: 'required' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { missingProperty: '"+P+"' } ",!1!==e.opts.messages&&(o+=" , message: '",e.opts._errorDataPathProperty?o+="is a required property":o+="should have required property \\'"+P+"\\'",o+="' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var x=o;o=C.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+x+"]); ":o+=" validate.errors = ["+x+"]; return false; ":o+=" var err = "+x+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+=" } else { "}else{o+=" if ( ";var E=m;if(E)for(var R=-1,O=E.length-1;R<O;){T=E[R+=1],R&&(o+=" || "),o+=" ( ( "+(I=f+(L=e.util.getProperty(T)))+" === undefined ",k&&(o+=" || ! Object.prototype.hasOwnProperty.call("+f+", '"+e.util.escapeQuotes(T)+"') "),o+=") && (missing"+a+" = "+e.util.toQuotedString(e.opts.jsonPointers?T:L)+") ) "}o+=") {  ";var C;P="' + "+(D="missing"+a)+" + '";e.opts._errorDataPathProperty&&(e.errorPath=e.opts.jsonPointers?e.util.getPathExpr(w,D,!0):w+" + "+D),(C=C||[]).push(o),o="",!1!==e.createErrors?(o+=" { keyword: 'required' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { missingProperty: '"+P+"' } ",!1!==e.opts.messages&&(o+=" , message: '",e.opts._errorDataPathProperty?o+="is a required property":o+="should have required property \\'"+P+"\\'",o+="' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";x=o;o=C.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+x+"]); ":o+=" validate.errors = ["+x+"]; return false; ":o+=" var err = "+x+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+=" } else { "}else if(S){p||(o+=" var "+d+" = validate.schema"+l+"; ");var D;P="' + "+(D="schema"+a+"["+(R="i"+a)+"]")+" + '";e.opts._errorDataPathProperty&&(e.errorPath=e.util.getPathExpr(w,D,e.opts.jsonPointers)),p&&(o+=" if ("+d+" && !Array.isArray("+d+")) {  var err =   ",!1!==e.createErrors?(o+=" { keyword: 'required' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { missingProperty: '"+P+"' } ",!1!==e.opts.messages&&(o+=" , message: '",e.opts._errorDataPathProperty?o+="is a required property":o+="should have required property \\'"+P+"\\'",o+="' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ",o+=";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; } else if ("+d+" !== undefined) { "),o+=" for (var "+R+" = 0; "+R+" < "+d+".length; "+R+"++) { if ("+f+"["+d+"["+R+"]] === undefined ",k&&(o+=" || ! Object.prototype.hasOwnProperty.call("+f+", "+d+"["+R+"]) "),o+=") {  var err =   ",!1!==e.createErrors?(o+=" { keyword: 'required' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { missingProperty: '"+P+"' } ",!1!==e.opts.messages&&(o+=" , message: '",e.opts._errorDataPathProperty?o+="is a required property":o+="should have required property \\'"+P+"\\'",o+="' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ",o+=";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; } } ",p&&(o+="  }  ")}else{var j=m;if(j)for(var T,A=-1,M=j.length-1;A<M;){T=j[A+=1];var L=e.util.getProperty(T),I=(P=e.util.escapeQuotes(T),f+L);e.opts._errorDataPathProperty&&(e.errorPath=e.util.getPath(w,T,e.opts.jsonPointers)),o+=" if ( "+I+" === undefined ",k&&(o+=" || ! Object.prototype.hasOwnProperty.call("+f+", '"+e.util.escapeQuotes(T)+"') "),o+=") {  var err =   ",!1!==e.createErrors?(o+=" { keyword: 'required' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { missingProperty: '"+P+"' } ",!1!==e.opts.messages&&(o+=" , message: '",e.opts._errorDataPathProperty?o+="is a required property":o+="should have required property \\'"+P+"\\'",o+="' "),e.opts.verbose&&(o+=" , schema: validate.schema"+l+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ",o+=";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; } "}}e.errorPath=w}else c&&(o+=" if (true) {");return o}},function(e,t,r){"use strict";e.exports=function(e,t,r){var n,o=" ",a=e.level,i=e.dataLevel,s=e.schema[t],l=e.schemaPath+e.util.getProperty(t),u=e.errSchemaPath+"/"+t,c=!e.opts.allErrors,f="data"+(i||""),h="valid"+a,p=e.opts.$data&&s&&s.$data;if(p?(o+=" var schema"+a+" = "+e.util.getData(s.$data,i,e.dataPathArr)+"; ",n="schema"+a):n=s,(s||p)&&!1!==e.opts.uniqueItems){p&&(o+=" var "+h+"; if ("+n+" === false || "+n+" === undefined) "+h+" = true; else if (typeof "+n+" != 'boolean') "+h+" = false; else { "),o+=" var i = "+f+".length , "+h+" = true , j; if (i > 1) { ";var d=e.schema.items&&e.schema.items.type,m=Array.isArray(d);if(!d||"object"==d||"array"==d||m&&(d.indexOf("object")>=0||d.indexOf("array")>=0))o+=" outer: for (;i--;) { for (j = i; j--;) { if (equal("+f+"[i], "+f+"[j])) { "+h+" = false; break outer; } } } ";else{o+=" var itemIndices = {}, item; for (;i--;) { var item = "+f+"[i]; ";var y="checkDataType"+(m?"s":"");o+=" if ("+e.util[y](d,"item",!0)+") continue; ",m&&(o+=" if (typeof item == 'string') item = '\"' + item; "),o+=" if (typeof itemIndices[item] == 'number') { "+h+" = false; j = itemIndices[item]; break; } itemIndices[item] = i; } "}o+=" } ",p&&(o+="  }  "),o+=" if (!"+h+") {   ";var v=v||[];v.push(o),o="",!1!==e.createErrors?(o+=" { keyword: 'uniqueItems' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(u)+" , params: { i: i, j: j } ",!1!==e.opts.messages&&(o+=" , message: 'should NOT have duplicate items (items ## ' + j + ' and ' + i + ' are identical)' "),e.opts.verbose&&(o+=" , schema:  ",o+=p?"validate.schema"+l:""+s,o+="         , parentSchema: validate.schema"+e.schemaPath+" , data: "+f+" "),o+=" } "):o+=" {} ";var _=o;o=v.pop(),!e.compositeRule&&c?e.async?o+=" throw new ValidationError(["+_+"]); ":o+=" validate.errors = ["+_+"]; return false; ":o+=" var err = "+_+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",o+=" } ",c&&(o+=" else { ")}else c&&(o+=" if (true) { ");return o}},function(e,t,r){"use strict";var n=["multipleOf","maximum","exclusiveMaximum","minimum","exclusiveMinimum","maxLength","minLength","pattern","additionalItems","maxItems","minItems","uniqueItems","maxProperties","minProperties","required","additionalProperties","enum","format","const"];e.exports=function(e,t){for(var r=0;r<t.length;r++){e=JSON.parse(JSON.stringify(e));var o,a=t[r].split("/"),i=e;for(o=1;o<a.length;o++)i=i[a[o]];for(o=0;o<n.length;o++){var s=n[o],l=i[s];l&&(i[s]={anyOf:[l,{$ref:"https://raw.githubusercontent.com/epoberezkin/ajv/master/lib/refs/data.json#"}]})}}return e}},function(e,t,r){"use strict";var n=r(9).MissingRef;e.exports=function e(t,r,o){var a=this;if("function"!=typeof this._opts.loadSchema)throw new Error("options.loadSchema should be a function");"function"==typeof r&&(o=r,r=void 0);var i=s(t).then((function(){var e=a._addSchema(t,void 0,r);return e.validate||function e(t){try{return a._compile(t)}catch(e){if(e instanceof n)return o(e);throw e}function o(n){var o=n.missingSchema;if(u(o))throw new Error("Schema "+o+" is loaded but "+n.missingRef+" cannot be resolved");var i=a._loadingSchemas[o];return i||(i=a._loadingSchemas[o]=a._opts.loadSchema(o)).then(l,l),i.then((function(e){if(!u(o))return s(e).then((function(){u(o)||a.addSchema(e,o,void 0,r)}))})).then((function(){return e(t)}));function l(){delete a._loadingSchemas[o]}function u(e){return a._refs[e]||a._schemas[e]}}}(e)}));o&&i.then((function(e){o(null,e)}),o);return i;function s(t){var r=t.$schema;return r&&!a.getSchema(r)?e.call(a,{$ref:r},!0):Promise.resolve()}}},function(e,t,r){"use strict";var n=/^[a-z_$][a-z0-9_$-]*$/i,o=r(60),a=r(61);e.exports={add:function(e,t){var r=this.RULES;if(r.keywords[e])throw new Error("Keyword "+e+" is already defined");if(!n.test(e))throw new Error("Keyword "+e+" is not a valid identifier");if(t){this.validateKeyword(t,!0);var a=t.type;if(Array.isArray(a))for(var i=0;i<a.length;i++)l(e,a[i],t);else l(e,a,t);var s=t.metaSchema;s&&(t.$data&&this._opts.$data&&(s={anyOf:[s,{$ref:"https://raw.githubusercontent.com/epoberezkin/ajv/master/lib/refs/data.json#"}]}),t.validateSchema=this.compile(s,!0))}function l(e,t,n){for(var a,i=0;i<r.length;i++){var s=r[i];if(s.type==t){a=s;break}}a||(a={type:t,rules:[]},r.push(a));var l={keyword:e,definition:n,custom:!0,code:o,implements:n.implements};a.rules.push(l),r.custom[e]=l}return r.keywords[e]=r.all[e]=!0,this},get:function(e){var t=this.RULES.custom[e];return t?t.definition:this.RULES.keywords[e]||!1},remove:function(e){var t=this.RULES;delete t.keywords[e],delete t.all[e],delete t.custom[e];for(var r=0;r<t.length;r++)for(var n=t[r].rules,o=0;o<n.length;o++)if(n[o].keyword==e){n.splice(o,1);break}return this},validate:function e(t,r){e.errors=null;var n=this._validateKeyword=this._validateKeyword||this.compile(a,!0);if(n(t))return!0;if(e.errors=n.errors,r)throw new Error("custom keyword definition is invalid: "+this.errorsText(n.errors));return!1}}},function(e,t,r){"use strict";e.exports=function(e,t,r){var n,o,a=" ",i=e.level,s=e.dataLevel,l=e.schema[t],u=e.schemaPath+e.util.getProperty(t),c=e.errSchemaPath+"/"+t,f=!e.opts.allErrors,h="data"+(s||""),p="valid"+i,d="errs__"+i,m=e.opts.$data&&l&&l.$data;m?(a+=" var schema"+i+" = "+e.util.getData(l.$data,s,e.dataPathArr)+"; ",o="schema"+i):o=l;var y,v,_,g,b,w="definition"+i,S=this.definition,k="";if(m&&S.$data){b="keywordValidate"+i;var P=S.validateSchema;a+=" var "+w+" = RULES.custom['"+t+"'].definition; var "+b+" = "+w+".validate;"}else{if(!(g=e.useCustomRule(this,l,e.schema,e)))return;o="validate.schema"+u,b=g.code,y=S.compile,v=S.inline,_=S.macro}var x=b+".errors",E="i"+i,R="ruleErr"+i,O=S.async;if(O&&!e.async)throw new Error("async keyword in sync schema");if(v||_||(a+=x+" = null;"),a+="var "+d+" = errors;var "+p+";",m&&S.$data&&(k+="}",a+=" if ("+o+" === undefined) { "+p+" = true; } else { ",P&&(k+="}",a+=" "+p+" = "+w+".validateSchema("+o+"); if ("+p+") { ")),v)S.statements?a+=" "+g.validate+" ":a+=" "+p+" = "+g.validate+"; ";else if(_){var C=e.util.copy(e);k="";C.level++;var D="valid"+C.level;C.schema=g.validate,C.schemaPath="";var j=e.compositeRule;e.compositeRule=C.compositeRule=!0;var T=e.validate(C).replace(/validate\.schema/g,b);e.compositeRule=C.compositeRule=j,a+=" "+T}else{(I=I||[]).push(a),a="",a+="  "+b+".call( ",e.opts.passContext?a+="this":a+="self",y||!1===S.schema?a+=" , "+h+" ":a+=" , "+o+" , "+h+" , validate.schema"+e.schemaPath+" ",a+=" , (dataPath || '')",'""'!=e.errorPath&&(a+=" + "+e.errorPath);var A=s?"data"+(s-1||""):"parentData",M=s?e.dataPathArr[s]:"parentDataProperty",L=a+=" , "+A+" , "+M+" , rootData )  ";a=I.pop(),!1===S.errors?(a+=" "+p+" = ",O&&(a+="await "),a+=L+"; "):a+=O?" var "+(x="customErrors"+i)+" = null; try { "+p+" = await "+L+"; } catch (e) { "+p+" = false; if (e instanceof ValidationError) "+x+" = e.errors; else throw e; } ":" "+x+" = null; "+p+" = "+L+"; "}if(S.modifying&&(a+=" if ("+A+") "+h+" = "+A+"["+M+"];"),a+=""+k,S.valid)f&&(a+=" if (true) { ");else{var I;a+=" if ( ",void 0===S.valid?(a+=" !",a+=_?""+D:""+p):a+=" "+!S.valid+" ",a+=") { ",n=this.keyword,(I=I||[]).push(a),a="",(I=I||[]).push(a),a="",!1!==e.createErrors?(a+=" { keyword: '"+(n||"custom")+"' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(c)+" , params: { keyword: '"+this.keyword+"' } ",!1!==e.opts.messages&&(a+=" , message: 'should pass \""+this.keyword+"\" keyword validation' "),e.opts.verbose&&(a+=" , schema: validate.schema"+u+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+h+" "),a+=" } "):a+=" {} ";var F=a;a=I.pop(),!e.compositeRule&&f?e.async?a+=" throw new ValidationError(["+F+"]); ":a+=" validate.errors = ["+F+"]; return false; ":a+=" var err = "+F+";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ";var $=a;a=I.pop(),v?S.errors?"full"!=S.errors&&(a+="  for (var "+E+"="+d+"; "+E+"<errors; "+E+"++) { var "+R+" = vErrors["+E+"]; if ("+R+".dataPath === undefined) "+R+".dataPath = (dataPath || '') + "+e.errorPath+"; if ("+R+".schemaPath === undefined) { "+R+'.schemaPath = "'+c+'"; } ',e.opts.verbose&&(a+=" "+R+".schema = "+o+"; "+R+".data = "+h+"; "),a+=" } "):!1===S.errors?a+=" "+$+" ":(a+=" if ("+d+" == errors) { "+$+" } else {  for (var "+E+"="+d+"; "+E+"<errors; "+E+"++) { var "+R+" = vErrors["+E+"]; if ("+R+".dataPath === undefined) "+R+".dataPath = (dataPath || '') + "+e.errorPath+"; if ("+R+".schemaPath === undefined) { "+R+'.schemaPath = "'+c+'"; } ',e.opts.verbose&&(a+=" "+R+".schema = "+o+"; "+R+".data = "+h+"; "),a+=" } } "):_?(a+="   var err =   ",!1!==e.createErrors?(a+=" { keyword: '"+(n||"custom")+"' , dataPath: (dataPath || '') + "+e.errorPath+" , schemaPath: "+e.util.toQuotedString(c)+" , params: { keyword: '"+this.keyword+"' } ",!1!==e.opts.messages&&(a+=" , message: 'should pass \""+this.keyword+"\" keyword validation' "),e.opts.verbose&&(a+=" , schema: validate.schema"+u+" , parentSchema: validate.schema"+e.schemaPath+" , data: "+h+" "),a+=" } "):a+=" {} ",a+=";  if (vErrors === null) vErrors = [err]; else vErrors.push(err); errors++; ",!e.compositeRule&&f&&(e.async?a+=" throw new ValidationError(vErrors); ":a+=" validate.errors = vErrors; return false; ")):!1===S.errors?a+=" "+$+" ":(a+=" if (Array.isArray("+x+")) { if (vErrors === null) vErrors = "+x+"; else vErrors = vErrors.concat("+x+"); errors = vErrors.length;  for (var "+E+"="+d+"; "+E+"<errors; "+E+"++) { var "+R+" = vErrors["+E+"]; if ("+R+".dataPath === undefined) "+R+".dataPath = (dataPath || '') + "+e.errorPath+";  "+R+'.schemaPath = "'+c+'";  ',e.opts.verbose&&(a+=" "+R+".schema = "+o+"; "+R+".data = "+h+"; "),a+=" } } else { "+$+" } "),a+=" } ",f&&(a+=" else { ")}return a}},function(e,t,r){"use strict";var n=r(17);e.exports={$id:"https://github.com/epoberezkin/ajv/blob/master/lib/definition_schema.js",definitions:{simpleTypes:n.definitions.simpleTypes},type:"object",dependencies:{schema:["validate"],$data:["validate"],statements:["inline"],valid:{not:{required:["macro"]}}},properties:{type:n.properties.type,schema:{type:"boolean"},statements:{type:"boolean"},dependencies:{type:"array",items:{type:"string"}},metaSchema:{type:"object"},modifying:{type:"boolean"},valid:{type:"boolean"},$data:{type:"boolean"},async:{type:"boolean"},errors:{anyOf:[{type:"boolean"},{const:"full"}]}}}},function(e){e.exports=JSON.parse('{"$schema":"http://json-schema.org/draft-07/schema#","$id":"https://raw.githubusercontent.com/epoberezkin/ajv/master/lib/refs/data.json#","description":"Meta-schema for $data reference (JSON Schema extension proposal)","type":"object","required":["$data"],"properties":{"$data":{"type":"string","anyOf":[{"format":"relative-json-pointer"},{"format":"json-pointer"}]}},"additionalProperties":false}')},function(e,t,r){"use strict";r.r(t);var n=r(4),o=r.n(n);function a(e){return(a="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function i(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function s(e){for(;e>180;)e-=360;for(;e<-180;)e+=360;return e}var l=function(){function e(t,r){if(function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),"object"!=a(t))throw"AI definition must be an object";this._id=r,this._name=t.name,this._team=null,this._maxEnergy=100,this._energy=this._maxEnergy,this._x=0,this._y=0,this._lastX=0,this._lastY=0,this._angle=0,this._gunAngle=0,this._radarAngle=0,this._throttle=0,this._actualThrottle=0,this._speed=0,this._turn=0,this._gunTurn=0,this._radarTurn=0,this._wallHit=!1,this._enemyHit=!1,this._allyHit=!1,this._beingRammed=!1,this._radarRange=300,this._radarFocal=6,this._enemySpot=null,this._allySpot=null,this._bulletsSpot=[],this._gunReloadTime=70,this._gunTimer=0,this._shootingPower=0,this._targetingAlarmTimer=0,this._debugData={},this._score=0,this._state=null,this._hasBoost=!1,this._maxBoost=400,this._boost=this._maxBoost,this._wallDistance=null,this._skin="zebra"}var t,r,n;return t=e,(r=[{key:"onEnemyHitScore",value:function(e){this._score+=e}},{key:"onEnemyKillScore",value:function(){this._score+=20}},{key:"onSurviveScore",value:function(){this._score+=10}},{key:"setThrottle",value:function(e){this._throttle=Math.min(1,Math.max(-1,e))}},{key:"setTurn",value:function(e){this._turn=Math.min(1,Math.max(-1,e))}},{key:"setGunTurn",value:function(e){this._gunTurn=Math.min(1,Math.max(-1,e))}},{key:"setRadarTurn",value:function(e){this._radarTurn=Math.min(1,Math.max(-1,e))}},{key:"setBoost",value:function(e){this._hasBoost=!!e}},{key:"setDebugData",value:function(e){this._debugData=e}},{key:"onWallHit",value:function(){this._wallHit=!0,this.onDamage(.2)}},{key:"onEnemyHit",value:function(){this._enemyHit=!0,this.onDamage(.2)}},{key:"onAllyHit",value:function(){this._allyHit=!0,this.onDamage(.2)}},{key:"onBeingRam",value:function(e){this._beingRammed=!0,this.onDamage(.1+.1*Math.round(4*e))}},{key:"onEnemySpot",value:function(e){this._enemySpot=e}},{key:"onAllySpot",value:function(e){this._allySpot=e}},{key:"onBulletSpot",value:function(e){this._bulletsSpot.push(e)}},{key:"onWallSpot",value:function(e){this._wallDistance=e}},{key:"onTargetingAlarm",value:function(){this._targetingAlarmTimer=3}},{key:"isAlly",value:function(e){return!!this._team&&!!e.team&&this._team.name==e.team.name}},{key:"onDamage",value:function(e){this._energy=Math.max(0,this._energy-e)}},{key:"moveTo",value:function(e,t,r){this._x=e,this._y=t,this._lastX=e,this._lastY=t,void 0!==r&&(this._angle=r)}},{key:"handleShoot",value:function(){var e=this._shootingPower;return this._shootingPower=0,e}},{key:"shoot",value:function(e){e=Math.max(.1,Math.min(1,e)),this.isReloading||(this._gunTimer=Math.round(e*this._gunReloadTime),this._shootingPower=e)}},{key:"randomize",value:function(e){void 0===e&&(e=(new Date).getTime()+Math.round(1e6*Math.random()));var t=o()(e);this._angle=Math.round(360*t())-180}},{key:"init",value:function(e){e&&e.SKIN&&(this._skin=e.SKIN)}},{key:"simulationStep",value:function(e){if(0!=this._energy){this._hasBoost&&this._boost>0&&this._boost--;var t=this._x,r=this._y,n=this._throttle*(this.hasBoost?4:2),o=this.hasBoost?10:20;this._actualThrottle+=(n-this._actualThrottle)/o;var a=this._actualThrottle,i=this._angle*(Math.PI/180);this._x+=a*Math.cos(i),this._y+=a*Math.sin(i),this._wallHit=!1,this._enemyHit=!1,this._allyHit=!1,!e.checkTank(this)&&(this._x=t,this._y=r,this._actualThrottle=0),this._beingRammed&&(this._enemyHit=!0,this._beingRammed=!1),this._angle+=2*this._turn,this._radarAngle+=6*this._radarTurn,this._gunAngle+=3*this._gunTurn,this._angle=s(this._angle),this._radarAngle=s(this._radarAngle),this._gunAngle=s(this._gunAngle),e.updateTank(this),this._enemySpot=null,this._allySpot=null,this._wallDistance=null,this._targetingAlarmTimer=Math.max(0,this._targetingAlarmTimer-1),e.scanTanks(this),e.scanBullets(this),e.scanWalls(this),this._gunTimer>0&&this._gunTimer--;for(var l=null,u=null,c=[];this._bulletsSpot.length;){var f=this._bulletsSpot.shift();c.push({id:f.id,x:f.x,y:f.y,angle:f.angle,speed:f.speed,damage:f.damage})}this._enemySpot&&(l={id:this._enemySpot.id,x:this._enemySpot.x,y:this._enemySpot.y,angle:this._enemySpot.angle,speed:this._enemySpot.speed*(this._enemySpot.throttle<0?-1:1),energy:this._enemySpot.energy}),this._allySpot&&(u={id:this._allySpot.id,x:this._allySpot.x,y:this._allySpot.y,angle:this._allySpot.angle,speed:this._allySpot.speed,energy:this._allySpot.energy});var h=this._x-this._lastX,p=this._y-this._lastY;this._speed=Math.sqrt(h*h+p*p),this._lastX=this._x,this._lastY=this._y,this._state={x:this._x,y:this._y,angle:this._angle,energy:this._energy,boost:this._boost,collisions:{wall:this._wallHit,enemy:this._enemyHit,ally:this._allyHit},radar:{angle:this._radarAngle,targetingAlarm:this.targetingAlarm,wallDistance:this._wallDistance,enemy:l,ally:u,bullets:c},gun:{angle:this._gunAngle,reloading:this.isReloading},radio:{inbox:this.team?this.team.getMessages(this.id):[]}}}}},{key:"id",get:function(){return this._id}},{key:"skin",get:function(){return this._skin}},{key:"state",get:function(){return this._state}},{key:"energy",get:function(){return this._energy}},{key:"score",get:function(){return this._score}},{key:"maxEnergy",get:function(){return this._maxEnergy}},{key:"radarRange",get:function(){return this._radarRange}},{key:"radarFocal",get:function(){return this._radarFocal}},{key:"name",get:function(){return this._name}},{key:"fullName",get:function(){return this._name+" #"+this._id}},{key:"team",get:function(){return this._team}},{key:"x",get:function(){return this._x}},{key:"y",get:function(){return this._y}},{key:"speed",get:function(){return this._speed}},{key:"gunLength",get:function(){return 25}},{key:"angle",get:function(){return this._angle}},{key:"throttle",get:function(){return this._throttle}},{key:"hasBoost",get:function(){return this._hasBoost&&this._boost>0}},{key:"boost",get:function(){return this._boost}},{key:"maxBoost",get:function(){return this._maxBoost}},{key:"gunAngle",get:function(){return this._gunAngle}},{key:"radarAngle",get:function(){return this._radarAngle}},{key:"enemySpot",get:function(){return this._enemySpot}},{key:"allySpot",get:function(){return this._allySpot}},{key:"targetingAlarm",get:function(){return this._targetingAlarmTimer>0}},{key:"debugData",get:function(){return this._debugData}},{key:"isShooting",get:function(){return this._shootingPower>0}},{key:"shootingPower",get:function(){return this._shootingPower}},{key:"isReloading",get:function(){return this._gunTimer>0}}])&&i(t.prototype,r),n&&i(t,n),e}();function u(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var c=function(){function e(t){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this._name=t,this._members=[],this._inboxMap=[],this._outboxMap=[]}var t,r,n;return t=e,(r=[{key:"addTank",value:function(e){if(e.team)throw"Tank "+e.fullName+" is already assigned to team "+e.team.name;for(var t in this._members)if(this._members[t].id==e.id)return;this._members.push(e),e._team=this,this._inboxMap[e.id]=[],this._outboxMap[e.id]=[]}},{key:"getMessages",value:function(e){return this._outboxMap[e]}},{key:"sendMessages",value:function(e,t){for(var r in this._inboxMap)r!=e&&(this._inboxMap[r]=this._inboxMap[r].concat(t))}},{key:"processMessages",value:function(){var e;for(e in this._inboxMap)this._outboxMap[e]=this._inboxMap[e],this._inboxMap[e]=[]}},{key:"size",get:function(){return this._members.length}},{key:"name",get:function(){return this._name}},{key:"aliveCount",get:function(){for(var e=0,t=0;t<this._members.length;t++)this._members[t].energy>0&&e++;return e}},{key:"score",get:function(){for(var e=0,t=0;t<this._members.length;t++)e+=this._members[t].score;return e}},{key:"energy",get:function(){for(var e=0,t=0;t<this._members.length;t++)e+=this._members[t].energy;return e}},{key:"maxEnergy",get:function(){for(var e=0,t=0;t<this._members.length;t++)e+=this._members[t].maxEnergy;return e}},{key:"isAlive",get:function(){return this.aliveCount>0}},{key:"members",get:function(){return this._members}}])&&u(t.prototype,r),n&&u(t,n),e}();function f(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var h=function(){function e(t,r,n){for(!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this._id=r,this._owner=t,this._angle=t.angle+t.gunAngle;this._angle>180;)this._angle-=360;for(;this._angle<-180;)this._angle+=360;this._x=t.x+t.gunLength*Math.cos(this._angle*(Math.PI/180)),this._y=t.y+t.gunLength*Math.sin(this._angle*(Math.PI/180)),this._speed=4,this._power=n,this._damage=.01*Math.round(1e3*n+300*n*n),this._exploded=!1}var t,r,n;return t=e,(r=[{key:"onWallHit",value:function(){this._exploded=!0}},{key:"onEnemyHit",value:function(e){this._exploded=!0,e.onDamage(this._damage)}},{key:"simulationStep",value:function(){this._x+=this._speed*Math.cos(this._angle*(Math.PI/180)),this._y+=this._speed*Math.sin(this._angle*(Math.PI/180))}},{key:"id",get:function(){return this._id}},{key:"x",get:function(){return this._x}},{key:"y",get:function(){return this._y}},{key:"angle",get:function(){return this._angle}},{key:"speed",get:function(){return this._speed}},{key:"damage",get:function(){return this._damage}},{key:"power",get:function(){return this._power}},{key:"owner",get:function(){return this._owner}},{key:"exploded",get:function(){return this._exploded}}])&&f(t.prototype,r),n&&f(t,n),e}();function p(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var d=function(){function e(t,r){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this._width=null,this._height=null,this._startSlotList=[],this._offsetX=0,this._offsetY=0}var t,r,n;return t=e,(r=[{key:"setSize",value:function(e,t){this._width=e-2*this.margin,this._height=t-2*this.margin}},{key:"randomize",value:function(e){void 0===e&&(e=(new Date).getTime()+Math.round(1e6*Math.random()));var t=o()(e);this._offsetX=Math.round(1e4*t()-5e3),this._offsetY=Math.round(1e4*t()-5e3),this._startSlotList=[];for(var r=this.minX+90;r<this.maxX-90;r+=90)for(var n=this.minY+90;n<this.maxY-90;n+=90)this._startSlotList.push({x:r,y:n});for(var a,i,s=this._startSlotList.length;0!==s;)i=Math.floor(t()*s),s-=1,a=this._startSlotList[s],this._startSlotList[s]=this._startSlotList[i],this._startSlotList[i]=a}},{key:"getStartSlot",value:function(){return this._startSlotList.length?this._startSlotList.pop():null}},{key:"width",get:function(){return this._width}},{key:"height",get:function(){return this._height}},{key:"margin",get:function(){return 25}},{key:"minX",get:function(){return this._offsetX+this.margin}},{key:"minY",get:function(){return this._offsetY+this.margin}},{key:"maxX",get:function(){return this._offsetX+this._width+this.margin}},{key:"maxY",get:function(){return this._offsetY+this._height+this.margin}},{key:"offsetX",get:function(){return this._offsetX}},{key:"offsetY",get:function(){return this._offsetY}}])&&p(t.prototype,r),n&&p(t,n),e}();function m(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var y=function(){function e(){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this._data=[]}var t,r,n;return t=e,(r=[{key:"add",value:function(e,t){this._data[e]||(this._data[e]=[]),this._data[e].push(t)}},{key:"get",value:function(e){return this._data[e]||(this._data[e]=[]),this._data[e]}},{key:"clear",value:function(e){this._data=[]}}])&&m(t.prototype,r),n&&m(t,n),e}(),v=r(1),_=r.n(v);function g(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var b=function(){function e(){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this._wallList=[],this._tankMap=[],this._bulletMap=[],this._radarBeamMap=[],this._battlefield=null}var t,r,n;return t=e,(r=[{key:"updateBattlefield",value:function(e){var t;this._battlefield={minX:e.minX,minY:e.minY,maxX:e.maxX,maxY:e.maxY},t=new _.a.Box(new _.a.Vector(e.minX-10,e.minY),10,e.height).toPolygon(),this._wallList.push(t),t=new _.a.Box(new _.a.Vector(e.minX,e.minY-10),e.width,10).toPolygon(),this._wallList.push(t),t=new _.a.Box(new _.a.Vector(e.maxX,e.minY),10,e.height).toPolygon(),this._wallList.push(t),t=new _.a.Box(new _.a.Vector(e.minX,e.maxY),e.width,10).toPolygon(),this._wallList.push(t)}},{key:"updateTank",value:function(e){var t=this._getTankShape(e);t.pos.x=e.x,t.pos.y=e.y}},{key:"removeBullet",value:function(e){this._bulletMap[e.id]=null}},{key:"removeTank",value:function(e){this._tankMap[e.id]=null,this._radarBeamMap[e.id]=null}},{key:"hitTestBullet",value:function(e){var t,r,n,o=this._getBulletShape(e),a=e.owner.energy?this._getTankShape(e.owner):null;for(t in o.pos.x=e.x,o.pos.y=e.y,this._wallList)if(r=this._wallList[t],_.a.testCirclePolygon(o,r))return e.onWallHit(),!0;for(t in this._tankMap)if((n=this._tankMap[t])&&n!=a&&_.a.testCircleCircle(o,n)){var i=n.tank.energy;return e.onEnemyHit(n.tank),e.owner.isAlly(n.tank)||e.owner.onEnemyHitScore(i-n.tank.energy),0==n.tank.energy&&e.owner.onEnemyKillScore(),!0}return!1}},{key:"checkTank",value:function(e){var t,r,n,o,a=this._getTankShape(e);for(t in a.pos.x=e.x,a.pos.y=e.y,this._wallList)if(n=this._wallList[t],r=_.a.testCirclePolygon(a,n))return e.onWallHit(),!1;for(t in this._tankMap)if((o=this._tankMap[t])&&o!=a){r=_.a.testCircleCircle(a,o);var i=e.isAlly(o.tank);if(r){if(i)return e.onAllyHit(),!1;var s=o.tank.energy;return e.onEnemyHit(),o.tank.onBeingRam(e.speed),e.onEnemyHitScore(s-o.tank.energy),!1}}return!0}},{key:"scanTanks",value:function(e){var t,r,n=this._getRadarBeamShape(e),o=this._getTankShape(e);n.setAngle((e.angle+e.radarAngle)*Math.PI/180),n.pos.x=e.x,n.pos.y=e.y;var a=[];for(t in this._tankMap)(r=this._tankMap[t])&&r!=o&&_.a.testPolygonCircle(n,r)&&a.push(r.tank);if(0==a.length)return!1;var i,s,l,u,c=null,f=e.radarRange,h=null,p=e.radarRange;for(t in a)s=a[t].x-e.x,l=a[t].y-e.y,i=Math.sqrt(s*s+l*l),(u=a[t].isAlly(e))||c&&!(i<f)?u&&(!h||i<p)&&(h=a[t],p=i):(c=a[t],f=i);return h&&e.onAllySpot(h),c&&(e.onEnemySpot(c),c.onTargetingAlarm()),!0}},{key:"scanBullets",value:function(e){var t,r,n=this._getRadarBeamShape(e);n.setAngle((e.angle+e.radarAngle)*Math.PI/180),n.pos.x=e.x,n.pos.y=e.y;var o=!1;for(t in this._bulletMap)(r=this._bulletMap[t])&&r.bullet.owner!=e&&_.a.testCirclePolygon(r,n)&&(e.onBulletSpot(r.bullet),o=!0);return o}},{key:"scanWalls",value:function(e){var t=this._getWallDistance(e);return t<e.radarRange&&(e.onWallSpot(t),!0)}},{key:"_getWallDistance",value:function(e){for(var t=e.angle+e.radarAngle;t>180;)t-=360;for(;t<-180;)t+=360;var r,n,o=e.y-this._battlefield.minY,a=this._battlefield.maxY-e.y,i=e.x-this._battlefield.minX,s=this._battlefield.maxX-e.x;return-180==t||180==t?i:0==t?s:-90==t?o:90==t?a:(t>-180&&t<-90?(r=i/Math.cos((t+180)*(Math.PI/180)),n=o/Math.sin((t+180)*(Math.PI/180))):t>-90&&t<0?(r=s/Math.cos(-t*(Math.PI/180)),n=o/Math.sin(-t*(Math.PI/180))):t>0&&t<90?(r=s/Math.cos(t*(Math.PI/180)),n=a/Math.sin(t*(Math.PI/180))):(r=i/Math.cos((180-t)*(Math.PI/180)),n=a/Math.sin((180-t)*(Math.PI/180))),Math.min(r,n))}},{key:"_getTankShape",value:function(e){if(!this._tankMap[e.id]){if(0==e.energy)throw"Cannot create shape for destroyed tank";var t=new _.a.Circle(new _.a.Vector(e.x,e.y),18);this._tankMap[e.id]=t,t.tank=e}return this._tankMap[e.id]}},{key:"_getBulletShape",value:function(e){if(!this._bulletMap[e.id]){if(e.exploded)throw"Cannot create shape for exploded bullet";var t=new _.a.Circle(new _.a.Vector(e.x,e.y),3);this._bulletMap[e.id]=t,t.bullet=e}return this._bulletMap[e.id]}},{key:"_getRadarBeamShape",value:function(e){if(!this._radarBeamMap[e.id]){if(0==e.energy)throw"Cannot create radar beam shape for destroyed tank";var t=e.radarRange*Math.tan(e.radarFocal*(Math.PI/180))/2,r=new _.a.Polygon(new _.a.Vector(e.x,e.y),[new _.a.Vector(0,3),new _.a.Vector(0,-3),new _.a.Vector(e.radarRange,-t),new _.a.Vector(e.radarRange,t)]);this._radarBeamMap[e.id]=r,r.tank=e}return this._radarBeamMap[e.id]}}])&&g(t.prototype,r),n&&g(t,n),e}(),w=r(18);function S(e){return(S="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function k(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var P=function(){function e(t,r){if(function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),!t)throw"Tank is required";if(!r)throw"AiDefinition is required";this._tank=t,this._aiWorker=null,this._aiProcessingStart=0,this._aiProcessingCheckInterval=null,this._aiProcessingResolveCallback=null,this._aiProcessingRejectCallback=null,this._slowAiChances=10,this._onActivationCallback=[],this._onDectivationCallback=[],this._aiProcessingTimeLimit=3e3,this._aiDefinition=r,this._isReady=!1,this._controlData={THROTTLE:0,BOOST:0,TURN:0,RADAR_TURN:0,GUN_TURN:0,SHOOT:0,OUTBOX:[],DEBUG:{}}}var t,r,n;return t=e,(r=[{key:"setProcessingLimit",value:function(e){this._aiProcessingTimeLimit=e}},{key:"onActivation",value:function(e){this._onActivationCallback.push(e)}},{key:"onDectivation",value:function(e){this._onDeactivationCallback.push(e)}},{key:"_formatError",value:function(e){if(!e.message)return"unknown";var t=e.message;return e.lineno&&(t="Line #"+e.lineno+": "+t),t}},{key:"activate",value:function(e,t,r){if("number"!=typeof e)throw"seed must be a number, '"+S(e)+"' given";if("function"!=typeof t)throw"resolve callback must be a function, '"+S(t)+"' given";if("function"!=typeof r)throw"reject callback must be a function, '"+S(r)+"' given";var n=this;n._aiWorker=n._createWorker(this._aiDefinition),n._aiWorker.onerror=function(e){console.error(e),n._aiProcessingRejectCallback&&(n._aiProcessingRejectCallback({message:"Web Worker of '"+n._tank.fullName+"' returned an error: "+n._formatError(e),performanceIssues:!1,tankName:n._tank.name,tankId:n._tank.id}),n._aiProcessingResolveCallback=null,n._aiProcessingRejectCallback=null)},n._aiProcessingCheckInterval&&(clearInterval(n._aiProcessingCheckInterval),n._aiProcessingCheckInterval=null),n._aiProcessingCheckInterval=setInterval((function(){n._aiProcessingRejectCallback&&(new Date).getTime()-n._aiProcessingStart>n._aiProcessingTimeLimit&&(clearInterval(n._aiProcessingCheckInterval),n._aiProcessingCheckInterval=null,n._aiProcessingRejectCallback({message:"Simulation cannot be continued because "+n._tank.name+" #"+n._tank.id+" does not respond",performanceIssues:!0,tankName:n._tank.name,tankId:n._tank.id}))}),Math.max(n._aiDefinition.executionLimit,Math.round(n._aiProcessingTimeLimit/2))),n._aiWorker.onmessage=function(e){var t=e.data;if(n._aiProcessingResolveCallback){if("init"==t.type){n._configureTank(t.settings?t.settings:{}),n._isReady=!0;for(var r=0;r<n._onActivationCallback.length;r++)n._onActivationCallback[r].bind(n)()}else n._controlTank(t);var o,a=(new Date).getTime()-n._aiProcessingStart;if(a>n._aiDefinition.executionLimit&&"init"!=t.type&&(n._slowAiChances--,console.warn("Execution of AI for tank "+n._tank.name+" #"+n._tank.id+" takes too long ("+a+"ms). If problem repeats, AI will be terminated."),n._slowAiChances<=0))return o=n._aiProcessingRejectCallback,n._aiProcessingResolveCallback=null,n._aiProcessingRejectCallback=null,void o({message:"Simulation cannot be continued because "+n._tank.name+" #"+n._tank.id+" has performance issues",performanceIssues:!0,tankName:n._tank.name,tankId:n._tank.id});o=n._aiProcessingResolveCallback,n._aiProcessingResolveCallback=null,n._aiProcessingRejectCallback=null,o()}};var o=null;o=n._tank.team&&n._tank.team.size>1?{name:n._tank.team.name,mates:n._tank.team.members.map((function(e){return e.id}))}:{name:n._tank.fullName,mates:[n._tank.id]};var a={id:n._tank.id,team:o};n._aiDefinition.initData&&(a.initData=n._aiDefinition.initData),n._aiProcessingStart=(new Date).getTime(),n._aiProcessingResolveCallback=t,n._aiProcessingRejectCallback=r,n._aiWorker.postMessage({command:"init",seed:e+":"+n._tank.id,settings:{SKIN:"zebra"},info:a,code:n._aiDefinition.code})}},{key:"deactivate",value:function(){this._aiWorker&&(this._aiWorker.terminate(),this._aiWorker=null),this._aiProcessingCheckInterval&&(clearInterval(this._aiProcessingCheckInterval),this._aiProcessingCheckInterval=null);for(var e=0;e<this._onDectivationCallback.length;e++)this._onDectivationCallback[e].bind(this)()}},{key:"simulationStep",value:function(e,t){if("function"!=typeof e)throw"resolve callback must be a function, '"+S(e)+"' given";if("function"!=typeof t)throw"reject callback must be a function, '"+S(t)+"' given";if(!this._isReady)throw"AI of "+this._tank.fullName+" not initliazed";if(this._aiWorker&&0==this._tank.energy)return this._aiWorker.terminate(),this._aiWorker=null,void e();this._aiProcessingStart=(new Date).getTime(),this._aiProcessingResolveCallback=e,this._aiProcessingRejectCallback=t,this._aiWorker.postMessage({command:"update",state:this._tank.state,control:this._controlData})}},{key:"_configureTank",value:function(e){var t={};-1!=["zebra","forest","black","tiger","desert","lava","ocean"].indexOf(e.SKIN)&&(t.SKIN=e.SKIN),this._tank.init(t)}},{key:"_controlTank",value:function(e){this._controlData.THROTTLE=Number(e.THROTTLE),this._controlData.TURN=Number(e.TURN),this._controlData.GUN_TURN=Number(e.GUN_TURN),this._controlData.RADAR_TURN=Number(e.RADAR_TURN),this._controlData.SHOOT=Number(e.SHOOT),this._controlData.DEBUG=e.DEBUG,this._controlData.BOOST=e.BOOST?1:0,this._controlData.THROTTLE=isNaN(this._controlData.THROTTLE)?0:this._controlData.THROTTLE,this._controlData.TURN=isNaN(this._controlData.TURN)?0:this._controlData.TURN,this._controlData.GUN_TURN=isNaN(this._controlData.GUN_TURN)?0:this._controlData.GUN_TURN,this._controlData.RADAR_TURN=isNaN(this._controlData.RADAR_TURN)?0:this._controlData.RADAR_TURN,this._controlData.SHOOT=isNaN(this._controlData.SHOOT)?0:this._controlData.SHOOT,this._controlData.THROTTLE=Math.min(1,Math.max(-1,Number(this._controlData.THROTTLE))),this._controlData.TURN=Math.min(1,Math.max(-1,Number(this._controlData.TURN))),this._controlData.GUN_TURN=Math.min(1,Math.max(-1,Number(this._controlData.GUN_TURN))),this._controlData.RADAR_TURN=Math.min(1,Math.max(-1,Number(this._controlData.RADAR_TURN))),this._controlData.SHOOT=Math.min(1,Math.max(0,Number(this._controlData.SHOOT))),this._tank.setThrottle(this._controlData.THROTTLE),this._tank.setBoost(this._controlData.BOOST),this._tank.setTurn(this._controlData.TURN),this._tank.setRadarTurn(this._controlData.RADAR_TURN),this._tank.setGunTurn(this._controlData.GUN_TURN),this._tank.setDebugData(this._controlData.DEBUG),this._controlData.SHOOT&&this._tank.shoot(this._controlData.SHOOT),this._controlData.SHOOT=0;var t=[];for(var r in e.OUTBOX)t.push(JSON.parse(JSON.stringify(e.OUTBOX[r])));this._tank.team&&this._tank.team.sendMessages(this._tank.id,t),this._controlData.OUTBOX=[]}},{key:"_createWorker",value:function(e){return e.useSandbox?new Worker(e.filePath):new w.a}},{key:"tank",get:function(){return this._tank}},{key:"worker",get:function(){return this._aiWorker}}])&&k(t.prototype,r),n&&k(t,n),e}();function x(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var E=function(){function e(){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this._simulationStepDuration=30,this._stepCounter=0,this._checkLoop=0,this._started=!1,this._desiredPerfomance=Math.floor(1e3/this._simulationStepDuration),this._actualPerfomance=this._desiredPerfomance,this._perfomanceIndex=1,this._desiredQuality=1,this._quality=this._desiredQuality,this._checkInterval=500}var t,r,n;return t=e,(r=[{key:"start",value:function(){this._started=!0;var e=this;this._checkLoop=setInterval((function(){e._check()}),this._checkInterval)}},{key:"stop",value:function(){this._started=!1,this._checkLoop&&(clearInterval(this._checkLoop),this._checkLoop=null)}},{key:"setSimulationStepDuration",value:function(e){e!=this._simulationStepDuration&&(this._quality=this._desiredQuality),this._simulationStepDuration=e,this._desiredPerfomance=Math.floor(1e3/e)}},{key:"onSimulationStep",value:function(){this._started&&this._stepCounter++}},{key:"_check",value:function(){this._actualPerfomance=Math.ceil(this._stepCounter*(1e3/this._checkInterval)),this._stepCounter=0;var e=this._desiredPerfomance?this._actualPerfomance/this._desiredPerfomance:1;this._perfomanceIndex=(this._perfomanceIndex+e)/2,this._updateQuality()}},{key:"_updateQuality",value:function(){var e=2.5*this._perfomanceIndex-1.25;e=Math.max(0,Math.min(1,e));var t=-.5*this._perfomanceIndex+.45;this._perfomanceIndex>1?this._desiredQuality+=.1:this._desiredQuality-=t,this._desiredQuality=Math.max(0,Math.min(1,this._desiredQuality));var r=Math.max(e,this._desiredQuality);this._desiredQuality=(this._desiredQuality+r)/2,this._desiredQuality<this._quality?this._quality=this._desiredQuality:this._quality=(this._desiredQuality+9*this._quality)/10}},{key:"started",get:function(){return this._started}},{key:"desiredPerfomance",get:function(){return this._desiredPerfomance}},{key:"actualPerfomance",get:function(){return this._actualPerfomance}},{key:"qualityLevel",get:function(){return this._quality}}])&&x(t.prototype,r),n&&x(t,n),e}();function R(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var O=!1,C=function(){function e(){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e);var t=(new Date).getTime().toString();t=t.substr(t.length-6,6)+""+Math.round(1e7*Math.random()),t=(t=Number(t)).toString(35),this._name="",this._team=t,this._code=null,this._initData=null,this._useSandbox=!0,this._executionLimit=100}var t,r,n;return t=e,(r=[{key:"toJSON",value:function(){return{name:this._name,team:this._team,code:this._code,initData:this._initData,useSandbox:this._useSandbox,executionLimit:this.executionLimit}}},{key:"fromJSON",value:function(e){this._name=e.name,this._team=e.team,this._code=e.code?e.code.replace(/importScripts\w*\([^\)]*\)/g,""):e.code,this._initData=e.initData,this._useSandbox=e.useSandbox,this._executionLimit=e.executionLimit}},{key:"clone",value:function(){var t=new e;return t.fromJSON(this.toJSON()),t}},{key:"fromFile",value:function(e,t){if(!e)throw new Error("tankName is required");this._name=e,this._code=null,this._initData=void 0!==t?t:null}},{key:"fromCode",value:function(e,t,r){if(!e)throw new Error("tankName is required");if(!t)throw new Error("Code is required");if("string"!=typeof e)throw new Error("tankName must be a string");if("string"!=typeof t)throw new Error("code must be a string");t=t.replace(/importScripts\w*\([^\)]*\)/g,""),this._name=e,this._code=t,this._initData=void 0!==r?r:null}},{key:"assignToTeam",value:function(e){this._team=e}},{key:"disableSandbox",value:function(){if(null===this._code)throw new Error("Sandbox can be disabled for AI created from code only (AI name: '"+this._name+"')");O||(console.warn("Disabling sandbox for AI! It could be dangerous."),O=!0),this._useSandbox=!1}},{key:"name",get:function(){return this._name}},{key:"teamName",get:function(){return this._team}},{key:"executionLimit",get:function(){return this._executionLimit},set:function(e){this._executionLimit=e}},{key:"filePath",get:function(){return this._useSandbox?null!==this._code?"tanks/lib/codeWorker.js":"tanks/".concat(this._name,".tank.js"):null}},{key:"code",get:function(){return this._code}},{key:"initData",get:function(){return this._initData}},{key:"useSandbox",get:function(){return this._useSandbox}}])&&R(t.prototype,r),n&&R(t,n),e}(),D=r(19),j=r.n(D),T=r(20);function A(e,t){var r;if("undefined"==typeof Symbol||null==e[Symbol.iterator]){if(Array.isArray(e)||(r=function(e,t){if(!e)return;if("string"==typeof e)return M(e,t);var r=Object.prototype.toString.call(e).slice(8,-1);"Object"===r&&e.constructor&&(r=e.constructor.name);if("Map"===r||"Set"===r)return Array.from(e);if("Arguments"===r||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(r))return M(e,t)}(e))||t&&e&&"number"==typeof e.length){r&&(e=r);var n=0,o=function(){};return{s:o,n:function(){return n>=e.length?{done:!0}:{done:!1,value:e[n++]}},e:function(e){throw e},f:o}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}var a,i=!0,s=!1;return{s:function(){r=e[Symbol.iterator]()},n:function(){var e=r.next();return i=e.done,e},e:function(e){s=!0,a=e},f:function(){try{i||null==r.return||r.return()}finally{if(s)throw a}}}}function M(e,t){(null==t||t>e.length)&&(t=e.length);for(var r=0,n=new Array(t);r<t;r++)n[r]=e[r];return n}function L(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var I=function(){function e(){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this._version=4,this._aiList=[],this._rngSeed=(new Date).getTime(),this._teamMode=!1,this._timeLimit=0}var t,r,n;return t=e,(r=[{key:"addAiDefinition",value:function(e){this._aiList.push(e)}},{key:"setTeamMode",value:function(e){this._teamMode=e}},{key:"getTeamMode",value:function(){return this._teamMode}},{key:"setRngSeed",value:function(e){this._rngSeed=e}},{key:"getVersion",value:function(){return this._version}},{key:"getAiList",value:function(){return this._aiList}},{key:"setTimeLimit",value:function(e){this._timeLimit=e}},{key:"getTimeLimit",value:function(){return this._timeLimit}},{key:"getRngSeed",value:function(){return this._rngSeed}},{key:"encode",value:function(){var e,t,r={version:this._version,rngSeed:this._rngSeed,teamMode:this._teamMode,timeLimit:this._timeLimit,aiList:[]},n=A(this._aiList);try{for(n.s();!(t=n.n()).done;){var o=t.value;e=o.count||1;for(var a=0;a<e;a++)r.aiList.push(o.toJSON())}}catch(e){n.e(e)}finally{n.f()}return JSON.stringify(r)}},{key:"decode",value:function(e,t){var r,n;try{r=JSON.parse(e)}catch(e){throw new Error("Cannot parse UBD file! ".concat(e))}if(this._version!=r.version)throw new Error("Version of UBD does not match. Version ".concat(r.version," is not supported. Please convert to version ").concat(this._version));this.validateJsonData(r),this._rngSeed=r.rngSeed,this._teamMode=r.teamMode,this._timeLimit=r.timeLimit;var o,a=A(r.aiList);try{for(a.s();!(o=a.n()).done;){var i=o.value;n=new C,t||(i.useSandbox=!0,i.executionLimit=100,i.initData=null),n.fromJSON(i),this._aiList.push(n)}}catch(e){a.e(e)}finally{a.f()}}},{key:"validateJsonData",value:function(e){var t=(new j.a).compile(T);if(!t(e))throw new Error("UBD validation failed - "+t.errors[0].message)}},{key:"clone",value:function(){var t=new e;t.setRngSeed(this.getRngSeed()),t.setTeamMode(this.getTeamMode());var r,n,o=A(this.getAiList());try{for(o.s();!(n=o.n()).done;)r=n.value.clone(),t.addAiDefinition(r)}catch(e){o.e(e)}finally{o.f()}return t}}])&&L(t.prototype,r),n&&L(t,n),e}();var F=function(e){var t=0;for(var r in e._teamMap)e._teamMap[r].isAlive&&t++;return t<=1};function $(e){return($="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function N(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var B=function(){function e(t,r){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this._debug=r,this._aiList=[],this._allTankList=[],this._tankList=[],this._bulletList=[],this._explodedTankList=[],this._explodedBulletList=[],this._battlefield=null,this._simulationTimeout=null,this._renderInterval=null,this._simulationStepDuration=17,this._renderStepDuration=30,this._renderer=t,this._isRunning=!1,this._collisionResolver=new b,this._rngSeed=(new Date).getTime()+Math.round(1e6*Math.random()),this._rng=o()(this._rngSeed),this._speedMultiplier=1,this._onSimulationStepCallback=[],this._onRenderStepCallback=[],this._onFinishCallback=[],this._onErrorCallback=[],this._onStartCallback=[],this._timeElapsed=0,this._timeLimit=3e4,this._finishCondition=F,this._customFinishCondition=!1,this._eventStore=new y,this._nextTankId=1,this._nextBulletId=1,this._rendererQuality="auto",this._perfMon=new E,this._perfMon.setSimulationStepDuration(this._simulationStepDuration/this._speedMultiplier),this._callStackLimit=Number.MAX_VALUE,this._callStackCount=0,this._teamMap=[],this._teamList=[],this._ultimateBattleDescriptor=new I,this.log("Contructing Simulation")}var t,r,n;return t=e,(r=[{key:"setRngSeed",value:function(e){this.log("Set renderer RNG Seed to '".concat(e,"'")),this._rngSeed=e,this._ultimateBattleDescriptor.setRngSeed(e),this._rng=o()(this._rngSeed)}},{key:"getRngSeed",value:function(){return this._rngSeed}},{key:"getRandom",value:function(){return this._rng()}},{key:"log",value:function(e){this._debug&&console.log("[SIM] "+e)}},{key:"setFinishCondition",value:function(e){this.log("Setting custom finish conditioins"),this._customFinishCondition=!0,this._finishCondition=e}},{key:"init",value:function(e,t){this.log("Initialize the battlefield (width=".concat(e,", height=").concat(t,")")),this._battlefield=new d,this._battlefield.setSize(e,t),this._battlefield.randomize(this._rng()),this._renderer.initBatlefield(this._battlefield),this._collisionResolver.updateBattlefield(this._battlefield),this.log("The battlefiield initialized. Done.")}},{key:"start",value:function(){if(this.log("Starting the simulation"),0==this._tankList.length)throw new Error("To start simulation, the tank list cannot be empty!");var e;this._isRunning=!0;var t=this;this._renderInterval&&(this.log("Clearing existing render interval"),clearInterval(this._renderInterval),this._renderInterval=null),this.log("Activating AIs..."),this._activateAi((function(){for(t._renderInterval=setInterval((function(){t._updateView()}),t._renderStepDuration),t._simulationTimeout&&clearTimeout(t._simulationTimeout),t._perfMon.start(),t.log("Notify onStartCallback"),e=0;e<t._onStartCallback.length;e++)t._onStartCallback[e]();t.log("Run first simulation step"),t._simulationStep()}),(function(r){for(console.error(r),e=0;e<t._onErrorCallback.length;e++)t._onErrorCallback[e](r.message?r.message:"Error during simulation")}))}},{key:"_simulationStep",value:function(){this._perfMon.onSimulationStep();var e,t=(new Date).getTime(),r=this;this._updateModel(),this._updateAi((function(){if(r._simulationTimeout&&(clearTimeout(r._simulationTimeout),r._simulationTimeout=null),r._timeLimit>0&&r._timeElapsed==r._timeLimit||r._finishCondition(r))for(r.stop(),r._updateModel(),r._updateView(),e=0;e<r._onFinishCallback.length;e++)r._onFinishCallback[e]();if(r._isRunning){var n=(new Date).getTime()-t,o=r._simulationStepDuration/r._speedMultiplier-n;for(o=Math.round(o),e=0;e<r._onSimulationStepCallback.length;e++)r._onSimulationStepCallback[e]();r._timeElapsed+=r._simulationStepDuration,r._timeLimit>0&&(r._timeElapsed=Math.min(r._timeElapsed,r._timeLimit)),o>0?(r._callStackCount=0,r._simulationTimeout=setTimeout(r._simulationStep.bind(r),o)):r._callStackCount>=r._callStackLimit?r._simulationTimeout=setTimeout(r._simulationStep.bind(r),1):(r._callStackCount++,r._simulationStep())}}),(function(t){for(console.error(t),e=0;e<r._onErrorCallback.length;e++)r._onErrorCallback[e](t.message?t.message:"Error during simulation")}))}},{key:"addTank",value:function(e){if(this.log("Adding tank..."),"object"!=$(e))throw"AI definition must be an object";if(!this._battlefield)throw"Simulation not initialized";if(!e.teamName)throw"Team name cannot be empty!";var t=this._battlefield.getStartSlot();if(!t)throw"No free space in the battlefield";this._ultimateBattleDescriptor.addAiDefinition(e),this._ultimateBattleDescriptor.setTeamMode(this.hasTeams());var r=this._createTank(e);r.randomize(this.getRandom()),r.moveTo(t.x,t.y),this._tankList.push(r),this._allTankList.push(r),this._timeLimit>0&&this._allTankList.length>2&&(this._timeLimit+=2e3),this._teamMap[e.teamName]||(this._teamMap[e.teamName]=new c(e.teamName),this._teamList.push(this._teamMap[e.teamName])),this._teamMap[e.teamName].addTank(r);var n=this._createAiWrapper(r,e);return this._aiList.push(n),n}},{key:"setSpeed",value:function(e){this.log("Set speed to '".concat(e,"'")),this._speedMultiplier=Math.max(.01,Number(e)),this._perfMon.setSimulationStepDuration(this._simulationStepDuration/this._speedMultiplier),this._renderer.setSpeed(e)}},{key:"setRendererQuality",value:function(e){this.log("Set rederer quality to '".concat(e,"'")),isNaN(e)&&"auto"!=e||(isNaN(e)||(e=Math.min(1,Math.max(0,e))),this._rendererQuality=e)}},{key:"stop",value:function(){var e,t;for(this.log("stopping the simulation"),this._isRunning=!1,this._perfMon.stop(),this._renderer.stop(),this._simulationTimeout&&(clearTimeout(this._simulationTimeout),this._simulationTimeout=null),this._renderInterval&&(clearInterval(this._renderInterval),this._renderInterval=null),t=0;t<this._aiList.length;t++)(e=this._aiList[t])&&e.deactivate();this._aiList=[]}},{key:"onStep",value:function(e){this._onSimulationStepCallback.push(e)}},{key:"onRender",value:function(e){this._onRenderStepCallback.push(e)}},{key:"onStart",value:function(e){this._onStartCallback.push(e)}},{key:"onFinish",value:function(e){this._onFinishCallback.push(e)}},{key:"onError",value:function(e){this._onErrorCallback.push(e)}},{key:"createUltimateBattleDescriptor",value:function(){if(this._customFinishCondition)throw new Error("Cannot create UBD for battles with custom battle finish condition!");return this._ultimateBattleDescriptor.clone()}},{key:"hasTeams",value:function(){return this._teamList.length!=this._tankList.length}},{key:"_activateAi",value:function(e,t){this._runInSequence(this._aiList,"activate",this._rng(),e,t)}},{key:"_updateAi",value:function(e,t){this._runInSequence(this._aiList,"simulationStep",null,e,t)}},{key:"_runInSequence",value:function(e,t,r,n,o){if(0==e.length)return n();function a(){for(var e=[],t=arguments[1],r=arguments[0],n=2;n<arguments.length;n++)e.push(arguments[n]);return function(n){t.apply(r,e.concat(n))}}var i,s=a(null,n),l=a(null,o);i=r?a(e[e.length-1],e[e.length-1][t],r,s,l):a(e[e.length-1],e[e.length-1][t],s,l);for(var u=e.length-2;u>=0;u--)i=r?a(e[u],e[u][t],r,i,l):a(e[u],e[u][t],i,l);i()}},{key:"_updateModel",value:function(){var e,t,r,n;for(e=0;e<this._tankList.length;e++)(t=this._tankList[e])&&t.simulationStep(this._collisionResolver);var o=0;for(e=0;e<this._tankList.length;e++)(t=this._tankList[e])&&t.energy<=0&&(o++,this._tankList[e]=null,this._explodedTankList.push(t),this._collisionResolver.removeTank(t),this._eventStore.add("tank_"+t.id,{type:"destroy",tank:t}));var a=[];for(e=0;e<this._aiList.length;e++)(n=this._aiList[e])&&(n.tank.energy<=0?(this._aiList[e]=null,n.deactivate()):a.push(n));for(this._aiList=a,e=0;e<this._tankList.length;e++)if((t=this._tankList[e])&&t.isShooting){var i=t.handleShoot();r=this._createBullet(t,i),this._bulletList.push(r),this._eventStore.add("tank_"+t.id,{type:"shoot",tank:t,bullet:r})}for(e=0;e<this._tankList.length;e++)if(t=this._tankList[e])for(var s=0;s<o;s++)t.onSurviveScore();for(e=0;e<this._bulletList.length;e++)(r=this._bulletList[e])&&(r.simulationStep(),this._collisionResolver.hitTestBullet(r)&&(this._bulletList[e]=null,this._explodedBulletList.push(r),this._collisionResolver.removeBullet(r),this._eventStore.add("bullet_"+r.id,{type:"explode",bullet:r})));for(e in this._teamMap)this._teamMap[e].processMessages()}},{key:"_updateView",value:function(){var e,t,r;for("auto"==this._rendererQuality?this._renderer.quality=this._perfMon.qualityLevel:this._renderer.quality=this._rendererQuality,this._renderer.preRender(),this._renderer.renderClock(this._timeElapsed,this._timeLimit),e=0;e<this._tankList.length;e++)(t=this._tankList[e])&&this._renderer.renderTank(t,this._eventStore.get("tank_"+t.id));for(e=0;e<this._bulletList.length;e++)(r=this._bulletList[e])&&this._renderer.renderBullet(r,this._eventStore.get("bullet_"+r.id));for(;this._explodedTankList.length;)t=this._explodedTankList.pop(),this._renderer.renderTank(t,this._eventStore.get("tank_"+t.id));for(;this._explodedBulletList.length;)r=this._explodedBulletList.pop(),this._renderer.renderBullet(r,this._eventStore.get("bullet_"+r.id));for(this._renderer.renderTankStats(this._allTankList),this._renderer.postRender(),e=0;e<this._onRenderStepCallback.length;e++)this._onRenderStepCallback[e]();this._eventStore.clear()}},{key:"_createAiWrapper",value:function(e,t){return new P(e,t)}},{key:"_createTank",value:function(e){return new l(e,this._nextTankId++)}},{key:"_createBullet",value:function(e,t){return new h(e,this._nextBulletId++,t)}},{key:"tankList",get:function(){return this._allTankList}},{key:"teamList",get:function(){return this._teamList}},{key:"renderer",get:function(){return this._renderer}},{key:"battlefield",get:function(){return this._battlefield}},{key:"timeElapsed",get:function(){return this._timeElapsed}},{key:"timeLimit",get:function(){return this._timeLimit},set:function(e){this.log("Set time limit to '".concat(e,"'")),this._ultimateBattleDescriptor.setTimeLimit(e),this._timeLimit=e}}])&&N(t.prototype,r),n&&N(t,n),e}();function V(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var z=function(){function e(){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e)}var t,r,n;return t=e,(r=[{key:"initBatlefield",value:function(e){}},{key:"preRender",value:function(){}},{key:"postRender",value:function(){}},{key:"renderTank",value:function(e,t){}},{key:"renderClock",value:function(e,t){}},{key:"renderTankStats",value:function(e){}},{key:"renderBullet",value:function(e,t){}},{key:"setSpeed",value:function(e){}},{key:"stop",value:function(){}},{key:"dispose",value:function(){}},{key:"quality",get:function(){return 1},set:function(e){}}])&&V(t.prototype,r),n&&V(t,n),e}(),U=r(0);function q(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var H=function(){function e(t){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this._model=t,this._view=null,this._isAlive=!0}var t,r,n;return t=e,(r=[{key:"destroy",value:function(){this._isAlive=!1}},{key:"update",value:function(e){}},{key:"isAlive",get:function(){return this._isAlive}},{key:"model",get:function(){return this._model}},{key:"view",get:function(){return this._view}}])&&q(t.prototype,r),n&&q(t,n),e}();function Q(e){return(Q="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function G(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function X(e,t){return(X=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function K(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=W(e);if(t){var o=W(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return Y(this,r)}}function Y(e,t){return!t||"object"!==Q(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function W(e){return(W=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var J=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&X(e,t)}(a,e);var t,r,n,o=K(a);function a(e){var t;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),(t=o.call(this))._debug=e,t._tankMap=[],t._bulletMap=[],t._offsetX=0,t._offsetY=0,t._speedMultiplier=1,t}return t=a,(r=[{key:"log",value:function(e){this._debug&&console.log("[RENDERER] "+e)}},{key:"initBatlefield",value:function(e){this._offsetX=e.offsetX,this._offsetY=e.offsetY}},{key:"renderTank",value:function(e,t){this._renderModel(e,t,this._tankMap,this._createTankView)}},{key:"renderBullet",value:function(e,t){this._renderModel(e,t,this._bulletMap,this._createBulletView)}},{key:"getBulletView",value:function(e){return this._bulletMap[e]}},{key:"getTankView",value:function(e){return this._tankMap[e]}},{key:"setSpeed",value:function(e){this._speedMultiplier=e}},{key:"_renderModel",value:function(e,t,r,n){var o=null;return r[e.id]?o=r[e.id]:(o=n(e),r[e.id]=o),o.update(t),o}},{key:"_createTankView",value:function(e){return new H(e)}},{key:"_createBulletView",value:function(e){return new H(e)}},{key:"dispose",value:function(){}},{key:"offsetX",get:function(){return this._offsetX}},{key:"offsetY",get:function(){return this._offsetY}},{key:"speedMultiplier",get:function(){return this._speedMultiplier}}])&&G(t.prototype,r),n&&G(t,n),a}(z);function Z(e){return(Z="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function ee(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function te(e,t,r){return(te="undefined"!=typeof Reflect&&Reflect.get?Reflect.get:function(e,t,r){var n=function(e,t){for(;!Object.prototype.hasOwnProperty.call(e,t)&&null!==(e=ae(e)););return e}(e,t);if(n){var o=Object.getOwnPropertyDescriptor(n,t);return o.get?o.get.call(r):o.value}})(e,t,r||e)}function re(e,t){return(re=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function ne(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=ae(e);if(t){var o=ae(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return oe(this,r)}}function oe(e,t){return!t||"object"!==Z(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function ae(e){return(ae=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var ie=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&re(e,t)}(a,e);var t,r,n,o=ne(a);function a(e){var t;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),(t=o.call(this,e))._model=e,t._view=new U.Container,t._create(t._view),t}return t=a,(r=[{key:"update",value:function(e){te(ae(a.prototype),"update",this).call(this,e),void 0!==this._model.x&&(this._view.x=this._model.x),void 0!==this._model.y&&(this._view.y=this._model.y),void 0!==this._model.angle&&(this._view.rotation=this._model.angle*(Math.PI/180))}},{key:"destroy",value:function(){te(ae(a.prototype),"destroy",this).call(this),this.view.parent&&this.view.parent.removeChild(this.view)}},{key:"_create",value:function(e){}}])&&ee(t.prototype,r),n&&ee(t,n),a}(H);function se(e){return(se="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function le(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function ue(e,t,r){return(ue="undefined"!=typeof Reflect&&Reflect.get?Reflect.get:function(e,t,r){var n=function(e,t){for(;!Object.prototype.hasOwnProperty.call(e,t)&&null!==(e=pe(e)););return e}(e,t);if(n){var o=Object.getOwnPropertyDescriptor(n,t);return o.get?o.get.call(r):o.value}})(e,t,r||e)}function ce(e,t){return(ce=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function fe(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=pe(e);if(t){var o=pe(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return he(this,r)}}function he(e,t){return!t||"object"!==se(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function pe(e){return(pe=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var de=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&ce(e,t)}(a,e);var t,r,n,o=fe(a);function a(e){var t;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),(t=o.call(this,e))._hudView=new U.Container,t._createHud(t._hudView),t}return t=a,(r=[{key:"update",value:function(e){ue(pe(a.prototype),"update",this).call(this,e),this.view.rotation=0,this.body.rotation=this.model.angle*(Math.PI/180),this.gun.rotation=(this.model.angle+this.model.gunAngle)*(Math.PI/180),this.radar.rotation=(this.model.angle+this.model.radarAngle)*(Math.PI/180),this.energyBar.scale.x=this.model.energy/this.model.maxEnergy,this.label.text=this.model.fullName,this.hudView.x=this.view.x,this.hudView.y=this.view.y;for(var t=0;t<e.length;t++)this._onEvent(e[t])}},{key:"_onEvent",value:function(e){switch(e.type){case"shoot":this._onShoot(e);break;case"destroy":this._onDestroy(e)}}},{key:"_onShoot",value:function(e){}},{key:"_onDestroy",value:function(e){this.destroy()}},{key:"_create",value:function(e){ue(pe(a.prototype),"_create",this).call(this,e),this._body=this._createBody(),this._gun=this._createGun(),this._radar=this._createRadar(),e.addChild(this._body),e.addChild(this._gun),e.addChild(this._radar)}},{key:"_createHud",value:function(e){this._label=this._createLabel(),this._energyBar=this._createEnergyBar(),e.addChild(this._createHudBackground()),e.addChild(this._energyBar),e.addChild(this._label)}},{key:"_createBody",value:function(){return new U.Sprite}},{key:"_createGun",value:function(){return new U.Sprite}},{key:"_createRadar",value:function(){return new U.Sprite}},{key:"_createHudBackground",value:function(){return new U.Sprite}},{key:"_createEnergyBar",value:function(){return new U.Sprite}},{key:"_createLabel",value:function(){return new U.Text}},{key:"destroy",value:function(){ue(pe(a.prototype),"destroy",this).call(this),this.hudView.parent&&this.hudView.parent.removeChild(this.hudView)}},{key:"body",get:function(){return this._body}},{key:"hudView",get:function(){return this._hudView}},{key:"gun",get:function(){return this._gun}},{key:"radar",get:function(){return this._radar}},{key:"label",get:function(){return this._label}},{key:"energyBar",get:function(){return this._energyBar}}])&&le(t.prototype,r),n&&le(t,n),a}(ie);function me(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var ye=function(){function e(){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e)}var t,r,n;return t=e,(r=[{key:"construct",value:function(){this._msElapsed=0,this._msLimit=0}},{key:"update",value:function(e,t){this._msElapsed=e,this._msLimit=t}},{key:"msElapsed",get:function(){return this._msElapsed}},{key:"msLimit",get:function(){return this._msLimit}},{key:"text",get:function(){var e=Math.max(0,this._msLimit-this._msElapsed),t=Math.floor(e/1e3),r=e%1e3;for(t=t.toString();t.length<2;)t="0"+t;for(r=r.toString();r.length<3;)r="0"+r;return"0:"+t+"."+r}}])&&me(t.prototype,r),n&&me(t,n),e}();function ve(e){return(ve="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function _e(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function ge(e,t,r){return(ge="undefined"!=typeof Reflect&&Reflect.get?Reflect.get:function(e,t,r){var n=function(e,t){for(;!Object.prototype.hasOwnProperty.call(e,t)&&null!==(e=ke(e)););return e}(e,t);if(n){var o=Object.getOwnPropertyDescriptor(n,t);return o.get?o.get.call(r):o.value}})(e,t,r||e)}function be(e,t){return(be=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function we(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=ke(e);if(t){var o=ke(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return Se(this,r)}}function Se(e,t){return!t||"object"!==ve(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function ke(e){return(ke=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var Pe=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&be(e,t)}(a,e);var t,r,n,o=we(a);function a(e,t){var r;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),(r=o.call(this,t))._name=e,r._isDisposed=!1,U.settings.FAIL_IF_MAJOR_PERFORMANCE_CAVEAT=!1,r._masterContainer=new U.Container,r._tankContainer=new U.Container,r._bulletContainer=new U.Container,r._hudContainer=new U.Container,r._masterContainer.addChild(r._tankContainer),r._masterContainer.addChild(r._bulletContainer),r._masterContainer.addChild(r._hudContainer),r._renderer=null,r._stage=null,r._clockModel=new ye,r._clockView=null,r._battlefieldView=null,window.devicePixelRatio>=2?r._rendererScale=2:r._rendererScale=1,r.log("Contructing Renderer"),r}return t=a,(r=[{key:"initBatlefield",value:function(e){this.log("initializing the battlefield"),ge(ke(a.prototype),"initBatlefield",this).call(this,e),this._masterContainer.x=-this.offsetX,this._masterContainer.y=-this.offsetY,this.log("battlefield offset: x=".concat(this._masterContainer.x,", y=").concat(this._masterContainer.y));var t={view:this._canvas,antialias:!1,backgroundColor:16777215,resolution:this._rendererScale,width:e.width+2*e.margin,height:e.height+2*e.margin};this.log("renderer settings: width=".concat(t.width,", height=").concat(t.width)),this._renderer=new U.autoDetectRenderer(t),this._stage=new U.Container,this._battlefieldView=this._createBattlefieldView(e),this._clockView=this._createClockView(this._clockModel),this._stage.addChild(this._battlefieldView.view),this._stage.addChild(this._masterContainer),this._stage.addChild(this._clockView.view),this._renderer.render(this._stage),this.log("battlefield initialized")}},{key:"init",value:function(e){this._canvas=e}},{key:"loadAssets",value:function(e,t){var r=this;if(this.log("loading assets, urlPrefix: '".concat(t,"'")),t=t||"",!this._name)return this.log("No assets to load for that renderer. Done."),void e();var n=new U.Loader,o=[];for(var a in n.resources)this.log("adding resource to load '".concat(a,"'")),o.push(a);this._getSpritesheetUrls(this._name,this._rendererScale).filter((function(e){return-1==o.indexOf(e)})).forEach((function(e){n.add(t+e)})),this.log("loading assets..."),n.load((function(t,n){if(r._isDisposed)return r.log("Renderer disposed: Clearing texture cache"),U.utils.clearTextureCache(),void r.log("Renderer disposed: Skipping onAssetsLoaded handler");r.log("onAssetsLoaded()"),r.onAssetsLoaded(),r.log("Assets loaded"),e()}))}},{key:"onAssetsLoaded",value:function(){}},{key:"preRender",value:function(){this._battlefieldView.update()}},{key:"renderTank",value:function(e,t){ge(ke(a.prototype),"renderTank",this).call(this,e,t);var r=this.getTankView(e.id);!r.parent&&r.isAlive&&(this._tankContainer.addChild(r.view),this._hudContainer.addChild(r.hudView))}},{key:"renderBullet",value:function(e,t){ge(ke(a.prototype),"renderBullet",this).call(this,e,t);var r=this.getBulletView(e.id);!r.parent&&r.isAlive&&this._bulletContainer.addChild(r.view)}},{key:"renderClock",value:function(e,t){this._clockModel.update(e,t),this._clockView.update()}},{key:"postRender",value:function(){ge(ke(a.prototype),"postRender",this).call(this),this._renderer.render(this._stage)}},{key:"_getSpritesheetUrls",value:function(e,t){var r=2==t?"retina@2x":"web";return["img/spritesheets/".concat(e,"/").concat(r,"/jsbattle.json")]}},{key:"_createTankView",value:function(e){return new de(e)}},{key:"_createBulletView",value:function(e){return new ie(e)}},{key:"_createBattlefieldView",value:function(e){return new ie(e)}},{key:"_createClockView",value:function(e){return new ie(e)}},{key:"dispose",value:function(){this.log("Disposing..."),this._isDisposed=!0,this._renderer?(this._renderer.context.gl.getExtension("WEBGL_lose_context").loseContext(),this._renderer.destroy(),this._renderer=null):this.log("Already disposed"),this._canvas=null,this._stage=null,this.log("Clearing texture cache"),U.utils.clearTextureCache()}},{key:"stage",get:function(){return this._stage}},{key:"battlefieldView",get:function(){return this._battlefieldView}},{key:"masterContainer",get:function(){return this._masterContainer}}])&&_e(t.prototype,r),n&&_e(t,n),a}(J);function xe(e){return(xe="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function Ee(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}function Re(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function Oe(e,t){return(Oe=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function Ce(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=je(e);if(t){var o=je(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return De(this,r)}}function De(e,t){return!t||"object"!==xe(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function je(e){return(je=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var Te=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&Oe(e,t)}(a,e);var t,r,n,o=Ce(a);function a(){return Ee(this,a),o.apply(this,arguments)}return t=a,(r=[{key:"_create",value:function(e){var t=new U.Graphics;t.beginFill(0),t.lineStyle(1,16776960,.8),t.drawRect(0,0,this.model.width+2*this.model.margin,this.model.height+2*this.model.margin),t.endFill(),e.addChild(t),(t=new U.Graphics).beginFill(0),t.lineStyle(1,16776960,.8),t.drawRect(this.model.margin,this.model.margin,this.model.width,this.model.height),t.endFill(),e.addChild(t)}},{key:"update",value:function(e){}}])&&Re(t.prototype,r),n&&Re(t,n),a}(ie);function Ae(e){return(Ae="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function Me(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function Le(e,t){return(Le=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function Ie(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=$e(e);if(t){var o=$e(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return Fe(this,r)}}function Fe(e,t){return!t||"object"!==Ae(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function $e(e){return($e=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var Ne=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&Le(e,t)}(a,e);var t,r,n,o=Ie(a);function a(e){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),o.call(this,e)}return t=a,(r=[{key:"_create",value:function(e){var t=new U.TextStyle({fontFamily:"Arial",fontSize:12,fill:"#00ff00"});this._label=new U.Text("clock",t),this._label.x=5,this._label.y=5,e.addChild(this._label)}},{key:"update",value:function(e){this._label.text=this.model.text}}])&&Me(t.prototype,r),n&&Me(t,n),a}(ie);function Be(e){return(Be="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function Ve(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function ze(e,t,r){return(ze="undefined"!=typeof Reflect&&Reflect.get?Reflect.get:function(e,t,r){var n=function(e,t){for(;!Object.prototype.hasOwnProperty.call(e,t)&&null!==(e=Qe(e)););return e}(e,t);if(n){var o=Object.getOwnPropertyDescriptor(n,t);return o.get?o.get.call(r):o.value}})(e,t,r||e)}function Ue(e,t){return(Ue=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function qe(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=Qe(e);if(t){var o=Qe(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return He(this,r)}}function He(e,t){return!t||"object"!==Be(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function Qe(e){return(Qe=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var Ge=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&Ue(e,t)}(a,e);var t,r,n,o=qe(a);function a(e){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),o.call(this,e)}return t=a,(r=[{key:"update",value:function(e){ze(Qe(a.prototype),"update",this).call(this,e),this.view.scale.x=this.view.scale.y=.7*this.model.power+.3,this.model.exploded&&this.destroy()}}])&&Ve(t.prototype,r),n&&Ve(t,n),a}(ie);function Xe(e){return(Xe="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function Ke(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function Ye(e,t){return(Ye=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function We(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=Ze(e);if(t){var o=Ze(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return Je(this,r)}}function Je(e,t){return!t||"object"!==Xe(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function Ze(e){return(Ze=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var et=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&Ye(e,t)}(a,e);var t,r,n,o=We(a);function a(e){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),o.call(this,e)}return t=a,(r=[{key:"_create",value:function(e){var t=new U.Graphics;t.beginFill(65280,.5),t.drawCircle(0,0,5),t.endFill(),e.addChild(t)}}])&&Ke(t.prototype,r),n&&Ke(t,n),a}(Ge);function tt(e){return(tt="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function rt(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function nt(e,t){return(nt=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function ot(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=it(e);if(t){var o=it(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return at(this,r)}}function at(e,t){return!t||"object"!==tt(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function it(e){return(it=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var st=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&nt(e,t)}(a,e);var t,r,n,o=ot(a);function a(e){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),o.call(this,e)}return t=a,(r=[{key:"_createBody",value:function(){var e=new U.Graphics;return e.lineStyle(1,16776960,.8),e.beginFill(65280,.5),e.drawRect(-15,-15,30,30),e.endFill(),e}},{key:"_createGun",value:function(){var e=new U.Graphics;return e.beginFill(65280,.5),e.lineStyle(1,16776960,.8),e.drawCircle(0,0,10),e.drawRect(0,-3,30,6),e.endFill(),e}},{key:"_createRadar",value:function(){var e=new U.Graphics;e.beginFill(65280,.5),e.lineStyle(1,16776960,.8),e.drawRect(-3,-10,6,20),e.endFill(),e.lineStyle(),e.beginFill(11206570,.1),e.moveTo(0,-3);var t=300*Math.tan(Math.PI/180*6)/2;return e.lineTo(300,-t),e.lineTo(300,t),e.lineTo(0,3),e}},{key:"_createLabel",value:function(){var e=new U.TextStyle({fontFamily:"Arial",fontSize:12,fill:65280}),t=new U.Text("",e);return t.anchor.set(.5,.5),t.x=0,t.y=-40,t}},{key:"_createHudBackground",value:function(){var e=new U.Graphics;return e.beginFill(0,1),e.lineStyle(1,16776960,.8),e.drawRect(-26,-3,52,6),e.y=-30,e}},{key:"_createEnergyBar",value:function(){var e=new U.Graphics;return e.beginFill(65280,1),e.drawRect(0,-2,50,4),e.x=-25,e.y=-30,e}}])&&rt(t.prototype,r),n&&rt(t,n),a}(de);function lt(e){return(lt="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function ut(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function ct(e,t,r){return(ct="undefined"!=typeof Reflect&&Reflect.get?Reflect.get:function(e,t,r){var n=function(e,t){for(;!Object.prototype.hasOwnProperty.call(e,t)&&null!==(e=dt(e)););return e}(e,t);if(n){var o=Object.getOwnPropertyDescriptor(n,t);return o.get?o.get.call(r):o.value}})(e,t,r||e)}function ft(e,t){return(ft=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function ht(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=dt(e);if(t){var o=dt(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return pt(this,r)}}function pt(e,t){return!t||"object"!==lt(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function dt(e){return(dt=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var mt=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&ft(e,t)}(a,e);var t,r,n,o=ht(a);function a(e){var t;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),(t=o.call(this,void 0,e))._frameCounter=0,t._fpsLabel=null,t._scoreBoard=null,t}return t=a,(r=[{key:"initBatlefield",value:function(e){ct(dt(a.prototype),"initBatlefield",this).call(this,e);var t=new U.TextStyle({fontFamily:"Arial",fontSize:12,fill:"#00ff00"});this._fpsLabel=new U.Text("FPS",t),this._fpsLabel.x=100,this._fpsLabel.y=5,this.stage.addChild(this._fpsLabel);var r=this;setInterval((function(){r._fpsLabel.text="FPS: "+r._frameCounter,r._frameCounter=0}),1e3),t=new U.TextStyle({fontFamily:"Arial",fontSize:12,fill:"#00ff00"}),this._scoreBoard=new U.Text("scores",t),this._scoreBoard.x=e.margin+2,this._scoreBoard.y=e.margin+2,this._scoreBoard.alpha=.5,this.stage.addChild(this._scoreBoard)}},{key:"renderTankStats",value:function(e){ct(dt(a.prototype),"renderTankStats",this).call(this,e);var t,r=[];for(t=0;t<e.length;t++)r.push({name:e[t].fullName,energy:e[t].energy,value:e[t].score});r.sort((function(e,t){return e.value<t.value?1:e.value>t.value?-1:0}));var n="";for(t=0;t<r.length;t++)n+=r[t].value.toFixed(3)+" - "+r[t].name+(0==r[t].energy?" [X]":"")+"\n";this._scoreBoard.text=n}},{key:"postRender",value:function(){ct(dt(a.prototype),"postRender",this).call(this),this._frameCounter++}},{key:"_createBattlefieldView",value:function(e){return new Te(e)}},{key:"_createClockView",value:function(e){return new Ne(e)}},{key:"_createBulletView",value:function(e){return new et(e)}},{key:"_createTankView",value:function(e){return new st(e)}}])&&ut(t.prototype,r),n&&ut(t,n),a}(Pe);function yt(e){return(yt="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function vt(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}function _t(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function gt(e,t){return(gt=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function bt(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=St(e);if(t){var o=St(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return wt(this,r)}}function wt(e,t){return!t||"object"!==yt(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function St(e){return(St=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var kt=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&gt(e,t)}(a,e);var t,r,n,o=bt(a);function a(){return vt(this,a),o.apply(this,arguments)}return t=a,(r=[{key:"_create",value:function(e){var t=U.Sprite.from("battlefield");e.addChild(t)}},{key:"update",value:function(e){}}])&&_t(t.prototype,r),n&&_t(t,n),a}(ie);function Pt(e){return(Pt="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function xt(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function Et(e,t){return(Et=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function Rt(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=Ct(e);if(t){var o=Ct(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return Ot(this,r)}}function Ot(e,t){return!t||"object"!==Pt(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function Ct(e){return(Ct=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var Dt=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&Et(e,t)}(a,e);var t,r,n,o=Rt(a);function a(e){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),o.call(this,e)}return t=a,(r=[{key:"_create",value:function(e){var t=new U.TextStyle({fontFamily:"Arial",fontSize:15,fill:"#000000"});this._label=new U.Text("clock",t),this._label.x=10,this._label.y=580,e.addChild(this._label)}},{key:"update",value:function(e){this._label.text=this.model.text}}])&&xt(t.prototype,r),n&&xt(t,n),a}(ie);function jt(e){return(jt="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function Tt(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function At(e,t){return(At=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function Mt(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=It(e);if(t){var o=It(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return Lt(this,r)}}function Lt(e,t){return!t||"object"!==jt(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function It(e){return(It=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var Ft=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&At(e,t)}(a,e);var t,r,n,o=Mt(a);function a(e){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),o.call(this,e)}return t=a,(r=[{key:"_create",value:function(e){var t=U.Sprite.from("bullet");t.anchor.set(.5),e.addChild(t)}}])&&Tt(t.prototype,r),n&&Tt(t,n),a}(Ge);function $t(e){return($t="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function Nt(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function Bt(e,t,r){return(Bt="undefined"!=typeof Reflect&&Reflect.get?Reflect.get:function(e,t,r){var n=function(e,t){for(;!Object.prototype.hasOwnProperty.call(e,t)&&null!==(e=qt(e)););return e}(e,t);if(n){var o=Object.getOwnPropertyDescriptor(n,t);return o.get?o.get.call(r):o.value}})(e,t,r||e)}function Vt(e,t){return(Vt=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function zt(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=qt(e);if(t){var o=qt(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return Ut(this,r)}}function Ut(e,t){return!t||"object"!==$t(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function qt(e){return(qt=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var Ht=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&Vt(e,t)}(a,e);var t,r,n,o=zt(a);function a(e){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),o.call(this,e)}return t=a,(r=[{key:"update",value:function(e){Bt(qt(a.prototype),"update",this).call(this,e),this._shoot.alpha=this.model.isShooting?1:.7*this._shoot.alpha}},{key:"_createBody",value:function(){var e=U.Sprite.from("tank_body");return e.anchor.set(.5),e}},{key:"_createGun",value:function(){var e=new U.Container,t=U.Sprite.from("tank_gun");return t.anchor.set(.3,.5),e.addChild(t),this._shoot=U.Sprite.from("tank_shoot"),this._shoot.anchor.set(-1.2,.5),this._shoot.alpha=0,e.addChild(this._shoot),e}},{key:"_createRadar",value:function(){var e=U.Sprite.from("tank_radar");return e.anchor.set(.5),e}},{key:"_createLabel",value:function(){var e=new U.TextStyle({fontFamily:"Arial",fontSize:12,fill:0}),t=new U.Text("",e);return t.anchor.set(.5,.5),t.x=0,t.y=-40,t}},{key:"_createHudBackground",value:function(){var e=new U.Graphics;return e.beginFill(0,1),e.drawRect(-26,-3,52,6),e.y=-30,e}},{key:"_createEnergyBar",value:function(){var e=new U.Graphics;return e.beginFill(16711680,1),e.drawRect(0,-2,50,4),e.x=-25,e.y=-30,e}}])&&Nt(t.prototype,r),n&&Nt(t,n),a}(de);function Qt(e){return(Qt="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function Gt(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function Xt(e,t,r){return(Xt="undefined"!=typeof Reflect&&Reflect.get?Reflect.get:function(e,t,r){var n=function(e,t){for(;!Object.prototype.hasOwnProperty.call(e,t)&&null!==(e=Jt(e)););return e}(e,t);if(n){var o=Object.getOwnPropertyDescriptor(n,t);return o.get?o.get.call(r):o.value}})(e,t,r||e)}function Kt(e,t){return(Kt=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function Yt(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=Jt(e);if(t){var o=Jt(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return Wt(this,r)}}function Wt(e,t){return!t||"object"!==Qt(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function Jt(e){return(Jt=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var Zt=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&Kt(e,t)}(a,e);var t,r,n,o=Yt(a);function a(e){var t;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),(t=o.call(this,"bw",e))._bigBoomAnim=[],t._smallBoomAnim=[],t._shakeTimer=0,t}return t=a,(r=[{key:"onAssetsLoaded",value:function(){for(var e=0;e<=9;e++)this._bigBoomAnim.push(U.Texture.from("big_boom_00"+e)),this._smallBoomAnim.push(U.Texture.from("small_boom_00"+e))}},{key:"initBatlefield",value:function(e){Xt(Jt(a.prototype),"initBatlefield",this).call(this,e)}},{key:"renderTank",value:function(e,t){Xt(Jt(a.prototype),"renderTank",this).call(this,e,t),0==e.energy&&(this._shakeTimer=10,this._addExplosion(e.x,e.y,this._bigBoomAnim))}},{key:"renderBullet",value:function(e,t){Xt(Jt(a.prototype),"renderBullet",this).call(this,e,t),e.exploded&&this._addExplosion(e.x,e.y,this._smallBoomAnim)}},{key:"postRender",value:function(){Xt(Jt(a.prototype),"postRender",this).call(this),this._shakeTimer>0?(this._shakeTimer--,this.masterContainer.x=10*Math.random()-5-this.offsetX,this.masterContainer.y=10*Math.random()-5-this.offsetY):(this.masterContainer.x=-this.offsetX,this.masterContainer.y=-this.offsetY)}},{key:"_createBattlefieldView",value:function(e){return new kt(e)}},{key:"_createClockView",value:function(e){return new Dt(e)}},{key:"_createBulletView",value:function(e){return new Ft(e)}},{key:"_createTankView",value:function(e){return new Ht(e)}},{key:"_addExplosion",value:function(e,t,r){var n=new U.AnimatedSprite(r);n.anchor.set(.5),this.masterContainer.addChild(n),n.x=e,n.y=t,n.loop=!1,n.onComplete=function(){this.stop(),this.parent.removeChild(this)},n.play()}}])&&Gt(t.prototype,r),n&&Gt(t,n),a}(Pe);function er(e){return(er="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function tr(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function rr(e,t,r){return(rr="undefined"!=typeof Reflect&&Reflect.get?Reflect.get:function(e,t,r){var n=function(e,t){for(;!Object.prototype.hasOwnProperty.call(e,t)&&null!==(e=ir(e)););return e}(e,t);if(n){var o=Object.getOwnPropertyDescriptor(n,t);return o.get?o.get.call(r):o.value}})(e,t,r||e)}function nr(e,t){return(nr=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function or(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=ir(e);if(t){var o=ir(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return ar(this,r)}}function ar(e,t){return!t||"object"!==er(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function ir(e){return(ir=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var sr=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&nr(e,t)}(a,e);var t,r,n,o=or(a);function a(e){var t;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),(t=o.call(this,e))._holeList=[],t._settings=null,t}return t=a,(r=[{key:"configure",value:function(e){this._settings=e}},{key:"_create",value:function(e){var t=U.Sprite.from("battlefield");e.addChild(t);var r=new U.Graphics;r.beginFill(255,1),r.moveTo(25,25),r.lineTo(875,25),r.lineTo(875,575),r.lineTo(90,575),r.lineTo(90,565),r.lineTo(25,565),r.lineTo(25,25),r.endFill(),this._craterContainer=new U.Container,this._craterContainer.mask=r,e.addChild(this._craterContainer),e.addChild(r);var n=new U.Graphics;n.beginFill(255,.4),n.moveTo(15,15),n.lineTo(885,15),n.lineTo(885,585),n.lineTo(80,585),n.lineTo(80,575),n.lineTo(15,575),n.lineTo(15,15),n.lineTo(25,25),n.lineTo(25,575),n.lineTo(80,575),n.lineTo(80,575),n.lineTo(875,575),n.lineTo(875,25),n.lineTo(25,25),n.endFill(),this._holesContainer=new U.Container,this._holesContainer.mask=n,e.addChild(this._holesContainer),e.addChild(n)}},{key:"addCrater",value:function(e,t){var r=U.Sprite.from("crater");r.anchor.set(.5),r.x=e-this.model.offsetX,r.y=t-this.model.offsetY,r.blendMode=U.BLEND_MODES.MULTIPLY,r.alpha=.8,this._craterContainer.addChild(r)}},{key:"update",value:function(){rr(ir(a.prototype),"update",this).call(this),this._holesContainer.visible=this._settings.skratchLimit>0,this._craterContainer.visible=this._settings.showCraters}},{key:"addBulletHole",value:function(e,t,r){var n=0;if(Math.abs(t-this.model.maxY)<10)t=this.model.maxY+3+3*Math.random();else if(Math.abs(t-this.model.minY)<10)t=this.model.minY-3-3*Math.random();else if(Math.abs(e-this.model.maxX)<10)e=this.model.maxX+3+3*Math.random(),n=Math.PI/2;else{if(!(Math.abs(e-this.model.minX)<10))return;e=this.model.minX-3-3*Math.random(),n=Math.PI/2}var o=U.Sprite.from("hole");o.anchor.set(.5),o.x=e-this.model.offsetX,o.y=t-this.model.offsetY,o.rotation=n,o.scale.x=o.scale.y=.7+.5*r,this._holesContainer.addChild(o),this._holeList.push(o);for(var a=this._settings?this._settings.skratchLimit:20;this._holeList.length>a;)(o=this._holeList.shift()).parent.removeChild(o)}}])&&tr(t.prototype,r),n&&tr(t,n),a}(ie);function lr(e){return(lr="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function ur(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function cr(e,t){return(cr=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function fr(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=pr(e);if(t){var o=pr(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return hr(this,r)}}function hr(e,t){return!t||"object"!==lr(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function pr(e){return(pr=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var dr=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&cr(e,t)}(a,e);var t,r,n,o=fr(a);function a(e){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),o.call(this,e)}return t=a,(r=[{key:"_create",value:function(e){var t=new U.TextStyle({fontFamily:"Arial",fontSize:15,fill:"#000000"});this._label=new U.Text("clock",t),this._label.x=10,this._label.y=580,e.addChild(this._label)}},{key:"update",value:function(e){this._label.text=this.model.text}}])&&ur(t.prototype,r),n&&ur(t,n),a}(ie);function mr(e){return(mr="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function yr(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function vr(e,t,r){return(vr="undefined"!=typeof Reflect&&Reflect.get?Reflect.get:function(e,t,r){var n=function(e,t){for(;!Object.prototype.hasOwnProperty.call(e,t)&&null!==(e=wr(e)););return e}(e,t);if(n){var o=Object.getOwnPropertyDescriptor(n,t);return o.get?o.get.call(r):o.value}})(e,t,r||e)}function _r(e,t){return(_r=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function gr(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=wr(e);if(t){var o=wr(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return br(this,r)}}function br(e,t){return!t||"object"!==mr(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function wr(e){return(wr=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var Sr=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&_r(e,t)}(a,e);var t,r,n,o=gr(a);function a(e,t){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),o.call(this,e)}return t=a,(r=[{key:"configure",value:function(e){this._settings=e}},{key:"update",value:function(e){vr(wr(a.prototype),"update",this).call(this,e),this._glow.visible=this._settings&&this._settings.showGlow}},{key:"_create",value:function(e){var t=U.Sprite.from("bullet");t.anchor.set(.5);var r=U.Sprite.from("glow");r.anchor.set(.5),r.blendMode=U.BLEND_MODES.ADD,r.alpha=.1,this._glow=r,e.addChild(r),e.addChild(t)}}])&&yr(t.prototype,r),n&&yr(t,n),a}(Ge);function kr(e){return(kr="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function Pr(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function xr(e,t,r){return(xr="undefined"!=typeof Reflect&&Reflect.get?Reflect.get:function(e,t,r){var n=function(e,t){for(;!Object.prototype.hasOwnProperty.call(e,t)&&null!==(e=Cr(e)););return e}(e,t);if(n){var o=Object.getOwnPropertyDescriptor(n,t);return o.get?o.get.call(r):o.value}})(e,t,r||e)}function Er(e,t){return(Er=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function Rr(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=Cr(e);if(t){var o=Cr(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return Or(this,r)}}function Or(e,t){return!t||"object"!==kr(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function Cr(e){return(Cr=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var Dr=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&Er(e,t)}(a,e);var t,r,n,o=Rr(a);function a(e){var t;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),(t=o.call(this,e))._lightTimer=0,t}return t=a,(r=[{key:"update",value:function(e){xr(Cr(a.prototype),"update",this).call(this,e),this._shoot.alpha=.8*this._shoot.alpha,this._tankGun.x=.8*this._tankGun.x,this.radar.rotation=(-this.model.gunAngle+this._model.radarAngle)*(Math.PI/180),this._lightTimer=this.model.enemySpot?this._lightTimer+1:0,this._light.alpha=.5*-Math.cos(.25*this._lightTimer)+.5}},{key:"_onShoot",value:function(e){xr(Cr(a.prototype),"_onShoot",this).call(this,e),this._tankGun.x=-1-3*e.bullet.power,this._shoot.alpha=1}},{key:"_create",value:function(e){xr(Cr(a.prototype),"_create",this).call(this,e),this._tankGun.addChild(this.radar)}},{key:"_createBody",value:function(){var e=U.Sprite.from("tank_body_"+this.model.skin);return e.anchor.set(.3,.5),e}},{key:"_createGun",value:function(){var e=new U.Container,t=U.Sprite.from("tank_gun_"+this.model.skin);return t.anchor.set(.3,.5),e.addChild(t),this._tankGun=t,this._shoot=U.Sprite.from("tank_shoot"),this._shoot.anchor.set(.3,.5),this._shoot.alpha=0,this._light=U.Sprite.from("tank_light"),this._light.anchor.set(.3,.5),this._light.alpha=0,e.addChild(this._shoot),e.addChild(this._light),e}},{key:"_createRadar",value:function(){var e=U.Sprite.from("tank_radar_"+this.model.skin);return e.anchor.set(.2,.5),e.x=-5,e}},{key:"_createLabel",value:function(){var e=new U.TextStyle({fontFamily:"Arial",fontSize:10,stroke:0,strokeThickness:2,fill:16777147}),t=new U.Text("",e);return t.anchor.set(.5,.5),t.x=0,t.y=-40,t}},{key:"_createHudBackground",value:function(){var e=new U.Graphics;return e.beginFill(0,1),e.drawRect(-26,-3,52,6),e.y=-30,e}},{key:"_createEnergyBar",value:function(){var e=new U.Graphics;return e.beginFill(16777113,1),e.drawRect(0,-2,50,4),e.x=-25,e.y=-30,e}}])&&Pr(t.prototype,r),n&&Pr(t,n),a}(de);function jr(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}var Tr=function(){function e(t){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this._particleLimit=1e3,this._skratchLimit=100,this._showDirt=!0,this._showGlow=!0,this._showCraters=!0,this._dropFrames=1,this._quality=1,this.quality=this._quality}var t,r,n;return t=e,(r=[{key:"dropFrames",get:function(){return this._dropFrames}},{key:"particleLimit",get:function(){return this._particleLimit}},{key:"skratchLimit",get:function(){return this._skratchLimit}},{key:"showDirt",get:function(){return this._showDirt}},{key:"showGlow",get:function(){return this._showGlow}},{key:"showCraters",get:function(){return this._showCraters}},{key:"quality",get:function(){return this._quality},set:function(e){e=Math.min(1,Math.max(0,e)),this._quality=e,this._particleLimit=Math.round(1e3*e*e),this._skratchLimit=Math.round(100*e),this._showDirt=e>.2,this._showGlow=e>.5,this._showCraters=e>.1,this._dropFrames=e>.3?1:e>.2?2:e>.1?3:4,this._quality=e}}])&&jr(t.prototype,r),n&&jr(t,n),e}();function Ar(e){return(Ar="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function Mr(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function Lr(e,t,r){return(Lr="undefined"!=typeof Reflect&&Reflect.get?Reflect.get:function(e,t,r){var n=function(e,t){for(;!Object.prototype.hasOwnProperty.call(e,t)&&null!==(e=Nr(e)););return e}(e,t);if(n){var o=Object.getOwnPropertyDescriptor(n,t);return o.get?o.get.call(r):o.value}})(e,t,r||e)}function Ir(e,t){return(Ir=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function Fr(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=Nr(e);if(t){var o=Nr(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return $r(this,r)}}function $r(e,t){return!t||"object"!==Ar(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function Nr(e){return(Nr=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var Br=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&Ir(e,t)}(a,e);var t,r,n,o=Fr(a);function a(e){var t;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a),(t=o.call(this,"brody",e))._bigBoomAnim=[],t._shakeTimer=0,t._particleContainer=null,t._particleList=[],t._explosionList=[],t._settings=new Tr,t._masterContainer.addChild(t._bulletContainer),t._frameTimer=0,t._frameCounter=0,t._fpsInterval=null,t._fps=30,t}return t=a,(r=[{key:"onAssetsLoaded",value:function(){var e;for(e=0;e<=22;e++)this._bigBoomAnim.push(U.Texture.from("big_boom_0"+(e<10?"0"+e:e)))}},{key:"initBatlefield",value:function(e){Lr(Nr(a.prototype),"initBatlefield",this).call(this,e),this.battlefieldView.configure(this._settings),this._particleContainer=new U.ParticleContainer(1e3,{position:!0,rotation:!0,alpha:!0}),this._masterContainer.addChild(this._particleContainer),this._masterContainer.addChild(this._hudContainer);var t=this;this._fpsInterval=setInterval((function(){t._fps=t._frameCounter,t._frameCounter=0}),1e3)}},{key:"renderTank",value:function(e,t){var r;for(r in Lr(Nr(a.prototype),"renderTank",this).call(this,e,t),t)if("destroy"==t[r].type){this._shakeTimer=10,this._addTankExplosion(e);break}var n=e.throttle>0?180:0,o=(e.angle+n)*(Math.PI/180);if(e.speed>1){var i=e.x+20*Math.cos(o-Math.PI/4)+7*Math.cos(o),s=e.y+20*Math.sin(o-Math.PI/4)+7*Math.sin(o),l=e.x+20*Math.cos(o+Math.PI/4)+7*Math.cos(o),u=e.y+20*Math.sin(o+Math.PI/4)+7*Math.sin(o);Math.random()<this.speedMultiplier&&(this._addDirt(i,s),this._addDirt(l,u))}}},{key:"renderBullet",value:function(e,t){Lr(Nr(a.prototype),"renderBullet",this).call(this,e,t),this.getBulletView(e.id).configure(this._settings),e.exploded&&(this._addBulletExplosion(e),this.battlefieldView.addBulletHole(e.x,e.y,e.power))}},{key:"preRender",value:function(){var e;Lr(Nr(a.prototype),"preRender",this).call(this);var t,r=0;for(t=this._particleList.length-1;t>=0;t--)(e=this._particleList[t])&&(e.x+=this.speedMultiplier*e.speed*e.rotation*Math.cos(e.rotation),e.y+=this.speedMultiplier*e.speed*e.rotation*Math.sin(e.rotation),e.alpha=Math.max(0,e.alpha-this.speedMultiplier*e.alphaSpeed),e.lifetime-=this.speedMultiplier,e.lifetime<=0||r>this._settings.particleLimit?(e.parent.removeChild(e),this._particleList[t]=null):r++);for(t=0;t<this._explosionList.length;t++)this._explosionList[t]&&(this._explosionList[t].alpha=this._explosionList[t].alpha-.12*this.speedMultiplier,this._explosionList[t].alpha<.01&&(this._explosionList[t].parent.removeChild(this._explosionList[t]),this._explosionList[t]=null))}},{key:"postRender",value:function(){this._frameTimer++,this._frameCounter++,this._frameTimer%this._settings.dropFrames==0&&Lr(Nr(a.prototype),"postRender",this).call(this),this._shakeTimer>0?(this._shakeTimer--,this.masterContainer.x=10*Math.random()-5-this.offsetX,this.masterContainer.y=10*Math.random()-5-this.offsetY,this._battlefieldView.view.x=10*Math.random()-5,this._battlefieldView.view.y=10*Math.random()-5):(this.masterContainer.x=-this.offsetX,this.masterContainer.y=-this.offsetY,this._battlefieldView.view.x=0,this._battlefieldView.view.y=0)}},{key:"stop",value:function(){this._fpsInterval&&clearInterval(this._fpsInterval)}},{key:"_getSpritesheetUrls",value:function(e,t){return t>=2?["img/spritesheets/".concat(e,"/retina@2x/jsbattle_0.json"),"img/spritesheets/".concat(e,"/retina@2x/jsbattle_1.json")]:["img/spritesheets/".concat(e,"/web/jsbattle.json")]}},{key:"_addTankExplosion",value:function(e){this._addExplosion(e.x,e.y,this._bigBoomAnim),this.battlefieldView.addCrater(e.x,e.y),this._addSparks(e.x,e.y,300)}},{key:"_addBulletExplosion",value:function(e){this._addGlow(e.x,e.y,.3+.6*e.power);var t=5+40*e.power;this._addSparks(e.x,e.y,t)}},{key:"_createBattlefieldView",value:function(e){return new sr(e)}},{key:"_createClockView",value:function(e){return new dr(e)}},{key:"_createBulletView",value:function(e){return new Sr(e)}},{key:"_createTankView",value:function(e){return new Dr(e)}},{key:"_addExplosion",value:function(e,t,r){this._addGlow(e,t,5);var n=new U.AnimatedSprite(r);n.animationSpeed=this.speedMultiplier,n.anchor.set(.5),this.masterContainer.addChild(n),n.x=e,n.y=t,n.loop=!1,n.blendMode=U.BLEND_MODES.ADD,n.onComplete=function(){this.stop(),this.parent.removeChild(this)},n.play()}},{key:"_addGlow",value:function(e,t,r){if(this._settings.showGlow){var n=U.Sprite.from("glow");n.anchor.set(.5),n.scale.x=n.scale.y=r,n.alpha=.4,n.blendMode=U.BLEND_MODES.ADD,n.x=e,n.y=t,this.masterContainer.addChild(n),this._explosionList.push(n)}}},{key:"_addSparks",value:function(e,t,r){r=Math.ceil(r*this._settings.quality);for(var n=0;n<r;n++){var o=U.Sprite.from("spark");o.x=e,o.y=t,o.alphaSpeed=0,o.anchor.set(.5),o.speed=1+2*Math.random(),o.rotation=2*Math.random()*Math.PI,o.lifetime=5+5*Math.random(),this._particleContainer.addChild(o),this._particleList.push(o)}}},{key:"_addDirt",value:function(e,t){if(this._settings.showDirt)for(var r=0;r<5;r++){var n=Math.floor(3*Math.random()),o=U.Sprite.from("dirt_"+n);o.x=e+4*Math.random()-2,o.y=t+4*Math.random()-2,o.anchor.set(.5),o.speed=0,o.alphaSpeed=.02+.02*Math.random(),o.rotation=0,o.alpha=.1+.4*Math.random(),o.lifetime=25,o.scale.x=o.scale.y=.5+2*Math.random(),this._particleContainer.addChild(o),this._particleList.push(o)}}},{key:"quality",get:function(){return this._settings.quality},set:function(e){this._settings.quality=e}}])&&Mr(t.prototype,r),n&&Mr(t,n),a}(Pe);function Vr(e){return(Vr="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e})(e)}function zr(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}function Ur(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}function qr(e,t){return(qr=Object.setPrototypeOf||function(e,t){return e.__proto__=t,e})(e,t)}function Hr(e){var t=function(){if("undefined"==typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"==typeof Proxy)return!0;try{return Date.prototype.toString.call(Reflect.construct(Date,[],(function(){}))),!0}catch(e){return!1}}();return function(){var r,n=Gr(e);if(t){var o=Gr(this).constructor;r=Reflect.construct(n,arguments,o)}else r=n.apply(this,arguments);return Qr(this,r)}}function Qr(e,t){return!t||"object"!==Vr(t)&&"function"!=typeof t?function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e):t}function Gr(e){return(Gr=Object.setPrototypeOf?Object.getPrototypeOf:function(e){return e.__proto__||Object.getPrototypeOf(e)})(e)}var Xr=function(e){!function(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),t&&qr(e,t)}(a,e);var t,r,n,o=Hr(a);function a(){return zr(this,a),o.apply(this,arguments)}return t=a,(r=[{key:"renderTank",value:function(e,t){}},{key:"renderBullet",value:function(e,t){}},{key:"loadAssets",value:function(e){e()}},{key:"init",value:function(){}}])&&Ur(t.prototype,r),n&&Ur(t,n),a}(z),Kr={createSimulation:function(e,t){return e=e||new z(t),new B(e,t)},createAiDefinition:function(){return new C},createUBD:function(){return new I},createRenderer:function(e,t){switch(e){case"debug":return new mt(t);case"bw":return new Zt(t);case"brody":return new Br(t);case"void":return new Xr(t);default:throw"Unknown rederer "+e}}};!function(e){e?e.JsBattle=Kr:console.warn("self is not defined")}(window)}]);
-//# sourceMappingURL=jsbattle.min.js.map
\ No newline at end of file
@@ -1,9 +0,0 @@
-importScripts('lib/tank.js');
-
-tank.init(function(settings, info) {
-  settings.SKIN = 'forest';
-});
-
-tank.loop(function(state, control) {
-
-});
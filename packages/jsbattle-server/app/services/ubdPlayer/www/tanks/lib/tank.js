@@ -1,2 +0,0 @@
-!function(t){var n={};function o(r){if(n[r])return n[r].exports;var e=n[r]={i:r,l:!1,exports:{}};return t[r].call(e.exports,e,e.exports,o),e.l=!0,e.exports}o.m=t,o.c=n,o.d=function(t,n,r){o.o(t,n)||Object.defineProperty(t,n,{enumerable:!0,get:r})},o.r=function(t){"undefined"!=typeof Symbol&&Symbol.toStringTag&&Object.defineProperty(t,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(t,"__esModule",{value:!0})},o.t=function(t,n){if(1&n&&(t=o(t)),8&n)return t;if(4&n&&"object"==typeof t&&t&&t.__esModule)return t;var r=Object.create(null);if(o.r(r),Object.defineProperty(r,"default",{enumerable:!0,value:t}),2&n&&"string"!=typeof t)for(var e in t)o.d(r,e,function(n){return t[n]}.bind(null,e));return r},o.n=function(t){var n=t&&t.__esModule?function(){return t.default}:function(){return t};return o.d(n,"a",n),n},o.o=function(t,n){return Object.prototype.hasOwnProperty.call(t,n)},o.p="",o(o.s=3)}([function(t,n){t.exports=function(){throw new Error("define cannot be used indirect")}},function(t,n){t.exports=function(t){return t.webpackPolyfill||(t.deprecate=function(){},t.paths=[],t.children||(t.children=[]),Object.defineProperty(t,"loaded",{enumerable:!0,get:function(){return t.l}}),Object.defineProperty(t,"id",{enumerable:!0,get:function(){return t.i}}),t.webpackPolyfill=1),t}},function(t,n){(function(n){t.exports=n}).call(this,{})},function(t,n,o){function r(t,n){for(var o=0;o<n.length;o++){var r=n[o];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(t,r.key,r)}}var e=o(4),i=o(13);Math=i(),Math.random=function(){throw"Cannot use Math.random outside of tank.init(...) or tank.loop(...) callbacks! Sorry!"},function(t){if(t){var n=function(){function t(){!function(t,n){if(!(t instanceof n))throw new TypeError("Cannot call a class as a function")}(this,t),this._initCallback=function(){},this._loopCallback=function(){};var n=this;onmessage=function(t){switch(t.data.command){case"init":var o=t.data.seed,r=t.data.settings,i=t.data.info;Math.random=e(o),n._initCallback(r,i),postMessage({type:"init",settings:r});break;case"update":var u=t.data.state,c=t.data.control;n._loopCallback?(n._loopCallback(u,c),postMessage(c)):postMessage(c)}}}var n,o,i;return n=t,(o=[{key:"loop",value:function(t){this._loopCallback=t}},{key:"init",value:function(t){this._initCallback=t}}])&&r(n.prototype,o),i&&r(n,i),t}();t.tank=new n}else console.warn("self is not defined")}(self)},function(t,n,o){var r=o(5),e=o(6),i=o(7),u=o(8),c=o(9),f=o(10),a=o(11);a.alea=r,a.xor128=e,a.xorwow=i,a.xorshift7=u,a.xor4096=c,a.tychei=f,t.exports=a},function(t,n,o){(function(t){var r;function e(t){return(e="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(t){return typeof t}:function(t){return t&&"function"==typeof Symbol&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t})(t)}!function(t,i,u){function c(t){var n,o=this,r=(n=4022871197,function(t){t=String(t);for(var o=0;o<t.length;o++){var r=.02519603282416938*(n+=t.charCodeAt(o));r-=n=r>>>0,n=(r*=n)>>>0,n+=4294967296*(r-=n)}return 2.3283064365386963e-10*(n>>>0)});o.next=function(){var t=2091639*o.s0+2.3283064365386963e-10*o.c;return o.s0=o.s1,o.s1=o.s2,o.s2=t-(o.c=0|t)},o.c=1,o.s0=r(" "),o.s1=r(" "),o.s2=r(" "),o.s0-=r(t),o.s0<0&&(o.s0+=1),o.s1-=r(t),o.s1<0&&(o.s1+=1),o.s2-=r(t),o.s2<0&&(o.s2+=1),r=null}function f(t,n){return n.c=t.c,n.s0=t.s0,n.s1=t.s1,n.s2=t.s2,n}function a(t,n){var o=new c(t),r=n&&n.state,i=o.next;return i.int32=function(){return 4294967296*o.next()|0},i.double=function(){return i()+11102230246251565e-32*(2097152*i()|0)},i.quick=i,r&&("object"==e(r)&&f(r,o),i.state=function(){return f(o,{})}),i}i&&i.exports?i.exports=a:o(0)&&o(2)?void 0===(r=function(){return a}.call(n,o,n,i))||(i.exports=r):this.alea=a}(0,"object"==e(t)&&t,o(0))}).call(this,o(1)(t))},function(t,n,o){(function(t){var r;function e(t){return(e="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(t){return typeof t}:function(t){return t&&"function"==typeof Symbol&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t})(t)}!function(t,i,u){function c(t){var n=this,o="";n.x=0,n.y=0,n.z=0,n.w=0,n.next=function(){var t=n.x^n.x<<11;return n.x=n.y,n.y=n.z,n.z=n.w,n.w^=n.w>>>19^t^t>>>8},t===(0|t)?n.x=t:o+=t;for(var r=0;r<o.length+64;r++)n.x^=0|o.charCodeAt(r),n.next()}function f(t,n){return n.x=t.x,n.y=t.y,n.z=t.z,n.w=t.w,n}function a(t,n){var o=new c(t),r=n&&n.state,i=function(){return(o.next()>>>0)/4294967296};return i.double=function(){do{var t=((o.next()>>>11)+(o.next()>>>0)/4294967296)/(1<<21)}while(0===t);return t},i.int32=o.next,i.quick=i,r&&("object"==e(r)&&f(r,o),i.state=function(){return f(o,{})}),i}i&&i.exports?i.exports=a:o(0)&&o(2)?void 0===(r=function(){return a}.call(n,o,n,i))||(i.exports=r):this.xor128=a}(0,"object"==e(t)&&t,o(0))}).call(this,o(1)(t))},function(t,n,o){(function(t){var r;function e(t){return(e="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(t){return typeof t}:function(t){return t&&"function"==typeof Symbol&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t})(t)}!function(t,i,u){function c(t){var n=this,o="";n.next=function(){var t=n.x^n.x>>>2;return n.x=n.y,n.y=n.z,n.z=n.w,n.w=n.v,(n.d=n.d+362437|0)+(n.v=n.v^n.v<<4^t^t<<1)|0},n.x=0,n.y=0,n.z=0,n.w=0,n.v=0,t===(0|t)?n.x=t:o+=t;for(var r=0;r<o.length+64;r++)n.x^=0|o.charCodeAt(r),r==o.length&&(n.d=n.x<<10^n.x>>>4),n.next()}function f(t,n){return n.x=t.x,n.y=t.y,n.z=t.z,n.w=t.w,n.v=t.v,n.d=t.d,n}function a(t,n){var o=new c(t),r=n&&n.state,i=function(){return(o.next()>>>0)/4294967296};return i.double=function(){do{var t=((o.next()>>>11)+(o.next()>>>0)/4294967296)/(1<<21)}while(0===t);return t},i.int32=o.next,i.quick=i,r&&("object"==e(r)&&f(r,o),i.state=function(){return f(o,{})}),i}i&&i.exports?i.exports=a:o(0)&&o(2)?void 0===(r=function(){return a}.call(n,o,n,i))||(i.exports=r):this.xorwow=a}(0,"object"==e(t)&&t,o(0))}).call(this,o(1)(t))},function(t,n,o){(function(t){var r;function e(t){return(e="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(t){return typeof t}:function(t){return t&&"function"==typeof Symbol&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t})(t)}!function(t,e,i){function u(t){var n=this;n.next=function(){var t,o,r=n.x,e=n.i;return t=r[e],o=(t^=t>>>7)^t<<24,o^=(t=r[e+1&7])^t>>>10,o^=(t=r[e+3&7])^t>>>3,o^=(t=r[e+4&7])^t<<7,t=r[e+7&7],o^=(t^=t<<13)^t<<9,r[e]=o,n.i=e+1&7,o},function(t,n){var o,r=[];if(n===(0|n))r[0]=n;else for(n=""+n,o=0;o<n.length;++o)r[7&o]=r[7&o]<<15^n.charCodeAt(o)+r[o+1&7]<<13;for(;r.length<8;)r.push(0);for(o=0;o<8&&0===r[o];++o);for(8==o?r[7]=-1:r[o],t.x=r,t.i=0,o=256;o>0;--o)t.next()}(n,t)}function c(t,n){return n.x=t.x.slice(),n.i=t.i,n}function f(t,n){null==t&&(t=+new Date);var o=new u(t),r=n&&n.state,e=function(){return(o.next()>>>0)/4294967296};return e.double=function(){do{var t=((o.next()>>>11)+(o.next()>>>0)/4294967296)/(1<<21)}while(0===t);return t},e.int32=o.next,e.quick=e,r&&(r.x&&c(r,o),e.state=function(){return c(o,{})}),e}e&&e.exports?e.exports=f:o(0)&&o(2)?void 0===(r=function(){return f}.call(n,o,n,e))||(e.exports=r):this.xorshift7=f}(0,"object"==e(t)&&t,o(0))}).call(this,o(1)(t))},function(t,n,o){(function(t){var r;function e(t){return(e="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(t){return typeof t}:function(t){return t&&"function"==typeof Symbol&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t})(t)}!function(t,e,i){function u(t){var n=this;n.next=function(){var t,o,r=n.w,e=n.X,i=n.i;return n.w=r=r+1640531527|0,o=e[i+34&127],t=e[i=i+1&127],o^=o<<13,t^=t<<17,o^=o>>>15,t^=t>>>12,o=e[i]=o^t,n.i=i,o+(r^r>>>16)|0},function(t,n){var o,r,e,i,u,c=[],f=128;for(n===(0|n)?(r=n,n=null):(n+="\0",r=0,f=Math.max(f,n.length)),e=0,i=-32;i<f;++i)n&&(r^=n.charCodeAt((i+32)%n.length)),0===i&&(u=r),r^=r<<10,r^=r>>>15,r^=r<<4,r^=r>>>13,i>=0&&(u=u+1640531527|0,e=0==(o=c[127&i]^=r+u)?e+1:0);for(e>=128&&(c[127&(n&&n.length||0)]=-1),e=127,i=512;i>0;--i)r=c[e+34&127],o=c[e=e+1&127],r^=r<<13,o^=o<<17,r^=r>>>15,o^=o>>>12,c[e]=r^o;t.w=u,t.X=c,t.i=e}(n,t)}function c(t,n){return n.i=t.i,n.w=t.w,n.X=t.X.slice(),n}function f(t,n){null==t&&(t=+new Date);var o=new u(t),r=n&&n.state,e=function(){return(o.next()>>>0)/4294967296};return e.double=function(){do{var t=((o.next()>>>11)+(o.next()>>>0)/4294967296)/(1<<21)}while(0===t);return t},e.int32=o.next,e.quick=e,r&&(r.X&&c(r,o),e.state=function(){return c(o,{})}),e}e&&e.exports?e.exports=f:o(0)&&o(2)?void 0===(r=function(){return f}.call(n,o,n,e))||(e.exports=r):this.xor4096=f}(0,"object"==e(t)&&t,o(0))}).call(this,o(1)(t))},function(t,n,o){(function(t){var r;function e(t){return(e="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(t){return typeof t}:function(t){return t&&"function"==typeof Symbol&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t})(t)}!function(t,i,u){function c(t){var n=this,o="";n.next=function(){var t=n.b,o=n.c,r=n.d,e=n.a;return t=t<<25^t>>>7^o,o=o-r|0,r=r<<24^r>>>8^e,e=e-t|0,n.b=t=t<<20^t>>>12^o,n.c=o=o-r|0,n.d=r<<16^o>>>16^e,n.a=e-t|0},n.a=0,n.b=0,n.c=-1640531527,n.d=1367130551,t===Math.floor(t)?(n.a=t/4294967296|0,n.b=0|t):o+=t;for(var r=0;r<o.length+20;r++)n.b^=0|o.charCodeAt(r),n.next()}function f(t,n){return n.a=t.a,n.b=t.b,n.c=t.c,n.d=t.d,n}function a(t,n){var o=new c(t),r=n&&n.state,i=function(){return(o.next()>>>0)/4294967296};return i.double=function(){do{var t=((o.next()>>>11)+(o.next()>>>0)/4294967296)/(1<<21)}while(0===t);return t},i.int32=o.next,i.quick=i,r&&("object"==e(r)&&f(r,o),i.state=function(){return f(o,{})}),i}i&&i.exports?i.exports=a:o(0)&&o(2)?void 0===(r=function(){return a}.call(n,o,n,i))||(i.exports=r):this.tychei=a}(0,"object"==e(t)&&t,o(0))}).call(this,o(1)(t))},function(t,n,o){(function(t){var r;function e(t){return(e="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(t){return typeof t}:function(t){return t&&"function"==typeof Symbol&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t})(t)}!function(i,u,c){var f,a=c.pow(256,6),l=c.pow(2,52),s=2*l;function y(t,n,o){var r=[],y=d(function t(n,o){var r,i=[],u=e(n);if(o&&"object"==u)for(r in n)try{i.push(t(n[r],o-1))}catch(t){}return i.length?i:"string"==u?n:n+"\0"}((n=1==n?{entropy:!0}:n||{}).entropy?[t,x(u)]:null==t?function(){try{var t;return f&&(t=f.randomBytes)?t=t(256):(t=new Uint8Array(256),(i.crypto||i.msCrypto).getRandomValues(t)),x(t)}catch(t){var n=i.navigator,o=n&&n.plugins;return[+new Date,i,o,i.screen,x(u)]}}():t,3),r),m=new p(r),h=function(){for(var t=m.g(6),n=a,o=0;t<l;)t=256*(t+o),n*=256,o=m.g(1);for(;t>=s;)t/=2,n/=2,o>>>=1;return(t+o)/n};return h.int32=function(){return 0|m.g(4)},h.quick=function(){return m.g(4)/4294967296},h.double=h,d(x(m.S),u),(n.pass||o||function(t,n,o,r){return r&&(r.S&&b(r,m),t.state=function(){return b(m,{})}),o?(c.random=t,n):t})(h,y,"global"in n?n.global:this==c,n.state)}function p(t){var n,o=t.length,r=this,e=0,i=r.i=r.j=0,u=r.S=[];for(o||(t=[o++]);e<256;)u[e]=e++;for(e=0;e<256;e++)u[e]=u[i=255&i+t[e%o]+(n=u[e])],u[i]=n;(r.g=function(t){for(var n,o=0,e=r.i,i=r.j,u=r.S;t--;)n=u[e=255&e+1],o=256*o+u[255&(u[e]=u[i=255&i+n])+(u[i]=n)];return r.i=e,r.j=i,o})(256)}function b(t,n){return n.i=t.i,n.j=t.j,n.S=t.S.slice(),n}function d(t,n){for(var o,r=t+"",e=0;e<r.length;)n[255&e]=255&(o^=19*n[255&e])+r.charCodeAt(e++);return x(n)}function x(t){return String.fromCharCode.apply(0,t)}if(d(c.random(),u),"object"==e(t)&&t.exports){t.exports=y;try{f=o(12)}catch(t){}}else void 0===(r=function(){return y}.call(n,o,n,t))||(t.exports=r)}("undefined"!=typeof self?self:this,[],Math)}).call(this,o(1)(t))},function(t,n){},function(t,n){t.exports=function(){var t={},n=["LN10","PI","E","LOG10E","SQRT2","LOG2E","SQRT1_2","LN2","cos","pow","log","tan","sqrt","ceil","asin","abs","max","exp","atan2","random","round","floor","acos","atan","min","sin"];for(var o in n)t[n[o]]=Math[n[o]];return t.deg={},t.rad={},t.deg.normalize=function(t){for(t=Number(t);t>180;)t-=360;for(;t<=-180;)t+=360;return t},t.rad.normalize=function(n){for(n=Number(n);n>t.PI;)n-=2*t.PI;for(;n<=-t.PI;)n+=2*t.PI;return n},t.deg2rad=function(n){return t.rad.normalize(n*(t.PI/180))},t.rad2deg=function(n){return t.deg.normalize(n*(180/t.PI))},t.rad.atan2=t.atan2,t.deg.atan2=function(n,o){return t.rad2deg(t.rad.atan2(n,o))},t.distance=function(n,o,r,e){var i=r-n,u=e-o;return t.sqrt(i*i+u*u)},t.randomRange=function(n,o){if(n>o)throw"The range is incorrect. First number must be lower than second";return n+t.random()*(o-n)},t}}]);
-//# sourceMappingURL=tank.js.map
\ No newline at end of file
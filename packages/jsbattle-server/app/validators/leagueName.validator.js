@@ -0,0 +1,7 @@
+module.exports = (config) => ({
+  type: "string",
+  min: 3,
+  max: 32,
+  pattern: /^[A-Za-z0-9\- _.]+$/,
+  ...config
+});
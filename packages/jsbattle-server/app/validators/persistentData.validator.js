@@ -0,0 +1,18 @@
+module.exports = (config) => ({
+  type: "custom",
+  max: 4096,
+  check(value, schema) {
+    if(value === null) {
+      return true;
+    }
+    if(typeof value != 'object' || Array.isArray(value)) {
+      return [{ type: "object", actual: value }]
+    }
+    let len = JSON.stringify(value).length;
+    if(len > schema.max) {
+      return [{ type: "max", expected: schema.max, actual: len }]
+    }
+    return true;
+  },
+  ...config
+})
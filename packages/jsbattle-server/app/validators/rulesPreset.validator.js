@@ -0,0 +1,7 @@
+const JsBattle = require('jsbattle-engine/headless');
+
+module.exports = (config) => ({
+  type: "enum",
+  values: JsBattle.getRulesPresetList(),
+  ...config
+})
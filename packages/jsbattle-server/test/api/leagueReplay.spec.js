@@ -0,0 +1,84 @@
+"use strict";
+const Node = require('../../app/Node.js');
+const axios = require('axios');
+const UbdJsonMock = require('../mock/UbdJsonMock');
+
+const PORT = 8772
+const BASE_URL = `http://localhost:${PORT}`
+
+describe("Test League Replay API", () => {
+
+	let gateway;
+
+	beforeAll(async () => {
+		gateway = new Node();
+		await gateway.init({
+			loglevel: 'none',
+			skipEnv: true,
+			web: {
+				port: PORT,
+				corsOrigin: ["*"]
+			}
+		});
+		await gateway.start();
+	});
+
+	afterAll(async () => {
+		await gateway.stop();
+	});
+
+	it('should not reveal persistent data of players', async () => {
+		let ubd = new UbdJsonMock();
+		ubd.aiList[0].initData = {secret: 'hidden-8723'};
+		await gateway.broker.emit('ubdPlayer.battle.league', {
+			teamList: [
+				{name: 'asdfrvw423', score: 120},
+				{name: 'ncsu8a7d3', score: 80}
+			],
+			ubd: ubd,
+			refData: {
+				'asdfrvw423': '9827342',
+				'ncsu8a7d3': '2378423'
+			}
+		});
+		let battles = {rows: []};
+		for(let i=0; i < 50 && battles.rows.length == 0; i++) {
+			await new Promise((resolve) => setTimeout(resolve, 100));
+			battles = await gateway.broker.call('battleStore.list', {});
+		}
+		expect(battles.rows).toHaveLength(1);
+
+		let response = await axios.get(`${BASE_URL}/api/leaguePreview/replay/${battles.rows[0].id}`);
+		expect(response.status).toBe(200);
+		expect(JSON.stringify(response.data)).not.toMatch('hidden-8723');
+		let replay = JSON.parse(response.data.ubd);
+		expect(replay.aiList).toHaveLength(2);
+		expect(replay.aiList[0]).toHaveProperty('initData', null);
+	});
+
+	it('should not reveal replays of private matches', async () => {
+		let battle = await gateway.broker.call('battleStore.create', {
+			ubd: JSON.stringify(new UbdJsonMock()),
+			description: 'alpha/a-1 vs beta/b-1',
+			owner: ['200001', '200002']
+		});
+		await gateway.broker.call('matches.create', {
+			challengerId: '200001',
+			challengerName: 'alpha',
+			challengerScriptName: 'a-1',
+			opponentId: '200002',
+			opponentName: 'beta',
+			opponentScriptName: 'b-1',
+			opponentType: 'script',
+			status: 'finished',
+			rngSeed: 0.5,
+			battleId: battle.id,
+			createdAt: new Date()
+		});
+
+		let err = await axios.get(`${BASE_URL}/api/leaguePreview/replay/${battle.id}`).catch((e) => e);
+		expect(err.response.data).toMatch(/not found/i);
+		expect(JSON.stringify(err.response.data)).not.toMatch('alpha/a-1');
+	});
+
+});
@@ -0,0 +1,2 @@
+// worker of a battle that crashes
+throw new Error('worker crashed');
@@ -0,0 +1,7 @@
+module.exports = class FirstTwoMatchmakerMock {
+
+	pick(ranktable) {
+		return ranktable.getData().slice(0, 2);
+	}
+
+};
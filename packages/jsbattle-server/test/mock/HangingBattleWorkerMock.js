@@ -0,0 +1,8 @@
+// worker that never finishes battles marked as hanging. Other battles are played as usual
+const { workerData } = require('worker_threads');
+
+if(workerData.ubd.hang) {
+  setInterval(() => {}, 1000);
+} else {
+  require('../../app/lib/battleWorker.js');
+}
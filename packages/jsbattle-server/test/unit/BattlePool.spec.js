@@ -0,0 +1,113 @@
+"use strict";
+
+const BattlePool = require("../../app/lib/BattlePool.js");
+
+const createUbd = (timeLimit) => ({
+	version: 5,
+	rngSeed: 0.43,
+	aiList: [
+		{
+			name: 'alpha',
+			team: 'asdfrvw423',
+			initData: null,
+			useSandbox: true,
+			code: 'tank.init(function(n,t){}),tank.loop(function(n,t){t.THROTTLE=1});',
+			executionLimit: 100
+		},
+		{
+			name: 'beta',
+			team: 'ncsu8a7d3',
+			initData: null,
+			useSandbox: true,
+			code: 'tank.init(function(n,t){}),tank.loop(function(n,t){});',
+			executionLimit: 100
+		}
+	],
+	teamMode: false,
+	timeLimit: timeLimit
+});
+
+describe("Test 'BattlePool'", () => {
+
+	let pool;
+
+	afterEach(() => pool.close());
+
+	it('should play the battle in a worker', async () => {
+		jest.setTimeout(30000);
+		pool = new BattlePool({concurrency: 1, timeout: 20000, recordTimeline: true});
+		let result = await pool.run(createUbd(1000));
+		expect(result).toHaveProperty('timeElapsed', 1000);
+		expect(result.tankList).toHaveLength(2);
+		expect(result).toHaveProperty('ubd.timeline.tanks');
+		let stats = pool.getStats();
+		expect(stats).toHaveProperty('battleCount', 1);
+		expect(stats).toHaveProperty('failureCount', 0);
+		expect(stats).toHaveProperty('battlesPerMinute', 1);
+		expect(stats).toHaveProperty('running', 0);
+	});
+
+	it('should limit number of battles played at the same time', async () => {
+		jest.setTimeout(30000);
+		pool = new BattlePool({concurrency: 2, timeout: 20000});
+		expect(pool.hasCapacity).toBe(true);
+		let battles = [
+			pool.run(createUbd(500)),
+			pool.run(createUbd(500)),
+			pool.run(createUbd(500))
+		];
+		expect(pool.runningCount).toBe(2);
+		expect(pool.pendingCount).toBe(1);
+		expect(pool.hasCapacity).toBe(false);
+		let results = await Promise.all(battles);
+		expect(results).toHaveLength(3);
+		expect(pool.getStats()).toHaveProperty('battleCount', 3);
+		expect(pool.getStats().queueWait.max).toBeGreaterThan(0);
+	});
+
+	it('should measure queue wait from the time of scheduling', async () => {
+		jest.setTimeout(30000);
+		pool = new BattlePool({concurrency: 1, timeout: 20000});
+		await pool.run(createUbd(100), new Date().getTime() - 5000);
+		expect(pool.getStats().queueWait.average).toBeGreaterThanOrEqual(5000);
+	});
+
+	it('should kill only the battle that does not finish in time', async () => {
+		jest.setTimeout(30000);
+		pool = new BattlePool({
+			concurrency: 2,
+			timeout: 3000,
+			killTimeout: 100,
+			workerScript: __dirname + '/../mock/HangingBattleWorkerMock.js'
+		});
+		let hanging = pool.run({...createUbd(1000), hang: true});
+		let regular = pool.run(createUbd(100));
+		await expect(hanging).rejects.toThrow(/killed/);
+		await expect(regular).resolves.toHaveProperty('timeElapsed', 100);
+		let stats = pool.getStats();
+		expect(stats).toHaveProperty('battleCount', 1);
+		expect(stats).toHaveProperty('failureCount', 1);
+		expect(stats).toHaveProperty('timeoutCount', 1);
+		expect(stats).toHaveProperty('running', 0);
+	});
+
+	it('should recover from crashed worker', async () => {
+		jest.setTimeout(30000);
+		pool = new BattlePool({
+			concurrency: 1,
+			timeout: 20000,
+			workerScript: __dirname + '/../mock/CrashingBattleWorkerMock.js'
+		});
+		await expect(pool.run(createUbd(1000))).rejects.toThrow(/crashed/);
+		expect(pool.getStats()).toHaveProperty('crashCount', 1);
+		expect(pool.hasCapacity).toBe(true);
+	});
+
+	it('should reject battles after closing', async () => {
+		pool = new BattlePool({concurrency: 1});
+		pool.close();
+		expect(pool.hasCapacity).toBe(false);
+		await expect(pool.run(createUbd(1000))).rejects.toThrow(/closed/);
+	});
+
+});
@@ -18,6 +18,23 @@ const ownScript = {
 	hash: '1234567890abcdef2345'
 }
 
+const ownRevisions = {
+	'700001': {
+		id: '700001',
+		scriptId: '152674',
+		revision: 1,
+		code: '// hello 3094857',
+		hash: '0987654321fedcba5432'
+	},
+	'700002': {
+		id: '700002',
+		scriptId: '152674',
+		revision: 2,
+		code: ownScript.code,
+		hash: ownScript.hash
+	}
+}
+
 const leagueHistory = [
 	{
 		id: '97723883',
@@ -69,6 +86,8 @@ const leagueHistory = [
 	}
 ]
 
+const findBattlesMock = jest.fn(() => leagueHistory);
+
 const getUserScriptMock = jest.fn((ctx) => {
 	switch(ctx.params.id) {
 		case '999999':
@@ -86,6 +105,14 @@ const getUserScriptMock = jest.fn((ctx) => {
 	}
 })
 
+const getRevisionMock = jest.fn((ctx) => {
+	let revision = ownRevisions[ctx.params.revisionId || ctx.params.id];
+	if(!revision) {
+		throw new Error('not found');
+	}
+	return revision;
+})
+
 describe("Test 'League' service", () => {
 
 	let broker;
@@ -99,22 +126,33 @@ describe("Test 'League' service", () => {
 			 league: {
 					scheduleInterval: 10,
 					timeLimit: 3000,
-					teamSize: 3
+					teamSize: 3,
+					obfuscate: false
 				}
 		 };
 		broker = new ConfigBroker({ logger: false, logLevel: 'debug'}, config, false);
 		broker.createService({
 				name: 'scriptStore',
 				actions: {
-					getUserScript: getUserScriptMock
+					getUserScript: getUserScriptMock,
+					ensureUserScriptRevision: getUserScriptMock,
+					getUserScriptRevision: (ctx) => getRevisionMock({params: {revisionId: ctx.params.revisionId || '700002'}})
+				}
+		})
+		broker.createService({
+				name: 'scriptRevisionStore',
+				actions: {
+					get: getRevisionMock
 				}
 		})
 		broker.createService({
 				name: 'battleStore',
 				actions: {
-					find: (ctx) => leagueHistory
+					find: findBattlesMock
 				}
 		})
+		broker.loadService(__dirname + "../../../../app/services/LeagueStore.service.js");
+		broker.loadService(__dirname + "../../../../app/services/SeasonStore.service.js");
 		broker.loadService(__dirname + "../../../../app/services/League.service.js");
 		await broker.start();
 	});
@@ -139,10 +177,24 @@ describe("Test 'League' service", () => {
 			id: '92864'
 		}
 		await expect(
-			broker.call('league.joinLeague', {}, {})
+			broker.call('league.joinLeague', {scriptId: '152674'}, {})
 		).rejects.toThrow(/Not Authorized/i)
 	});
 
+	it('should validate parameters of joinLeague',  async () => {
+		const user = {
+			username: 'john',
+			role: 'user',
+			id: '92864'
+		}
+		await expect(
+			broker.call('league.joinLeague', {}, {meta: {user: createTestToken(user)}})
+		).rejects.toThrow(/validation/i)
+		await expect(
+			broker.call('league.joinLeague', {scriptId: '152674', revisionId: {}}, {meta: {user: createTestToken(user)}})
+		).rejects.toThrow(/validation/i)
+	});
+
 	it('should throw error when call leaveLeague without login',  async () => {
 		const user = {
 			username: 'john',
@@ -172,8 +224,13 @@ describe("Test 'League' service", () => {
 		expect(entry).toHaveProperty('fights_total', 0);
 		expect(entry).toHaveProperty('fights_win', 0);
 		expect(entry).toHaveProperty('fights_lose', 0);
+		expect(entry).toHaveProperty('fights_draw', 0);
 		expect(entry).toHaveProperty('fights_error', 0);
-		expect(entry).toHaveProperty('score', 0);
+		expect(entry).toHaveProperty('rating', 1500);
+		expect(entry).toHaveProperty('ratingDeviation', 350);
+		expect(entry).toHaveProperty('volatility', 0.06);
+		expect(entry).toHaveProperty('ratedAt');
+		expect(entry).toHaveProperty('score', 800);
 	});
 
 	it('should return league summary',  async () => {
@@ -327,7 +384,8 @@ describe("Test 'League' service", () => {
 		expect(result.submission).toHaveProperty('ownerName', 'monica83');
 		expect(result.submission).toHaveProperty('scriptName', ownScript.scriptName);
 		expect(result.submission).toHaveProperty('joinedAt');
-		expect(result.submission).toHaveProperty('score', 0);
+		expect(result.submission).toHaveProperty('score', 800);
+		expect(result.submission).toHaveProperty('rating', 1500);
 		expect(result.submission).toHaveProperty('fights_total');
 		expect(result.submission).toHaveProperty('fights_win');
 		expect(result.submission).toHaveProperty('fights_lose');
@@ -338,13 +396,51 @@ describe("Test 'League' service", () => {
 		expect(result.ranktable[0]).toHaveProperty('ownerName', 'monica83');
 		expect(result.ranktable[0]).toHaveProperty('scriptName', ownScript.scriptName);
 		expect(result.ranktable[0]).toHaveProperty('joinedAt');
-		expect(result.ranktable[0]).toHaveProperty('score', 0);
+		expect(result.ranktable[0]).toHaveProperty('score', 800);
+		expect(result.ranktable[0]).toHaveProperty('ratingDeviation', 350);
 		expect(result.ranktable[0]).toHaveProperty('fights_total');
 		expect(result.ranktable[0]).toHaveProperty('fights_win');
 		expect(result.ranktable[0]).toHaveProperty('fights_lose');
 		expect(result.ranktable[0]).toHaveProperty('fights_error');
 	});
 
+	it('should submit revision of the script',  async () => {
+		const user = {
+			username: 'monica83',
+			role: 'user',
+			id: '92864'
+		}
+		let result = await broker.call('league.joinLeague', {scriptId: '152674'}, {meta: {user: createTestToken(user)}});
+		expect(result.submission).toHaveProperty('revisionId', '700002');
+		expect(result.submission).toHaveProperty('revision', 2);
+
+		result = await broker.call('league.joinLeague', {scriptId: '152674', revisionId: '700001'}, {meta: {user: createTestToken(user)}});
+		let entryId = result.submission.id;
+		expect(result.submission).toHaveProperty('revisionId', '700001');
+		expect(result.submission).toHaveProperty('revision', 1);
+		expect(result.submission).toHaveProperty('hash', ownRevisions['700001'].hash);
+
+		let entity = await broker.call('league.get', {id: entryId});
+		expect(entity).not.toHaveProperty('code');
+		entity = await broker.call('league.getEntry', {id: entryId});
+		expect(entity).toHaveProperty('code', ownRevisions['700001'].code);
+
+		getRevisionMock.mockClear();
+		await broker.call('league.getScript', {id: entryId}, {meta: {user: createTestToken(user)}});
+		expect(getRevisionMock.mock.calls).toHaveLength(0);
+	});
+
+	it('should not submit unknown revision',  async () => {
+		const user = {
+			username: 'monica83',
+			role: 'user',
+			id: '92864'
+		}
+		await expect(
+			broker.call('league.joinLeague', {scriptId: '152674', revisionId: '700009'}, {meta: {user: createTestToken(user)}})
+		).rejects.toThrow(/not found/i)
+	});
+
 	it('should keep the score when re-joining the league',  async () => {
 		const user = {
 			username: 'monica83',
@@ -353,13 +449,15 @@ describe("Test 'League' service", () => {
 		}
 		let result = await broker.call('league.joinLeague', {scriptId: '152674'}, {meta: {user: createTestToken(user)}});
 		let entityId = result.submission.id;
-		await broker.call('league.updateRank', {id: entityId, winner: true});
-		await broker.call('league.updateRank', {id: entityId, winner: true});
+		let opponent = await broker.call('league.create', {});
+		await broker.call('league.updateRanks', {results: [{id: entityId, place: 1}, {id: opponent.id, place: 2}]});
+		await broker.call('league.updateRanks', {results: [{id: entityId, place: 1}, {id: opponent.id, place: 2}]});
 		let entity = await broker.call('league.get', {id: entityId});
 		let score = entity.score;
 		let summary = await broker.call('league.joinLeague', {scriptId: '152674'}, {meta: {user: createTestToken(user)}});
 		expect(summary).toHaveProperty('submission');
 		expect(summary.submission).toHaveProperty('score', score);
+		expect(summary.submission).toHaveProperty('rating', entity.rating);
 
 	});
 
@@ -395,19 +493,32 @@ describe("Test 'League' service", () => {
 		expect(Object.keys(summary.submission)).toHaveLength(0);
 	});
 
-	it('should pick random opponents',  async () => {
+	it('should pick opponents',  async () => {
 		await broker.emit('app.seed', {}, {});
 
 		let opponents
 		for(let i=0; i < 100; i++) {
-			opponents = await broker.call('league.pickRandomOpponents', {});
+			opponents = await broker.call('league.pickOpponents', {});
 			expect(opponents).toHaveLength(2);
 			expect(opponents[0].id).not.toBe(opponents[1].id);
 			expect(opponents[0].scriptId).not.toBe(opponents[1].scriptId);
 		}
 	});
 
-	it('should not pick random opponents when league is empty',  async () => {
+	it('should pick opponents of free-for-all battles',  async () => {
+		let league = await broker.call('leagueStore.create', {name: 'Arena League', teamCount: 4});
+		await broker.call('league.seedLeague', {leagueId: league.id});
+		await broker.emit('app.seed', {}, {});
+
+		for(let i=0; i < 20; i++) {
+			let opponents = await broker.call('league.pickOpponents', {leagueId: league.id});
+			expect(opponents).toHaveLength(4);
+			expect(new Set(opponents.map((opponent) => opponent.id)).size).toBe(4);
+			expect(opponents.every((opponent) => opponent.leagueId == league.id)).toBe(true);
+		}
+	});
+
+	it('should not pick opponents when league is empty',  async () => {
 		const user = {
 			username: 'monica83',
 			role: 'user',
@@ -415,21 +526,21 @@ describe("Test 'League' service", () => {
 		}
 		await broker.call('league.joinLeague', {scriptId: '152674'}, {meta: {user: createTestToken(user)}});
 		await expect(
-			broker.call('league.pickRandomOpponents', {})
+			broker.call('league.pickOpponents', {})
 		).rejects.toThrow(/no opponents/i)
 	});
 
 	it('should throw error when no input for update rank',  async () => {
 		await expect(
-			broker.call('league.updateRank', {})
+			broker.call('league.updateRanks', {})
 		).rejects.toThrow(/Parameters validation/i)
 
 		await expect(
-			broker.call('league.updateRank', {winner: true})
+			broker.call('league.updateRanks', {results: [{id: '8871234', place: 1}]})
 		).rejects.toThrow(/Parameters validation/i)
 
 		await expect(
-			broker.call('league.updateRank', {id: '8871234'})
+			broker.call('league.updateRanks', {results: [{id: '8871234'}, {id: '8871235'}]})
 		).rejects.toThrow(/Parameters validation/i)
 	});
 
@@ -441,15 +552,135 @@ describe("Test 'League' service", () => {
 		}
 		let createResult = await broker.call('league.joinLeague', {scriptId: '152674'}, {meta: {user: createTestToken(user)}});
 		let entityId = createResult.submission.id;
-		await broker.call('league.updateRank', {id: entityId, winner: true});
-		await broker.call('league.updateRank', {id: entityId, winner: true});
-		await broker.call('league.updateRank', {id: entityId, winner: false});
+		let opponent = await broker.call('league.create', {});
+		await broker.call('league.updateRanks', {results: [{id: entityId, place: 2}, {id: opponent.id, place: 1}]});
+		await broker.call('league.updateRanks', {results: [{id: entityId, place: 1}, {id: opponent.id, place: 2}]});
+		await broker.call('league.updateRanks', {results: [{id: entityId, place: 1}, {id: opponent.id, place: 2}]});
+		await broker.call('league.updateRanks', {results: [{id: entityId, place: 1}, {id: opponent.id, place: 1}]});
 
 		let entity = await broker.call('league.get', {id: entityId});
-		expect(entity).toHaveProperty('fights_total', 3);
+		expect(entity).toHaveProperty('fights_total', 4);
 		expect(entity).toHaveProperty('fights_win', 2);
 		expect(entity).toHaveProperty('fights_lose', 1);
-		expect(entity).toHaveProperty('score', 753);
+		expect(entity).toHaveProperty('fights_draw', 1);
+		expect(entity.rating).toBeGreaterThan(1500);
+		expect(entity.ratingDeviation).toBeLessThan(350);
+		expect(entity).toHaveProperty('score', Math.round(entity.rating - 2*entity.ratingDeviation));
+
+		let opponentEntity = await broker.call('league.get', {id: opponent.id});
+		expect(opponentEntity).toHaveProperty('fights_draw', 1);
+		expect(opponentEntity.rating).toBeLessThan(1500);
+		expect(Math.round(entity.rating + opponentEntity.rating)).toBe(3000);
+
+		let result = await broker.call('league.listRankTable', {});
+		expect(result.rows[0]).toHaveProperty('id', entityId);
+		expect(result.rows[0]).toHaveProperty('score', entity.score);
+		expect(result.rows[0]).toHaveProperty('fights_draw', 1);
+	});
+
+	it('should return ranks of updated entries',  async () => {
+		const user = {
+			username: 'monica83',
+			role: 'user',
+			id: '92864'
+		}
+		let createResult = await broker.call('league.joinLeague', {scriptId: '152674'}, {meta: {user: createTestToken(user)}});
+		let entityId = createResult.submission.id;
+		let opponent = await broker.call('league.create', {});
+		let ranks = await broker.call('league.updateRanks', {results: [{id: entityId, place: 1}, {id: opponent.id, place: 2}]});
+		expect(ranks).toHaveLength(2);
+		expect(ranks[0]).toHaveProperty('id', entityId);
+		expect(ranks[0]).toHaveProperty('ownerId', '92864');
+		expect(ranks[0]).toHaveProperty('scriptName', ownScript.scriptName);
+		expect(ranks[0]).toHaveProperty('previousRank', 1);
+		expect(ranks[0]).toHaveProperty('rank', 1);
+		expect(ranks[1]).toHaveProperty('id', opponent.id);
+	});
+
+	it('should increase rating deviation of inactive entries',  async () => {
+		let entry = await broker.call('league.create', {ratedAt: new Date(new Date().getTime() - 10*24*60*60*1000), ratingDeviation: 50, rating: 1600, volatility: 0.06});
+		let fresh = await broker.call('league.create', {ratingDeviation: 50, rating: 1600, volatility: 0.06});
+		let result = await broker.call('league.decayRatings', {});
+		expect(result).toHaveProperty('updated', 1);
+		let entity = await broker.call('league.get', {id: entry.id});
+		expect(entity.ratingDeviation).toBeGreaterThan(50);
+		expect(entity.score).toBeLessThan(entry.score);
+		expect(entity).toHaveProperty('rating', 1600);
+		entity = await broker.call('league.get', {id: fresh.id});
+		expect(entity).toHaveProperty('ratingDeviation', 50);
+	});
+
+	it('should recalculate ratings from battle history',  async () => {
+		let entry = await broker.call('league.create', {});
+		let opponent = await broker.call('league.create', {});
+		findBattlesMock.mockReturnValueOnce([
+			{
+				createdAt: new Date(),
+				meta: [
+					{id: entry.id, winner: false},
+					{id: opponent.id, winner: true}
+				]
+			},
+			{
+				createdAt: new Date(),
+				meta: [
+					{id: entry.id, winner: true},
+					{id: '8721293', winner: false}
+				]
+			}
+		]);
+
+		let result = await broker.call('league.recalculateRatings', {});
+		expect(result).toHaveProperty('entryCount', 2);
+		expect(result).toHaveProperty('battleCount', 1);
+		let entity = await broker.call('league.get', {id: entry.id});
+		expect(entity.rating).toBeLessThan(1500);
+		expect(entity).toHaveProperty('fights_total', 0);
+		entity = await broker.call('league.get', {id: opponent.id});
+		expect(entity.rating).toBeGreaterThan(1500);
+	});
+
+		it('should update persistent data',  async () => {
+		const user = {
+			username: 'monica83',
+			role: 'user',
+			id: '92864'
+		}
+		let createResult = await broker.call('league.joinLeague', {scriptId: '152674'}, {meta: {user: createTestToken(user)}});
+		let entityId = createResult.submission.id;
+		await broker.call('league.updatePersistentData', {id: entityId, persistentData: {wins: 5}});
+		let entity = await broker.call('league.get', {id: entityId});
+		expect(entity).toHaveProperty('persistentData', {wins: 5});
+
+		await expect(
+			broker.call('league.updatePersistentData', {id: entityId, persistentData: {data: 'x'.repeat(5000)}})
+		).rejects.toThrow(/Parameters validation/i)
+		await expect(
+			broker.call('league.updatePersistentData', {id: entityId, persistentData: [1, 2]})
+		).rejects.toThrow(/Parameters validation/i)
+
+		createResult = await broker.call('league.joinLeague', {scriptId: '152674'}, {meta: {user: createTestToken(user)}});
+		entity = await broker.call('league.get', {id: createResult.submission.id});
+		expect(entity).toHaveProperty('persistentData', {wins: 5});
+	});
+
+	it('should count fights with errors',  async () => {
+		const user = {
+			username: 'monica83',
+			role: 'user',
+			id: '92864'
+		}
+		let createResult = await broker.call('league.joinLeague', {scriptId: '152674'}, {meta: {user: createTestToken(user)}});
+		let entityId = createResult.submission.id;
+		let opponent = await broker.call('league.create', {});
+		await broker.call('league.updateRanks', {results: [{id: entityId, place: 1, error: false}, {id: opponent.id, place: 2}]});
+		await broker.call('league.updateRanks', {results: [{id: entityId, place: 2, error: true}, {id: opponent.id, place: 1}]});
+		await broker.call('league.updateRanks', {results: [{id: entityId, place: 2}, {id: opponent.id, place: 1}]});
+
+		let entity = await broker.call('league.get', {id: entityId});
+		expect(entity).toHaveProperty('fights_total', 3);
+		expect(entity).toHaveProperty('fights_lose', 2);
+		expect(entity).toHaveProperty('fights_error', 1);
 	});
 
 	it('should list the league',  async () => {
@@ -481,4 +712,148 @@ describe("Test 'League' service", () => {
 		expect(result.rows[1]).toHaveProperty('rank', 6);
 	});
 
+	it('should keep separate rank tables for each league',  async () => {
+		const user = {
+			username: 'monica83',
+			role: 'user',
+			id: '92864'
+		}
+		let league = await broker.call('leagueStore.create', {name: 'Second League', teamSize: 1});
+		await broker.emit('app.seed', {}, {});
+		let result = await broker.call('league.joinLeague', {leagueId: league.id, scriptId: '152674'}, {meta: {user: createTestToken(user)}});
+		expect(result).toHaveProperty('league');
+		expect(result.league).toHaveProperty('id', league.id);
+		expect(result.league).toHaveProperty('name', 'Second League');
+		expect(result.submission).toHaveProperty('leagueId', league.id);
+		expect(result.ranktable).toHaveLength(1);
+
+		result = await broker.call('league.joinLeague', {scriptId: '152674'}, {meta: {user: createTestToken(user)}});
+		expect(result.league).toHaveProperty('isDefault', true);
+		expect(result.ranktable).toHaveLength(8);
+
+		result = await broker.call('league.listRankTable', {leagueId: league.id});
+		expect(result).toHaveProperty('total', 1);
+		result = await broker.call('league.leaveLeague', {leagueId: league.id}, {meta: {user: createTestToken(user)}});
+		expect(result.ranktable).toHaveLength(0);
+		result = await broker.call('league.getUserSubmission', {}, {meta: {user: createTestToken(user)}});
+		expect(result).toHaveProperty('scriptId', ownScript.id);
+	});
+
+	it('should not join unknown league',  async () => {
+		const user = {
+			username: 'monica83',
+			role: 'user',
+			id: '92864'
+		}
+		await expect(
+			broker.call('league.joinLeague', {leagueId: '8327423', scriptId: '152674'}, {meta: {user: createTestToken(user)}})
+		).rejects.toThrow(/not found/i)
+	});
+
+	it('should not exceed entry limit of the league',  async () => {
+		const user1 = {
+			username: 'monica83',
+			role: 'user',
+			id: '92864'
+		}
+		const user2 = {
+			username: 'another_user',
+			role: 'user',
+			id: '123456'
+		}
+		let league = await broker.call('leagueStore.create', {name: 'Small League', entryLimit: 1});
+		await broker.call('league.joinLeague', {leagueId: league.id, scriptId: '152674'}, {meta: {user: createTestToken(user1)}});
+		// re-joining does not need an extra place
+		await broker.call('league.joinLeague', {leagueId: league.id, scriptId: '152674'}, {meta: {user: createTestToken(user1)}});
+		await expect(
+			broker.call('league.joinLeague', {leagueId: league.id, scriptId: '999999'}, {meta: {user: createTestToken(user2)}})
+		).rejects.toThrow(/full/i)
+	});
+
+	it('should not return script of another league',  async () => {
+		const user = {
+			username: 'monica83',
+			role: 'user',
+			id: '92864'
+		}
+		let league = await broker.call('leagueStore.create', {name: 'Second League'});
+		let result = await broker.call('league.joinLeague', {scriptId: '152674'}, {meta: {user: createTestToken(user)}});
+		let entryId = result.submission.id;
+		result = await broker.call('league.getScript', {id: entryId}, {meta: {user: createTestToken(user)}});
+		expect(result).toHaveProperty('code');
+		await expect(
+			broker.call('league.getScript', {leagueId: league.id, id: entryId}, {meta: {user: createTestToken(user)}})
+		).rejects.toThrow(/not found/i)
+	});
+
+	it('should end the season',  async () => {
+		let league = await broker.call('leagueStore.create', {name: 'Season League'});
+		let entry = await broker.call('league.create', {leagueId: league.id});
+		let opponent = await broker.call('league.create', {leagueId: league.id});
+		let other = await broker.call('league.create', {});
+		await broker.call('league.updateRanks', {results: [{id: entry.id, place: 1}, {id: opponent.id, place: 2}]});
+		await broker.call('league.updateRanks', {results: [{id: other.id, place: 1}, {id: opponent.id, place: 2}]});
+
+		let result = await broker.call('league.endSeason', {leagueId: league.id});
+		expect(result).toHaveProperty('season', 2);
+		expect(result).toHaveProperty('archivedEntries', 2);
+
+		let seasons = await broker.call('seasonStore.listLeagueSeasons', {leagueId: league.id});
+		expect(seasons).toHaveLength(1);
+		expect(seasons[0]).toHaveProperty('season', 1);
+		expect(seasons[0]).toHaveProperty('leagueName', 'Season League');
+		expect(seasons[0].standings).toHaveLength(2);
+		expect(seasons[0].standings[0]).toHaveProperty('id', entry.id);
+		expect(seasons[0].standings[0]).toHaveProperty('rank', 1);
+		expect(seasons[0].standings[0]).toHaveProperty('fights_win', 1);
+
+		let entity = await broker.call('league.get', {id: entry.id});
+		expect(entity).toHaveProperty('fights_total', 0);
+		expect(entity).toHaveProperty('fights_win', 0);
+		expect(entity).toHaveProperty('rating', 1500);
+		expect(entity).toHaveProperty('score', 800);
+		entity = await broker.call('league.get', {id: other.id});
+		expect(entity).toHaveProperty('fights_total', 1);
+
+		let ranktable = await broker.call('league.listRankTable', {leagueId: league.id});
+		expect(ranktable.rows).toHaveLength(2);
+		expect(ranktable.rows[0]).toHaveProperty('fights_total', 0);
+		let definition = await broker.call('leagueStore.get', {id: league.id});
+		expect(definition).toHaveProperty('season', 2);
+	});
+
+	it('should end the season only once',  async () => {
+		let league = await broker.call('leagueStore.create', {name: 'Busy League'});
+		await broker.call('league.create', {leagueId: league.id});
+		let results = await Promise.allSettled([
+			broker.call('league.endSeason', {leagueId: league.id, season: 1}),
+			broker.call('league.endSeason', {leagueId: league.id, season: 1})
+		]);
+		expect(results.filter((result) => result.status == 'fulfilled')).toHaveLength(1);
+		let seasons = await broker.call('seasonStore.listLeagueSeasons', {leagueId: league.id});
+		expect(seasons).toHaveLength(1);
+		let definition = await broker.call('leagueStore.get', {id: league.id});
+		expect(definition).toHaveProperty('season', 2);
+	});
+
+	it('should remove the league with its entries',  async () => {
+		let league = await broker.call('leagueStore.create', {name: 'Old League'});
+		let entry = await broker.call('league.create', {leagueId: league.id});
+		let result = await broker.call('league.deleteLeague', {leagueId: league.id});
+		expect(result).toHaveProperty('removedEntries', 1);
+		await expect(
+			broker.call('league.get', {id: entry.id})
+		).rejects.toThrow(/not found/i)
+		await expect(
+			broker.call('leagueStore.get', {id: league.id})
+		).rejects.toThrow(/not found/i)
+	});
+
+	it('should not remove the default league',  async () => {
+		let league = await broker.call('leagueStore.getDefault', {});
+		await expect(
+			broker.call('league.deleteLeague', {leagueId: league.id})
+		).rejects.toThrow(/cannot be removed/i)
+	});
+
 });
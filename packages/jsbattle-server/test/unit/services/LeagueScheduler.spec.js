@@ -21,18 +21,36 @@ const leagueHistoryDuration = 3*60*60*1000
 
 const readQueue = jest.fn();
 const writeQueue = jest.fn();
-const pickRandomOpponents = jest.fn();
+const pickOpponents = jest.fn();
 const leagueUpdate = jest.fn();
 const leagueGet = jest.fn();
-const leagueUpdateRank = jest.fn();
+const leagueUpdateRanks = jest.fn();
+const leagueUpdatePersistentData = jest.fn();
 const battleStoreCreate = jest.fn();
+const leagueEndSeason = jest.fn();
+const findLeagues = jest.fn();
+const clientEvent = jest.fn();
 
 describe("Test 'League' service", () => {
 
 	let broker;
 
 	beforeEach(async () => {
-		pickRandomOpponents.mockReturnValue([
+		battleStoreCreate.mockReturnValue({id: 'battle-3312'});
+		leagueUpdateRanks.mockReturnValue([]);
+		findLeagues.mockReturnValue([
+			{
+				id: '7712',
+				name: 'Open League',
+				teamSize: 3,
+				timeLimit: 3000,
+				map: null,
+				rules: 'default',
+				seasonDuration: 0,
+				seasonStartedAt: new Date()
+			}
+		]);
+		pickOpponents.mockReturnValue([
 			{
 				id: '2g34a52',
 				ownerName: 'alpha',
@@ -44,6 +62,7 @@ describe("Test 'League' service", () => {
 				ownerName: 'beta',
 				scriptName: 'b-93',
 				code: '// code 77235',
+				persistentData: {wins: 12}
 			}
 		]);
 		leagueGet.mockImplementation((ctx) => {
@@ -130,10 +149,24 @@ describe("Test 'League' service", () => {
 		broker.createService({
 				name: 'league',
 				actions: {
-					pickRandomOpponents: pickRandomOpponents,
+					pickOpponents: pickOpponents,
 					update: leagueUpdate,
 					get: leagueGet,
-					updateRank: leagueUpdateRank
+					updateRanks: leagueUpdateRanks,
+					updatePersistentData: leagueUpdatePersistentData,
+					endSeason: leagueEndSeason
+				}
+		})
+		broker.createService({
+				name: 'leagueStore',
+				actions: {
+					find: findLeagues
+				}
+		})
+		broker.createService({
+				name: 'clientListener',
+				events: {
+					"client.league.**": clientEvent
 				}
 		})
 		broker.loadService(__dirname + "../../../../app/services/LeagueScheduler.service.js");
@@ -149,8 +182,101 @@ describe("Test 'League' service", () => {
 		expect(writeQueue.mock.calls.length).toBeGreaterThan(0);
 	});
 
+	it('should schedule battles with names of players',  async () => {
+		writeQueue.mockReset();
+		await new Promise((resolve) => setTimeout(resolve, 100));
+		let ubd = writeQueue.mock.calls[0][0].params.payload.ubd;
+		expect(ubd).toHaveProperty('version', 5);
+		expect(ubd.metadata).toHaveProperty('leagueId', '7712');
+		expect(ubd.metadata.players).toEqual([
+			{team: 'alpha/a-84', name: 'alpha'},
+			{team: 'beta/b-93', name: 'beta'}
+		]);
+	});
+
+	it('should pass persistent data of players to the battle',  async () => {
+		writeQueue.mockReset();
+		await new Promise((resolve) => setTimeout(resolve, 100));
+		let ubd = writeQueue.mock.calls[0][0].params.payload.ubd;
+		expect(ubd.aiList[0]).toHaveProperty('initData', null);
+		expect(ubd.aiList[1]).toHaveProperty('initData', {wins: 12});
+	});
+
+	it('should schedule battles according to the league definition',  async () => {
+		findLeagues.mockReturnValue([
+			{
+				id: '7713',
+				name: 'Duel League',
+				teamSize: 1,
+				timeLimit: 9000,
+				map: 'duel',
+				rules: 'one-shot',
+				seasonDuration: 0,
+				seasonStartedAt: new Date()
+			}
+		]);
+		writeQueue.mockReset();
+		await new Promise((resolve) => setTimeout(resolve, 100));
+		expect(pickOpponents.mock.calls[pickOpponents.mock.calls.length-1][0].params).toHaveProperty('leagueId', '7713');
+		let ubd = writeQueue.mock.calls[0][0].params.payload.ubd;
+		expect(ubd).toHaveProperty('timeLimit', 9000);
+		expect(ubd).toHaveProperty('map', 'duel');
+		expect(ubd.rules).toHaveProperty('name', 'one-shot');
+		expect(ubd.rules).toHaveProperty('bulletDamage', 100);
+		expect(ubd.aiList[0]).toHaveProperty('count', 1);
+		expect(ubd.aiList[1]).toHaveProperty('count', 1);
+	});
+
+	it('should schedule free-for-all battles',  async () => {
+		pickOpponents.mockReturnValue([
+			{id: '2g34a52', ownerName: 'alpha', scriptName: 'a-84', code: '// code 834212'},
+			{id: '99dg582', ownerName: 'beta', scriptName: 'b-93', code: '// code 77235'},
+			{id: '3a9cc81', ownerName: 'gamma', scriptName: 'c-12', code: '// code 12009'},
+			{id: '71bd0e2', ownerName: 'delta', scriptName: 'd-55', code: '// code 50912'}
+		]);
+		writeQueue.mockReset();
+		await broker.call('leagueScheduler.scheduleBattle', {});
+		let payload = writeQueue.mock.calls[0][0].params.payload;
+		expect(payload.ubd.aiList).toHaveLength(4);
+		expect(payload.ubd.metadata.players).toHaveLength(4);
+		expect(payload.refData).toEqual({
+			'alpha/a-84': '2g34a52',
+			'beta/b-93': '99dg582',
+			'gamma/c-12': '3a9cc81',
+			'delta/d-55': '71bd0e2'
+		});
+	});
+
+	it('should schedule battles in each league',  async () => {
+		findLeagues.mockReturnValue([
+			{id: '7712', name: 'Open League', teamSize: 3, timeLimit: 3000, rules: 'default', seasonDuration: 0},
+			{id: '7713', name: 'Duel League', teamSize: 1, timeLimit: 3000, rules: 'default', seasonDuration: 0}
+		]);
+		pickOpponents.mockClear();
+		await broker.call('leagueScheduler.scheduleBattle', {});
+		let leagueIds = pickOpponents.mock.calls.map((call) => call[0].params.leagueId);
+		expect(leagueIds).toEqual(expect.arrayContaining(['7712', '7713']));
+	});
+
+	it('should end expired seasons',  async () => {
+		findLeagues.mockReturnValue([
+			{id: '7712', name: 'Open League', teamSize: 3, timeLimit: 3000, rules: 'default', seasonDuration: 0, seasonStartedAt: new Date(0)},
+			{id: '7713', name: 'Weekly League', teamSize: 3, timeLimit: 3000, rules: 'default', seasonDuration: 1000, season: 3, seasonStartedAt: new Date(new Date().getTime() - 2000)},
+			{id: '7714', name: 'Monthly League', teamSize: 3, timeLimit: 3000, rules: 'default', seasonDuration: 60000, seasonStartedAt: new Date()}
+		]);
+		leagueEndSeason.mockClear();
+		await broker.call('leagueScheduler.scheduleBattle', {});
+		expect(leagueEndSeason.mock.calls.length).toBeGreaterThan(0);
+		let leagueIds = leagueEndSeason.mock.calls.map((call) => call[0].params.leagueId);
+		expect(leagueIds).not.toContain('7712');
+		expect(leagueIds).toContain('7713');
+		expect(leagueIds).not.toContain('7714');
+		let call = leagueEndSeason.mock.calls.find((call) => call[0].params.leagueId == '7713');
+		expect(call[0].params).toHaveProperty('season', 3);
+	});
+
 	it('should not schedule battles when league is empty',  async () => {
-		pickRandomOpponents.mockImplementation(() => {
+		pickOpponents.mockImplementation(() => {
 			throw new Error('no opponents')
 		})
 		writeQueue.mockReset();
@@ -160,7 +286,8 @@ describe("Test 'League' service", () => {
 
 	it('should process battle result',  async () => {
 		leagueUpdate.mockReset();
-		battleStoreCreate.mockReset();
+		leagueUpdateRanks.mockClear();
+		battleStoreCreate.mockClear();
 		await broker.emit('ubdPlayer.battle.league', {
 			teamList: [
 				{
@@ -190,22 +317,283 @@ describe("Test 'League' service", () => {
 		expect(battleStoreCreate.mock.calls[0][0].params.owner).toHaveLength(2);
 		expect(battleStoreCreate.mock.calls[0][0].params.owner).toEqual(expect.arrayContaining(['987243', '50872']));
 
-		expect(leagueUpdateRank.mock.calls).toHaveLength(2);
-		expect(leagueUpdateRank.mock.calls[0]).toHaveLength(1);
-		expect(leagueUpdateRank.mock.calls[1]).toHaveLength(1);
-		expect(leagueUpdateRank.mock.calls[0][0]).toHaveProperty('params');
-		expect(leagueUpdateRank.mock.calls[1][0]).toHaveProperty('params');
+		expect(leagueUpdateRanks.mock.calls).toHaveLength(1);
+		expect(leagueUpdateRanks.mock.calls[0][0]).toHaveProperty('params');
+		expect(leagueUpdateRanks.mock.calls[0][0].params.results).toEqual([
+			{id: '987243', place: 2, error: false},
+			{id: '50872', place: 1, error: false}
+		]);
+
+	});
+
+	it('should process draw',  async () => {
+		leagueUpdateRanks.mockClear();
+		await broker.emit('ubdPlayer.battle.league', {
+			teamList: [
+				{
+					name: 'roger/kalix',
+					score: 120
+				},
+				{
+					name: 'barbra/matix',
+					score: 120
+				}
+			],
+			ubd: {"foo": "bar3245234"},
+			refData: {
+				'roger/kalix': '987243',
+				'barbra/matix': '50872'
+			}
+		});
+
+		expect(leagueUpdateRanks.mock.calls).toHaveLength(1);
+		expect(leagueUpdateRanks.mock.calls[0][0].params.results).toEqual([
+			{id: '987243', place: 1, error: false},
+			{id: '50872', place: 1, error: false}
+		]);
+	});
+
+	it('should list the battle in history of its league',  async () => {
+		battleStoreCreate.mockClear();
+		await broker.emit('ubdPlayer.battle.league', {
+			teamList: [
+				{
+					name: 'roger/kalix',
+					score: 120
+				},
+				{
+					name: 'barbra/matix',
+					score: 853
+				}
+			],
+			ubd: {version: 5, metadata: {leagueId: '7712'}},
+			refData: {
+				'roger/kalix': '987243',
+				'barbra/matix': '50872'
+			}
+		});
+
+		expect(battleStoreCreate.mock.calls).toHaveLength(1);
+		expect(battleStoreCreate.mock.calls[0][0].params.owner).toEqual(['987243', '50872', '7712']);
+	});
+
+	it('should store result and statistics of the battle',  async () => {
+		battleStoreCreate.mockClear();
+		await broker.emit('ubdPlayer.battle.league', {
+			teamList: [
+				{
+					name: 'roger/kalix',
+					score: 120,
+					stats: {shots: 10, hits: 2, accuracy: 0.2}
+				},
+				{
+					name: 'barbra/matix',
+					score: 853
+				}
+			],
+			timeElapsed: 4000,
+			ubd: {version: 5, metadata: {players: [{team: 'roger/kalix', name: 'roger'}]}},
+			refData: {
+				'roger/kalix': '987243',
+				'barbra/matix': '50872'
+			}
+		});
+
+		expect(battleStoreCreate.mock.calls).toHaveLength(1);
+		let ubd = JSON.parse(battleStoreCreate.mock.calls[0][0].params.ubd);
+		expect(ubd.metadata.players).toHaveLength(1);
+		expect(ubd.metadata.result).toHaveProperty('timeElapsed', 4000);
+		expect(ubd.metadata.result.teamList).toEqual([
+			{name: 'roger/kalix', score: 120, place: 2, winner: false},
+			{name: 'barbra/matix', score: 853, place: 1, winner: true}
+		]);
+		let meta = battleStoreCreate.mock.calls[0][0].params.meta;
+		expect(meta[0].stats).toEqual({shots: 10, hits: 2, accuracy: 0.2});
+		expect(meta[1].stats).toBeUndefined();
+	});
 
-		let entityId1 = leagueUpdateRank.mock.calls[0][0].params.id
-		let entityId2 = leagueUpdateRank.mock.calls[1][0].params.id
-		let entityWon1 = leagueUpdateRank.mock.calls[0][0].params.winner
-		let entityWon2 = leagueUpdateRank.mock.calls[1][0].params.winner
+	it('should report disqualified team as a lost battle with an error',  async () => {
+		leagueUpdateRanks.mockClear();
+		battleStoreCreate.mockClear();
+		await broker.emit('ubdPlayer.battle.league', {
+			teamList: [
+				{
+					name: 'roger/kalix',
+					score: 320,
+					disqualified: true
+				},
+				{
+					name: 'barbra/matix',
+					score: 110,
+					disqualified: false
+				}
+			],
+			ubd: {"foo": "bar3245234"},
+			refData: {
+				'roger/kalix': '987243',
+				'barbra/matix': '50872'
+			}
+		});
 
-		expect(entityId1).toBe('987243');
-		expect(entityId2).toBe('50872');
-		expect(entityWon1).toBe(false);
-		expect(entityWon2).toBe(true);
+		expect(leagueUpdateRanks.mock.calls).toHaveLength(1);
+		expect(leagueUpdateRanks.mock.calls[0][0].params.results).toEqual([
+			{id: '987243', place: 2, error: true},
+			{id: '50872', place: 1, error: false}
+		]);
+		let meta = battleStoreCreate.mock.calls[0][0].params.meta;
+		expect(meta[0]).toHaveProperty('disqualified', true);
+		expect(meta[1].disqualified).toBeUndefined();
+	});
+
+	it('should store persistent data of players',  async () => {
+		leagueUpdatePersistentData.mockReset();
+		battleStoreCreate.mockClear();
+		await broker.emit('ubdPlayer.battle.league', {
+			teamList: [
+				{
+					name: 'roger/kalix',
+					score: 320,
+					persistentData: {wins: 3}
+				},
+				{
+					name: 'barbra/matix',
+					score: 110,
+					persistentData: null
+				}
+			],
+			ubd: {"foo": "bar3245234"},
+			refData: {
+				'roger/kalix': '987243',
+				'barbra/matix': '50872'
+			}
+		});
+
+		expect(leagueUpdatePersistentData.mock.calls).toHaveLength(1);
+		expect(leagueUpdatePersistentData.mock.calls[0][0].params).toEqual({id: '987243', persistentData: {wins: 3}});
+		let meta = battleStoreCreate.mock.calls[0][0].params.meta;
+		expect(meta[0].persistentData).toBeUndefined();
+	});
+
+	it('should not store persistent data of players in the replay',  async () => {
+		battleStoreCreate.mockClear();
+		await broker.emit('ubdPlayer.battle.league', {
+			teamList: [
+				{
+					name: 'roger/kalix',
+					score: 320
+				},
+				{
+					name: 'barbra/matix',
+					score: 110
+				}
+			],
+			ubd: {
+				version: 5,
+				aiList: [
+					{name: 'roger/kalix', team: 'roger/kalix', code: '// code 2342', initData: {wins: 3}},
+					{name: 'barbra/matix', team: 'barbra/matix', code: '// code 8763', initData: null}
+				]
+			},
+			refData: {
+				'roger/kalix': '987243',
+				'barbra/matix': '50872'
+			}
+		});
+
+		let ubd = JSON.parse(battleStoreCreate.mock.calls[0][0].params.ubd);
+		expect(ubd.aiList).toHaveLength(2);
+		expect(ubd.aiList[0]).toHaveProperty('initData', null);
+		expect(ubd.aiList[0]).toHaveProperty('code', '// code 2342');
+		expect(ubd.aiList[1]).toHaveProperty('initData', null);
+	});
+
+	it('should process free-for-all battle result',  async () => {
+		leagueUpdateRanks.mockClear();
+		battleStoreCreate.mockClear();
+		await broker.emit('ubdPlayer.battle.league', {
+			teamList: [
+				{name: 'alpha/a-84', score: 120},
+				{name: 'beta/b-93', score: 853, disqualified: true},
+				{name: 'gamma/c-12', score: 340},
+				{name: 'delta/d-55', score: 120}
+			],
+			ubd: {version: 5, metadata: {}},
+			refData: {
+				'alpha/a-84': '2g34a52',
+				'beta/b-93': '99dg582',
+				'gamma/c-12': '3a9cc81',
+				'delta/d-55': '71bd0e2'
+			}
+		});
+
+		expect(leagueUpdateRanks.mock.calls[0][0].params.results).toEqual([
+			{id: '2g34a52', place: 2, error: false},
+			{id: '99dg582', place: 4, error: true},
+			{id: '3a9cc81', place: 1, error: false},
+			{id: '71bd0e2', place: 2, error: false}
+		]);
+		let params = battleStoreCreate.mock.calls[0][0].params;
+		expect(params).toHaveProperty('description', 'alpha/a-84 vs beta/b-93 vs gamma/c-12 vs delta/d-55');
+		expect(params.owner).toHaveLength(4);
+		expect(params.meta.map((team) => team.place)).toEqual([2, 4, 1, 2]);
+		expect(params.meta.map((team) => team.winner)).toEqual([false, false, true, false]);
+		let ubd = JSON.parse(params.ubd);
+		expect(ubd.metadata.result.teamList.map((team) => team.place)).toEqual([2, 4, 1, 2]);
+	});
+
+	it('should notify owners about the battle and their ranks',  async () => {
+		clientEvent.mockReset();
+		leagueUpdateRanks.mockReturnValue([
+			{id: '987243', leagueId: '7712', ownerId: '3001', scriptName: 'kalix', rank: 4, previousRank: 4},
+			{id: '50872', leagueId: '7712', ownerId: '3002', scriptName: 'matix', rank: 2, previousRank: 5}
+		]);
+		await broker.emit('ubdPlayer.battle.league', {
+			teamList: [
+				{name: 'roger/kalix', score: 120},
+				{name: 'barbra/matix', score: 853}
+			],
+			ubd: {version: 5, metadata: {}},
+			refData: {
+				'roger/kalix': '987243',
+				'barbra/matix': '50872'
+			}
+		});
+		let events = clientEvent.mock.calls.filter((call) => call[2] != 'client.league.battleCompleted');
+		expect(events.map((call) => call[2])).toEqual([
+			'client.league.submissionFought',
+			'client.league.submissionFought',
+			'client.league.rankChanged'
+		]);
+		expect(events[0][0]).toEqual({
+			leagueId: '7712',
+			battleId: 'battle-3312',
+			scriptName: 'kalix',
+			opponents: ['barbra/matix'],
+			place: 2,
+			winner: false,
+			userIds: ['3001']
+		});
+		expect(events[1][0]).toHaveProperty('winner', true);
+		expect(events[1][0]).toHaveProperty('userIds', ['3002']);
+		expect(events[2][0]).toEqual({
+			leagueId: '7712',
+			scriptName: 'matix',
+			rank: 2,
+			previousRank: 5,
+			userIds: ['3002']
+		});
+	});
 
+	it('should reject battle result of too many teams',  async () => {
+		let teamList = [];
+		let refData = {};
+		for(let i=0; i < 7; i++) {
+			teamList.push({name: 'team/' + i, score: i});
+			refData['team/' + i] = 'id' + i;
+		}
+		await expect(
+			broker.call('leagueScheduler.storeBattleResults', {teamList, refData, ubd: {}})
+		).rejects.toThrow(/from 2 to 6/);
 	});
 
 	it('should not process battle errors',  async () => {
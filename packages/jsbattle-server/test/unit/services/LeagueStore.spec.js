@@ -0,0 +1,141 @@
+"use strict";
+
+const ConfigBroker = require("../../../app/lib/ConfigBroker.js");
+
+describe("Test 'LeagueStore' service", () => {
+	let broker;
+
+	beforeEach(async () => {
+		let config = {
+			league: {
+				timeLimit: 3000,
+				teamSize: 2,
+				defaultLeague: {
+					name: 'Main League',
+					seasonDuration: 60000
+				}
+			}
+		};
+		broker = new ConfigBroker({ logger: false }, config, false);
+		await broker.loadService(__dirname + "../../../../app/services/LeagueStore.service.js");
+		await broker.start()
+	});
+	afterEach(async () => await broker.stop());
+
+	it('should create the default league from config', async () => {
+		let league = await broker.call('leagueStore.getDefault', {});
+		expect(league).toHaveProperty('id');
+		expect(league).toHaveProperty('name', 'Main League');
+		expect(league).toHaveProperty('isDefault', true);
+		expect(league).toHaveProperty('teamSize', 2);
+		expect(league).toHaveProperty('timeLimit', 3000);
+		expect(league).toHaveProperty('rules', 'default');
+		expect(league).toHaveProperty('map', null);
+		expect(league).toHaveProperty('seasonDuration', 60000);
+		expect(league).toHaveProperty('entryLimit', 0);
+		expect(league).toHaveProperty('season', 1);
+		expect(league).toHaveProperty('seasonStartedAt');
+
+		let sameLeague = await broker.call('leagueStore.getDefault', {});
+		expect(sameLeague).toHaveProperty('id', league.id);
+		let count = await broker.call('leagueStore.count', {});
+		expect(count).toBe(1);
+	});
+
+	it('should create a league', async () => {
+		let league = await broker.call('leagueStore.create', {
+			name: 'Duel League',
+			teamSize: 1,
+			teamCount: 4,
+			map: 'duel',
+			rules: 'one-shot',
+			entryLimit: 20,
+			isDefault: true,
+			season: 7
+		});
+		expect(league).toHaveProperty('name', 'Duel League');
+		expect(league).toHaveProperty('teamSize', 1);
+		expect(league).toHaveProperty('teamCount', 4);
+		expect(league).toHaveProperty('map', 'duel');
+		expect(league).toHaveProperty('rules', 'one-shot');
+		expect(league).toHaveProperty('entryLimit', 20);
+		expect(league).toHaveProperty('isDefault', false);
+		expect(league).toHaveProperty('season', 1);
+	});
+
+	it('should not create a league with invalid definition', async () => {
+		await expect(
+			broker.call('leagueStore.create', {name: 'Duel League', map: 'unknown'})
+		).rejects.toThrow(/validation/i)
+		await expect(
+			broker.call('leagueStore.create', {name: 'Duel League', rules: 'unknown'})
+		).rejects.toThrow(/validation/i)
+		await expect(
+			broker.call('leagueStore.create', {name: 'Duel League', teamSize: 50})
+		).rejects.toThrow(/validation/i)
+		await expect(
+			broker.call('leagueStore.create', {name: 'Duel League', teamCount: 7})
+		).rejects.toThrow(/validation/i)
+		await expect(
+			broker.call('leagueStore.create', {})
+		).rejects.toThrow(/validation/i)
+	});
+
+	it('should list leagues', async () => {
+		await broker.call('leagueStore.create', {name: 'Duel League', teamSize: 1});
+		let leagues = await broker.call('leagueStore.listLeagues', {});
+		expect(leagues).toHaveLength(2);
+		expect(leagues[0]).toHaveProperty('name', 'Main League');
+		expect(leagues[0]).toHaveProperty('seasonEndsAt');
+		expect(new Date(leagues[0].seasonEndsAt).getTime() - new Date(leagues[0].seasonStartedAt).getTime()).toBe(60000);
+		expect(leagues[1]).toHaveProperty('name', 'Duel League');
+		expect(leagues[1]).toHaveProperty('seasonEndsAt', null);
+		expect(leagues[1].createdAt).toBeUndefined();
+	});
+
+	it('should update the league', async () => {
+		let league = await broker.call('leagueStore.create', {name: 'Duel League'});
+		let result = await broker.call('leagueStore.updateLeague', {
+			id: league.id,
+			timeLimit: 5000,
+			rules: 'no-boost',
+			season: 5,
+			isDefault: true
+		});
+		expect(result).toHaveProperty('name', 'Duel League');
+		expect(result).toHaveProperty('timeLimit', 5000);
+		expect(result).toHaveProperty('rules', 'no-boost');
+		expect(result).toHaveProperty('season', 1);
+		expect(result).toHaveProperty('isDefault', false);
+
+		await expect(
+			broker.call('leagueStore.updateLeague', {id: league.id, rules: 'unknown'})
+		).rejects.toThrow(/validation/i)
+		await expect(
+			broker.call('leagueStore.updateLeague', {id: '1234567', name: 'Other League'})
+		).rejects.toThrow(/not found/i)
+	});
+
+	it('should start a new season', async () => {
+		let league = await broker.call('leagueStore.getDefault', {});
+		let result = await broker.call('leagueStore.startSeason', {id: league.id});
+		expect(result).toHaveProperty('season', 2);
+		result = await broker.call('leagueStore.getDefault', {});
+		expect(result).toHaveProperty('season', 2);
+	});
+
+	it('should not start the same season twice', async () => {
+		let league = await broker.call('leagueStore.create', {name: 'Busy League'});
+		let results = await Promise.allSettled([
+			broker.call('leagueStore.startSeason', {id: league.id, season: 1}),
+			broker.call('leagueStore.startSeason', {id: league.id, season: 1})
+		]);
+		expect(results.filter((result) => result.status == 'fulfilled')).toHaveLength(1);
+		await expect(
+			broker.call('leagueStore.startSeason', {id: league.id, season: 1})
+		).rejects.toThrow(/already ended/i)
+		let result = await broker.call('leagueStore.get', {id: league.id});
+		expect(result).toHaveProperty('season', 2);
+	});
+
+});
@@ -0,0 +1,268 @@
+"use strict";
+const ConfigBroker = require("../../../app/lib/ConfigBroker.js");
+
+const scripts = {
+	'100001': {id: '100001', ownerId: '200001', ownerName: 'alpha', scriptName: 'a-1', namespace: 'user', code: '// code 81623'},
+	'100002': {id: '100002', ownerId: '200002', ownerName: 'beta', scriptName: 'b-1', namespace: 'user', code: '// code 72631', shared: true},
+	'100003': {id: '100003', ownerId: '200003', ownerName: 'gamma', scriptName: 'g-1', namespace: 'user', code: '// code 99273'},
+	'100004': {id: '100004', ownerId: '200001', ownerName: 'alpha', scriptName: 'a-2', namespace: 'user', code: '// code 55123', shared: true}
+};
+
+const leagueEntries = {
+	'300001': {id: '300001', leagueId: '400001', ownerId: '200003', ownerName: 'gamma', scriptName: 'g-1', code: '// league code 2331'}
+};
+
+const writeQueue = jest.fn();
+const battleStoreCreate = jest.fn();
+const clientEvent = jest.fn();
+
+const userMeta = (userId) => ({
+	meta: {
+		user: {
+			id: userId,
+			username: 'user' + userId,
+			role: 'user'
+		}
+	}
+});
+
+describe("Test 'Matches' service", () => {
+
+	let broker;
+
+	// result of the last queued battle. The first team gets the higher score when firstWins is set
+	function battleResult(firstWins) {
+		let payload = writeQueue.mock.calls[writeQueue.mock.calls.length-1][0].params.payload;
+		return {
+			ubd: payload.ubd,
+			refData: payload.refData,
+			teamList: payload.ubd.aiList.map((ai, index) => ({
+				name: ai.name,
+				score: (index == 0) == firstWins ? 100 : 20
+			}))
+		};
+	}
+
+	beforeEach(async () => {
+		writeQueue.mockReset();
+		writeQueue.mockReturnValue({ok: true});
+		battleStoreCreate.mockReset();
+		battleStoreCreate.mockReturnValue({id: 'battle-8723'});
+		clientEvent.mockReset();
+		let config = {
+			league: {
+				timeLimit: 3000,
+				teamSize: 3,
+				obfuscate: false
+			},
+			matches: {
+				pendingLimit: 2,
+				historyDuration: 12345
+			}
+		};
+		broker = new ConfigBroker({ logger: false }, config, false);
+		broker.createService({
+			name: 'scriptStore',
+			actions: {
+				get: (ctx) => {
+					if(!scripts[ctx.params.id]) {
+						throw new Error('Entity not found');
+					}
+					return scripts[ctx.params.id];
+				},
+				getUserScript: (ctx) => {
+					let script = scripts[ctx.params.id];
+					if(!script || script.ownerId != ctx.meta.user.id) {
+						throw new Error('Entity not found');
+					}
+					return script;
+				}
+			}
+		});
+		broker.createService({
+			name: 'league',
+			actions: {
+				getEntry: (ctx) => leagueEntries[ctx.params.id]
+			}
+		});
+		broker.createService({
+			name: 'leagueStore',
+			actions: {
+				get: () => ({id: '400001', teamSize: 1, timeLimit: 9000, map: 'duel', rules: 'one-shot'})
+			}
+		});
+		broker.createService({
+			name: 'queue',
+			actions: {
+				write: writeQueue
+			}
+		});
+		broker.createService({
+			name: 'battleStore',
+			actions: {
+				create: battleStoreCreate,
+				get: (ctx) => ({
+					id: ctx.params.id,
+					ubd: '{}',
+					owner: ctx.params.id == 'battle-8723' ? ['200001', '200002'] : ['300001', '400001']
+				})
+			}
+		});
+		broker.createService({
+			name: 'clientListener',
+			events: {
+				"client.match.completed": clientEvent
+			}
+		});
+		broker.loadService(__dirname + "../../../../app/services/Matches.service.js");
+		await broker.start();
+	});
+
+	afterEach(() => broker.stop());
+
+	it('should challenge a shared script', async () => {
+		let match = await broker.call('matches.createMatch', {scriptId: '100001', opponentType: 'script', opponentId: '100002'}, userMeta('200001'));
+		expect(match).toHaveProperty('status', 'queued');
+		expect(match).toHaveProperty('challengerId', '200001');
+		expect(match).toHaveProperty('opponentId', '200002');
+		expect(match).toHaveProperty('opponentScriptName', 'b-1');
+
+		expect(writeQueue.mock.calls).toHaveLength(1);
+		let params = writeQueue.mock.calls[0][0].params;
+		expect(params).toHaveProperty('topic', 'ubdPlayer');
+		expect(params.payload).toHaveProperty('event', 'match');
+		expect(params.payload.refData).toEqual({
+			'alpha/a-1': '200001',
+			'beta/b-1': '200002'
+		});
+		let ubd = params.payload.ubd;
+		expect(ubd).toHaveProperty('timeLimit', 3000);
+		expect(ubd.metadata).toHaveProperty('matchId', match.id);
+		expect(ubd.aiList).toHaveLength(2);
+		expect(ubd.aiList[0]).toHaveProperty('code', '// code 81623');
+		expect(ubd.aiList[1]).toHaveProperty('code', '// code 72631');
+		expect(ubd.aiList[1]).toHaveProperty('count', 3);
+	});
+
+	it('should challenge a league entry according to its league', async () => {
+		await broker.call('matches.createMatch', {scriptId: '100001', opponentType: 'league', opponentId: '300001'}, userMeta('200001'));
+		let ubd = writeQueue.mock.calls[0][0].params.payload.ubd;
+		expect(ubd).toHaveProperty('timeLimit', 9000);
+		expect(ubd).toHaveProperty('map', 'duel');
+		expect(ubd.rules).toHaveProperty('name', 'one-shot');
+		expect(ubd.aiList[1]).toHaveProperty('code', '// league code 2331');
+		expect(ubd.aiList[1]).toHaveProperty('count', 1);
+	});
+
+	it('should not challenge scripts that are not shared', async () => {
+		await expect(
+			broker.call('matches.createMatch', {scriptId: '100001', opponentType: 'script', opponentId: '100003'}, userMeta('200001'))
+		).rejects.toThrow(/not found/i);
+		await expect(
+			broker.call('matches.createMatch', {scriptId: '100003', opponentType: 'script', opponentId: '100002'}, userMeta('200001'))
+		).rejects.toThrow(/not found/i);
+		await expect(
+			broker.call('matches.createMatch', {scriptId: '100001', opponentType: 'script', opponentId: '100004'}, userMeta('200001'))
+		).rejects.toThrow(/own script/i);
+		await expect(
+			broker.call('matches.createMatch', {scriptId: '100001', opponentType: 'script', opponentId: '100002'})
+		).rejects.toThrow(/not authorized/i);
+		expect(writeQueue.mock.calls).toHaveLength(0);
+	});
+
+	it('should limit pending matches', async () => {
+		const params = {scriptId: '100001', opponentType: 'script', opponentId: '100002'};
+		await broker.call('matches.createMatch', params, userMeta('200001'));
+		await broker.call('matches.createMatch', params, userMeta('200001'));
+		await expect(
+			broker.call('matches.createMatch', params, userMeta('200001'))
+		).rejects.toThrow(/too many/i);
+		await broker.call('matches.storeMatchResult', battleResult(true));
+		await broker.call('matches.createMatch', params, userMeta('200001'));
+	});
+
+	it('should not keep the match when the queue is full', async () => {
+		writeQueue.mockReturnValue({ok: false, error: 'queue full'});
+		await expect(
+			broker.call('matches.createMatch', {scriptId: '100001', opponentType: 'script', opponentId: '100002'}, userMeta('200001'))
+		).rejects.toThrow(/queue full/i);
+		let matches = await broker.call('matches.listUserMatches', {}, userMeta('200001'));
+		expect(matches).toHaveLength(0);
+	});
+
+	it('should store result of the match', async () => {
+		let match = await broker.call('matches.createMatch', {scriptId: '100001', opponentType: 'script', opponentId: '100002'}, userMeta('200001'));
+		let result = battleResult(false);
+		await broker.call('matches.storeMatchResult', result);
+
+		expect(battleStoreCreate.mock.calls).toHaveLength(1);
+		let params = battleStoreCreate.mock.calls[0][0].params;
+		expect(params).toHaveProperty('expiresIn', 12345);
+		expect(params).toHaveProperty('description', 'alpha/a-1 vs beta/b-1');
+		expect(params.owner).toEqual([
+			'200001',
+			'200002'
+		]);
+		expect(params.meta.map((team) => team.winner)).toEqual([
+			false,
+			true
+		]);
+		expect(JSON.parse(params.ubd).metadata.result.teamList).toHaveLength(2);
+
+		let matches = await broker.call('matches.listUserMatches', {}, userMeta('200002'));
+		expect(matches).toHaveLength(1);
+		expect(matches[0]).toHaveProperty('id', match.id);
+		expect(matches[0]).toHaveProperty('status', 'finished');
+		expect(matches[0]).toHaveProperty('battleId', 'battle-8723');
+		expect(matches[0]).toHaveProperty('winnerId', '200002');
+		expect(matches[0]).not.toHaveProperty('rngSeed');
+
+		expect(clientEvent.mock.calls).toHaveLength(1);
+		expect(clientEvent.mock.calls[0][0]).toEqual({
+			id: match.id,
+			battleId: 'battle-8723',
+			userIds: [
+				'200001',
+				'200002'
+			]
+		});
+
+		// duplicated results are skipped
+		await broker.call('matches.storeMatchResult', result);
+		expect(battleStoreCreate.mock.calls).toHaveLength(1);
+	});
+
+	it('should return replays of private matches only to their sides', async () => {
+		await broker.call('matches.createMatch', {scriptId: '100001', opponentType: 'script', opponentId: '100002'}, userMeta('200001'));
+		await broker.call('matches.storeMatchResult', battleResult(true));
+
+		let replay = await broker.call('matches.getReplay', {id: 'battle-8723'}, userMeta('200001'));
+		expect(replay).toHaveProperty('id', 'battle-8723');
+		replay = await broker.call('matches.getReplay', {id: 'battle-8723'}, userMeta('200002'));
+		expect(replay).toHaveProperty('id', 'battle-8723');
+		await expect(
+			broker.call('matches.getReplay', {id: 'battle-8723'}, userMeta('200003'))
+		).rejects.toThrow(/not found/i);
+		await expect(
+			broker.call('matches.getReplay', {id: 'battle-8723'}, {meta: {user: {username: 'guest', role: 'guest'}}})
+		).rejects.toThrow(/not found/i);
+
+		// battles of leagues are public
+		replay = await broker.call('matches.getReplay', {id: 'battle-1111'}, {meta: {user: {username: 'guest', role: 'guest'}}});
+		expect(replay).toHaveProperty('id', 'battle-1111');
+	});
+
+	it('should list matches of the user', async () => {
+		await broker.call('matches.createMatch', {scriptId: '100001', opponentType: 'script', opponentId: '100002'}, userMeta('200001'));
+		await broker.call('matches.createMatch', {scriptId: '100003', opponentType: 'script', opponentId: '100004'}, userMeta('200003'));
+		let matches = await broker.call('matches.listUserMatches', {}, userMeta('200001'));
+		expect(matches).toHaveLength(2);
+		matches = await broker.call('matches.listUserMatches', {}, userMeta('200002'));
+		expect(matches).toHaveLength(1);
+		expect(matches[0]).toHaveProperty('status', 'queued');
+		await broker.call('matches.update', {id: matches[0].id, createdAt: new Date(0)});
+		matches = await broker.call('matches.listUserMatches', {}, userMeta('200002'));
+		expect(matches[0]).toHaveProperty('status', 'expired');
+	});
+
+});
@@ -3,6 +3,11 @@
 const ConfigBroker = require("../../../app/lib/ConfigBroker.js");
 const { ValidationError } = require("moleculer").Errors;
 const { MoleculerClientError } = require("moleculer").Errors;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 describe("Test 'Queue' service", () => {
 	let broker;
@@ -123,4 +128,156 @@ describe("Test 'Queue' service", () => {
 
 	});
 
+	it('should acknowledge processed messages', async () => {
+		await broker.call('queue.write', { payload: {foo: 'bar1'} } );
+		let task = await broker.call('queue.read');
+		expect(task).toHaveProperty('id');
+		expect(task).toHaveProperty('attempts', 1);
+		expect(task).toHaveProperty('claim');
+		expect(task.queuedAt).toBeLessThanOrEqual(new Date().getTime());
+
+		let result = await broker.call('queue.ack', {id: task.id, claim: 'other'});
+		expect(result).toHaveProperty('ok', false);
+		result = await broker.call('queue.ack', {id: task.id, claim: task.claim});
+		expect(result).toHaveProperty('ok', true);
+		result = await broker.call('queue.ack', {id: task.id, claim: task.claim});
+		expect(result).toHaveProperty('ok', false);
+
+		result = await broker.call('queue.stats');
+		expect(result.topics).toEqual({});
+	});
+
+});
+
+describe("Test 'Queue' service reliability", () => {
+	let broker;
+	const config = {
+		queue: {
+			visibilityTimeout: 100,
+			maxAttempts: 2,
+			retryDelay: 0
+		}
+	};
+
+	beforeEach(async () => {
+		broker = new ConfigBroker({ logger: false }, config, false);
+		await broker.loadService(__dirname + "../../../../app/services/Queue.service.js");
+		await broker.start()
+	});
+	afterEach(async () => await broker.stop());
+
+	it('should deliver again messages that were not acknowledged in time', async () => {
+		await broker.call('queue.write', { payload: {foo: 'bar1'} } );
+		let task = await broker.call('queue.read');
+		expect(task).toHaveProperty('ok', true);
+
+		let result = await broker.call('queue.read');
+		expect(result).toHaveProperty('ok', false);
+
+		await wait(150);
+		result = await broker.call('queue.read');
+		expect(result).toHaveProperty('ok', true);
+		expect(result).toHaveProperty('id', task.id);
+		expect(result).toHaveProperty('attempts', 2);
+		expect(result).toHaveProperty('payload.foo', 'bar1');
+
+		// max attempts reached
+		await wait(150);
+		result = await broker.call('queue.read');
+		expect(result).toHaveProperty('ok', false);
+
+		let deadLetters = await broker.call('queue.deadLetters');
+		expect(deadLetters).toHaveLength(1);
+		expect(deadLetters[0]).toHaveProperty('id', task.id);
+		expect(deadLetters[0]).toHaveProperty('error', 'Visibility timeout exceeded');
+	});
+
+	it('should not let a worker finish a task claimed again by another worker', async () => {
+		await broker.call('queue.write', { payload: {foo: 'bar1'} } );
+		let staleTask = await broker.call('queue.read');
+		await wait(150);
+		let task = await broker.call('queue.read');
+		expect(task).toHaveProperty('id', staleTask.id);
+		expect(task.claim).not.toEqual(staleTask.claim);
+
+		let result = await broker.call('queue.ack', {id: staleTask.id, claim: staleTask.claim});
+		expect(result).toHaveProperty('ok', false);
+		result = await broker.call('queue.nack', {id: staleTask.id, claim: staleTask.claim, error: 'Too late'});
+		expect(result).toHaveProperty('ok', false);
+
+		result = await broker.call('queue.stats');
+		expect(result).toHaveProperty('topics.default.processing', 1);
+		result = await broker.call('queue.ack', {id: task.id, claim: task.claim});
+		expect(result).toHaveProperty('ok', true);
+	});
+
+	it('should retry failed messages and move them to dead letters', async () => {
+		await broker.call('queue.write', { payload: {foo: 'bar1'}, topic: 'battles' } );
+		let task = await broker.call('queue.read', {topic: 'battles'});
+		let result = await broker.call('queue.nack', {id: task.id, claim: task.claim, error: 'Something went wrong'});
+		expect(result).toHaveProperty('ok', true);
+		expect(result).toHaveProperty('status', 'pending');
+
+		task = await broker.call('queue.read', {topic: 'battles'});
+		expect(task).toHaveProperty('ok', true);
+		expect(task).toHaveProperty('attempts', 2);
+		result = await broker.call('queue.nack', {id: task.id, claim: task.claim, error: 'Something went wrong again'});
+		expect(result).toHaveProperty('status', 'dead');
+
+		result = await broker.call('queue.read', {topic: 'battles'});
+		expect(result).toHaveProperty('ok', false);
+
+		result = await broker.call('queue.stats');
+		expect(result).toHaveProperty('topics.battles.dead', 1);
+		expect(result).toHaveProperty('topics.battles.pending', 0);
+		expect(result).toHaveProperty('config.maxAttempts', 2);
+
+		let deadLetters = await broker.call('queue.deadLetters', {topic: 'battles'});
+		expect(deadLetters).toHaveLength(1);
+		expect(deadLetters[0]).toHaveProperty('error', 'Something went wrong again');
+		expect(deadLetters[0]).toHaveProperty('payload.foo', 'bar1');
+
+		result = await broker.call('queue.requeue', {id: task.id});
+		expect(result).toHaveProperty('ok', true);
+		task = await broker.call('queue.read', {topic: 'battles'});
+		expect(task).toHaveProperty('ok', true);
+		expect(task).toHaveProperty('attempts', 1);
+	});
+
+	it('should report stats of topics', async () => {
+		await broker.call('queue.write', { payload: {i: 1}, topic: 'alpha' } );
+		await broker.call('queue.write', { payload: {i: 2}, topic: 'alpha' } );
+		await broker.call('queue.write', { payload: {i: 3}, topic: 'beta' } );
+		await broker.call('queue.read', {topic: 'alpha'});
+
+		let result = await broker.call('queue.stats');
+		expect(result.topics.alpha).toHaveProperty('pending', 1);
+		expect(result.topics.alpha).toHaveProperty('processing', 1);
+		expect(result.topics.alpha).toHaveProperty('dead', 0);
+		expect(result.topics.alpha.oldestPendingAge).toBeGreaterThanOrEqual(0);
+		expect(result.topics.beta).toHaveProperty('pending', 1);
+
+		result = await broker.call('queue.stats', {topic: 'beta'});
+		expect(Object.keys(result.topics)).toEqual(['beta']);
+	});
+
+	it('should keep messages after restart', async () => {
+		let dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jsbattle-queue-'));
+		let persistentConfig = {...config, data: {adapter: 'nedb', path: dataPath}};
+		let persistentBroker = new ConfigBroker({ logger: false }, persistentConfig, false);
+		await persistentBroker.loadService(__dirname + "../../../../app/services/Queue.service.js");
+		await persistentBroker.start();
+		await persistentBroker.call('queue.write', { payload: {foo: 'bar1'} } );
+		await persistentBroker.stop();
+
+		persistentBroker = new ConfigBroker({ logger: false }, {...persistentConfig}, false);
+		await persistentBroker.loadService(__dirname + "../../../../app/services/Queue.service.js");
+		await persistentBroker.start();
+		let result = await persistentBroker.call('queue.read');
+		await persistentBroker.stop();
+		fs.rmdirSync(dataPath, {recursive: true});
+		expect(result).toHaveProperty('ok', true);
+		expect(result).toHaveProperty('payload.foo', 'bar1');
+	});
+
 });
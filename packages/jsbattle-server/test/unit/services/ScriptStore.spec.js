@@ -57,6 +57,7 @@ describe("Test 'ScriptStore' service", () => {
 					}
 			})
 			broker.loadService(__dirname + "../../../../app/services/ScriptStore.service.js");
+			broker.loadService(__dirname + "../../../../app/services/ScriptRevisionStore.service.js");
 			await broker.start();
 		});
 
@@ -137,6 +138,139 @@ describe("Test 'ScriptStore' service", () => {
 			expect(updatedScript).toHaveProperty('hash', codeHash);
 		});
 
+		it('should share user scripts',  async () => {
+			const user = {
+				username: 'john',
+				role: 'user',
+				id: '92864'
+			}
+			let script = await broker.call(
+				'scriptStore.createUserScript',
+				{
+					code: '// hello world6234',
+					scriptName: 'sharedScript'
+				},
+				{meta: {user: createTestToken(user)}}
+			);
+			expect(script).toHaveProperty('shared', false);
+			let updatedScript = await broker.call('scriptStore.updateUserScript', {id: script.id, shared: true}, {meta: {user: createTestToken(user)}});
+			expect(updatedScript).toHaveProperty('shared', true);
+			expect(updatedScript).toHaveProperty('code', '// hello world6234');
+		});
+
+		it('should keep revisions of the code',  async () => {
+			const user = {
+				username: 'john',
+				role: 'user',
+				id: '92864'
+			}
+			const meta = {meta: {user: createTestToken(user)}};
+			let script = await broker.call('scriptStore.createUserScript', {code: '// version 1', scriptName: 'history1'}, meta);
+			expect(script).toHaveProperty('revision', 1);
+			await broker.call('scriptStore.updateUserScript', {id: script.id, code: '// version 2'}, meta);
+			// unchanged code does not create a revision unless it is described
+			await broker.call('scriptStore.updateUserScript', {id: script.id, code: '// version 2'}, meta);
+			script = await broker.call('scriptStore.updateUserScript', {id: script.id, message: 'ready for the league'}, meta);
+			expect(script).toHaveProperty('revision', 3);
+
+			let revisions = await broker.call('scriptStore.listUserScriptRevisions', {id: script.id}, meta);
+			expect(revisions.map((item) => item.revision)).toEqual([
+				3,
+				2,
+				1
+			]);
+			expect(revisions[0]).toHaveProperty('message', 'ready for the league');
+			expect(revisions[0]).toHaveProperty('createdAt');
+			expect(revisions[0]).not.toHaveProperty('code');
+
+			let revision = await broker.call('scriptStore.getUserScriptRevision', {id: script.id, revisionId: revisions[2].id}, meta);
+			expect(revision).toHaveProperty('code', '// version 1');
+			revision = await broker.call('scriptStore.getUserScriptRevision', {id: script.id}, meta);
+			expect(revision).toHaveProperty('id', script.revisionId);
+			expect(revision).toHaveProperty('code', '// version 2');
+			await expect(
+				broker.call('scriptRevisionStore.update', {id: revision.id, code: '// changed'})
+			).rejects.toThrow(/cannot be modified/i);
+		});
+
+		it('should restore revision of the code',  async () => {
+			const user = {
+				username: 'john',
+				role: 'user',
+				id: '92864'
+			}
+			const meta = {meta: {user: createTestToken(user)}};
+			let script = await broker.call('scriptStore.createUserScript', {code: '// version 1', scriptName: 'history2'}, meta);
+			let firstRevisionId = script.revisionId;
+			await broker.call('scriptStore.updateUserScript', {id: script.id, code: '// version 2'}, meta);
+			script = await broker.call('scriptStore.restoreUserScriptRevision', {id: script.id, revisionId: firstRevisionId}, meta);
+			expect(script).toHaveProperty('code', '// version 1');
+			expect(script).toHaveProperty('revision', 3);
+			let revisions = await broker.call('scriptStore.listUserScriptRevisions', {id: script.id}, meta);
+			expect(revisions).toHaveLength(3);
+			expect(revisions[0]).toHaveProperty('message', 'Restored revision #1');
+		});
+
+		it('should keep code of scripts saved before revisions were introduced',  async () => {
+			const user = {
+				username: 'john',
+				role: 'user',
+				id: '92864'
+			}
+			const meta = {meta: {user: createTestToken(user)}};
+			let script = await broker.call('scriptStore.create', {code: '// legacy', scriptName: 'legacy1', namespace: 'user'}, meta);
+			await expect(
+				broker.call('scriptStore.getUserScriptRevision', {id: script.id}, meta)
+			).rejects.toThrow(/not found/i);
+			let revisions = await broker.call('scriptStore.listUserScriptRevisions', {id: script.id}, meta);
+			expect(revisions).toHaveLength(0);
+
+			script = await broker.call('scriptStore.updateUserScript', {id: script.id, code: '// modern'}, meta);
+			expect(script).toHaveProperty('revision', 2);
+			revisions = await broker.call('scriptStore.listUserScriptRevisions', {id: script.id}, meta);
+			expect(revisions).toHaveLength(2);
+			let revision = await broker.call('scriptStore.getUserScriptRevision', {id: script.id, revisionId: revisions[1].id}, meta);
+			expect(revision).toHaveProperty('code', '// legacy');
+		});
+
+		it('should create the first revision of scripts saved before revisions were introduced',  async () => {
+			const user = {
+				username: 'john',
+				role: 'user',
+				id: '92864'
+			}
+			const meta = {meta: {user: createTestToken(user)}};
+			let script = await broker.call('scriptStore.create', {code: '// legacy', scriptName: 'legacy2', namespace: 'user'}, meta);
+			script = await broker.call('scriptStore.ensureUserScriptRevision', {id: script.id}, meta);
+			expect(script).toHaveProperty('revision', 1);
+			let revisionId = script.revisionId;
+			script = await broker.call('scriptStore.ensureUserScriptRevision', {id: script.id}, meta);
+			expect(script).toHaveProperty('revisionId', revisionId);
+			let revision = await broker.call('scriptStore.getUserScriptRevision', {id: script.id}, meta);
+			expect(revision).toHaveProperty('code', '// legacy');
+		});
+
+		it('should not access revisions of other scripts',  async () => {
+			const owner = {
+				username: 'john',
+				role: 'user',
+				id: '92864'
+			}
+			const other = {
+				username: 'monica',
+				role: 'user',
+				id: '18273'
+			}
+			let script = await broker.call('scriptStore.createUserScript', {scriptName: 'history3'}, {meta: {user: createTestToken(owner)}});
+			let otherScript = await broker.call('scriptStore.createUserScript', {scriptName: 'history4'}, {meta: {user: createTestToken(other)}});
+			await expect(
+				broker.call('scriptStore.listUserScriptRevisions', {id: script.id}, {meta: {user: createTestToken(other)}})
+			).rejects.toThrow(/not found/i);
+			await expect(
+				broker.call('scriptStore.getUserScriptRevision', {id: otherScript.id, revisionId: script.revisionId}, {meta: {user: createTestToken(other)}})
+			).rejects.toThrow(/not found/i);
+		});
+
 		it('should get user script',  async () => {
 			const user = {
 				username: 'john',
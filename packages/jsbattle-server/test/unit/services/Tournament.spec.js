@@ -0,0 +1,296 @@
+"use strict";
+const ConfigBroker = require("../../../app/lib/ConfigBroker.js");
+
+const scripts = {
+	'100001': {id: '100001', ownerId: '200001', ownerName: 'alpha', scriptName: 'a-1', code: '// code 81623'},
+	'100002': {id: '100002', ownerId: '200002', ownerName: 'beta', scriptName: 'b-1', code: '// code 72631'},
+	'100003': {id: '100003', ownerId: '200003', ownerName: 'gamma', scriptName: 'g-1', code: '// code 99273'},
+	'100004': {id: '100004', ownerId: '200004', ownerName: 'delta', scriptName: 'd-1', code: '// code 12390'},
+	'100005': {id: '100005', ownerId: '200001', ownerName: 'alpha', scriptName: 'a-2', code: '// code 55123'}
+};
+
+const writeQueue = jest.fn();
+const battleStoreCreate = jest.fn();
+
+const userMeta = (scriptId) => ({
+	meta: {
+		user: {
+			id: scripts[scriptId].ownerId,
+			username: scripts[scriptId].ownerName,
+			role: 'user'
+		}
+	}
+});
+
+describe("Test 'Tournament' service", () => {
+
+	let broker;
+
+	async function createTournament(definition, scriptIds) {
+		let tournament = await broker.call('tournament.create', {
+			name: 'Spring Cup',
+			startsAt: new Date(new Date().getTime() + 60000),
+			...definition
+		});
+		for(let scriptId of scriptIds) {
+			await broker.call('tournament.joinTournament', {tournamentId: tournament.id, scriptId}, userMeta(scriptId));
+		}
+		return tournament;
+	}
+
+	async function startTournament(definition, scriptIds) {
+		let tournament = await createTournament(definition, scriptIds);
+		await broker.call('tournament.update', {id: tournament.id, startsAt: new Date(new Date().getTime() - 1000)});
+		await broker.call('tournament.schedule', {});
+		return tournament;
+	}
+
+	// result of the last queued game. The first team gets the higher score when firstWins is set
+	function gameResult(firstWins, call) {
+		let payload = (call || writeQueue.mock.calls[writeQueue.mock.calls.length-1])[0].params.payload;
+		return {
+			ubd: payload.ubd,
+			refData: payload.refData,
+			teamList: payload.ubd.aiList.map((ai, index) => ({
+				name: ai.name,
+				score: (index == 0) == firstWins ? 100 : 20
+			}))
+		};
+	}
+
+	beforeEach(async () => {
+		writeQueue.mockReset();
+		writeQueue.mockReturnValue({ok: true});
+		battleStoreCreate.mockReset();
+		battleStoreCreate.mockImplementation(() => ({id: 'battle-' + battleStoreCreate.mock.calls.length}));
+		let config = {
+			league: {
+				timeLimit: 3000,
+				teamSize: 3,
+				obfuscate: false
+			},
+			tournament: {
+				scheduleInterval: 60000,
+				historyDuration: 12345
+			}
+		};
+		broker = new ConfigBroker({ logger: false }, config, false);
+		broker.createService({
+			name: 'scriptStore',
+			actions: {
+				getUserScript: (ctx) => {
+					let script = scripts[ctx.params.id];
+					if(!script || script.ownerId != ctx.meta.user.id) {
+						throw new Error('Entity not found');
+					}
+					return script;
+				}
+			}
+		});
+		broker.createService({
+			name: 'queue',
+			actions: {
+				write: writeQueue
+			}
+		});
+		broker.createService({
+			name: 'battleStore',
+			actions: {
+				create: battleStoreCreate
+			}
+		});
+		broker.loadService(__dirname + "../../../../app/services/Tournament.service.js");
+		await broker.start();
+	});
+
+	afterEach(() => broker.stop());
+
+	it('should create a tournament', async () => {
+		let tournament = await broker.call('tournament.create', {
+			name: 'Spring Cup',
+			format: 'double-elimination',
+			bestOf: 3,
+			map: 'duel',
+			startsAt: '2020-08-01T12:00:00.000Z',
+			status: 'finished'
+		});
+		expect(tournament).toHaveProperty('name', 'Spring Cup');
+		expect(tournament).toHaveProperty('format', 'double-elimination');
+		expect(tournament).toHaveProperty('bestOf', 3);
+		expect(tournament).toHaveProperty('map', 'duel');
+		expect(tournament).toHaveProperty('rules', 'default');
+		expect(tournament).toHaveProperty('teamSize', 3);
+		expect(tournament).toHaveProperty('timeLimit', 3000);
+		expect(tournament).toHaveProperty('status', 'open');
+		expect(tournament).toHaveProperty('participants', []);
+		expect(tournament).toHaveProperty('matches', []);
+
+		await expect(
+			broker.call('tournament.create', {name: 'Spring Cup', startsAt: new Date(), format: 'swiss'})
+		).rejects.toThrow(/validation/i);
+		await expect(
+			broker.call('tournament.create', {name: 'Spring Cup'})
+		).rejects.toThrow(/validation/i);
+	});
+
+	it('should register participants', async () => {
+		let tournament = await createTournament({entryLimit: 2}, ['100001', '100002']);
+		let result = await broker.call('tournament.getTournament', {id: tournament.id});
+		expect(result.participants).toHaveLength(2);
+		expect(result.participants[0]).toHaveProperty('id', '200001');
+		expect(result.participants[0]).toHaveProperty('scriptName', 'a-1');
+		expect(result.participants[0]).not.toHaveProperty('code');
+
+		// the script of a participant is replaced
+		result = await broker.call('tournament.joinTournament', {tournamentId: tournament.id, scriptId: '100005'}, userMeta('100005'));
+		expect(result.participants).toHaveLength(2);
+		expect(result.participants.find((item) => item.id == '200001')).toHaveProperty('scriptName', 'a-2');
+
+		await expect(
+			broker.call('tournament.joinTournament', {tournamentId: tournament.id, scriptId: '100003'}, userMeta('100003'))
+		).rejects.toThrow(/is full/i);
+
+		result = await broker.call('tournament.leaveTournament', {tournamentId: tournament.id}, userMeta('100002'));
+		expect(result.participants).toHaveLength(1);
+		await expect(
+			broker.call('tournament.leaveTournament', {tournamentId: tournament.id})
+		).rejects.toThrow(/not authorized/i);
+	});
+
+	it('should not register after the start', async () => {
+		let tournament = await startTournament({}, ['100001', '100002']);
+		await expect(
+			broker.call('tournament.joinTournament', {tournamentId: tournament.id, scriptId: '100003'}, userMeta('100003'))
+		).rejects.toThrow(/is closed/i);
+	});
+
+	it('should cancel a tournament without enough participants', async () => {
+		let tournament = await startTournament({}, ['100001']);
+		let result = await broker.call('tournament.getTournament', {id: tournament.id});
+		expect(result).toHaveProperty('status', 'cancelled');
+		expect(result.matches).toHaveLength(0);
+	});
+
+	it('should start a tournament and schedule first round', async () => {
+		let tournament = await startTournament({map: 'duel', rules: 'one-shot', teamSize: 1, timeLimit: 9000}, ['100001', '100002', '100003', '100004']);
+		let result = await broker.call('tournament.getTournament', {id: tournament.id});
+		expect(result).toHaveProperty('status', 'running');
+		expect(result.matches).toHaveLength(3);
+		expect(result.standings).toHaveLength(4);
+		expect(writeQueue.mock.calls).toHaveLength(0);
+
+		await broker.call('tournament.schedule', {});
+		expect(writeQueue.mock.calls).toHaveLength(2);
+		let payload = writeQueue.mock.calls[0][0].params.payload;
+		expect(payload).toHaveProperty('event', 'tournament');
+		expect(payload.refData).toEqual({'alpha/a-1': '200001', 'delta/d-1': '200004'});
+		expect(payload.ubd).toHaveProperty('map', 'duel');
+		expect(payload.ubd).toHaveProperty('timeLimit', 9000);
+		expect(payload.ubd.rules).toHaveProperty('name', 'one-shot');
+		expect(payload.ubd.aiList[0]).toHaveProperty('count', 1);
+		expect(payload.ubd.aiList[0]).toHaveProperty('code', '// code 81623');
+		expect(payload.ubd.metadata).toHaveProperty('tournamentId', tournament.id);
+		expect(payload.ubd.metadata).toHaveProperty('matchId', 'W1.1');
+		expect(payload.ubd.metadata).toHaveProperty('game', 1);
+
+		// games in progress are not scheduled again
+		await broker.call('tournament.schedule', {});
+		expect(writeQueue.mock.calls).toHaveLength(2);
+		result = await broker.call('tournament.getTournament', {id: tournament.id});
+		expect(result.matches[0]).toHaveProperty('status', 'playing');
+	});
+
+	it('should retry scheduling when the queue is full', async () => {
+		writeQueue.mockReturnValue({ok: false, error: 'full'});
+		await startTournament({}, ['100001', '100002']);
+		await broker.call('tournament.schedule', {});
+		writeQueue.mockReturnValue({ok: true});
+		await broker.call('tournament.schedule', {});
+		expect(writeQueue.mock.calls).toHaveLength(2);
+	});
+
+	it('should not schedule later stages before their time', async () => {
+		let tournament = await startTournament({roundInterval: 60000}, ['100001', '100002', '100003', '100004']);
+		await broker.call('tournament.schedule', {});
+		await broker.call('tournament.storeGameResult', gameResult(true, writeQueue.mock.calls[0]));
+		await broker.call('tournament.storeGameResult', gameResult(true, writeQueue.mock.calls[1]));
+		await broker.call('tournament.schedule', {});
+		expect(writeQueue.mock.calls).toHaveLength(2);
+		let result = await broker.call('tournament.getTournament', {id: tournament.id});
+		expect(result.matches[2]).toHaveProperty('status', 'ready');
+	});
+
+	it('should play best-of-N series with distinct seeds', async () => {
+		let tournament = await startTournament({bestOf: 3}, ['100001', '100002']);
+		await broker.call('tournament.schedule', {});
+		await broker.call('tournament.storeGameResult', gameResult(true));
+		await broker.call('tournament.schedule', {});
+		await broker.call('tournament.storeGameResult', gameResult(false));
+		await broker.call('tournament.schedule', {});
+		let result = await broker.call('tournament.storeGameResult', gameResult(true));
+
+		expect(writeQueue.mock.calls).toHaveLength(3);
+		let seeds = writeQueue.mock.calls.map((call) => call[0].params.payload.ubd.rngSeed);
+		expect(new Set(seeds).size).toBe(3);
+		expect(result.matches[0].games).toHaveLength(3);
+		expect(result.matches[0].wins).toEqual([2, 1]);
+		expect(result.matches[0].games.map((game) => game.battleId)).toEqual(['battle-1', 'battle-2', 'battle-3']);
+		expect(result).toHaveProperty('status', 'finished');
+		expect(result.standings[0]).toHaveProperty('id', '200001');
+		expect(result.standings[0]).toHaveProperty('place', 1);
+
+		let battle = battleStoreCreate.mock.calls[0][0].params;
+		expect(battle).toHaveProperty('expiresIn', 12345);
+		expect(battle).toHaveProperty('owner', ['200001', '200002', tournament.id]);
+		expect(battle).toHaveProperty('description', 'alpha/a-1 vs beta/b-1');
+		expect(battle.meta[0]).toHaveProperty('winner', true);
+		expect(JSON.parse(battle.ubd).metadata.result.teamList[0]).toHaveProperty('score', 100);
+	});
+
+	it('should advance winners to the next round', async () => {
+		await startTournament({}, ['100001', '100002', '100003']);
+		await broker.call('tournament.schedule', {});
+		// the first seed gets a bye
+		expect(writeQueue.mock.calls).toHaveLength(1);
+		await broker.call('tournament.storeGameResult', gameResult(false));
+		await broker.call('tournament.schedule', {});
+		expect(writeQueue.mock.calls).toHaveLength(2);
+		expect(writeQueue.mock.calls[1][0].params.payload.refData).toEqual({'alpha/a-1': '200001', 'gamma/g-1': '200003'});
+		let result = await broker.call('tournament.storeGameResult', gameResult(false));
+		expect(result).toHaveProperty('status', 'finished');
+		expect(result.standings.map((item) => item.id)).toEqual(['200003', '200001', '200002']);
+		expect(result.matches.find((match) => match.id == 'W2.1')).toHaveProperty('winnerId', '200003');
+	});
+
+	it('should skip outdated results', async () => {
+		let tournament = await startTournament({}, ['100001', '100002']);
+		await broker.call('tournament.schedule', {});
+		let result = gameResult(true);
+		result.ubd = {...result.ubd, rngSeed: 0.123};
+		await broker.call('tournament.storeGameResult', result);
+		expect(battleStoreCreate.mock.calls).toHaveLength(0);
+		let tournamentData = await broker.call('tournament.getTournament', {id: tournament.id});
+		expect(tournamentData).toHaveProperty('status', 'running');
+	});
+
+	it('should store results received as events', async () => {
+		let tournament = await startTournament({}, ['100001', '100002']);
+		await broker.call('tournament.schedule', {});
+		broker.broadcast('ubdPlayer.battle.tournament', gameResult(true));
+		await new Promise((resolve) => setTimeout(resolve, 100));
+		let result = await broker.call('tournament.getTournament', {id: tournament.id});
+		expect(result).toHaveProperty('status', 'finished');
+	});
+
+	it('should list tournaments', async () => {
+		await createTournament({name: 'First Cup', startsAt: new Date(1000)}, ['100001']);
+		await createTournament({name: 'Second Cup', startsAt: new Date(2000)}, []);
+		let result = await broker.call('tournament.listTournaments', {});
+		expect(result).toHaveLength(2);
+		expect(result[0]).toHaveProperty('name', 'Second Cup');
+		expect(result[1]).toHaveProperty('name', 'First Cup');
+		expect(result[1]).not.toHaveProperty('matches');
+		expect(result[1].participants[0]).not.toHaveProperty('code');
+	});
+
+});
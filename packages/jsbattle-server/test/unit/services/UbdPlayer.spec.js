@@ -4,14 +4,16 @@ const ConfigBroker = require("../../../app/lib/ConfigBroker.js");
 const { ValidationError } = require("moleculer").Errors;
 const { MoleculerClientError } = require("moleculer").Errors;
 const UbdJsonMock = require('../../mock/UbdJsonMock');
+const playUbd = require('../../../app/lib/playUbd.js');
 
 const validateMock = jest.fn();
 const readQueue = jest.fn();
 const writeQueue = jest.fn();
+const ackQueue = jest.fn();
+const nackQueue = jest.fn();
 const config = {
 	"ubdPlayer": {
 		"queueQueryTime": 10,
-		"speed": 100,
 		"timeout": 30000
 	}
 };
@@ -23,6 +25,8 @@ describe("Test 'UbdPlayer' service", () => {
 
 		validateMock.mockReset();
 		validateMock.mockReturnValue({valid: true});
+		ackQueue.mockReset();
+		nackQueue.mockReset();
 
 
 		broker = new ConfigBroker({ logger: false }, config, false);
@@ -37,6 +41,8 @@ describe("Test 'UbdPlayer' service", () => {
 				actions: {
 					read: readQueue,
 					write: writeQueue,
+					ack: ackQueue,
+					nack: nackQueue,
 				}
 		})
 
@@ -45,15 +51,15 @@ describe("Test 'UbdPlayer' service", () => {
 	});
 	afterEach(() => broker.stop());
 
-	it('should pick random port', async () => {
-		let broker1 = new ConfigBroker({ logger: false }, {}, false);
-		broker1.loadService(__dirname + "../../../../app/services/UbdPlayer.service.js");
-		await broker1.start();
-		let broker2 = new ConfigBroker({ logger: false }, {}, false);
-		broker2.loadService(__dirname + "../../../../app/services/UbdPlayer.service.js");
-		await broker2.start();
-		await broker1.stop();
-		await broker2.stop();
+	it('should return info about the player', async () => {
+		let info = await broker.call('ubdPlayer.getInfo', {});
+		expect(info).toHaveProperty('player.mode', 'headless');
+		expect(info).toHaveProperty('player.isBusy', false);
+		expect(info).toHaveProperty('player.config.timeout', 30000);
+		expect(info).toHaveProperty('player.pool.concurrency', 1);
+		expect(info).toHaveProperty('player.pool.running', 0);
+		expect(info).toHaveProperty('player.pool.battlesPerMinute', 0);
+		expect(info).toHaveProperty('player.pool.queueWait.average', 0);
 	});
 
 	it('should play the battle', async () => {
@@ -83,7 +89,7 @@ describe("Test 'UbdPlayer' service", () => {
       timeLimit: 5000
 		};
 
-		readQueue.mockReturnValueOnce({ payload: { ubd }, ok: true });
+		readQueue.mockReturnValueOnce({ id: 'task-0001', claim: 'claim-0001', payload: { ubd }, ok: true });
 
 		let params = await new Promise((resolve) => {
 			broker.createService({
@@ -132,6 +138,306 @@ describe("Test 'UbdPlayer' service", () => {
 		expect(teamList[1]).toHaveProperty('score', 0)
 		expect(Math.round(teamList[1].energy)).toBe(66)
 
+		expect(params).toHaveProperty('ubd.timeline.tanks');
+		expect(params.ubd.timeline.tanks).toHaveLength(2);
+		expect(params.ubd.timeline.tanks[0]).toHaveProperty('steps');
+
+		await new Promise((resolve) => setTimeout(resolve, 100));
+		expect(ackQueue.mock.calls).toHaveLength(1);
+		expect(ackQueue.mock.calls[0][0].params).toHaveProperty('id', 'task-0001');
+		expect(ackQueue.mock.calls[0][0].params).toHaveProperty('claim', 'claim-0001');
+		expect(nackQueue.mock.calls).toHaveLength(0);
+	});
+
+	it('should return failed battle to the queue', async () => {
+		jest.setTimeout(30000);
+		readQueue.mockReturnValueOnce({ id: 'task-0002', claim: 'claim-0002', payload: { ubd: {version: 5, rngSeed: 0.43, aiList: null} }, ok: true });
+
+		let params = await new Promise((resolve) => {
+			nackQueue.mockImplementationOnce((ctx) => resolve(ctx.params));
+		});
+
+		expect(params).toHaveProperty('id', 'task-0002');
+		expect(params).toHaveProperty('claim', 'claim-0002');
+		expect(params).toHaveProperty('error');
+		expect(ackQueue.mock.calls).toHaveLength(0);
+		let info = await broker.call('ubdPlayer.getInfo', {});
+		expect(info).toHaveProperty('player.errorCount', 1);
+	});
+
+	it('should play the battle on selected map', async () => {
+		jest.setTimeout(30000);
+		const ubd = {
+			version: 4,
+			rngSeed: 0.43,
+			map: 'duel',
+			aiList: [
+				{
+					name: 'alpha',
+					team: 'asdfrvw423',
+					initData: null,
+					useSandbox: true,
+					code: 'tank.init(function(n,t){}),tank.loop(function(n,t){t.THROTTLE=1,t.BOOST=1});',
+					executionLimit: 100
+				},
+				{
+					name: 'beta',
+					team: 'ncsu8a7d3',
+					initData: null,
+					useSandbox: true,
+					code: 'tank.init(function(n,t){}),tank.loop(function(n,t){t.THROTTLE=1,t.BOOST=1});',
+					executionLimit: 100
+				}
+			],
+			teamMode: false,
+			timeLimit: 3000
+		};
+
+		readQueue.mockReturnValueOnce({ payload: { ubd }, ok: true });
+
+		let params = await new Promise((resolve) => {
+			broker.createService({
+				name: 'eventWatcher',
+				events: {
+					"ubdPlayer.battle.*": async (ctx) => {
+						resolve(ctx.params);
+					}
+				},
+			});
+		});
+
+		expect(params).toHaveProperty('timeElapsed', 3000);
+		expect(params).toHaveProperty('ubd.map', 'duel');
+		expect(params.tankList).toHaveLength(2);
+		// both tanks drive straight into the obstacle in the middle of the arena
+		expect(params.tankList[0].energy).toBeLessThan(100);
+		expect(params.tankList[1].energy).toBeLessThan(100);
+		expect(params.tankList[0].stats.damageReceived).toBeGreaterThan(0);
+		expect(params.tankList[0].stats.boostTime).toBeGreaterThan(0);
+		expect(params.teamList[0].stats.distance).toBeGreaterThan(0);
+	});
+
+	it('should apply rules of the battle', async () => {
+		jest.setTimeout(30000);
+		const ubd = {
+			version: 4,
+			rngSeed: 0.43,
+			map: 'duel',
+			rules: {
+				name: 'custom',
+				maxEnergy: 100,
+				maxBoost: 400,
+				gunReloadTime: 70,
+				radarRange: 300,
+				radarFocal: 6,
+				speed: 2,
+				boostSpeed: 4,
+				turnSpeed: 2,
+				gunTurnSpeed: 3,
+				radarTurnSpeed: 6,
+				bulletSpeed: 4,
+				bulletDamage: 1,
+				collisionDamage: 100
+			},
+			aiList: [
+				{
+					name: 'alpha',
+					team: 'asdfrvw423',
+					initData: null,
+					useSandbox: true,
+					code: 'tank.init(function(n,t){}),tank.loop(function(n,t){t.THROTTLE=1,t.BOOST=1});',
+					executionLimit: 100
+				},
+				{
+					name: 'beta',
+					team: 'ncsu8a7d3',
+					initData: null,
+					useSandbox: true,
+					code: 'tank.init(function(n,t){}),tank.loop(function(n,t){t.THROTTLE=1});',
+					executionLimit: 100
+				}
+			],
+			teamMode: false,
+			timeLimit: 10000
+		};
+
+		readQueue.mockReturnValueOnce({ payload: { ubd }, ok: true });
+
+		let params = await new Promise((resolve) => {
+			broker.createService({
+				name: 'eventWatcher',
+				events: {
+					"ubdPlayer.battle.*": async (ctx) => {
+						resolve(ctx.params);
+					}
+				},
+			});
+		});
+
+		// the faster tank hits the obstacle first and it is destroyed immediately
+		expect(params.timeElapsed).toBeLessThan(10000);
+		expect(params.tankList[0]).toHaveProperty('energy', 0);
+		expect(params).toHaveProperty('ubd.rules.collisionDamage', 100);
+
+		let info = await broker.call('ubdPlayer.getInfo', {});
+		expect(info).toHaveProperty('player.battleCount', 1);
+		expect(info).toHaveProperty('player.pool.battlesPerMinute', 1);
+	});
+
+	it('should play game mode of the battle', async () => {
+		jest.setTimeout(30000);
+		const ubd = {
+			version: 4,
+			rngSeed: 0.43,
+			map: 'duel',
+			mode: {
+				name: 'koth',
+				zoneRadius: 100,
+				holdLimit: 1000,
+				zoneScore: 10
+			},
+			aiList: [
+				{
+					name: 'alpha',
+					team: 'asdfrvw423',
+					initData: null,
+					useSandbox: true,
+					code: 'tank.init(function(n,t){}),tank.loop(function(n,t){t.THROTTLE=1});',
+					executionLimit: 100
+				},
+				{
+					name: 'beta',
+					team: 'ncsu8a7d3',
+					initData: null,
+					useSandbox: true,
+					code: 'tank.init(function(n,t){}),tank.loop(function(n,t){});',
+					executionLimit: 100
+				}
+			],
+			teamMode: false,
+			timeLimit: 10000
+		};
+
+		readQueue.mockReturnValueOnce({ payload: { ubd }, ok: true });
+
+		let params = await new Promise((resolve) => {
+			broker.createService({
+				name: 'eventWatcher',
+				events: {
+					"ubdPlayer.battle.*": async (ctx) => {
+						resolve(ctx.params);
+					}
+				},
+			});
+		});
+
+		// the moving tank enters the zone and holds it until the end of the battle
+		expect(params.timeElapsed).toBeLessThan(10000);
+		expect(params).toHaveProperty('mode.name', 'koth');
+		expect(params).toHaveProperty('mode.holdTime.asdfrvw423', 1000);
+		expect(params).toHaveProperty('mode.holdTime.ncsu8a7d3', 0);
+		expect(params.teamList[0].score).toBeGreaterThan(params.teamList[1].score);
+		expect(params).toHaveProperty('ubd.mode.name', 'koth');
+	});
+
+	it('should return data persisted by tanks', async () => {
+		jest.setTimeout(30000);
+		const ubd = {
+			version: 5,
+			rngSeed: 0.43,
+			aiList: [
+				{
+					name: 'alpha',
+					team: 'asdfrvw423',
+					initData: {games: 7},
+					useSandbox: true,
+					code: 'tank.init(function(n,t){tank.persist({games: t.initData.games + 1})});',
+					executionLimit: 100
+				},
+				{
+					name: 'beta',
+					team: 'ncsu8a7d3',
+					initData: null,
+					useSandbox: true,
+					code: 'tank.init(function(n,t){});',
+					executionLimit: 100
+				}
+			],
+			teamMode: false,
+			timeLimit: 1000
+		};
+
+		readQueue.mockReturnValueOnce({ payload: { ubd }, ok: true });
+
+		let params = await new Promise((resolve) => {
+			broker.createService({
+				name: 'eventWatcher',
+				events: {
+					"ubdPlayer.battle.*": async (ctx) => {
+						resolve(ctx.params);
+					}
+				},
+			});
+		});
+
+		expect(params.teamList[0]).toHaveProperty('persistentData', {games: 8});
+		expect(params.teamList[1]).toHaveProperty('persistentData', null);
+	});
+
+	it('should disqualify slow tank and continue the battle', async () => {
+		jest.setTimeout(30000);
+		const ubd = {
+			version: 5,
+			rngSeed: 0.43,
+			aiList: [
+				{
+					name: 'alpha',
+					team: 'asdfrvw423',
+					initData: null,
+					useSandbox: true,
+					code: 'tank.init(function(n,t){}),tank.loop(function(n,t){var s=Date.now();while(Date.now()-s<20){}});',
+					executionLimit: 5
+				},
+				{
+					name: 'beta',
+					team: 'ncsu8a7d3',
+					initData: null,
+					useSandbox: true,
+					code: 'tank.init(function(n,t){}),tank.loop(function(n,t){});',
+					executionLimit: 100
+				}
+			],
+			teamMode: false,
+			timeLimit: 5000
+		};
+
+		readQueue.mockReturnValueOnce({ payload: { ubd }, ok: true });
+
+		let params = await new Promise((resolve) => {
+			broker.createService({
+				name: 'eventWatcher',
+				events: {
+					"ubdPlayer.battle.*": async (ctx) => {
+						resolve(ctx.params);
+					}
+				},
+			});
+		});
+
+		expect(params.timeElapsed).toBeLessThan(5000);
+		expect(params.tankList[0]).toHaveProperty('disqualified', true);
+		expect(params.tankList[0]).toHaveProperty('energy', 0);
+		expect(params.tankList[0].stats.skippedSteps).toBeGreaterThan(0);
+		expect(params.tankList[1]).toHaveProperty('disqualified', false);
+		expect(params.teamList[0]).toHaveProperty('disqualified', true);
+		expect(params.teamList[0].score).toBeLessThan(params.teamList[1].score);
+		expect(params.ubd.timeline.tanks[0].control).toHaveProperty('BUDGET');
+
+		// disqualification is recorded in the timeline so the replay has the same outcome
+		const replay = await playUbd(params.ubd);
+		expect(replay.timeElapsed).toBe(params.timeElapsed);
+		expect(replay.tankList[0]).toHaveProperty('disqualified', true);
+		expect(replay.teamList[0].score).toBe(params.teamList[0].score);
 	});
 
 });
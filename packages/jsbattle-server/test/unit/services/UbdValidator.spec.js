@@ -70,6 +70,30 @@ describe("Test 'UbdValidator' service", () => {
 			expect(response.error).toMatch(/rngSeed should be number/);
     });
 
+  });
+
+  describe('schema ver 5', function() {
+
+    it('should pass on proper UBDv5', async () => {
+			const ubd = new UbdJsonMock(5);
+			ubd.metadata = {
+				players: [{team: 'asdfrvw423', name: 'john'}]
+			};
+			const response = await broker.call("ubdValidator.validate", {ubd: ubd});
+			expect(response.valid).toBe(true);
+			expect(response.error).toBeUndefined();
+    });
+
+    it('should fail on invalid metadata of UBDv5', async () => {
+			const ubd = new UbdJsonMock(5);
+			ubd.metadata = {
+				players: [{team: 'asdfrvw423'}]
+			};
+			const response = await broker.call("ubdValidator.validate", {ubd: ubd});
+			expect(response.valid).toBe(false);
+			expect(response.error).toMatch(/should have required property 'name'/);
+    });
+
   });
 
 	describe('error handling', function() {
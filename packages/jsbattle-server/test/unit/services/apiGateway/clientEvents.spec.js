@@ -0,0 +1,75 @@
+"use strict";
+const clientEvents = require("../../../../app/services/apiGateway/clientEvents.js");
+
+function createIo() {
+	const emitted = [];
+	return {
+		emitted,
+		emit: (name, data) => emitted.push({room: null, name, data}),
+		to: (room) => ({
+			emit: (name, data) => emitted.push({room, name, data})
+		})
+	};
+}
+
+function createSocket(cookie) {
+	return {
+		request: {headers: cookie ? {cookie} : {}},
+		rooms: [],
+		join(room) {
+			this.rooms.push(room);
+		}
+	};
+}
+
+function authenticate(socket, resolveToken) {
+	const broker = {call: jest.fn(resolveToken)};
+	const logger = {info: () => {}};
+	return new Promise((resolve) => clientEvents.authenticate(broker, logger)(socket, resolve));
+}
+
+describe("Test 'clientEvents' of API Gateway", () => {
+
+	it('should broadcast public events', () => {
+		const io = createIo();
+		clientEvents.emit(io, 'client.league.battleCompleted', {});
+		expect(io.emitted).toEqual([
+			{room: null, name: 'event', data: {event: 'client.league.battleCompleted', payload: {}}}
+		]);
+	});
+
+	it('should send targeted events to rooms of users', () => {
+		const io = createIo();
+		clientEvents.emit(io, 'client.match.completed', {id: 'm1', userIds: ['u1', 'u2', 'u1']});
+		expect(io.emitted).toEqual([
+			{room: 'user:u1', name: 'event', data: {event: 'client.match.completed', payload: {id: 'm1'}}},
+			{room: 'user:u2', name: 'event', data: {event: 'client.match.completed', payload: {id: 'm1'}}}
+		]);
+	});
+
+	it('should join room of user resolved from the cookie', async () => {
+		const socket = createSocket('JWT_TOKEN=token8723; other=1');
+		const resolveToken = jest.fn(() => ({id: 'u8723', username: 'monica', role: 'user'}));
+		await authenticate(socket, resolveToken);
+		expect(resolveToken.mock.calls[0][1]).toEqual({token: 'token8723'});
+		clientEvents.join(socket);
+		expect(socket.rooms).toEqual(['user:u8723']);
+	});
+
+	it('should keep anonymous connections without rooms', async () => {
+		let socket = createSocket();
+		const resolveToken = jest.fn();
+		await authenticate(socket, resolveToken);
+		clientEvents.join(socket);
+		expect(resolveToken.mock.calls).toHaveLength(0);
+		expect(socket.rooms).toHaveLength(0);
+
+		socket = createSocket('JWT_TOKEN=invalid');
+		await authenticate(socket, () => {
+			throw new Error('invalid token');
+		});
+		clientEvents.join(socket);
+		expect(socket.rooms).toHaveLength(0);
+	});
+
+});
@@ -35,6 +35,23 @@ describe("Test Share Battle API", () => {
     }
   });
 
+  it('should pick many random elements', async () => {
+    const ranktable = new RankTable();
+    ranktable.init([
+      { id: '632243', score: 1932},
+      { id: '109384', score: 1029},
+      { id: '923836', score: 938},
+      { id: '479210', score: 394},
+      { id: '200981', score: 112},
+    ]);
+    for(let i=0; i<100; i++) {
+      let opponents = ranktable.pickRandom(4);
+      expect(opponents).toHaveLength(4);
+      expect(new Set(opponents.map((item) => item.id)).size).toBe(4);
+    }
+    expect(ranktable.pickRandom(6)).toHaveLength(5);
+  });
+
   it('should not pick random when not enough elements', async () => {
     const ranktable = new RankTable();
     ranktable.init([
@@ -130,7 +147,7 @@ describe("Test Share Battle API", () => {
       { id: '123292', score: 103}
     ]);
 
-    ranktable.updateScore('766325', 1892);
+    ranktable.update('766325', {score: 1892});
     const data = ranktable.getData();
     expect(data).toHaveLength(6);
     expect(data[0]).toHaveProperty('id', '632243');
@@ -157,7 +174,7 @@ describe("Test Share Battle API", () => {
       { id: '123292', score: 103}
     ]);
 
-    ranktable.updateScore('766325', 9000);
+    ranktable.update('766325', {score: 9000});
     const data = ranktable.getData();
     expect(data).toHaveLength(6);
     expect(data[0]).toHaveProperty('id', '766325');
@@ -184,7 +201,7 @@ describe("Test Share Battle API", () => {
       { id: '123292', score: 103}
     ]);
 
-    ranktable.updateScore('923836', 653);
+    ranktable.update('923836', {score: 653});
     const data = ranktable.getData();
     expect(data).toHaveLength(6);
     expect(data[0]).toHaveProperty('id', '632243');
@@ -211,7 +228,7 @@ describe("Test Share Battle API", () => {
       { id: '123292', score: 103}
     ]);
 
-    ranktable.updateScore('923836', 100);
+    ranktable.update('923836', {score: 100});
     const data = ranktable.getData();
     expect(data).toHaveLength(6);
     expect(data[0]).toHaveProperty('id', '632243');
@@ -238,7 +255,7 @@ describe("Test Share Battle API", () => {
       { id: '123292', score: 103}
     ]);
 
-    ranktable.updateScore('567231', 1609);
+    ranktable.update('567231', {score: 1609});
     const data = ranktable.getData();
     expect(data).toHaveLength(6);
     expect(data[0]).toHaveProperty('id', '632243');
@@ -265,7 +282,7 @@ describe("Test Share Battle API", () => {
       { id: '123292', score: 103}
     ]);
 
-    ranktable.updateScore('567231', 1563);
+    ranktable.update('567231', {score: 1563});
     const data = ranktable.getData();
     expect(data).toHaveLength(6);
     expect(data[0]).toHaveProperty('id', '632243');
@@ -292,7 +309,7 @@ describe("Test Share Battle API", () => {
       { id: '123292', score: 103}
     ]);
 
-    ranktable.updateScore('111111', 3024);
+    ranktable.update('111111', {score: 3024});
     const data = ranktable.getData();
     expect(data).toHaveLength(6);
     expect(data[0]).toHaveProperty('id', '632243');
@@ -0,0 +1,69 @@
+"use strict";
+const glicko2 = require("../../../../app/services/league/lib/glicko2.js");
+
+const config = {
+	initialRating: 1500,
+	initialDeviation: 350,
+	initialVolatility: 0.06,
+	minDeviation: 30,
+	tau: 0.5
+};
+
+describe("Test Glicko-2 rating", () => {
+
+	it('should create initial rating', () => {
+		let rating = glicko2.createRating(config);
+		expect(rating).toEqual({rating: 1500, ratingDeviation: 350, volatility: 0.06});
+		expect(glicko2.getScore(rating)).toBe(800);
+	});
+
+	it('should rate the example from Glicko-2 paper', () => {
+		let result = glicko2.rateMatch([
+			{rating: 1500, ratingDeviation: 200, volatility: 0.06, place: 2},
+			{rating: 1400, ratingDeviation: 30, volatility: 0.06, place: 3},
+			{rating: 1550, ratingDeviation: 100, volatility: 0.06, place: 1},
+			{rating: 1700, ratingDeviation: 300, volatility: 0.06, place: 1}
+		], {...config, minDeviation: 0});
+		expect(result[0].rating).toBeCloseTo(1464.06, 1);
+		expect(result[0].ratingDeviation).toBeCloseTo(151.52, 1);
+		expect(result[0].volatility).toBeCloseTo(0.05999, 4);
+	});
+
+	it('should reward beating a stronger opponent more', () => {
+		let weak = {rating: 1400, ratingDeviation: 100, volatility: 0.06};
+		let strong = {rating: 1800, ratingDeviation: 100, volatility: 0.06};
+		let player = {rating: 1600, ratingDeviation: 100, volatility: 0.06};
+		let winWeak = glicko2.rateMatch([{...player, place: 1}, {...weak, place: 2}], config)[0];
+		let winStrong = glicko2.rateMatch([{...player, place: 1}, {...strong, place: 2}], config)[0];
+		expect(winWeak.rating).toBeGreaterThan(1600);
+		expect(winStrong.rating).toBeGreaterThan(winWeak.rating);
+	});
+
+	it('should move ratings towards each other on draw', () => {
+		let result = glicko2.rateMatch([
+			{rating: 1400, ratingDeviation: 100, volatility: 0.06, place: 1},
+			{rating: 1800, ratingDeviation: 100, volatility: 0.06, place: 1}
+		], config);
+		expect(result[0].rating).toBeGreaterThan(1400);
+		expect(result[1].rating).toBeLessThan(1800);
+	});
+
+	it('should not go below minimal deviation', () => {
+		let players = [
+			{rating: 1500, ratingDeviation: 30, volatility: 0.01, place: 1},
+			{rating: 1500, ratingDeviation: 30, volatility: 0.01, place: 2}
+		];
+		let result = glicko2.rateMatch(players, config);
+		expect(result[0].ratingDeviation).toBe(30);
+	});
+
+	it('should increase deviation of inactive players', () => {
+		let player = {rating: 1700, ratingDeviation: 50, volatility: 0.06};
+		let result = glicko2.decay(player, 10, config);
+		expect(result.rating).toBe(1700);
+		expect(result.ratingDeviation).toBeGreaterThan(50);
+		expect(glicko2.decay(player, 100000, config).ratingDeviation).toBe(350);
+		expect(glicko2.decay(player, 0, config).ratingDeviation).toBeCloseTo(50, 6);
+	});
+
+});
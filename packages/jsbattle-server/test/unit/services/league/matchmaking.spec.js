@@ -0,0 +1,111 @@
+"use strict";
+const RankTable = require("../../../../app/services/league/lib/RankTable.js");
+const createMatchmaker = require("../../../../app/services/league/lib/matchmaking");
+
+const config = {
+	strategy: 'balanced',
+	placementFights: 10,
+	placementShare: 0.5,
+	rankRange: 2,
+	rematchCooldown: 2
+};
+
+const createRankTable = (count, fights) => {
+	let ranktable = new RankTable();
+	let data = [];
+	for(let i=0; i < count; i++) {
+		data.push({id: 'entry' + i, score: 1000 - i, fights_total: fights});
+	}
+	ranktable.init(data);
+	return ranktable;
+};
+
+describe("Test league matchmaking", () => {
+
+	it('should create matchmaker of selected strategy', () => {
+		let ranktable = createRankTable(5, 20);
+		let matchmaker = createMatchmaker({...config, strategy: 'random'});
+		expect(matchmaker.pick(ranktable)).toHaveLength(2);
+		matchmaker = createMatchmaker({...config, strategy: __dirname + '/../../../mock/FirstTwoMatchmakerMock.js'});
+		let opponents = matchmaker.pick(ranktable);
+		expect(opponents[0]).toHaveProperty('id', 'entry0');
+		expect(opponents[1]).toHaveProperty('id', 'entry1');
+		expect(() => createMatchmaker({...config, strategy: 'unknown8723'})).toThrow(/not supported/);
+	});
+
+	it('should not pick opponents when league is too small', () => {
+		let matchmaker = createMatchmaker(config);
+		expect(() => matchmaker.pick(createRankTable(1, 20))).toThrow(/no opponents/);
+	});
+
+	it('should pair near-ranked entries', () => {
+		let matchmaker = createMatchmaker({...config, rematchCooldown: 1});
+		let ranktable = createRankTable(20, 20);
+		for(let i=0; i < 200; i++) {
+			let opponents = matchmaker.pick(ranktable);
+			expect(opponents[0].id).not.toBe(opponents[1].id);
+			expect(Math.abs(opponents[0].rank - opponents[1].rank)).toBeLessThanOrEqual(2);
+		}
+	});
+
+	it('should give every entry a fair share of fights', () => {
+		let matchmaker = createMatchmaker(config);
+		let ranktable = createRankTable(10, 20);
+		let counts = {};
+		for(let i=0; i < 100; i++) {
+			for(let entry of matchmaker.pick(ranktable)) {
+				counts[entry.id] = (counts[entry.id] || 0) + 1;
+			}
+		}
+		let values = Object.values(counts);
+		expect(values).toHaveLength(10);
+		expect(Math.min(...values)).toBeGreaterThanOrEqual(10);
+	});
+
+	it('should avoid immediate rematches', () => {
+		let matchmaker = createMatchmaker({...config, rankRange: 1});
+		let ranktable = createRankTable(6, 20);
+		let last = {};
+		for(let i=0; i < 100; i++) {
+			let opponents = matchmaker.pick(ranktable);
+			expect(last[opponents[0].id]).not.toBe(opponents[1].id);
+			expect(last[opponents[1].id]).not.toBe(opponents[0].id);
+			last[opponents[0].id] = opponents[1].id;
+			last[opponents[1].id] = opponents[0].id;
+		}
+	});
+
+	it('should pick groups of near-ranked entries for free-for-all battles', () => {
+		let matchmaker = createMatchmaker(config);
+		let ranktable = createRankTable(20, 20);
+		for(let i=0; i < 100; i++) {
+			let opponents = matchmaker.pick(ranktable, 4);
+			expect(opponents).toHaveLength(4);
+			expect(new Set(opponents.map((entry) => entry.id)).size).toBe(4);
+			let ranks = opponents.map((entry) => entry.rank);
+			expect(Math.max(...ranks) - Math.min(...ranks)).toBeLessThanOrEqual(6);
+		}
+		expect(createMatchmaker(config).pick(createRankTable(3, 20), 6)).toHaveLength(3);
+		expect(createMatchmaker({...config, strategy: 'random'}).pick(ranktable, 5)).toHaveLength(5);
+	});
+
+	it('should prioritise placement matches of fresh submissions', () => {
+		let matchmaker = createMatchmaker(config);
+		let ranktable = createRankTable(20, 20);
+		ranktable.add({id: 'fresh', score: 0, fights_total: 0});
+		let freshCount = 0;
+		let ranks = {};
+		for(let i=0; i < 100; i++) {
+			let opponents = matchmaker.pick(ranktable);
+			if(opponents[0].id == 'fresh') {
+				freshCount++;
+				ranks[opponents[1].rank] = true;
+			}
+		}
+		// regular entries fight about 10 times each
+		expect(freshCount).toBeGreaterThan(30);
+		// placement opponents come from the whole rank table
+		expect(Object.keys(ranks).length).toBeGreaterThan(5);
+	});
+
+});
@@ -0,0 +1,167 @@
+"use strict";
+const bracket = require("../../../../app/services/tournament/lib/bracket.js");
+
+// plays the match with given winner. The winner is the slot index or the participant id
+function play(matches, matchId, winner, bestOf = 1) {
+	let match = matches.find((item) => item.id == matchId);
+	let winnerIndex = typeof winner == 'number' ? winner : match.slots.findIndex((slot) => slot.participantId == winner);
+	bracket.recordGame(match, {
+		battleId: 'battle-' + matchId,
+		rngSeed: Math.random(),
+		scores: winnerIndex ? [10, 50] : [50, 10],
+		winnerIndex
+	}, bestOf);
+	return bracket.updateBracket(matches);
+}
+
+function participants(match) {
+	return match.slots.map((slot) => slot.participantId);
+}
+
+describe("Test tournament brackets", () => {
+
+	it('should create single elimination bracket', async () => {
+		let matches = bracket.createBracket('single-elimination', ['p1', 'p2', 'p3', 'p4']);
+		expect(matches.map((match) => match.id)).toEqual(['W1.1', 'W1.2', 'W2.1']);
+		expect(participants(matches[0])).toEqual(['p1', 'p4']);
+		expect(participants(matches[1])).toEqual(['p2', 'p3']);
+		expect(matches[0]).toHaveProperty('status', 'ready');
+		expect(matches[1]).toHaveProperty('status', 'ready');
+		expect(matches[2]).toHaveProperty('status', 'pending');
+		expect(matches[2]).toHaveProperty('stage', 2);
+	});
+
+	it('should advance winners of single elimination', async () => {
+		let matches = bracket.createBracket('single-elimination', ['p1', 'p2', 'p3', 'p4']);
+		play(matches, 'W1.1', 'p4');
+		expect(participants(matches[2])).toEqual(['p4', null]);
+		expect(matches[2]).toHaveProperty('status', 'pending');
+		play(matches, 'W1.2', 'p2');
+		expect(participants(matches[2])).toEqual(['p4', 'p2']);
+		expect(matches[2]).toHaveProperty('status', 'ready');
+		expect(bracket.isFinished(matches)).toBe(false);
+		play(matches, 'W2.1', 'p2');
+		expect(matches[2]).toHaveProperty('winnerId', 'p2');
+		expect(bracket.isFinished(matches)).toBe(true);
+
+		let standings = bracket.getStandings('single-elimination', matches, ['p1', 'p2', 'p3', 'p4']);
+		expect(standings.map((item) => item.id)).toEqual(['p2', 'p4', 'p1', 'p3']);
+		expect(standings[0]).toHaveProperty('place', 1);
+		expect(standings[0]).toHaveProperty('matchWins', 2);
+		expect(standings[0]).not.toHaveProperty('eliminatedAt');
+	});
+
+	it('should give byes to the best seeds', async () => {
+		let matches = bracket.createBracket('single-elimination', ['p1', 'p2', 'p3', 'p4', 'p5']);
+		expect(matches).toHaveLength(7);
+		let firstRound = matches.filter((match) => match.round == 1);
+		let walkovers = firstRound.filter((match) => match.walkover);
+		expect(walkovers).toHaveLength(3);
+		expect(walkovers.map((match) => match.winnerId).sort()).toEqual(['p1', 'p2', 'p3']);
+		expect(firstRound.find((match) => !match.walkover).slots.map((slot) => slot.participantId)).toEqual(['p4', 'p5']);
+		// p2 and p3 meet in the second round without waiting for other matches
+		expect(matches.find((match) => match.id == 'W2.2')).toHaveProperty('status', 'ready');
+		expect(matches.find((match) => match.id == 'W2.1')).toHaveProperty('status', 'pending');
+	});
+
+	it('should play best-of-N series', async () => {
+		let matches = bracket.createBracket('single-elimination', ['p1', 'p2']);
+		play(matches, 'W1.1', 1, 3);
+		expect(matches[0]).toHaveProperty('status', 'ready');
+		expect(matches[0].wins).toEqual([0, 1]);
+		play(matches, 'W1.1', 0, 3);
+		expect(matches[0]).toHaveProperty('status', 'ready');
+		play(matches, 'W1.1', 0, 3);
+		expect(matches[0]).toHaveProperty('status', 'finished');
+		expect(matches[0].wins).toEqual([2, 1]);
+		expect(matches[0].games).toHaveLength(3);
+		expect(matches[0]).toHaveProperty('winnerId', 'p1');
+		expect(matches[0]).toHaveProperty('loserId', 'p2');
+	});
+
+	it('should decide series of draws by score', async () => {
+		let matches = bracket.createBracket('single-elimination', ['p1', 'p2']);
+		bracket.recordGame(matches[0], {rngSeed: 0.1, scores: [10, 20], winnerIndex: null}, 2);
+		expect(matches[0]).toHaveProperty('status', 'ready');
+		bracket.recordGame(matches[0], {rngSeed: 0.2, scores: [10, 15], winnerIndex: null}, 2);
+		expect(matches[0]).toHaveProperty('status', 'finished');
+		expect(matches[0]).toHaveProperty('winnerId', 'p2');
+	});
+
+	it('should create double elimination bracket', async () => {
+		let ids = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7', 'p8'];
+		let matches = bracket.createBracket('double-elimination', ids);
+		expect(matches.filter((match) => match.bracket == 'winners')).toHaveLength(7);
+		expect(matches.filter((match) => match.bracket == 'losers')).toHaveLength(6);
+		expect(matches.filter((match) => match.bracket == 'final')).toHaveLength(1);
+		expect(matches[matches.length-1]).toHaveProperty('stage', 6);
+
+		// better seed wins every match of the winners bracket
+		for(let match of matches.filter((item) => item.bracket == 'winners')) {
+			play(matches, match.id, 0);
+		}
+		expect(participants(matches.find((match) => match.id == 'L1.1'))).toEqual(['p8', 'p5']);
+		expect(participants(matches.find((match) => match.id == 'L1.2'))).toEqual(['p7', 'p6']);
+		play(matches, 'L1.1', 'p5');
+		play(matches, 'L1.2', 'p6');
+		// losers of the second winners round enter in reversed order
+		expect(participants(matches.find((match) => match.id == 'L2.1'))).toEqual(['p5', 'p3']);
+		expect(participants(matches.find((match) => match.id == 'L2.2'))).toEqual(['p6', 'p4']);
+		play(matches, 'L2.1', 'p3');
+		play(matches, 'L2.2', 'p4');
+		play(matches, 'L3.1', 'p4');
+		expect(participants(matches.find((match) => match.id == 'L4.1'))).toEqual(['p4', 'p2']);
+		play(matches, 'L4.1', 'p4');
+		expect(participants(matches.find((match) => match.id == 'F1.1'))).toEqual(['p1', 'p4']);
+		expect(bracket.isFinished(matches)).toBe(false);
+		play(matches, 'F1.1', 'p4');
+		expect(bracket.isFinished(matches)).toBe(true);
+
+		let standings = bracket.getStandings('double-elimination', matches, ids);
+		expect(standings.map((item) => item.id)).toEqual(['p4', 'p1', 'p2', 'p3', 'p5', 'p6', 'p7', 'p8']);
+	});
+
+	it('should create double elimination bracket for two participants', async () => {
+		let matches = bracket.createBracket('double-elimination', ['p1', 'p2']);
+		expect(matches.map((match) => match.id)).toEqual(['W1.1', 'F1.1']);
+		play(matches, 'W1.1', 'p1');
+		expect(participants(matches[1])).toEqual(['p1', 'p2']);
+	});
+
+	it('should create round robin bracket', async () => {
+		let ids = ['p1', 'p2', 'p3', 'p4', 'p5'];
+		let matches = bracket.createBracket('round-robin', ids);
+		expect(matches).toHaveLength(10);
+		expect(matches.every((match) => match.status == 'ready')).toBe(true);
+		expect(Math.max(...matches.map((match) => match.round))).toBe(5);
+		let pairs = matches.map((match) => participants(match).sort().join('-'));
+		expect(new Set(pairs).size).toBe(10);
+		for(let round=1; round <= 5; round++) {
+			let players = matches
+				.filter((match) => match.round == round)
+				.reduce((result, match) => result.concat(participants(match)), []);
+			expect(new Set(players).size).toBe(players.length);
+		}
+	});
+
+	it('should rank round robin by won matches', async () => {
+		let ids = ['p1', 'p2', 'p3'];
+		let matches = bracket.createBracket('round-robin', ids);
+		for(let match of matches) {
+			// p3 wins all, p1 beats p2
+			let winner = participants(match).includes('p3') ? 'p3' : 'p1';
+			play(matches, match.id, winner);
+		}
+		expect(bracket.isFinished(matches)).toBe(true);
+		let standings = bracket.getStandings('round-robin', matches, ids);
+		expect(standings.map((item) => item.id)).toEqual(['p3', 'p1', 'p2']);
+		expect(standings[0]).toHaveProperty('matchWins', 2);
+		expect(standings[2]).toHaveProperty('matchLosses', 2);
+	});
+
+	it('should reject invalid brackets', async () => {
+		expect(() => bracket.createBracket('single-elimination', ['p1'])).toThrow(/at least 2/i);
+		expect(() => bracket.createBracket('swiss', ['p1', 'p2'])).toThrow(/not supported/i);
+	});
+
+});
@@ -36,6 +36,8 @@ export const SANDBOX_OPPONENT_TEAM_MODE = 'SANDBOX_OPPONENT_TEAM_MODE';
 export const SANDBOX_OPPONENT_DUEL_MODE = 'SANDBOX_OPPONENT_DUEL_MODE';
 export const SANDBOX_RNG_LOCK = 'SANDBOX_RNG_LOCK';
 export const SANDBOX_RNG_UNLOCK = 'SANDBOX_RNG_UNLOCK';
+export const SANDBOX_MAP_CHANGE = 'SANDBOX_MAP_CHANGE';
+export const SANDBOX_GAME_MODE_CHANGE = 'SANDBOX_GAME_MODE_CHANGE';
 export const AI_SCRIPT_RENAME_REQUEST = 'AI_SCRIPT_RENAME_REQUEST';
 export const AI_SCRIPT_RENAME_SUCCESS = 'AI_SCRIPT_RENAME_SUCCESS';
 export const AI_SCRIPT_RENAME_FAILURE = 'AI_SCRIPT_RENAME_FAILURE';
@@ -72,3 +74,42 @@ export const LEAGUE_CLEAR_SUBMISSION_SUCCESS = 'LEAGUE_CLEAR_SUBMISSION_SUCCESS'
 export const LEAGUE_REPLAY_REQUEST = 'LEAGUE_REPLAY_REQUEST';
 export const LEAGUE_REPLAY_FAILURE = 'LEAGUE_REPLAY_FAILURE';
 export const LEAGUE_REPLAY_SUCCESS = 'LEAGUE_REPLAY_SUCCESS';
+export const TOURNAMENT_LIST_REQUEST = 'TOURNAMENT_LIST_REQUEST';
+export const TOURNAMENT_LIST_FAILURE = 'TOURNAMENT_LIST_FAILURE';
+export const TOURNAMENT_LIST_SUCCESS = 'TOURNAMENT_LIST_SUCCESS';
+export const TOURNAMENT_REQUEST = 'TOURNAMENT_REQUEST';
+export const TOURNAMENT_FAILURE = 'TOURNAMENT_FAILURE';
+export const TOURNAMENT_SUCCESS = 'TOURNAMENT_SUCCESS';
+export const TOURNAMENT_REFRESH_REQUEST = 'TOURNAMENT_REFRESH_REQUEST';
+export const TOURNAMENT_REFRESH_FAILURE = 'TOURNAMENT_REFRESH_FAILURE';
+export const TOURNAMENT_REFRESH_SUCCESS = 'TOURNAMENT_REFRESH_SUCCESS';
+export const TOURNAMENT_JOIN_REQUEST = 'TOURNAMENT_JOIN_REQUEST';
+export const TOURNAMENT_JOIN_FAILURE = 'TOURNAMENT_JOIN_FAILURE';
+export const TOURNAMENT_JOIN_SUCCESS = 'TOURNAMENT_JOIN_SUCCESS';
+export const TOURNAMENT_LEAVE_REQUEST = 'TOURNAMENT_LEAVE_REQUEST';
+export const TOURNAMENT_LEAVE_FAILURE = 'TOURNAMENT_LEAVE_FAILURE';
+export const TOURNAMENT_LEAVE_SUCCESS = 'TOURNAMENT_LEAVE_SUCCESS';
+export const MATCH_LIST_REQUEST = 'MATCH_LIST_REQUEST';
+export const MATCH_LIST_FAILURE = 'MATCH_LIST_FAILURE';
+export const MATCH_LIST_SUCCESS = 'MATCH_LIST_SUCCESS';
+export const MATCH_REFRESH_REQUEST = 'MATCH_REFRESH_REQUEST';
+export const MATCH_REFRESH_FAILURE = 'MATCH_REFRESH_FAILURE';
+export const MATCH_REFRESH_SUCCESS = 'MATCH_REFRESH_SUCCESS';
+export const MATCH_CREATE_REQUEST = 'MATCH_CREATE_REQUEST';
+export const MATCH_CREATE_FAILURE = 'MATCH_CREATE_FAILURE';
+export const MATCH_CREATE_SUCCESS = 'MATCH_CREATE_SUCCESS';
+export const AI_SCRIPT_SHARE_REQUEST = 'AI_SCRIPT_SHARE_REQUEST';
+export const AI_SCRIPT_SHARE_FAILURE = 'AI_SCRIPT_SHARE_FAILURE';
+export const AI_SCRIPT_SHARE_SUCCESS = 'AI_SCRIPT_SHARE_SUCCESS';
+export const AI_SCRIPT_REVISION_LIST_REQUEST = 'AI_SCRIPT_REVISION_LIST_REQUEST';
+export const AI_SCRIPT_REVISION_LIST_FAILURE = 'AI_SCRIPT_REVISION_LIST_FAILURE';
+export const AI_SCRIPT_REVISION_LIST_SUCCESS = 'AI_SCRIPT_REVISION_LIST_SUCCESS';
+export const AI_SCRIPT_REVISION_REQUEST = 'AI_SCRIPT_REVISION_REQUEST';
+export const AI_SCRIPT_REVISION_FAILURE = 'AI_SCRIPT_REVISION_FAILURE';
+export const AI_SCRIPT_REVISION_SUCCESS = 'AI_SCRIPT_REVISION_SUCCESS';
+export const AI_SCRIPT_RESTORE_REQUEST = 'AI_SCRIPT_RESTORE_REQUEST';
+export const AI_SCRIPT_RESTORE_FAILURE = 'AI_SCRIPT_RESTORE_FAILURE';
+export const AI_SCRIPT_RESTORE_SUCCESS = 'AI_SCRIPT_RESTORE_SUCCESS';
+export const NOTIFICATION_ADD = 'NOTIFICATION_ADD';
+export const NOTIFICATION_READ = 'NOTIFICATION_READ';
+export const NOTIFICATION_CLEAR = 'NOTIFICATION_CLEAR';
@@ -0,0 +1,59 @@
+import {sequenceFetch, fetchFromApi} from '../lib/fetchFromApi.js';
+
+export const getMatchList = () => {
+  return fetchFromApi(
+    "/api/user/matches",
+    "MATCH_LIST",
+    {}
+  );
+};
+
+export const refreshMatches = () => {
+  return fetchFromApi(
+    "/api/user/matches",
+    "MATCH_REFRESH",
+    {}
+  );
+};
+
+export const createMatch = (scriptId, opponentType, opponentId) => {
+  return fetchFromApi(
+    "/api/user/matches",
+    "MATCH_CREATE",
+    {
+      method: 'POST',
+      body: JSON.stringify({
+        scriptId,
+        opponentType,
+        opponentId
+      }),
+      headers: {
+        'Content-Type': 'application/json'
+      },
+    }
+  );
+};
+
+export const shareAiScript = (id, shared) => {
+  return sequenceFetch([
+    fetchFromApi(
+      "/api/user/scripts/" + id,
+      "AI_SCRIPT_SHARE",
+      {
+        method: 'PATCH',
+        body: JSON.stringify({
+          id,
+          shared
+        }),
+        headers: {
+          'Content-Type': 'application/json'
+        },
+      }
+    ),
+    fetchFromApi(
+      "/api/user/scripts",
+      "SANDBOX_AI_SCRIPT_LIST",
+      {}
+    )
+  ]);
+};
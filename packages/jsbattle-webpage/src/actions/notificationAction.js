@@ -0,0 +1,23 @@
+import {
+  NOTIFICATION_ADD,
+  NOTIFICATION_READ,
+  NOTIFICATION_CLEAR,
+} from './actionTypes.js';
+
+let lastId = 0;
+
+export const addNotification = (event, payload) => {
+  lastId++;
+  return {
+    type: NOTIFICATION_ADD,
+    payload: {
+      id: lastId,
+      event,
+      data: payload || {},
+      createdAt: new Date().toISOString()
+    }
+  };
+};
+
+export const readNotifications = () => ({type: NOTIFICATION_READ});
+export const clearNotifications = () => ({type: NOTIFICATION_CLEAR});
@@ -8,6 +8,8 @@ import {
   SANDBOX_OPPONENT_DUEL_MODE,
   SANDBOX_RNG_LOCK,
   SANDBOX_RNG_UNLOCK,
+  SANDBOX_MAP_CHANGE,
+  SANDBOX_GAME_MODE_CHANGE,
 } from './actionTypes.js';
 import {sequenceFetch, fetchFromApi} from '../lib/fetchFromApi.js';
 
@@ -117,6 +119,43 @@ export const renameAiScript = (newName, id, useRemoteService) => {
   );
 };
 
+export const getAiScriptRevisionList = (id) => {
+  return fetchFromApi(
+    "/api/user/scripts/" + id + "/revisions",
+    "AI_SCRIPT_REVISION_LIST",
+    {}
+  );
+};
+
+export const getAiScriptRevision = (id, revisionId) => {
+  return fetchFromApi(
+    "/api/user/scripts/" + id + "/revisions/" + revisionId,
+    "AI_SCRIPT_REVISION",
+    {}
+  );
+};
+
+export const restoreAiScriptRevision = (id, revisionId) => {
+  return sequenceFetch([
+    fetchFromApi(
+      "/api/user/scripts/" + id + "/revisions/" + revisionId + "/restore",
+      "AI_SCRIPT_RESTORE",
+      {
+        method: 'POST',
+        body: JSON.stringify({}),
+        headers: {
+          'Content-Type': 'application/json'
+        },
+      }
+    ),
+    fetchFromApi(
+      "/api/user/scripts/" + id + "/revisions",
+      "AI_SCRIPT_REVISION_LIST",
+      {}
+    )
+  ]);
+};
+
 export const getSandboxOpponentList = (useRemoteService) => {
   return async (dispatch) => {
     let result;
@@ -249,6 +288,24 @@ export const setSandboxBattleMode = (teamMode) => {
   };
 };
 
+export const setSandboxMap = (map) => {
+  return (dispatch) => {
+    dispatch({
+      type: SANDBOX_MAP_CHANGE,
+      payload: map
+    });
+  };
+};
+
+export const setSandboxGameMode = (gameMode) => {
+  return (dispatch) => {
+    dispatch({
+      type: SANDBOX_GAME_MODE_CHANGE,
+      payload: gameMode
+    });
+  };
+};
+
 export const lockSandboxRng = (locked) => {
   return (dispatch) => {
     dispatch({
@@ -0,0 +1,55 @@
+import {fetchFromApi} from '../lib/fetchFromApi.js';
+
+export const getTournamentList = () => {
+  return fetchFromApi(
+    "/api/tournaments",
+    "TOURNAMENT_LIST",
+    {}
+  );
+};
+
+export const getTournament = (tournamentId) => {
+  return fetchFromApi(
+    "/api/tournaments/" + tournamentId,
+    "TOURNAMENT",
+    {}
+  );
+};
+
+export const refreshTournament = (payload) => {
+  return fetchFromApi(
+    "/api/tournaments/" + payload.id,
+    "TOURNAMENT_REFRESH",
+    {}
+  );
+};
+
+export const joinTournament = (tournamentId, scriptId) => {
+  return fetchFromApi(
+    `/api/user/tournaments/${tournamentId}/entry`,
+    "TOURNAMENT_JOIN",
+    {
+      method: 'PATCH',
+      body: JSON.stringify({
+        scriptId
+      }),
+      headers: {
+        'Content-Type': 'application/json'
+      },
+    },
+  );
+};
+
+export const leaveTournament = (tournamentId) => {
+  return fetchFromApi(
+    `/api/user/tournaments/${tournamentId}/entry`,
+    "TOURNAMENT_LEAVE",
+    {
+      method: 'DELETE',
+      body: JSON.stringify({}),
+      headers: {
+        'Content-Type': 'application/json'
+      },
+    }
+  );
+};
@@ -0,0 +1,69 @@
+import React from "react";
+import PropTypes from 'prop-types';
+
+function encode(perspective) {
+  if(!perspective) {
+    return 'all';
+  }
+  if(perspective.tankId !== undefined) {
+    return 'tank:' + perspective.tankId;
+  }
+  return 'team:' + perspective.team;
+}
+
+function decode(value) {
+  if(value.startsWith('tank:')) {
+    return {tankId: Number(value.substring(5))};
+  }
+  if(value.startsWith('team:')) {
+    return {team: value.substring(5)};
+  }
+  return null;
+}
+
+/*
+ * Lists tanks and teams of the battle that can be selected as a perspective.
+ * Selected perspective is reset when it does not match the battle anymore
+ * (e.g. after a restart with different opponents)
+ */
+export function listObservers(battlefield, perspective) {
+  let tankList = battlefield.tankList.map((tank) => ({id: tank.id, name: tank.fullName}));
+  let teamList = battlefield.teamList.filter((team) => team.size > 1).map((team) => team.name);
+  if(perspective && !tankList.find((tank) => tank.id === perspective.tankId) && teamList.indexOf(perspective.team) == -1) {
+    perspective = null;
+  }
+  return {tankList, teamList, perspective};
+}
+
+export default class BattlePerspective extends React.Component {
+
+  render() {
+    let teams = this.props.teamList.map((team) => <option key={'team:' + team} value={'team:' + team}>Team: {team}</option>);
+    let tanks = this.props.tankList.map((tank) => <option key={'tank:' + tank.id} value={'tank:' + tank.id}>Tank: {tank.name}</option>);
+    return <div className="battle-perspective" style={{display: 'flex', alignItems: 'center', marginTop: '0.5em'}}>
+      <small style={{marginRight: '1em', whiteSpace: 'nowrap'}}><i className="fas fa-eye"></i> View</small>
+      <select className="form-control form-control-sm" value={encode(this.props.value)} onChange={(e) => this.props.onChange(decode(e.target.value))}>
+        <option value="all">Everything</option>
+        {teams}
+        {tanks}
+      </select>
+    </div>;
+  }
+}
+
+BattlePerspective.defaultProps = {
+  tankList: [],
+  teamList: [],
+  value: null,
+  onChange: () => {}
+};
+
+BattlePerspective.propTypes = {
+  tankList: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number,
+    name: PropTypes.string
+  })),
+  teamList: PropTypes.arrayOf(PropTypes.string),
+  value: PropTypes.object,
+  onChange: PropTypes.func
+};
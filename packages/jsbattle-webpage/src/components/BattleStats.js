@@ -0,0 +1,47 @@
+import React from "react";
+import PropTypes from 'prop-types';
+
+const STATS_LIST = [
+  {key: 'shots', label: 'Shots', format: (v) => String(v)},
+  {key: 'hits', label: 'Hits', format: (v) => String(v)},
+  {key: 'accuracy', label: 'Accuracy', format: (v) => Math.round(v*100) + '%'},
+  {key: 'damageDealt', label: 'Damage dealt', format: (v) => v.toFixed(1)},
+  {key: 'damageReceived', label: 'Damage received', format: (v) => v.toFixed(1)},
+  {key: 'distance', label: 'Distance', format: (v) => String(Math.round(v))},
+  {key: 'boostTime', label: 'Boost time', format: (v) => (v/1000).toFixed(1) + 's'},
+  {key: 'skippedSteps', label: 'Skipped steps', format: (v) => String(v)},
+];
+
+export default class BattleStats extends React.Component {
+
+  render() {
+    const teamList = this.props.teamList.filter((team) => Boolean(team.stats));
+    if(teamList.length == 0) {
+      return null;
+    }
+    const header = teamList.map((team) => <th key={team.name} className="text-right">{team.name}</th>);
+    const rows = STATS_LIST.map((item) => <tr key={item.key} className={`stats-${item.key}`}>
+        <td>{item.label}</td>
+        {teamList.map((team) => <td key={team.name} className="text-right">{item.format(team.stats[item.key] || 0)}</td>)}
+      </tr>);
+    return <table className="table table-sm table-dark battle-stats" style={{maxWidth: '40em', margin: '0 auto 2em auto'}}>
+      <thead>
+        <tr>
+          <th></th>
+          {header}
+        </tr>
+      </thead>
+      <tbody>
+        {rows}
+      </tbody>
+    </table>;
+  }
+}
+
+BattleStats.defaultProps = {
+  teamList: []
+};
+
+BattleStats.propTypes = {
+  teamList: PropTypes.array
+};
@@ -0,0 +1,101 @@
+import React from "react";
+import PropTypes from 'prop-types';
+
+function formatTime(ms) {
+  let seconds = Math.floor(ms/1000);
+  let minutes = Math.floor(seconds/60);
+  seconds %= 60;
+  return minutes + ":" + (seconds < 10 ? "0" : "") + seconds;
+}
+
+export default class BattleTimeline extends React.Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      seekTime: null
+    };
+  }
+
+  onSeekChange(e) {
+    let time = Number(e.target.value);
+    if(!this.props.canRewind && time < this.props.timeElapsed) {
+      time = this.props.timeElapsed;
+    }
+    this.setState({seekTime: time});
+  }
+
+  onSeekCommit() {
+    if(this.state.seekTime === null) {
+      return;
+    }
+    let time = this.state.seekTime;
+    this.setState({seekTime: null});
+    this.props.onSeek(time);
+  }
+
+  render() {
+    let playButton;
+    if(this.props.paused) {
+      playButton = <button className="btn btn-sm btn-primary battle-resume" title="Play" onClick={() => this.props.onResume()}>
+        <i className="fas fa-play"></i>
+      </button>;
+    } else {
+      playButton = <button className="btn btn-sm btn-primary battle-pause" title="Pause" onClick={() => this.props.onPause()}>
+        <i className="fas fa-pause"></i>
+      </button>;
+    }
+    let time = this.state.seekTime !== null ? this.state.seekTime : this.props.timeElapsed;
+    let scrubber = null;
+    if(this.props.timeLimit > 0) {
+      scrubber = <input
+        type="range"
+        className="custom-range battle-scrubber"
+        style={{flex: 1, margin: '0 1em'}}
+        min={0}
+        max={this.props.timeLimit}
+        step={10}
+        value={time}
+        onChange={(e) => this.onSeekChange(e)}
+        onMouseUp={() => this.onSeekCommit()}
+        onTouchEnd={() => this.onSeekCommit()}
+        onKeyUp={() => this.onSeekCommit()}
+      />;
+    }
+    let limit = this.props.timeLimit > 0 ? " / " + formatTime(this.props.timeLimit) : "";
+    return <div className="battle-timeline" style={{display: 'flex', alignItems: 'center', marginTop: '0.5em'}}>
+      <div className="btn-group">
+        {playButton}
+        <button className="btn btn-sm btn-secondary battle-step" title="Step forward" disabled={!this.props.paused} onClick={() => this.props.onStepForward()}>
+          <i className="fas fa-step-forward"></i>
+        </button>
+      </div>
+      {scrubber}
+      <small className="battle-time text-monospace" style={{marginLeft: scrubber ? 0 : '1em'}}>
+        {formatTime(time)}{limit}
+      </small>
+    </div>;
+  }
+}
+
+BattleTimeline.defaultProps = {
+  timeElapsed: 0,
+  timeLimit: 0,
+  paused: false,
+  canRewind: false,
+  onPause: () => {},
+  onResume: () => {},
+  onStepForward: () => {},
+  onSeek: () => {}
+};
+
+BattleTimeline.propTypes = {
+  timeElapsed: PropTypes.number,
+  timeLimit: PropTypes.number,
+  paused: PropTypes.bool,
+  canRewind: PropTypes.bool,
+  onPause: PropTypes.func,
+  onResume: PropTypes.func,
+  onStepForward: PropTypes.func,
+  onSeek: PropTypes.func
+};
@@ -24,7 +24,8 @@ export default class CodeArea extends React.Component {
     CodeMirror.hint.javascript = function(editor) {
       let hints = {
         settings: {
-          SKIN: null
+          SKIN: null,
+          RADIO: null
         },
         control: {
           THROTTLE: null,
@@ -33,6 +34,8 @@ export default class CodeArea extends React.Component {
           RADAR_TURN: null,
           GUN_TURN: null,
           SHOOT: null,
+          OUTBOX: null,
+          BLACKBOARD: null,
           DEBUG: null
         },
         state: {
@@ -79,7 +82,9 @@ export default class CodeArea extends React.Component {
             reloading: null
           },
           radio: {
-            inbox: null
+            inbox: null,
+            blackboard: null,
+            dropped: null
           }
         },
         tank: {
@@ -3,12 +3,46 @@ import PropTypes from 'prop-types';
 import Row from './Row.js';
 import Col from './Col.js';
 
+function formatScore(score) {
+  return (Math.round(score*10)/10).toFixed(1);
+}
+
 export default class DuelResultScreen extends React.Component {
 
+  // free-for-all battles of more than two teams are summarized in a table
+  renderPlacing() {
+    const rows = this.props.placing.map((team) => <tr key={team.name} className={team.place == 1 ? 'placing-winner' : ''}>
+      <td className="text-right placing-place">{team.place == 1 ? <i className="fas fa-crown"></i> : null} #{team.place}</td>
+      <td className="text-left">
+        <img src={`img/tank_skin_${team.skin}.png`} alt={team.skin} style={{maxHeight: '1.5em', marginRight: '0.5em'}}/>
+        <span className="placing-name">{team.name}</span>
+      </td>
+      <td className="text-right placing-score">{formatScore(team.score)}</td>
+    </tr>);
+    return <table className="table table-sm placing-table" style={{marginTop: '2em', marginBottom: '2em'}}>
+      <thead className="thead-dark">
+        <tr>
+          <th scope="col" className="text-right">Place</th>
+          <th scope="col" className="text-left">Team</th>
+          <th scope="col" className="text-right">Score</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows}
+      </tbody>
+    </table>;
+  }
+
   render() {
-    const winnerScore = (Math.round(this.props.winnerScore*10)/10).toFixed(1);
-    const loserScore = (Math.round(this.props.loserScore*10)/10).toFixed(1);
+    const winnerScore = formatScore(this.props.winnerScore);
+    const loserScore = formatScore(this.props.loserScore);
     const header = this.props.showHeader ? <h3 className="result-title">Battle {this.props.hasWon ? "WON" : "LOST"}!</h3> : null;
+    if(this.props.placing.length > 2) {
+      return <div className="text-center battle-result">
+        {header}
+        {this.renderPlacing()}
+      </div>;
+    }
 
     return <div className="text-center battle-result">
       {header}
@@ -38,6 +72,7 @@ DuelResultScreen.defaultProps = {
   loserSkin: 'forest',
   winnerScore: 0,
   loserScore: 0,
+  placing: [],
 };
 
 DuelResultScreen.propTypes = {
@@ -49,4 +84,10 @@ DuelResultScreen.propTypes = {
   loserSkin: PropTypes.string,
   winnerScore: PropTypes.number,
   loserScore: PropTypes.number,
+  placing: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string,
+    skin: PropTypes.string,
+    score: PropTypes.number,
+    place: PropTypes.number
+  })),
 };
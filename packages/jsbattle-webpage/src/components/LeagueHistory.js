@@ -6,18 +6,30 @@ export default class LeagueHistory extends React.Component {
   renderRow(data) {
     const loserBadge = <span className="badge badge-dark"><i className="fas fa-skull"></i></span>;
     const winnerBadge = <span className="badge badge-danger"><i className="fas fa-trophy"></i></span>;
-    const isSelected = (this.props.selectedId == data.players[0].id || this.props.selectedId == data.players[1].id);
+    const isSelected = data.players.some((player) => this.props.selectedId == player.id);
     const rowStyle = isSelected ? {backgroundColor: "#555"} : {};
+    let players = data.players;
+    let opponents;
+    if(players.length > 2) {
+      // free-for-all battle: the best placed team is listed first
+      players = players.slice().sort((a, b) => (a.place || 0) - (b.place || 0));
+      opponents = <td className="ffa-opponents">
+        {loserBadge} {players.slice(1).map((player) => player.name)
+          .join(', ')}
+      </td>;
+    } else {
+      opponents = <td>
+        {players[1].winner ? winnerBadge : loserBadge} {players[1].name}
+      </td>;
+    }
     return <tr style={rowStyle} key={data.id}>
         <td className="d-none d-sm-none d-md-block">
           {new Date(data.createdAt).toLocaleTimeString()}
         </td>
         <td>
-          {data.players[0].winner ? winnerBadge : loserBadge} {data.players[0].name}
-        </td>
-        <td>
-           {data.players[1].winner ? winnerBadge : loserBadge} {data.players[1].name}
+          {players[0].winner ? winnerBadge : loserBadge} {players[0].name}
         </td>
+        {opponents}
         <td className="text-right">
           <a href={`#/league/replay/${data.id}`} className="btn btn-sm btn-primary watch-button">
             <span className="fas fa-tv"></span><span className="d-none d-sm-none d-md-inline-block">&nbsp; Watch</span>
@@ -170,7 +170,7 @@ export default class LeagueJoin extends React.Component {
             </Col>
             <Col md={6} className="text-center">
               <div className="card-text">
-                <small style={{color: '#888'}}>snapshot from </small>
+                <small style={{color: '#888'}} className="submission-revision">{this.props.selected.revision ? `revision #${this.props.selected.revision} from ` : 'snapshot from '}</small>
                 <div>
                   {new Date(this.props.selected.joinedAt).toLocaleDateString()}<br/>{new Date(this.props.selected.joinedAt).toLocaleTimeString()}
                 </div>
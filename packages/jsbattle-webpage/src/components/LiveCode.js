@@ -8,6 +8,8 @@ import LiveCodeInfoTab from './LiveCodeInfoTab.js';
 import LiveCodeCodeTab from './LiveCodeCodeTab.js';
 import LiveCodeCheatSheetTab from './LiveCodeCheatSheetTab.js';
 import LiveCodeDebugTab from './LiveCodeDebugTab.js';
+import BattleTimeline from './BattleTimeline.js';
+import BattlePerspective, {listObservers} from './BattlePerspective.js';
 import JsBattleBattlefield from "jsbattle-react";
 import PropTypes from 'prop-types';
 
@@ -27,6 +29,11 @@ class LiveCode extends React.Component {
       tab: props.info ? 'info' : 'code',
       isFinished: false,
       loading: true,
+      paused: false,
+      timeElapsed: 0,
+      perspective: null,
+      tankList: [],
+      teamList: [],
       debug: {}
     };
 
@@ -96,6 +103,9 @@ class LiveCode extends React.Component {
   }
 
   updateDebug(sim) {
+    if(this.state.timeElapsed != sim.timeElapsed) {
+      this.setState({timeElapsed: sim.timeElapsed});
+    }
     let result = sim.tankList.filter((t) => t.name == this.props.name);
     if(result.length < 1) {
       this.setState({debug: {}});
@@ -117,12 +127,13 @@ class LiveCode extends React.Component {
 
   handleBattleInit() {
     console.log("battle initialized");
-    this.setState({error: null, loading: true});
+    this.setState({error: null, loading: true, paused: false, timeElapsed: 0});
   }
 
   handleBattleStart() {
     console.log("battle started");
-    this.setState({loading: false});
+    let observers = this.battlefield ? listObservers(this.battlefield, this.state.perspective) : {};
+    this.setState({loading: false, ...observers});
   }
 
   restartBattle() {
@@ -142,6 +153,18 @@ class LiveCode extends React.Component {
     }
   }
 
+  stepForward() {
+    if(this.battlefield) {
+      this.battlefield.stepForward();
+    }
+  }
+
+  seek(time) {
+    if(this.battlefield) {
+      this.battlefield.seek(time);
+    }
+  }
+
   renderTabLink(id, icon, label) {
     return <li key={id} className={`nav-item tab-link-${id}`}>
       <span className={'nav-link clickable ' + (this.state.tab == id ? 'active' : '')} onClick={() => this.setState({tab: id})}>
@@ -207,6 +230,8 @@ class LiveCode extends React.Component {
 
     let tabContent = tabs[this.state.tab];
     let battlefield = null;
+    let timeline = null;
+    let perspective = null;
     if(this.state.aiDefList.length) {
       battlefield = <JsBattleBattlefield
         ref={(b) => this.battlefield = b }
@@ -216,8 +241,12 @@ class LiveCode extends React.Component {
         rngSeed={this.props.rngSeed}
         timeLimit={this.props.timeLimit}
         teamMode={this.props.teamMode}
+        map={this.props.map}
+        mode={this.props.gameMode}
+        paused={this.state.paused}
         speed={this.props.simSpeed}
         quality={this.props.simQuality}
+        perspective={this.state.perspective}
         renderer={this.props.renderer}
         modifier={this.modifier}
         onRender={(sim) => this.updateDebug(sim)}
@@ -226,6 +255,21 @@ class LiveCode extends React.Component {
         onInit={() => this.handleBattleInit()}
         onStart={() => this.handleBattleStart()}
       />;
+      timeline = <BattleTimeline
+        timeElapsed={this.state.timeElapsed}
+        timeLimit={this.props.timeLimit}
+        paused={this.state.paused}
+        onPause={() => this.setState({paused: true})}
+        onResume={() => this.setState({paused: false})}
+        onStepForward={() => this.stepForward()}
+        onSeek={(time) => this.seek(time)}
+      />;
+      perspective = <BattlePerspective
+        tankList={this.state.tankList}
+        teamList={this.state.teamList}
+        value={this.state.perspective}
+        onChange={(value) => this.setState({perspective: value})}
+      />;
     }
 
     return <div className="live-code">
@@ -240,6 +284,8 @@ class LiveCode extends React.Component {
           {loadingBox}
           {winBox}
           {battlefield}
+          {timeline}
+          {perspective}
         </Col>
         <Col md={6}>
           <ul className="nav nav-tabs live-code-right-tabs">
@@ -264,6 +310,8 @@ LiveCode.defaultProps = {
   rngSeed: Math.random(),
   timeLimit: 0,
   teamMode: false,
+  map: undefined,
+  gameMode: undefined,
   disableSandbox: false,
   modifier: {},
   simSpeed: 1,
@@ -283,6 +331,8 @@ LiveCode.propTypes = {
   info: PropTypes.string,
   timeLimit: PropTypes.number,
   teamMode: PropTypes.bool,
+  map: PropTypes.string,
+  gameMode: PropTypes.string,
   disableSandbox: PropTypes.bool,
   debug: PropTypes.bool,
   isLoading: PropTypes.bool,
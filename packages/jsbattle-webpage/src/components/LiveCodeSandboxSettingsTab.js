@@ -35,6 +35,8 @@ class LiveCodeSandboxSettingsTab extends React.Component {
     };
 
     categories = categories.map((item) => <option key={item} value={item}>{categoryLabels[item]}</option>);
+    let maps = this.props.maps.map((map) => <option key={map.name} value={map.name}>{map.label}</option>);
+    let gameModes = this.props.gameModes.map((gameMode) => <option key={gameMode.name} value={gameMode.name}>{gameMode.label}</option>);
     return <Row>
         <Col sm={12}>
           <div className="card" style={{marginTop: '1em'}}>
@@ -62,6 +64,18 @@ class LiveCodeSandboxSettingsTab extends React.Component {
                     <option value="team">Team Deathmatch</option>
                   </select>
                 </div>
+                <div className="form-group">
+                  <label htmlFor="map"><i className="fas fa-map"></i> Map</label>
+                  <select className="form-control" id="map" value={this.props.map} onChange={(e) => this.props.onMapChange(e.target.value)}>
+                    {maps}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="gameMode"><i className="fas fa-flag"></i> Objective</label>
+                  <select className="form-control" id="gameMode" value={this.props.gameMode} onChange={(e) => this.props.onGameModeChange(e.target.value)}>
+                    {gameModes}
+                  </select>
+                </div>
                 <div className="form-group">
                   <label htmlFor="seed"><i className="fas fa-seedling"></i> RNG Seed</label>
                   <input type="text" className="form-control" id="seed" value={this.props.rngSeed} disabled />
@@ -84,11 +98,17 @@ LiveCodeSandboxSettingsTab.defaultProps = {
   selectedOpponent: {},
   opponents: [],
   mode: 'duel',
+  maps: [],
+  map: 'arena',
+  gameModes: [],
+  gameMode: 'deathmatch',
   rngSeed: 0,
   isRngLocked: false,
   onBattleModeChange: () => {},
   onOpponentChange: () => {},
   onRngLock: () => {},
+  onMapChange: () => {},
+  onGameModeChange: () => {},
 };
 
 LiveCodeSandboxSettingsTab.propTypes = {
@@ -97,9 +117,15 @@ LiveCodeSandboxSettingsTab.propTypes = {
   rngSeed: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
   isRngLocked: PropTypes.bool,
   mode: PropTypes.oneOf(['duel', 'team']),
+  maps: PropTypes.array,
+  gameModes: PropTypes.array,
+  gameMode: PropTypes.string,
+  map: PropTypes.string,
   onBattleModeChange: PropTypes.func,
   onOpponentChange: PropTypes.func,
   onRngLock: PropTypes.func,
+  onMapChange: PropTypes.func,
+  onGameModeChange: PropTypes.func,
 };
 
 export default LiveCodeSandboxSettingsTab;
@@ -0,0 +1,101 @@
+import React from "react";
+import PropTypes from 'prop-types';
+
+export default class NotificationCentre extends React.Component {
+
+  describeBattle(data) {
+    let opponents = data.opponents ? data.opponents.join(', ') : '';
+    let result;
+    if(data.winner) {
+      result = 'won against';
+    } else if(data.opponents && data.opponents.length > 1) {
+      result = `took place #${data.place} against`;
+    } else if(data.place == 1) {
+      result = 'drew with';
+    } else {
+      result = 'lost against';
+    }
+    return `${data.scriptName} ${result} ${opponents}`;
+  }
+
+  getContent(item) {
+    const data = item.data;
+    switch(item.event) {
+      case 'client.league.submissionFought':
+        return {
+          icon: 'fas fa-crosshairs',
+          message: this.describeBattle(data),
+          url: `#/league/replay/${data.battleId}`
+        };
+      case 'client.league.rankChanged':
+        return {
+          icon: data.rank < data.previousRank ? 'fas fa-arrow-up' : 'fas fa-arrow-down',
+          message: `${data.scriptName} ${data.rank < data.previousRank ? 'climbed' : 'dropped'} to rank #${data.rank}`,
+          url: '#/league'
+        };
+      case 'client.match.completed':
+        return {
+          icon: 'fas fa-fist-raised',
+          message: 'Your private match has finished',
+          url: data.battleId ? `#/league/replay/${data.battleId}` : '#/matches'
+        };
+      default:
+        return {
+          icon: 'fas fa-info-circle',
+          message: item.event,
+          url: null
+        };
+    }
+  }
+
+  renderItem(item) {
+    const content = this.getContent(item);
+    const className = 'dropdown-item notification-item' + (item.read ? '' : ' notification-unread');
+    const body = <span>
+      <i className={content.icon}></i> {content.message} <small className="text-muted">{new Date(item.createdAt).toLocaleTimeString()}</small>
+    </span>;
+    if(!content.url) {
+      return <span key={item.id} className={className}>{body}</span>;
+    }
+    return <a key={item.id} href={content.url} className={className}>{body}</a>;
+  }
+
+  render() {
+    const unreadCount = this.props.notifications.filter((item) => !item.read).length;
+    let badge = null;
+    if(unreadCount) {
+      badge = <span className="badge badge-danger notification-count">{unreadCount}</span>;
+    }
+    let items = this.props.notifications.map((item) => this.renderItem(item));
+    let clearButton = null;
+    if(items.length) {
+      clearButton = <span className="clickable dropdown-item clear-notifications-button" onClick={() => this.props.onClear()}>
+        <i className="fas fa-trash-alt"></i> Clear all
+      </span>;
+    } else {
+      items = <span className="dropdown-item-text text-muted"><em>No notifications</em></span>;
+    }
+    return <li className="nav-item dropdown">
+      <span className="clickable dropdown-toggle notification-button nav-link" data-toggle="dropdown" role="button" aria-haspopup="true" aria-expanded="false" onClick={() => this.props.onRead()}>
+        <i className="fas fa-bell"></i> {badge}
+      </span>
+      <div className="dropdown-menu dropdown-menu-right notification-dropdown">
+        {items}
+        {clearButton ? <span role="separator" className="dropdown-divider"></span> : null}
+        {clearButton}
+      </div>
+    </li>;
+  }
+}
+
+NotificationCentre.defaultProps = {
+  notifications: [],
+  onRead: () => {},
+  onClear: () => {}
+};
+
+NotificationCentre.propTypes = {
+  notifications: PropTypes.array,
+  onRead: PropTypes.func,
+  onClear: PropTypes.func
+};
@@ -0,0 +1,116 @@
+import React from "react";
+import PropTypes from 'prop-types';
+import Loading from './Loading.js';
+import lineDiff from '../lib/lineDiff.js';
+
+const DIFF_PREFIX = {
+  same: '  ',
+  added: '+ ',
+  removed: '- '
+};
+
+export default class ScriptRevisionHistory extends React.Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      selectedId: null
+    };
+  }
+
+  select(revision) {
+    const current = this.props.revisions[0];
+    this.setState({selectedId: revision.id});
+    [revision.id, current.id]
+      .filter((id) => this.props.revisionCode[id] === undefined)
+      .forEach((id) => this.props.onLoad(id));
+  }
+
+  renderDiff() {
+    const selected = this.props.revisions.find((revision) => revision.id == this.state.selectedId);
+    if(!selected) {
+      return null;
+    }
+    const current = this.props.revisions[0];
+    const oldCode = this.props.revisionCode[selected.id];
+    const newCode = this.props.revisionCode[current.id];
+    if(oldCode === undefined || newCode === undefined) {
+      return <Loading />;
+    }
+    const lines = lineDiff(oldCode, newCode).map((line, index) => <div key={index} className={'diff-' + line.type}>
+      {DIFF_PREFIX[line.type] + line.text}
+    </div>);
+    return <div>
+      <h6>Changes from revision #{selected.revision} to current revision #{current.revision}</h6>
+      <pre className="revision-diff">{lines}</pre>
+    </div>;
+  }
+
+  renderRow(revision, index) {
+    let restoreButton = null;
+    if(index > 0) {
+      restoreButton = <button type="button" className="btn btn-sm btn-warning revision-restore" onClick={() => this.props.onRestore(revision.id)}>
+        <i className="fas fa-undo"></i> Restore
+      </button>;
+    }
+    let active = revision.id == this.state.selectedId ? ' table-active' : '';
+    return <tr key={revision.id} className={'revision-row' + active}>
+      <td>#{revision.revision}</td>
+      <td>{new Date(revision.createdAt).toLocaleString()}</td>
+      <td>{revision.message}</td>
+      <td className="text-right">
+        <div className="btn-group" role="group">
+          <button type="button" className="btn btn-sm btn-secondary revision-compare" onClick={() => this.select(revision)}>
+            <i className="fas fa-exchange-alt"></i> Compare
+          </button>
+          {restoreButton}
+        </div>
+      </td>
+    </tr>;
+  }
+
+  render() {
+    let content;
+    if(this.props.isLoading) {
+      content = <Loading />;
+    } else {
+      content = <div>
+        <table className="table table-sm revision-list">
+          <tbody>
+            {this.props.revisions.map((revision, index) => this.renderRow(revision, index))}
+          </tbody>
+        </table>
+        {this.renderDiff()}
+      </div>;
+    }
+    return <div className="card script-history">
+      <div className="card-body">
+        <button type="button" className="close revision-close" aria-label="Close" onClick={() => this.props.onClose()}>
+          <span aria-hidden="true">&times;</span>
+        </button>
+        <h5 className="card-title">History of {this.props.scriptName}</h5>
+        {content}
+      </div>
+    </div>;
+  }
+}
+
+ScriptRevisionHistory.defaultProps = {
+  scriptName: '',
+  revisions: [],
+  revisionCode: {},
+  isLoading: false,
+  onLoad: () => {},
+  onRestore: () => {},
+  onClose: () => {}
+};
+
+ScriptRevisionHistory.propTypes = {
+  scriptName: PropTypes.string,
+  revisions: PropTypes.array,
+  revisionCode: PropTypes.object,
+  isLoading: PropTypes.bool,
+  onLoad: PropTypes.func,
+  onRestore: PropTypes.func,
+  onClose: PropTypes.func
+};
@@ -74,6 +74,12 @@ export default class ScriptTableRow extends React.Component {
     </Link>;
   }
 
+  renderHistoryButton() {
+    return <button type="button" className="btn btn-secondary tank-history" onClick={() => this.props.onHistory(this.props.id)}>
+      <i className="fas fa-history" aria-hidden="true"></i>
+    </button>;
+  }
+
   renderDifficulty(id, rank) {
     let difficultyStars = [];
     if(rank) {
@@ -117,6 +123,7 @@ export default class ScriptTableRow extends React.Component {
       <td className="text-right tank-actions">
         <div className="btn-group" role="group" aria-label="...">
           {this.props.link ? this.renderEditButton() : null}
+          {this.props.onHistory ? this.renderHistoryButton() : null}
           {this.props.onDelete ? this.renderDeleteButton() : null}
         </div>
       </td>
@@ -141,6 +148,7 @@ ScriptTableRow.defaultProps = {
   link: '',
   difficulty: undefined,
   onDelete: () => {},
+  onHistory: null,
 };
 
 ScriptTableRow.propTypes = {
@@ -149,4 +157,5 @@ ScriptTableRow.propTypes = {
   link: PropTypes.string,
   difficulty: PropTypes.number,
   onDelete: PropTypes.func,
+  onHistory: PropTypes.func,
 };
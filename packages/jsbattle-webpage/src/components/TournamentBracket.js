@@ -0,0 +1,101 @@
+import React from "react";
+import PropTypes from 'prop-types';
+
+const BRACKET_LABELS = {
+  winners: 'Bracket',
+  losers: 'Losers bracket',
+  final: 'Grand final',
+  group: 'Rounds'
+};
+
+export default class TournamentBracket extends React.Component {
+
+  getName(participantId) {
+    const participant = this.props.participants.find((item) => item.id == participantId);
+    return participant ? `${participant.ownerName} / ${participant.scriptName}` : '';
+  }
+
+  renderSlot(match, index) {
+    const participantId = match.slots[index].participantId;
+    let name;
+    if(participantId) {
+      name = this.getName(participantId);
+    } else if(match.status == 'finished') {
+      name = <em className="text-muted">bye</em>;
+    } else {
+      name = <em className="text-muted">TBD</em>;
+    }
+    const isWinner = match.status == 'finished' && participantId && match.winnerId == participantId;
+    const badge = isWinner ? <span className="badge badge-danger"><i className="fas fa-trophy"></i></span> : null;
+    return <tr className={isWinner ? 'match-winner' : ''}>
+      <td>{badge} {name}</td>
+      <td className="text-right">{match.walkover || !participantId ? '' : match.wins[index]}</td>
+    </tr>;
+  }
+
+  renderMatch(match) {
+    const games = match.games.map((game, index) => <a
+        key={game.battleId}
+        href={`#/league/replay/${game.battleId}`}
+        className="btn btn-sm btn-primary watch-button"
+        style={{marginRight: '0.3em'}}
+      >
+        <span className="fas fa-tv"></span> {index + 1}
+      </a>);
+    const playing = match.status == 'playing' ? <span className="badge badge-warning">playing</span> : null;
+    return <div key={match.id} className="card bg-dark text-white tournament-match" style={{marginBottom: '1em'}}>
+      <div className="card-body" style={{padding: '0.5em'}}>
+        <table className="table table-sm table-dark" style={{marginBottom: '0.3em'}}>
+          <tbody>
+            {this.renderSlot(match, 0)}
+            {this.renderSlot(match, 1)}
+          </tbody>
+        </table>
+        <small className="text-muted">{match.id}</small> {playing} {games}
+      </div>
+    </div>;
+  }
+
+  renderBracket(bracket, matches) {
+    const rounds = [];
+    for(let match of matches) {
+      rounds[match.round - 1] = rounds[match.round - 1] || [];
+      rounds[match.round - 1].push(match);
+    }
+    const columns = rounds.map((roundMatches, index) => <div key={index} className="tournament-round" style={{minWidth: '250px', marginRight: '1em'}}>
+      <h6>Round {index + 1}</h6>
+      {roundMatches.map((match) => this.renderMatch(match))}
+    </div>);
+    return <div key={bracket} className={`tournament-bracket bracket-${bracket}`}>
+      <h5>{BRACKET_LABELS[bracket] || bracket}</h5>
+      <div style={{display: 'flex', alignItems: 'center', overflowX: 'auto'}}>
+        {columns}
+      </div>
+    </div>;
+  }
+
+  render() {
+    const brackets = Object.keys(BRACKET_LABELS)
+      .map((bracket) => [bracket, this.props.matches.filter((match) => match.bracket == bracket)])
+      .filter((item) => item[1].length > 0)
+      .map((item) => this.renderBracket(item[0], item[1]));
+    if(brackets.length == 0) {
+      return <div className="tournament-brackets">
+        <i className="fas fa-info-circle"></i> <em>The tournament has not started yet</em>
+      </div>;
+    }
+    return <div className="tournament-brackets">
+      {brackets}
+    </div>;
+  }
+}
+
+TournamentBracket.defaultProps = {
+  matches: [],
+  participants: []
+};
+
+TournamentBracket.propTypes = {
+  matches: PropTypes.array,
+  participants: PropTypes.array
+};
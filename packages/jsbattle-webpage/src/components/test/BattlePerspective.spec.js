@@ -0,0 +1,41 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import BattlePerspective, {listObservers} from '../BattlePerspective.js';
+
+const tankList = [{id: 1, name: 'alpha #1'}, {id: 2, name: 'beta #1'}];
+
+test('list teams and tanks', () => {
+  const wrapper = mount(<BattlePerspective tankList={tankList} teamList={['alpha', 'beta']}/>);
+  expect(wrapper.find('option')).toHaveLength(5);
+  expect(wrapper.find('select').prop('value')).toBe('all');
+});
+
+test('select perspective of a tank or a team', () => {
+  const onChange = jest.fn();
+  const wrapper = mount(<BattlePerspective tankList={tankList} teamList={['alpha']} onChange={onChange}/>);
+  wrapper.find('select').simulate('change', {target: {value: 'tank:2'}});
+  wrapper.find('select').simulate('change', {target: {value: 'team:alpha'}});
+  wrapper.find('select').simulate('change', {target: {value: 'all'}});
+  expect(onChange.mock.calls[0][0]).toEqual({tankId: 2});
+  expect(onChange.mock.calls[1][0]).toEqual({team: 'alpha'});
+  expect(onChange.mock.calls[2][0]).toBe(null);
+});
+
+test('show selected perspective', () => {
+  const wrapper = mount(<BattlePerspective tankList={tankList} value={{tankId: 1}}/>);
+  expect(wrapper.find('select').prop('value')).toBe('tank:1');
+});
+
+test('reset perspective that does not match the battle', () => {
+  const battlefield = {
+    tankList: [{id: 1, fullName: 'alpha #1'}, {id: 2, fullName: 'alpha #2'}],
+    teamList: [{name: 'alpha', size: 2}, {name: 'beta', size: 1}]
+  };
+  let result = listObservers(battlefield, {tankId: 2});
+  expect(result.tankList).toEqual([{id: 1, name: 'alpha #1'}, {id: 2, name: 'alpha #2'}]);
+  expect(result.teamList).toEqual(['alpha']);
+  expect(result.perspective).toEqual({tankId: 2});
+  expect(listObservers(battlefield, {team: 'alpha'}).perspective).toEqual({team: 'alpha'});
+  expect(listObservers(battlefield, {team: 'beta'}).perspective).toBe(null);
+  expect(listObservers(battlefield, {tankId: 7}).perspective).toBe(null);
+});
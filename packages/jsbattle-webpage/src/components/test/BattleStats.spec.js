@@ -0,0 +1,32 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import BattleStats from '../BattleStats.js';
+
+test('renders nothing without statistics', () => {
+  const wrapper = mount(<BattleStats />);
+  expect(wrapper.find('.battle-stats')).toHaveLength(0);
+});
+
+test('renders statistics of teams', () => {
+  const teamList = [
+    {
+      name: 'alpha',
+      stats: {shots: 12, hits: 3, accuracy: 0.25, damageDealt: 42.17, damageReceived: 10, distance: 830.6, boostTime: 1530, skippedSteps: 4}
+    },
+    {
+      name: 'bravo',
+      stats: {shots: 0, hits: 0, accuracy: 0, damageDealt: 0, damageReceived: 42.17, distance: 0, boostTime: 0}
+    }
+  ];
+  const wrapper = mount(<BattleStats teamList={teamList} />);
+  expect(wrapper.find('thead th').at(1).text()).toBe('alpha');
+  expect(wrapper.find('thead th').at(2).text()).toBe('bravo');
+  expect(wrapper.find('.stats-shots td').at(1).text()).toBe('12');
+  expect(wrapper.find('.stats-accuracy td').at(1).text()).toBe('25%');
+  expect(wrapper.find('.stats-damageDealt td').at(1).text()).toBe('42.2');
+  expect(wrapper.find('.stats-damageReceived td').at(2).text()).toBe('42.2');
+  expect(wrapper.find('.stats-distance td').at(1).text()).toBe('831');
+  expect(wrapper.find('.stats-boostTime td').at(1).text()).toBe('1.5s');
+  expect(wrapper.find('.stats-skippedSteps td').at(1).text()).toBe('4');
+  expect(wrapper.find('.stats-skippedSteps td').at(2).text()).toBe('0');
+});
@@ -0,0 +1,55 @@
+import React from 'react';
+import {mount} from 'enzyme';
+import BattleTimeline from '../BattleTimeline.js';
+
+test('display time of the battle', () => {
+  const wrapper = mount(<BattleTimeline timeElapsed={65400} timeLimit={90000}/>);
+  expect(wrapper.find('.battle-time').text()).toEqual('1:05 / 1:30');
+});
+
+test('pause and resume the battle', () => {
+  const onPause = jest.fn();
+  const onResume = jest.fn();
+  const wrapper = mount(<BattleTimeline paused={false} onPause={onPause} onResume={onResume}/>);
+  expect(wrapper.find('.battle-step').prop('disabled')).toBe(true);
+  wrapper.find('.battle-pause').simulate('click');
+  expect(onPause.mock.calls).toHaveLength(1);
+
+  wrapper.setProps({paused: true});
+  expect(wrapper.find('.battle-step').prop('disabled')).toBe(false);
+  wrapper.find('.battle-resume').simulate('click');
+  expect(onResume.mock.calls).toHaveLength(1);
+});
+
+test('step forward', () => {
+  const onStepForward = jest.fn();
+  const wrapper = mount(<BattleTimeline paused={true} onStepForward={onStepForward}/>);
+  wrapper.find('.battle-step').simulate('click');
+  expect(onStepForward.mock.calls).toHaveLength(1);
+});
+
+test('seek when scrubber is released', () => {
+  const onSeek = jest.fn();
+  const wrapper = mount(<BattleTimeline timeElapsed={1000} timeLimit={30000} canRewind={true} onSeek={onSeek}/>);
+  wrapper.find('.battle-scrubber').simulate('change', {target: {value: '500'}});
+  expect(onSeek.mock.calls).toHaveLength(0);
+  expect(wrapper.find('.battle-scrubber').prop('value')).toBe(500);
+  wrapper.find('.battle-scrubber').simulate('mouseUp');
+  expect(onSeek.mock.calls).toHaveLength(1);
+  expect(onSeek.mock.calls[0][0]).toBe(500);
+  expect(wrapper.find('.battle-scrubber').prop('value')).toBe(1000);
+});
+
+test('do not rewind when it is not allowed', () => {
+  const onSeek = jest.fn();
+  const wrapper = mount(<BattleTimeline timeElapsed={1000} timeLimit={30000} canRewind={false} onSeek={onSeek}/>);
+  wrapper.find('.battle-scrubber').simulate('change', {target: {value: '500'}});
+  wrapper.find('.battle-scrubber').simulate('mouseUp');
+  expect(onSeek.mock.calls[0][0]).toBe(1000);
+});
+
+test('hide scrubber for battles without time limit', () => {
+  const wrapper = mount(<BattleTimeline timeElapsed={1000} timeLimit={0}/>);
+  expect(wrapper.find('.battle-scrubber')).toHaveLength(0);
+  expect(wrapper.find('.battle-time').text()).toEqual('0:01');
+});
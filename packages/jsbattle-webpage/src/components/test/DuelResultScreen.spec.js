@@ -68,3 +68,21 @@ test('hide header', () => {
   />);
   expect(wrapper.render().find('.result-title')).toHaveLength(0);
 });
+
+test('renders placing of free-for-all battle', () => {
+  const wrapper = mount(<DuelResultScreen
+    showHeader={false}
+    placing={[
+      {name: 'alpha83', skin: 'lava', score: 343.7, place: 1},
+      {name: 'beta6', skin: 'desert', score: 62, place: 2},
+      {name: 'gamma1', skin: 'ocean', score: 62, place: 2},
+      {name: 'delta9', skin: 'forest', score: 12.04, place: 4}
+    ]}
+  />);
+  const rows = wrapper.render().find('.placing-table tbody tr');
+  expect(rows).toHaveLength(4);
+  expect(wrapper.render().find('.placing-winner .placing-name').text()).toBe('alpha83');
+  expect(rows.eq(2).find('.placing-place').text()).toMatch(/#2/);
+  expect(rows.eq(3).find('.placing-score').text()).toBe('12.0');
+  expect(wrapper.render().find('.winner-label')).toHaveLength(0);
+});
@@ -91,3 +91,24 @@ test('list battles', () => {
   expect(wrapper.find('tr').at(2).find('a').prop('href')).toMatch(new RegExp(data[2].id));
 
 });
+
+test('list free-for-all battles', () => {
+  const data = [
+    {
+      id: 'f8AxQ1mnX2pd7Rtu',
+      createdAt: new Date('2020-05-29T11:10:41.188Z'),
+      players: [
+        {id: 'a1', name: 'jsbattle/sniper', place: 3, winner: false},
+        {id: 'a2', name: 'jsbattle/chicken', place: 1, winner: true},
+        {id: 'a3', name: 'jsbattle/crazy', place: 2, winner: false},
+        {id: 'a4', name: 'jsbattle/dodge', place: 4, winner: false}
+      ]
+    }
+  ];
+  const wrapper = shallow(<LeagueHistory data={data} selectedId="a4" />);
+  const row = wrapper.find('tr').at(0);
+  expect(row.find('td').at(1).text()).toMatch(/jsbattle\/chicken/);
+  expect(row.find('td').at(1).find('i').prop('className')).toMatch(/trophy/i);
+  expect(row.find('.ffa-opponents').text()).toMatch(/jsbattle\/crazy, jsbattle\/sniper, jsbattle\/dodge/);
+  expect(row.prop('style')).toHaveProperty('backgroundColor');
+});
@@ -6,6 +6,7 @@ import Loading from '../Loading.js';
 import InfoBox from '../InfoBox.js';
 import JsBattle from 'jsbattle-engine';
 import JsBattleBattlefield from "jsbattle-react";
+import BattleTimeline from '../BattleTimeline.js';
 
 let logOrig;
 let warnOrig;
@@ -51,6 +52,24 @@ test('include custom tab', async () => {
 
 });
 
+test('pause the battle', async () => {
+  let aiDef = JsBattle.createAiDefinition();
+  aiDef.fromCode('opponent', "tank.loop(function(state, control) { });");
+  const wrapper = shallow(<LiveCode
+    renderer="void"
+    disableSandbox={true}
+    code="tank.loop(function(state, control) { });"
+    aiDefList={[aiDef]}
+  />);
+  expect(wrapper.find(JsBattleBattlefield).prop('paused')).toBe(false);
+  wrapper.find(BattleTimeline).props().onPause();
+  expect(wrapper.find(JsBattleBattlefield).prop('paused')).toBe(true);
+  expect(wrapper.find(BattleTimeline).prop('paused')).toBe(true);
+  expect(wrapper.find(BattleTimeline).prop('canRewind')).toBe(false);
+  wrapper.find(BattleTimeline).props().onResume();
+  expect(wrapper.find(JsBattleBattlefield).prop('paused')).toBe(false);
+});
+
 test('displays loading', async () => {
   const wrapper = shallow(<LiveCode renderer="void" disableSandbox={true} isLoading={true}/>);
   await new Promise((resolve) => setTimeout(resolve, 100));
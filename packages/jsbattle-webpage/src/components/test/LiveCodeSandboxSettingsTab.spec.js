@@ -76,3 +76,39 @@ test('lock rng', () => {
   expect(onRngLock.mock.calls[0][0]).toBe(false);
 
 });
+
+test('change map', () => {
+  const onMapChange = jest.fn();
+  const maps = [
+    {name: 'arena', label: 'Open Arena'},
+    {name: 'bunkers', label: 'Bunkers'}
+  ];
+  const wrapper = shallow(<LiveCodeSandboxSettingsTab
+      maps={maps}
+      map='arena'
+      onMapChange={onMapChange}
+    />);
+  expect(wrapper.find('#map').text()).toMatch(/Bunkers/);
+  expect(wrapper.find('#map').props().value).toBe('arena');
+  wrapper.find('#map').simulate('change', {target: { value : 'bunkers'}});
+  expect(onMapChange.mock.calls).toHaveLength(1);
+  expect(onMapChange.mock.calls[0][0]).toBe('bunkers');
+});
+
+test('change game mode', () => {
+  const onGameModeChange = jest.fn();
+  const gameModes = [
+    {name: 'deathmatch', label: 'Deathmatch'},
+    {name: 'koth', label: 'King of the Hill'}
+  ];
+  const wrapper = shallow(<LiveCodeSandboxSettingsTab
+      gameModes={gameModes}
+      gameMode='deathmatch'
+      onGameModeChange={onGameModeChange}
+    />);
+  expect(wrapper.find('#gameMode').text()).toMatch(/King of the Hill/);
+  expect(wrapper.find('#gameMode').props().value).toBe('deathmatch');
+  wrapper.find('#gameMode').simulate('change', {target: { value : 'koth'}});
+  expect(onGameModeChange.mock.calls).toHaveLength(1);
+  expect(onGameModeChange.mock.calls[0][0]).toBe('koth');
+});
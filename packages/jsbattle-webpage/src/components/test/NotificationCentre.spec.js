@@ -0,0 +1,56 @@
+import React from 'react';
+import {shallow} from 'enzyme';
+import NotificationCentre from '../NotificationCentre.js';
+
+const notifications = [
+  {
+    id: 3,
+    event: 'client.match.completed',
+    data: {id: 'm1', battleId: 'b3421'},
+    createdAt: '2020-04-01T10:00:00.000Z',
+    read: false
+  },
+  {
+    id: 2,
+    event: 'client.league.rankChanged',
+    data: {leagueId: 'l1', scriptName: 'sniper', rank: 3, previousRank: 7},
+    createdAt: '2020-04-01T09:00:00.000Z',
+    read: false
+  },
+  {
+    id: 1,
+    event: 'client.league.submissionFought',
+    data: {leagueId: 'l1', battleId: 'b8234', scriptName: 'sniper', opponents: ['john/chicken'], place: 2, winner: false},
+    createdAt: '2020-04-01T08:00:00.000Z',
+    read: true
+  }
+];
+
+test('show empty list', () => {
+  const wrapper = shallow(<NotificationCentre />);
+  expect(wrapper.find('.notification-count')).toHaveLength(0);
+  expect(wrapper.find('.notification-dropdown').text()).toMatch(/no notifications/i);
+});
+
+test('list notifications', () => {
+  const wrapper = shallow(<NotificationCentre notifications={notifications} />);
+  expect(wrapper.find('.notification-count').text()).toBe('2');
+  const items = wrapper.find('.notification-item');
+  expect(items).toHaveLength(3);
+  expect(items.at(0).prop('href')).toBe('#/league/replay/b3421');
+  expect(items.at(0).text()).toMatch(/private match has finished/i);
+  expect(items.at(1).text()).toMatch(/sniper climbed to rank #3/);
+  expect(items.at(2).text()).toMatch(/sniper lost against john\/chicken/);
+  expect(items.at(2).prop('href')).toBe('#/league/replay/b8234');
+  expect(wrapper.find('.notification-unread')).toHaveLength(2);
+});
+
+test('read and clear notifications', () => {
+  const onRead = jest.fn();
+  const onClear = jest.fn();
+  const wrapper = shallow(<NotificationCentre notifications={notifications} onRead={onRead} onClear={onClear} />);
+  wrapper.find('.notification-button').simulate('click');
+  expect(onRead.mock.calls).toHaveLength(1);
+  wrapper.find('.clear-notifications-button').simulate('click');
+  expect(onClear.mock.calls).toHaveLength(1);
+});
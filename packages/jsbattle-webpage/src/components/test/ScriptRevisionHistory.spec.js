@@ -0,0 +1,50 @@
+import 'babel-polyfill';
+import React from 'react';
+import {shallow} from 'enzyme';
+import ScriptRevisionHistory from '../ScriptRevisionHistory.js';
+import Loading from '../Loading.js';
+
+const revisions = [
+  {id: 'rev3', revision: 3, message: 'faster turret', createdAt: new Date().toISOString()},
+  {id: 'rev2', revision: 2, message: '', createdAt: new Date().toISOString()},
+  {id: 'rev1', revision: 1, message: '', createdAt: new Date().toISOString()}
+];
+
+test('Renders list of revisions', () => {
+  const wrapper = shallow(<ScriptRevisionHistory scriptName="alpha8742" revisions={revisions} />);
+  expect(wrapper.find('.card-title').text()).toMatch(/alpha8742/);
+  expect(wrapper.find('tr.revision-row')).toHaveLength(3);
+  expect(wrapper.find('tr.revision-row').at(0).text()).toMatch(/faster turret/);
+  expect(wrapper.find('button.revision-restore')).toHaveLength(2);
+});
+
+test('Renders loading', () => {
+  const wrapper = shallow(<ScriptRevisionHistory revisions={revisions} isLoading={true} />);
+  expect(wrapper.find(Loading)).toHaveLength(1);
+  expect(wrapper.find('tr.revision-row')).toHaveLength(0);
+});
+
+test('Loads code of compared revisions', () => {
+  const onLoad = jest.fn();
+  const wrapper = shallow(<ScriptRevisionHistory revisions={revisions} revisionCode={{rev3: '// new'}} onLoad={onLoad} />);
+  wrapper.find('button.revision-compare').at(2).simulate('click');
+  expect(onLoad.mock.calls).toHaveLength(1);
+  expect(onLoad.mock.calls[0][0]).toBe('rev1');
+  expect(wrapper.find(Loading)).toHaveLength(1);
+});
+
+test('Shows diff to the current revision', () => {
+  const wrapper = shallow(<ScriptRevisionHistory revisions={revisions} revisionCode={{rev3: '// new\nfire()', rev1: '// old\nfire()'}} />);
+  wrapper.find('button.revision-compare').at(2).simulate('click');
+  expect(wrapper.find('.revision-diff .diff-removed').text()).toMatch(/old/);
+  expect(wrapper.find('.revision-diff .diff-added').text()).toMatch(/new/);
+  expect(wrapper.find('.revision-diff .diff-same')).toHaveLength(1);
+});
+
+test('Restores revision', () => {
+  const onRestore = jest.fn();
+  const wrapper = shallow(<ScriptRevisionHistory revisions={revisions} onRestore={onRestore} />);
+  wrapper.find('button.revision-restore').at(1).simulate('click');
+  expect(onRestore.mock.calls).toHaveLength(1);
+  expect(onRestore.mock.calls[0][0]).toBe('rev1');
+});
@@ -0,0 +1,66 @@
+import React from 'react';
+import {shallow} from 'enzyme';
+import TournamentBracket from '../TournamentBracket.js';
+
+const participants = [
+  {id: 'u1', ownerName: 'monica', scriptName: 'sniper'},
+  {id: 'u2', ownerName: 'john', scriptName: 'chicken'},
+  {id: 'u3', ownerName: 'eve', scriptName: 'crawler'}
+];
+
+function createMatch(id, round, slots, extra) {
+  return {
+    id,
+    bracket: 'winners',
+    round,
+    stage: round,
+    slots: slots.map((participantId) => ({participantId, source: null})),
+    status: 'pending',
+    wins: [0, 0],
+    games: [],
+    winnerId: null,
+    loserId: null,
+    walkover: false,
+    ...extra
+  };
+}
+
+test('Renders empty', () => {
+  const wrapper = shallow(<TournamentBracket />);
+  expect(wrapper.render().text()).toMatch(/has not started/i);
+});
+
+test('Renders rounds of the bracket', () => {
+  const matches = [
+    createMatch('W1.1', 1, ['u1', null], {status: 'finished', winnerId: 'u1', walkover: true}),
+    createMatch('W1.2', 1, ['u2', 'u3'], {
+      status: 'finished',
+      winnerId: 'u3',
+      loserId: 'u2',
+      wins: [0, 1],
+      games: [{battleId: 'b8723', scores: [10, 40], winnerIndex: 1}]
+    }),
+    createMatch('W2.1', 2, ['u1', 'u3'], {status: 'playing'})
+  ];
+  const wrapper = shallow(<TournamentBracket matches={matches} participants={participants} />);
+  expect(wrapper.find('.tournament-round')).toHaveLength(2);
+  expect(wrapper.find('.tournament-match')).toHaveLength(3);
+  expect(wrapper.find('.match-winner')).toHaveLength(2);
+  expect(wrapper.render().text()).toMatch(/bye/);
+  expect(wrapper.render().text()).toMatch(/eve \/ crawler/);
+  expect(wrapper.find('.badge-warning').text()).toMatch(/playing/);
+  expect(wrapper.find('.watch-button')).toHaveLength(1);
+  expect(wrapper.find('.watch-button').prop('href')).toBe('#/league/replay/b8723');
+});
+
+test('Renders losers bracket and final separately', () => {
+  const matches = [
+    createMatch('W1.1', 1, ['u1', 'u2']),
+    createMatch('L1.1', 1, [null, null], {bracket: 'losers'}),
+    createMatch('F1.1', 1, [null, null], {bracket: 'final'})
+  ];
+  const wrapper = shallow(<TournamentBracket matches={matches} participants={participants} />);
+  expect(wrapper.find('.tournament-bracket')).toHaveLength(3);
+  expect(wrapper.find('.bracket-losers').render().text()).toMatch(/Losers bracket/);
+  expect(wrapper.find('.bracket-final').render().text()).toMatch(/TBD/);
+});
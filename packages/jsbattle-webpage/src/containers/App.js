@@ -7,6 +7,9 @@ import ScriptListScreen from './ScriptListScreen.js';
 import SandboxScreen from './SandboxScreen.js';
 import LeagueScreen from './LeagueScreen.js';
 import LeagueReplayScreen from './LeagueReplayScreen.js';
+import TournamentListScreen from './TournamentListScreen.js';
+import TournamentScreen from './TournamentScreen.js';
+import MatchListScreen from './MatchListScreen.js';
 import SignInScreen from './SignInScreen.js';
 import RegisterScreen from './RegisterScreen.js';
 import Navi from './Navi.js';
@@ -64,6 +67,9 @@ class App extends Component {
               <Route exact path="/sandbox" component={ScriptListScreen} />
               <Route exact path="/league" component={LeagueScreen} />
               <Route exact path="/league/replay/:id" component={LeagueReplayScreen} />
+              <Route exact path="/tournament" component={TournamentListScreen} />
+              <Route exact path="/tournament/:id" component={TournamentScreen} />
+              <Route exact path="/matches" component={MatchListScreen} />
               {signInRoute}
               <Route path="/" component={Footer} />
             </div>
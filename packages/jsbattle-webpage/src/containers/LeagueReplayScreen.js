@@ -1,6 +1,8 @@
 import FullRow from "../components/FullRow.js";
 import Loading from "../components/Loading.js";
 import DuelResultScreen from "../components/DuelResultScreen.js";
+import BattleStats from "../components/BattleStats.js";
+import BattleTimeline from "../components/BattleTimeline.js";
 import React from "react";
 import {connect} from 'react-redux';
 import PropTypes from 'prop-types';
@@ -20,10 +22,16 @@ export class LeagueReplayScreen extends React.Component {
   constructor(props) {
     super(props);
 
+    this.battlefield = null;
     this.state = {
       aiDefList: this.createAiDefList(props.aiDefList),
       completed: false,
-      battleLoading: true
+      statsList: [],
+      placing: [],
+      battleLoading: true,
+      paused: false,
+      timeElapsed: 0,
+      timeLimit: props.timeLimit
     };
   }
 
@@ -66,6 +74,7 @@ export class LeagueReplayScreen extends React.Component {
     const loser = result.teamList.find((team) => team.name != winner.name);
 
     this.setState({
+      placing: this.getPlacing(result.teamList),
       completed: true,
       winnerName: winner.name,
       loserName: loser.name,
@@ -73,10 +82,30 @@ export class LeagueReplayScreen extends React.Component {
       loserSkin: loser.members[0].skin,
       winnerScore: winner.score,
       loserScore: loser.score,
+      statsList: result.stats ? result.stats.teamList : [],
       battleLoading: false
     });
   }
 
+  /*
+   * places stored with the battle take disqualifications into account. Replays
+   * of older battles are placed by score
+   */
+  getPlacing(teamList) {
+    return teamList
+      .map((team) => {
+        const stored = this.props.result.find((item) => item.name == team.name);
+        const place = stored && stored.place ? stored.place : teamList.filter((other) => other.score > team.score).length + 1;
+        return {
+          name: team.name,
+          skin: team.members[0].skin,
+          score: team.score,
+          place
+        };
+      })
+      .sort((a, b) => a.place - b.place);
+  }
+
   handleBattleError(error) {
     this.setState({
       battleLoading: false
@@ -85,7 +114,28 @@ export class LeagueReplayScreen extends React.Component {
   }
 
   handleBattleInit() {
-    this.setState({battleLoading: true});
+    this.setState({battleLoading: true, paused: false, timeElapsed: 0});
+  }
+
+  handleBattleRender(simulation) {
+    if(this.state.timeElapsed != simulation.timeElapsed || this.state.timeLimit != simulation.timeLimit) {
+      this.setState({
+        timeElapsed: simulation.timeElapsed,
+        timeLimit: simulation.timeLimit
+      });
+    }
+  }
+
+  handleSeek(time) {
+    if(this.battlefield) {
+      this.battlefield.seek(time);
+    }
+  }
+
+  handleStepForward() {
+    if(this.battlefield) {
+      this.battlefield.stepForward();
+    }
   }
 
   handleBattleLoaded() {
@@ -98,10 +148,9 @@ export class LeagueReplayScreen extends React.Component {
     }
 
     let label;
-    if(this.props.result.length == 2) {
-      const name1 = this.props.result[0].name.replace(/(.*)\/(.*)/g, '$1 ($2)');
-      const name2 = this.props.result[1].name.replace(/(.*)\/(.*)/g, '$1 ($2)');
-      label = <span>{name1} vs {name2}</span>;
+    if(this.props.result.length >= 2) {
+      const names = this.props.result.map((team) => team.name.replace(/(.*)\/(.*)/g, '$1 ($2)'));
+      label = <span>{names.join(' vs ')}</span>;
     } else {
       label = "Replay";
     }
@@ -109,21 +158,40 @@ export class LeagueReplayScreen extends React.Component {
     let battlefieldLoading = this.state.battleLoading ? <Loading /> : null;
 
     if(this.state.aiDefList.length && !this.state.completed) {
-      battlefield = <JsBattleBattlefield
-        debug={this.props.debug}
-        autoResize={true}
-        rngSeed={this.props.rngSeed}
-        timeLimit={this.props.timeLimit}
-        teamMode={this.props.teamMode}
-        speed={this.props.simSpeed}
-        quality={this.props.simQuality}
-        renderer={this.props.renderer}
-        aiDefList={this.state.aiDefList}
-        onInit={() => this.handleBattleInit()}
-        onStart={() => this.handleBattleLoaded()}
-        onFinish={(result) => this.handleBattleFinish(result)}
-        onError={(error) => this.handleBattleError(error)}
-      />;
+      battlefield = <div>
+        <JsBattleBattlefield
+          ref={(b) => this.battlefield = b }
+          debug={this.props.debug}
+          autoResize={true}
+          rngSeed={this.props.rngSeed}
+          timeLimit={this.props.timeLimit}
+          teamMode={this.props.teamMode}
+          timeline={this.props.timeline}
+          map={this.props.map}
+          rules={this.props.rules}
+          mode={this.props.mode}
+          paused={this.state.paused}
+          speed={this.props.simSpeed}
+          quality={this.props.simQuality}
+          renderer={this.props.renderer}
+          aiDefList={this.state.aiDefList}
+          onInit={() => this.handleBattleInit()}
+          onStart={() => this.handleBattleLoaded()}
+          onRender={(simulation) => this.handleBattleRender(simulation)}
+          onFinish={(result) => this.handleBattleFinish(result)}
+          onError={(error) => this.handleBattleError(error)}
+        />
+        <BattleTimeline
+          timeElapsed={this.state.timeElapsed}
+          timeLimit={this.state.timeLimit}
+          paused={this.state.paused}
+          canRewind={Boolean(this.props.timeline)}
+          onPause={() => this.setState({paused: true})}
+          onResume={() => this.setState({paused: false})}
+          onStepForward={() => this.handleStepForward()}
+          onSeek={(time) => this.handleSeek(time)}
+        />
+      </div>;
     } else if(this.state.completed) {
       battlefield = <div className="text-center">
           <DuelResultScreen
@@ -134,7 +202,9 @@ export class LeagueReplayScreen extends React.Component {
             loserSkin={this.state.loserSkin}
             winnerScore={this.state.winnerScore}
             loserScore={this.state.loserScore}
+            placing={this.state.placing}
           />
+          <BattleStats teamList={this.state.statsList} />
           <button className="btn btn-lg btn-primary restart-battle" onClick={() => this.setState({completed: false})}>
             <i className="fas fa-play"></i> Replay
           </button>
@@ -170,6 +240,10 @@ LeagueReplayScreen.defaultProps = {
   rngSeed: 0,
   teamMode: true,
   timeLimit: 10000,
+  timeline: undefined,
+  map: undefined,
+  rules: undefined,
+  mode: undefined,
   result: [],
   aiDefList: [],
   simQuality: 'auto',
@@ -187,6 +261,10 @@ LeagueReplayScreen.propTypes = {
   aiDefList: PropTypes.array,
   timeLimit: PropTypes.number,
   teamMode: PropTypes.bool,
+  timeline: PropTypes.object,
+  map: PropTypes.string,
+  rules: PropTypes.object,
+  mode: PropTypes.object,
   simSpeed: PropTypes.number,
   renderer: PropTypes.string,
   getLeagueReplay: PropTypes.func,
@@ -200,6 +278,10 @@ const mapStateToProps = (state) => ({
   rngSeed: state.league.replay.rngSeed,
   timeLimit: state.league.replay.timeLimit,
   teamMode: state.league.replay.teamMode,
+  timeline: state.league.replay.timeline,
+  map: state.league.replay.map,
+  rules: state.league.replay.rules,
+  mode: state.league.replay.mode,
   simQuality: state.settings.simQuality,
   simSpeed: state.settings.simSpeed,
 });
@@ -19,6 +19,9 @@ import {
   leaveLeague,
   getLeaguePreview
 } from '../actions/leagueAction.js';
+import {
+  createMatch
+} from '../actions/matchAction.js';
 import {
   wsConnect,
   wsDisconnect
@@ -44,6 +47,12 @@ export class LeagueScreen extends React.Component {
     }
   }
 
+  challenge(item) {
+    this.props.createMatch(this.props.submission.scriptId, 'league', item.id);
+    // results of private matches are listed on the matches screen
+    this.props.history.push('/matches');
+  }
+
   renderTableRow(item) {
     let actions = null;
     if(this.props.submission && this.props.submission.id != item.id) {
@@ -52,6 +61,9 @@ export class LeagueScreen extends React.Component {
         <a href={url} className="btn btn-primary btn-sm fight-button">
           <i className="fas fa-crosshairs"></i> Fight
         </a>
+        <button type="button" className="btn btn-primary btn-sm challenge-button" style={{marginLeft: '0.3em'}} onClick={() => this.challenge(item)}>
+          <i className="fas fa-fist-raised"></i> Challenge
+        </button>
       </td>;
     } else if(this.props.submission && this.props.submission.id === item.id) {
       actions = <td className="text-right">
@@ -184,6 +196,7 @@ export class LeagueScreen extends React.Component {
 }
 
 LeagueScreen.defaultProps = {
+  history: {push: () => {}},
   isAuthorized: false,
   tankList: [],
   submission: null,
@@ -196,12 +209,14 @@ LeagueScreen.defaultProps = {
   getLeaguePreview: () => {},
   joinLeague: () => {},
   leaveLeague: () => {},
+  createMatch: () => {},
   notifyLeagueOpen: () => {},
   wsConnect: () => {},
   wsDisconnect: () => {},
 };
 
 LeagueScreen.propTypes = {
+  history: PropTypes.object,
   isAuthorized: PropTypes.bool,
   tankList: PropTypes.array,
   submission: PropTypes.object,
@@ -213,6 +228,7 @@ LeagueScreen.propTypes = {
   getLeaguePreview: PropTypes.func,
   joinLeague: PropTypes.func,
   leaveLeague: PropTypes.func,
+  createMatch: PropTypes.func,
   notifyLeagueOpen: PropTypes.func,
   wsConnect: PropTypes.func,
   wsDisconnect: PropTypes.func,
@@ -247,6 +263,9 @@ const mapDispatchToProps = (dispatch) => ({
   leaveLeague: () => {
     dispatch(leaveLeague());
   },
+  createMatch: (scriptId, opponentType, opponentId) => {
+    dispatch(createMatch(scriptId, opponentType, opponentId));
+  },
   notifyLeagueOpen: () => {
     dispatch(notifyLeagueOpen());
   },
@@ -0,0 +1,253 @@
+import FullRow from "../components/FullRow.js";
+import Row from "../components/Row.js";
+import Col from "../components/Col.js";
+import Loading from "../components/Loading.js";
+import React from "react";
+import {Link} from 'react-router-dom';
+import {connect} from 'react-redux';
+import {
+  getSandboxAiScriptList
+} from '../actions/sandboxAction.js';
+import {
+  getMatchList,
+  createMatch,
+  shareAiScript
+} from '../actions/matchAction.js';
+import {
+  wsConnect,
+  wsDisconnect
+} from '../actions/wsAction.js';
+import PropTypes from 'prop-types';
+
+export class MatchListScreen extends React.Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      scriptId: null,
+      opponentId: ''
+    };
+  }
+
+  componentDidMount() {
+    if(this.props.isAuthorized) {
+      this.props.getSandboxAiScriptList(true);
+      this.props.getMatchList();
+      this.props.wsConnect();
+    }
+  }
+
+  componentWillUnmount() {
+    if(this.props.isAuthorized) {
+      this.props.wsDisconnect();
+    }
+  }
+
+  renderBreadcrumb() {
+    return <FullRow>
+      <nav className="breadcrumb-container">
+        <ol className="breadcrumb">
+          <li style={{marginRight: '0.5em'}}><i className="fas fa-angle-right"></i></li>
+          <li className="breadcrumb-item"><Link to="/matches">Matches</Link></li>
+        </ol>
+      </nav>
+    </FullRow>;
+  }
+
+  renderChallenge() {
+    if(this.props.isCreating) {
+      return <Loading />;
+    }
+    let tankList = this.props.tankList;
+    let scriptId = this.state.scriptId || (tankList.length ? tankList[0].id : '');
+    let opponentId = this.state.opponentId.trim();
+    let options = tankList.map((script) => <option key={script.id} value={script.id}>{script.scriptName}</option>);
+    return <div className="card match-challenge">
+      <div className="card-body">
+        <h5 className="card-title">Challenge a shared script</h5>
+        <p className="card-text">Ask the owner of a script for its ID and fight it in a private match.</p>
+        <div className="input-group">
+          <select className="form-control script-select" value={scriptId} onChange={(e) => this.setState({scriptId: e.target.value})}>
+            {options}
+          </select>
+          <input type="text" className="form-control opponent-input" placeholder="Opponent script ID" value={this.state.opponentId} onChange={(e) => this.setState({opponentId: e.target.value})} />
+          <div className="input-group-append">
+            <button type="button" className="btn btn-primary challenge-button" disabled={!scriptId || !opponentId} onClick={() => this.props.createMatch(scriptId, 'script', opponentId)}>
+              <i className="fas fa-fist-raised"></i> Challenge
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>;
+  }
+
+  renderSharing() {
+    let rows = this.props.tankList.map((script) => <tr key={script.id}>
+      <td>{script.scriptName}</td>
+      <td><code>{script.shared ? script.id : ''}</code></td>
+      <td className="text-right">
+        <button type="button" className={'btn btn-sm share-button ' + (script.shared ? 'btn-secondary' : 'btn-primary')} onClick={() => this.props.shareAiScript(script.id, !script.shared)}>
+          <i className={script.shared ? 'fas fa-lock' : 'fas fa-share-alt'}></i> {script.shared ? 'Stop sharing' : 'Share'}
+        </button>
+      </td>
+    </tr>);
+    return <div className="card match-sharing">
+      <div className="card-body">
+        <h5 className="card-title">Your scripts</h5>
+        <p className="card-text">Shared scripts can be challenged by anyone who knows their ID.</p>
+        <table className="table table-sm script-sharing">
+          <tbody>
+            {rows}
+          </tbody>
+        </table>
+      </div>
+    </div>;
+  }
+
+  renderRow(item) {
+    let isChallenger = item.challengerId == this.props.userId;
+    let result;
+    if(item.status == 'finished') {
+      if(!item.winnerId) {
+        result = <span className="badge badge-secondary">draw</span>;
+      } else if(item.winnerId == this.props.userId) {
+        result = <span className="badge badge-success">won</span>;
+      } else {
+        result = <span className="badge badge-danger">lost</span>;
+      }
+    } else {
+      result = <span className="badge badge-warning">{item.status}</span>;
+    }
+    let watch = null;
+    if(item.battleId) {
+      watch = <a href={`#/league/replay/${item.battleId}`} className="btn btn-primary btn-sm watch-button">
+        <i className="fas fa-tv"></i> Watch
+      </a>;
+    }
+    return <tr key={item.id}>
+      <td>{new Date(item.createdAt).toLocaleString()}</td>
+      <td>{item.challengerName} / {item.challengerScriptName}</td>
+      <td>{item.opponentName} / {item.opponentScriptName}</td>
+      <td>{isChallenger ? 'sent' : 'received'}</td>
+      <td>{result}</td>
+      <td className="text-right">{watch}</td>
+    </tr>;
+  }
+
+  render() {
+    if(!this.props.isAuthorized) {
+      return <div>
+        {this.renderBreadcrumb()}
+        <FullRow>
+          <i className="fas fa-info-circle"></i> <em><a className="signin-link" href="#/signin">Sign in</a> to challenge other players</em>
+        </FullRow>
+      </div>;
+    }
+    if(this.props.isLoading) {
+      return <Loading />;
+    }
+    let rows = this.props.matches.map((item) => this.renderRow(item));
+    if(rows.length == 0) {
+      rows = <tr>
+        <td colSpan="6"><i className="fas fa-info-circle"></i> <em>There are no matches yet</em></td>
+      </tr>;
+    }
+    return <div>
+      {this.renderBreadcrumb()}
+      <div className="jumbotron" style={{padding: '2rem'}}>
+        <Row>
+          <Col lg={6} style={{paddingTop: '0.5em'}}>
+            {this.renderChallenge()}
+          </Col>
+          <Col lg={6} style={{paddingTop: '0.5em'}}>
+            {this.renderSharing()}
+          </Col>
+        </Row>
+      </div>
+      <FullRow>
+        <table className="table match-list">
+          <thead className="thead-dark">
+            <tr>
+              <th scope="col">Date</th>
+              <th scope="col">Challenger</th>
+              <th scope="col">Opponent</th>
+              <th scope="col">Type</th>
+              <th scope="col">Result</th>
+              <th scope="col" className="text-right">&nbsp;</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows}
+          </tbody>
+        </table>
+      </FullRow>
+    </div>;
+  }
+}
+
+MatchListScreen.defaultProps = {
+  isAuthorized: false,
+  userId: null,
+  tankList: [],
+  matches: [],
+  isLoading: false,
+  isCreating: false,
+  getMatchList: () => {},
+  getSandboxAiScriptList: () => {},
+  createMatch: () => {},
+  shareAiScript: () => {},
+  wsConnect: () => {},
+  wsDisconnect: () => {},
+};
+
+MatchListScreen.propTypes = {
+  isAuthorized: PropTypes.bool,
+  userId: PropTypes.string,
+  tankList: PropTypes.array,
+  matches: PropTypes.array,
+  isLoading: PropTypes.bool,
+  isCreating: PropTypes.bool,
+  getMatchList: PropTypes.func,
+  getSandboxAiScriptList: PropTypes.func,
+  createMatch: PropTypes.func,
+  shareAiScript: PropTypes.func,
+  wsConnect: PropTypes.func,
+  wsDisconnect: PropTypes.func,
+};
+
+const mapStateToProps = (state) => {
+  const isAuthorized = state.auth.profile && (state.auth.profile.role  == 'admin' || state.auth.profile.role  == 'user');
+  return {
+    isAuthorized: isAuthorized,
+    userId: state.auth.profile ? state.auth.profile.id : null,
+    tankList: state.aiRepo.tankList,
+    matches: state.match.list,
+    isLoading: state.loading.MATCH_LIST,
+    isCreating: state.loading.SANDBOX_AI_SCRIPT_LIST || state.loading.MATCH_CREATE
+  };
+};
+
+const mapDispatchToProps = (dispatch) => ({
+  getMatchList: () => {
+    dispatch(getMatchList());
+  },
+  getSandboxAiScriptList: (useRemoteService) => {
+    dispatch(getSandboxAiScriptList(useRemoteService));
+  },
+  createMatch: (scriptId, opponentType, opponentId) => {
+    dispatch(createMatch(scriptId, opponentType, opponentId));
+  },
+  shareAiScript: (id, shared) => {
+    dispatch(shareAiScript(id, shared));
+  },
+  wsConnect: () => {
+    dispatch(wsConnect());
+  },
+  wsDisconnect: () => {
+    dispatch(wsDisconnect());
+  }
+});
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps
+)(MatchListScreen);
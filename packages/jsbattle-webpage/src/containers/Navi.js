@@ -4,6 +4,10 @@ import {connect} from 'react-redux';
 import {setSimQuality, setSimSpeed} from '../actions/coreAction.js';
 import Loading from '../components/Loading.js';
 import ProfileButton from '../components/ProfileButton.js';
+import NotificationCentre from '../components/NotificationCentre.js';
+import {readNotifications, clearNotifications} from '../actions/notificationAction.js';
+import {wsConnect, wsDisconnect} from '../actions/wsAction.js';
+import PropTypes from 'prop-types';
 
 export class Navi extends React.Component {
 
@@ -11,6 +15,23 @@ export class Navi extends React.Component {
     super(props);
   }
 
+  isAuthorized() {
+    return this.props.role == 'user' || this.props.role == 'admin';
+  }
+
+  componentDidMount() {
+    // keep the websocket open to receive notifications on every screen
+    if(this.isAuthorized()) {
+      this.props.wsConnect();
+    }
+  }
+
+  componentWillUnmount() {
+    if(this.isAuthorized()) {
+      this.props.wsDisconnect();
+    }
+  }
+
   componentDidUpdate(prevProps) {
     if (this.props.location !== prevProps.location) {
       console.log('Route changed: ' + this.props.location.pathname);
@@ -56,6 +77,14 @@ export class Navi extends React.Component {
     if(this.props.isLoading) {
       loading = <Loading label="" />;
     }
+    let notificationCentre = null;
+    if(this.isAuthorized()) {
+      notificationCentre = <NotificationCentre
+        notifications={this.props.notifications}
+        onRead={() => this.props.readNotifications()}
+        onClear={() => this.props.clearNotifications()}
+      />;
+    }
     return <div className="collapse navbar-collapse" id="bs-example-navbar-collapse-1">
       <ul className="navbar-nav mr-auto">
         <li className="nav-item">
@@ -79,6 +108,20 @@ export class Navi extends React.Component {
             <i className="fas fa-trophy" aria-hidden="true"></i> League
           </a>
         </li>
+        <li className="nav-item">
+          <a
+            className={pathname.startsWith('/tournament') ? activeClasses : inactiveClasses}
+            href="#/tournament">
+            <i className="fas fa-sitemap" aria-hidden="true"></i> Tournaments
+          </a>
+        </li>
+        <li className="nav-item">
+          <a
+            className={pathname.startsWith('/matches') ? activeClasses : inactiveClasses}
+            href="#/matches">
+            <i className="fas fa-fist-raised" aria-hidden="true"></i> Matches
+          </a>
+        </li>
         <li className="nav-item">
           <a className={inactiveClasses} href="./docs" target="_blank">
             <i className="far fa-file-alt" aria-hidden="true"></i> Docs<
@@ -109,6 +152,7 @@ export class Navi extends React.Component {
             {this.renderSpeedButton(50)}
           </div>
         </li>
+        {notificationCentre}
         <ProfileButton
           logoutUrl={'/auth/logout'}
           role={this.props.role}
@@ -131,8 +175,27 @@ export class Navi extends React.Component {
   }
 }
 
+Navi.defaultProps = {
+  role: 'guest',
+  notifications: [],
+  wsConnect: () => {},
+  wsDisconnect: () => {},
+  readNotifications: () => {},
+  clearNotifications: () => {},
+};
+
+Navi.propTypes = {
+  role: PropTypes.string,
+  notifications: PropTypes.array,
+  wsConnect: PropTypes.func,
+  wsDisconnect: PropTypes.func,
+  readNotifications: PropTypes.func,
+  clearNotifications: PropTypes.func,
+};
+
 const mapStateToProps = (state) => ({
   profile: state.auth.profile,
+  notifications: state.notification.list,
   role: state.auth.profile ? (state.auth.profile.role || 'guest') : 'guest',
   simQuality: state.settings.simQuality,
   simSpeed: state.settings.simSpeed,
@@ -145,6 +208,18 @@ const mapDispatchToProps = (dispatch) => ({
   },
   setSimQuality: (quality) => {
     dispatch(setSimQuality(quality));
+  },
+  wsConnect: () => {
+    dispatch(wsConnect());
+  },
+  wsDisconnect: () => {
+    dispatch(wsDisconnect());
+  },
+  readNotifications: () => {
+    dispatch(readNotifications());
+  },
+  clearNotifications: () => {
+    dispatch(clearNotifications());
   }
 });
 export default connect(
@@ -18,6 +18,8 @@ import {
   setSandboxOpponent,
   setSandboxBattleMode,
   lockSandboxRng,
+  setSandboxMap,
+  setSandboxGameMode,
 } from '../actions/sandboxAction.js';
 import JsBattle from 'jsbattle-engine';
 import PropTypes from 'prop-types';
@@ -114,28 +116,18 @@ export class SandboxScreen extends React.Component {
   }
 
   onBattleFinish(result) {
-    let winner = null;
-    let loser = null;
     let teamMode = (this.props.mode == 'team' );
     let teams = teamMode ? result.teamList : result.tankList;
-    if(teams[0].score > teams[1].score) {
-      winner = teams[0];
-      loser = teams[1];
-    } else {
-      winner = teams[1];
-      loser = teams[0];
-    }
+    let winner = teams[0].score > teams[1].score ? teams[0] : teams[1];
+    let loser = winner == teams[0] ? teams[1] : teams[0];
+    let summary = (team) => ({
+      name: team.name,
+      score: team.score,
+      skin: teamMode ? team.members[0].skin : team.skin
+    });
     this.setState({
-      winner: {
-        name: winner.name,
-        score: winner.score,
-        skin: teamMode ? winner.members[0].skin : winner.skin
-      },
-      loser: {
-        name: loser.name,
-        score: loser.score ,
-        skin: teamMode ? loser.members[0].skin : loser.skin
-      },
+      winner: summary(winner),
+      loser: summary(loser),
       isRunning: false
     });
   }
@@ -153,11 +145,17 @@ export class SandboxScreen extends React.Component {
       rngSeed={this.state.rngSeed}
       isRngLocked={this.props.lockRng}
       mode={this.props.mode}
+      maps={JsBattle.getMapList()}
+      map={this.props.map}
+      gameModes={JsBattle.getModeList()}
+      gameMode={this.props.gameMode}
       opponents={opponentList}
       selectedOpponent={selectedOpponent}
       onBattleModeChange={(isTeam) => this.props.setSandboxBattleMode(isTeam)}
       onOpponentChange={(opponent) => this.onOpponentChange(opponent)}
       onRngLock={(locked) => this.props.lockSandboxRng(locked)}
+      onMapChange={(map) => this.props.setSandboxMap(map)}
+      onGameModeChange={(gameMode) => this.props.setSandboxGameMode(gameMode)}
     />;
   }
 
@@ -213,6 +211,8 @@ export class SandboxScreen extends React.Component {
             rngSeed={this.state.rngSeed}
             timeLimit={0}
             teamMode={teamMode}
+            map={this.props.map}
+            gameMode={this.props.gameMode}
             count={count}
             aiDefList={this.aiDefList}
             onCodeChanged={(code) => this.onCodeChanged(code)}
@@ -248,6 +248,8 @@ SandboxScreen.defaultProps = {
     code: "importScripts('lib/tank.js'); tank.init(function(settings, info) { }); tank.loop(function(state, control) { });",
   },
   mode: 'duel',
+  map: 'arena',
+  gameMode: 'deathmatch',
   script: {
     id: '0',
     scriptName: 'noname',
@@ -259,6 +261,8 @@ SandboxScreen.defaultProps = {
   setSandboxOpponent: () => {},
   setSandboxBattleMode: () => {},
   lockSandboxRng: () => {},
+  setSandboxMap: () => {},
+  setSandboxGameMode: () => {},
   notifySandboxEdit: () => {},
   getSandboxOpponentList: () => {},
 };
@@ -274,12 +278,16 @@ SandboxScreen.propTypes = {
   opponent: PropTypes.object,
   script: PropTypes.object,
   mode: PropTypes.oneOf(['duel', 'team']),
+  map: PropTypes.string,
+  gameMode: PropTypes.string,
   getAiScript: PropTypes.func,
   updateAiScript: PropTypes.func,
   renameAiScript: PropTypes.func,
   setSandboxOpponent: PropTypes.func,
   setSandboxBattleMode: PropTypes.func,
   lockSandboxRng: PropTypes.func,
+  setSandboxMap: PropTypes.func,
+  setSandboxGameMode: PropTypes.func,
   notifySandboxEdit: PropTypes.func,
   getSandboxOpponentList: PropTypes.func,
 };
@@ -292,6 +300,8 @@ const mapStateToProps = (state) => ({
   opponentList: state.sandbox.opponentList,
   opponent: state.sandbox.opponent,
   mode: state.sandbox.mode,
+  map: state.sandbox.map,
+  gameMode: state.sandbox.gameMode,
   lockRng: state.sandbox.lockRng,
   script: state.sandbox.script,
   useRemoteService: state.auth.profile.registered
@@ -319,6 +329,12 @@ const mapDispatchToProps = (dispatch) => ({
   lockSandboxRng: (lock) => {
     dispatch(lockSandboxRng(lock));
   },
+  setSandboxMap: (map) => {
+    dispatch(setSandboxMap(map));
+  },
+  setSandboxGameMode: (gameMode) => {
+    dispatch(setSandboxGameMode(gameMode));
+  },
   notifySandboxEdit: () => {
     dispatch(notifySandboxEdit());
   }
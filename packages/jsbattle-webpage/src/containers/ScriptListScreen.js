@@ -3,7 +3,10 @@ import {connect} from 'react-redux';
 import {
   createAiScript,
   deleteAiScript,
-  getSandboxAiScriptList
+  getSandboxAiScriptList,
+  getAiScriptRevisionList,
+  getAiScriptRevision,
+  restoreAiScriptRevision
 } from '../actions/sandboxAction.js';
 import {
   notifySandboxOpen,
@@ -12,15 +15,47 @@ import FullRow from '../components/FullRow.js';
 import Loading from '../components/Loading.js';
 import {Link} from 'react-router-dom';
 import ScriptTableRow from "../components/ScriptTableRow.js";
+import ScriptRevisionHistory from "../components/ScriptRevisionHistory.js";
 import PropTypes from 'prop-types';
 
 export class ScriptListScreen extends React.Component {
 
+  constructor(props) {
+    super(props);
+    this.state = {
+      historyScriptId: null
+    };
+  }
+
   componentDidMount() {
     this.props.notifySandboxOpen();
     this.props.getSandboxAiScriptList(this.props.useRemoteService);
   }
 
+  showHistory(id) {
+    this.setState({historyScriptId: id});
+    this.props.getAiScriptRevisionList(id);
+  }
+
+  renderHistory() {
+    const script = this.props.tankList.find((item) => item.id == this.state.historyScriptId);
+    if(!script) {
+      return null;
+    }
+    return <FullRow>
+      <ScriptRevisionHistory
+        key={script.id}
+        scriptName={script.scriptName}
+        revisions={this.props.revisions}
+        revisionCode={this.props.revisionCode}
+        isLoading={this.props.isLoadingRevisions}
+        onLoad={(revisionId) => this.props.getAiScriptRevision(script.id, revisionId)}
+        onRestore={(revisionId) => this.props.restoreAiScriptRevision(script.id, revisionId)}
+        onClose={() => this.setState({historyScriptId: null})}
+      />
+    </FullRow>;
+  }
+
   renderRows() {
     if(this.props.isDeleting || this.props.isLoading) {
       return <tr>
@@ -37,6 +72,7 @@ export class ScriptListScreen extends React.Component {
         name={script.scriptName}
         link={'/sandbox/' + script.id}
         onDelete={() => this.props.deleteAiScript(script.id, this.props.useRemoteService)}
+        onHistory={this.props.useRemoteService ? () => this.showHistory(script.id) : null}
       />;
     });
     if(tanks.length > 0) {
@@ -65,7 +101,7 @@ export class ScriptListScreen extends React.Component {
       <thead>
         <tr>
           <th>Tank Name</th>
-          <th className="text-right" style={{width: '90px'}}>&nbsp;</th>
+          <th className="text-right" style={{width: this.props.useRemoteService ? '135px' : '90px'}}>&nbsp;</th>
         </tr>
       </thead>
       <tbody>
@@ -85,6 +121,7 @@ export class ScriptListScreen extends React.Component {
         {createButton}
         {table}
       </FullRow>
+      {this.renderHistory()}
     </div>;
   }
 }
@@ -98,7 +135,12 @@ ScriptListScreen.defaultProps = {
   createAiScript: () => {},
   deleteAiScript: () => {},
   getSandboxAiScriptList: () => {},
-
+  revisions: [],
+  revisionCode: {},
+  isLoadingRevisions: false,
+  getAiScriptRevisionList: () => {},
+  getAiScriptRevision: () => {},
+  restoreAiScriptRevision: () => {},
 };
 
 ScriptListScreen.propTypes = {
@@ -111,6 +153,12 @@ ScriptListScreen.propTypes = {
   createAiScript: PropTypes.func,
   deleteAiScript: PropTypes.func,
   getSandboxAiScriptList: PropTypes.func,
+  revisions: PropTypes.array,
+  revisionCode: PropTypes.object,
+  isLoadingRevisions: PropTypes.bool,
+  getAiScriptRevisionList: PropTypes.func,
+  getAiScriptRevision: PropTypes.func,
+  restoreAiScriptRevision: PropTypes.func,
 };
 
 const mapStateToProps = (state) => ({
@@ -118,7 +166,10 @@ const mapStateToProps = (state) => ({
   isLoading: state.loading.SANDBOX_AI_SCRIPT_LIST,
   isCreating: state.loading.CREATE_AI_SCRIPT,
   isDeleting: state.loading.DELETE_AI_SCRIPT,
-  useRemoteService: state.auth.profile.registered
+  useRemoteService: state.auth.profile.registered,
+  revisions: state.aiRepo.revisions,
+  revisionCode: state.aiRepo.revisionCode,
+  isLoadingRevisions: state.loading.AI_SCRIPT_REVISION_LIST || state.loading.AI_SCRIPT_RESTORE
 });
 
 const mapDispatchToProps = (dispatch) => ({
@@ -133,6 +184,15 @@ const mapDispatchToProps = (dispatch) => ({
   },
   getSandboxAiScriptList: (useRemoteService) => {
     dispatch(getSandboxAiScriptList(useRemoteService));
+  },
+  getAiScriptRevisionList: (id) => {
+    dispatch(getAiScriptRevisionList(id));
+  },
+  getAiScriptRevision: (id, revisionId) => {
+    dispatch(getAiScriptRevision(id, revisionId));
+  },
+  restoreAiScriptRevision: (id, revisionId) => {
+    dispatch(restoreAiScriptRevision(id, revisionId));
   }
 });
 export default connect(
@@ -0,0 +1,104 @@
+import FullRow from "../components/FullRow.js";
+import Loading from "../components/Loading.js";
+import React from "react";
+import {Link} from 'react-router-dom';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+import {
+  getTournamentList
+} from '../actions/tournamentAction.js';
+
+export const FORMAT_LABELS = {
+  'single-elimination': 'Single elimination',
+  'double-elimination': 'Double elimination',
+  'round-robin': 'Round robin'
+};
+
+export class TournamentListScreen extends React.Component {
+
+  componentDidMount() {
+    this.props.getTournamentList();
+  }
+
+  renderRow(item) {
+    let winner = null;
+    if(item.status == 'finished' && item.standings.length) {
+      let participant = item.participants.find((p) => p.id == item.standings[0].id);
+      winner = participant ? <span><i className="fas fa-trophy"></i> {participant.ownerName} / {participant.scriptName}</span> : null;
+    }
+    return <tr key={item.id}>
+      <td><a href={`#/tournament/${item.id}`}>{item.name}</a></td>
+      <td>{FORMAT_LABELS[item.format]}, best of {item.bestOf}</td>
+      <td>{new Date(item.startsAt).toLocaleString()}</td>
+      <td className="text-right">{item.participants.length}</td>
+      <td>{item.status}</td>
+      <td>{winner}</td>
+    </tr>;
+  }
+
+  render() {
+    if(this.props.isLoading) {
+      return <Loading />;
+    }
+    let rows = this.props.tournaments.map((item) => this.renderRow(item));
+    if(rows.length == 0) {
+      rows = <tr>
+        <td colSpan="6"><i className="fas fa-info-circle"></i> <em>There are no tournaments yet</em></td>
+      </tr>;
+    }
+    return <div>
+      <FullRow>
+        <nav className="breadcrumb-container">
+          <ol className="breadcrumb">
+            <li style={{marginRight: '0.5em'}}><i className="fas fa-angle-right"></i></li>
+            <li className="breadcrumb-item"><Link to="/tournament">Tournaments</Link></li>
+          </ol>
+        </nav>
+      </FullRow>
+      <FullRow>
+        <table className="table tournament-list">
+          <thead className="thead-dark">
+            <tr>
+              <th scope="col">Name</th>
+              <th scope="col">Format</th>
+              <th scope="col">Start</th>
+              <th scope="col" className="text-right">Participants</th>
+              <th scope="col">Status</th>
+              <th scope="col">Winner</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows}
+          </tbody>
+        </table>
+      </FullRow>
+    </div>;
+  }
+}
+
+TournamentListScreen.defaultProps = {
+  isLoading: false,
+  tournaments: [],
+  getTournamentList: () => {}
+};
+
+TournamentListScreen.propTypes = {
+  isLoading: PropTypes.bool,
+  tournaments: PropTypes.array,
+  getTournamentList: PropTypes.func
+};
+
+const mapStateToProps = (state) => ({
+  isLoading: state.loading.TOURNAMENT_LIST,
+  tournaments: state.tournament.list
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  getTournamentList: () => {
+    dispatch(getTournamentList());
+  }
+});
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps
+)(TournamentListScreen);
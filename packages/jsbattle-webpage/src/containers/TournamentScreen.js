@@ -0,0 +1,249 @@
+import FullRow from "../components/FullRow.js";
+import Row from "../components/Row.js";
+import Col from "../components/Col.js";
+import Loading from "../components/Loading.js";
+import TournamentBracket from "../components/TournamentBracket.js";
+import {FORMAT_LABELS} from "./TournamentListScreen.js";
+import React from "react";
+import {Link} from 'react-router-dom';
+import {connect} from 'react-redux';
+import {
+  getSandboxAiScriptList
+} from '../actions/sandboxAction.js';
+import {
+  getTournament,
+  joinTournament,
+  leaveTournament
+} from '../actions/tournamentAction.js';
+import {
+  wsConnect,
+  wsDisconnect
+} from '../actions/wsAction.js';
+import PropTypes from 'prop-types';
+
+export class TournamentScreen extends React.Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      scriptId: null
+    };
+  }
+
+  componentDidMount() {
+    this.props.getTournament(this.props.match.params.id);
+    if(this.props.isAuthorized) {
+      this.props.getSandboxAiScriptList(true);
+      this.props.wsConnect();
+    }
+  }
+
+  componentWillUnmount() {
+    if(this.props.isAuthorized) {
+      this.props.wsDisconnect();
+    }
+  }
+
+  getEntry() {
+    if(!this.props.tournament || !this.props.userId) {
+      return null;
+    }
+    return this.props.tournament.participants.find((item) => item.id == this.props.userId) || null;
+  }
+
+  renderBreadcrumb() {
+    let name = this.props.tournament ? this.props.tournament.name : '';
+    return <FullRow>
+      <nav className="breadcrumb-container">
+        <ol className="breadcrumb">
+          <li style={{marginRight: '0.5em'}}><i className="fas fa-angle-right"></i></li>
+          <li className="breadcrumb-item"><Link to="/tournament">Tournaments</Link></li>
+          <li className="breadcrumb-item">{name}</li>
+        </ol>
+      </nav>
+    </FullRow>;
+  }
+
+  renderRegistration() {
+    if(this.props.isJoining) {
+      return <Loading />;
+    }
+    let entry = this.getEntry();
+    let tankList = this.props.tankList;
+    let scriptId = this.state.scriptId || (entry ? entry.scriptId : null) || (tankList.length ? tankList[0].id : '');
+    let options = tankList.map((script) => <option key={script.id} value={script.id}>{script.scriptName}</option>);
+    let leaveButton = null;
+    if(entry) {
+      leaveButton = <button type="button" className="btn btn-secondary leave-button" onClick={() => this.props.leaveTournament(this.props.tournament.id)}>
+        <i className="fas fa-sign-out-alt"></i> Leave
+      </button>;
+    }
+    return <div className="card tournament-registration">
+      <div className="card-body">
+        <h5 className="card-title">{entry ? 'You are registered' : 'Registration is open'}</h5>
+        <div className="input-group">
+          <select className="form-control script-select" value={scriptId} onChange={(e) => this.setState({scriptId: e.target.value})}>
+            {options}
+          </select>
+          <div className="input-group-append">
+            <button type="button" className="btn btn-primary join-button" disabled={!scriptId} onClick={() => this.props.joinTournament(this.props.tournament.id, scriptId)}>
+              <i className="fas fa-sign-in-alt"></i> {entry ? 'Update' : 'Join'}
+            </button>
+            {leaveButton}
+          </div>
+        </div>
+      </div>
+    </div>;
+  }
+
+  renderInfo() {
+    let tournament = this.props.tournament;
+    let registration = null;
+    if(tournament.status == 'open' && this.props.isAuthorized) {
+      registration = this.renderRegistration();
+    }
+    let limit = tournament.entryLimit ? ` / ${tournament.entryLimit}` : '';
+    return <Row>
+      <Col lg={6} style={{paddingTop: '0.5em'}}>
+        <h1 className="display-4">{tournament.name}</h1>
+        <p>{tournament.description}</p>
+        <dl className="row tournament-info">
+          <dt className="col-sm-4">Format</dt>
+          <dd className="col-sm-8">{FORMAT_LABELS[tournament.format]}, best of {tournament.bestOf}</dd>
+          <dt className="col-sm-4">Start</dt>
+          <dd className="col-sm-8">{new Date(tournament.startsAt).toLocaleString()}</dd>
+          <dt className="col-sm-4">Participants</dt>
+          <dd className="col-sm-8">{tournament.participants.length}{limit}</dd>
+          <dt className="col-sm-4">Status</dt>
+          <dd className="col-sm-8">{tournament.status}</dd>
+        </dl>
+      </Col>
+      <Col lg={6} style={{paddingTop: '0.5em'}}>
+        {registration}
+      </Col>
+    </Row>;
+  }
+
+  renderStandings() {
+    let tournament = this.props.tournament;
+    if(!tournament.standings.length) {
+      return null;
+    }
+    let rows = tournament.standings.map((item) => {
+      let participant = tournament.participants.find((p) => p.id == item.id);
+      let name = participant ? `${participant.ownerName} / ${participant.scriptName}` : '';
+      return <tr key={item.id} className={item.id == this.props.userId ? 'table-active' : ''}>
+        <td className="text-right">#{item.place}</td>
+        <td>{name}</td>
+        <td className="text-right">{item.matchWins}</td>
+        <td className="text-right">{item.matchLosses}</td>
+        <td className="text-right">{item.gameWins} : {item.gameLosses}</td>
+      </tr>;
+    });
+    return <FullRow>
+      <h2>Standings</h2>
+      <table className="table tournament-standings">
+        <thead className="thead-dark">
+          <tr>
+            <th scope="col" className="text-right">Place</th>
+            <th scope="col">Name</th>
+            <th scope="col" className="text-right">Won</th>
+            <th scope="col" className="text-right">Lost</th>
+            <th scope="col" className="text-right">Games</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows}
+        </tbody>
+      </table>
+    </FullRow>;
+  }
+
+  render() {
+    if(this.props.isLoading || !this.props.tournament) {
+      return <Loading />;
+    }
+    return <div>
+      {this.renderBreadcrumb()}
+      <div className="jumbotron" style={{padding: '2rem'}}>
+        {this.renderInfo()}
+      </div>
+      <FullRow>
+        <TournamentBracket
+          matches={this.props.tournament.matches}
+          participants={this.props.tournament.participants}
+        />
+      </FullRow>
+      {this.renderStandings()}
+    </div>;
+  }
+}
+
+TournamentScreen.defaultProps = {
+  match: {params: {}},
+  isAuthorized: false,
+  userId: null,
+  tankList: [],
+  tournament: null,
+  isLoading: false,
+  isJoining: false,
+  getTournament: () => {},
+  getSandboxAiScriptList: () => {},
+  joinTournament: () => {},
+  leaveTournament: () => {},
+  wsConnect: () => {},
+  wsDisconnect: () => {},
+};
+
+TournamentScreen.propTypes = {
+  match: PropTypes.object,
+  isAuthorized: PropTypes.bool,
+  userId: PropTypes.string,
+  tankList: PropTypes.array,
+  tournament: PropTypes.object,
+  isLoading: PropTypes.bool,
+  isJoining: PropTypes.bool,
+  getTournament: PropTypes.func,
+  getSandboxAiScriptList: PropTypes.func,
+  joinTournament: PropTypes.func,
+  leaveTournament: PropTypes.func,
+  wsConnect: PropTypes.func,
+  wsDisconnect: PropTypes.func,
+};
+
+const mapStateToProps = (state) => {
+  const isAuthorized = state.auth.profile && (state.auth.profile.role  == 'admin' || state.auth.profile.role  == 'user');
+  return {
+    isAuthorized: isAuthorized,
+    userId: state.auth.profile ? state.auth.profile.id : null,
+    tankList: state.aiRepo.tankList,
+    tournament: state.tournament.current,
+    isLoading: state.loading.TOURNAMENT,
+    isJoining: state.loading.SANDBOX_AI_SCRIPT_LIST || state.loading.TOURNAMENT_JOIN || state.loading.TOURNAMENT_LEAVE
+  };
+};
+
+const mapDispatchToProps = (dispatch) => ({
+  getTournament: (id) => {
+    dispatch(getTournament(id));
+  },
+  getSandboxAiScriptList: (useRemoteService) => {
+    dispatch(getSandboxAiScriptList(useRemoteService));
+  },
+  joinTournament: (tournamentId, scriptId) => {
+    dispatch(joinTournament(tournamentId, scriptId));
+  },
+  leaveTournament: (tournamentId) => {
+    dispatch(leaveTournament(tournamentId));
+  },
+  wsConnect: () => {
+    dispatch(wsConnect());
+  },
+  wsDisconnect: () => {
+    dispatch(wsDisconnect());
+  }
+});
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps
+)(TournamentScreen);
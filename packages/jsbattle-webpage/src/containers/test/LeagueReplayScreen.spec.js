@@ -4,7 +4,9 @@ import {shallow, mount} from 'enzyme';
 import {LeagueReplayScreen} from '../LeagueReplayScreen.js';
 import Loading from '../../components/Loading.js';
 import DuelResultScreen from "../../components/DuelResultScreen.js";
+import BattleStats from "../../components/BattleStats.js";
 import JsBattleBattlefield from "jsbattle-react";
+import BattleTimeline from "../../components/BattleTimeline.js";
 
 const match = {
   params: {
@@ -126,6 +128,120 @@ test('play the battle (unauthorized)', () => {
 
 });
 
+test('replay recorded timeline', () => {
+  const timeline = {tanks: [{id: 1, settings: {}, steps: 1, control: {}}]};
+  const wrapper = shallow(<LeagueReplayScreen
+    match={match}
+    isLoading={false}
+    isAuthorized={true}
+    rngSeed={787223}
+    timeLimit={12340}
+    timeline={timeline}
+    result={[
+      {name: 'alpha7638'},
+      {name: 'bravo9743'},
+    ]}
+    aiDefList={aiDefList}
+  />);
+  expect(wrapper.find(JsBattleBattlefield)).toHaveLength(1);
+  expect(wrapper.find(JsBattleBattlefield).props()).toHaveProperty('timeline', timeline);
+});
+
+test('replay the battle on recorded map', () => {
+  const wrapper = shallow(<LeagueReplayScreen
+    match={match}
+    isLoading={false}
+    isAuthorized={true}
+    rngSeed={787223}
+    timeLimit={12340}
+    map='bunkers'
+    result={[
+      {name: 'alpha7638'},
+      {name: 'bravo9743'},
+    ]}
+    aiDefList={aiDefList}
+  />);
+  expect(wrapper.find(JsBattleBattlefield).props()).toHaveProperty('map', 'bunkers');
+});
+
+test('replay the battle with recorded rules', () => {
+  const rules = {name: 'one-shot', maxEnergy: 100, bulletDamage: 100};
+  const wrapper = shallow(<LeagueReplayScreen
+    match={match}
+    isLoading={false}
+    isAuthorized={true}
+    rngSeed={787223}
+    timeLimit={12340}
+    rules={rules}
+    result={[
+      {name: 'alpha7638'},
+      {name: 'bravo9743'},
+    ]}
+    aiDefList={aiDefList}
+  />);
+  expect(wrapper.find(JsBattleBattlefield).props()).toHaveProperty('rules', rules);
+});
+
+test('replay the battle in recorded game mode', () => {
+  const mode = {name: 'ctf', flagRadius: 25, captureLimit: 3, captureScore: 50, returnScore: 5};
+  const wrapper = shallow(<LeagueReplayScreen
+    match={match}
+    isLoading={false}
+    isAuthorized={true}
+    rngSeed={787223}
+    timeLimit={12340}
+    mode={mode}
+    result={[
+      {name: 'alpha7638'},
+      {name: 'bravo9743'},
+    ]}
+    aiDefList={aiDefList}
+  />);
+  expect(wrapper.find(JsBattleBattlefield).props()).toHaveProperty('mode', mode);
+});
+
+test('pause and seek the replay', () => {
+  const timeline = {tanks: [{id: 1, settings: {}, steps: 1, control: {}}]};
+  const wrapper = shallow(<LeagueReplayScreen
+    match={match}
+    isLoading={false}
+    isAuthorized={true}
+    rngSeed={787223}
+    timeLimit={12340}
+    timeline={timeline}
+    result={[
+      {name: 'alpha7638'},
+      {name: 'bravo9743'},
+    ]}
+    aiDefList={aiDefList}
+  />);
+  const battlefield = {
+    seek: jest.fn(),
+    stepForward: jest.fn()
+  };
+  wrapper.instance().battlefield = battlefield;
+
+  expect(wrapper.find(BattleTimeline)).toHaveLength(1);
+  expect(wrapper.find(BattleTimeline).prop('canRewind')).toBe(true);
+
+  wrapper.find(BattleTimeline).props().onPause();
+  expect(wrapper.find(JsBattleBattlefield).prop('paused')).toBe(true);
+
+  wrapper.find(BattleTimeline).props().onStepForward();
+  expect(battlefield.stepForward.mock.calls).toHaveLength(1);
+
+  wrapper.find(BattleTimeline).props().onSeek(4321);
+  expect(battlefield.seek.mock.calls).toHaveLength(1);
+  expect(battlefield.seek.mock.calls[0][0]).toBe(4321);
+
+  wrapper.find(JsBattleBattlefield).props().onRender({timeElapsed: 5100, timeLimit: 14340});
+  expect(wrapper.find(BattleTimeline).prop('timeElapsed')).toBe(5100);
+  expect(wrapper.find(BattleTimeline).prop('timeLimit')).toBe(14340);
+
+  wrapper.find(BattleTimeline).props().onResume();
+  expect(wrapper.find(JsBattleBattlefield).prop('paused')).toBe(false);
+});
+
 test('restart the battle', async () => {
   const wrapper = shallow(<LeagueReplayScreen
     match={match}
@@ -176,6 +292,59 @@ test('restart the battle', async () => {
   expect(wrapper.find(DuelResultScreen).props()).toHaveProperty('loserSkin', 'ocean');
   expect(wrapper.find(DuelResultScreen).props()).toHaveProperty('winnerScore', 873);
   expect(wrapper.find(DuelResultScreen).props()).toHaveProperty('loserScore', 12);
+  expect(wrapper.find(BattleStats).props()).toHaveProperty('teamList', []);
+});
+
+test('show placing of free-for-all battle', async () => {
+  const wrapper = shallow(<LeagueReplayScreen
+    match={match}
+    isLoading={false}
+    isAuthorized={true}
+    result={[
+      {name: 'alpha/342', place: 2},
+      {name: 'bravo/883', place: 3, disqualified: true},
+      {name: 'charlie/12', place: 1}
+    ]}
+    aiDefList={aiDefList}
+  />);
+  expect(wrapper.find('.breadcrumb').text()).toMatch(/alpha \(342\) vs bravo \(883\) vs charlie \(12\)/);
+  wrapper.find(JsBattleBattlefield).props().onFinish({
+    teamWinner: {name: 'bravo/883', score: 900, members: [{skin: 'ocean'}]},
+    teamList: [
+      {name: 'alpha/342', score: 400, members: [{skin: 'desert'}]},
+      {name: 'bravo/883', score: 900, members: [{skin: 'ocean'}]},
+      {name: 'charlie/12', score: 600, members: [{skin: 'lava'}]}
+    ]
+  });
+  // stored places take precedence over scores of the replay
+  expect(wrapper.find(DuelResultScreen).prop('placing')).toEqual([
+    {name: 'charlie/12', skin: 'lava', score: 600, place: 1},
+    {name: 'alpha/342', skin: 'desert', score: 400, place: 2},
+    {name: 'bravo/883', skin: 'ocean', score: 900, place: 3}
+  ]);
+});
+
+test('show statistics of the battle', async () => {
+  const wrapper = shallow(<LeagueReplayScreen
+    match={match}
+    isLoading={false}
+    aiDefList={aiDefList}
+  />);
+  const teamList = [
+    {name: 'alpha342', score: 873, members: [{skin: 'desert'}]},
+    {name: 'bravo883', score: 12, members: [{skin: 'ocean'}]}
+  ];
+  const statsList = [
+    {name: 'alpha342', stats: {shots: 10, hits: 5, accuracy: 0.5}},
+    {name: 'bravo883', stats: {shots: 3, hits: 0, accuracy: 0}}
+  ];
+  wrapper.find(JsBattleBattlefield).props().onFinish({
+    teamWinner: teamList[0],
+    teamList: teamList,
+    stats: {tankList: [], teamList: statsList}
+  });
+
+  expect(wrapper.find(BattleStats).props()).toHaveProperty('teamList', statsList);
 });
 
 
@@ -156,3 +156,27 @@ test('show history league', () => {
   expect(wrapper.find(LeagueHistory).props()).toHaveProperty('data', history);
 
 });
+
+test('challenge league entry', () => {
+  const createMatch = jest.fn();
+  const push = jest.fn();
+  const wrapper = shallow(<LeagueScreen
+    isAuthorized={true}
+    createMatch={createMatch}
+    history={{push}}
+    submission={{id: '732692001', scriptId: '62456001'}}
+    ranktable={[
+      {id: '732692001', scriptId: '62456001', ownerName: 'me', scriptName: 'mine', rank: 1},
+      {id: '732692345', scriptId: '62456242', ownerName: 'Mar87762', scriptName: 'greta875', rank: 2}
+    ]}
+  />);
+  expect(wrapper.find('.challenge-button')).toHaveLength(1);
+  wrapper.find('.challenge-button').simulate('click');
+  expect(createMatch.mock.calls).toHaveLength(1);
+  expect(createMatch.mock.calls[0]).toEqual([
+    '62456001',
+    'league',
+    '732692345'
+  ]);
+  expect(push.mock.calls[0][0]).toBe('/matches');
+});
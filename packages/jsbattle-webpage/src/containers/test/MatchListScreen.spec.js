@@ -0,0 +1,114 @@
+import 'babel-polyfill';
+import React from 'react';
+import {shallow} from 'enzyme';
+import {MatchListScreen} from '../MatchListScreen.js';
+import Loading from '../../components/Loading.js';
+
+const tankList = [
+  {id: 's1', scriptName: 'sniper', shared: true},
+  {id: 's2', scriptName: 'chicken', shared: false}
+];
+
+test('show unauthorized', () => {
+  const getMatchList = jest.fn();
+  const wrapper = shallow(<MatchListScreen getMatchList={getMatchList} />);
+  expect(wrapper.find('.signin-link').text()).toMatch(/sign in/i);
+  expect(getMatchList.mock.calls).toHaveLength(0);
+});
+
+test('show loading', () => {
+  const wrapper = shallow(<MatchListScreen isAuthorized={true} isLoading={true} />);
+  expect(wrapper.find(Loading)).toHaveLength(1);
+});
+
+test('show empty list', () => {
+  const wrapper = shallow(<MatchListScreen isAuthorized={true} />);
+  expect(wrapper.find('.match-list').text()).toMatch(/no matches/i);
+});
+
+test('list matches', () => {
+  const getMatchList = jest.fn();
+  const wrapper = shallow(<MatchListScreen
+    isAuthorized={true}
+    userId="u1"
+    getMatchList={getMatchList}
+    matches={[
+      {
+        id: 'm2',
+        challengerId: 'u2',
+        challengerName: 'john',
+        challengerScriptName: 'chicken',
+        opponentId: 'u1',
+        opponentName: 'monica',
+        opponentScriptName: 'sniper',
+        status: 'queued',
+        createdAt: '2020-04-01T10:00:00.000Z'
+      },
+      {
+        id: 'm1',
+        challengerId: 'u1',
+        challengerName: 'monica',
+        challengerScriptName: 'sniper',
+        opponentId: 'u2',
+        opponentName: 'john',
+        opponentScriptName: 'chicken',
+        status: 'finished',
+        battleId: 'b8723',
+        winnerId: 'u1',
+        createdAt: '2020-03-01T10:00:00.000Z'
+      }
+    ]}
+  />);
+  expect(getMatchList.mock.calls).toHaveLength(1);
+  const rows = wrapper.find('.match-list tbody tr');
+  expect(rows).toHaveLength(2);
+  expect(rows.at(0).text()).toMatch(/received/);
+  expect(rows.at(0).text()).toMatch(/queued/);
+  expect(rows.at(0).find('.watch-button')).toHaveLength(0);
+  expect(rows.at(1).text()).toMatch(/sent/);
+  expect(rows.at(1).text()).toMatch(/won/);
+  expect(rows.at(1).find('.watch-button').prop('href')).toBe('#/league/replay/b8723');
+});
+
+test('challenge shared script', () => {
+  const createMatch = jest.fn();
+  const wrapper = shallow(<MatchListScreen
+    isAuthorized={true}
+    tankList={tankList}
+    createMatch={createMatch}
+  />);
+  expect(wrapper.find('.challenge-button').prop('disabled')).toBe(true);
+  wrapper.find('.script-select').simulate('change', {target: {value: 's2'}});
+  wrapper.find('.opponent-input').simulate('change', {target: {value: ' x8234 '}});
+  wrapper.find('.challenge-button').simulate('click');
+  expect(createMatch.mock.calls).toHaveLength(1);
+  expect(createMatch.mock.calls[0]).toEqual([
+    's2',
+    'script',
+    'x8234'
+  ]);
+});
+
+test('share scripts', () => {
+  const shareAiScript = jest.fn();
+  const wrapper = shallow(<MatchListScreen
+    isAuthorized={true}
+    tankList={tankList}
+    shareAiScript={shareAiScript}
+  />);
+  const rows = wrapper.find('.script-sharing tr');
+  expect(rows.at(0).find('code').text()).toBe('s1');
+  expect(rows.at(1).find('code').text()).toBe('');
+  rows.at(0).find('.share-button').simulate('click');
+  rows.at(1).find('.share-button').simulate('click');
+  expect(shareAiScript.mock.calls).toEqual([
+    [
+      's1',
+      false
+    ],
+    [
+      's2',
+      true
+    ]
+  ]);
+});
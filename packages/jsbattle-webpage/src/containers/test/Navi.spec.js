@@ -3,6 +3,7 @@ import React from 'react';
 import {shallow} from 'enzyme';
 import {Navi} from '../Navi.js';
 import Loading from '../../components/Loading.js';
+import NotificationCentre from '../../components/NotificationCentre.js';
 
 test('Navi renders properly', () => {
   const location = {
@@ -32,6 +33,14 @@ test('activate links', () => {
   location.pathname = '/sandbox'
   wrapper = shallow(<Navi location={location}/>);
   expect(wrapper.find('.nav-item .active').text()).toMatch(/Sandbox/);
+
+  location.pathname = '/tournament/8123'
+  wrapper = shallow(<Navi location={location}/>);
+  expect(wrapper.find('.nav-item .active').text()).toMatch(/Tournaments/);
+
+  location.pathname = '/matches'
+  wrapper = shallow(<Navi location={location}/>);
+  expect(wrapper.find('.nav-item .active').text()).toMatch(/Matches/);
 });
 
 test('log route changes', () => {
@@ -105,3 +114,20 @@ test('Change sim quiality', () => {
   }
 
 });
+
+test('show notifications to signed in users', () => {
+  const location = {
+    pathname: '/league'
+  }
+  const wsConnect = jest.fn();
+  const wsDisconnect = jest.fn();
+  let wrapper = shallow(<Navi location={location} wsConnect={wsConnect} wsDisconnect={wsDisconnect} />);
+  expect(wrapper.find(NotificationCentre)).toHaveLength(0);
+  expect(wsConnect.mock.calls).toHaveLength(0);
+
+  wrapper = shallow(<Navi location={location} role="user" wsConnect={wsConnect} wsDisconnect={wsDisconnect} />);
+  expect(wrapper.find(NotificationCentre)).toHaveLength(1);
+  expect(wsConnect.mock.calls).toHaveLength(1);
+  wrapper.unmount();
+  expect(wsDisconnect.mock.calls).toHaveLength(1);
+});
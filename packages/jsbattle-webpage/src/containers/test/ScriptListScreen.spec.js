@@ -3,6 +3,7 @@ import React from 'react';
 import {shallow} from 'enzyme';
 import {ScriptListScreen} from '../ScriptListScreen.js';
 import ScriptTableRow from '../../components/ScriptTableRow.js';
+import ScriptRevisionHistory from '../../components/ScriptRevisionHistory.js';
 import Loading from '../../components/Loading.js';
 
 test('ScriptListScreen renders properly', () => {
@@ -63,3 +64,30 @@ test('delete script', () => {
   expect(deleteAiScript.mock.calls).toHaveLength(1);
   expect(deleteAiScript.mock.calls[0][0]).toBe('tank883');
 });
+
+test('show history of remote scripts', () => {
+  const tankList = [
+    { id: 'tank932', scriptName: 'orange0984'},
+    { id: 'tank883', scriptName: 'pink884323'}
+  ];
+  const getAiScriptRevisionList = jest.fn();
+  const localWrapper = shallow(<ScriptListScreen
+    tankList={tankList}
+  />);
+  expect(localWrapper.find(ScriptTableRow).at(0).props()).toHaveProperty('onHistory', null);
+
+  const wrapper = shallow(<ScriptListScreen
+    tankList={tankList}
+    useRemoteService={true}
+    getAiScriptRevisionList={getAiScriptRevisionList}
+  />);
+  expect(wrapper.find(ScriptRevisionHistory)).toHaveLength(0);
+  wrapper.find(ScriptTableRow).at(1).props().onHistory();
+  expect(getAiScriptRevisionList.mock.calls).toHaveLength(1);
+  expect(getAiScriptRevisionList.mock.calls[0][0]).toBe('tank883');
+  expect(wrapper.find(ScriptRevisionHistory)).toHaveLength(1);
+  expect(wrapper.find(ScriptRevisionHistory).props()).toHaveProperty('scriptName', 'pink884323');
+
+  wrapper.find(ScriptRevisionHistory).props().onClose();
+  expect(wrapper.find(ScriptRevisionHistory)).toHaveLength(0);
+});
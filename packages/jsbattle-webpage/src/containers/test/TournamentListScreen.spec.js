@@ -0,0 +1,57 @@
+import 'babel-polyfill';
+import React from 'react';
+import {shallow} from 'enzyme';
+import {TournamentListScreen} from '../TournamentListScreen.js';
+import Loading from '../../components/Loading.js';
+
+test('show loading', () => {
+  const wrapper = shallow(<TournamentListScreen isLoading={true} />);
+  expect(wrapper.find(Loading)).toHaveLength(1);
+});
+
+test('show empty list', () => {
+  const wrapper = shallow(<TournamentListScreen />);
+  expect(wrapper.find('.tournament-list').text()).toMatch(/no tournaments/i);
+});
+
+test('list tournaments', () => {
+  const getTournamentList = jest.fn();
+  const wrapper = shallow(<TournamentListScreen
+    getTournamentList={getTournamentList}
+    tournaments={[
+      {
+        id: 't8723',
+        name: 'Spring Cup',
+        format: 'double-elimination',
+        bestOf: 3,
+        startsAt: '2020-04-01T10:00:00.000Z',
+        status: 'finished',
+        participants: [
+          {id: 'u1', ownerName: 'monica', scriptName: 'sniper'},
+          {id: 'u2', ownerName: 'john', scriptName: 'chicken'}
+        ],
+        standings: [
+          {id: 'u2', place: 1},
+          {id: 'u1', place: 2}
+        ]
+      },
+      {
+        id: 't9211',
+        name: 'Summer Cup',
+        format: 'round-robin',
+        bestOf: 1,
+        startsAt: '2020-07-01T10:00:00.000Z',
+        status: 'open',
+        participants: [],
+        standings: []
+      }
+    ]}
+  />);
+  expect(getTournamentList.mock.calls).toHaveLength(1);
+  const rows = wrapper.find('.tournament-list tbody tr');
+  expect(rows).toHaveLength(2);
+  expect(rows.at(0).find('a').prop('href')).toBe('#/tournament/t8723');
+  expect(rows.at(0).text()).toMatch(/Double elimination, best of 3/);
+  expect(rows.at(0).text()).toMatch(/john \/ chicken/);
+  expect(rows.at(1).text()).toMatch(/Round robin/);
+});
@@ -0,0 +1,122 @@
+import 'babel-polyfill';
+import React from 'react';
+import {shallow} from 'enzyme';
+import {TournamentScreen} from '../TournamentScreen.js';
+import Loading from '../../components/Loading.js';
+import TournamentBracket from '../../components/TournamentBracket.js';
+
+function createTournament(extra) {
+  return {
+    id: 't8723',
+    name: 'Spring Cup',
+    description: 'first cup of the year',
+    format: 'single-elimination',
+    bestOf: 3,
+    entryLimit: 8,
+    startsAt: '2020-04-01T10:00:00.000Z',
+    status: 'open',
+    participants: [
+      {id: 'u1', ownerName: 'monica', scriptName: 'sniper', scriptId: 's1'},
+      {id: 'u2', ownerName: 'john', scriptName: 'chicken', scriptId: 's2'}
+    ],
+    matches: [],
+    standings: [],
+    ...extra
+  };
+}
+
+const tankList = [
+  {id: 's3', scriptName: 'crawler'},
+  {id: 's4', scriptName: 'dodger'}
+];
+
+test('show loading', () => {
+  const wrapper = shallow(<TournamentScreen isLoading={true} match={{params: {id: 't8723'}}} />);
+  expect(wrapper.find(Loading)).toHaveLength(1);
+});
+
+test('load tournament', () => {
+  const getTournament = jest.fn();
+  const getSandboxAiScriptList = jest.fn();
+  const wsConnect = jest.fn();
+  const wsDisconnect = jest.fn();
+  const wrapper = shallow(<TournamentScreen
+    match={{params: {id: 't8723'}}}
+    isAuthorized={true}
+    getTournament={getTournament}
+    getSandboxAiScriptList={getSandboxAiScriptList}
+    wsConnect={wsConnect}
+    wsDisconnect={wsDisconnect}
+  />);
+  expect(getTournament.mock.calls).toHaveLength(1);
+  expect(getTournament.mock.calls[0][0]).toBe('t8723');
+  expect(getSandboxAiScriptList.mock.calls).toHaveLength(1);
+  expect(wsConnect.mock.calls).toHaveLength(1);
+  wrapper.unmount();
+  expect(wsDisconnect.mock.calls).toHaveLength(1);
+});
+
+test('show tournament details', () => {
+  const wrapper = shallow(<TournamentScreen
+    match={{params: {id: 't8723'}}}
+    tournament={createTournament()}
+  />);
+  expect(wrapper.find('.tournament-info').text()).toMatch(/Single elimination, best of 3/);
+  expect(wrapper.find('.tournament-info').text()).toMatch(/2 \/ 8/);
+  expect(wrapper.find(TournamentBracket)).toHaveLength(1);
+  expect(wrapper.find('.tournament-registration')).toHaveLength(0);
+});
+
+test('join tournament', () => {
+  const joinTournament = jest.fn();
+  const wrapper = shallow(<TournamentScreen
+    match={{params: {id: 't8723'}}}
+    isAuthorized={true}
+    userId="u3"
+    tankList={tankList}
+    tournament={createTournament()}
+    joinTournament={joinTournament}
+  />);
+  expect(wrapper.find('.leave-button')).toHaveLength(0);
+  wrapper.find('.script-select').simulate('change', {target: {value: 's4'}});
+  wrapper.find('.join-button').simulate('click');
+  expect(joinTournament.mock.calls).toHaveLength(1);
+  expect(joinTournament.mock.calls[0]).toEqual(['t8723', 's4']);
+});
+
+test('leave tournament', () => {
+  const leaveTournament = jest.fn();
+  const wrapper = shallow(<TournamentScreen
+    match={{params: {id: 't8723'}}}
+    isAuthorized={true}
+    userId="u1"
+    tankList={tankList}
+    tournament={createTournament()}
+    leaveTournament={leaveTournament}
+  />);
+  expect(wrapper.find('.script-select').prop('value')).toBe('s1');
+  wrapper.find('.leave-button').simulate('click');
+  expect(leaveTournament.mock.calls).toHaveLength(1);
+  expect(leaveTournament.mock.calls[0][0]).toBe('t8723');
+});
+
+test('show standings', () => {
+  const wrapper = shallow(<TournamentScreen
+    match={{params: {id: 't8723'}}}
+    isAuthorized={true}
+    userId="u1"
+    tankList={tankList}
+    tournament={createTournament({
+      status: 'finished',
+      standings: [
+        {id: 'u2', place: 1, matchWins: 1, matchLosses: 0, gameWins: 2, gameLosses: 1},
+        {id: 'u1', place: 2, matchWins: 0, matchLosses: 1, gameWins: 1, gameLosses: 2}
+      ]
+    })}
+  />);
+  expect(wrapper.find('.tournament-registration')).toHaveLength(0);
+  const rows = wrapper.find('.tournament-standings tbody tr');
+  expect(rows).toHaveLength(2);
+  expect(rows.at(0).text()).toMatch(/john \/ chicken/);
+  expect(rows.at(1).hasClass('table-active')).toBe(true);
+});
@@ -1,5 +1,14 @@
 let settings = {
-  SKIN: 'forest'
+  SKIN: 'forest',
+  WEAPON: 'cannon',
+  SPECIALIZATION: {
+    armour: 0,
+    engine: 0,
+    radarRange: 0,
+    radarFocal: 0,
+    reload: 0
+  },
+  RADIO: 'simple'
 };
 let info = {
   id: 3,
@@ -16,6 +25,7 @@ let control = {
   GUN_TURN: 0,
   SHOOT: 0,
   OUTBOX: [],
+  BLACKBOARD: {},
   DEBUG: {}
 };
 let state = {
@@ -49,6 +59,29 @@ let state = {
       speed: 23,
       energy: 43
     },
+    enemies: [
+      {
+        id: 4,
+        x: 39.5,
+        y: 74.3,
+        angle: 45.2,
+        speed: 23,
+        energy: 43,
+        distance: 120
+      }
+    ],
+    allies: [],
+    lastSeen: [
+      {
+        id: 7,
+        x: 310.2,
+        y: 44.9,
+        angle: 170.5,
+        speed: 2,
+        energy: 65,
+        age: 35
+      }
+    ],
     bullets: [
       {
         id: 4,
@@ -56,16 +89,27 @@ let state = {
         y: 3,
         angle: -43,
         speed: 45,
-        damage: 9
+        damage: 9,
+        type: 'cannon'
       }
     ]
   },
   gun: {
     angle: -34.5,
-    reloading: false
+    reloading: false,
+    weapon: 'cannon'
+  },
+  specialization: {
+    armour: 0,
+    engine: 0,
+    radarRange: 0,
+    radarFocal: 0,
+    reload: 0
   },
   radio: {
-    inbox: []
+    inbox: [],
+    blackboard: {},
+    dropped: 0
   }
 };
 
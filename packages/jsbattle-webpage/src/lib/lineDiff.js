@@ -0,0 +1,61 @@
+// changed blocks too big to be aligned are shown as replaced
+const MAX_COMPARISONS = 4000000;
+
+function compareLines(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+  if(n*m > MAX_COMPARISONS) {
+    return oldLines.map((text) => ({type: 'removed', text}))
+      .concat(newLines.map((text) => ({type: 'added', text})));
+  }
+  // length of the longest common subsequence of the remaining lines
+  let lcs = [];
+  for(let i=n; i >= 0; i--) {
+    lcs[i] = [];
+    for(let j=m; j >= 0; j--) {
+      if(i == n || j == m) {
+        lcs[i][j] = 0;
+      } else if(oldLines[i] === newLines[j]) {
+        lcs[i][j] = lcs[i+1][j+1] + 1;
+      } else {
+        lcs[i][j] = Math.max(lcs[i+1][j], lcs[i][j+1]);
+      }
+    }
+  }
+  let result = [];
+  let i = 0;
+  let j = 0;
+  while(i < n || j < m) {
+    if(i < n && j < m && oldLines[i] === newLines[j]) {
+      result.push({type: 'same', text: oldLines[i]});
+      i++;
+      j++;
+    } else if(i < n && (j == m || lcs[i+1][j] >= lcs[i][j+1])) {
+      result.push({type: 'removed', text: oldLines[i]});
+      i++;
+    } else {
+      result.push({type: 'added', text: newLines[j]});
+      j++;
+    }
+  }
+  return result;
+}
+
+export default function lineDiff(oldCode, newCode) {
+  const oldLines = (oldCode || '').split('\n');
+  const newLines = (newCode || '').split('\n');
+  let start = 0;
+  while(start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while(oldEnd > start && newEnd > start && oldLines[oldEnd-1] === newLines[newEnd-1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  const same = (text) => ({type: 'same', text});
+  return oldLines.slice(0, start).map(same)
+    .concat(compareLines(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd)))
+    .concat(oldLines.slice(oldEnd).map(same));
+}
@@ -6,14 +6,34 @@ import {
 import {
   refreshLeague
 } from '../actions/leagueAction.js';
+import {
+  refreshTournament
+} from '../actions/tournamentAction.js';
+import {
+  refreshMatches
+} from '../actions/matchAction.js';
+import {
+  addNotification
+} from '../actions/notificationAction.js';
 
 const eventMap = {
-  "client.league.battleCompleted": refreshLeague
+  "client.league.battleCompleted": refreshLeague,
+  "client.tournament.updated": refreshTournament,
+  "client.match.completed": refreshMatches
 };
 
+// events sent to the signed in user only. They are listed in the notification centre
+const notificationEvents = [
+  "client.league.submissionFought",
+  "client.league.rankChanged",
+  "client.match.completed"
+];
+
 export default function socketMiddleware(store) {
 
   let socket = null;
+  // screens share the connection. It is closed when the last of them disconnects
+  let clientCount = 0;
 
   const onOpen = (event) => {
     store.dispatch(wsConnected(event.target.url));
@@ -24,6 +44,9 @@ export default function socketMiddleware(store) {
   };
 
   const onEvent = (event) => {
+    if(notificationEvents.includes(event.event)) {
+      store.dispatch(addNotification(event.event, event.payload));
+    }
     if(eventMap[event.event]) {
       console.log(`Event '${event.event}' received... processing`);
       store.dispatch(eventMap[event.event](event.payload));
@@ -36,8 +59,9 @@ export default function socketMiddleware(store) {
     return function (action) {
       switch (action.type) {
         case 'WS_CONNECT':
+          clientCount++;
           if (socket !== null) {
-            socket.close();
+            break;
           }
 
           // connect to the remote host
@@ -50,6 +74,10 @@ export default function socketMiddleware(store) {
 
           break;
         case 'WS_DISCONNECT':
+          clientCount = Math.max(0, clientCount - 1);
+          if (clientCount > 0) {
+            break;
+          }
           if (socket !== null) {
             socket.close();
           }
@@ -0,0 +1,26 @@
+import lineDiff from '../lineDiff.js';
+
+test('marks unchanged code', () => {
+  const result = lineDiff('alpha\nbeta', 'alpha\nbeta');
+  expect(result).toHaveLength(2);
+  expect(result.map((line) => line.type)).toEqual(['same', 'same']);
+});
+
+test('finds added and removed lines', () => {
+  const result = lineDiff('alpha\nbeta\ngamma\ndelta', 'alpha\ngamma\nepsilon\ndelta');
+  expect(result).toEqual([
+    {type: 'same', text: 'alpha'},
+    {type: 'removed', text: 'beta'},
+    {type: 'same', text: 'gamma'},
+    {type: 'added', text: 'epsilon'},
+    {type: 'same', text: 'delta'}
+  ]);
+});
+
+test('compares with empty code', () => {
+  const result = lineDiff('', 'alpha');
+  expect(result).toEqual([
+    {type: 'removed', text: ''},
+    {type: 'added', text: 'alpha'}
+  ]);
+});
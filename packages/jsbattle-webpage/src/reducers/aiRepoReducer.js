@@ -1,9 +1,14 @@
 import {
   SANDBOX_AI_SCRIPT_LIST_SUCCESS,
+  AI_SCRIPT_REVISION_LIST_REQUEST,
+  AI_SCRIPT_REVISION_LIST_SUCCESS,
+  AI_SCRIPT_REVISION_SUCCESS,
 } from '../actions/actionTypes.js';
 
 const initState = {
-  tankList: []
+  tankList: [],
+  revisions: [],
+  revisionCode: {}
 };
 
 
@@ -20,6 +25,25 @@ function aiRepoReducer(state = {}, action) {
         ...state,
         tankList: action.payload
       };
+    case AI_SCRIPT_REVISION_LIST_REQUEST:
+      return {
+        ...state,
+        revisions: []
+      };
+    case AI_SCRIPT_REVISION_LIST_SUCCESS:
+      return {
+        ...state,
+        revisions: action.payload
+      };
+    case AI_SCRIPT_REVISION_SUCCESS:
+      // revisions never change so their code is kept for later comparisons
+      return {
+        ...state,
+        revisionCode: {
+          ...state.revisionCode,
+          [action.payload.id]: action.payload.code
+        }
+      };
     default:
       return state;
   }
@@ -5,6 +5,9 @@ import error from './errorReducer.js';
 import challenge from './challengeReducer.js';
 import sandbox from './sandboxReducer.js';
 import league from './leagueReducer.js';
+import tournament from './tournamentReducer.js';
+import match from './matchReducer.js';
+import notification from './notificationReducer.js';
 import aiRepo from './aiRepoReducer.js';
 import settings from './settingsReducer.js';
 import auth from './authReducer.js';
@@ -16,6 +19,9 @@ export default combineReducers({
   challenge,
   sandbox,
   league,
+  tournament,
+  match,
+  notification,
   aiRepo,
   auth
 });
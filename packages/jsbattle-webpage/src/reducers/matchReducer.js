@@ -0,0 +1,38 @@
+import {
+  MATCH_LIST_SUCCESS,
+  MATCH_REFRESH_SUCCESS,
+  MATCH_CREATE_SUCCESS
+} from '../actions/actionTypes.js';
+
+const initState = {
+  list: []
+};
+
+function matchReducer(state = {}, action) {
+  action = action || {};
+  state = state || {};
+  state = {
+    ...initState,
+    ...state
+  };
+  switch (action.type) {
+    case MATCH_LIST_SUCCESS:
+    case MATCH_REFRESH_SUCCESS:
+      return {
+        ...state,
+        list: action.payload
+      };
+    case MATCH_CREATE_SUCCESS:
+      return {
+        ...state,
+        list: [
+          action.payload,
+          ...state.list
+        ]
+      };
+    default:
+      return state;
+  }
+}
+
+export default matchReducer;
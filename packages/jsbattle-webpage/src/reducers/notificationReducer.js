@@ -0,0 +1,51 @@
+import {
+  NOTIFICATION_ADD,
+  NOTIFICATION_READ,
+  NOTIFICATION_CLEAR
+} from '../actions/actionTypes.js';
+
+// older notifications are dropped
+const NOTIFICATION_LIMIT = 20;
+
+const initState = {
+  list: []
+};
+
+function notificationReducer(state = {}, action) {
+  action = action || {};
+  state = state || {};
+  state = {
+    ...initState,
+    ...state
+  };
+  switch (action.type) {
+    case NOTIFICATION_ADD:
+      return {
+        ...state,
+        list: [
+          {
+            ...action.payload,
+            read: false
+          },
+          ...state.list
+        ].slice(0, NOTIFICATION_LIMIT)
+      };
+    case NOTIFICATION_READ:
+      return {
+        ...state,
+        list: state.list.map((item) => ({
+          ...item,
+          read: true
+        }))
+      };
+    case NOTIFICATION_CLEAR:
+      return {
+        ...state,
+        list: []
+      };
+    default:
+      return state;
+  }
+}
+
+export default notificationReducer;
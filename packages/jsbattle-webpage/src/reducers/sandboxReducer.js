@@ -9,7 +9,9 @@ import {
   SANDBOX_RNG_UNLOCK,
   SANDBOX_OPPONENT_TEAM_MODE,
   SANDBOX_OPPONENT_DUEL_MODE,
-  SANDBOX_OPPONENT_LIST
+  SANDBOX_OPPONENT_LIST,
+  SANDBOX_MAP_CHANGE,
+  SANDBOX_GAME_MODE_CHANGE
 } from '../actions/actionTypes.js';
 
 const initState = {
@@ -21,7 +23,9 @@ const initState = {
   },
   opponentList: [],
   lockRng: false,
-  mode: 'duel'
+  mode: 'duel',
+  map: 'arena',
+  gameMode: 'deathmatch'
 };
 
 
@@ -96,6 +100,16 @@ function sanboxReducer(state = {}, action) {
         ...state,
         mode: 'duel'
       };
+    case SANDBOX_MAP_CHANGE:
+      return {
+        ...state,
+        map: action.payload
+      };
+    case SANDBOX_GAME_MODE_CHANGE:
+      return {
+        ...state,
+        gameMode: action.payload
+      };
     default:
       return state;
   }
@@ -2,6 +2,8 @@ import 'babel-polyfill';
 import aiRepoReducer from '../aiRepoReducer.js';
 import {
   SANDBOX_AI_SCRIPT_LIST_SUCCESS,
+  AI_SCRIPT_REVISION_LIST_SUCCESS,
+  AI_SCRIPT_REVISION_SUCCESS,
 } from '../../actions/actionTypes.js';
 
 test('has init state', () => {
@@ -23,3 +25,28 @@ test('update tank list', () => {
   expect(outcomeState.tankList[0]).toHaveProperty('scriptName', 'alpha753');
   expect(outcomeState.tankList[1]).toHaveProperty('scriptName', 'beta78732');
 });
+
+test('update revision list', () => {
+  const outcomeState = aiRepoReducer({}, {
+    type: AI_SCRIPT_REVISION_LIST_SUCCESS,
+    payload: [
+      { id: 'rev2', revision: 2 },
+      { id: 'rev1', revision: 1 }
+    ]
+  });
+  expect(outcomeState.revisions).toHaveLength(2);
+  expect(outcomeState.revisions[0]).toHaveProperty('revision', 2);
+});
+
+test('keep code of revisions', () => {
+  let outcomeState = aiRepoReducer({}, {
+    type: AI_SCRIPT_REVISION_SUCCESS,
+    payload: { id: 'rev1', revision: 1, code: '// alpha 7732' }
+  });
+  outcomeState = aiRepoReducer(outcomeState, {
+    type: AI_SCRIPT_REVISION_SUCCESS,
+    payload: { id: 'rev2', revision: 2, code: '// beta 2347' }
+  });
+  expect(outcomeState.revisionCode).toHaveProperty('rev1', '// alpha 7732');
+  expect(outcomeState.revisionCode).toHaveProperty('rev2', '// beta 2347');
+});
@@ -0,0 +1,41 @@
+import 'babel-polyfill';
+import matchReducer from '../matchReducer.js';
+import {
+  MATCH_LIST_SUCCESS,
+  MATCH_REFRESH_SUCCESS,
+  MATCH_CREATE_SUCCESS,
+} from '../../actions/actionTypes.js';
+
+test('has init state', () => {
+  const outcomeState = matchReducer();
+  expect(outcomeState).toHaveProperty('list');
+  expect(outcomeState.list).toHaveLength(0);
+});
+
+test('match list', () => {
+  let outcomeState = matchReducer({}, {
+    type: MATCH_LIST_SUCCESS,
+    payload: [
+      {id: 'm1', status: 'queued'},
+      {id: 'm2', status: 'finished'}
+    ]
+  });
+  expect(outcomeState.list).toHaveLength(2);
+  outcomeState = matchReducer(outcomeState, {
+    type: MATCH_REFRESH_SUCCESS,
+    payload: [
+      {id: 'm1', status: 'finished'},
+      {id: 'm2', status: 'finished'}
+    ]
+  });
+  expect(outcomeState.list[0]).toHaveProperty('status', 'finished');
+});
+
+test('new match goes first', () => {
+  const outcomeState = matchReducer({list: [{id: 'm1'}]}, {
+    type: MATCH_CREATE_SUCCESS,
+    payload: {id: 'm2', status: 'queued'}
+  });
+  expect(outcomeState.list).toHaveLength(2);
+  expect(outcomeState.list[0]).toHaveProperty('id', 'm2');
+});
@@ -0,0 +1,40 @@
+import 'babel-polyfill';
+import notificationReducer from '../notificationReducer.js';
+import {
+  addNotification,
+  readNotifications,
+  clearNotifications
+} from '../../actions/notificationAction.js';
+
+test('has init state', () => {
+  const outcomeState = notificationReducer();
+  expect(outcomeState).toHaveProperty('list');
+  expect(outcomeState.list).toHaveLength(0);
+});
+
+test('add notifications', () => {
+  let outcomeState = notificationReducer({}, addNotification('client.match.completed', {id: 'm1'}));
+  outcomeState = notificationReducer(outcomeState, addNotification('client.match.completed', {id: 'm2'}));
+  expect(outcomeState.list).toHaveLength(2);
+  expect(outcomeState.list[0].data).toHaveProperty('id', 'm2');
+  expect(outcomeState.list[0]).toHaveProperty('event', 'client.match.completed');
+  expect(outcomeState.list[0]).toHaveProperty('read', false);
+  expect(outcomeState.list[0].id).not.toBe(outcomeState.list[1].id);
+});
+
+test('limit number of notifications', () => {
+  let outcomeState = {};
+  for(let i=0; i < 30; i++) {
+    outcomeState = notificationReducer(outcomeState, addNotification('client.match.completed', {id: 'm' + i}));
+  }
+  expect(outcomeState.list).toHaveLength(20);
+  expect(outcomeState.list[0].data).toHaveProperty('id', 'm29');
+});
+
+test('read and clear notifications', () => {
+  let outcomeState = notificationReducer({}, addNotification('client.league.rankChanged', {rank: 2}));
+  outcomeState = notificationReducer(outcomeState, readNotifications());
+  expect(outcomeState.list[0]).toHaveProperty('read', true);
+  outcomeState = notificationReducer(outcomeState, clearNotifications());
+  expect(outcomeState.list).toHaveLength(0);
+});
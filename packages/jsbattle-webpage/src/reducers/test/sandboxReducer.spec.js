@@ -14,6 +14,8 @@ import {
   SANDBOX_RNG_LOCK,
   SANDBOX_RNG_UNLOCK,
   SANDBOX_OPPONENT_TEAM_MODE,
+  SANDBOX_MAP_CHANGE,
+  SANDBOX_GAME_MODE_CHANGE,
   SANDBOX_OPPONENT_DUEL_MODE,
 } from '../../actions/actionTypes.js';
 
@@ -208,3 +210,29 @@ test('set team mode', () => {
   );
   expect(outcomeState).toHaveProperty('mode', 'team')
 });
+
+test('change map', () => {
+  const outcomeState = sandboxReducer(
+    {
+      map: 'arena'
+    },
+    {
+      type: SANDBOX_MAP_CHANGE,
+      payload: 'bunkers'
+    }
+  );
+  expect(outcomeState).toHaveProperty('map', 'bunkers')
+});
+
+test('change game mode', () => {
+  const outcomeState = sandboxReducer(
+    {
+      gameMode: 'deathmatch'
+    },
+    {
+      type: SANDBOX_GAME_MODE_CHANGE,
+      payload: 'ctf'
+    }
+  );
+  expect(outcomeState).toHaveProperty('gameMode', 'ctf')
+});
@@ -0,0 +1,53 @@
+import 'babel-polyfill';
+import tournamentReducer from '../tournamentReducer.js';
+import {
+  TOURNAMENT_LIST_SUCCESS,
+  TOURNAMENT_SUCCESS,
+  TOURNAMENT_REFRESH_SUCCESS,
+  TOURNAMENT_JOIN_SUCCESS,
+} from '../../actions/actionTypes.js';
+
+test('has init state', () => {
+  const outcomeState = tournamentReducer();
+  expect(outcomeState).toHaveProperty('list');
+  expect(outcomeState.list).toHaveLength(0);
+  expect(outcomeState).toHaveProperty('current', null);
+});
+
+test('tournament list', () => {
+  const outcomeState = tournamentReducer({}, {
+    type: TOURNAMENT_LIST_SUCCESS,
+    payload: [
+      {id: 't1', name: 'spring cup'},
+      {id: 't2', name: 'summer cup'}
+    ]
+  });
+  expect(outcomeState.list).toHaveLength(2);
+});
+
+test('current tournament', () => {
+  let outcomeState = tournamentReducer({}, {
+    type: TOURNAMENT_SUCCESS,
+    payload: {id: 't1', name: 'spring cup', participants: []}
+  });
+  expect(outcomeState.current).toHaveProperty('id', 't1');
+  outcomeState = tournamentReducer(outcomeState, {
+    type: TOURNAMENT_JOIN_SUCCESS,
+    payload: {id: 't1', name: 'spring cup', participants: [{id: 'u1'}]}
+  });
+  expect(outcomeState.current.participants).toHaveLength(1);
+});
+
+test('refresh only the current tournament', () => {
+  let outcomeState = tournamentReducer({current: {id: 't1', status: 'open'}}, {
+    type: TOURNAMENT_REFRESH_SUCCESS,
+    payload: {id: 't2', status: 'running'}
+  });
+  expect(outcomeState.current).toHaveProperty('id', 't1');
+  expect(outcomeState.current).toHaveProperty('status', 'open');
+  outcomeState = tournamentReducer(outcomeState, {
+    type: TOURNAMENT_REFRESH_SUCCESS,
+    payload: {id: 't1', status: 'running'}
+  });
+  expect(outcomeState.current).toHaveProperty('status', 'running');
+});
@@ -0,0 +1,48 @@
+import {
+  TOURNAMENT_LIST_SUCCESS,
+  TOURNAMENT_SUCCESS,
+  TOURNAMENT_REFRESH_SUCCESS,
+  TOURNAMENT_JOIN_SUCCESS,
+  TOURNAMENT_LEAVE_SUCCESS
+} from '../actions/actionTypes.js';
+
+const initState = {
+  list: [],
+  current: null
+};
+
+function tournamentReducer(state = {}, action) {
+  action = action || {};
+  state = state || {};
+  state = {
+    ...initState,
+    ...state
+  };
+  switch (action.type) {
+    case TOURNAMENT_LIST_SUCCESS:
+      return {
+        ...state,
+        list: action.payload
+      };
+    case TOURNAMENT_SUCCESS:
+    case TOURNAMENT_JOIN_SUCCESS:
+    case TOURNAMENT_LEAVE_SUCCESS:
+      return {
+        ...state,
+        current: action.payload
+      };
+    case TOURNAMENT_REFRESH_SUCCESS:
+      // updates of other tournaments are ignored
+      if(!state.current || state.current.id != action.payload.id) {
+        return state;
+      }
+      return {
+        ...state,
+        current: action.payload
+      };
+    default:
+      return state;
+  }
+}
+
+export default tournamentReducer;
@@ -80,6 +80,34 @@ yargs
       .catch(console.error);
     }
   )
+  .command(
+    'recalculate-ratings',
+    'Recalculate league ratings from stored battle history',
+    (yargs) => {
+
+    },
+    (argv) => {
+      let config = {};
+      if(argv.config) {
+        config = require(path.resolve(argv.config));
+      }
+
+      // overrride config by CLI arguments
+      if(argv.loglevel) {
+        config.loglevel = argv.loglevel
+      }
+
+      let gateway = new Node();
+      gateway.init(config)
+      .then(() => gateway.start())
+      .then(() => gateway.broker.call('league.recalculateRatings', {}))
+      .then((result) => {
+        console.log(`Ratings of ${result.entryCount} league entries recalculated from ${result.battleCount} battles`);
+        return gateway.stop();
+      })
+      .catch(console.error);
+    }
+  )
   .command("*", "", (argv) => {
     console.log("Nothing happened :( Run 'jsbattle.js --help' for more info\n");
   })
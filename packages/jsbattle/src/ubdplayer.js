@@ -3,6 +3,7 @@
 const yargs = require('yargs');
 const fs = require('fs');
 const path = require('path');
+const JsBattle = require('jsbattle-engine/headless');
 const UbdArenaService = require('jsbattle-server').UbdArenaService;
 
 yargs
@@ -26,24 +27,6 @@ yargs
     default: false,
     describe: 'turn off logging'
   })
-  .option('w', {
-    alias: 'webroot',
-    demandOption: false,
-    default: path.resolve(__dirname + '/public'),
-    describe: 'path to jsbattle web folder'
-  })
-  .option('p', {
-    alias: 'port',
-    demandOption: false,
-    default: "3000",
-    describe: 'listening port of the web server'
-  })
-  .option('h', {
-    alias: 'host',
-    demandOption: false,
-    default: "localhost",
-    describe: 'host of the web server'
-  })
   .command(
     'play',
     'play a battle from UBD file',
@@ -53,9 +36,6 @@ yargs
     async (argv) => {
       let options = {};
       options.debug = !argv.silent;
-      options.webroot = argv.webroot;
-      options.webport = argv.port;
-      options.webhost = argv.host;
       let service;
       try {
         let content = fs.readFileSync(argv.file, "utf8");
@@ -82,6 +62,65 @@ yargs
       }
     }
   )
+  .command(
+    'convert [files..]',
+    'convert UBD files (or all *.ubd files in directories) to the latest version',
+    (yargs) => {
+      yargs
+        .positional('files', {
+          describe: 'paths to *.ubd files or directories',
+          type: 'string'
+        })
+        .option('d', {
+          alias: 'outputDir',
+          demandOption: false,
+          describe: 'directory of converted files (files are converted in place if not provided)',
+          type: 'string'
+        });
+    },
+    (argv) => {
+      let fileList = (argv.files && argv.files.length) ? argv.files : [argv.file];
+      fileList = fileList.reduce((list, item) => {
+        if(fs.existsSync(item) && fs.statSync(item).isDirectory()) {
+          return list.concat(
+            fs.readdirSync(item)
+              .filter((name) => name.endsWith('.ubd'))
+              .map((name) => path.join(item, name))
+          );
+        }
+        return list.concat([item]);
+      }, []);
+      if(argv.outputDir && !fs.existsSync(argv.outputDir)) {
+        fs.mkdirSync(argv.outputDir, {recursive: true});
+      }
+      let version = JsBattle.createUBD().getVersion();
+      let stats = {converted: 0, skipped: 0, failed: 0};
+      for(let file of fileList) {
+        let output = argv.outputDir ? path.join(argv.outputDir, path.basename(file)) : file;
+        try {
+          let json = JSON.parse(fs.readFileSync(file, "utf8"));
+          let oldVersion = json.version;
+          json = JsBattle.migrateUbd(json);
+          if(oldVersion == version && output == file) {
+            stats.skipped++;
+            continue;
+          }
+          fs.writeFileSync(output, JSON.stringify(json), 'utf8');
+          stats.converted++;
+          if(!argv.silent) {
+            console.log(`${file}: v${oldVersion} -> v${version}`);
+          }
+        } catch(err) {
+          stats.failed++;
+          console.log(`${file}: ${err.message}`);
+        }
+      }
+      console.log(`Converted: ${stats.converted}, up to date: ${stats.skipped}, failed: ${stats.failed}`);
+      if(stats.failed) {
+        process.exit(1);
+      }
+    }
+  )
   .help()
   .version()
   .argv;